@@ -0,0 +1,178 @@
+/**
+ * Deployment Manifests
+ *
+ * Migrations record what they deploy in deployments/<network>.json: address,
+ * deploy transaction and block, deployer, constructor arguments and ABI hash
+ * for each contract, plus the token and price feed config it was set up with.
+ * Every write bumps the manifest's revision. deployments/index.json collects
+ * all manifests keyed by chain id for the frontend.
+ *
+ * config/networks.js prefers manifest addresses over networks.json, so
+ * scripts and the frontend pick up a fresh deployment without copying
+ * addresses into .env.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_SCHEMA_VERSION = 1;
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const INDEX_FILE = "index.json";
+
+// Constructor arguments that are secrets; manifests record the env var name instead
+const API_KEY_ARGS = ["WORLD_WEATHER_ONLINE_KEY", "OPEN_WEATHER_KEY", "WEATHERBIT_KEY"];
+
+/**
+ * @typedef {object} ContractDeployment
+ * @property {string} address
+ * @property {string|null} transactionHash
+ * @property {number|null} blockNumber
+ * @property {string|null} deployer
+ * @property {string|null} migration - migration file that deployed it
+ * @property {string} abiHash - sha256 of the artifact ABI
+ * @property {Array} constructorArgs - API keys replaced by "env:<NAME>"
+ * @property {string} deployedAt - ISO timestamp
+ *
+ * @typedef {object} DeploymentManifest
+ * @property {number} schemaVersion
+ * @property {number} revision - incremented on every write
+ * @property {number} chainId
+ * @property {string} network
+ * @property {string} updatedAt
+ * @property {Object<string, ContractDeployment>} contracts - keyed by contract name
+ * @property {object} config - LINK, ETH/USD feed, oracles, job ids and tokens used
+ */
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function writeJson(file, value) {
+  fs.writeFileSync(file, JSON.stringify(value, null, 2) + "\n");
+}
+
+/**
+ * @param {string} name - network name, e.g. "sepolia"
+ * @param {string} [dir]
+ */
+function manifestPath(name, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${name}.json`);
+}
+
+/**
+ * @param {object} network - entry from config/networks.js
+ * @param {string} [dir]
+ * @returns {DeploymentManifest|null}
+ */
+function loadManifest(network, dir = DEPLOYMENTS_DIR) {
+  const manifest = readJson(manifestPath(network.name, dir));
+  if (!manifest) return null;
+  if (manifest.schemaVersion !== MANIFEST_SCHEMA_VERSION) {
+    throw new Error(
+      `${manifestPath(network.name, dir)} has schema version ${manifest.schemaVersion}, expected ${MANIFEST_SCHEMA_VERSION}`
+    );
+  }
+  if (manifest.chainId !== network.chainId) {
+    throw new Error(`${manifestPath(network.name, dir)} is for chain ${manifest.chainId}, not ${network.chainId}`);
+  }
+  return manifest;
+}
+
+/**
+ * Writes a manifest and refreshes its entry in deployments/index.json.
+ * @param {DeploymentManifest} manifest
+ * @param {string} [dir]
+ */
+function writeManifest(manifest, dir = DEPLOYMENTS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  writeJson(manifestPath(manifest.network, dir), manifest);
+
+  const indexFile = path.join(dir, INDEX_FILE);
+  const index = readJson(indexFile) || {};
+  index[manifest.chainId] = manifest;
+  writeJson(indexFile, index);
+}
+
+/**
+ * Stable hash of a contract ABI, used to tell whether a deployment still
+ * matches the compiled artifact.
+ * @param {Array} abi
+ * @returns {string}
+ */
+function abiHash(abi) {
+  return "0x" + crypto.createHash("sha256").update(JSON.stringify(abi)).digest("hex");
+}
+
+/**
+ * Replaces the three weather API keys at the start of the provider
+ * constructor arguments with their env var names.
+ * @param {Array} args
+ * @returns {Array}
+ */
+function redactApiKeys(args) {
+  return args.map((arg, i) => (i < API_KEY_ARGS.length ? `env:${API_KEY_ARGS[i]}` : arg));
+}
+
+/**
+ * Records a contract deployed by a migration in the network's manifest.
+ *
+ * @param {object} options
+ * @param {object} options.web3
+ * @param {object} options.network - resolved entry from config/networks.js
+ * @param {object} options.artifact - truffle contract abstraction
+ * @param {object} options.instance - deployed instance
+ * @param {Array} options.constructorArgs - already redacted
+ * @param {string} [options.migration] - usually __filename
+ * @param {string} [options.dir]
+ * @returns {Promise<DeploymentManifest>}
+ */
+async function recordDeployment({ web3, network, artifact, instance, constructorArgs, migration, dir = DEPLOYMENTS_DIR }) {
+  const transactionHash = instance.transactionHash || null;
+  const receipt = transactionHash ? await web3.eth.getTransactionReceipt(transactionHash) : null;
+
+  const manifest = loadManifest(network, dir) || {
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
+    revision: 0,
+    chainId: network.chainId,
+    network: network.name,
+    updatedAt: null,
+    contracts: {},
+    config: null
+  };
+
+  const now = new Date().toISOString();
+  manifest.revision += 1;
+  manifest.updatedAt = now;
+  manifest.contracts[artifact.contractName] = {
+    address: instance.address,
+    transactionHash,
+    blockNumber: receipt ? Number(receipt.blockNumber) : null,
+    deployer: receipt ? receipt.from : null,
+    migration: migration ? path.basename(migration) : null,
+    abiHash: abiHash(artifact.abi),
+    constructorArgs,
+    deployedAt: now
+  };
+  manifest.config = {
+    linkToken: network.linkToken,
+    ethUsdFeed: network.ethUsdFeed,
+    oracles: network.oracles,
+    jobIds: network.jobIds,
+    tokens: network.tokens
+  };
+
+  writeManifest(manifest, dir);
+  return manifest;
+}
+
+module.exports = {
+  MANIFEST_SCHEMA_VERSION,
+  DEPLOYMENTS_DIR,
+  manifestPath,
+  loadManifest,
+  writeManifest,
+  abiHash,
+  redactApiKeys,
+  recordDeployment
+};
@@ -0,0 +1,141 @@
+/**
+ * Network Registry
+ *
+ * Per-chain addresses (provider, EAS manager, EAS, LINK, price feeds, tokens)
+ * live in networks.json, keyed by chain id. Migrations and scripts resolve
+ * them here; the frontend reads the same file via src/config/networks.ts.
+ *
+ * Addresses recorded by the migrations in deployments/<network>.json take
+ * precedence over the registry, and environment variables override both for
+ * the chain being used: PROVIDER_ADDRESS, EAS_MANAGER_ADDRESS,
+ * ORACLE_ADDRESS_1/2, JOB_ID_1/2.
+ */
+
+const registry = require("./networks.json");
+const { loadManifest } = require("./deployments");
+
+const PROVIDER_CONTRACT = "AutomatedInsuranceProvider";
+const EAS_MANAGER_CONTRACT = "EASInsuranceManager";
+
+/**
+ * @typedef {object} TokenConfig
+ * @property {string} address
+ * @property {number} decimals
+ * @property {string} priceFeed - Chainlink <TOKEN>/USD feed
+ *
+ * @typedef {object} NetworkConfig
+ * @property {number} chainId
+ * @property {string} name
+ * @property {string} label
+ * @property {boolean} local - Ganache/Anvil; contracts are deployed per run
+ * @property {string} rpcUrl
+ * @property {string|null} explorer
+ * @property {string|null} easScan
+ * @property {string|null} provider - AutomatedInsuranceProvider
+ * @property {number} providerDeployBlock
+ * @property {string|null} easManager
+ * @property {string|null} eas
+ * @property {string} linkToken
+ * @property {string} ethUsdFeed
+ * @property {Array<string|null>} oracles
+ * @property {Array<string|null>} jobIds
+ * @property {Object<string, TokenConfig>} tokens
+ * @property {Object<string, object>} deployments - manifest entries by contract name (resolved networks only)
+ */
+
+const CHAIN_IDS = Object.keys(registry).map(Number);
+
+/**
+ * @param {number|string} chainId
+ * @returns {NetworkConfig|null} registry entry without env overrides
+ */
+function getNetwork(chainId) {
+  const entry = registry[String(chainId)];
+  return entry ? { chainId: Number(chainId), ...entry } : null;
+}
+
+/**
+ * @param {string} name - registry name, e.g. "sepolia" or "anvil"
+ * @returns {NetworkConfig|null}
+ */
+function getNetworkByName(name) {
+  const chainId = CHAIN_IDS.find((id) => registry[id].name === name);
+  return chainId === undefined ? null : getNetwork(chainId);
+}
+
+/**
+ * Registry entry for a chain with its deployment manifest and environment
+ * overrides applied. Unknown chains are treated as local, using the Ganache
+ * entry's mock addresses.
+ *
+ * @param {number|string} chainId
+ * @param {object} [env]
+ * @param {string} [deploymentsDir] - defaults to deployments/
+ * @returns {NetworkConfig}
+ */
+function resolveNetwork(chainId, env = process.env, deploymentsDir = undefined) {
+  const network = getNetwork(chainId) || { ...getNetworkByName("ganache"), chainId: Number(chainId), name: `chain-${chainId}` };
+  const manifest = loadManifest(network, deploymentsDir);
+  const deployments = manifest ? manifest.contracts : {};
+  const provider = deployments[PROVIDER_CONTRACT];
+  const easManager = deployments[EAS_MANAGER_CONTRACT];
+  return {
+    ...network,
+    deployments,
+    provider: env.PROVIDER_ADDRESS || (provider && provider.address) || network.provider,
+    providerDeployBlock: env.PROVIDER_ADDRESS ? network.providerDeployBlock : (provider && provider.blockNumber) || network.providerDeployBlock,
+    easManager: env.EAS_MANAGER_ADDRESS || (easManager && easManager.address) || network.easManager,
+    oracles: [env.ORACLE_ADDRESS_1 || network.oracles[0], env.ORACLE_ADDRESS_2 || network.oracles[1]],
+    jobIds: [env.JOB_ID_1 || network.jobIds[0], env.JOB_ID_2 || network.jobIds[1]]
+  };
+}
+
+/**
+ * Resolves the network a truffle migration or exec script is running on.
+ * @param {object} web3
+ * @returns {Promise<NetworkConfig>}
+ */
+async function networkFor(web3) {
+  return resolveNetwork(await web3.eth.getChainId());
+}
+
+/**
+ * The deployed instance of a contract on the web3 chain: the resolved
+ * provider address for AutomatedInsuranceProvider, otherwise the manifest
+ * entry, falling back to the truffle artifact's own deployment.
+ *
+ * @param {object} artifact - truffle contract abstraction
+ * @param {object} web3
+ * @returns {Promise<object>}
+ */
+async function deployedContract(artifact, web3) {
+  const network = await networkFor(web3);
+  const deployment = network.deployments[artifact.contractName];
+  const address = artifact.contractName === PROVIDER_CONTRACT ? network.provider : deployment && deployment.address;
+  return address ? artifact.at(address) : artifact.deployed();
+}
+
+/**
+ * Throws unless everything the provider constructor needs is configured.
+ * @param {NetworkConfig} network
+ */
+function assertDeployable(network) {
+  const missing = [];
+  if (!network.oracles[0]) missing.push("ORACLE_ADDRESS_1");
+  if (!network.oracles[1]) missing.push("ORACLE_ADDRESS_2");
+  if (!network.jobIds[0]) missing.push("JOB_ID_1");
+  if (!network.jobIds[1]) missing.push("JOB_ID_2");
+  if (missing.length > 0) {
+    throw new Error(`No ${missing.join(", ")} configured for ${network.name}; set them in .env`);
+  }
+}
+
+module.exports = {
+  CHAIN_IDS,
+  getNetwork,
+  getNetworkByName,
+  resolveNetwork,
+  networkFor,
+  deployedContract,
+  assertDeployable
+};
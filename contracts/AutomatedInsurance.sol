@@ -20,6 +20,8 @@ import "@openzeppelin/contracts/utils/Strings.sol";
 import "./eas/interfaces/IEASInsurance.sol";
 import "./eas/EASInsuranceManager.sol";
 
+import "./PolicyWeather.sol";
+
 /**
  * @title AutomatedInsuranceProvider
  * @dev Insurance provider with Chainlink Automation for automated weather monitoring
@@ -33,6 +35,8 @@ contract AutomatedInsuranceProvider is Ownable, ReentrancyGuard, AutomationCompa
     // EAS integration
     EASInsuranceManager public easManager;
     bool public easEnabled = false;
+    // When set, newContract requires a valid KYC attestation for the client (see EASInsuranceManager.hasValidKYC)
+    bool public kycRequired;
 
     // Constants
     uint256 public constant DAY_IN_SECONDS = 86400; // Production: 86400, Testing: 60
@@ -152,6 +156,13 @@ contract AutomatedInsuranceProvider is Ownable, ReentrancyGuard, AutomationCompa
         address token
     );
 
+    event LinkToppedUp(
+        address indexed insuranceContract,
+        uint256 amount
+    );
+
+    event KYCRequirementChanged(bool required);
+
     constructor(
         string memory _worldWeatherKey,
         string memory _openWeatherKey,
@@ -206,6 +217,15 @@ contract AutomatedInsuranceProvider is Ownable, ReentrancyGuard, AutomationCompa
         emit EASConfigChanged(address(easManager), _enabled);
     }
 
+    /**
+     * @dev Require a valid KYC attestation from the EAS manager for new policy clients
+     */
+    function setKYCRequired(bool _required) external onlyOwner {
+        require(!_required || address(easManager) != address(0), "EAS manager not set");
+        kycRequired = _required;
+        emit KYCRequirementChanged(_required);
+    }
+
     /**
      * @dev Chainlink Automation checkUpkeep function
      * Determines if automated weather monitoring should be performed
@@ -350,7 +370,7 @@ contract AutomatedInsuranceProvider is Ownable, ReentrancyGuard, AutomationCompa
     }
 
     /**
-     * @dev Create a new automated insurance contract
+     * @dev Create a new automated insurance contract with the default drought trigger
      */
     function newContract(
         address _client,
@@ -365,11 +385,96 @@ contract AutomatedInsuranceProvider is Ownable, ReentrancyGuard, AutomationCompa
         onlyOwner
         returns (address)
     {
+        return newContractWithTerms(_client, _duration, _premium, _payoutValue, _cropLocation, _paymentToken, defaultTriggerTerms());
+    }
+
+    /**
+     * @dev Create a policy that pays out in tiers as the dry streak grows and/or in proportion
+     * to the rainfall deficit; see AutomatedInsuranceContract.setPayoutStructure
+     */
+    function newContractWithPayouts(
+        address _client,
+        uint256 _duration,
+        uint256 _premium,
+        uint256 _payoutValue,
+        string memory _cropLocation,
+        address _paymentToken,
+        AttestationStructs.TriggerTerms memory _terms,
+        AttestationStructs.PayoutTier[] memory _tiers,
+        bool _linearDeficit
+    )
+        public
+        payable
+        onlyOwner
+        returns (address)
+    {
+        AutomatedInsuranceContract insurance = _createContract(
+            _client, _duration, _premium, _payoutValue, _cropLocation, _paymentToken, _terms
+        );
+        // Set before the policy attestation, which records the payout structure
+        insurance.setPayoutStructure(_tiers, _linearDeficit);
+        _attestPolicy(insurance, _client, _duration, _premium, _payoutValue, _cropLocation);
+        return address(insurance);
+    }
+
+    /**
+     * @dev Terms used when newContract is called without them: three consecutive days of zero rainfall
+     */
+    function defaultTriggerTerms() public pure returns (AttestationStructs.TriggerTerms memory) {
+        return AttestationStructs.TriggerTerms({
+            droughtDays: 3,
+            dryDayThreshold: 0,
+            deficitWindowDays: 0,
+            deficitThreshold: 0,
+            product: 0,
+            floodWindowDays: 0,
+            floodThreshold: 0
+        });
+    }
+
+    /**
+     * @dev Create a new automated insurance contract with its own drought trigger terms
+     */
+    function newContractWithTerms(
+        address _client,
+        uint256 _duration,
+        uint256 _premium,
+        uint256 _payoutValue,
+        string memory _cropLocation,
+        address _paymentToken,
+        AttestationStructs.TriggerTerms memory _terms
+    )
+        public
+        payable
+        onlyOwner
+        returns (address)
+    {
+        AutomatedInsuranceContract insurance = _createContract(
+            _client, _duration, _premium, _payoutValue, _cropLocation, _paymentToken, _terms
+        );
+        _attestPolicy(insurance, _client, _duration, _premium, _payoutValue, _cropLocation);
+        return address(insurance);
+    }
+
+    /**
+     * @dev Deploy, fund and register a policy with its trigger terms; the caller attests it
+     * once its terms are final
+     */
+    function _createContract(
+        address _client,
+        uint256 _duration,
+        uint256 _premium,
+        uint256 _payoutValue,
+        string memory _cropLocation,
+        address _paymentToken,
+        AttestationStructs.TriggerTerms memory _terms
+    ) internal returns (AutomatedInsuranceContract) {
         require(supportedTokens[_paymentToken], "Payment token not supported");
         require(_premium > 0, "Premium must be greater than 0");
         require(_payoutValue > _premium, "Payout must exceed premium");
         require(_duration > 0, "Duration must be greater than 0");
         require(_client != address(0), "Invalid client address");
+        require(!kycRequired || easManager.hasValidKYC(_client), "Client KYC not valid");
         
         // Calculate funding amount based on payment token
         uint256 fundingAmount;
@@ -398,6 +503,8 @@ contract AutomatedInsuranceProvider is Ownable, ReentrancyGuard, AutomationCompa
             jobId1,
             jobId2
         );
+        // Set before the policy attestation, which records the terms
+        insurance.setTriggerTerms(_terms);
 
         contracts[address(insurance)] = insurance;
         clientContracts[_client].push(address(insurance));
@@ -426,8 +533,21 @@ contract AutomatedInsuranceProvider is Ownable, ReentrancyGuard, AutomationCompa
         // Create packed config hash for gas-efficient event emission
         bytes32 configHash = keccak256(abi.encodePacked(_paymentToken, _premium, _payoutValue));
         emit ContractCreated(address(insurance), _client, configHash);
-        
-        // Create EAS policy attestation if enabled
+
+        return insurance;
+    }
+
+    /**
+     * @dev Create the EAS policy attestation if enabled
+     */
+    function _attestPolicy(
+        AutomatedInsuranceContract insurance,
+        address _client,
+        uint256 _duration,
+        uint256 _premium,
+        uint256 _payoutValue,
+        string memory _cropLocation
+    ) internal {
         if (easEnabled && address(easManager) != address(0)) {
             try easManager.createPolicyAttestation(
                 address(insurance),
@@ -448,8 +568,6 @@ contract AutomatedInsuranceProvider is Ownable, ReentrancyGuard, AutomationCompa
             } catch {
             }
         }
-        
-        return address(insurance);
     }
 
     /**
@@ -661,6 +779,34 @@ contract AutomatedInsuranceProvider is Ownable, ReentrancyGuard, AutomationCompa
         }
     }
 
+    /**
+     * @dev Change which weather sources a policy reads and how they are combined; see
+     * AutomatedInsuranceContract.setOracleAggregation
+     */
+    function setOracleAggregation(
+        address _contract,
+        uint8[] calldata _sources,
+        uint8 _minQuorum,
+        uint16 _toleranceBps,
+        uint32 _toleranceMm
+    ) external onlyOwner {
+        require(address(contracts[_contract]) != address(0), "Unknown contract");
+        contracts[_contract].setOracleAggregation(_sources, _minQuorum, _toleranceBps, _toleranceMm);
+    }
+
+    /**
+     * @dev Top up policies' LINK balances from the provider's own LINK
+     */
+    function topUpLink(address[] calldata _contracts, uint256[] calldata _amounts) external onlyOwner {
+        require(_contracts.length == _amounts.length, "Length mismatch");
+        LinkTokenInterface link = LinkTokenInterface(linkToken);
+        for (uint256 i = 0; i < _contracts.length; i++) {
+            require(address(contracts[_contracts[i]]) != address(0), "Unknown contract");
+            require(link.transfer(_contracts[i], _amounts[i]), "LINK transfer failed");
+            emit LinkToppedUp(_contracts[i], _amounts[i]);
+        }
+    }
+
     // Include all other functions from previous implementation
     function getLatestPrice() public view returns (int256) {
         (
@@ -776,8 +922,21 @@ contract AutomatedInsuranceContract is ChainlinkClient, Ownable, ReentrancyGuard
 
     // Constants
     uint256 public constant DAY_IN_SECONDS = 86400;
-    uint256 public constant DROUGHT_DAYS_THRESHOLD = 3;
+    uint256 public constant DROUGHT_DAYS_THRESHOLD = 3; // default; see triggerTerms
+    uint256 public constant MAX_DEFICIT_WINDOW_DAYS = PolicyWeather.MAX_DEFICIT_WINDOW_DAYS; // also caps the flood window
     uint256 public constant MAX_STALENESS = 3600; // 1 hour
+    uint8 public constant TRIGGER_DRY_DAYS = PolicyWeather.TRIGGER_DRY_DAYS;
+    uint8 public constant TRIGGER_RAINFALL_DEFICIT = PolicyWeather.TRIGGER_RAINFALL_DEFICIT;
+    uint8 public constant TRIGGER_EXCESS_RAINFALL = PolicyWeather.TRIGGER_EXCESS_RAINFALL;
+    uint8 public constant PRODUCT_DROUGHT = PolicyWeather.PRODUCT_DROUGHT;
+    uint8 public constant PRODUCT_FLOOD = PolicyWeather.PRODUCT_FLOOD;
+    uint256 public constant MAX_PAYOUT_TIERS = PolicyWeather.MAX_PAYOUT_TIERS;
+    uint256 public constant BPS = PolicyWeather.BPS;
+    uint8 public constant SOURCE_WORLD_WEATHER_ONLINE = PolicyWeather.SOURCE_WORLD_WEATHER_ONLINE;
+    uint8 public constant SOURCE_OPEN_WEATHER = PolicyWeather.SOURCE_OPEN_WEATHER;
+    uint8 public constant SOURCE_WEATHERBIT = PolicyWeather.SOURCE_WEATHERBIT;
+    uint8 public constant SOURCE_COUNT = PolicyWeather.SOURCE_COUNT;
+    uint256 public constant NO_READING = PolicyWeather.NO_READING; // a source the node could not read
     uint256 private oraclePaymentAmount;
 
     // Contract parameters
@@ -791,11 +950,28 @@ contract AutomatedInsuranceContract is ChainlinkClient, Ownable, ReentrancyGuard
     address public paymentToken;
 
     // Weather monitoring
-    uint256[2] public currentRainfallList;
     bytes32[2] public jobIds;
     address[2] public oracles;
+    // SOURCE_* read each day, in the order the node reports them; a day's rainfall is the median
+    // of the readings within tolerance of the median, and needs minQuorum of them
+    uint8[] private weatherSources;
+    uint8 public minQuorum;
+    uint16 public toleranceBps;
+    uint32 public toleranceMm;
+    // Latest raw reading per source (NO_READING if it failed) and whether it counted
+    uint256[] private sourceReadings;
+    bool[] private sourceAccepted;
     
     uint256 public daysWithoutRain;
+    AttestationStructs.TriggerTerms public triggerTerms;
+    // Last deficitWindowDays (or floodWindowDays) readings as a ring buffer, and their sum
+    uint256[] private recentRainfall;
+    uint256 public windowRainfall;
+    uint8 public payoutTrigger; // TRIGGER_* behind the latest payout, 0 until then
+    AttestationStructs.PayoutTier[] private payoutTiers;
+    bool public linearDeficitPayout;
+    uint256 public payoutBpsPaid; // share of the escrow paid so far
+    uint256 public payoutsMade; // cumulative USD value paid, same units as payoutValue
     bool public contractActive;
     bool public contractPaid = false;
     uint256 public currentRainfall = 0;
@@ -824,6 +1000,21 @@ contract AutomatedInsuranceContract is ChainlinkClient, Ownable, ReentrancyGuard
     event dataReceived(uint _rainfall);
     event WeatherAttestationCreated(bytes32 indexed uid, uint256 rainfall);
     event ClaimAttestationCreated(bytes32 indexed uid, uint256 claimAmount);
+    event TriggerTermsSet(
+        uint32 droughtDays,
+        uint32 dryDayThreshold,
+        uint32 deficitWindowDays,
+        uint64 deficitThreshold,
+        uint8 product,
+        uint32 floodWindowDays,
+        uint64 floodThreshold
+    );
+    event PayoutStructureSet(uint256 tierCount, bool linearDeficit);
+    event PayoutMade(uint256 payoutBps, uint256 amount, uint256 totalPaid);
+    event OracleAggregationSet(uint8[] sources, uint8 minQuorum, uint16 toleranceBps, uint32 toleranceMm);
+    // Emitted through PolicyWeather, which runs in the policy's context, as is RainfallThresholdReset
+    event SourceReadingRejected(uint8 indexed source, uint256 reading, uint256 median);
+    event WeatherReadingRejected(uint256 acceptedSources, uint256 minQuorum);
 
     modifier onlyInsurer() {
         require(insurer == msg.sender, "Only insurer can do this");
@@ -872,6 +1063,7 @@ contract AutomatedInsuranceContract is ChainlinkClient, Ownable, ReentrancyGuard
         payoutValue = _payoutValue;
         paymentToken = _paymentToken;
         daysWithoutRain = 0;
+        triggerTerms.droughtDays = uint32(DROUGHT_DAYS_THRESHOLD);
         contractActive = false;
         cropLocation = _cropLocation;
 
@@ -885,10 +1077,90 @@ contract AutomatedInsuranceContract is ChainlinkClient, Ownable, ReentrancyGuard
         oracles[1] = _oracle2;
         jobIds[0] = _jobId1;
         jobIds[1] = _jobId2;
+        weatherSources = [SOURCE_WORLD_WEATHER_ONLINE, SOURCE_OPEN_WEATHER, SOURCE_WEATHERBIT];
+        minQuorum = 2;
+        toleranceBps = 2500;
+        toleranceMm = 5;
 
         emit contractCreated(insurer, client, duration, premium, payoutValue);
     }
 
+    /**
+     * @dev Set the payout trigger: drought terms, or a rolling excess-rainfall window for
+     * flood cover; fixed once the premium is paid
+     */
+    function setTriggerTerms(AttestationStructs.TriggerTerms calldata _terms) external onlyInsurer {
+        require(!premiumPaid, "Terms fixed once premium is paid");
+        PolicyWeather.validateTriggerTerms(_terms);
+
+        triggerTerms = _terms;
+        emit TriggerTermsSet(
+            _terms.droughtDays,
+            _terms.dryDayThreshold,
+            _terms.deficitWindowDays,
+            _terms.deficitThreshold,
+            _terms.product,
+            _terms.floodWindowDays,
+            _terms.floodThreshold
+        );
+    }
+
+    /**
+     * @dev Replace the all-at-once payout with dry-day tiers and/or a deficit-proportional
+     * payout; fixed once the premium is paid. Tier shares are cumulative, so
+     * [3 days: 25%, 5: 50%, 7: 100%] pays 25% + 25% + 50% as the streak grows.
+     */
+    function setPayoutStructure(AttestationStructs.PayoutTier[] calldata _tiers, bool _linearDeficit) external onlyInsurer {
+        require(!premiumPaid, "Payout fixed once premium is paid");
+        PolicyWeather.validatePayoutStructure(_tiers, _linearDeficit, triggerTerms);
+
+        delete payoutTiers;
+        for (uint256 i = 0; i < _tiers.length; i++) {
+            payoutTiers.push(_tiers[i]);
+        }
+        linearDeficitPayout = _linearDeficit;
+
+        emit PayoutStructureSet(_tiers.length, _linearDeficit);
+    }
+
+    function getPayoutTiers() external view returns (AttestationStructs.PayoutTier[] memory) {
+        return payoutTiers;
+    }
+
+    /**
+     * @dev Choose the weather sources read each day and how their readings are combined; fixed
+     * once the premium is paid. A reading counts when it is within the larger of _toleranceBps
+     * of the median and _toleranceMm, and a day is only recorded when _minQuorum readings count.
+     */
+    function setOracleAggregation(
+        uint8[] calldata _sources,
+        uint8 _minQuorum,
+        uint16 _toleranceBps,
+        uint32 _toleranceMm
+    ) external onlyInsurer {
+        require(!premiumPaid, "Sources fixed once premium is paid");
+        PolicyWeather.validateOracleAggregation(_sources, _minQuorum);
+
+        weatherSources = _sources;
+        minQuorum = _minQuorum;
+        toleranceBps = _toleranceBps;
+        toleranceMm = _toleranceMm;
+
+        emit OracleAggregationSet(_sources, _minQuorum, _toleranceBps, _toleranceMm);
+    }
+
+    /**
+     * @dev The configured sources with their latest raw readings and whether each counted;
+     * readings are empty until the first weather check is answered
+     */
+    function getSourceReadings()
+        external
+        view
+        returns (uint8[] memory sources, uint256[] memory readings, bool[] memory accepted)
+    {
+        return (weatherSources, sourceReadings, sourceAccepted);
+    }
+
     /**
      * @dev Activate contract after premium payment
      */
@@ -948,41 +1220,14 @@ contract AutomatedInsuranceContract is ChainlinkClient, Ownable, ReentrancyGuard
      */
     function _requestWeatherData() internal {
         // Create aggregated request payload for multiple weather sources
-        bytes memory aggregatedRequest = _buildAggregatedWeatherRequest();
+        bytes memory aggregatedRequest = PolicyWeather.weatherRequest(
+            weatherSources, cropLocation, worldWeatherOnlineKey, openWeatherKey, weatherbitKey
+        );
         
         // Single oracle call with multiple data sources (more gas efficient)
         _checkAggregatedRainfall(oracles[0], jobIds[0], aggregatedRequest);
     }
 
-    /**
-     * @dev Build aggregated weather request payload combining multiple APIs
-     */
-    function _buildAggregatedWeatherRequest() internal view returns (bytes memory) {
-        // Pack multiple API requests into single payload
-        return abi.encode(
-            // Weather source 1: World Weather Online
-            string(abi.encodePacked(
-                "http://api.worldweatheronline.com/premium/v1/weather.ashx?key=",
-                worldWeatherOnlineKey,
-                "&q=", cropLocation,
-                "&format=json&num_of_days=1"
-            )),
-            "data.current_condition.0.precipMM",
-            
-            // Weather source 2: WeatherBit
-            string(abi.encodePacked(
-                "https://api.weatherbit.io/v2.0/current?city=",
-                cropLocation,
-                "&key=", weatherbitKey
-            )),
-            "data.0.precip",
-            
-            // Request metadata
-            cropLocation,
-            block.timestamp
-        );
-    }
-
     /**
      * @dev Single aggregated oracle request (saves ~40% gas vs multiple requests)
      */
@@ -1000,7 +1245,7 @@ contract AutomatedInsuranceContract is ChainlinkClient, Ownable, ReentrancyGuard
         // Add aggregated request data
         req.addBytes("requestData", _requestData);
         req.add("aggregated", "true");
-        req.addInt("sources", 2); // Number of weather sources
+        req.addInt("sources", int256(weatherSources.length));
 
         requestId = sendChainlinkRequestTo(_oracle, req, oraclePaymentAmount);
         emit dataRequestSent(requestId);
@@ -1009,40 +1254,17 @@ contract AutomatedInsuranceContract is ChainlinkClient, Ownable, ReentrancyGuard
     }
 
     /**
-     * @dev Optimized callback for aggregated weather data
+     * @dev Optimized callback for aggregated weather data: one reading per configured source, in
+     * order. A source the node could not read is sent as NO_READING or left off the end.
      */
     function checkAggregatedRainfallCallback(
         bytes32 _requestId,
         uint256[] memory _rainfallData
     ) public recordChainlinkFulfillment(_requestId) onContractActive {
-        require(_rainfallData.length >= 2, "Insufficient weather data");
-        
-        // Store individual readings
-        currentRainfallList[0] = _rainfallData[0];
-        currentRainfallList[1] = _rainfallData[1];
-        
-        // Calculate weighted average (can add more sophisticated aggregation)
-        currentRainfall = (_rainfallData[0] + _rainfallData[1]) / 2;
-        
-        requestCount += 1;
-        dataRequestsSent = 2; // Mark as having received both data points
-
-        emit dataReceived(currentRainfall);
-
-        // Evaluate drought conditions
-        if (currentRainfall == 0) {
-            daysWithoutRain += 1;
-        } else {
-            daysWithoutRain = 0;
-            emit RainfallThresholdReset(currentRainfall);
-        }
+        require(_rainfallData.length <= weatherSources.length, "More readings than sources");
+        dataRequestsSent = weatherSources.length;
 
-        if (daysWithoutRain >= DROUGHT_DAYS_THRESHOLD) {
-            _payOutContract();
-        }
-        
-        // Create EAS weather attestation
-        _createWeatherAttestation(currentRainfall);
+        _recordReadings(_rainfallData);
     }
 
     /**
@@ -1069,48 +1291,90 @@ contract AutomatedInsuranceContract is ChainlinkClient, Ownable, ReentrancyGuard
     }
 
     /**
-     * @dev Oracle callback function
+     * @dev Oracle callback function for per-source requests, answered in weatherSources order
      */
     function checkRainfallCallBack(bytes32 _requestId, uint256 _rainfall) 
         public 
         recordChainlinkFulfillment(_requestId) 
         onContractActive 
     {
-        require(dataRequestsSent < 2, "Unexpected extra callback");
-        currentRainfallList[dataRequestsSent] = _rainfall;
+        require(dataRequestsSent < weatherSources.length, "Unexpected extra callback");
+        if (dataRequestsSent == 0) {
+            delete sourceReadings;
+        }
+        sourceReadings.push(_rainfall);
         dataRequestsSent += 1;
 
-        emit dataReceived(_rainfall);
+        // Once every source has answered, aggregate and evaluate
+        if (dataRequestsSent == weatherSources.length) {
+            _recordReadings(sourceReadings);
+        }
+    }
 
-        // If we have received both data points, aggregate and evaluate
-        if (dataRequestsSent >= 2) {
-            requestCount += 1;
-            currentRainfall = (currentRainfallList[0] + currentRainfallList[1]) / 2;
+    /**
+     * @dev Aggregate a day's readings and, if enough sources agree, record the day and evaluate it
+     */
+    function _recordReadings(uint256[] memory _readings) internal {
+        (bool recorded, uint256 rainfall) = PolicyWeather.aggregate(
+            weatherSources, sourceReadings, sourceAccepted, _readings, minQuorum, toleranceBps, toleranceMm
+        );
+        if (!recorded) return;
 
-            if (currentRainfall == 0) {
-                daysWithoutRain += 1;
-            } else {
-                daysWithoutRain = 0;
-                emit RainfallThresholdReset(currentRainfall);
-            }
+        currentRainfall = rainfall;
+        requestCount += 1;
+        emit dataReceived(currentRainfall);
 
-            if (daysWithoutRain >= DROUGHT_DAYS_THRESHOLD) {
-                _payOutContract();
-            }
+        _evaluateTriggers(currentRainfall);
+
+        // Create EAS weather attestation
+        _createWeatherAttestation(currentRainfall);
+    }
+
+    /**
+     * @dev Apply a day's rainfall to the policy's triggers and pay out whatever share they now owe
+     */
+    function _evaluateTriggers(uint256 _rainfall) internal {
+        uint256 targetBps;
+        uint8 trigger;
+        (daysWithoutRain, windowRainfall, targetBps, trigger) = PolicyWeather.evaluate(
+            triggerTerms,
+            payoutTiers,
+            recentRainfall,
+            linearDeficitPayout,
+            daysWithoutRain,
+            windowRainfall,
+            requestCount,
+            _rainfall
+        );
+
+        // Shares are cumulative: only pay what the best trigger owes beyond earlier payouts
+        if (targetBps > payoutBpsPaid) {
+            payoutTrigger = trigger;
+            _payOutContract(targetBps);
         }
     }
-    
+
+    /**
+     * @dev The provider's EAS manager while attestations are enabled, otherwise address(0)
+     */
+    function _easManager() internal view returns (EASInsuranceManager manager) {
+        AutomatedInsuranceProvider provider = AutomatedInsuranceProvider(insurer);
+        if (provider.easEnabled()) {
+            manager = provider.easManager();
+        }
+    }
+
     /**
      * @dev Create weather attestation through EAS
      */
     function _createWeatherAttestation(uint256 rainfall) internal {
-        AutomatedInsuranceProvider provider = AutomatedInsuranceProvider(insurer);
+        EASInsuranceManager manager = _easManager();
         
-        if (provider.easEnabled() && address(provider.easManager()) != address(0)) {
-            try provider.easManager().createWeatherAttestation(
+        if (address(manager) != address(0)) {
+            try manager.createWeatherAttestation(
                 cropLocation,
                 rainfall,
-                "Multi-source Weather API",
+                PolicyWeather.readingSummary(sourceAccepted),
                 bytes32(requestCount), // Use request count as oracle request ID
                 true // Verified through multiple sources
             ) returns (bytes32 attestationUID) {
@@ -1122,31 +1386,48 @@ contract AutomatedInsuranceContract is ChainlinkClient, Ownable, ReentrancyGuard
     }
 
     /**
-     * @dev Execute payout when drought conditions are met
+     * @dev Pay the client up to _targetBps of the escrow; the policy closes once all of it is paid
      */
-    function _payOutContract() internal onContractActive nonReentrant {
-        contractPaid = true;
-        contractActive = false;
-        
-        // Notify provider to remove from automation
-        AutomatedInsuranceProvider(insurer).deactivateContract(address(this));
-        
+    function _payOutContract(uint256 _targetBps) internal onContractActive nonReentrant {
+        // The unpaid balance is what remains of the escrow, so this payment's share of it
+        // is (target - paid) / (BPS - paid); at 100% that is the whole balance
+        uint256 share = _targetBps - payoutBpsPaid;
+        uint256 unpaid = BPS - payoutBpsPaid;
+        // Measured from the cumulative total so rounding never leaves the final payment short
+        uint256 claimAmount = (payoutValue * _targetBps) / BPS - payoutsMade;
+        payoutBpsPaid = _targetBps;
+        payoutsMade += claimAmount;
+
+        bool isFinal = _targetBps == BPS;
+        if (isFinal) {
+            contractPaid = true;
+            contractActive = false;
+
+            // Notify provider to remove from automation
+            AutomatedInsuranceProvider(insurer).deactivateContract(address(this));
+        }
+
+        uint256 amount;
         if (paymentToken == address(0)) {
-            (bool success, ) = payable(client).call{value: address(this).balance}("");
+            amount = (address(this).balance * share) / unpaid;
+            (bool success, ) = payable(client).call{value: amount}("");
             require(success, "ETH transfer failed");
         } else {
-            uint256 tokenBalance = IERC20(paymentToken).balanceOf(address(this));
-            IERC20(paymentToken).safeTransfer(client, tokenBalance);
+            amount = (IERC20(paymentToken).balanceOf(address(this)) * share) / unpaid;
+            IERC20(paymentToken).safeTransfer(client, amount);
         }
+        emit PayoutMade(_targetBps, amount, payoutsMade);
 
-        // Return remaining LINK
-        LinkTokenInterface link = LinkTokenInterface(chainlinkTokenAddress());
-        require(link.transfer(insurer, link.balanceOf(address(this))), "Unable to transfer remaining LINK");
-        
-        emit contractPaidOut(block.timestamp, payoutValue, currentRainfall);
-        
-        // Create EAS claim attestation
-        _createClaimAttestation(payoutValue, 3); // Status 3 = paid
+        if (isFinal) {
+            // Return remaining LINK
+            LinkTokenInterface link = LinkTokenInterface(chainlinkTokenAddress());
+            require(link.transfer(insurer, link.balanceOf(address(this))), "Unable to transfer remaining LINK");
+
+            emit contractPaidOut(block.timestamp, payoutsMade, currentRainfall);
+        }
+
+        // One claim attestation per payment
+        _createClaimAttestation(claimAmount, 3); // Status 3 = paid
     }
 
     /**
@@ -1239,21 +1520,19 @@ contract AutomatedInsuranceContract is ChainlinkClient, Ownable, ReentrancyGuard
      * @dev Create claim attestation through EAS
      */
     function _createClaimAttestation(uint256 claimAmount, uint8 status) internal {
-        AutomatedInsuranceProvider provider = AutomatedInsuranceProvider(insurer);
+        EASInsuranceManager manager = _easManager();
         
-        if (provider.easEnabled() && address(provider.easManager()) != address(0)) {
-            string memory evidence = string(abi.encodePacked(
-                "Drought conditions met: ",
-                "Days without rain: ", Strings.toString(daysWithoutRain),
-                ", Final rainfall: ", Strings.toString(currentRainfall)
-            ));
-            
-            try provider.easManager().createClaimAttestation(
+        if (address(manager) != address(0)) {
+            string memory evidence = PolicyWeather.claimEvidence(
+                triggerTerms, payoutTrigger, daysWithoutRain, windowRainfall, currentRainfall, payoutBpsPaid
+            );
+
+            try manager.createClaimAttestation(
                 address(this),
                 claimAmount,
                 status,
                 evidence,
-                true // Drought confirmed
+                triggerTerms.product == PRODUCT_DROUGHT // Drought confirmed; false for a flood claim
             ) returns (bytes32 attestationUID) {
                 emit ClaimAttestationCreated(attestationUID, claimAmount);
             } catch {
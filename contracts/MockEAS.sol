@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@ethereum-attestation-service/eas-contracts/contracts/IEAS.sol";
+import "@ethereum-attestation-service/eas-contracts/contracts/ISchemaRegistry.sol";
+import "@ethereum-attestation-service/eas-contracts/contracts/Common.sol";
+
+/**
+ * @title MockSchemaRegistry
+ * @dev Minimal EAS SchemaRegistry for local chains: register and getSchema with the
+ * same UID derivation as the deployed registry, so InsuranceSchemas can run unchanged.
+ * @notice This contract is only for testing purposes
+ */
+contract MockSchemaRegistry {
+    mapping(bytes32 => SchemaRecord) private registry;
+
+    event Registered(bytes32 indexed uid, address indexed registerer, SchemaRecord schema);
+
+    function register(string calldata schema, ISchemaResolver resolver, bool revocable) external returns (bytes32) {
+        bytes32 uid = keccak256(abi.encodePacked(schema, resolver, revocable));
+        require(registry[uid].uid == EMPTY_UID, "Schema already registered");
+
+        SchemaRecord memory record = SchemaRecord({ uid: uid, resolver: resolver, revocable: revocable, schema: schema });
+        registry[uid] = record;
+        emit Registered(uid, msg.sender, record);
+        return uid;
+    }
+
+    function getSchema(bytes32 uid) external view returns (SchemaRecord memory) {
+        return registry[uid];
+    }
+}
+
+/**
+ * @title MockEAS
+ * @dev Minimal Ethereum Attestation Service for local chains covering what
+ * EASInsuranceManager uses: attest, revoke and getAttestation, with EAS's expiry and
+ * revocation rules. No resolvers, delegation or multi-attestations.
+ * @notice This contract is only for testing purposes
+ */
+contract MockEAS {
+    MockSchemaRegistry private immutable schemaRegistry;
+    mapping(bytes32 => Attestation) private attestations;
+    uint32 private nonce;
+
+    event Attested(address indexed recipient, address indexed attester, bytes32 uid, bytes32 indexed schemaUID);
+    event Revoked(address indexed recipient, address indexed revoker, bytes32 uid, bytes32 indexed schemaUID);
+
+    constructor(MockSchemaRegistry _schemaRegistry) {
+        schemaRegistry = _schemaRegistry;
+    }
+
+    function getSchemaRegistry() external view returns (MockSchemaRegistry) {
+        return schemaRegistry;
+    }
+
+    function attest(AttestationRequest calldata request) external payable returns (bytes32) {
+        SchemaRecord memory schema = schemaRegistry.getSchema(request.schema);
+        require(schema.uid != EMPTY_UID, "Invalid schema");
+        require(!request.data.revocable || schema.revocable, "Irrevocable schema");
+        require(
+            request.data.expirationTime == NO_EXPIRATION_TIME || request.data.expirationTime > block.timestamp,
+            "Invalid expiration time"
+        );
+
+        Attestation memory attestation = Attestation({
+            uid: EMPTY_UID,
+            schema: request.schema,
+            time: uint64(block.timestamp),
+            expirationTime: request.data.expirationTime,
+            revocationTime: 0,
+            refUID: request.data.refUID,
+            recipient: request.data.recipient,
+            attester: msg.sender,
+            revocable: request.data.revocable,
+            data: request.data.data
+        });
+        bytes32 uid = keccak256(abi.encodePacked(
+            attestation.schema,
+            attestation.recipient,
+            attestation.attester,
+            attestation.time,
+            attestation.expirationTime,
+            attestation.revocable,
+            attestation.refUID,
+            attestation.data,
+            nonce++
+        ));
+        attestation.uid = uid;
+        attestations[uid] = attestation;
+
+        emit Attested(attestation.recipient, msg.sender, uid, attestation.schema);
+        return uid;
+    }
+
+    function revoke(RevocationRequest calldata request) external payable {
+        Attestation storage attestation = attestations[request.data.uid];
+        require(attestation.uid != EMPTY_UID, "Attestation not found");
+        require(attestation.schema == request.schema, "Invalid schema");
+        require(attestation.attester == msg.sender, "Access denied");
+        require(attestation.revocable, "Irrevocable");
+        require(attestation.revocationTime == 0, "Already revoked");
+
+        attestation.revocationTime = uint64(block.timestamp);
+        emit Revoked(attestation.recipient, msg.sender, attestation.uid, attestation.schema);
+    }
+
+    function getAttestation(bytes32 uid) external view returns (Attestation memory) {
+        return attestations[uid];
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+interface ERC677Receiver {
+    function onTokenTransfer(address sender, uint256 amount, bytes calldata data) external;
+}
+
+/**
+ * @title MockLinkToken
+ * @dev ERC677 LINK stand-in so ChainlinkClient requests work on a local chain
+ * @notice This contract is only for testing purposes
+ */
+contract MockLinkToken is ERC20 {
+    constructor() ERC20("ChainLink Token", "LINK") {
+        _mint(msg.sender, 1_000_000 ether);
+    }
+
+    /**
+     * @dev Transfer LINK and notify the receiving contract, as ChainlinkClient expects
+     * @param to Receiving contract (the oracle)
+     * @param value Amount of LINK to transfer
+     * @param data Encoded oracle request forwarded to onTokenTransfer
+     */
+    function transferAndCall(address to, uint256 value, bytes calldata data) external returns (bool) {
+        _transfer(msg.sender, to, value);
+        ERC677Receiver(to).onTokenTransfer(msg.sender, value, data);
+        return true;
+    }
+}
@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title MockOperator
+ * @dev Minimal Chainlink Operator for local chains. Accepts oracleRequest (v1) and
+ * operatorRequest (v2) payloads via LINK transferAndCall, emits the standard
+ * OracleRequest event and lets an authorized node answer with multi-word data.
+ * @notice This contract is only for testing purposes
+ */
+contract MockOperator is Ownable {
+    uint256 public constant EXPIRYTIME = 5 minutes;
+
+    // oracleRequest(address,uint256,bytes32,address,bytes4,uint256,uint256,bytes)
+    bytes4 private constant ORACLE_REQUEST_SELECTOR = 0x40429946;
+    // operatorRequest(address,uint256,bytes32,bytes4,uint256,uint256,bytes)
+    bytes4 private constant OPERATOR_REQUEST_SELECTOR = 0x3c6d41b9;
+
+    address public immutable linkToken;
+    mapping(bytes32 => bytes32) private commitments;
+    mapping(address => bool) public authorizedSenders;
+
+    event OracleRequest(
+        bytes32 indexed specId,
+        address requester,
+        bytes32 requestId,
+        uint256 payment,
+        address callbackAddr,
+        bytes4 callbackFunctionId,
+        uint256 cancelExpiration,
+        uint256 dataVersion,
+        bytes data
+    );
+    event OracleResponse(bytes32 indexed requestId);
+
+    constructor(address _linkToken) {
+        linkToken = _linkToken;
+        authorizedSenders[msg.sender] = true;
+    }
+
+    /**
+     * @dev Allow or revoke a node address that may fulfill requests
+     */
+    function setAuthorizedSender(address _sender, bool _allowed) external onlyOwner {
+        authorizedSenders[_sender] = _allowed;
+    }
+
+    /**
+     * @dev Entry point for LINK transferAndCall; decodes the request and records its commitment
+     */
+    function onTokenTransfer(address _sender, uint256 _amount, bytes calldata _data) external {
+        require(msg.sender == linkToken, "Must use LINK token");
+        bytes4 selector = bytes4(_data[:4]);
+
+        bytes32 specId;
+        address callbackAddress;
+        bytes4 callbackFunctionId;
+        uint256 nonce;
+        uint256 dataVersion;
+        bytes memory requestData;
+
+        if (selector == ORACLE_REQUEST_SELECTOR) {
+            (, , specId, callbackAddress, callbackFunctionId, nonce, dataVersion, requestData) = abi.decode(
+                _data[4:],
+                (address, uint256, bytes32, address, bytes4, uint256, uint256, bytes)
+            );
+        } else if (selector == OPERATOR_REQUEST_SELECTOR) {
+            (, , specId, callbackFunctionId, nonce, dataVersion, requestData) = abi.decode(
+                _data[4:],
+                (address, uint256, bytes32, bytes4, uint256, uint256, bytes)
+            );
+            callbackAddress = _sender;
+        } else {
+            revert("Unsupported request type");
+        }
+
+        bytes32 requestId = keccak256(abi.encodePacked(_sender, nonce));
+        require(commitments[requestId] == bytes32(0), "Must use a unique ID");
+
+        uint256 expiration = block.timestamp + EXPIRYTIME;
+        commitments[requestId] = keccak256(abi.encodePacked(_amount, callbackAddress, callbackFunctionId, expiration));
+
+        emit OracleRequest(
+            specId,
+            _sender,
+            requestId,
+            _amount,
+            callbackAddress,
+            callbackFunctionId,
+            expiration,
+            dataVersion,
+            requestData
+        );
+    }
+
+    /**
+     * @dev Deliver a multi-word response; _data is the ABI-encoded callback arguments,
+     * starting with the request ID
+     */
+    function fulfillOracleRequest2(
+        bytes32 _requestId,
+        uint256 _payment,
+        address _callbackAddress,
+        bytes4 _callbackFunctionId,
+        uint256 _expiration,
+        bytes calldata _data
+    ) external returns (bool) {
+        require(authorizedSenders[msg.sender], "Not authorized sender");
+        require(
+            commitments[_requestId] ==
+                keccak256(abi.encodePacked(_payment, _callbackAddress, _callbackFunctionId, _expiration)),
+            "Params do not match request ID"
+        );
+        require(_data.length >= 32 && bytes32(_data[:32]) == _requestId, "First word must be requestId");
+
+        delete commitments[_requestId];
+        emit OracleResponse(_requestId);
+
+        (bool success, ) = _callbackAddress.call(abi.encodePacked(_callbackFunctionId, _data));
+        return success;
+    }
+}
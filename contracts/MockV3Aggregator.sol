@@ -0,0 +1,5 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+// Re-exported so Truffle builds an artifact for local price feeds
+import "@chainlink/contracts/src/v0.8/tests/MockV3Aggregator.sol";
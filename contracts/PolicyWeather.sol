@@ -0,0 +1,315 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./eas/interfaces/IEASInsurance.sol";
+
+/**
+ * @title PolicyWeather
+ * @dev Weather requests, reading aggregation and payout trigger evaluation for
+ * AutomatedInsuranceContract. Deployed once and linked, so the policy bytecode stays under the
+ * EIP-170 contract size limit.
+ */
+library PolicyWeather {
+    uint256 public constant BPS = 10000;
+    uint256 public constant NO_READING = type(uint256).max; // a source the node could not read
+    uint8 public constant TRIGGER_DRY_DAYS = 1;
+    uint8 public constant TRIGGER_RAINFALL_DEFICIT = 2;
+    uint8 public constant TRIGGER_EXCESS_RAINFALL = 3;
+    uint8 public constant PRODUCT_DROUGHT = 0;
+    uint8 public constant PRODUCT_FLOOD = 1;
+    uint256 public constant MAX_DEFICIT_WINDOW_DAYS = 30; // also caps the flood window
+    uint256 public constant MAX_PAYOUT_TIERS = 5;
+    uint8 public constant SOURCE_WORLD_WEATHER_ONLINE = 0;
+    uint8 public constant SOURCE_OPEN_WEATHER = 1;
+    uint8 public constant SOURCE_WEATHERBIT = 2;
+    uint8 public constant SOURCE_COUNT = 3;
+
+    // Emitted from the calling policy; AutomatedInsuranceContract declares the same events for its ABI
+    event RainfallThresholdReset(uint256 rainfall);
+    event SourceReadingRejected(uint8 indexed source, uint256 reading, uint256 median);
+    event WeatherReadingRejected(uint256 acceptedSources, uint256 minQuorum);
+
+    /**
+     * @dev Revert unless _terms describe a drought or a flood trigger, and nothing of the other
+     */
+    function validateTriggerTerms(AttestationStructs.TriggerTerms memory _terms) public pure {
+        require(_terms.product <= PRODUCT_FLOOD, "Unknown product");
+        if (_terms.product == PRODUCT_FLOOD) {
+            require(_terms.droughtDays == 0 && _terms.deficitWindowDays == 0, "Flood cover has no drought trigger");
+            require(_terms.floodWindowDays > 0, "Flood window required");
+            require(_terms.floodWindowDays <= MAX_DEFICIT_WINDOW_DAYS, "Flood window too long");
+            require(_terms.floodThreshold > 0, "Flood threshold required");
+        } else {
+            require(_terms.floodWindowDays == 0 && _terms.floodThreshold == 0, "Drought cover has no flood trigger");
+            require(_terms.droughtDays > 0 || _terms.deficitWindowDays > 0, "No drought trigger");
+            require(_terms.deficitWindowDays <= MAX_DEFICIT_WINDOW_DAYS, "Deficit window too long");
+            require(_terms.deficitWindowDays == 0 || _terms.deficitThreshold > 0, "Deficit threshold required");
+        }
+    }
+
+    /**
+     * @dev Revert unless the tiers start at the dry-day trigger and grow in both days and share,
+     * and a linear payout has a deficit window to measure
+     */
+    function validatePayoutStructure(
+        AttestationStructs.PayoutTier[] memory _tiers,
+        bool _linearDeficit,
+        AttestationStructs.TriggerTerms storage _terms
+    ) public view {
+        require(_tiers.length <= MAX_PAYOUT_TIERS, "Too many payout tiers");
+        require(_tiers.length == 0 || _terms.droughtDays > 0, "Tiers need a dry-day trigger");
+        require(_tiers.length == 0 || _tiers[0].dryDays == _terms.droughtDays, "First tier must match droughtDays");
+        require(!_linearDeficit || _terms.deficitWindowDays > 0, "Linear payout needs a deficit window");
+
+        for (uint256 i = 0; i < _tiers.length; i++) {
+            if (i > 0) {
+                require(_tiers[i].dryDays > _tiers[i - 1].dryDays, "Tier days must increase");
+                require(_tiers[i].bps > _tiers[i - 1].bps, "Tier shares must increase");
+            }
+            require(_tiers[i].bps > 0 && _tiers[i].bps <= BPS, "Invalid tier share");
+        }
+    }
+
+    /**
+     * @dev Revert unless the sources are known and distinct and the quorum is reachable
+     */
+    function validateOracleAggregation(uint8[] memory _sources, uint8 _minQuorum) public pure {
+        require(_sources.length > 0, "No weather sources");
+        require(_minQuorum > 0 && _minQuorum <= _sources.length, "Invalid quorum");
+        for (uint256 i = 0; i < _sources.length; i++) {
+            require(_sources[i] < SOURCE_COUNT, "Unknown weather source");
+            for (uint256 j = 0; j < i; j++) {
+                require(_sources[j] != _sources[i], "Duplicate weather source");
+            }
+        }
+    }
+
+    /**
+     * @dev Aggregated oracle request payload: one API URL and precipitation path per source
+     */
+    function weatherRequest(
+        uint8[] storage _sources,
+        string storage _location,
+        string storage _worldWeatherOnlineKey,
+        string storage _openWeatherKey,
+        string storage _weatherbitKey
+    ) public view returns (bytes memory) {
+        uint256 count = _sources.length;
+        string[] memory urls = new string[](count);
+        string[] memory paths = new string[](count);
+        for (uint256 i = 0; i < count; i++) {
+            if (_sources[i] == SOURCE_WORLD_WEATHER_ONLINE) {
+                urls[i] = string(abi.encodePacked(
+                    "http://api.worldweatheronline.com/premium/v1/weather.ashx?key=",
+                    _worldWeatherOnlineKey,
+                    "&q=", _location,
+                    "&format=json&num_of_days=1"
+                ));
+                paths[i] = "data.current_condition.0.precipMM";
+            } else if (_sources[i] == SOURCE_OPEN_WEATHER) {
+                urls[i] = string(abi.encodePacked(
+                    "https://api.openweathermap.org/data/2.5/weather?q=",
+                    _location,
+                    "&units=metric&appid=", _openWeatherKey
+                ));
+                paths[i] = "rain.1h";
+            } else {
+                urls[i] = string(abi.encodePacked(
+                    "https://api.weatherbit.io/v2.0/current?city=",
+                    _location,
+                    "&key=", _weatherbitKey
+                ));
+                paths[i] = "data.0.precip";
+            }
+        }
+
+        // The node answers with one reading per source, in this order
+        return abi.encode(urls, paths, _location, block.timestamp);
+    }
+
+    /**
+     * @dev Keep each source's raw reading and return the median of those within tolerance of the
+     * median of all of them. recorded is false, leaving the day unrecorded, when fewer than
+     * _minQuorum count, so one broken source can neither fake nor hide a dry day.
+     */
+    function aggregate(
+        uint8[] storage _sources,
+        uint256[] storage _sourceReadings,
+        bool[] storage _sourceAccepted,
+        uint256[] memory _readings,
+        uint256 _minQuorum,
+        uint256 _toleranceBps,
+        uint256 _toleranceMm
+    ) public returns (bool recorded, uint256 rainfall) {
+        uint256 sourceCount = _sources.length;
+        uint256[] memory values = new uint256[](sourceCount);
+        uint256 count;
+
+        while (_sourceReadings.length > 0) _sourceReadings.pop();
+        for (uint256 i = 0; i < sourceCount; i++) {
+            uint256 reading = i < _readings.length ? _readings[i] : NO_READING;
+            _sourceReadings.push(reading);
+            if (reading != NO_READING) {
+                values[count++] = reading;
+            }
+        }
+
+        uint256 median = _median(values, count);
+        uint256 tolerance = Math.max(Math.mulDiv(median, _toleranceBps, BPS), _toleranceMm);
+        uint256 accepted;
+
+        while (_sourceAccepted.length > 0) _sourceAccepted.pop();
+        for (uint256 i = 0; i < sourceCount; i++) {
+            uint256 reading = _sourceReadings[i];
+            bool counts = reading != NO_READING &&
+                (reading > median ? reading - median : median - reading) <= tolerance;
+            _sourceAccepted.push(counts);
+            if (counts) {
+                values[accepted++] = reading;
+            } else if (reading != NO_READING) {
+                emit SourceReadingRejected(_sources[i], reading, median);
+            }
+        }
+
+        if (accepted < _minQuorum) {
+            emit WeatherReadingRejected(accepted, _minQuorum);
+            return (false, 0);
+        }
+        return (true, _median(values, accepted));
+    }
+
+    /**
+     * @dev Apply a day's rainfall to the dry streak and the rolling window, and work out the share
+     * of the payout the triggers now owe. The best trigger wins; shares are cumulative, so callers
+     * pay only what targetBps exceeds earlier payouts by. _day is the 1-based count of recorded days.
+     */
+    function evaluate(
+        AttestationStructs.TriggerTerms storage _terms,
+        AttestationStructs.PayoutTier[] storage _tiers,
+        uint256[] storage _window,
+        bool _linearDeficit,
+        uint256 _daysWithoutRain,
+        uint256 _windowRainfall,
+        uint256 _day,
+        uint256 _rainfall
+    ) public returns (uint256 daysWithoutRain, uint256 windowRainfall, uint256 targetBps, uint8 trigger) {
+        if (_rainfall <= _terms.dryDayThreshold) {
+            daysWithoutRain = _daysWithoutRain + 1;
+        } else {
+            emit RainfallThresholdReset(_rainfall);
+        }
+
+        windowRainfall = _windowRainfall;
+        uint256 windowDays = _terms.product == PRODUCT_FLOOD ? _terms.floodWindowDays : _terms.deficitWindowDays;
+        if (windowDays > 0) {
+            if (_window.length < windowDays) {
+                _window.push(_rainfall);
+            } else {
+                uint256 slot = (_day - 1) % windowDays;
+                windowRainfall -= _window[slot];
+                _window[slot] = _rainfall;
+            }
+            windowRainfall += _rainfall;
+        }
+
+        if (_terms.droughtDays > 0 && daysWithoutRain >= _terms.droughtDays) {
+            targetBps = _tierBps(_tiers, daysWithoutRain);
+            trigger = TRIGGER_DRY_DAYS;
+        }
+        if (
+            _terms.deficitWindowDays > 0 &&
+            _window.length == _terms.deficitWindowDays &&
+            windowRainfall < _terms.deficitThreshold
+        ) {
+            uint256 deficitBps = _linearDeficit
+                ? ((_terms.deficitThreshold - windowRainfall) * BPS) / _terms.deficitThreshold
+                : BPS;
+            if (deficitBps > targetBps) {
+                targetBps = deficitBps;
+                trigger = TRIGGER_RAINFALL_DEFICIT;
+            }
+        }
+        // Flood needs no full window: exceeding the threshold in fewer days is already excess rain
+        if (_terms.product == PRODUCT_FLOOD && windowRainfall > _terms.floodThreshold) {
+            targetBps = BPS;
+            trigger = TRIGGER_EXCESS_RAINFALL;
+        }
+    }
+
+    /**
+     * @dev Weather attestation source description: how many readings the day's median is taken from
+     */
+    function readingSummary(bool[] storage _sourceAccepted) public view returns (string memory) {
+        uint256 count;
+        for (uint256 i = 0; i < _sourceAccepted.length; i++) {
+            if (_sourceAccepted[i]) count++;
+        }
+        return string(abi.encodePacked("Median of ", Strings.toString(count), " weather sources"));
+    }
+
+    /**
+     * @dev Claim attestation evidence: the trigger that paid and the readings behind it
+     */
+    function claimEvidence(
+        AttestationStructs.TriggerTerms storage _terms,
+        uint8 _trigger,
+        uint256 _daysWithoutRain,
+        uint256 _windowRainfall,
+        uint256 _rainfall,
+        uint256 _paidBps
+    ) public view returns (string memory) {
+        if (_trigger == TRIGGER_EXCESS_RAINFALL) {
+            return string(abi.encodePacked(
+                "Excess rainfall: ", Strings.toString(_windowRainfall),
+                " over ", Strings.toString(_terms.floodWindowDays),
+                " days, threshold ", Strings.toString(_terms.floodThreshold)
+            ));
+        }
+        if (_trigger == TRIGGER_RAINFALL_DEFICIT) {
+            return string(abi.encodePacked(
+                "Rainfall deficit: ", Strings.toString(_windowRainfall),
+                " over ", Strings.toString(_terms.deficitWindowDays),
+                " days, threshold ", Strings.toString(_terms.deficitThreshold),
+                ", paid to ", Strings.toString(_paidBps), " bps"
+            ));
+        }
+        return string(abi.encodePacked(
+            "Drought conditions met: ",
+            "Days without rain: ", Strings.toString(_daysWithoutRain),
+            ", Final rainfall: ", Strings.toString(_rainfall),
+            ", paid to ", Strings.toString(_paidBps), " bps"
+        ));
+    }
+
+    /**
+     * @dev Median of the first _count values, sorting them in place; an even count averages the two
+     * middle values without overflow
+     */
+    function _median(uint256[] memory _values, uint256 _count) private pure returns (uint256) {
+        if (_count == 0) return 0;
+        for (uint256 i = 1; i < _count; i++) {
+            uint256 value = _values[i];
+            uint256 j = i;
+            for (; j > 0 && _values[j - 1] > value; j--) {
+                _values[j] = _values[j - 1];
+            }
+            _values[j] = value;
+        }
+
+        uint256 mid = _count / 2;
+        if (_count % 2 == 1) return _values[mid];
+        return _values[mid - 1] + (_values[mid] - _values[mid - 1]) / 2;
+    }
+
+    /**
+     * @dev Share owed for a dry streak: the highest tier reached, or everything without tiers
+     */
+    function _tierBps(AttestationStructs.PayoutTier[] storage _tiers, uint256 _dryDays) private view returns (uint256 bps) {
+        if (_tiers.length == 0) return BPS;
+        for (uint256 i = 0; i < _tiers.length && _tiers[i].dryDays <= _dryDays; i++) {
+            bps = _tiers[i].bps;
+        }
+    }
+}
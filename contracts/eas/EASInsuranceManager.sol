@@ -26,10 +26,17 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
     mapping(address => bytes32[]) private clientAttestations;
     mapping(address => bytes32[]) private complianceAttestations;
     mapping(address => bytes32[]) private premiumAttestations;
+    mapping(address => bytes32[]) private claimAttestations;
+    mapping(address => bytes32[]) private kycAttestations;
     
     // Mapping for quick attestation verification
     mapping(bytes32 => bool) private validAttestations;
     
+    // EAS records this manager as the attester; these keep who asked for each attestation
+    // and, once revoked, why
+    mapping(bytes32 => address) public attestationRequester;
+    mapping(bytes32 => string) public revocationReasons;
+    
     // Access control for attestation creation
     mapping(address => bool) public authorizedAttestors;
     mapping(address => bool) public oracleNodes;
@@ -46,6 +53,7 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
     event AttestorAuthorized(address indexed attestor, bool authorized);
     event OracleNodeRegistered(address indexed node, bool registered);
     event ComplianceProviderRegistered(address indexed provider, bool registered);
+    event AttestationRevoked(bytes32 indexed uid, address indexed revoker, string reason);
     
     modifier onlyAuthorizedAttestor() {
         require(authorizedAttestors[msg.sender] || msg.sender == owner(), "Not authorized to create attestations");
@@ -99,7 +107,7 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
     // =========================================================================
     
     function getPolicySchemaUID() external view override returns (bytes32) {
-        return schemas.policySchemaUID();
+        return schemas.policySchemaV2UID();
     }
     
     function getWeatherSchemaUID() external view override returns (bytes32) {
@@ -122,6 +130,47 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
     // Policy Attestations
     // =========================================================================
     
+    /**
+     * @dev Trigger terms of the policy being attested; all zero for contracts that don't expose them
+     */
+    function _triggerTerms(address policyContract) internal view returns (AttestationStructs.TriggerTerms memory terms) {
+        try IPolicyTriggerTerms(policyContract).triggerTerms() returns (
+            uint32 droughtDays,
+            uint32 dryDayThreshold,
+            uint32 deficitWindowDays,
+            uint64 deficitThreshold,
+            uint8 product,
+            uint32 floodWindowDays,
+            uint64 floodThreshold
+        ) {
+            terms = AttestationStructs.TriggerTerms(
+                droughtDays, dryDayThreshold, deficitWindowDays, deficitThreshold, product, floodWindowDays, floodThreshold
+            );
+        } catch {
+            // Leave zeroed
+        }
+    }
+    
+    /**
+     * @dev Payout tiers and deficit-proportional flag of the policy being attested; none for
+     * contracts that don't expose them
+     */
+    function _payoutStructure(address policyContract) internal view returns (
+        AttestationStructs.PayoutTier[] memory tiers,
+        bool linearDeficit
+    ) {
+        try IPolicyTriggerTerms(policyContract).getPayoutTiers() returns (AttestationStructs.PayoutTier[] memory _tiers) {
+            tiers = _tiers;
+        } catch {
+            // Leave empty
+        }
+        try IPolicyTriggerTerms(policyContract).linearDeficitPayout() returns (bool _linearDeficit) {
+            linearDeficit = _linearDeficit;
+        } catch {
+            // Leave false
+        }
+    }
+    
     function createPolicyAttestation(
         address policyContract,
         address client,
@@ -139,6 +188,7 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
             "_",
             Strings.toString(block.timestamp)
         ));
+        (AttestationStructs.PayoutTier[] memory payoutTiers, bool linearDeficitPayout) = _payoutStructure(policyContract);
         
         AttestationStructs.PolicyAttestationData memory data = AttestationStructs.PolicyAttestationData({
             policyId: policyId,
@@ -149,13 +199,16 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
             cropLocation: cropLocation,
             startDate: startDate,
             duration: duration,
-            isActive: isActive
+            isActive: isActive,
+            triggerTerms: _triggerTerms(policyContract),
+            payoutTiers: payoutTiers,
+            linearDeficitPayout: linearDeficitPayout
         });
         
         bytes memory encodedData = SchemaEncoders.encodePolicyData(data);
         
         AttestationRequest memory request = AttestationRequest({
-            schema: schemas.policySchemaUID(),
+            schema: schemas.policySchemaV2UID(),
             data: AttestationRequestData({
                 recipient: client,
                 expirationTime: NO_EXPIRATION_TIME,
@@ -172,9 +225,10 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
         policyAttestations[policyContract].push(uid);
         clientAttestations[client].push(uid);
         validAttestations[uid] = true;
+        attestationRequester[uid] = msg.sender;
         totalPolicyAttestations++;
         
-        emit PolicyAttestationCreated(uid, policyContract, client, schemas.policySchemaUID());
+        emit PolicyAttestationCreated(uid, policyContract, client, schemas.policySchemaV2UID());
         
         return uid;
     }
@@ -219,6 +273,7 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
         // Track the attestation
         weatherAttestations[location].push(uid);
         validAttestations[uid] = true;
+        attestationRequester[uid] = msg.sender;
         totalWeatherAttestations++;
         
         emit WeatherAttestationCreated(uid, location, rainfall, block.timestamp, schemas.weatherSchemaUID());
@@ -279,10 +334,12 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
         bytes32 uid = eas.attest(request);
         
         // Track the attestation
+        claimAttestations[policyContract].push(uid);
         if (client != address(0)) {
             clientAttestations[client].push(uid);
         }
         validAttestations[uid] = true;
+        attestationRequester[uid] = msg.sender;
         totalClaimAttestations++;
         
         emit ClaimAttestationCreated(uid, policyContract, claimAmount, claimStatus, schemas.claimSchemaUID());
@@ -328,6 +385,7 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
         // Track the attestation
         complianceAttestations[entity].push(uid);
         validAttestations[uid] = true;
+        attestationRequester[uid] = msg.sender;
         totalComplianceAttestations++;
         
         emit ComplianceAttestationCreated(uid, entity, regulationType, compliant, schemas.complianceSchemaUID());
@@ -389,6 +447,7 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
         premiumAttestations[policyContract].push(uid);
         clientAttestations[client].push(uid);
         validAttestations[uid] = true;
+        attestationRequester[uid] = msg.sender;
         totalPremiumAttestations++;
         
         emit PremiumAttestationCreated(uid, policyContract, client, amount, schemas.premiumSchemaUID());
@@ -396,6 +455,60 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
         return uid;
     }
     
+    // =========================================================================
+    // KYC Attestations
+    // =========================================================================
+    
+    /**
+     * @dev Record a client's identity verification. validFor is in seconds from now (0 = no
+     * expiry); a later attestation for the same client supersedes earlier ones in hasValidKYC.
+     */
+    function createKYCAttestation(
+        address client,
+        string calldata verificationType,
+        bool verified,
+        string calldata complianceLevel,
+        bytes32 documentHash,
+        uint64 validFor
+    ) external override onlyComplianceProvider returns (bytes32) {
+        require(client != address(0), "Invalid client address");
+        
+        bytes memory encodedData = SchemaEncoders.encodeKYCData(
+            client,
+            verificationType,
+            verified,
+            block.timestamp,
+            msg.sender,
+            complianceLevel,
+            documentHash
+        );
+        
+        uint64 expirationTime = validFor == 0 ? NO_EXPIRATION_TIME : uint64(block.timestamp) + validFor;
+        AttestationRequest memory request = AttestationRequest({
+            schema: schemas.kycSchemaUID(),
+            data: AttestationRequestData({
+                recipient: client,
+                expirationTime: expirationTime,
+                revocable: true,
+                refUID: EMPTY_UID,
+                data: encodedData,
+                value: 0
+            })
+        });
+        
+        bytes32 uid = eas.attest(request);
+        
+        // Track the attestation
+        kycAttestations[client].push(uid);
+        clientAttestations[client].push(uid);
+        validAttestations[uid] = true;
+        attestationRequester[uid] = msg.sender;
+        
+        emit KYCAttestationCreated(uid, client, verified, expirationTime, schemas.kycSchemaUID());
+        
+        return uid;
+    }
+    
     // =========================================================================
     // Attestation Queries
     // =========================================================================
@@ -420,12 +533,21 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
         return premiumAttestations[policyContract];
     }
     
+    function getClaimAttestations(address policyContract) external view returns (bytes32[] memory) {
+        return claimAttestations[policyContract];
+    }
+    
+    function getKYCAttestations(address client) external view override returns (bytes32[] memory) {
+        return kycAttestations[client];
+    }
+    
     // =========================================================================
     // Verification Functions
     // =========================================================================
     
+    // Policies attested under the original POLICY_SCHEMA still verify
     function verifyPolicyAttestation(bytes32 uid) external view override returns (bool) {
-        return _verifyAttestation(uid, schemas.policySchemaUID());
+        return _verifyAttestation(uid, schemas.policySchemaV2UID()) || _verifyAttestation(uid, schemas.policySchemaUID());
     }
     
     function verifyWeatherAttestation(bytes32 uid) external view override returns (bool) {
@@ -436,6 +558,25 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
         return _verifyAttestation(uid, schemas.claimSchemaUID());
     }
     
+    /**
+     * @dev True when the client's latest KYC attestation is verified, unexpired and unrevoked
+     */
+    function hasValidKYC(address client) external view override returns (bool) {
+        bytes32[] storage attestations = kycAttestations[client];
+        if (attestations.length == 0) {
+            return false;
+        }
+        bytes32 uid = attestations[attestations.length - 1];
+        if (!_verifyAttestation(uid, schemas.kycSchemaUID())) {
+            return false;
+        }
+        (, , bool verified, , , , ) = abi.decode(
+            eas.getAttestation(uid).data,
+            (address, string, bool, uint256, address, string, bytes32)
+        );
+        return verified;
+    }
+    
     function _verifyAttestation(bytes32 uid, bytes32 expectedSchema) internal view returns (bool) {
         if (!validAttestations[uid]) {
             return false;
@@ -473,6 +614,11 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
         _revokeAttestation(uid, reason);
     }
     
+    function revokeKYCAttestation(bytes32 uid, string calldata reason) external override onlyComplianceProvider {
+        require(eas.getAttestation(uid).schema == schemas.kycSchemaUID(), "Not a KYC attestation");
+        _revokeAttestation(uid, reason);
+    }
+    
     // revokeClaimAttestation removed — claims are registered as non-revocable (revocable: false)
     // and attempting to revoke would always revert on the EAS contract
     
@@ -492,6 +638,9 @@ contract EASInsuranceManager is IEASInsurance, Ownable {
         
         eas.revoke(request);
         validAttestations[uid] = false;
+        revocationReasons[uid] = reason;
+        
+        emit AttestationRevoked(uid, msg.sender, reason);
     }
     
     // =========================================================================
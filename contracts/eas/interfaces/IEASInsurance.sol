@@ -53,6 +53,14 @@ interface IEASInsurance {
         bytes32 schemaUID
     );
     
+    event KYCAttestationCreated(
+        bytes32 indexed uid,
+        address indexed client,
+        bool verified,
+        uint64 expirationTime,
+        bytes32 schemaUID
+    );
+    
     // =========================================================================
     // Schema Management
     // =========================================================================
@@ -109,6 +117,15 @@ interface IEASInsurance {
         bool paid
     ) external returns (bytes32);
     
+    function createKYCAttestation(
+        address client,
+        string calldata verificationType,
+        bool verified,
+        string calldata complianceLevel,
+        bytes32 documentHash,
+        uint64 validFor
+    ) external returns (bytes32);
+    
     // =========================================================================
     // Attestation Queries
     // =========================================================================
@@ -117,6 +134,7 @@ interface IEASInsurance {
     function getWeatherAttestations(string calldata location) external view returns (bytes32[] memory);
     function getClientAttestations(address client) external view returns (bytes32[] memory);
     function getComplianceAttestations(address entity) external view returns (bytes32[] memory);
+    function getKYCAttestations(address client) external view returns (bytes32[] memory);
     
     // =========================================================================
     // Verification
@@ -125,6 +143,7 @@ interface IEASInsurance {
     function verifyPolicyAttestation(bytes32 uid) external view returns (bool);
     function verifyWeatherAttestation(bytes32 uid) external view returns (bool);
     function verifyClaimAttestation(bytes32 uid) external view returns (bool);
+    function hasValidKYC(address client) external view returns (bool);
     
     // =========================================================================
     // Revocation
@@ -132,6 +151,25 @@ interface IEASInsurance {
     
     function revokePolicyAttestation(bytes32 uid, string calldata reason) external;
     function revokeWeatherAttestation(bytes32 uid, string calldata reason) external;
+    function revokeKYCAttestation(bytes32 uid, string calldata reason) external;
+}
+
+/**
+ * @title IPolicyTriggerTerms
+ * @dev Implemented by AutomatedInsuranceContract; read when attesting a new policy
+ */
+interface IPolicyTriggerTerms {
+    function triggerTerms() external view returns (
+        uint32 droughtDays,
+        uint32 dryDayThreshold,
+        uint32 deficitWindowDays,
+        uint64 deficitThreshold,
+        uint8 product,
+        uint32 floodWindowDays,
+        uint64 floodThreshold
+    );
+    function getPayoutTiers() external view returns (AttestationStructs.PayoutTier[] memory);
+    function linearDeficitPayout() external view returns (bool);
 }
 
 /**
@@ -140,6 +178,23 @@ interface IEASInsurance {
  */
 library AttestationStructs {
     
+    // Per-policy drought trigger terms; rainfall values use the oracle's units
+    struct TriggerTerms {
+        uint32 droughtDays;       // consecutive dry days that trigger a payout (0 = off)
+        uint32 dryDayThreshold;   // a day is dry when rainfall <= this
+        uint32 deficitWindowDays; // rolling window for the cumulative trigger (0 = off)
+        uint64 deficitThreshold;  // payout when rainfall summed over the window is below this
+        uint8 product;            // 0: drought, 1: flood (excess rainfall)
+        uint32 floodWindowDays;   // rolling window for the flood trigger (flood product only)
+        uint64 floodThreshold;    // payout when rainfall summed over the window exceeds this
+    }
+    
+    // Cumulative share of a policy's escrow owed once the dry streak reaches dryDays
+    struct PayoutTier {
+        uint32 dryDays;
+        uint16 bps;
+    }
+    
     // Gas-optimized with packed layout
     struct PolicyAttestationData {
         // Slot 1: Fixed-size numeric data (32 bytes)
@@ -159,6 +214,10 @@ library AttestationStructs {
         // Dynamic data (separate storage slots)
         string policyId;
         string cropLocation;
+        
+        TriggerTerms triggerTerms;
+        PayoutTier[] payoutTiers;    // empty when the whole payout is made at once
+        bool linearDeficitPayout;
     }
     
     // Gas-optimized weather data
@@ -228,8 +287,12 @@ library AttestationStructs {
 library EASConstants {
     
     // Schema definitions following Solidity ABI encoding
+    // Policies attested before trigger terms and payout tiers; kept so those attestations still decode
     string constant POLICY_SCHEMA = "string policyId,address insuranceContract,address client,uint256 premiumPaid,uint256 payoutValue,string cropLocation,uint256 startDate,uint256 duration,bool isActive";
     
+    // What new policies are attested with: POLICY_SCHEMA plus the trigger terms and payout structure
+    string constant POLICY_SCHEMA_V2 = "string policyId,address insuranceContract,address client,uint256 premiumPaid,uint256 payoutValue,string cropLocation,uint256 startDate,uint256 duration,bool isActive,uint32 droughtDays,uint32 dryDayThreshold,uint32 deficitWindowDays,uint64 deficitThreshold,uint8 product,uint32 floodWindowDays,uint64 floodThreshold,uint32[] tierDryDays,uint16[] tierBps,bool linearDeficitPayout";
+    
     string constant WEATHER_SCHEMA = "string location,uint256 timestamp,uint256 rainfall,string dataSource,bytes32 oracleRequestId,bool verified";
     
     string constant CLAIM_SCHEMA = "string policyId,uint256 claimAmount,uint256 timestamp,uint8 claimStatus,string evidence,bool droughtConfirmed";
@@ -14,6 +14,7 @@ contract InsuranceSchemas {
     
     // Schema UIDs for different attestation types
     bytes32 public policySchemaUID;
+    bytes32 public policySchemaV2UID;
     bytes32 public weatherSchemaUID;
     bytes32 public claimSchemaUID;
     bytes32 public complianceSchemaUID;
@@ -53,6 +54,7 @@ contract InsuranceSchemas {
     function registerAllSchemas() external onlyOwner schemasNotRegistered {
         // Register core insurance schemas
         _registerPolicySchema();
+        _registerPolicySchemaV2();
         _registerWeatherSchema();
         _registerClaimSchema();
         _registerComplianceSchema();
@@ -84,6 +86,22 @@ contract InsuranceSchemas {
         emit SchemaRegistered("Policy", policySchemaUID, schema);
     }
     
+    /**
+     * @dev Register the current policy attestation schema
+     * Adds the policy's trigger terms and payout structure to the original policy schema
+     */
+    function _registerPolicySchemaV2() internal {
+        string memory schema = EASConstants.POLICY_SCHEMA_V2;
+        
+        policySchemaV2UID = schemaRegistry.register(
+            schema,
+            ISchemaResolver(address(0)), // No resolver initially
+            true // Revocable
+        );
+        
+        emit SchemaRegistered("PolicyV2", policySchemaV2UID, schema);
+    }
+    
     /**
      * @dev Register weather data attestation schema
      * Tracks weather observations from multiple sources
@@ -217,7 +235,7 @@ contract InsuranceSchemas {
      * @return Array of all schema UIDs in order
      */
     function getAllSchemaUIDs() external view returns (bytes32[] memory) {
-        bytes32[] memory schemas = new bytes32[](9);
+        bytes32[] memory schemas = new bytes32[](10);
         schemas[0] = policySchemaUID;
         schemas[1] = weatherSchemaUID;
         schemas[2] = claimSchemaUID;
@@ -227,6 +245,7 @@ contract InsuranceSchemas {
         schemas[6] = kycSchemaUID;
         schemas[7] = auditSchemaUID;
         schemas[8] = riskAssessmentSchemaUID;
+        schemas[9] = policySchemaV2UID;
         return schemas;
     }
     
@@ -241,6 +260,8 @@ contract InsuranceSchemas {
         
         if (nameHash == keccak256(bytes("Policy"))) {
             return (policySchemaUID, EASConstants.POLICY_SCHEMA);
+        } else if (nameHash == keccak256(bytes("PolicyV2"))) {
+            return (policySchemaV2UID, EASConstants.POLICY_SCHEMA_V2);
         } else if (nameHash == keccak256(bytes("Weather"))) {
             return (weatherSchemaUID, EASConstants.WEATHER_SCHEMA);
         } else if (nameHash == keccak256(bytes("Claim"))) {
@@ -261,6 +282,7 @@ contract InsuranceSchemas {
     function areSchemasReady() external view returns (bool) {
         return schemasRegistered && 
                policySchemaUID != bytes32(0) &&
+               policySchemaV2UID != bytes32(0) &&
                weatherSchemaUID != bytes32(0) &&
                claimSchemaUID != bytes32(0) &&
                complianceSchemaUID != bytes32(0) &&
@@ -283,11 +305,19 @@ contract InsuranceSchemas {
 library SchemaEncoders {
     
     /**
-     * @dev Encode policy attestation data
+     * @dev Encode policy attestation data as POLICY_SCHEMA_V2
      */
     function encodePolicyData(
         AttestationStructs.PolicyAttestationData memory data
     ) internal pure returns (bytes memory) {
+        // Tiers go out as parallel arrays so the schema stays a flat list of fields
+        uint32[] memory tierDryDays = new uint32[](data.payoutTiers.length);
+        uint16[] memory tierBps = new uint16[](data.payoutTiers.length);
+        for (uint256 i = 0; i < data.payoutTiers.length; i++) {
+            tierDryDays[i] = data.payoutTiers[i].dryDays;
+            tierBps[i] = data.payoutTiers[i].bps;
+        }
+
         return abi.encode(
             data.policyId,
             data.insuranceContract,
@@ -297,7 +327,11 @@ library SchemaEncoders {
             data.cropLocation,
             data.startDate,
             data.duration,
-            data.isActive
+            data.isActive,
+            data.triggerTerms, // static tuple, encoded inline as the seven trigger fields
+            tierDryDays,
+            tierBps,
+            data.linearDeficitPayout
         );
     }
     
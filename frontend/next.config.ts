@@ -1,7 +1,15 @@
+import path from "path";
 import type { NextConfig } from "next";
 
+// The network registry (../config/networks.json) is shared with the truffle
+// project, so the workspace root is the repository root, not frontend/.
+const repoRoot = path.join(__dirname, "..");
+
 const nextConfig: NextConfig = {
-  /* config options here */
+  outputFileTracingRoot: repoRoot,
+  turbopack: {
+    root: repoRoot,
+  },
 };
 
 export default nextConfig;
@@ -0,0 +1,172 @@
+// ABI generation and drift check for src/abi/*.ts
+//
+//   node scripts/abis.mjs generate   rewrite src/abi/*.ts from the compiled contracts
+//   node scripts/abis.mjs check      fail if src/abi/*.ts differ from the compiled contracts, or a
+//                                    hook references a function/event the contract doesn't expose
+//
+// Artifacts come from Foundry (out/<File>.sol/<Name>.json) or Truffle (build/contracts/<Name>.json)
+// in the repository root; run `forge build` or `npx truffle compile` there first.
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+
+const FRONTEND_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..')
+const REPO_DIR = path.join(FRONTEND_DIR, '..')
+
+export const ABI_FILES = [
+  { contract: 'AutomatedInsuranceProvider', source: 'AutomatedInsurance.sol', exportName: 'automatedInsuranceProviderAbi', file: 'AutomatedInsuranceProvider.ts' },
+  { contract: 'AutomatedInsuranceContract', source: 'AutomatedInsurance.sol', exportName: 'automatedInsuranceContractAbi', file: 'AutomatedInsuranceContract.ts' },
+  { contract: 'EASInsuranceManager', source: 'EASInsuranceManager.sol', exportName: 'easInsuranceManagerAbi', file: 'EASInsuranceManager.ts' },
+  { contract: 'IEAS', source: 'IEAS.sol', exportName: 'easAbi', file: 'EAS.ts' },
+  { contract: 'AggregatorV3Interface', source: 'AggregatorV3Interface.sol', exportName: 'aggregatorV3Abi', file: 'AggregatorV3.ts' },
+]
+
+export function findArtifact({ contract, source }, repoDir = REPO_DIR) {
+  const candidates = [
+    path.join(repoDir, 'out', source, `${contract}.json`),
+    path.join(repoDir, 'build', 'contracts', `${contract}.json`),
+  ]
+  const found = candidates.find((file) => fs.existsSync(file))
+  if (!found) {
+    throw new Error(`No compiled artifact for ${contract}; run \`forge build\` or \`npx truffle compile\` in ${repoDir}`)
+  }
+  return { file: found, abi: JSON.parse(fs.readFileSync(found, 'utf8')).abi }
+}
+
+// internalType is compiler bookkeeping viem doesn't use; dropping it keeps the files readable
+function stripInternalTypes(value) {
+  if (Array.isArray(value)) return value.map(stripInternalTypes)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => key !== 'internalType')
+        .map(([key, v]) => [key, stripInternalTypes(v)]),
+    )
+  }
+  return value
+}
+
+function toLiteral(value) {
+  if (Array.isArray(value)) return value.length === 0 ? '[]' : `[${value.map(toLiteral).join(', ')}]`
+  if (value && typeof value === 'object') {
+    return `{ ${Object.entries(value).map(([key, v]) => `${key}: ${toLiteral(v)}`).join(', ')} }`
+  }
+  if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+  return String(value)
+}
+
+export function renderAbiFile({ contract, exportName }, abi, artifactPath) {
+  const entries = stripInternalTypes(abi).map((entry) => `  ${toLiteral(entry)},`)
+  return [
+    `// Generated from ${artifactPath} (${contract}) by \`npm run abi:generate\`. Do not edit.`,
+    `export const ${exportName} = [`,
+    ...entries,
+    '] as const',
+    '',
+  ].join('\n')
+}
+
+function listSources(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name)
+    if (entry.isDirectory()) return entry.name === 'abi' ? [] : listSources(full)
+    return /\.tsx?$/.test(entry.name) && !/\.test\.tsx?$/.test(entry.name) && entry.name !== 'generated.ts' ? [full] : []
+  })
+}
+
+// The top level of the object literal enclosing `index`, with nested objects blanked out, or
+// null outside any object
+function enclosingObject(code, index) {
+  let start = -1
+  for (let i = index - 1, depth = 0; i >= 0; i--) {
+    if (code[i] === '}') depth++
+    else if (code[i] === '{' && depth-- === 0) {
+      start = i
+      break
+    }
+  }
+  if (start < 0) return null
+  let topLevel = ''
+  for (let i = start, depth = 0; i < code.length; i++) {
+    if (code[i] === '{') depth++
+    else if (code[i] === '}' && --depth === 0) return topLevel
+    topLevel += depth === 1 ? code[i] : ' '
+  }
+  return topLevel
+}
+
+// Finds `functionName: 'x'` / `eventName: 'x'` and attributes it to the `abi: <name>` of the
+// same object literal, e.g. useReadContract({ address, abi: fooAbi, functionName: 'bar' })
+export function findAbiReferences(code) {
+  const references = []
+  const pattern = /\b(functionName|eventName):\s*'(\w+)'/g
+  for (const match of code.matchAll(pattern)) {
+    const abi = enclosingObject(code, match.index)?.match(/\babi:\s*(\w+)/)
+    if (!abi) continue
+    references.push({
+      abi: abi[1],
+      kind: match[1] === 'functionName' ? 'function' : 'event',
+      name: match[2],
+      line: code.slice(0, match.index).split('\n').length,
+    })
+  }
+  return references
+}
+
+// References whose name isn't a function/event of that kind in the compiled ABI
+export function findMissingReferences(references, abisByExport) {
+  return references.filter((ref) => {
+    const abi = abisByExport[ref.abi]
+    return abi && !abi.some((item) => item.type === ref.kind && item.name === ref.name)
+  })
+}
+
+function generate() {
+  for (const entry of ABI_FILES) {
+    const { file, abi } = findArtifact(entry)
+    const target = path.join(FRONTEND_DIR, 'src', 'abi', entry.file)
+    fs.writeFileSync(target, renderAbiFile(entry, abi, path.relative(REPO_DIR, file)))
+    console.log(`Wrote src/abi/${entry.file} (${abi.length} entries)`)
+  }
+}
+
+function check() {
+  const problems = []
+  const abisByExport = {}
+  for (const entry of ABI_FILES) {
+    const { file, abi } = findArtifact(entry)
+    abisByExport[entry.exportName] = abi
+    const target = path.join(FRONTEND_DIR, 'src', 'abi', entry.file)
+    const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : ''
+    if (current !== renderAbiFile(entry, abi, path.relative(REPO_DIR, file))) {
+      problems.push(`src/abi/${entry.file} is out of date with ${path.relative(REPO_DIR, file)}; run npm run abi:generate`)
+    }
+  }
+
+  for (const file of listSources(path.join(FRONTEND_DIR, 'src'))) {
+    const references = findAbiReferences(fs.readFileSync(file, 'utf8'))
+    for (const ref of findMissingReferences(references, abisByExport)) {
+      const contract = ABI_FILES.find((entry) => entry.exportName === ref.abi).contract
+      problems.push(`${path.relative(FRONTEND_DIR, file)}:${ref.line} uses ${ref.kind} ${ref.name}, which ${contract} doesn't expose`)
+    }
+  }
+
+  if (problems.length > 0) {
+    problems.forEach((problem) => console.error(`✗ ${problem}`))
+    process.exit(1)
+  }
+  console.log(`ABIs match the compiled contracts (${ABI_FILES.length} files checked)`)
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const command = process.argv[2]
+  try {
+    if (command === 'generate') generate()
+    else if (command === 'check') check()
+    else throw new Error('Usage: node scripts/abis.mjs generate|check')
+  } catch (error) {
+    console.error(error.message)
+    process.exit(1)
+  }
+}
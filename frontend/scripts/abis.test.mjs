@@ -0,0 +1,93 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { afterEach, describe, it, expect } from 'vitest'
+import { findAbiReferences, findArtifact, findMissingReferences, renderAbiFile } from './abis.mjs'
+
+const PROVIDER = { contract: 'AutomatedInsuranceProvider', source: 'AutomatedInsurance.sol', exportName: 'automatedInsuranceProviderAbi', file: 'AutomatedInsuranceProvider.ts' }
+
+const COMPILED = [
+  { type: 'function', name: 'automationEnabled', inputs: [], outputs: [{ internalType: 'bool', name: '', type: 'bool' }], stateMutability: 'view' },
+  { type: 'event', name: 'ContractCreated', anonymous: false, inputs: [{ indexed: true, internalType: 'address', name: 'insuranceContract', type: 'address' }] },
+]
+
+describe('findAbiReferences', () => {
+  it('attributes functionName and eventName to the abi of the same object', () => {
+    const code = [
+      'useReadContract({',
+      '  address: contracts.provider,',
+      '  abi: automatedInsuranceProviderAbi,',
+      "  functionName: 'automationEnabled',",
+      '})',
+      "parseEventLogs({ abi: easAbi, eventName: 'Attested', logs })",
+      "const label = { functionName: 'unrelated' }",
+    ].join('\n')
+
+    expect(findAbiReferences(code)).toEqual([
+      { abi: 'automatedInsuranceProviderAbi', kind: 'function', name: 'automationEnabled', line: 4 },
+      { abi: 'easAbi', kind: 'event', name: 'Attested', line: 6 },
+    ])
+  })
+
+  it('ignores abis of nested or neighbouring objects', () => {
+    const code = [
+      'useReadContracts({',
+      '  contracts: [',
+      "    { address: contracts.provider, abi: automatedInsuranceProviderAbi, functionName: 'owner' },",
+      "    { address: contracts.easManager, args: [{ abi: easAbi }], functionName: 'owner' },",
+      '  ],',
+      '  query: { enabled },',
+      '})',
+    ].join('\n')
+
+    expect(findAbiReferences(code)).toEqual([
+      { abi: 'automatedInsuranceProviderAbi', kind: 'function', name: 'owner', line: 3 },
+    ])
+  })
+})
+
+describe('findMissingReferences', () => {
+  it('flags names the compiled ABI lacks and ignores ABIs it does not track', () => {
+    const missing = findMissingReferences(
+      [
+        { abi: 'automatedInsuranceProviderAbi', kind: 'function', name: 'automationEnabled', line: 1 },
+        { abi: 'automatedInsuranceProviderAbi', kind: 'function', name: 'upkeepBatchCounter', line: 2 },
+        { abi: 'automatedInsuranceProviderAbi', kind: 'function', name: 'ContractCreated', line: 3 },
+        { abi: 'erc20Abi', kind: 'function', name: 'approve', line: 4 },
+      ],
+      { automatedInsuranceProviderAbi: COMPILED },
+    )
+    expect(missing.map((ref) => ref.name)).toEqual(['upkeepBatchCounter', 'ContractCreated'])
+  })
+})
+
+describe('renderAbiFile', () => {
+  it('writes a const ABI without internal types', () => {
+    const file = renderAbiFile(PROVIDER, COMPILED, 'out/AutomatedInsurance.sol/AutomatedInsuranceProvider.json')
+    expect(file).toContain('export const automatedInsuranceProviderAbi = [')
+    expect(file).toContain("  { type: 'function', name: 'automationEnabled', inputs: [], outputs: [{ name: '', type: 'bool' }], stateMutability: 'view' },")
+    expect(file).not.toContain('internalType')
+    expect(file.endsWith('] as const\n')).toBe(true)
+  })
+})
+
+describe('findArtifact', () => {
+  let dir
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('prefers Foundry output and falls back to Truffle builds', () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'abis-'))
+    expect(() => findArtifact(PROVIDER, dir)).toThrow('No compiled artifact for AutomatedInsuranceProvider')
+
+    fs.mkdirSync(path.join(dir, 'build', 'contracts'), { recursive: true })
+    fs.writeFileSync(path.join(dir, 'build', 'contracts', 'AutomatedInsuranceProvider.json'), JSON.stringify({ abi: [] }))
+    expect(findArtifact(PROVIDER, dir).file).toContain(path.join('build', 'contracts'))
+
+    fs.mkdirSync(path.join(dir, 'out', 'AutomatedInsurance.sol'), { recursive: true })
+    fs.writeFileSync(path.join(dir, 'out', 'AutomatedInsurance.sol', 'AutomatedInsuranceProvider.json'), JSON.stringify({ abi: COMPILED }))
+    expect(findArtifact(PROVIDER, dir).abi).toEqual(COMPILED)
+  })
+})
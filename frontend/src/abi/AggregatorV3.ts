@@ -0,0 +1,8 @@
+// Generated from out/AggregatorV3Interface.sol/AggregatorV3Interface.json (AggregatorV3Interface) by `npm run abi:generate`. Do not edit.
+export const aggregatorV3Abi = [
+  { inputs: [], name: 'decimals', outputs: [{ name: '', type: 'uint8' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'description', outputs: [{ name: '', type: 'string' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '_roundId', type: 'uint80' }], name: 'getRoundData', outputs: [{ name: 'roundId', type: 'uint80' }, { name: 'answer', type: 'int256' }, { name: 'startedAt', type: 'uint256' }, { name: 'updatedAt', type: 'uint256' }, { name: 'answeredInRound', type: 'uint80' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'latestRoundData', outputs: [{ name: 'roundId', type: 'uint80' }, { name: 'answer', type: 'int256' }, { name: 'startedAt', type: 'uint256' }, { name: 'updatedAt', type: 'uint256' }, { name: 'answeredInRound', type: 'uint80' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'version', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+] as const
@@ -1,67 +1,94 @@
+// Generated from out/AutomatedInsurance.sol/AutomatedInsuranceContract.json (AutomatedInsuranceContract) by `npm run abi:generate`. Do not edit.
 export const automatedInsuranceContractAbi = [
-  // Read functions
-  { type: 'function', name: 'client', inputs: [], outputs: [{ type: 'address' }], stateMutability: 'view' },
-  { type: 'function', name: 'insurer', inputs: [], outputs: [{ type: 'address' }], stateMutability: 'view' },
-  { type: 'function', name: 'cropLocation', inputs: [], outputs: [{ type: 'string' }], stateMutability: 'view' },
-  { type: 'function', name: 'premium', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'payoutValue', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'duration', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'startDate', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'activatedAt', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'lastWeatherCheck', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'paymentToken', inputs: [], outputs: [{ type: 'address' }], stateMutability: 'view' },
-  { type: 'function', name: 'currentRainfall', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'daysWithoutRain', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'contractActive', inputs: [], outputs: [{ type: 'bool' }], stateMutability: 'view' },
-  { type: 'function', name: 'contractPaid', inputs: [], outputs: [{ type: 'bool' }], stateMutability: 'view' },
-  { type: 'function', name: 'premiumPaid', inputs: [], outputs: [{ type: 'bool' }], stateMutability: 'view' },
-  { type: 'function', name: 'requestCount', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'isActive', inputs: [], outputs: [{ type: 'bool' }], stateMutability: 'view' },
-  { type: 'function', name: 'needsWeatherUpdate', inputs: [], outputs: [{ type: 'bool' }], stateMutability: 'view' },
-  { type: 'function', name: 'getContractBalance', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'getLocation', inputs: [], outputs: [{ type: 'string' }], stateMutability: 'view' },
-  { type: 'function', name: 'getPayoutValue', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'getPremium', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'getContractStatus', inputs: [], outputs: [{ type: 'bool' }], stateMutability: 'view' },
-  { type: 'function', name: 'getCurrentRainfall', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'getRequestCount', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'getDaysWithoutRain', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'getChainlinkToken', inputs: [], outputs: [{ type: 'address' }], stateMutability: 'view' },
-  { type: 'function', name: 'getLatestPrice', inputs: [], outputs: [{ type: 'int256' }], stateMutability: 'view' },
-
-  // Events
-  {
-    type: 'event', name: 'contractPaidOut',
-    inputs: [
-      { name: '_paidTime', type: 'uint256', indexed: false },
-      { name: '_totalPaid', type: 'uint256', indexed: false },
-      { name: '_finalRainfall', type: 'uint256', indexed: false },
-    ],
-  },
-  {
-    type: 'event', name: 'contractEnded',
-    inputs: [
-      { name: '_endTime', type: 'uint256', indexed: false },
-      { name: '_totalReturned', type: 'uint256', indexed: false },
-    ],
-  },
-  {
-    type: 'event', name: 'contractActivated',
-    inputs: [{ name: '_activatedAt', type: 'uint256', indexed: false }],
-  },
-  {
-    type: 'event', name: 'dataReceived',
-    inputs: [{ name: '_rainfall', type: 'uint256', indexed: false }],
-  },
-  {
-    type: 'event', name: 'RainfallThresholdReset',
-    inputs: [{ name: 'rainfall', type: 'uint256', indexed: false }],
-  },
-  {
-    type: 'event', name: 'AutomatedWeatherCheckPerformed',
-    inputs: [
-      { name: 'timestamp', type: 'uint256', indexed: false },
-      { name: 'rainfall', type: 'uint256', indexed: false },
-    ],
-  },
+  { inputs: [{ name: '_client', type: 'address' }, { name: '_duration', type: 'uint256' }, { name: '_premium', type: 'uint256' }, { name: '_payoutValue', type: 'uint256' }, { name: '_cropLocation', type: 'string' }, { name: '_paymentToken', type: 'address' }, { name: '_link', type: 'address' }, { name: '_oraclePaymentAmount', type: 'uint256' }, { name: '_worldWeatherKey', type: 'string' }, { name: '_openWeatherKey', type: 'string' }, { name: '_weatherbitKey', type: 'string' }, { name: '_priceFeed', type: 'address' }, { name: '_oracle1', type: 'address' }, { name: '_oracle2', type: 'address' }, { name: '_jobId1', type: 'bytes32' }, { name: '_jobId2', type: 'bytes32' }], stateMutability: 'payable', type: 'constructor' },
+  { anonymous: false, inputs: [{ indexed: false, name: 'timestamp', type: 'uint256' }, { indexed: false, name: 'rainfall', type: 'uint256' }], name: 'AutomatedWeatherCheckPerformed', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'id', type: 'bytes32' }], name: 'ChainlinkCancelled', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'id', type: 'bytes32' }], name: 'ChainlinkFulfilled', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'id', type: 'bytes32' }], name: 'ChainlinkRequested', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'uid', type: 'bytes32' }, { indexed: false, name: 'claimAmount', type: 'uint256' }], name: 'ClaimAttestationCreated', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: false, name: 'sources', type: 'uint8[]' }, { indexed: false, name: 'minQuorum', type: 'uint8' }, { indexed: false, name: 'toleranceBps', type: 'uint16' }, { indexed: false, name: 'toleranceMm', type: 'uint32' }], name: 'OracleAggregationSet', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'previousOwner', type: 'address' }, { indexed: true, name: 'newOwner', type: 'address' }], name: 'OwnershipTransferred', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: false, name: 'payoutBps', type: 'uint256' }, { indexed: false, name: 'amount', type: 'uint256' }, { indexed: false, name: 'totalPaid', type: 'uint256' }], name: 'PayoutMade', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: false, name: 'tierCount', type: 'uint256' }, { indexed: false, name: 'linearDeficit', type: 'bool' }], name: 'PayoutStructureSet', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: false, name: 'rainfall', type: 'uint256' }], name: 'RainfallThresholdReset', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'source', type: 'uint8' }, { indexed: false, name: 'reading', type: 'uint256' }, { indexed: false, name: 'median', type: 'uint256' }], name: 'SourceReadingRejected', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: false, name: 'droughtDays', type: 'uint32' }, { indexed: false, name: 'dryDayThreshold', type: 'uint32' }, { indexed: false, name: 'deficitWindowDays', type: 'uint32' }, { indexed: false, name: 'deficitThreshold', type: 'uint64' }, { indexed: false, name: 'product', type: 'uint8' }, { indexed: false, name: 'floodWindowDays', type: 'uint32' }, { indexed: false, name: 'floodThreshold', type: 'uint64' }], name: 'TriggerTermsSet', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'uid', type: 'bytes32' }, { indexed: false, name: 'rainfall', type: 'uint256' }], name: 'WeatherAttestationCreated', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: false, name: 'acceptedSources', type: 'uint256' }, { indexed: false, name: 'minQuorum', type: 'uint256' }], name: 'WeatherReadingRejected', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: false, name: '_activatedAt', type: 'uint256' }], name: 'contractActivated', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: false, name: '_insurer', type: 'address' }, { indexed: false, name: '_client', type: 'address' }, { indexed: false, name: '_duration', type: 'uint256' }, { indexed: false, name: '_premium', type: 'uint256' }, { indexed: false, name: '_totalCover', type: 'uint256' }], name: 'contractCreated', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: false, name: '_endTime', type: 'uint256' }, { indexed: false, name: '_totalReturned', type: 'uint256' }], name: 'contractEnded', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: false, name: '_paidTime', type: 'uint256' }, { indexed: false, name: '_totalPaid', type: 'uint256' }, { indexed: false, name: '_finalRainfall', type: 'uint256' }], name: 'contractPaidOut', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: false, name: '_rainfall', type: 'uint256' }], name: 'dataReceived', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: false, name: 'requestId', type: 'bytes32' }], name: 'dataRequestSent', type: 'event' },
+  { inputs: [], name: 'BPS', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'DAY_IN_SECONDS', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'DROUGHT_DAYS_THRESHOLD', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'MAX_DEFICIT_WINDOW_DAYS', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'MAX_PAYOUT_TIERS', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'MAX_STALENESS', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'NO_READING', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'PRODUCT_DROUGHT', outputs: [{ name: '', type: 'uint8' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'PRODUCT_FLOOD', outputs: [{ name: '', type: 'uint8' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'SOURCE_COUNT', outputs: [{ name: '', type: 'uint8' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'SOURCE_OPEN_WEATHER', outputs: [{ name: '', type: 'uint8' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'SOURCE_WEATHERBIT', outputs: [{ name: '', type: 'uint8' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'SOURCE_WORLD_WEATHER_ONLINE', outputs: [{ name: '', type: 'uint8' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'TRIGGER_DRY_DAYS', outputs: [{ name: '', type: 'uint8' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'TRIGGER_EXCESS_RAINFALL', outputs: [{ name: '', type: 'uint8' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'TRIGGER_RAINFALL_DEFICIT', outputs: [{ name: '', type: 'uint8' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'activateContract', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [], name: 'activatedAt', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '_requestId', type: 'bytes32' }, { name: '_rainfallData', type: 'uint256[]' }], name: 'checkAggregatedRainfallCallback', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '_requestId', type: 'bytes32' }, { name: '_rainfall', type: 'uint256' }], name: 'checkRainfallCallBack', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [], name: 'client', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'contractActive', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'contractPaid', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'cropLocation', outputs: [{ name: '', type: 'string' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'currentRainfall', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'currentRainfallDateChecked', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'dataRequestsSent', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'daysWithoutRain', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'duration', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getChainlinkToken', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getContractBalance', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getContractStatus', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getCurrentRainfall', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getDaysWithoutRain', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getLatestPrice', outputs: [{ name: '', type: 'int256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getLocation', outputs: [{ name: '', type: 'string' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getPayoutTiers', outputs: [{ components: [{ name: 'dryDays', type: 'uint32' }, { name: 'bps', type: 'uint16' }], name: '', type: 'tuple[]' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getPayoutValue', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getPremium', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getRequestCount', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getSourceReadings', outputs: [{ name: 'sources', type: 'uint8[]' }, { name: 'readings', type: 'uint256[]' }, { name: 'accepted', type: 'bool[]' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'insurer', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'isActive', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '', type: 'uint256' }], name: 'jobIds', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'lastWeatherCheck', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'linearDeficitPayout', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'minQuorum', outputs: [{ name: '', type: 'uint8' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'needsWeatherUpdate', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '', type: 'uint256' }], name: 'oracles', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'owner', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'paymentToken', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'payoutBpsPaid', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'payoutTrigger', outputs: [{ name: '', type: 'uint8' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'payoutValue', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'payoutsMade', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'performAutomatedWeatherCheck', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [], name: 'premium', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'premiumPaid', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'renounceOwnership', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [], name: 'requestCount', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '_sources', type: 'uint8[]' }, { name: '_minQuorum', type: 'uint8' }, { name: '_toleranceBps', type: 'uint16' }, { name: '_toleranceMm', type: 'uint32' }], name: 'setOracleAggregation', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ components: [{ name: 'dryDays', type: 'uint32' }, { name: 'bps', type: 'uint16' }], name: '_tiers', type: 'tuple[]' }, { name: '_linearDeficit', type: 'bool' }], name: 'setPayoutStructure', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ components: [{ name: 'droughtDays', type: 'uint32' }, { name: 'dryDayThreshold', type: 'uint32' }, { name: 'deficitWindowDays', type: 'uint32' }, { name: 'deficitThreshold', type: 'uint64' }, { name: 'product', type: 'uint8' }, { name: 'floodWindowDays', type: 'uint32' }, { name: 'floodThreshold', type: 'uint64' }], name: '_terms', type: 'tuple' }], name: 'setTriggerTerms', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [], name: 'startDate', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'toleranceBps', outputs: [{ name: '', type: 'uint16' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'toleranceMm', outputs: [{ name: '', type: 'uint32' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'newOwner', type: 'address' }], name: 'transferOwnership', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [], name: 'triggerTerms', outputs: [{ name: 'droughtDays', type: 'uint32' }, { name: 'dryDayThreshold', type: 'uint32' }, { name: 'deficitWindowDays', type: 'uint32' }, { name: 'deficitThreshold', type: 'uint64' }, { name: 'product', type: 'uint8' }, { name: 'floodWindowDays', type: 'uint32' }, { name: 'floodThreshold', type: 'uint64' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'windowRainfall', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { stateMutability: 'payable', type: 'receive' },
 ] as const
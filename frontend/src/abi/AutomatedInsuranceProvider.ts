@@ -1,132 +1,77 @@
+// Generated from out/AutomatedInsurance.sol/AutomatedInsuranceProvider.json (AutomatedInsuranceProvider) by `npm run abi:generate`. Do not edit.
 export const automatedInsuranceProviderAbi = [
-  // Read functions
-  { type: 'function', name: 'insurer', inputs: [], outputs: [{ type: 'address' }], stateMutability: 'view' },
-  { type: 'function', name: 'easManager', inputs: [], outputs: [{ type: 'address' }], stateMutability: 'view' },
-  { type: 'function', name: 'easEnabled', inputs: [], outputs: [{ type: 'bool' }], stateMutability: 'view' },
-  { type: 'function', name: 'automationEnabled', inputs: [], outputs: [{ type: 'bool' }], stateMutability: 'view' },
-  { type: 'function', name: 'upkeepInterval', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'lastUpkeepTimestamp', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'upkeepBatchCounter', inputs: [], outputs: [{ type: 'uint64' }], stateMutability: 'view' },
-  { type: 'function', name: 'supportedTokens', inputs: [{ type: 'address' }], outputs: [{ type: 'bool' }], stateMutability: 'view' },
-  { type: 'function', name: 'USDC', inputs: [], outputs: [{ type: 'address' }], stateMutability: 'view' },
-  { type: 'function', name: 'DAI', inputs: [], outputs: [{ type: 'address' }], stateMutability: 'view' },
-  { type: 'function', name: 'USDT', inputs: [], outputs: [{ type: 'address' }], stateMutability: 'view' },
-  {
-    type: 'function', name: 'premiumInfo', inputs: [{ type: 'address' }],
-    outputs: [
-      { name: 'amount', type: 'uint128' },
-      { name: 'amountPaid', type: 'uint128' },
-      { name: 'paidAt', type: 'uint64' },
-      { name: 'createdAt', type: 'uint64' },
-      { name: 'token', type: 'address' },
-      { name: 'paid', type: 'bool' },
-    ],
-    stateMutability: 'view',
-  },
-  { type: 'function', name: 'getActiveContractsCount', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  {
-    type: 'function', name: 'getActiveContracts',
-    inputs: [{ name: 'start', type: 'uint256' }, { name: 'limit', type: 'uint256' }],
-    outputs: [{ type: 'address[]' }],
-    stateMutability: 'view',
-  },
-  { type: 'function', name: 'getContractsByClient', inputs: [{ name: '_client', type: 'address' }], outputs: [{ type: 'address[]' }], stateMutability: 'view' },
-  { type: 'function', name: 'getLatestPrice', inputs: [], outputs: [{ type: 'int256' }], stateMutability: 'view' },
-  {
-    type: 'function', name: 'getTokenAmountForUSD',
-    inputs: [{ name: 'token', type: 'address' }, { name: 'usdAmount', type: 'uint256' }],
-    outputs: [{ type: 'uint256' }],
-    stateMutability: 'view',
-  },
-  { type: 'function', name: 'getEASManager', inputs: [], outputs: [{ type: 'address' }], stateMutability: 'view' },
-  { type: 'function', name: 'isEASEnabled', inputs: [], outputs: [{ type: 'bool' }], stateMutability: 'view' },
-  { type: 'function', name: 'PREMIUM_GRACE_PERIOD', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'MAX_CONTRACTS_PER_BATCH', inputs: [], outputs: [{ type: 'uint256' }], stateMutability: 'view' },
-
-  // Write functions
-  {
-    type: 'function', name: 'newContract',
-    inputs: [
-      { name: '_client', type: 'address' },
-      { name: '_duration', type: 'uint256' },
-      { name: '_premium', type: 'uint256' },
-      { name: '_payoutValue', type: 'uint256' },
-      { name: '_cropLocation', type: 'string' },
-      { name: '_paymentToken', type: 'address' },
-    ],
-    outputs: [{ type: 'address' }],
-    stateMutability: 'payable',
-  },
-  { type: 'function', name: 'payPremium', inputs: [{ name: '_contract', type: 'address' }], outputs: [], stateMutability: 'payable' },
-  { type: 'function', name: 'refundPremium', inputs: [{ name: '_contract', type: 'address' }], outputs: [], stateMutability: 'nonpayable' },
-  { type: 'function', name: 'claimPremium', inputs: [{ name: '_contract', type: 'address' }], outputs: [], stateMutability: 'nonpayable' },
-  { type: 'function', name: 'setAutomationEnabled', inputs: [{ name: '_enabled', type: 'bool' }], outputs: [], stateMutability: 'nonpayable' },
-  { type: 'function', name: 'setUpkeepInterval', inputs: [{ name: '_interval', type: 'uint256' }], outputs: [], stateMutability: 'nonpayable' },
-  { type: 'function', name: 'manualWeatherUpdate', inputs: [{ name: '_contracts', type: 'address[]' }], outputs: [], stateMutability: 'nonpayable' },
-  {
-    type: 'function', name: 'addSupportedToken',
-    inputs: [{ name: 'token', type: 'address' }, { name: 'priceFeed', type: 'address' }],
-    outputs: [],
-    stateMutability: 'nonpayable',
-  },
-
-  // Events
-  {
-    type: 'event', name: 'ContractCreated',
-    inputs: [
-      { name: 'insuranceContract', type: 'address', indexed: true },
-      { name: 'client', type: 'address', indexed: true },
-      { name: 'configHash', type: 'bytes32', indexed: true },
-    ],
-  },
-  {
-    type: 'event', name: 'PremiumPaid',
-    inputs: [
-      { name: 'insuranceContract', type: 'address', indexed: true },
-      { name: 'client', type: 'address', indexed: true },
-      { name: 'amount', type: 'uint128', indexed: false },
-      { name: 'token', type: 'address', indexed: false },
-    ],
-  },
-  {
-    type: 'event', name: 'ContractStateChanged',
-    inputs: [
-      { name: 'contractAddress', type: 'address', indexed: true },
-      { name: 'isActive', type: 'bool', indexed: true },
-    ],
-  },
-  {
-    type: 'event', name: 'PremiumRefunded',
-    inputs: [
-      { name: 'insuranceContract', type: 'address', indexed: true },
-      { name: 'client', type: 'address', indexed: true },
-      { name: 'amount', type: 'uint128', indexed: false },
-      { name: 'token', type: 'address', indexed: false },
-    ],
-  },
-  {
-    type: 'event', name: 'PremiumClaimed',
-    inputs: [
-      { name: 'insuranceContract', type: 'address', indexed: true },
-      { name: 'insurer_', type: 'address', indexed: true },
-      { name: 'amount', type: 'uint128', indexed: false },
-      { name: 'token', type: 'address', indexed: false },
-    ],
-  },
-  {
-    type: 'event', name: 'AutomationUpkeepPerformed',
-    inputs: [
-      { name: 'batchId', type: 'uint64', indexed: true },
-      { name: 'contractsProcessed', type: 'uint32', indexed: false },
-      { name: 'gasUsed', type: 'uint32', indexed: false },
-    ],
-  },
-  {
-    type: 'event', name: 'AttestationCreated',
-    inputs: [
-      { name: 'contract_', type: 'address', indexed: true },
-      { name: 'attestationType', type: 'uint8', indexed: true },
-      { name: 'uid', type: 'bytes32', indexed: false },
-    ],
-  },
+  { inputs: [{ name: '_worldWeatherKey', type: 'string' }, { name: '_openWeatherKey', type: 'string' }, { name: '_weatherbitKey', type: 'string' }, { name: '_linkToken', type: 'address' }, { name: '_priceFeed', type: 'address' }, { name: '_oracle1', type: 'address' }, { name: '_oracle2', type: 'address' }, { name: '_jobId1', type: 'bytes32' }, { name: '_jobId2', type: 'bytes32' }], stateMutability: 'nonpayable', type: 'constructor' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'contract_', type: 'address' }, { indexed: true, name: 'attestationType', type: 'uint8' }, { indexed: false, name: 'uid', type: 'bytes32' }], name: 'AttestationCreated', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'batchId', type: 'uint64' }, { indexed: false, name: 'contractsProcessed', type: 'uint32' }, { indexed: false, name: 'gasUsed', type: 'uint32' }], name: 'AutomationUpkeepPerformed', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'insuranceContract', type: 'address' }, { indexed: true, name: 'client', type: 'address' }, { indexed: true, name: 'configHash', type: 'bytes32' }], name: 'ContractCreated', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'contractAddress', type: 'address' }, { indexed: true, name: 'isActive', type: 'bool' }], name: 'ContractStateChanged', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'manager', type: 'address' }, { indexed: true, name: 'enabled', type: 'bool' }], name: 'EASConfigChanged', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: false, name: 'required', type: 'bool' }], name: 'KYCRequirementChanged', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'insuranceContract', type: 'address' }, { indexed: false, name: 'amount', type: 'uint256' }], name: 'LinkToppedUp', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'previousOwner', type: 'address' }, { indexed: true, name: 'newOwner', type: 'address' }], name: 'OwnershipTransferred', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'insuranceContract', type: 'address' }, { indexed: true, name: 'insurer_', type: 'address' }, { indexed: false, name: 'amount', type: 'uint128' }, { indexed: false, name: 'token', type: 'address' }], name: 'PremiumClaimed', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'insuranceContract', type: 'address' }, { indexed: true, name: 'client', type: 'address' }, { indexed: false, name: 'amount', type: 'uint128' }, { indexed: false, name: 'token', type: 'address' }], name: 'PremiumPaid', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'insuranceContract', type: 'address' }, { indexed: true, name: 'client', type: 'address' }, { indexed: false, name: 'amount', type: 'uint128' }, { indexed: false, name: 'token', type: 'address' }], name: 'PremiumRefunded', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'token', type: 'address' }, { indexed: false, name: 'priceFeed', type: 'address' }, { indexed: true, name: 'isAddition', type: 'bool' }], name: 'TokenOperation', type: 'event' },
+  { inputs: [], name: 'DAI', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'DAY_IN_SECONDS', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'MAX_CONTRACTS_PER_BATCH', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'MAX_STALENESS', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'PREMIUM_GRACE_PERIOD', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'USDC', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'USDT', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '', type: 'uint256' }], name: 'activeContracts', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'token', type: 'address' }, { name: 'priceFeed', type: 'address' }], name: 'addSupportedToken', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [], name: 'automationEnabled', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'automationForwarder', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '', type: 'bytes' }], name: 'checkUpkeep', outputs: [{ name: 'upkeepNeeded', type: 'bool' }, { name: 'performData', type: 'bytes' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '_contract', type: 'address' }], name: 'claimPremium', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '', type: 'address' }], name: 'contractIndex', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '', type: 'address' }], name: 'contracts', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '_contract', type: 'address' }], name: 'deactivateContract', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [], name: 'defaultTriggerTerms', outputs: [{ components: [{ name: 'droughtDays', type: 'uint32' }, { name: 'dryDayThreshold', type: 'uint32' }, { name: 'deficitWindowDays', type: 'uint32' }, { name: 'deficitThreshold', type: 'uint64' }, { name: 'product', type: 'uint8' }, { name: 'floodWindowDays', type: 'uint32' }, { name: 'floodThreshold', type: 'uint64' }], name: '', type: 'tuple' }], stateMutability: 'pure', type: 'function' },
+  { inputs: [], name: 'easEnabled', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'easManager', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'endContractProvider', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: 'start', type: 'uint256' }, { name: 'limit', type: 'uint256' }], name: 'getActiveContracts', outputs: [{ name: '', type: 'address[]' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getActiveContractsCount', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '_client', type: 'address' }], name: 'getContractsByClient', outputs: [{ name: '', type: 'address[]' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getEASManager', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getLatestPrice', outputs: [{ name: '', type: 'int256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'token', type: 'address' }, { name: 'usdAmount', type: 'uint256' }], name: 'getTokenAmountForUSD', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'insurer', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'isEASEnabled', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'jobId1', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'jobId2', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'kycRequired', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'lastUpkeepTimestamp', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'linkToken', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '_contracts', type: 'address[]' }], name: 'manualWeatherUpdate', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '_client', type: 'address' }, { name: '_duration', type: 'uint256' }, { name: '_premium', type: 'uint256' }, { name: '_payoutValue', type: 'uint256' }, { name: '_cropLocation', type: 'string' }, { name: '_paymentToken', type: 'address' }], name: 'newContract', outputs: [{ name: '', type: 'address' }], stateMutability: 'payable', type: 'function' },
+  { inputs: [{ name: '_client', type: 'address' }, { name: '_duration', type: 'uint256' }, { name: '_premium', type: 'uint256' }, { name: '_payoutValue', type: 'uint256' }, { name: '_cropLocation', type: 'string' }, { name: '_paymentToken', type: 'address' }, { components: [{ name: 'droughtDays', type: 'uint32' }, { name: 'dryDayThreshold', type: 'uint32' }, { name: 'deficitWindowDays', type: 'uint32' }, { name: 'deficitThreshold', type: 'uint64' }, { name: 'product', type: 'uint8' }, { name: 'floodWindowDays', type: 'uint32' }, { name: 'floodThreshold', type: 'uint64' }], name: '_terms', type: 'tuple' }, { components: [{ name: 'dryDays', type: 'uint32' }, { name: 'bps', type: 'uint16' }], name: '_tiers', type: 'tuple[]' }, { name: '_linearDeficit', type: 'bool' }], name: 'newContractWithPayouts', outputs: [{ name: '', type: 'address' }], stateMutability: 'payable', type: 'function' },
+  { inputs: [{ name: '_client', type: 'address' }, { name: '_duration', type: 'uint256' }, { name: '_premium', type: 'uint256' }, { name: '_payoutValue', type: 'uint256' }, { name: '_cropLocation', type: 'string' }, { name: '_paymentToken', type: 'address' }, { components: [{ name: 'droughtDays', type: 'uint32' }, { name: 'dryDayThreshold', type: 'uint32' }, { name: 'deficitWindowDays', type: 'uint32' }, { name: 'deficitThreshold', type: 'uint64' }, { name: 'product', type: 'uint8' }, { name: 'floodWindowDays', type: 'uint32' }, { name: 'floodThreshold', type: 'uint64' }], name: '_terms', type: 'tuple' }], name: 'newContractWithTerms', outputs: [{ name: '', type: 'address' }], stateMutability: 'payable', type: 'function' },
+  { inputs: [], name: 'oracle1', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'oracle2', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'owner', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '_contract', type: 'address' }], name: 'payPremium', outputs: [], stateMutability: 'payable', type: 'function' },
+  { inputs: [{ name: 'performData', type: 'bytes' }], name: 'performUpkeep', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '', type: 'address' }], name: 'premiumInfo', outputs: [{ name: 'amount', type: 'uint128' }, { name: 'amountPaid', type: 'uint128' }, { name: 'paidAt', type: 'uint64' }, { name: 'createdAt', type: 'uint64' }, { name: 'token', type: 'address' }, { name: 'paid', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'token', type: 'address' }], name: 'recoverERC20', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '_contract', type: 'address' }], name: 'refundPremium', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [], name: 'renounceOwnership', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '_enabled', type: 'bool' }], name: 'setAutomationEnabled', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '_forwarder', type: 'address' }], name: 'setAutomationForwarder', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '_easManager', type: 'address' }], name: 'setEASManager', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '_required', type: 'bool' }], name: 'setKYCRequired', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '_contract', type: 'address' }, { name: '_sources', type: 'uint8[]' }, { name: '_minQuorum', type: 'uint8' }, { name: '_toleranceBps', type: 'uint16' }, { name: '_toleranceMm', type: 'uint32' }], name: 'setOracleAggregation', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '_interval', type: 'uint256' }], name: 'setUpkeepInterval', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '', type: 'address' }], name: 'supportedTokens', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'terminated', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '_enabled', type: 'bool' }], name: 'toggleEAS', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '', type: 'address' }], name: 'tokenPriceFeeds', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '_contracts', type: 'address[]' }, { name: '_amounts', type: 'uint256[]' }], name: 'topUpLink', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: 'newOwner', type: 'address' }], name: 'transferOwnership', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [], name: 'upkeepBatchCounter', outputs: [{ name: '', type: 'uint64' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'upkeepInterval', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { stateMutability: 'payable', type: 'receive' },
 ] as const
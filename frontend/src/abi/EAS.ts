@@ -1,21 +1,25 @@
+// Generated from out/IEAS.sol/IEAS.json (IEAS) by `npm run abi:generate`. Do not edit.
 export const easAbi = [
-  {
-    type: 'function', name: 'getAttestation', inputs: [{ name: 'uid', type: 'bytes32' }],
-    outputs: [{
-      type: 'tuple',
-      components: [
-        { name: 'uid', type: 'bytes32' },
-        { name: 'schema', type: 'bytes32' },
-        { name: 'time', type: 'uint64' },
-        { name: 'expirationTime', type: 'uint64' },
-        { name: 'revocationTime', type: 'uint64' },
-        { name: 'refUID', type: 'bytes32' },
-        { name: 'recipient', type: 'address' },
-        { name: 'attester', type: 'address' },
-        { name: 'revocable', type: 'bool' },
-        { name: 'data', type: 'bytes' },
-      ],
-    }],
-    stateMutability: 'view',
-  },
+  { anonymous: false, inputs: [{ indexed: true, name: 'recipient', type: 'address' }, { indexed: true, name: 'attester', type: 'address' }, { indexed: false, name: 'uid', type: 'bytes32' }, { indexed: true, name: 'schemaUID', type: 'bytes32' }], name: 'Attested', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'recipient', type: 'address' }, { indexed: true, name: 'attester', type: 'address' }, { indexed: false, name: 'uid', type: 'bytes32' }, { indexed: true, name: 'schemaUID', type: 'bytes32' }], name: 'Revoked', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'revoker', type: 'address' }, { indexed: true, name: 'data', type: 'bytes32' }, { indexed: true, name: 'timestamp', type: 'uint64' }], name: 'RevokedOffchain', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'data', type: 'bytes32' }, { indexed: true, name: 'timestamp', type: 'uint64' }], name: 'Timestamped', type: 'event' },
+  { inputs: [{ components: [{ name: 'schema', type: 'bytes32' }, { components: [{ name: 'recipient', type: 'address' }, { name: 'expirationTime', type: 'uint64' }, { name: 'revocable', type: 'bool' }, { name: 'refUID', type: 'bytes32' }, { name: 'data', type: 'bytes' }, { name: 'value', type: 'uint256' }], name: 'data', type: 'tuple' }], name: 'request', type: 'tuple' }], name: 'attest', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'payable', type: 'function' },
+  { inputs: [{ components: [{ name: 'schema', type: 'bytes32' }, { components: [{ name: 'recipient', type: 'address' }, { name: 'expirationTime', type: 'uint64' }, { name: 'revocable', type: 'bool' }, { name: 'refUID', type: 'bytes32' }, { name: 'data', type: 'bytes' }, { name: 'value', type: 'uint256' }], name: 'data', type: 'tuple' }, { components: [{ name: 'v', type: 'uint8' }, { name: 'r', type: 'bytes32' }, { name: 's', type: 'bytes32' }], name: 'signature', type: 'tuple' }, { name: 'attester', type: 'address' }, { name: 'deadline', type: 'uint64' }], name: 'delegatedRequest', type: 'tuple' }], name: 'attestByDelegation', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'payable', type: 'function' },
+  { inputs: [{ name: 'uid', type: 'bytes32' }], name: 'getAttestation', outputs: [{ components: [{ name: 'uid', type: 'bytes32' }, { name: 'schema', type: 'bytes32' }, { name: 'time', type: 'uint64' }, { name: 'expirationTime', type: 'uint64' }, { name: 'revocationTime', type: 'uint64' }, { name: 'refUID', type: 'bytes32' }, { name: 'recipient', type: 'address' }, { name: 'attester', type: 'address' }, { name: 'revocable', type: 'bool' }, { name: 'data', type: 'bytes' }], name: '', type: 'tuple' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'revoker', type: 'address' }, { name: 'data', type: 'bytes32' }], name: 'getRevokeOffchain', outputs: [{ name: '', type: 'uint64' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getSchemaRegistry', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'data', type: 'bytes32' }], name: 'getTimestamp', outputs: [{ name: '', type: 'uint64' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'uid', type: 'bytes32' }], name: 'isAttestationValid', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ components: [{ name: 'schema', type: 'bytes32' }, { components: [{ name: 'recipient', type: 'address' }, { name: 'expirationTime', type: 'uint64' }, { name: 'revocable', type: 'bool' }, { name: 'refUID', type: 'bytes32' }, { name: 'data', type: 'bytes' }, { name: 'value', type: 'uint256' }], name: 'data', type: 'tuple[]' }], name: 'multiRequests', type: 'tuple[]' }], name: 'multiAttest', outputs: [{ name: '', type: 'bytes32[]' }], stateMutability: 'payable', type: 'function' },
+  { inputs: [{ components: [{ name: 'schema', type: 'bytes32' }, { components: [{ name: 'recipient', type: 'address' }, { name: 'expirationTime', type: 'uint64' }, { name: 'revocable', type: 'bool' }, { name: 'refUID', type: 'bytes32' }, { name: 'data', type: 'bytes' }, { name: 'value', type: 'uint256' }], name: 'data', type: 'tuple[]' }, { components: [{ name: 'v', type: 'uint8' }, { name: 'r', type: 'bytes32' }, { name: 's', type: 'bytes32' }], name: 'signatures', type: 'tuple[]' }, { name: 'attester', type: 'address' }, { name: 'deadline', type: 'uint64' }], name: 'multiDelegatedRequests', type: 'tuple[]' }], name: 'multiAttestByDelegation', outputs: [{ name: '', type: 'bytes32[]' }], stateMutability: 'payable', type: 'function' },
+  { inputs: [{ components: [{ name: 'schema', type: 'bytes32' }, { components: [{ name: 'uid', type: 'bytes32' }, { name: 'value', type: 'uint256' }], name: 'data', type: 'tuple[]' }], name: 'multiRequests', type: 'tuple[]' }], name: 'multiRevoke', outputs: [], stateMutability: 'payable', type: 'function' },
+  { inputs: [{ components: [{ name: 'schema', type: 'bytes32' }, { components: [{ name: 'uid', type: 'bytes32' }, { name: 'value', type: 'uint256' }], name: 'data', type: 'tuple[]' }, { components: [{ name: 'v', type: 'uint8' }, { name: 'r', type: 'bytes32' }, { name: 's', type: 'bytes32' }], name: 'signatures', type: 'tuple[]' }, { name: 'revoker', type: 'address' }, { name: 'deadline', type: 'uint64' }], name: 'multiDelegatedRequests', type: 'tuple[]' }], name: 'multiRevokeByDelegation', outputs: [], stateMutability: 'payable', type: 'function' },
+  { inputs: [{ name: 'data', type: 'bytes32[]' }], name: 'multiRevokeOffchain', outputs: [{ name: '', type: 'uint64' }], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: 'data', type: 'bytes32[]' }], name: 'multiTimestamp', outputs: [{ name: '', type: 'uint64' }], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ components: [{ name: 'schema', type: 'bytes32' }, { components: [{ name: 'uid', type: 'bytes32' }, { name: 'value', type: 'uint256' }], name: 'data', type: 'tuple' }], name: 'request', type: 'tuple' }], name: 'revoke', outputs: [], stateMutability: 'payable', type: 'function' },
+  { inputs: [{ components: [{ name: 'schema', type: 'bytes32' }, { components: [{ name: 'uid', type: 'bytes32' }, { name: 'value', type: 'uint256' }], name: 'data', type: 'tuple' }, { components: [{ name: 'v', type: 'uint8' }, { name: 'r', type: 'bytes32' }, { name: 's', type: 'bytes32' }], name: 'signature', type: 'tuple' }, { name: 'revoker', type: 'address' }, { name: 'deadline', type: 'uint64' }], name: 'delegatedRequest', type: 'tuple' }], name: 'revokeByDelegation', outputs: [], stateMutability: 'payable', type: 'function' },
+  { inputs: [{ name: 'data', type: 'bytes32' }], name: 'revokeOffchain', outputs: [{ name: '', type: 'uint64' }], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: 'data', type: 'bytes32' }], name: 'timestamp', outputs: [{ name: '', type: 'uint64' }], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [], name: 'version', outputs: [{ name: '', type: 'string' }], stateMutability: 'view', type: 'function' },
 ] as const
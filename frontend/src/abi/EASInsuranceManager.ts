@@ -1,13 +1,66 @@
+// Generated from out/EASInsuranceManager.sol/EASInsuranceManager.json (EASInsuranceManager) by `npm run abi:generate`. Do not edit.
 export const easInsuranceManagerAbi = [
-  { type: 'function', name: 'getAttestationStats', inputs: [], outputs: [{ name: 'totalPolicies', type: 'uint256' }, { name: 'totalWeather', type: 'uint256' }, { name: 'totalClaims', type: 'uint256' }, { name: 'totalCompliance', type: 'uint256' }, { name: 'totalPremiums', type: 'uint256' }], stateMutability: 'view' },
-  { type: 'function', name: 'getPolicyAttestations', inputs: [{ name: 'policyContract', type: 'address' }], outputs: [{ type: 'bytes32[]' }], stateMutability: 'view' },
-  { type: 'function', name: 'getWeatherAttestations', inputs: [{ name: 'location', type: 'string' }], outputs: [{ type: 'bytes32[]' }], stateMutability: 'view' },
-  { type: 'function', name: 'getClientAttestations', inputs: [{ name: 'client', type: 'address' }], outputs: [{ type: 'bytes32[]' }], stateMutability: 'view' },
-  { type: 'function', name: 'getPremiumAttestations', inputs: [{ name: 'policyContract', type: 'address' }], outputs: [{ type: 'bytes32[]' }], stateMutability: 'view' },
-  { type: 'function', name: 'verifyPolicyAttestation', inputs: [{ name: 'uid', type: 'bytes32' }], outputs: [{ type: 'bool' }], stateMutability: 'view' },
-  { type: 'function', name: 'verifyWeatherAttestation', inputs: [{ name: 'uid', type: 'bytes32' }], outputs: [{ type: 'bool' }], stateMutability: 'view' },
-  { type: 'function', name: 'verifyClaimAttestation', inputs: [{ name: 'uid', type: 'bytes32' }], outputs: [{ type: 'bool' }], stateMutability: 'view' },
-  { type: 'function', name: 'isValidAttestation', inputs: [{ name: 'uid', type: 'bytes32' }], outputs: [{ type: 'bool' }], stateMutability: 'view' },
-  { type: 'function', name: 'getLatestWeatherAttestation', inputs: [{ name: 'location', type: 'string' }], outputs: [{ type: 'bytes32' }], stateMutability: 'view' },
-  { type: 'function', name: 'getLatestPolicyAttestation', inputs: [{ name: 'policyContract', type: 'address' }], outputs: [{ type: 'bytes32' }], stateMutability: 'view' },
+  { inputs: [{ name: '_eas', type: 'address' }, { name: '_schemaRegistry', type: 'address' }, { name: '_schemas', type: 'address' }], stateMutability: 'nonpayable', type: 'constructor' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'uid', type: 'bytes32' }, { indexed: true, name: 'revoker', type: 'address' }, { indexed: false, name: 'reason', type: 'string' }], name: 'AttestationRevoked', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'attestor', type: 'address' }, { indexed: false, name: 'authorized', type: 'bool' }], name: 'AttestorAuthorized', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'uid', type: 'bytes32' }, { indexed: true, name: 'policyContract', type: 'address' }, { indexed: false, name: 'claimAmount', type: 'uint256' }, { indexed: false, name: 'claimStatus', type: 'uint8' }, { indexed: false, name: 'schemaUID', type: 'bytes32' }], name: 'ClaimAttestationCreated', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'uid', type: 'bytes32' }, { indexed: true, name: 'entity', type: 'address' }, { indexed: false, name: 'regulationType', type: 'string' }, { indexed: false, name: 'compliant', type: 'bool' }, { indexed: false, name: 'schemaUID', type: 'bytes32' }], name: 'ComplianceAttestationCreated', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'provider', type: 'address' }, { indexed: false, name: 'registered', type: 'bool' }], name: 'ComplianceProviderRegistered', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'uid', type: 'bytes32' }, { indexed: true, name: 'client', type: 'address' }, { indexed: false, name: 'verified', type: 'bool' }, { indexed: false, name: 'expirationTime', type: 'uint64' }, { indexed: false, name: 'schemaUID', type: 'bytes32' }], name: 'KYCAttestationCreated', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'node', type: 'address' }, { indexed: false, name: 'registered', type: 'bool' }], name: 'OracleNodeRegistered', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'previousOwner', type: 'address' }, { indexed: true, name: 'newOwner', type: 'address' }], name: 'OwnershipTransferred', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'uid', type: 'bytes32' }, { indexed: true, name: 'policyContract', type: 'address' }, { indexed: true, name: 'client', type: 'address' }, { indexed: false, name: 'schemaUID', type: 'bytes32' }], name: 'PolicyAttestationCreated', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'uid', type: 'bytes32' }, { indexed: true, name: 'policyContract', type: 'address' }, { indexed: true, name: 'client', type: 'address' }, { indexed: false, name: 'amount', type: 'uint256' }, { indexed: false, name: 'schemaUID', type: 'bytes32' }], name: 'PremiumAttestationCreated', type: 'event' },
+  { anonymous: false, inputs: [{ indexed: true, name: 'uid', type: 'bytes32' }, { indexed: false, name: 'location', type: 'string' }, { indexed: false, name: 'rainfall', type: 'uint256' }, { indexed: false, name: 'timestamp', type: 'uint256' }, { indexed: false, name: 'schemaUID', type: 'bytes32' }], name: 'WeatherAttestationCreated', type: 'event' },
+  { inputs: [{ name: '', type: 'bytes32' }], name: 'attestationRequester', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'attestor', type: 'address' }, { name: 'authorized', type: 'bool' }], name: 'authorizeAttestor', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '', type: 'address' }], name: 'authorizedAttestors', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '', type: 'address' }], name: 'complianceProviders', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'policyContract', type: 'address' }, { name: 'claimAmount', type: 'uint256' }, { name: 'claimStatus', type: 'uint8' }, { name: 'evidence', type: 'string' }, { name: 'droughtConfirmed', type: 'bool' }], name: 'createClaimAttestation', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: 'entity', type: 'address' }, { name: 'regulationType', type: 'string' }, { name: 'compliant', type: 'bool' }, { name: 'certifyingAuthority', type: 'string' }], name: 'createComplianceAttestation', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: 'client', type: 'address' }, { name: 'verificationType', type: 'string' }, { name: 'verified', type: 'bool' }, { name: 'complianceLevel', type: 'string' }, { name: 'documentHash', type: 'bytes32' }, { name: 'validFor', type: 'uint64' }], name: 'createKYCAttestation', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: 'policyContract', type: 'address' }, { name: 'client', type: 'address' }, { name: 'premiumPaid', type: 'uint256' }, { name: 'payoutValue', type: 'uint256' }, { name: 'cropLocation', type: 'string' }, { name: 'startDate', type: 'uint256' }, { name: 'duration', type: 'uint256' }, { name: 'isActive', type: 'bool' }], name: 'createPolicyAttestation', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: 'policyContract', type: 'address' }, { name: 'client', type: 'address' }, { name: 'amount', type: 'uint256' }, { name: 'token', type: 'address' }, { name: 'paid', type: 'bool' }], name: 'createPremiumAttestation', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: 'location', type: 'string' }, { name: 'rainfall', type: 'uint256' }, { name: 'dataSource', type: 'string' }, { name: 'oracleRequestId', type: 'bytes32' }, { name: 'verified', type: 'bool' }], name: 'createWeatherAttestation', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [], name: 'eas', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getAttestationStats', outputs: [{ name: 'totalPolicies', type: 'uint256' }, { name: 'totalWeather', type: 'uint256' }, { name: 'totalClaims', type: 'uint256' }, { name: 'totalCompliance', type: 'uint256' }, { name: 'totalPremiums', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'policyContract', type: 'address' }], name: 'getClaimAttestations', outputs: [{ name: '', type: 'bytes32[]' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getClaimSchemaUID', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'client', type: 'address' }], name: 'getClientAttestations', outputs: [{ name: '', type: 'bytes32[]' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'entity', type: 'address' }], name: 'getComplianceAttestations', outputs: [{ name: '', type: 'bytes32[]' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getComplianceSchemaUID', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getEASAddress', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'client', type: 'address' }], name: 'getKYCAttestations', outputs: [{ name: '', type: 'bytes32[]' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'policyContract', type: 'address' }], name: 'getLatestPolicyAttestation', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'location', type: 'string' }], name: 'getLatestWeatherAttestation', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'policyContract', type: 'address' }], name: 'getPolicyAttestations', outputs: [{ name: '', type: 'bytes32[]' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getPolicySchemaUID', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'policyContract', type: 'address' }], name: 'getPremiumAttestations', outputs: [{ name: '', type: 'bytes32[]' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getPremiumSchemaUID', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getSchemaRegistryAddress', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getSchemasAddress', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'location', type: 'string' }], name: 'getWeatherAttestations', outputs: [{ name: '', type: 'bytes32[]' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'getWeatherSchemaUID', outputs: [{ name: '', type: 'bytes32' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'client', type: 'address' }], name: 'hasValidKYC', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'uid', type: 'bytes32' }], name: 'isValidAttestation', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: '', type: 'address' }], name: 'oracleNodes', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'owner', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'provider', type: 'address' }, { name: 'registered', type: 'bool' }], name: 'registerComplianceProvider', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: 'node', type: 'address' }, { name: 'registered', type: 'bool' }], name: 'registerOracleNode', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [], name: 'renounceOwnership', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: '', type: 'bytes32' }], name: 'revocationReasons', outputs: [{ name: '', type: 'string' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'uid', type: 'bytes32' }, { name: 'reason', type: 'string' }], name: 'revokeKYCAttestation', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: 'uid', type: 'bytes32' }, { name: 'reason', type: 'string' }], name: 'revokePolicyAttestation', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: 'uid', type: 'bytes32' }, { name: 'reason', type: 'string' }], name: 'revokeWeatherAttestation', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [], name: 'schemaRegistry', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'schemas', outputs: [{ name: '', type: 'address' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'totalClaimAttestations', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'totalComplianceAttestations', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'totalPolicyAttestations', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'totalPremiumAttestations', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'totalWeatherAttestations', outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'newOwner', type: 'address' }], name: 'transferOwnership', outputs: [], stateMutability: 'nonpayable', type: 'function' },
+  { inputs: [{ name: 'uid', type: 'bytes32' }], name: 'verifyClaimAttestation', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'uid', type: 'bytes32' }], name: 'verifyPolicyAttestation', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
+  { inputs: [{ name: 'uid', type: 'bytes32' }], name: 'verifyWeatherAttestation', outputs: [{ name: '', type: 'bool' }], stateMutability: 'view', type: 'function' },
 ] as const
@@ -2,37 +2,48 @@
 
 import { use } from 'react'
 import Link from 'next/link'
-import { useReadContract } from 'wagmi'
-import { easAbi } from '@/abi/EAS'
-import { easInsuranceManagerAbi } from '@/abi/EASInsuranceManager'
-import { CONTRACTS } from '@/config/contracts'
+import { useAttestationDetail } from '@/hooks/useAttestationDetail'
+import { useNetwork } from '@/hooks/useNetwork'
 import { formatAddress, formatTimestamp } from '@/lib/format'
-import { ATTESTATION_TYPES, decodeAttestationData, CLAIM_STATUS_LABELS, type AttestationType } from '@/lib/attestations'
+import { describeAttestation, type AttestationField } from '@/lib/attestations'
 
-export default function AttestationDetail({ params }: { params: Promise<{ uid: string }> }) {
-  const { uid } = use(params)
-  const uidBytes = uid as `0x${string}`
+function AddressLink({ address, explorer }: { address: string; explorer: string | null | undefined }) {
+  if (!explorer) return <span className="font-mono">{formatAddress(address)}</span>
+  return (
+    <a
+      href={`${explorer}/address/${address}`}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="font-mono text-green-600 hover:text-green-500"
+    >
+      {formatAddress(address)}
+    </a>
+  )
+}
 
-  const { data: attestation, isLoading } = useReadContract({
-    address: CONTRACTS.eas,
-    abi: easAbi,
-    functionName: 'getAttestation',
-    args: [uidBytes],
-  })
+function FieldValue({ field, explorer }: { field: AttestationField; explorer: string | null | undefined }) {
+  if (field.kind === 'policy' && field.address) {
+    return (
+      <Link href={`/farmer/policy/${field.address}`} className="text-green-600 hover:text-green-500">
+        {field.key === 'policyId' ? field.display : formatAddress(field.address)}
+      </Link>
+    )
+  }
+  if (field.kind === 'address' && field.address) return <AddressLink address={field.address} explorer={explorer} />
+  return <>{field.display}</>
+}
 
-  const { data: isValid } = useReadContract({
-    address: CONTRACTS.easManager,
-    abi: easInsuranceManagerAbi,
-    functionName: 'isValidAttestation',
-    args: [uidBytes],
-    query: { enabled: CONTRACTS.easManager !== '0x0000000000000000000000000000000000000000' },
-  })
+export default function AttestationDetail({ params }: { params: Promise<{ uid: string }> }) {
+  const { network } = useNetwork()
+  const { uid } = use(params)
+  const { attestation: att, decoded, isValid, viaManager, requestedBy, roles, revocationReason, isLoading } =
+    useAttestationDetail(uid as `0x${string}`)
 
   if (isLoading) {
     return <div className="mx-auto max-w-4xl px-4 py-8 text-center text-gray-500">Loading attestation...</div>
   }
 
-  if (!attestation) {
+  if (!att) {
     return (
       <div className="mx-auto max-w-4xl px-4 py-8">
         <div className="rounded-md bg-red-50 p-4 text-sm text-red-700">Attestation not found.</div>
@@ -40,32 +51,11 @@ export default function AttestationDetail({ params }: { params: Promise<{ uid: s
     )
   }
 
-  const att = attestation as {
-    uid: `0x${string}`; schema: `0x${string}`; time: bigint; expirationTime: bigint;
-    revocationTime: bigint; refUID: `0x${string}`; recipient: `0x${string}`;
-    attester: `0x${string}`; revocable: boolean; data: `0x${string}`;
-  }
-
   const isRevoked = att.revocationTime > 0n
   const isExpired = att.expirationTime > 0n && att.expirationTime < BigInt(Math.floor(Date.now() / 1000))
   const hasRef = att.refUID !== '0x0000000000000000000000000000000000000000000000000000000000000000'
-
-  // Try to decode data for each known schema type
-  let decodedData: Record<string, unknown> | null = null
-  let matchedType: AttestationType | null = null
-
-  for (const type of ATTESTATION_TYPES) {
-    try {
-      const decoded = decodeAttestationData(type, att.data)
-      if (decoded) {
-        decodedData = decoded as unknown as Record<string, unknown>
-        matchedType = type
-        break
-      }
-    } catch {
-      // Try next type
-    }
-  }
+  const hasRecipient = att.recipient !== '0x0000000000000000000000000000000000000000'
+  const fields = decoded ? describeAttestation(decoded.fields) : []
 
   return (
     <div className="mx-auto max-w-4xl px-4 py-8 sm:px-6 lg:px-8">
@@ -94,14 +84,21 @@ export default function AttestationDetail({ params }: { params: Promise<{ uid: s
               Expired
             </span>
           )}
-          {matchedType && (
+          {decoded && (
             <span className="inline-flex items-center rounded-full bg-blue-100 px-3 py-1 text-xs font-medium text-blue-800">
-              {matchedType}
+              {decoded.type}
             </span>
           )}
         </div>
       </div>
 
+      {isRevoked && (
+        <div className="mt-6 rounded-md bg-red-50 p-4 text-sm text-red-700">
+          <p className="font-medium">Revoked {formatTimestamp(att.revocationTime)}</p>
+          <p className="mt-1">{revocationReason ?? 'No reason was recorded; it was revoked directly on EAS.'}</p>
+        </div>
+      )}
+
       {/* Envelope */}
       <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
         <h2 className="text-lg font-semibold text-gray-900">Attestation Envelope</h2>
@@ -116,11 +113,34 @@ export default function AttestationDetail({ params }: { params: Promise<{ uid: s
           </div>
           <div>
             <dt className="text-sm text-gray-500">Attester</dt>
-            <dd className="text-sm font-mono text-gray-900">{formatAddress(att.attester)}</dd>
+            <dd className="text-sm text-gray-900">
+              <AddressLink address={att.attester} explorer={network?.explorer} />
+              {viaManager && <span className="ml-2 text-xs text-gray-500">(EAS Insurance Manager)</span>}
+            </dd>
           </div>
           <div>
             <dt className="text-sm text-gray-500">Recipient</dt>
-            <dd className="text-sm font-mono text-gray-900">{formatAddress(att.recipient)}</dd>
+            <dd className="text-sm text-gray-900">
+              {hasRecipient ? <AddressLink address={att.recipient} explorer={network?.explorer} /> : 'None'}
+            </dd>
+          </div>
+          {viaManager && (
+            <div>
+              <dt className="text-sm text-gray-500">Requested By</dt>
+              <dd className="text-sm text-gray-900">
+                {requestedBy ? <AddressLink address={requestedBy} explorer={network?.explorer} /> : 'Not recorded'}
+              </dd>
+            </div>
+          )}
+          <div>
+            <dt className="text-sm text-gray-500">Role</dt>
+            <dd className="flex flex-wrap gap-1">
+              {roles.length > 0 ? roles.map((role) => (
+                <span key={role} className="inline-flex rounded-full bg-gray-100 px-2.5 py-0.5 text-xs font-medium text-gray-700">
+                  {role}
+                </span>
+              )) : <span className="text-sm text-gray-500">{requestedBy ? 'None' : 'Unknown'}</span>}
+            </dd>
           </div>
           <div>
             <dt className="text-sm text-gray-500">Expiration</dt>
@@ -146,20 +166,24 @@ export default function AttestationDetail({ params }: { params: Promise<{ uid: s
       </div>
 
       {/* Decoded Data */}
-      {decodedData && (
+      {decoded ? (
         <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
-          <h2 className="text-lg font-semibold text-gray-900">Decoded Data ({matchedType})</h2>
+          <h2 className="text-lg font-semibold text-gray-900">{decoded.type} Data</h2>
           <dl className="mt-4 space-y-3">
-            {Object.entries(decodedData).map(([key, value]) => (
-              <div key={key} className="flex justify-between border-b border-gray-100 pb-2">
-                <dt className="text-sm text-gray-500">{key}</dt>
+            {fields.map((field) => (
+              <div key={field.key} className="flex justify-between border-b border-gray-100 pb-2">
+                <dt className="text-sm text-gray-500">{field.label}</dt>
                 <dd className="text-sm font-medium text-gray-900 text-right max-w-[60%] break-all">
-                  {key === 'claimStatus' ? CLAIM_STATUS_LABELS[Number(value)] || String(value) : String(value)}
+                  <FieldValue field={field} explorer={network?.explorer} />
                 </dd>
               </div>
             ))}
           </dl>
         </div>
+      ) : (
+        <div className="mt-6 rounded-md bg-yellow-50 p-4 text-sm text-yellow-700">
+          This attestation doesn&apos;t match any of the insurance schemas, so only the raw data is shown.
+        </div>
       )}
 
       {/* Raw Data */}
@@ -170,16 +194,18 @@ export default function AttestationDetail({ params }: { params: Promise<{ uid: s
         </pre>
       </div>
 
-      <div className="mt-4 text-right">
-        <a
-          href={`https://sepolia.easscan.org/attestation/view/${uid}`}
-          target="_blank"
-          rel="noopener noreferrer"
-          className="text-sm text-green-600 hover:text-green-500"
-        >
-          View on EASScan &rarr;
-        </a>
-      </div>
+      {network?.easScan && (
+        <div className="mt-4 text-right">
+          <a
+            href={`${network.easScan}/attestation/view/${uid}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-sm text-green-600 hover:text-green-500"
+          >
+            View on EASScan &rarr;
+          </a>
+        </div>
+      )}
     </div>
   )
 }
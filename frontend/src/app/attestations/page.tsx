@@ -3,29 +3,50 @@
 import { useState } from 'react'
 import Link from 'next/link'
 import { useAccount, useReadContract } from 'wagmi'
-import { type Address } from 'viem'
+import { isAddress, type Hex } from 'viem'
 import { easInsuranceManagerAbi } from '@/abi/EASInsuranceManager'
-import { CONTRACTS } from '@/config/contracts'
-import { formatAddress } from '@/lib/format'
+import { useAttestationRecords } from '@/hooks/useAttestationRecords'
+import { useNetwork } from '@/hooks/useNetwork'
+import { downloadFile } from '@/lib/csv'
+import { formatAddress, formatTimestamp } from '@/lib/format'
+import {
+  NO_FILTERS, attestationsToCsv, attestationsToJson, filterAttestations, paginate, policyLocation, policyTimeline,
+  statusOptions, timeline, type AttestationFilters, type RevokedFilter,
+} from '@/lib/attestationExplorer'
 
-type Tab = 'client' | 'policy' | 'weather'
+type Tab = 'client' | 'policy' | 'claims' | 'premiums' | 'compliance' | 'weather'
+
+const TABS: { id: Tab; label: string; placeholder?: string }[] = [
+  { id: 'client', label: 'My Attestations' },
+  { id: 'policy', label: 'Policy Timeline', placeholder: 'Contract address (0x...)' },
+  { id: 'claims', label: 'Claims', placeholder: 'Contract address (0x...)' },
+  { id: 'premiums', label: 'Premiums', placeholder: 'Contract address (0x...)' },
+  { id: 'compliance', label: 'Compliance', placeholder: 'Entity address (0x...)' },
+  { id: 'weather', label: 'By Location', placeholder: 'Location (e.g. London,UK)' },
+]
+
+const NO_UIDS: readonly Hex[] = []
 
 export default function AttestationBrowser() {
+  const { contracts } = useNetwork()
   const { address } = useAccount()
   const [tab, setTab] = useState<Tab>('client')
   const [searchInput, setSearchInput] = useState('')
+  const [filters, setFilters] = useState<AttestationFilters>(NO_FILTERS)
+  const [page, setPage] = useState(1)
 
-  const isConfigured = CONTRACTS.easManager !== '0x0000000000000000000000000000000000000000'
+  const isConfigured = contracts.easManager !== '0x0000000000000000000000000000000000000000'
+  const searchAddress = isAddress(searchInput) ? searchInput : undefined
 
   const { data: stats } = useReadContract({
-    address: CONTRACTS.easManager,
+    address: contracts.easManager,
     abi: easInsuranceManagerAbi,
     functionName: 'getAttestationStats',
     query: { enabled: isConfigured },
   })
 
   const { data: clientAttestations } = useReadContract({
-    address: CONTRACTS.easManager,
+    address: contracts.easManager,
     abi: easInsuranceManagerAbi,
     functionName: 'getClientAttestations',
     args: address ? [address] : undefined,
@@ -33,26 +54,70 @@ export default function AttestationBrowser() {
   })
 
   const { data: policyAttestations } = useReadContract({
-    address: CONTRACTS.easManager,
+    address: contracts.easManager,
     abi: easInsuranceManagerAbi,
     functionName: 'getPolicyAttestations',
-    args: searchInput ? [searchInput as Address] : undefined,
-    query: { enabled: isConfigured && !!searchInput && tab === 'policy' },
+    args: searchAddress ? [searchAddress] : undefined,
+    query: { enabled: isConfigured && !!searchAddress && tab === 'policy' },
+  })
+
+  const { data: claimAttestations } = useReadContract({
+    address: contracts.easManager,
+    abi: easInsuranceManagerAbi,
+    functionName: 'getClaimAttestations',
+    args: searchAddress ? [searchAddress] : undefined,
+    query: { enabled: isConfigured && !!searchAddress && (tab === 'policy' || tab === 'claims') },
+  })
+
+  const { data: premiumAttestations } = useReadContract({
+    address: contracts.easManager,
+    abi: easInsuranceManagerAbi,
+    functionName: 'getPremiumAttestations',
+    args: searchAddress ? [searchAddress] : undefined,
+    query: { enabled: isConfigured && !!searchAddress && (tab === 'policy' || tab === 'premiums') },
+  })
+
+  const { data: complianceAttestations } = useReadContract({
+    address: contracts.easManager,
+    abi: easInsuranceManagerAbi,
+    functionName: 'getComplianceAttestations',
+    args: searchAddress ? [searchAddress] : undefined,
+    query: { enabled: isConfigured && !!searchAddress && tab === 'compliance' },
   })
 
+  const uids: readonly Hex[] = tab === 'client'
+    ? clientAttestations ?? NO_UIDS
+    : tab === 'policy'
+    ? [...(policyAttestations ?? NO_UIDS), ...(claimAttestations ?? NO_UIDS), ...(premiumAttestations ?? NO_UIDS)]
+    : tab === 'claims'
+    ? claimAttestations ?? NO_UIDS
+    : tab === 'premiums'
+    ? premiumAttestations ?? NO_UIDS
+    : tab === 'compliance'
+    ? complianceAttestations ?? NO_UIDS
+    : NO_UIDS
+
+  const { records, isLoading } = useAttestationRecords(uids)
+
+  // The policy timeline pulls in weather filed under the policy's location
+  const location = tab === 'weather' ? searchInput : tab === 'policy' ? policyLocation(records) : null
+
   const { data: weatherAttestations } = useReadContract({
-    address: CONTRACTS.easManager,
+    address: contracts.easManager,
     abi: easInsuranceManagerAbi,
     functionName: 'getWeatherAttestations',
-    args: searchInput ? [searchInput] : undefined,
-    query: { enabled: isConfigured && !!searchInput && tab === 'weather' },
+    args: location ? [location] : undefined,
+    query: { enabled: isConfigured && !!location },
   })
 
-  const currentAttestations = tab === 'client'
-    ? (clientAttestations as `0x${string}`[]) || []
-    : tab === 'policy'
-    ? (policyAttestations as `0x${string}`[]) || []
-    : (weatherAttestations as `0x${string}`[]) || []
+  const { records: weatherRecords, isLoading: isLoadingWeather } = useAttestationRecords(weatherAttestations ?? NO_UIDS)
+
+  const all = tab === 'policy'
+    ? policyTimeline(records, weatherRecords)
+    : timeline(tab === 'weather' ? weatherRecords : records)
+  const filtered = filterAttestations(all, filters)
+  const shown = paginate(filtered, page)
+  const statuses = statusOptions(all)
 
   const statEntries = stats ? [
     { label: 'Policies', value: Number(stats[0]) },
@@ -62,6 +127,39 @@ export default function AttestationBrowser() {
     { label: 'Premiums', value: Number(stats[4]) },
   ] : []
 
+  const placeholder = TABS.find((t) => t.id === tab)?.placeholder
+  const needsAddress = tab !== 'client' && tab !== 'weather'
+
+  function selectTab(id: Tab) {
+    setTab(id)
+    setFilters(NO_FILTERS)
+    setPage(1)
+  }
+
+  function updateFilters(update: Partial<AttestationFilters>) {
+    setFilters((prev) => ({ ...prev, ...update }))
+    setPage(1)
+  }
+
+  function exportAs(format: 'csv' | 'json') {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+    downloadFile(
+      `attestations-${tab}-${stamp}.${format}`,
+      format === 'csv' ? attestationsToCsv(filtered) : attestationsToJson(filtered),
+      format === 'csv' ? 'text/csv' : 'application/json',
+    )
+  }
+
+  const emptyMessage = tab === 'client'
+    ? 'No attestations found for your wallet.'
+    : !searchInput
+    ? 'Enter a search query above.'
+    : needsAddress && !searchAddress
+    ? 'Enter a valid address.'
+    : all.length === 0
+    ? 'No attestations found.'
+    : 'No attestations match these filters.'
+
   return (
     <div className="mx-auto max-w-7xl px-4 py-8 sm:px-6 lg:px-8">
       <h1 className="text-2xl font-bold text-gray-900">Attestation Explorer</h1>
@@ -87,14 +185,10 @@ export default function AttestationBrowser() {
 
       {/* Tabs */}
       <div className="mt-6 flex gap-1 border-b border-gray-200">
-        {([
-          { id: 'client' as const, label: 'My Attestations' },
-          { id: 'policy' as const, label: 'By Policy' },
-          { id: 'weather' as const, label: 'By Location' },
-        ]).map((t) => (
+        {TABS.map((t) => (
           <button
             key={t.id}
-            onClick={() => setTab(t.id)}
+            onClick={() => selectTab(t.id)}
             className={`px-4 py-2 text-sm font-medium border-b-2 transition-colors ${
               tab === t.id ? 'border-green-600 text-green-600' : 'border-transparent text-gray-500 hover:text-gray-700'
             }`}
@@ -105,23 +199,94 @@ export default function AttestationBrowser() {
       </div>
 
       {/* Search */}
-      {tab !== 'client' && (
+      {placeholder && (
         <div className="mt-4">
           <input
             type="text"
             value={searchInput}
-            onChange={(e) => setSearchInput(e.target.value)}
-            placeholder={tab === 'policy' ? 'Contract address (0x...)' : 'Location (e.g. London,UK)'}
+            onChange={(e) => {
+              setSearchInput(e.target.value)
+              setPage(1)
+            }}
+            placeholder={placeholder}
             className="block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
           />
+          {tab === 'policy' && location && (
+            <p className="mt-1 text-xs text-gray-500">Includes weather attestations for {location} during the cover period.</p>
+          )}
         </div>
       )}
 
+      {/* Filters */}
+      <div className="mt-4 flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-xs font-medium text-gray-700">From</label>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilters({ from: e.target.value })}
+            className="mt-1 block rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700">To</label>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilters({ to: e.target.value })}
+            className="mt-1 block rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700">Status</label>
+          <select
+            value={filters.status}
+            onChange={(e) => updateFilters({ status: e.target.value })}
+            className="mt-1 block rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+          >
+            <option value="">Any</option>
+            {statuses.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700">Revoked</label>
+          <select
+            value={filters.revoked}
+            onChange={(e) => updateFilters({ revoked: e.target.value as RevokedFilter })}
+            className="mt-1 block rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+          >
+            <option value="all">All</option>
+            <option value="active">Not revoked</option>
+            <option value="revoked">Revoked only</option>
+          </select>
+        </div>
+        <div className="ml-auto flex gap-2">
+          <button
+            type="button"
+            onClick={() => exportAs('csv')}
+            disabled={filtered.length === 0}
+            className="rounded-md border border-gray-300 bg-white px-3 py-2 text-sm font-medium text-gray-700 shadow-sm hover:bg-gray-50 disabled:opacity-50"
+          >
+            Export CSV
+          </button>
+          <button
+            type="button"
+            onClick={() => exportAs('json')}
+            disabled={filtered.length === 0}
+            className="rounded-md border border-gray-300 bg-white px-3 py-2 text-sm font-medium text-gray-700 shadow-sm hover:bg-gray-50 disabled:opacity-50"
+          >
+            Export JSON
+          </button>
+        </div>
+      </div>
+
       {/* Results */}
       <div className="mt-4">
-        {currentAttestations.length === 0 ? (
+        {isLoading || isLoadingWeather ? (
+          <div className="p-8 text-center text-gray-500">Loading attestations...</div>
+        ) : filtered.length === 0 ? (
           <div className="rounded-md border-2 border-dashed border-gray-300 p-8 text-center text-gray-500">
-            {tab === 'client' ? 'No attestations found for your wallet.' : 'Enter a search query above.'}
+            {emptyMessage}
           </div>
         ) : (
           <div className="overflow-hidden rounded-lg border border-gray-200 bg-white">
@@ -129,15 +294,32 @@ export default function AttestationBrowser() {
               <thead className="bg-gray-50">
                 <tr>
                   <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">UID</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Type</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Status</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Created</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Recipient</th>
                   <th className="px-4 py-3"></th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-200">
-                {currentAttestations.map((uid) => (
-                  <tr key={uid} className="hover:bg-gray-50">
-                    <td className="px-4 py-3 text-sm font-mono text-gray-900">{formatAddress(uid)}</td>
+                {shown.items.map((r) => (
+                  <tr key={r.uid} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-mono text-gray-900">{formatAddress(r.uid)}</td>
+                    <td className="px-4 py-3 text-sm text-gray-900">{r.type ?? 'Unknown'}</td>
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      {r.status ?? '—'}
+                      {r.revoked && (
+                        <span className="ml-2 inline-flex rounded-full bg-red-100 px-2.5 py-0.5 text-xs font-medium text-red-800">
+                          Revoked
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500">{formatTimestamp(r.time)}</td>
+                    <td className="px-4 py-3 text-sm font-mono text-gray-500">
+                      {r.recipient === '0x0000000000000000000000000000000000000000' ? '—' : formatAddress(r.recipient)}
+                    </td>
                     <td className="px-4 py-3 text-right">
-                      <Link href={`/attestations/${uid}`} className="text-sm text-green-600 hover:text-green-500">
+                      <Link href={`/attestations/${r.uid}`} className="text-sm text-green-600 hover:text-green-500">
                         View
                       </Link>
                     </td>
@@ -145,6 +327,31 @@ export default function AttestationBrowser() {
                 ))}
               </tbody>
             </table>
+            {shown.pageCount > 1 && (
+              <div className="flex items-center justify-between border-t border-gray-200 px-4 py-3">
+                <p className="text-sm text-gray-500">
+                  Page {shown.page} of {shown.pageCount} ({filtered.length} attestations)
+                </p>
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setPage(shown.page - 1)}
+                    disabled={shown.page === 1}
+                    className="rounded-md border border-gray-300 px-3 py-1 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setPage(shown.page + 1)}
+                    disabled={shown.page === shown.pageCount}
+                    className="rounded-md border border-gray-300 px-3 py-1 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,295 @@
+'use client'
+
+import { useState } from 'react'
+import Link from 'next/link'
+import { useAccount } from 'wagmi'
+import { isAddress, keccak256, zeroHash, type Address, type Hex } from 'viem'
+import { useClientKyc, useKycIssuer } from '@/hooks/useKyc'
+import { validateRevocationReason } from '@/lib/easRoles'
+import { formatAddress, formatTimestamp } from '@/lib/format'
+import {
+  DEFAULT_KYC_VALIDITY_DAYS, KYC_COMPLIANCE_LEVELS, KYC_STATUS_LABELS, KYC_VERIFICATION_TYPES, kycValidFor,
+  type KycStatus,
+} from '@/lib/kyc'
+
+const STATUS_STYLES: Record<KycStatus, string> = {
+  valid: 'bg-green-100 text-green-800',
+  expired: 'bg-yellow-100 text-yellow-800',
+  revoked: 'bg-red-100 text-red-800',
+  unverified: 'bg-gray-100 text-gray-700',
+}
+
+export default function Compliance() {
+  const { isConnected } = useAccount()
+  const { isConfigured, canIssue, issue, isIssuing, issueError, revoke, revoking, revokeError } = useKycIssuer()
+  const [client, setClient] = useState('')
+  const [verificationType, setVerificationType] = useState<string>(KYC_VERIFICATION_TYPES[0])
+  const [complianceLevel, setComplianceLevel] = useState<string>(KYC_COMPLIANCE_LEVELS[1])
+  const [verified, setVerified] = useState(true)
+  const [validityDays, setValidityDays] = useState(String(DEFAULT_KYC_VALIDITY_DAYS))
+  const [documentHash, setDocumentHash] = useState<Hex>(zeroHash)
+  const [documentName, setDocumentName] = useState<string | null>(null)
+  const [issued, setIssued] = useState(false)
+  const [revokeUid, setRevokeUid] = useState<Hex | null>(null)
+  const [reason, setReason] = useState('')
+
+  const clientAddress = isAddress(client) ? (client as Address) : undefined
+  const { records, current, hasValidKYC, isLoading, refetch } = useClientKyc(clientAddress)
+  const validFor = kycValidFor(validityDays)
+  const reasonError = validateRevocationReason(reason)
+
+  if (!isConnected) {
+    return (
+      <div className="mx-auto max-w-2xl px-4 py-16 text-center text-gray-600">
+        Connect your wallet to manage KYC attestations.
+      </div>
+    )
+  }
+
+  if (!isConfigured) {
+    return (
+      <div className="mx-auto max-w-2xl px-4 py-16 text-center text-gray-600">
+        No EAS insurance manager is configured for this network.
+      </div>
+    )
+  }
+
+  // Only the hash goes on-chain; the document itself stays with the compliance provider
+  async function handleDocument(file: File | undefined) {
+    if (!file) {
+      setDocumentHash(zeroHash)
+      setDocumentName(null)
+      return
+    }
+    setDocumentHash(keccak256(new Uint8Array(await file.arrayBuffer())))
+    setDocumentName(file.name)
+  }
+
+  async function handleIssue(e: React.FormEvent) {
+    e.preventDefault()
+    if (!clientAddress || validFor === null) return
+    setIssued(false)
+    const ok = await issue({ client: clientAddress, verificationType, verified, complianceLevel, documentHash, validFor })
+    if (ok) {
+      setIssued(true)
+      await refetch()
+    }
+  }
+
+  async function handleRevoke(e: React.FormEvent) {
+    e.preventDefault()
+    if (!revokeUid) return
+    if (await revoke(revokeUid, reason)) {
+      setRevokeUid(null)
+      setReason('')
+      await refetch()
+    }
+  }
+
+  return (
+    <div className="mx-auto max-w-7xl px-4 py-8 sm:px-6 lg:px-8">
+      <h1 className="text-2xl font-bold text-gray-900">Compliance</h1>
+      <p className="mt-1 text-sm text-gray-500">
+        KYC attestations for farmer addresses, issued on EAS through the insurance manager. A client&apos;s latest KYC
+        attestation decides whether they count as verified.
+      </p>
+      {!canIssue && (
+        <p className="mt-4 rounded-md bg-yellow-50 p-3 text-sm text-yellow-800">
+          Only registered compliance providers can issue or revoke KYC attestations.
+        </p>
+      )}
+
+      <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+        <label htmlFor="client" className="block text-sm font-medium text-gray-700">Client Address (Farmer)</label>
+        <input
+          id="client"
+          value={client}
+          onChange={(e) => {
+            setClient(e.target.value.trim())
+            setIssued(false)
+            setRevokeUid(null)
+          }}
+          placeholder="0x..."
+          className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 font-mono text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+        />
+
+        {clientAddress && (
+          <div className="mt-4">
+            <p className="text-sm text-gray-700">
+              KYC status:{' '}
+              <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${hasValidKYC ? STATUS_STYLES.valid : STATUS_STYLES[current?.status ?? 'unverified']}`}>
+                {hasValidKYC ? KYC_STATUS_LABELS.valid : current ? KYC_STATUS_LABELS[current.status] : 'None'}
+              </span>
+            </p>
+
+            {isLoading ? (
+              <p className="mt-4 text-sm text-gray-500">Loading KYC attestations...</p>
+            ) : records.length === 0 ? (
+              <p className="mt-4 text-sm text-gray-500">No KYC attestations for {formatAddress(clientAddress)}.</p>
+            ) : (
+              <div className="mt-4 overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead>
+                    <tr>
+                      <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Attestation</th>
+                      <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Type</th>
+                      <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Level</th>
+                      <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Verifier</th>
+                      <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Issued</th>
+                      <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Expires</th>
+                      <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Status</th>
+                      <th className="py-2" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {[...records].reverse().map((r) => (
+                      <tr key={r.uid}>
+                        <td className="py-2 text-sm">
+                          <Link href={`/attestations/${r.uid}`} className="font-mono text-green-600 hover:text-green-500">
+                            {formatAddress(r.uid)}
+                          </Link>
+                        </td>
+                        <td className="py-2 text-sm text-gray-900">{r.verificationType}</td>
+                        <td className="py-2 text-sm text-gray-900">{r.complianceLevel}</td>
+                        <td className="py-2 font-mono text-sm text-gray-500">{formatAddress(r.verifier)}</td>
+                        <td className="py-2 text-sm text-gray-500">{formatTimestamp(r.time)}</td>
+                        <td className="py-2 text-sm text-gray-500">
+                          {r.expirationTime > 0n ? formatTimestamp(r.expirationTime) : 'Never'}
+                        </td>
+                        <td className="py-2 text-sm">
+                          <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${STATUS_STYLES[r.status]}`}>
+                            {KYC_STATUS_LABELS[r.status]}
+                          </span>
+                        </td>
+                        <td className="py-2 text-right">
+                          {canIssue && r.status !== 'revoked' && (
+                            <button
+                              onClick={() => setRevokeUid(r.uid)}
+                              disabled={revoking !== null}
+                              className="rounded-md border border-red-300 px-3 py-1 text-sm font-medium text-red-700 hover:bg-red-50 disabled:opacity-50"
+                            >
+                              Revoke
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {revokeUid && (
+              <form onSubmit={handleRevoke} className="mt-4 space-y-4 rounded-md border border-gray-200 p-4">
+                <p className="text-sm text-gray-700">
+                  Revoke KYC attestation <span className="font-mono">{formatAddress(revokeUid)}</span>. The reason is
+                  stored on-chain and shown on the attestation page.
+                </p>
+                <div>
+                  <label htmlFor="reason" className="block text-sm font-medium text-gray-700">Reason (required)</label>
+                  <textarea
+                    id="reason"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    rows={3}
+                    className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+                  />
+                </div>
+                <div className="flex gap-3">
+                  <button
+                    type="submit"
+                    disabled={!!reasonError || revoking !== null}
+                    className="rounded-md bg-red-600 px-4 py-2 text-sm font-semibold text-white hover:bg-red-500 disabled:opacity-50"
+                  >
+                    {revoking ? 'Revoking...' : 'Revoke'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setRevokeUid(null)}
+                    className="rounded-md border border-gray-300 px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+            {revokeError && <p className="mt-4 rounded-md bg-red-50 p-3 text-sm text-red-700">{revokeError}</p>}
+          </div>
+        )}
+      </div>
+
+      {canIssue && (
+        <form onSubmit={handleIssue} className="mt-6 space-y-6 rounded-lg border border-gray-200 bg-white p-6">
+          <h2 className="text-lg font-semibold text-gray-900">Issue KYC Attestation</h2>
+
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+            <div>
+              <label htmlFor="verificationType" className="block text-sm font-medium text-gray-700">Verification Type</label>
+              <select
+                id="verificationType"
+                value={verificationType}
+                onChange={(e) => setVerificationType(e.target.value)}
+                className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+              >
+                {KYC_VERIFICATION_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="complianceLevel" className="block text-sm font-medium text-gray-700">Compliance Level</label>
+              <select
+                id="complianceLevel"
+                value={complianceLevel}
+                onChange={(e) => setComplianceLevel(e.target.value)}
+                className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+              >
+                {KYC_COMPLIANCE_LEVELS.map((l) => <option key={l} value={l}>{l}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="validityDays" className="block text-sm font-medium text-gray-700">Valid For (days)</label>
+              <input
+                id="validityDays"
+                value={validityDays}
+                onChange={(e) => setValidityDays(e.target.value)}
+                placeholder="Blank for no expiry"
+                className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+              />
+              {validFor === null && <p className="mt-1 text-xs text-red-600">Enter a whole number of days</p>}
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="document" className="block text-sm font-medium text-gray-700">Supporting Document (optional)</label>
+            <input
+              id="document"
+              type="file"
+              onChange={(e) => handleDocument(e.target.files?.[0])}
+              className="mt-1 block w-full text-sm text-gray-700"
+            />
+            {documentName && (
+              <p className="mt-1 break-all text-xs text-gray-500">
+                {documentName}: <span className="font-mono">{documentHash}</span>
+              </p>
+            )}
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={verified} onChange={(e) => setVerified(e.target.checked)} />
+            Verification passed
+          </label>
+
+          <button
+            type="submit"
+            disabled={!clientAddress || validFor === null || isIssuing}
+            className="w-full rounded-md bg-green-600 px-4 py-2.5 text-sm font-semibold text-white shadow hover:bg-green-500 disabled:opacity-50"
+          >
+            {isIssuing ? 'Issuing...' : 'Issue KYC Attestation'}
+          </button>
+          {!clientAddress && <p className="text-sm text-gray-500">Enter a valid client address above.</p>}
+          {issued && <p className="rounded-md bg-green-50 p-3 text-sm text-green-700">KYC attestation issued.</p>}
+          {issueError && <p className="rounded-md bg-red-50 p-3 text-sm text-red-700">{issueError}</p>}
+        </form>
+      )}
+    </div>
+  )
+}
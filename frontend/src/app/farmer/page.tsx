@@ -4,14 +4,14 @@ import Link from 'next/link'
 import { useAccount } from 'wagmi'
 import { ConnectKitButton } from 'connectkit'
 import { useClientPolicies, type PolicySummary } from '@/hooks/useClientPolicies'
-import { formatUSD, formatRainfall, getPolicyStatus, getStatusColor } from '@/lib/format'
-import { getTokenByAddress } from '@/config/contracts'
+import { formatUSD, formatRainfall } from '@/lib/format'
+import { useNetwork } from '@/hooks/useNetwork'
 import { formatAddress } from '@/lib/format'
+import { PolicyStatusBadge } from '@/components/PolicyStatusBadge'
 
 function PolicyCard({ policy }: { policy: PolicySummary }) {
-  const status = getPolicyStatus(policy.contractActive, policy.premiumPaid, policy.contractPaid)
-  const statusColor = getStatusColor(status)
-  const token = getTokenByAddress(policy.paymentToken)
+  const { tokenByAddress } = useNetwork()
+  const token = tokenByAddress(policy.paymentToken)
   const droughtProgress = Math.min(Number(policy.daysWithoutRain), 3)
 
   return (
@@ -21,9 +21,7 @@ function PolicyCard({ policy }: { policy: PolicySummary }) {
           <h3 className="font-semibold text-gray-900">{policy.cropLocation || 'Unknown Location'}</h3>
           <p className="mt-1 text-sm text-gray-500">{formatAddress(policy.address)}</p>
         </div>
-        <span className={`inline-flex items-center rounded-full px-2.5 py-0.5 text-xs font-medium ${statusColor}`}>
-          {status.replace('_', ' ')}
-        </span>
+        <PolicyStatusBadge state={policy.state} />
       </div>
 
       <div className="mt-4 grid grid-cols-2 gap-4 text-sm">
@@ -58,7 +56,7 @@ function PolicyCard({ policy }: { policy: PolicySummary }) {
       </div>
 
       <div className="mt-4 flex gap-2">
-        {status === 'pending' && (
+        {policy.actions.includes('payPremium') && (
           <Link
             href={`/farmer/pay/${policy.address}`}
             className="rounded-md bg-green-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-green-500"
@@ -5,19 +5,23 @@ import Link from 'next/link'
 import { type Address, formatEther } from 'viem'
 import { useAccount } from 'wagmi'
 import { usePremiumPayment } from '@/hooks/usePremiumPayment'
+import { QuoteStatus } from '@/components/QuoteStatus'
 import { formatUSD, formatTimestamp, gracePeriodRemaining } from '@/lib/format'
-import { getTokenByAddress, CONTRACTS } from '@/config/contracts'
+import { useNetwork } from '@/hooks/useNetwork'
 import { useReadContract } from 'wagmi'
 import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { PREMIUM_BUFFER_BPS } from '@/lib/quotes'
 
 export default function PayPremiumPage({ params }: { params: Promise<{ address: string }> }) {
+  const { contracts, tokenByAddress } = useNetwork()
   const { address } = use(params)
   const contractAddress = address as Address
   const { isConnected } = useAccount()
 
   const {
     premiumInfo, paymentToken, isEthPayment,
-    ethAmount, tokenAmount, needsApproval,
+    ethAmount, ethQuote, tokenAmount, needsApproval,
+    priceQuote, quoteError,
     handleApprove, handlePay,
     isApproving, isApproveConfirmed,
     isPaying, isPayConfirmed,
@@ -25,7 +29,7 @@ export default function PayPremiumPage({ params }: { params: Promise<{ address:
   } = usePremiumPayment(contractAddress)
 
   const { data: gracePeriod } = useReadContract({
-    address: CONTRACTS.provider,
+    address: contracts.provider,
     abi: automatedInsuranceProviderAbi,
     functionName: 'PREMIUM_GRACE_PERIOD',
   })
@@ -64,7 +68,7 @@ export default function PayPremiumPage({ params }: { params: Promise<{ address:
 
   const remaining = gracePeriod ? gracePeriodRemaining(createdAt, gracePeriod) : 0
   const isExpired = remaining <= 0 && createdAt > 0n
-  const token = paymentToken ? getTokenByAddress(paymentToken) : null
+  const token = paymentToken ? tokenByAddress(paymentToken) : null
 
   return (
     <div className="mx-auto max-w-2xl px-4 py-8 sm:px-6 lg:px-8">
@@ -96,11 +100,21 @@ export default function PayPremiumPage({ params }: { params: Promise<{ address:
             <dt className="text-sm text-gray-500">Payment Token</dt>
             <dd className="font-medium text-gray-900">{token?.symbol || 'Loading...'}</dd>
           </div>
-          {isEthPayment && ethAmount > 0n && (
-            <div className="flex justify-between">
-              <dt className="text-sm text-gray-500">Amount (ETH, +3% buffer)</dt>
-              <dd className="font-medium text-gray-900">{formatEther(ethAmount)} ETH</dd>
-            </div>
+          {isEthPayment && ethQuote && (
+            <>
+              <div className="flex justify-between">
+                <dt className="text-sm text-gray-500">Premium in ETH</dt>
+                <dd className="font-medium text-gray-900">{formatEther(ethQuote.required)} ETH</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-sm text-gray-500">You send (+{PREMIUM_BUFFER_BPS / 100}% buffer)</dt>
+                <dd className="font-medium text-gray-900">{formatEther(ethAmount)} ETH</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-sm text-gray-500">Refunded as excess</dt>
+                <dd className="font-medium text-gray-900">{formatEther(ethQuote.excess)} ETH</dd>
+              </div>
+            </>
           )}
           {!isEthPayment && tokenAmount && (
             <div className="flex justify-between">
@@ -122,8 +136,21 @@ export default function PayPremiumPage({ params }: { params: Promise<{ address:
           )}
         </dl>
 
+        {!isPaid && !isExpired && paymentToken && (
+          <div className="mt-6">
+            <QuoteStatus priceQuote={priceQuote} symbol={token?.symbol ?? ''} />
+            {isEthPayment && (
+              <p className="mt-2 text-xs text-gray-500">
+                payPremium charges the premium at the price when the transaction is mined and refunds the rest. The refund
+                above is exact if the feed hasn&apos;t moved by then; the quote is re-read just before you sign.
+              </p>
+            )}
+          </div>
+        )}
+
         {!isPaid && !isExpired && (
           <div className="mt-6 space-y-3">
+            {quoteError && <p className="rounded-md bg-red-50 p-3 text-sm text-red-700">{quoteError}</p>}
             {needsApproval && !isApproveConfirmed && (
               <button
                 onClick={handleApprove}
@@ -135,7 +162,7 @@ export default function PayPremiumPage({ params }: { params: Promise<{ address:
             )}
             <button
               onClick={handlePay}
-              disabled={isPaying || (!!needsApproval && !isApproveConfirmed)}
+              disabled={isPaying || (!!needsApproval && !isApproveConfirmed) || priceQuote.status === 'stale'}
               className="w-full rounded-md bg-green-600 px-4 py-2.5 text-sm font-semibold text-white shadow hover:bg-green-500 disabled:opacity-50"
             >
               {isPaying ? 'Paying...' : 'Pay Premium'}
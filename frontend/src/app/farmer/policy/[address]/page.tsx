@@ -2,15 +2,286 @@
 
 import { use } from 'react'
 import Link from 'next/link'
-import { type Address } from 'viem'
+import { type Address, formatUnits } from 'viem'
 import { usePolicyDetail } from '@/hooks/usePolicyDetail'
-import { formatUSD, formatRainfall, formatDuration, formatTimestamp, formatAddress, getPolicyStatus, getStatusColor } from '@/lib/format'
-import { getTokenByAddress } from '@/config/contracts'
+import { useRefundPremium } from '@/hooks/useRefundPremium'
+import { useEvidenceBundle } from '@/hooks/useEvidenceBundle'
+import { usePolicyRainfall } from '@/hooks/usePolicyRainfall'
+import { usePolicyTriggerTerms } from '@/hooks/usePolicyTriggerTerms'
+import { RainfallChart } from '@/components/RainfallChart'
+import { WeatherSourcesCard } from '@/components/WeatherSourcesCard'
+import { formatUSD, formatRainfall, formatDuration, formatTimestamp, formatAddress } from '@/lib/format'
+import { PolicyStatusBadge } from '@/components/PolicyStatusBadge'
+import { useNetwork } from '@/hooks/useNetwork'
+import { BPS, formatBps, tierSchedule, type TierStatus } from '@/lib/payoutTiers'
+import {
+  describeTriggerTerms, PRODUCT_FLOOD, TRIGGER_DRY_DAYS, TRIGGER_EXCESS_RAINFALL, TRIGGER_RAINFALL_DEFICIT,
+} from '@/lib/triggerTerms'
+
+const TIER_STYLES: Record<TierStatus, string> = {
+  paid: 'bg-green-100 text-green-800',
+  partial: 'bg-yellow-100 text-yellow-800',
+  pending: 'bg-gray-100 text-gray-700',
+}
+
+function RainfallHistory({ contractAddress }: { contractAddress: Address }) {
+  const { timeline, droughtThreshold, isLoading, error } = usePolicyRainfall(contractAddress)
+
+  return (
+    <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+      <div className="flex items-start justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Rainfall History</h2>
+        {timeline && timeline.points.length > 0 && (
+          <p className="text-sm text-gray-600">
+            Longest dry streak:{' '}
+            <span className={`font-medium ${droughtThreshold > 0 && timeline.longestStreak >= droughtThreshold ? 'text-red-600' : 'text-gray-900'}`}>
+              {droughtThreshold > 0 ? `${timeline.longestStreak} of ${droughtThreshold}` : timeline.longestStreak} days
+            </span>
+          </p>
+        )}
+      </div>
+      {isLoading ? (
+        <p className="mt-4 text-sm text-gray-500">Loading weather checks...</p>
+      ) : error ? (
+        <p className="mt-4 text-sm text-red-600">Failed to load weather history.</p>
+      ) : !timeline || timeline.points.length === 0 ? (
+        <p className="mt-4 text-sm text-gray-500">No weather checks have been performed yet.</p>
+      ) : (
+        <>
+          <div className="mt-4">
+            <RainfallChart timeline={timeline} threshold={droughtThreshold} />
+          </div>
+          <div className="mt-2 flex flex-wrap gap-4 text-xs text-gray-500">
+            <span className="flex items-center gap-1"><span className="h-2 w-3 rounded-sm bg-blue-400" /> Rainfall (mm)</span>
+            <span className="flex items-center gap-1"><span className="h-2 w-2 rounded-full bg-red-500" /> Dry day</span>
+            <span className="flex items-center gap-1"><span className="h-2 w-3 rounded-sm bg-amber-100" /> Dry streak</span>
+            <span className="flex items-center gap-1"><span className="h-2 w-3 rounded-sm bg-red-200" /> Threshold reached</span>
+            {timeline.payoutAt && (
+              <span className="flex items-center gap-1">
+                <span className="h-3 w-0.5 bg-green-600" /> Paid out {formatTimestamp(timeline.payoutAt)}
+              </span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+function TriggerTermsCard({ contractAddress, requestCount, payoutValue, contractPaid }: {
+  contractAddress: Address
+  requestCount: bigint
+  payoutValue: bigint
+  contractPaid: boolean
+}) {
+  const { terms, windowRainfall, payoutTrigger, tiers, linearDeficit, paidBps: paidSoFar, payoutsMade } = usePolicyTriggerTerms(contractAddress)
+  const isFlood = terms.product === PRODUCT_FLOOD
+  const windowDays = isFlood ? terms.floodWindowDays : terms.deficitWindowDays
+  const windowFilled = Math.min(Number(requestCount), windowDays)
+  // Policies from before tiered payouts don't track payoutBpsPaid; a paid one paid everything
+  const paidBps = contractPaid ? BPS : paidSoFar
+  const paid = contractPaid && payoutsMade === 0n ? payoutValue : payoutsMade
+  const schedule = tierSchedule(tiers, paidBps, payoutValue)
+
+  return (
+    <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+      <h2 className="text-lg font-semibold text-gray-900">Trigger Terms</h2>
+      <p className="mt-1 text-sm text-gray-500">
+        {isFlood ? 'Flood cover: the policy pays out on excess rainfall.' : 'The policy pays out when any of these is met.'}
+      </p>
+      <ul className="mt-3 list-disc space-y-1 pl-5 text-sm text-gray-900">
+        {describeTriggerTerms(terms).map((line) => (
+          <li key={line}>{line}</li>
+        ))}
+      </ul>
+      {isFlood ? (
+        <dl className="mt-4 grid grid-cols-2 gap-4 sm:grid-cols-4">
+          <div>
+            <dt className="text-sm text-gray-500">Rainfall Window</dt>
+            <dd className="font-medium text-gray-900">{terms.floodWindowDays} days</dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Flood Threshold</dt>
+            <dd className="font-medium text-gray-900">&gt; {formatRainfall(terms.floodThreshold)}</dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Window Rainfall</dt>
+            <dd className={`font-medium ${windowRainfall > terms.floodThreshold ? 'text-red-600' : 'text-gray-900'}`}>
+              {formatRainfall(windowRainfall)} of {formatRainfall(terms.floodThreshold)}
+            </dd>
+            <p className="text-xs text-gray-500">{windowFilled} of {windowDays} days recorded</p>
+          </div>
+        </dl>
+      ) : (
+        <dl className="mt-4 grid grid-cols-2 gap-4 sm:grid-cols-4">
+          <div>
+            <dt className="text-sm text-gray-500">Consecutive Dry Days</dt>
+            <dd className="font-medium text-gray-900">{terms.droughtDays > 0 ? terms.droughtDays : 'Off'}</dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Dry Day</dt>
+            <dd className="font-medium text-gray-900">&le; {terms.dryDayThreshold} mm</dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Deficit Window</dt>
+            <dd className="font-medium text-gray-900">{terms.deficitWindowDays > 0 ? `${terms.deficitWindowDays} days` : 'Off'}</dd>
+          </div>
+          {terms.deficitWindowDays > 0 && (
+            <div>
+              <dt className="text-sm text-gray-500">Window Rainfall</dt>
+              <dd className={`font-medium ${windowFilled === terms.deficitWindowDays && windowRainfall < terms.deficitThreshold ? 'text-red-600' : 'text-gray-900'}`}>
+                {formatRainfall(windowRainfall)} of {formatRainfall(terms.deficitThreshold)}
+              </dd>
+              <p className="text-xs text-gray-500">{windowFilled} of {terms.deficitWindowDays} days recorded</p>
+            </div>
+          )}
+        </dl>
+      )}
+
+      <h3 className="mt-6 text-sm font-semibold text-gray-900">Payouts</h3>
+      <p className="mt-1 text-sm text-gray-500">
+        {isFlood
+          ? 'The flood trigger pays the full cover at once.'
+          : tiers.length > 0
+          ? 'The dry-day trigger pays in tiers as the streak grows; each share is of the total cover.'
+          : 'The dry-day trigger pays the full cover at once.'}
+        {terms.deficitWindowDays > 0 && (linearDeficit
+          ? ' The deficit trigger pays in proportion to how far the window falls short.'
+          : ' The deficit trigger pays the full cover at once.')}
+      </p>
+      {schedule.length > 0 && (
+        <table className="mt-3 min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr>
+              <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Dry Days</th>
+              <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Cumulative Share</th>
+              <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Pays</th>
+              <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {schedule.map((tier) => (
+              <tr key={tier.dryDays}>
+                <td className="py-2 text-sm text-gray-900">{tier.dryDays}</td>
+                <td className="py-2 text-sm text-gray-900">{formatBps(tier.bps)}</td>
+                <td className="py-2 text-sm text-gray-900">{formatUSD(tier.amount)}</td>
+                <td className="py-2">
+                  <span className={`inline-flex rounded-full px-2.5 py-0.5 text-xs font-medium capitalize ${TIER_STYLES[tier.status]}`}>
+                    {tier.status}
+                  </span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <dl className="mt-4 grid grid-cols-2 gap-4 sm:grid-cols-3">
+        <div>
+          <dt className="text-sm text-gray-500">Paid</dt>
+          <dd className="font-medium text-gray-900">{formatUSD(paid)} ({formatBps(paidBps)})</dd>
+        </div>
+        <div>
+          <dt className="text-sm text-gray-500">Remaining Cover</dt>
+          <dd className="font-medium text-gray-900">{formatUSD(payoutValue > paid ? payoutValue - paid : 0n)}</dd>
+        </div>
+      </dl>
+      {paidBps > 0 && payoutTrigger === TRIGGER_DRY_DAYS && (
+        <p className="mt-4 text-sm font-medium text-red-600">Last paid on consecutive dry days.</p>
+      )}
+      {paidBps > 0 && payoutTrigger === TRIGGER_RAINFALL_DEFICIT && (
+        <p className="mt-4 text-sm font-medium text-red-600">Last paid on a rainfall deficit.</p>
+      )}
+      {paidBps > 0 && payoutTrigger === TRIGGER_EXCESS_RAINFALL && (
+        <p className="mt-4 text-sm font-medium text-red-600">Paid out on excess rainfall.</p>
+      )}
+    </div>
+  )
+}
+
+function RefundPanel({ contractAddress }: { contractAddress: Address }) {
+  const {
+    eligibility, isLoading, refundableAmount, paymentToken, refunded,
+    handleRefund, isRefunding, refundError,
+  } = useRefundPremium(contractAddress)
+  const { tokenByAddress } = useNetwork()
+
+  if (isLoading) return null
+
+  if (refunded) {
+    const token = tokenByAddress(refunded.token)
+    return (
+      <div className="mt-6 rounded-lg bg-green-50 p-6">
+        <h2 className="text-lg font-semibold text-green-800">Premium Refunded</h2>
+        <p className="mt-2 text-sm text-green-700">
+          {formatUnits(refunded.amount, token.decimals)} {token.symbol} was returned to the policy holder.
+        </p>
+        <p className="mt-2 text-xs font-mono text-gray-500">{refunded.transactionHash}</p>
+      </div>
+    )
+  }
+
+  const token = paymentToken ? tokenByAddress(paymentToken) : null
+
+  return (
+    <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+      <h2 className="text-lg font-semibold text-gray-900">Premium Refund</h2>
+      <p className={`mt-2 text-sm ${eligibility.eligible ? 'text-green-700' : 'text-gray-600'}`}>{eligibility.reason}</p>
+      {eligibility.availableAt && (
+        <p className="mt-1 text-sm text-gray-500">Available from {formatTimestamp(eligibility.availableAt)}.</p>
+      )}
+      {eligibility.eligible && (
+        <button
+          onClick={handleRefund}
+          disabled={isRefunding}
+          className="mt-4 rounded-md bg-green-600 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-green-500 disabled:opacity-50"
+        >
+          {isRefunding
+            ? 'Refunding...'
+            : `Refund ${token ? `${formatUnits(refundableAmount, token.decimals)} ${token.symbol}` : 'Premium'}`}
+        </button>
+      )}
+      {refundError && (
+        <p className="mt-2 text-sm text-red-600">{refundError.message.split('\n')[0]}</p>
+      )}
+    </div>
+  )
+}
+
+function EvidencePanel({ contractAddress }: { contractAddress: Address }) {
+  const { exportBundle, isExporting, error, exported, canExport } = useEvidenceBundle(contractAddress)
+
+  return (
+    <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+      <h2 className="text-lg font-semibold text-gray-900">Evidence Bundle</h2>
+      <p className="mt-2 text-sm text-gray-600">
+        A signed JSON snapshot of this policy for disputes: its parameters, every policy, premium, claim and weather
+        attestation, the contract&apos;s event logs and its payouts. Anyone can re-check it against a node with{' '}
+        <code className="text-xs">scripts/verify-evidence.js</code>.
+      </p>
+      <button
+        onClick={exportBundle}
+        disabled={!canExport || isExporting}
+        className="mt-4 rounded-md bg-green-600 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-green-500 disabled:opacity-50"
+      >
+        {isExporting ? 'Collecting evidence...' : 'Export Signed Bundle'}
+      </button>
+      {!canExport && <p className="mt-2 text-sm text-gray-500">Connect a wallet to sign the bundle.</p>}
+      {exported && (
+        <p className="mt-2 text-xs text-gray-500">
+          Saved {exported.filename} (digest <span className="font-mono">{formatAddress(exported.digest)}</span>)
+        </p>
+      )}
+      {error && <p className="mt-2 text-sm text-red-600">{error.split('\n')[0]}</p>}
+    </div>
+  )
+}
 
 export default function PolicyDetailPage({ params }: { params: Promise<{ address: string }> }) {
   const { address } = use(params)
   const contractAddress = address as Address
   const { policy, isLoading, error } = usePolicyDetail(contractAddress)
+  const { tokenByAddress } = useNetwork()
+  const { terms } = usePolicyTriggerTerms(contractAddress)
 
   if (isLoading) {
     return (
@@ -30,10 +301,9 @@ export default function PolicyDetailPage({ params }: { params: Promise<{ address
     )
   }
 
-  const status = getPolicyStatus(policy.contractActive, policy.premiumPaid, policy.contractPaid)
-  const statusColor = getStatusColor(status)
-  const token = getTokenByAddress(policy.paymentToken)
-  const droughtProgress = Math.min(Number(policy.daysWithoutRain), 3)
+  const token = tokenByAddress(policy.paymentToken)
+  const droughtDays = terms.droughtDays
+  const droughtProgress = Math.min(Number(policy.daysWithoutRain), droughtDays)
 
   const endDate = policy.activatedAt > 0n
     ? policy.activatedAt + policy.duration
@@ -55,9 +325,7 @@ export default function PolicyDetailPage({ params }: { params: Promise<{ address
           <h1 className="text-2xl font-bold text-gray-900">{policy.cropLocation}</h1>
           <p className="mt-1 text-sm text-gray-500 font-mono">{address}</p>
         </div>
-        <span className={`inline-flex items-center rounded-full px-3 py-1 text-sm font-medium ${statusColor}`}>
-          {status.replace('_', ' ')}
-        </span>
+        <PolicyStatusBadge state={policy.state} size="md" />
       </div>
 
       {/* Policy Info */}
@@ -126,30 +394,47 @@ export default function PolicyDetailPage({ params }: { params: Promise<{ address
             <p className="text-sm text-gray-500">Current Rainfall</p>
             <p className="text-3xl font-bold text-gray-900">{formatRainfall(policy.currentRainfall)}</p>
           </div>
-          <div>
-            <p className="text-sm text-gray-500">Drought Counter</p>
-            <div className="mt-2 flex items-center gap-3">
-              <div className="flex gap-1">
-                {[0, 1, 2].map((i) => (
-                  <div
-                    key={i}
-                    className={`h-8 w-8 rounded ${
-                      i < droughtProgress ? 'bg-red-500' : 'bg-gray-200'
-                    }`}
-                  />
-                ))}
+          {droughtDays > 0 && (
+            <div>
+              <p className="text-sm text-gray-500">Drought Counter</p>
+              <div className="mt-2 flex items-center gap-3">
+                <div className="flex gap-1">
+                  {Array.from({ length: droughtDays }, (_, i) => (
+                    <div
+                      key={i}
+                      className={`h-8 w-8 rounded ${
+                        i < droughtProgress ? 'bg-red-500' : 'bg-gray-200'
+                      }`}
+                    />
+                  ))}
+                </div>
+                <span className="text-2xl font-bold text-gray-900">{droughtProgress}/{droughtDays}</span>
               </div>
-              <span className="text-2xl font-bold text-gray-900">{droughtProgress}/3</span>
+              {droughtProgress >= droughtDays && (
+                <p className="mt-2 text-sm font-medium text-red-600">Drought threshold reached — payout triggered</p>
+              )}
             </div>
-            {droughtProgress >= 3 && (
-              <p className="mt-2 text-sm font-medium text-red-600">Drought threshold reached — payout triggered</p>
-            )}
-          </div>
+          )}
         </div>
       </div>
 
+      <TriggerTermsCard
+        contractAddress={contractAddress}
+        requestCount={policy.requestCount}
+        payoutValue={policy.payoutValue}
+        contractPaid={policy.contractPaid}
+      />
+
+      {policy.activatedAt > 0n && <RainfallHistory contractAddress={contractAddress} />}
+
+      <WeatherSourcesCard contractAddress={contractAddress} />
+
+      {policy.premiumPaid && <RefundPanel contractAddress={contractAddress} />}
+
+      <EvidencePanel contractAddress={contractAddress} />
+
       {/* Actions */}
-      {status === 'pending' && (
+      {policy.actions.includes('payPremium') && (
         <div className="mt-6">
           <Link
             href={`/farmer/pay/${address}`}
@@ -4,39 +4,43 @@ import { useState } from 'react'
 import Link from 'next/link'
 import { useAccount, useReadContract, useWriteContract, useWaitForTransactionReceipt } from 'wagmi'
 import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
-import { CONTRACTS } from '@/config/contracts'
+import { useNetwork } from '@/hooks/useNetwork'
+import { AutomationAdminPanel } from '@/components/AutomationAdminPanel'
+import { LinkBudgetPanel } from '@/components/LinkBudgetPanel'
+import { UpkeepHistoryPanel } from '@/components/UpkeepHistoryPanel'
 import { formatTimestamp } from '@/lib/format'
 
 export default function AutomationManagement() {
+  const { contracts } = useNetwork()
   const { isConnected } = useAccount()
   const [newInterval, setNewInterval] = useState('')
 
   const { data: automationEnabled } = useReadContract({
-    address: CONTRACTS.provider,
+    address: contracts.provider,
     abi: automatedInsuranceProviderAbi,
     functionName: 'automationEnabled',
   })
 
   const { data: upkeepInterval } = useReadContract({
-    address: CONTRACTS.provider,
+    address: contracts.provider,
     abi: automatedInsuranceProviderAbi,
     functionName: 'upkeepInterval',
   })
 
   const { data: lastUpkeep } = useReadContract({
-    address: CONTRACTS.provider,
+    address: contracts.provider,
     abi: automatedInsuranceProviderAbi,
     functionName: 'lastUpkeepTimestamp',
   })
 
   const { data: batchCounter } = useReadContract({
-    address: CONTRACTS.provider,
+    address: contracts.provider,
     abi: automatedInsuranceProviderAbi,
     functionName: 'upkeepBatchCounter',
   })
 
   const { data: activeCount } = useReadContract({
-    address: CONTRACTS.provider,
+    address: contracts.provider,
     abi: automatedInsuranceProviderAbi,
     functionName: 'getActiveContractsCount',
   })
@@ -106,7 +110,7 @@ export default function AutomationManagement() {
             </div>
             <button
               onClick={() => toggleAutomation({
-                address: CONTRACTS.provider,
+                address: contracts.provider,
                 abi: automatedInsuranceProviderAbi,
                 functionName: 'setAutomationEnabled',
                 args: [!automationEnabled],
@@ -138,7 +142,7 @@ export default function AutomationManagement() {
                 onClick={() => {
                   if (!newInterval || Number(newInterval) < 3600) return
                   setInterval_({
-                    address: CONTRACTS.provider,
+                    address: contracts.provider,
                     abi: automatedInsuranceProviderAbi,
                     functionName: 'setUpkeepInterval',
                     args: [BigInt(newInterval)],
@@ -153,6 +157,12 @@ export default function AutomationManagement() {
           </div>
         </div>
       </div>
+
+      <UpkeepHistoryPanel />
+
+      <AutomationAdminPanel />
+
+      <LinkBudgetPanel />
     </div>
   )
 }
@@ -3,24 +3,20 @@
 import { use } from 'react'
 import Link from 'next/link'
 import { type Address } from 'viem'
-import { useReadContract, useWriteContract, useWaitForTransactionReceipt } from 'wagmi'
+import { useWriteContract, useWaitForTransactionReceipt } from 'wagmi'
 import { usePolicyDetail } from '@/hooks/usePolicyDetail'
 import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
-import { CONTRACTS, getTokenByAddress } from '@/config/contracts'
-import { formatUSD, formatRainfall, formatDuration, formatTimestamp, formatAddress, getPolicyStatus, getStatusColor } from '@/lib/format'
+import { useNetwork } from '@/hooks/useNetwork'
+import { formatUSD, formatRainfall, formatDuration, formatTimestamp, formatAddress } from '@/lib/format'
+import { PolicyStatusBadge } from '@/components/PolicyStatusBadge'
+import { WeatherSourcesCard } from '@/components/WeatherSourcesCard'
 
 export default function InsurerContractDetail({ params }: { params: Promise<{ address: string }> }) {
+  const { contracts, tokenByAddress } = useNetwork()
   const { address } = use(params)
   const contractAddress = address as Address
   const { policy, isLoading, error } = usePolicyDetail(contractAddress)
 
-  const { data: premiumInfo } = useReadContract({
-    address: CONTRACTS.provider,
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'premiumInfo',
-    args: [contractAddress],
-  })
-
   const { writeContract: claimPremium, data: claimTxHash, isPending: isClaiming } = useWriteContract()
   const { isSuccess: isClaimConfirmed } = useWaitForTransactionReceipt({ hash: claimTxHash })
 
@@ -39,10 +35,8 @@ export default function InsurerContractDetail({ params }: { params: Promise<{ ad
     )
   }
 
-  const status = getPolicyStatus(policy.contractActive, policy.premiumPaid, policy.contractPaid)
-  const statusColor = getStatusColor(status)
-  const token = getTokenByAddress(policy.paymentToken)
-  const canClaimPremium = !policy.isActive && premiumInfo?.[5] // paid = true and contract not active
+  const token = tokenByAddress(policy.paymentToken)
+  const canClaimPremium = policy.actions.includes('claimPremium')
 
   return (
     <div className="mx-auto max-w-4xl px-4 py-8 sm:px-6 lg:px-8">
@@ -55,9 +49,7 @@ export default function InsurerContractDetail({ params }: { params: Promise<{ ad
           <h1 className="text-2xl font-bold text-gray-900">{policy.cropLocation}</h1>
           <p className="mt-1 text-sm text-gray-500 font-mono">{address}</p>
         </div>
-        <span className={`inline-flex rounded-full px-3 py-1 text-sm font-medium ${statusColor}`}>
-          {status.replace('_', ' ')}
-        </span>
+        <PolicyStatusBadge state={policy.state} size="md" />
       </div>
 
       {/* Policy Info */}
@@ -116,12 +108,14 @@ export default function InsurerContractDetail({ params }: { params: Promise<{ ad
         </div>
       </div>
 
+      <WeatherSourcesCard contractAddress={contractAddress} canEdit={!policy.premiumPaid && policy.contractActive} />
+
       {/* Actions */}
       <div className="mt-6 flex gap-3">
         {canClaimPremium && (
           <button
             onClick={() => claimPremium({
-              address: CONTRACTS.provider,
+              address: contracts.provider,
               abi: automatedInsuranceProviderAbi,
               functionName: 'claimPremium',
               args: [contractAddress],
@@ -132,10 +126,10 @@ export default function InsurerContractDetail({ params }: { params: Promise<{ ad
             {isClaiming ? 'Claiming...' : isClaimConfirmed ? 'Claimed!' : 'Claim Premium'}
           </button>
         )}
-        {policy.isActive && (
+        {policy.actions.includes('manualWeatherUpdate') && (
           <button
             onClick={() => manualUpdate({
-              address: CONTRACTS.provider,
+              address: contracts.provider,
               abi: automatedInsuranceProviderAbi,
               functionName: 'manualWeatherUpdate',
               args: [[contractAddress]],
@@ -0,0 +1,296 @@
+'use client'
+
+import { useMemo, useState } from 'react'
+import Link from 'next/link'
+import { useAccount } from 'wagmi'
+import { formatUnits } from 'viem'
+import { useBulkCreate } from '@/hooks/useBulkCreate'
+import { downloadFile } from '@/lib/csv'
+import { formatAddress, formatUSD } from '@/lib/format'
+import {
+  CSV_TEMPLATE,
+  linkForDuration,
+  parsePolicyCsv,
+  resultsToCsv,
+  summarizeFunding,
+  withBuffer,
+  type RowStatus,
+} from '@/lib/bulkPolicies'
+
+const STATUS_STYLES: Record<RowStatus | 'invalid', string> = {
+  queued: 'bg-gray-100 text-gray-700',
+  approving: 'bg-blue-100 text-blue-800',
+  submitting: 'bg-blue-100 text-blue-800',
+  confirming: 'bg-blue-100 text-blue-800',
+  created: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  skipped: 'bg-gray-100 text-gray-500',
+  invalid: 'bg-red-100 text-red-800',
+}
+
+export default function BulkCreatePolicies() {
+  const { isConnected } = useAccount()
+  const [csvText, setCsvText] = useState('')
+  const [fileName, setFileName] = useState('')
+  const [bufferPercent, setBufferPercent] = useState('1')
+  const bulk = useBulkCreate()
+
+  const parsed = useMemo(
+    () => (csvText ? parsePolicyCsv(csvText, bulk.tokens, bulk.supported) : null),
+    [csvText, bulk.tokens, bulk.supported],
+  )
+  const rows = parsed?.rows ?? []
+  const validRows = rows.filter((r) => r.errors.length === 0)
+  const bufferBps = Math.max(0, Math.round(Number(bufferPercent || '0') * 100))
+  const funding = summarizeFunding(rows, bulk.prices)
+
+  const linkShort = bulk.providerLink !== undefined && bulk.providerLink < funding.link
+
+  const results = bulk.results
+  const pendingRows = validRows.filter((r) => results.get(r.line)?.status !== 'created')
+  const failedRows = validRows.filter((r) => results.get(r.line)?.status === 'failed')
+  const createdCount = validRows.length - pendingRows.length
+  const canRun = !bulk.isRunning && pendingRows.length > 0 && !linkShort
+
+  async function handleFile(file: File | undefined) {
+    if (!file) return
+    setFileName(file.name)
+    setCsvText(await file.text())
+    bulk.reset()
+  }
+
+  function handleDownload() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+    downloadFile(`bulk-policies-${stamp}.csv`, resultsToCsv(rows, results))
+  }
+
+  if (!isConnected) {
+    return (
+      <div className="mx-auto max-w-2xl px-4 py-16 text-center text-gray-600">
+        Connect your wallet to create policies.
+      </div>
+    )
+  }
+
+  return (
+    <div className="mx-auto max-w-7xl px-4 py-8 sm:px-6 lg:px-8">
+      <div className="mb-6">
+        <Link href="/insurer/create" className="text-sm text-green-600 hover:text-green-500">&larr; Back</Link>
+      </div>
+
+      <h1 className="text-2xl font-bold text-gray-900">Bulk Policy Import</h1>
+      <p className="mt-1 text-sm text-gray-600">
+        Upload a CSV with columns <code>client, location, duration, premium, payout, token</code> (duration in days,
+        amounts in USD, token by symbol or address). Policies are created one transaction at a time.
+      </p>
+
+      {/* Upload */}
+      <div className="mt-6 flex flex-wrap items-end gap-4 rounded-lg border border-gray-200 bg-white p-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">CSV file</label>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => handleFile(e.target.files?.[0])}
+            disabled={bulk.isRunning}
+            className="mt-1 block text-sm text-gray-700"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Price buffer (%)</label>
+          <input
+            type="number"
+            value={bufferPercent}
+            onChange={(e) => setBufferPercent(e.target.value)}
+            min="0"
+            step="0.5"
+            disabled={bulk.isRunning}
+            className="mt-1 block w-28 rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+          />
+        </div>
+        <button
+          type="button"
+          onClick={() => downloadFile('bulk-policies-template.csv', CSV_TEMPLATE)}
+          className="text-sm text-green-600 hover:text-green-500"
+        >
+          Download template
+        </button>
+      </div>
+
+      {parsed?.headerError && (
+        <div className="mt-4 rounded-md bg-red-50 p-3 text-sm text-red-700">
+          {fileName}: {parsed.headerError}
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          {/* Funding */}
+          <div className="mt-6 grid gap-4 md:grid-cols-2">
+            <div className="rounded-lg border border-gray-200 bg-white p-6">
+              <h2 className="text-lg font-semibold text-gray-900">Payout Funding</h2>
+              <p className="mt-1 text-xs text-gray-500">
+                Each policy is funded as it is created: ETH is sent with its newContract, and ERC-20 is pulled from
+                your wallet, first approving that policy&apos;s amount plus the {bufferPercent || 0}% buffer when your
+                allowance is short. ETH amounts include the buffer; any excess stays with the provider. Created
+                policies show the escrow they hold.
+              </p>
+              <ul className="mt-4 space-y-3">
+                {[...funding.byToken.values()].map(({ token, policies, payout, amount }) => {
+                  const isEth = token.address === '0x0000000000000000000000000000000000000000'
+                  const required = amount === null ? null : isEth ? withBuffer(amount, bufferBps) : amount
+                  return (
+                    <li key={token.address} className="text-sm">
+                      <p className="font-medium text-gray-900">
+                        {required === null ? 'No price available' : `${formatUnits(required, token.decimals)} ${token.symbol}`}
+                      </p>
+                      <p className="text-gray-500">
+                        {policies} {policies === 1 ? 'policy' : 'policies'} · {formatUSD(payout)} cover
+                      </p>
+                    </li>
+                  )
+                })}
+              </ul>
+            </div>
+
+            <div className="rounded-lg border border-gray-200 bg-white p-6">
+              <h2 className="text-lg font-semibold text-gray-900">LINK</h2>
+              <p className="mt-1 text-xs text-gray-500">
+                Each policy receives (duration + 2) × 2 oracle payments of 0.1 LINK from the provider&apos;s balance.
+              </p>
+              <dl className="mt-4 space-y-2 text-sm">
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Required</dt>
+                  <dd className="font-medium text-gray-900">{formatUnits(funding.link, 18)} LINK</dd>
+                </div>
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Provider balance</dt>
+                  <dd className={`font-medium ${linkShort ? 'text-red-600' : 'text-gray-900'}`}>
+                    {bulk.providerLink === undefined ? '—' : `${formatUnits(bulk.providerLink, 18)} LINK`}
+                  </dd>
+                </div>
+              </dl>
+              {linkShort && (
+                <p className="mt-3 rounded-md bg-red-50 p-2 text-xs text-red-700">
+                  Top up the provider with at least {formatUnits(funding.link - (bulk.providerLink ?? 0n), 18)} LINK
+                  before importing.
+                </p>
+              )}
+            </div>
+          </div>
+
+          {/* Actions */}
+          <div className="mt-6 flex flex-wrap items-center gap-3">
+            <button
+              onClick={() => bulk.run(pendingRows, bufferBps)}
+              disabled={!canRun}
+              className="rounded-md bg-green-600 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-green-500 disabled:opacity-50"
+            >
+              {bulk.isRunning ? 'Creating...' : `Create ${pendingRows.length} ${pendingRows.length === 1 ? 'policy' : 'policies'}`}
+            </button>
+            {bulk.isRunning && (
+              <button
+                onClick={bulk.stop}
+                className="rounded-md bg-white px-4 py-2 text-sm font-medium text-gray-700 ring-1 ring-gray-300 hover:bg-gray-50"
+              >
+                Stop after current
+              </button>
+            )}
+            {!bulk.isRunning && failedRows.length > 0 && (
+              <button
+                onClick={() => bulk.run(failedRows, bufferBps)}
+                disabled={linkShort}
+                className="rounded-md bg-white px-4 py-2 text-sm font-medium text-gray-700 ring-1 ring-gray-300 hover:bg-gray-50 disabled:opacity-50"
+              >
+                Retry {failedRows.length} failed
+              </button>
+            )}
+            <button
+              onClick={handleDownload}
+              className="rounded-md bg-white px-4 py-2 text-sm font-medium text-gray-700 ring-1 ring-gray-300 hover:bg-gray-50"
+            >
+              Download results
+            </button>
+            <p className="text-sm text-gray-600">
+              {createdCount}/{validRows.length} created · {rows.length - validRows.length} invalid
+            </p>
+          </div>
+
+          {validRows.length > 0 && (
+            <div className="mt-3 h-2 overflow-hidden rounded-full bg-gray-100">
+              <div className="h-full bg-green-500 transition-all" style={{ width: `${(createdCount / validRows.length) * 100}%` }} />
+            </div>
+          )}
+
+          {/* Rows */}
+          <div className="mt-6 overflow-hidden rounded-lg border border-gray-200 bg-white">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Line</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Client</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Location</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Days</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Premium</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Payout</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Token</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">LINK</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Status</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rows.map((row) => {
+                  const result = results.get(row.line)
+                  const status = row.errors.length > 0 ? 'invalid' : result?.status ?? 'queued'
+                  return (
+                    <tr key={row.line} className={row.errors.length > 0 ? 'bg-red-50' : undefined}>
+                      <td className="px-4 py-3 text-sm text-gray-500">{row.line}</td>
+                      <td className="px-4 py-3 text-sm font-mono text-gray-900">{formatAddress(row.client) || '—'}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{row.location}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{row.durationDays || '—'}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{formatUSD(row.premium)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{formatUSD(row.payout)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{row.token?.symbol ?? '—'}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">
+                        {row.errors.length === 0 ? formatUnits(linkForDuration(row.durationDays), 18) : '—'}
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        <span className={`inline-flex rounded-full px-2.5 py-0.5 text-xs font-medium ${STATUS_STYLES[status]}`}>
+                          {status}
+                        </span>
+                        {(row.errors.length > 0 || result?.error) && (
+                          <p className="mt-1 max-w-xs text-xs text-red-600">{result?.error ?? row.errors.join('; ')}</p>
+                        )}
+                        {result?.contract && (
+                          <Link href={`/insurer/contract/${result.contract}`} className="mt-1 block text-xs font-mono text-green-600 hover:text-green-500">
+                            {formatAddress(result.contract)}
+                          </Link>
+                        )}
+                        {result?.funded !== undefined && row.token && (
+                          <p className={`mt-1 text-xs ${result.funded > 0n ? 'text-gray-500' : 'text-red-600'}`}>
+                            Funded {formatUnits(result.funded, row.token.decimals)} {row.token.symbol}
+                          </p>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        {status === 'failed' && !bulk.isRunning && (
+                          <button
+                            onClick={() => bulk.run([row], bufferBps)}
+                            className="text-sm text-green-600 hover:text-green-500"
+                          >
+                            Retry
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -2,12 +2,28 @@
 
 import { useState } from 'react'
 import Link from 'next/link'
-import { useAccount, useReadContract, useWriteContract, useWaitForTransactionReceipt } from 'wagmi'
-import { parseEther, type Address, erc20Abi } from 'viem'
+import { useAccount, useWriteContract, useWaitForTransactionReceipt } from 'wagmi'
+import { formatEther, isAddress, type Address } from 'viem'
 import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
-import { CONTRACTS, TOKENS } from '@/config/contracts'
+import { QuoteStatus } from '@/components/QuoteStatus'
+import { useClientKyc, useKycRequirement } from '@/hooks/useKyc'
+import { useNetwork } from '@/hooks/useNetwork'
+import { usePriceQuote } from '@/hooks/usePriceQuote'
+import { formatBps, MAX_PAYOUT_TIERS, validatePayoutStructure, type PayoutTier } from '@/lib/payoutTiers'
+import { FUNDING_BUFFER_BPS, quoteEth } from '@/lib/quotes'
+import {
+  DEFAULT_TRIGGER_TERMS, describeTriggerTerms, floodTerms, MAX_DEFICIT_WINDOW_DAYS, PRODUCT_DROUGHT, PRODUCT_FLOOD,
+  validateTriggerTerms, type TriggerTerms,
+} from '@/lib/triggerTerms'
+
+// -1n marks input that isn't a whole number of mm
+function parseMm(value: string): bigint {
+  const mm = Number(value || '0')
+  return Number.isInteger(mm) && mm >= 0 ? BigInt(mm) : -1n
+}
 
 export default function CreatePolicy() {
+  const { contracts, tokens } = useNetwork()
   const { isConnected } = useAccount()
   const [clientAddress, setClientAddress] = useState('')
   const [durationDays, setDurationDays] = useState('30')
@@ -15,12 +31,15 @@ export default function CreatePolicy() {
   const [payoutUSD, setPayoutUSD] = useState('1000')
   const [cropLocation, setCropLocation] = useState('')
   const [paymentToken, setPaymentToken] = useState('ETH')
-
-  const { data: ethPrice } = useReadContract({
-    address: CONTRACTS.provider,
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'getLatestPrice',
-  })
+  const [product, setProduct] = useState(PRODUCT_DROUGHT)
+  const [droughtDays, setDroughtDays] = useState(String(DEFAULT_TRIGGER_TERMS.droughtDays))
+  const [dryDayThreshold, setDryDayThreshold] = useState(String(DEFAULT_TRIGGER_TERMS.dryDayThreshold))
+  const [deficitWindowDays, setDeficitWindowDays] = useState('0')
+  const [deficitThreshold, setDeficitThreshold] = useState('')
+  const [tierInputs, setTierInputs] = useState<{ dryDays: string; percent: string }[]>([])
+  const [linearDeficit, setLinearDeficit] = useState(false)
+  const [floodWindowDays, setFloodWindowDays] = useState('3')
+  const [floodThreshold, setFloodThreshold] = useState('')
 
   const { writeContract, data: txHash, isPending } = useWriteContract()
   const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash: txHash })
@@ -28,21 +47,66 @@ export default function CreatePolicy() {
   const premiumAmount = BigInt(Math.floor(Number(premiumUSD) * 1e8))
   const payoutAmount = BigInt(Math.floor(Number(payoutUSD) * 1e8))
   const durationSeconds = BigInt(Number(durationDays) * 86400)
-  const selectedToken = TOKENS[paymentToken]
+  const selectedToken = tokens[paymentToken]
   const isEth = paymentToken === 'ETH'
 
-  const fundingEth = ethPrice && payoutAmount > 0n
-    ? (payoutAmount * BigInt(1e18) * 105n) / (BigInt(ethPrice.toString()) * 100n) // +5% buffer
-    : 0n
+  // Only ETH policies are funded at creation; ERC-20 payouts are funded separately
+  const priceQuote = usePriceQuote(isEth ? tokens.ETH.address : undefined)
+  const funding = isEth && priceQuote.quote && payoutAmount > 0n
+    ? quoteEth(payoutAmount, priceQuote.quote, FUNDING_BUFFER_BPS)
+    : null
+  const [quoteError, setQuoteError] = useState<string | null>(null)
+
+  const isFlood = product === PRODUCT_FLOOD
+  const terms: TriggerTerms = isFlood
+    ? floodTerms(Number(floodWindowDays || '0'), parseMm(floodThreshold))
+    : {
+        ...DEFAULT_TRIGGER_TERMS,
+        droughtDays: Number(droughtDays || '0'),
+        dryDayThreshold: Number(dryDayThreshold || '0'),
+        deficitWindowDays: Number(deficitWindowDays || '0'),
+        deficitThreshold: parseMm(deficitThreshold),
+      }
+  const termsError = terms.deficitThreshold < 0n || terms.floodThreshold < 0n
+    ? 'Rainfall thresholds must be a whole number of mm'
+    : validateTriggerTerms(terms)
+  // Flood cover pays the full cover at once
+  const tiers: PayoutTier[] = isFlood ? [] : tierInputs.map((t) => ({
+    dryDays: Number(t.dryDays || '0'),
+    bps: Math.round(Number(t.percent || '0') * 100),
+  }))
+  const payoutError = termsError ? null : validatePayoutStructure(tiers, linearDeficit, terms)
+
+  // With the provider's KYC requirement on, newContract reverts for clients without valid KYC
+  const { kycRequired } = useKycRequirement()
+  const kycClient = kycRequired && isAddress(clientAddress) ? clientAddress : undefined
+  const clientKyc = useClientKyc(kycClient)
+  const kycBlocked = !!kycClient && !clientKyc.isLoading && !clientKyc.hasValidKYC
 
-  function handleSubmit(e: React.FormEvent) {
+  function updateTier(index: number, field: 'dryDays' | 'percent', value: string) {
+    setTierInputs((prev) => prev.map((t, i) => (i === index ? { ...t, [field]: value } : t)))
+  }
+
+  async function handleSubmit(e: React.FormEvent) {
     e.preventDefault()
-    if (!clientAddress || !cropLocation) return
+    if (!clientAddress || !cropLocation || termsError || payoutError || kycBlocked) return
+    setQuoteError(null)
+
+    // Re-quote right before sending; newContract reverts on a stale feed
+    let value = 0n
+    if (isEth) {
+      const fresh = await priceQuote.refresh()
+      if (!fresh || priceQuote.isStale(fresh)) {
+        setQuoteError('The ETH/USD feed is stale or unreadable; newContract would revert. Try again once it updates.')
+        return
+      }
+      value = quoteEth(payoutAmount, fresh, FUNDING_BUFFER_BPS).value
+    }
 
     writeContract({
-      address: CONTRACTS.provider,
+      address: contracts.provider,
       abi: automatedInsuranceProviderAbi,
-      functionName: 'newContract',
+      functionName: 'newContractWithPayouts',
       args: [
         clientAddress as Address,
         durationSeconds,
@@ -50,8 +114,11 @@ export default function CreatePolicy() {
         payoutAmount,
         cropLocation,
         selectedToken.address,
+        terms,
+        tiers,
+        !isFlood && linearDeficit && terms.deficitWindowDays > 0,
       ],
-      value: isEth ? fundingEth : 0n,
+      value,
     })
   }
 
@@ -87,7 +154,12 @@ export default function CreatePolicy() {
         <Link href="/insurer" className="text-sm text-green-600 hover:text-green-500">&larr; Back</Link>
       </div>
 
-      <h1 className="text-2xl font-bold text-gray-900">Create Insurance Policy</h1>
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Create Insurance Policy</h1>
+        <Link href="/insurer/create/bulk" className="text-sm text-green-600 hover:text-green-500">
+          Bulk import from CSV
+        </Link>
+      </div>
 
       <form onSubmit={handleSubmit} className="mt-6 space-y-6 rounded-lg border border-gray-200 bg-white p-6">
         <div>
@@ -100,6 +172,13 @@ export default function CreatePolicy() {
             className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
             required
           />
+          {kycBlocked && (
+            <p className="mt-1 text-xs text-red-600">
+              This provider requires KYC and the client has no valid KYC attestation
+              {clientKyc.current ? ` (latest is ${clientKyc.current.status})` : ''}. A compliance provider must issue
+              one first.
+            </p>
+          )}
         </div>
 
         <div>
@@ -133,7 +212,7 @@ export default function CreatePolicy() {
               onChange={(e) => setPaymentToken(e.target.value)}
               className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
             >
-              {Object.keys(TOKENS).map((t) => (
+              {Object.keys(tokens).map((t) => (
                 <option key={t} value={t}>{t}</option>
               ))}
             </select>
@@ -165,16 +244,204 @@ export default function CreatePolicy() {
           </div>
         </div>
 
-        {isEth && fundingEth > 0n && (
-          <div className="rounded-md bg-yellow-50 p-3 text-sm text-yellow-700">
-            This will require ~{(Number(fundingEth) / 1e18).toFixed(4)} ETH to fund the payout (+5% buffer).
-            Gas cost: ~3-5M gas for contract deployment.
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Cover</label>
+          <select
+            value={product}
+            onChange={(e) => setProduct(Number(e.target.value))}
+            className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+          >
+            <option value={PRODUCT_DROUGHT}>Drought (too little rain)</option>
+            <option value={PRODUCT_FLOOD}>Flood (excess rainfall)</option>
+          </select>
+        </div>
+
+        {isFlood ? (
+          <fieldset className="space-y-4">
+            <legend className="text-sm font-semibold text-gray-900">Flood Trigger</legend>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Rainfall window (days)</label>
+                <input
+                  type="number"
+                  value={floodWindowDays}
+                  onChange={(e) => setFloodWindowDays(e.target.value)}
+                  min="1"
+                  max={MAX_DEFICIT_WINDOW_DAYS}
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+                />
+                <p className="mt-1 text-xs text-gray-500">Rolling window the daily readings are summed over</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Flood threshold (mm)</label>
+                <input
+                  type="number"
+                  value={floodThreshold}
+                  onChange={(e) => setFloodThreshold(e.target.value)}
+                  min="1"
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+                />
+                <p className="mt-1 text-xs text-gray-500">Pays the full cover once the window&apos;s total exceeds this</p>
+              </div>
+            </div>
+            {termsError ? (
+              <p className="rounded-md bg-red-50 p-3 text-sm text-red-700">{termsError}</p>
+            ) : (
+              <p className="text-sm text-gray-500">Pays out on: {describeTriggerTerms(terms).join('; or ')}.</p>
+            )}
+          </fieldset>
+        ) : (
+          <>
+          <fieldset className="space-y-4">
+            <legend className="text-sm font-semibold text-gray-900">Drought Trigger</legend>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Consecutive dry days</label>
+                <input
+                  type="number"
+                  value={droughtDays}
+                  onChange={(e) => setDroughtDays(e.target.value)}
+                  min="0"
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+                />
+                <p className="mt-1 text-xs text-gray-500">0 turns this trigger off</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Dry day threshold (mm)</label>
+                <input
+                  type="number"
+                  value={dryDayThreshold}
+                  onChange={(e) => setDryDayThreshold(e.target.value)}
+                  min="0"
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+                />
+                <p className="mt-1 text-xs text-gray-500">Days with this much rain or less count as dry</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Deficit window (days)</label>
+                <input
+                  type="number"
+                  value={deficitWindowDays}
+                  onChange={(e) => setDeficitWindowDays(e.target.value)}
+                  min="0"
+                  max={MAX_DEFICIT_WINDOW_DAYS}
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+                />
+                <p className="mt-1 text-xs text-gray-500">Rolling window for cumulative rainfall; 0 turns it off</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Deficit threshold (mm)</label>
+                <input
+                  type="number"
+                  value={deficitThreshold}
+                  onChange={(e) => setDeficitThreshold(e.target.value)}
+                  min="0"
+                  disabled={deficitWindowDays === '' || deficitWindowDays === '0'}
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500 disabled:bg-gray-50"
+                />
+                <p className="mt-1 text-xs text-gray-500">Pays out when the window&apos;s total is below this</p>
+              </div>
+            </div>
+            {termsError ? (
+              <p className="rounded-md bg-red-50 p-3 text-sm text-red-700">{termsError}</p>
+            ) : (
+              <p className="text-sm text-gray-500">Pays out on: {describeTriggerTerms(terms).join('; or ')}.</p>
+            )}
+          </fieldset>
+
+          <fieldset className="space-y-4">
+            <legend className="text-sm font-semibold text-gray-900">Payout Structure</legend>
+            <p className="text-sm text-gray-500">
+              Without tiers the dry-day trigger pays the full cover at once. Tier shares are cumulative, e.g. 25% at 3 dry
+              days, 50% at 5 and 100% at 7; the first tier starts at the consecutive dry days above.
+            </p>
+            {tierInputs.map((tier, i) => (
+              <div key={i} className="grid grid-cols-[1fr_1fr_auto] items-end gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Dry days</label>
+                  <input
+                    type="number"
+                    value={tier.dryDays}
+                    onChange={(e) => updateTier(i, 'dryDays', e.target.value)}
+                    min="1"
+                    className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Cumulative payout (%)</label>
+                  <input
+                    type="number"
+                    value={tier.percent}
+                    onChange={(e) => updateTier(i, 'percent', e.target.value)}
+                    min="0.01"
+                    max="100"
+                    step="0.01"
+                    className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+                  />
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setTierInputs((prev) => prev.filter((_, j) => j !== i))}
+                  className="pb-2 text-sm text-red-600 hover:text-red-500"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            {tierInputs.length < MAX_PAYOUT_TIERS && terms.droughtDays > 0 && (
+              <button
+                type="button"
+                onClick={() => setTierInputs((prev) => [
+                  ...prev,
+                  prev.length === 0
+                    ? { dryDays: String(terms.droughtDays), percent: '25' }
+                    : { dryDays: String(Number(prev[prev.length - 1].dryDays) + 2), percent: '100' },
+                ])}
+                className="text-sm text-green-600 hover:text-green-500"
+              >
+                + Add tier
+              </button>
+            )}
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={linearDeficit}
+                onChange={(e) => setLinearDeficit(e.target.checked)}
+                disabled={terms.deficitWindowDays === 0}
+                className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+              />
+              Pay the deficit trigger in proportion to the shortfall instead of all at once
+            </label>
+            {payoutError ? (
+              <p className="rounded-md bg-red-50 p-3 text-sm text-red-700">{payoutError}</p>
+            ) : tiers.length > 0 && (
+              <p className="text-sm text-gray-500">
+                Pays {tiers.map((t) => `${formatBps(t.bps)} by ${t.dryDays} dry days`).join(', ')}
+                {tiers[tiers.length - 1].bps < 10_000 && '; the rest of the escrow returns to the insurer at expiry'}.
+              </p>
+            )}
+          </fieldset>
+          </>
+        )}
+
+        {isEth && (
+          <div className="space-y-3">
+            <QuoteStatus priceQuote={priceQuote} symbol="ETH" />
+            {funding && (
+              <div className="rounded-md bg-yellow-50 p-3 text-sm text-yellow-700">
+                Funding the payout takes {formatEther(funding.required)} ETH at this price; {formatEther(funding.value)} ETH
+                will be sent (+{FUNDING_BUFFER_BPS / 100}% buffer). newContract doesn&apos;t refund the{' '}
+                {formatEther(funding.excess)} ETH excess; it stays in the provider. Gas cost: ~3-5M gas for contract
+                deployment.
+              </div>
+            )}
+            {quoteError && <p className="rounded-md bg-red-50 p-3 text-sm text-red-700">{quoteError}</p>}
           </div>
         )}
 
         <button
           type="submit"
-          disabled={isPending || isConfirming}
+          disabled={isPending || isConfirming || !!termsError || !!payoutError || kycBlocked || (isEth && priceQuote.status === 'stale')}
           className="w-full rounded-md bg-green-600 px-4 py-2.5 text-sm font-semibold text-white shadow hover:bg-green-500 disabled:opacity-50"
         >
           {isPending ? 'Submitting...' : isConfirming ? 'Deploying contract...' : 'Create Policy'}
@@ -0,0 +1,285 @@
+'use client'
+
+import { useState } from 'react'
+import Link from 'next/link'
+import { useAccount } from 'wagmi'
+import { isAddress, type Address } from 'viem'
+import { useEasAdmin } from '@/hooks/useEasAdmin'
+import { useKycRequirement } from '@/hooks/useKyc'
+import { formatAddress, formatTimestamp } from '@/lib/format'
+import { MANAGER_ROLES, ROLE_ORDER, isBytes32, validateRevocationReason, type ManagerRole } from '@/lib/easRoles'
+
+export default function EasAdmin() {
+  const { isConnected } = useAccount()
+  const {
+    isConfigured, owner, isOwner, holders, isLoading, error, setRole, pendingRole, roleError,
+    target, lookUp, isLooking, revoke, isRevoking, revokeError,
+  } = useEasAdmin()
+  const kycRequirement = useKycRequirement()
+  const [grantee, setGrantee] = useState('')
+  const [grantRole, setGrantRole] = useState<ManagerRole>('attestor')
+  const [uid, setUid] = useState('')
+  const [reason, setReason] = useState('')
+  const [revoked, setRevoked] = useState<string | null>(null)
+
+  if (!isConnected) {
+    return (
+      <div className="mx-auto max-w-2xl px-4 py-16 text-center text-gray-600">
+        Connect your wallet to manage attestation roles.
+      </div>
+    )
+  }
+
+  if (!isConfigured) {
+    return (
+      <div className="mx-auto max-w-2xl px-4 py-16 text-center text-gray-600">
+        No EAS insurance manager is configured for this network.
+      </div>
+    )
+  }
+
+  const alreadyHolds = holders.some((h) => h.role === grantRole && h.account.toLowerCase() === grantee.toLowerCase())
+  const canGrant = isAddress(grantee) && !alreadyHolds && pendingRole === null
+  const reasonError = validateRevocationReason(reason)
+  const canRevoke = !!target && 'fn' in target.plan && !reasonError && !isRevoking
+
+  async function handleGrant(e: React.FormEvent) {
+    e.preventDefault()
+    if (await setRole(grantRole, grantee as Address, true)) setGrantee('')
+  }
+
+  async function handleLookUp(e: React.FormEvent) {
+    e.preventDefault()
+    setRevoked(null)
+    if (isBytes32(uid)) await lookUp(uid)
+  }
+
+  async function handleRevoke(e: React.FormEvent) {
+    e.preventDefault()
+    const revokedUid = target?.uid
+    if (await revoke(reason)) {
+      setRevoked(revokedUid ?? null)
+      setUid('')
+      setReason('')
+    }
+  }
+
+  return (
+    <div className="mx-auto max-w-7xl px-4 py-8 sm:px-6 lg:px-8">
+      <div className="mb-6">
+        <Link href="/insurer" className="text-sm text-green-600 hover:text-green-500">&larr; Back to Dashboard</Link>
+      </div>
+
+      <h1 className="text-2xl font-bold text-gray-900">EAS Administration</h1>
+      <p className="mt-1 text-sm text-gray-500">
+        Roles on the EAS insurance manager, from its AttestorAuthorized, OracleNodeRegistered and
+        ComplianceProviderRegistered events. The owner{owner ? ` (${formatAddress(owner)})` : ''} holds every role
+        implicitly.
+      </p>
+      {!isOwner && (
+        <p className="mt-4 rounded-md bg-yellow-50 p-3 text-sm text-yellow-800">
+          Only the manager owner can change roles or revoke attestations.
+        </p>
+      )}
+
+      <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+        <h2 className="text-lg font-semibold text-gray-900">Role Holders</h2>
+
+        {isLoading ? (
+          <p className="mt-4 text-sm text-gray-500">Loading role events...</p>
+        ) : error ? (
+          <p className="mt-4 rounded-md bg-red-50 p-3 text-sm text-red-700">Failed to load role events.</p>
+        ) : holders.length === 0 ? (
+          <p className="mt-4 text-sm text-gray-500">No roles granted beyond the owner.</p>
+        ) : (
+          <div className="mt-4 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead>
+                <tr>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Role</th>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Account</th>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Granted</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {holders.map((h) => {
+                  const key = `${h.role}:${h.account.toLowerCase()}`
+                  return (
+                    <tr key={key}>
+                      <td className="py-2 text-sm text-gray-900">{MANAGER_ROLES[h.role].label}</td>
+                      <td className="py-2 font-mono text-sm text-gray-900">{h.account}</td>
+                      <td className="py-2 text-sm text-gray-500">Block {h.since.toString()}</td>
+                      <td className="py-2 text-right">
+                        {isOwner && (
+                          <button
+                            onClick={() => setRole(h.role, h.account, false)}
+                            disabled={pendingRole !== null}
+                            className="rounded-md border border-red-300 px-3 py-1 text-sm font-medium text-red-700 hover:bg-red-50 disabled:opacity-50"
+                          >
+                            {pendingRole === key ? 'Removing...' : 'Remove'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {isOwner && (
+          <form onSubmit={handleGrant} className="mt-6 flex flex-wrap items-end gap-4">
+            <div className="min-w-[20rem] flex-1">
+              <label htmlFor="grantee" className="block text-sm font-medium text-gray-700">Account</label>
+              <input
+                id="grantee"
+                value={grantee}
+                onChange={(e) => setGrantee(e.target.value.trim())}
+                placeholder="0x..."
+                className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 font-mono text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="grantRole" className="block text-sm font-medium text-gray-700">Role</label>
+              <select
+                id="grantRole"
+                value={grantRole}
+                onChange={(e) => setGrantRole(e.target.value as ManagerRole)}
+                className="mt-1 block rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+              >
+                {ROLE_ORDER.map((role) => (
+                  <option key={role} value={role}>{MANAGER_ROLES[role].label}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              type="submit"
+              disabled={!canGrant}
+              className="rounded-md bg-green-600 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-green-500 disabled:opacity-50"
+            >
+              {pendingRole === `${grantRole}:${grantee.toLowerCase()}` ? 'Granting...' : 'Grant Role'}
+            </button>
+          </form>
+        )}
+        {alreadyHolds && <p className="mt-2 text-sm text-gray-500">{formatAddress(grantee)} already holds that role.</p>}
+        {roleError && <p className="mt-4 rounded-md bg-red-50 p-3 text-sm text-red-700">{roleError}</p>}
+      </div>
+
+      <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+        <h2 className="text-lg font-semibold text-gray-900">Revoke Attestation</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Revokes a policy, weather or KYC attestation on EAS through the manager. The reason is stored on-chain and shown
+          on the attestation page.
+        </p>
+
+        {isOwner ? (
+          <>
+            <form onSubmit={handleLookUp} className="mt-4 flex flex-wrap items-end gap-4">
+              <div className="min-w-[20rem] flex-1">
+                <label htmlFor="uid" className="block text-sm font-medium text-gray-700">Attestation UID</label>
+                <input
+                  id="uid"
+                  value={uid}
+                  onChange={(e) => setUid(e.target.value.trim())}
+                  placeholder="0x..."
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 font-mono text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={!isBytes32(uid) || isLooking}
+                className="rounded-md border border-gray-300 px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                {isLooking ? 'Looking up...' : 'Look Up'}
+              </button>
+            </form>
+
+            {target && (
+              <form onSubmit={handleRevoke} className="mt-4 space-y-4 rounded-md border border-gray-200 p-4">
+                <dl className="grid grid-cols-1 gap-2 text-sm sm:grid-cols-3">
+                  <div>
+                    <dt className="text-gray-500">Type</dt>
+                    <dd className="text-gray-900">{target.type ?? 'Unknown schema'}</dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">Recipient</dt>
+                    <dd className="font-mono text-gray-900">{formatAddress(target.recipient)}</dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">Attested</dt>
+                    <dd className="text-gray-900">{formatTimestamp(target.time)}</dd>
+                  </div>
+                </dl>
+                <Link href={`/attestations/${target.uid}`} className="inline-block text-sm text-green-600 hover:text-green-500">
+                  View attestation &rarr;
+                </Link>
+
+                {'error' in target.plan ? (
+                  <p className="rounded-md bg-yellow-50 p-3 text-sm text-yellow-800">{target.plan.error}.</p>
+                ) : (
+                  <>
+                    <div>
+                      <label htmlFor="reason" className="block text-sm font-medium text-gray-700">Reason (required)</label>
+                      <textarea
+                        id="reason"
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        rows={3}
+                        className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+                      />
+                    </div>
+                    <button
+                      type="submit"
+                      disabled={!canRevoke}
+                      className="rounded-md bg-red-600 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-red-500 disabled:opacity-50"
+                    >
+                      {isRevoking ? 'Revoking...' : 'Revoke'}
+                    </button>
+                  </>
+                )}
+              </form>
+            )}
+            {revoked && (
+              <p className="mt-4 rounded-md bg-green-50 p-3 text-sm text-green-700">
+                Revoked <Link href={`/attestations/${revoked}`} className="font-mono underline">{formatAddress(revoked)}</Link>.
+              </p>
+            )}
+            {revokeError && <p className="mt-4 rounded-md bg-red-50 p-3 text-sm text-red-700">{revokeError}</p>}
+          </>
+        ) : (
+          <p className="mt-4 text-sm text-gray-500">Only the manager owner can revoke attestations here.</p>
+        )}
+      </div>
+
+      <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+        <h2 className="text-lg font-semibold text-gray-900">KYC Requirement</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          When required, the provider rejects newContract for clients whose latest KYC attestation is missing, failed,
+          expired or revoked. Compliance providers issue KYC from the{' '}
+          <Link href="/compliance" className="text-green-600 hover:text-green-500">Compliance</Link> page.
+        </p>
+        <p className="mt-4 text-sm text-gray-700">
+          KYC is currently <span className="font-semibold">{kycRequirement.kycRequired ? 'required' : 'not required'}</span>.
+        </p>
+        {!kycRequirement.hasManager ? (
+          <p className="mt-4 text-sm text-gray-500">Set the provider&apos;s EAS manager before requiring KYC.</p>
+        ) : kycRequirement.isOwner ? (
+          <button
+            onClick={() => kycRequirement.setRequired(!kycRequirement.kycRequired)}
+            disabled={kycRequirement.isSaving}
+            className="mt-4 rounded-md bg-green-600 px-4 py-2 text-sm font-semibold text-white hover:bg-green-500 disabled:opacity-50"
+          >
+            {kycRequirement.isSaving ? 'Saving...' : kycRequirement.kycRequired ? 'Stop Requiring KYC' : 'Require KYC'}
+          </button>
+        ) : (
+          <p className="mt-4 text-sm text-gray-500">Only the provider owner can change this.</p>
+        )}
+        {kycRequirement.saveError && (
+          <p className="mt-4 rounded-md bg-red-50 p-3 text-sm text-red-700">{kycRequirement.saveError}</p>
+        )}
+      </div>
+    </div>
+  )
+}
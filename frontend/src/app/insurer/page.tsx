@@ -1,25 +1,29 @@
 'use client'
 
+import { useState } from 'react'
 import Link from 'next/link'
 import { useAccount, useReadContract } from 'wagmi'
 import { ConnectKitButton } from 'connectkit'
 import { useActiveContracts } from '@/hooks/useActiveContracts'
 import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
-import { CONTRACTS } from '@/config/contracts'
-import { formatUSD, formatRainfall, formatAddress, formatTimestamp, getPolicyStatus, getStatusColor } from '@/lib/format'
+import { useNetwork } from '@/hooks/useNetwork'
+import { formatUSD, formatRainfall, formatAddress, formatTimestamp } from '@/lib/format'
+import { PolicyStatusBadge } from '@/components/PolicyStatusBadge'
 
 export default function InsurerDashboard() {
+  const { contracts: deployed } = useNetwork()
   const { isConnected } = useAccount()
-  const { contracts, activeCount, isLoading } = useActiveContracts()
+  const [showHistorical, setShowHistorical] = useState(false)
+  const { contracts, activeCount, isLoading, indexStatus } = useActiveContracts(showHistorical)
 
   const { data: automationEnabled } = useReadContract({
-    address: CONTRACTS.provider,
+    address: deployed.provider,
     abi: automatedInsuranceProviderAbi,
     functionName: 'automationEnabled',
   })
 
   const { data: lastUpkeep } = useReadContract({
-    address: CONTRACTS.provider,
+    address: deployed.provider,
     abi: automatedInsuranceProviderAbi,
     functionName: 'lastUpkeepTimestamp',
   })
@@ -41,12 +45,30 @@ export default function InsurerDashboard() {
       <div className="flex items-center justify-between">
         <h1 className="text-2xl font-bold text-gray-900">Insurer Dashboard</h1>
         <div className="flex gap-3">
+          <Link
+            href="/insurer/portfolio"
+            className="rounded-md bg-white px-3 py-2 text-sm font-medium text-gray-700 ring-1 ring-gray-300 hover:bg-gray-50"
+          >
+            Portfolio
+          </Link>
           <Link
             href="/insurer/automation"
             className="rounded-md bg-white px-3 py-2 text-sm font-medium text-gray-700 ring-1 ring-gray-300 hover:bg-gray-50"
           >
             Automation
           </Link>
+          <Link
+            href="/insurer/tokens"
+            className="rounded-md bg-white px-3 py-2 text-sm font-medium text-gray-700 ring-1 ring-gray-300 hover:bg-gray-50"
+          >
+            Tokens
+          </Link>
+          <Link
+            href="/insurer/eas"
+            className="rounded-md bg-white px-3 py-2 text-sm font-medium text-gray-700 ring-1 ring-gray-300 hover:bg-gray-50"
+          >
+            EAS
+          </Link>
           <Link
             href="/insurer/create"
             className="rounded-md bg-green-600 px-3 py-2 text-sm font-semibold text-white shadow hover:bg-green-500"
@@ -76,18 +98,37 @@ export default function InsurerDashboard() {
         </div>
       </div>
 
+      <div className="mt-6 flex items-center justify-between">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={showHistorical}
+            onChange={(e) => setShowHistorical(e.target.checked)}
+            className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+          />
+          Include paid out and ended policies
+        </label>
+        <p className="text-xs text-gray-500">
+          {indexStatus.error
+            ? `Indexer error: ${indexStatus.error.message}`
+            : indexStatus.isSyncing
+              ? 'Syncing events...'
+              : `Indexed to block ${indexStatus.lastBlock.toString()}`}
+        </p>
+      </div>
+
       {/* Contract Table */}
       {isLoading ? (
         <div className="mt-8 text-center text-gray-500">Loading contracts...</div>
       ) : contracts.length === 0 ? (
         <div className="mt-8 rounded-md border-2 border-dashed border-gray-300 p-12 text-center">
-          <p className="text-gray-500">No active contracts.</p>
+          <p className="text-gray-500">{showHistorical ? 'No contracts.' : 'No active contracts.'}</p>
           <Link href="/insurer/create" className="mt-2 inline-block text-sm text-green-600 hover:text-green-500">
             Create your first policy
           </Link>
         </div>
       ) : (
-        <div className="mt-6 overflow-hidden rounded-lg border border-gray-200 bg-white">
+        <div className="mt-4 overflow-hidden rounded-lg border border-gray-200 bg-white">
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
               <tr>
@@ -103,17 +144,13 @@ export default function InsurerDashboard() {
             </thead>
             <tbody className="divide-y divide-gray-200">
               {contracts.map((c) => {
-                const status = getPolicyStatus(c.contractActive, c.premiumPaid, c.contractPaid)
-                const statusColor = getStatusColor(status)
                 return (
                   <tr key={c.address} className="hover:bg-gray-50">
                     <td className="px-4 py-3 text-sm font-mono text-gray-900">{formatAddress(c.address)}</td>
                     <td className="px-4 py-3 text-sm text-gray-600">{formatAddress(c.client)}</td>
                     <td className="px-4 py-3 text-sm text-gray-900">{c.cropLocation}</td>
                     <td className="px-4 py-3">
-                      <span className={`inline-flex rounded-full px-2 py-0.5 text-xs font-medium ${statusColor}`}>
-                        {status.replace('_', ' ')}
-                      </span>
+                      <PolicyStatusBadge state={c.state} />
                     </td>
                     <td className="px-4 py-3 text-sm text-gray-900">{c.daysWithoutRain.toString()}/3</td>
                     <td className="px-4 py-3 text-sm text-gray-900">{formatRainfall(c.currentRainfall)}</td>
@@ -0,0 +1,191 @@
+'use client'
+
+import Link from 'next/link'
+import { formatUnits } from 'viem'
+import { useAccount } from 'wagmi'
+import { usePortfolio } from '@/hooks/usePortfolio'
+import { formatUSD } from '@/lib/format'
+import { CONCENTRATION_MAX_SHARE, CONCENTRATION_MIN_POLICIES, type ConcentrationRisk } from '@/lib/portfolio'
+import { useNetwork } from '@/hooks/useNetwork'
+
+const RISK_BADGES: Record<Exclude<ConcentrationRisk, null>, { label: string; className: string }> = {
+  high: { label: 'Concentration risk', className: 'bg-red-100 text-red-800' },
+  watch: { label: 'Watch', className: 'bg-amber-100 text-amber-800' },
+}
+
+function formatPercent(ratio: number): string {
+  return `${(ratio * 100).toFixed(1)}%`
+}
+
+export default function PortfolioPage() {
+  const { tokenByAddress } = useNetwork()
+  const { isConnected } = useAccount()
+  const { portfolio, isLoading, indexStatus } = usePortfolio()
+
+  if (!isConnected) {
+    return (
+      <div className="mx-auto max-w-2xl px-4 py-16 text-center text-gray-600">
+        Connect your wallet to view portfolio exposure.
+      </div>
+    )
+  }
+
+  const coverage = portfolio.coverageRatio
+  const highRisk = portfolio.byLocation.filter((l) => l.risk === 'high')
+
+  return (
+    <div className="mx-auto max-w-7xl px-4 py-8 sm:px-6 lg:px-8">
+      <div className="mb-6">
+        <Link href="/insurer" className="text-sm text-green-600 hover:text-green-500">&larr; Back to Dashboard</Link>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Portfolio Exposure</h1>
+        <p className="text-xs text-gray-500">
+          {indexStatus.error
+            ? `Indexer error: ${indexStatus.error.message}`
+            : indexStatus.isSyncing
+              ? 'Syncing events...'
+              : `Indexed to block ${indexStatus.lastBlock.toString()}`}
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="mt-8 text-center text-gray-500">Loading portfolio...</div>
+      ) : (
+        <>
+          {/* Solvency */}
+          <div className="mt-6 grid grid-cols-4 gap-4">
+            <div className="rounded-lg border border-gray-200 bg-white p-4">
+              <p className="text-sm text-gray-500">Outstanding Liability</p>
+              <p className="text-2xl font-bold text-gray-900">{formatUSD(portfolio.liabilityUSD)}</p>
+            </div>
+            <div className="rounded-lg border border-gray-200 bg-white p-4">
+              <p className="text-sm text-gray-500">Escrowed (today&apos;s prices)</p>
+              <p className="text-2xl font-bold text-gray-900">{formatUSD(portfolio.escrowUSD)}</p>
+            </div>
+            <div className="rounded-lg border border-gray-200 bg-white p-4">
+              <p className="text-sm text-gray-500">Coverage Ratio</p>
+              <p className={`text-2xl font-bold ${coverage === null || coverage >= 1 ? 'text-green-600' : 'text-red-600'}`}>
+                {coverage === null ? '—' : formatPercent(coverage)}
+              </p>
+              {portfolio.shortfallUSD > 0n && (
+                <p className="text-xs text-red-600">Shortfall {formatUSD(portfolio.shortfallUSD)}</p>
+              )}
+            </div>
+            <div className="rounded-lg border border-gray-200 bg-white p-4">
+              <p className="text-sm text-gray-500">Premiums Held</p>
+              <p className="text-2xl font-bold text-gray-900">{formatUSD(portfolio.premiumsUSD)}</p>
+            </div>
+          </div>
+
+          {portfolio.unpricedTokens.length > 0 && (
+            <div className="mt-4 rounded-md bg-yellow-50 p-3 text-sm text-yellow-800">
+              No price for {portfolio.unpricedTokens.map((t) => tokenByAddress(t).symbol).join(', ')}; their escrow
+              and premiums are left out of the USD totals.
+            </div>
+          )}
+
+          {highRisk.length > 0 && (
+            <div className="mt-4 rounded-md bg-red-50 p-3 text-sm text-red-800">
+              {highRisk.length === 1 ? `${highRisk[0].location} is` : `${highRisk.length} locations are`} approaching their
+              policies&apos; drought triggers with {CONCENTRATION_MIN_POLICIES}+ policies or over{' '}
+              {formatPercent(CONCENTRATION_MAX_SHARE)} of outstanding liability.
+            </div>
+          )}
+
+          {portfolio.pending.policies > 0 && (
+            <p className="mt-4 text-sm text-gray-500">
+              {portfolio.pending.policies} funded {portfolio.pending.policies === 1 ? 'policy is' : 'policies are'} awaiting
+              a premium ({formatUSD(portfolio.pending.liabilityUSD)} of cover) and not counted as liability yet.
+            </p>
+          )}
+
+          {/* By token */}
+          <h2 className="mt-8 text-lg font-semibold text-gray-900">By Payment Token</h2>
+          {portfolio.byToken.length === 0 ? (
+            <p className="mt-2 text-sm text-gray-500">No active policies or held premiums.</p>
+          ) : (
+            <div className="mt-3 overflow-hidden rounded-lg border border-gray-200 bg-white">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Token</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Policies</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Liability</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Escrow</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Escrow (USD)</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Premiums Held</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Shortfall</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {portfolio.byToken.map((t) => {
+                    const { decimals } = tokenByAddress(t.token)
+                    return (
+                      <tr key={t.token}>
+                        <td className="px-4 py-3 text-sm font-medium text-gray-900">{t.symbol}</td>
+                        <td className="px-4 py-3 text-sm text-gray-900">{t.policies}</td>
+                        <td className="px-4 py-3 text-sm text-gray-900">{formatUSD(t.liabilityUSD)}</td>
+                        <td className="px-4 py-3 text-sm text-gray-900">{formatUnits(t.escrow, decimals)} {t.symbol}</td>
+                        <td className="px-4 py-3 text-sm text-gray-900">{t.escrowUSD === null ? '—' : formatUSD(t.escrowUSD)}</td>
+                        <td className="px-4 py-3 text-sm text-gray-900">
+                          {formatUnits(t.premiums, decimals)} {t.symbol}
+                          {t.premiumsUSD !== null && <span className="text-gray-500"> ({formatUSD(t.premiumsUSD)})</span>}
+                        </td>
+                        <td className={`px-4 py-3 text-sm ${t.shortfallUSD ? 'font-medium text-red-600' : 'text-gray-900'}`}>
+                          {t.shortfallUSD === null ? '—' : formatUSD(t.shortfallUSD)}
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* By location */}
+          <h2 className="mt-8 text-lg font-semibold text-gray-900">By Location</h2>
+          {portfolio.byLocation.length === 0 ? (
+            <p className="mt-2 text-sm text-gray-500">No active policies.</p>
+          ) : (
+            <div className="mt-3 overflow-hidden rounded-lg border border-gray-200 bg-white">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Location</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Policies</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Liability</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Share</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Drought</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Near Threshold</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium uppercase text-gray-500">Risk</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {portfolio.byLocation.map((l) => (
+                    <tr key={l.location} className={l.risk === 'high' ? 'bg-red-50' : undefined}>
+                      <td className="px-4 py-3 text-sm font-medium text-gray-900">{l.location}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{l.policies}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{formatUSD(l.liabilityUSD)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{formatPercent(l.share)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{l.nearest ? `${l.nearest.dryDays}/${l.nearest.droughtDays}` : '—'}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{l.approaching}</td>
+                      <td className="px-4 py-3">
+                        {l.risk && (
+                          <span className={`inline-flex rounded-full px-2.5 py-0.5 text-xs font-medium ${RISK_BADGES[l.risk].className}`}>
+                            {RISK_BADGES[l.risk].label}
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
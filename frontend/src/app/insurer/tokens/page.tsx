@@ -0,0 +1,189 @@
+'use client'
+
+import { useState } from 'react'
+import Link from 'next/link'
+import { useAccount } from 'wagmi'
+import { formatUnits, isAddress, type Address } from 'viem'
+import { useNetwork } from '@/hooks/useNetwork'
+import { useTokenConsole, type TokenFeedRow } from '@/hooks/useTokenConsole'
+import { formatAddress, formatDuration, formatTimestamp } from '@/lib/format'
+
+function FeedStatus({ row }: { row: TokenFeedRow }) {
+  if (row.feedError) {
+    return <span className="inline-flex rounded-full bg-red-100 px-2.5 py-0.5 text-xs font-medium text-red-800">Unreadable</span>
+  }
+  if (row.isStale === undefined) return <span className="text-sm text-gray-400">—</span>
+  return row.isStale ? (
+    <span className="inline-flex rounded-full bg-red-100 px-2.5 py-0.5 text-xs font-medium text-red-800">Stale</span>
+  ) : (
+    <span className="inline-flex rounded-full bg-green-100 px-2.5 py-0.5 text-xs font-medium text-green-800">Fresh</span>
+  )
+}
+
+export default function TokenConsole() {
+  const { isConnected } = useAccount()
+  const { network } = useNetwork()
+  const { rows, maxStaleness, isOwner, isLoading, error, refetchFeeds, addToken, isAdding, addError } = useTokenConsole()
+  const [token, setToken] = useState('')
+  const [priceFeed, setPriceFeed] = useState('')
+  const [added, setAdded] = useState<string | null>(null)
+
+  if (!isConnected) {
+    return (
+      <div className="mx-auto max-w-2xl px-4 py-16 text-center text-gray-600">
+        Connect your wallet to manage payment tokens.
+      </div>
+    )
+  }
+
+  const canAdd = isAddress(token) && isAddress(priceFeed) && !isAdding
+  const staleCount = rows.filter((r) => r.isStale || r.feedError).length
+
+  async function handleAdd(e: React.FormEvent) {
+    e.preventDefault()
+    setAdded(null)
+    if (await addToken(token as Address, priceFeed as Address)) {
+      setAdded(token)
+      setToken('')
+      setPriceFeed('')
+    }
+  }
+
+  return (
+    <div className="mx-auto max-w-7xl px-4 py-8 sm:px-6 lg:px-8">
+      <div className="mb-6">
+        <Link href="/insurer" className="text-sm text-green-600 hover:text-green-500">&larr; Back to Dashboard</Link>
+      </div>
+
+      <h1 className="text-2xl font-bold text-gray-900">Payment Tokens</h1>
+      <p className="mt-1 text-sm text-gray-500">
+        Tokens the provider accepts, from its TokenOperation events. Premiums and payouts in a token revert while its
+        feed is older than {maxStaleness !== undefined ? formatDuration(maxStaleness) : 'MAX_STALENESS'}.
+      </p>
+
+      <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+        <div className="flex items-start justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Supported Tokens</h2>
+          <button
+            onClick={() => refetchFeeds()}
+            className="rounded-md border border-gray-300 px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-50"
+          >
+            Refresh feeds
+          </button>
+        </div>
+
+        {staleCount > 0 && (
+          <p className="mt-4 rounded-md bg-red-50 p-3 text-sm text-red-700">
+            {staleCount} {staleCount === 1 ? 'feed is' : 'feeds are'} stale or unreadable; new policies and payments in
+            {staleCount === 1 ? ' that token' : ' those tokens'} will revert.
+          </p>
+        )}
+
+        {isLoading ? (
+          <p className="mt-4 text-sm text-gray-500">Loading token events...</p>
+        ) : error ? (
+          <p className="mt-4 rounded-md bg-red-50 p-3 text-sm text-red-700">Failed to load TokenOperation events.</p>
+        ) : (
+          <div className="mt-4 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead>
+                <tr>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Token</th>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Price Feed</th>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Latest Answer</th>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Updated</th>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Age</th>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Feed</th>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Added</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map((row) => (
+                  <tr key={row.address} className={row.supported ? undefined : 'opacity-50'}>
+                    <td className="py-2 text-sm">
+                      <p className="font-medium text-gray-900">{row.symbol}</p>
+                      <p className="font-mono text-xs text-gray-500">{row.address === '0x0000000000000000000000000000000000000000' ? 'native' : formatAddress(row.address)}</p>
+                    </td>
+                    <td className="py-2 text-sm">
+                      <p className="text-gray-900">{row.description ?? '—'}</p>
+                      {network?.explorer ? (
+                        <a
+                          href={`${network.explorer}/address/${row.priceFeed}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="font-mono text-xs text-green-600 hover:text-green-500"
+                        >
+                          {formatAddress(row.priceFeed)}
+                        </a>
+                      ) : (
+                        <p className="font-mono text-xs text-gray-500">{formatAddress(row.priceFeed)}</p>
+                      )}
+                    </td>
+                    <td className="py-2 text-sm text-gray-900">
+                      {row.answer !== undefined && row.feedDecimals !== undefined ? formatUnits(row.answer, row.feedDecimals) : '—'}
+                    </td>
+                    <td className="py-2 text-sm text-gray-900">{row.updatedAt !== undefined ? formatTimestamp(row.updatedAt) : '—'}</td>
+                    <td className="py-2 text-sm text-gray-900">{row.age !== undefined ? formatDuration(row.age) : '—'}</td>
+                    <td className="py-2"><FeedStatus row={row} /></td>
+                    <td className="py-2 text-sm text-gray-500">
+                      {!row.supported ? 'Removed' : row.addedBlock === null ? 'Constructor' : `Block ${row.addedBlock.toString()}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+        <h2 className="text-lg font-semibold text-gray-900">Add Token</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Calls addSupportedToken. Adding a token that is already supported replaces its price feed.
+        </p>
+
+        {isOwner ? (
+          <form onSubmit={handleAdd} className="mt-4 space-y-4">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label htmlFor="token" className="block text-sm font-medium text-gray-700">Token address</label>
+                <input
+                  id="token"
+                  value={token}
+                  onChange={(e) => setToken(e.target.value.trim())}
+                  placeholder="0x..."
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 font-mono text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+                />
+              </div>
+              <div>
+                <label htmlFor="priceFeed" className="block text-sm font-medium text-gray-700">Chainlink USD feed</label>
+                <input
+                  id="priceFeed"
+                  value={priceFeed}
+                  onChange={(e) => setPriceFeed(e.target.value.trim())}
+                  placeholder="0x..."
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 font-mono text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+                />
+              </div>
+            </div>
+            <button
+              type="submit"
+              disabled={!canAdd}
+              className="rounded-md bg-green-600 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-green-500 disabled:opacity-50"
+            >
+              {isAdding ? 'Adding...' : 'Add Token'}
+            </button>
+            {added && (
+              <p className="rounded-md bg-green-50 p-3 text-sm text-green-700">
+                {formatAddress(added)} added. It now appears in the create-policy token list.
+              </p>
+            )}
+            {addError && <p className="rounded-md bg-red-50 p-3 text-sm text-red-700">{addError}</p>}
+          </form>
+        ) : (
+          <p className="mt-4 text-sm text-gray-500">Only the provider owner can add tokens.</p>
+        )}
+      </div>
+    </div>
+  )
+}
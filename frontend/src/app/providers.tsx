@@ -1,16 +1,17 @@
 'use client'
 
 import { WagmiProvider, createConfig, http } from 'wagmi'
-import { sepolia } from 'wagmi/chains'
+import { type Chain } from 'viem'
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
 import { ConnectKitProvider, getDefaultConfig } from 'connectkit'
+import { NETWORKS, SUPPORTED_CHAIN_IDS, getChain } from '@/config/networks'
+
+const chains = SUPPORTED_CHAIN_IDS.map(getChain) as [Chain, ...Chain[]]
 
 const config = createConfig(
   getDefaultConfig({
-    chains: [sepolia],
-    transports: {
-      [sepolia.id]: http(process.env.NEXT_PUBLIC_SEPOLIA_RPC_URL || 'https://rpc.sepolia.org'),
-    },
+    chains,
+    transports: Object.fromEntries(SUPPORTED_CHAIN_IDS.map((id) => [id, http(NETWORKS[id].rpcUrl)])),
     walletConnectProjectId: process.env.NEXT_PUBLIC_WALLETCONNECT_PROJECT_ID || '',
     appName: 'Crop Insurance dApp',
     appDescription: 'Decentralized parametric crop insurance',
@@ -0,0 +1,245 @@
+'use client'
+
+import { useState } from 'react'
+import Link from 'next/link'
+import { useBytecode } from 'wagmi'
+import { isAddress, type Address } from 'viem'
+import { useAutomationAdmin } from '@/hooks/useAutomationAdmin'
+import { formatTimestamp } from '@/lib/format'
+import { checkForwarder, type ForwarderCheck, type UpdateStatus } from '@/lib/manualUpdates'
+
+const STATUS_STYLES: Record<UpdateStatus, string> = {
+  queued: 'bg-gray-100 text-gray-700',
+  submitting: 'bg-blue-100 text-blue-800',
+  confirming: 'bg-blue-100 text-blue-800',
+  checked: 'bg-green-100 text-green-800',
+  ended: 'bg-yellow-100 text-yellow-800',
+  inactive: 'bg-gray-100 text-gray-500',
+  failed: 'bg-red-100 text-red-800',
+  skipped: 'bg-gray-100 text-gray-500',
+}
+
+const FORWARDER_NOTES: Record<ForwarderCheck['status'], { text: string; className: string }> = {
+  invalid: { text: 'Not a valid address.', className: 'text-red-600' },
+  unrestricted: { text: 'No forwarder set: anyone can call performUpkeep.', className: 'text-yellow-700' },
+  'no-code': {
+    text: 'No contract at this address on this network. The registry forwarder is a contract; an EOA here blocks the upkeep.',
+    className: 'text-yellow-700',
+  },
+  ok: { text: 'Only this forwarder and the owner can call performUpkeep.', className: 'text-green-700' },
+}
+
+export function AutomationAdminPanel() {
+  const admin = useAutomationAdmin()
+  const [draft, setDraft] = useState('')
+  const [verified, setVerified] = useState<Address | null>(null)
+  const [needsOnly, setNeedsOnly] = useState(true)
+  const [picked, setPicked] = useState<Map<string, boolean>>(new Map())
+
+  const { data: currentCode } = useBytecode({ address: admin.forwarder, query: { enabled: !!admin.forwarder } })
+  const { data: draftCode } = useBytecode({ address: draft as Address, query: { enabled: isAddress(draft) } })
+  const current = admin.forwarder ? checkForwarder(admin.forwarder, currentCode) : null
+  const draftCheck = draft ? checkForwarder(draft, draftCode) : null
+
+  async function handleSetForwarder() {
+    setVerified(null)
+    if (await admin.setForwarder(draft as Address)) {
+      setVerified(draft as Address)
+      setDraft('')
+    }
+  }
+
+  // Keep rows that have an outcome even once needsWeatherUpdate() flips to false
+  const rows = admin.candidates.filter(
+    (c) => !needsOnly || c.needsUpdate || admin.results.has(c.policy.address.toLowerCase()),
+  )
+  const isSelected = (c: (typeof rows)[number]) => picked.get(c.policy.address.toLowerCase()) ?? c.needsUpdate
+  const selected = rows.filter(isSelected).map((c) => c.policy.address)
+  const allSelected = rows.length > 0 && selected.length === rows.length
+  const needingCount = admin.candidates.filter((c) => c.needsUpdate).length
+  const batchCount = admin.maxBatch ? Math.ceil(selected.length / admin.maxBatch) : 0
+
+  function toggle(address: string, value: boolean) {
+    setPicked((prev) => new Map(prev).set(address.toLowerCase(), value))
+  }
+
+  function toggleAll() {
+    setPicked((prev) => {
+      const next = new Map(prev)
+      for (const c of rows) next.set(c.policy.address.toLowerCase(), !allSelected)
+      return next
+    })
+  }
+
+  return (
+    <>
+      {/* Forwarder */}
+      <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+        <h2 className="text-lg font-semibold text-gray-900">Automation Forwarder</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          The upkeep&apos;s forwarder address from the Automation app. Once set, performUpkeep rejects every other caller
+          except the owner.
+        </p>
+
+        <dl className="mt-4">
+          <dt className="text-sm text-gray-500">Current</dt>
+          <dd className="font-mono text-sm text-gray-900">{admin.forwarder ?? '—'}</dd>
+          {current && <dd className={`mt-1 text-sm ${FORWARDER_NOTES[current.status].className}`}>{FORWARDER_NOTES[current.status].text}</dd>}
+        </dl>
+
+        {admin.isOwner ? (
+          <>
+            <div className="mt-4 flex flex-wrap items-end gap-3">
+              <div className="flex-1">
+                <label htmlFor="forwarder" className="block text-sm font-medium text-gray-700">
+                  New forwarder
+                </label>
+                <input
+                  id="forwarder"
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value.trim())}
+                  placeholder="0x..."
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 font-mono text-sm focus:border-green-500 focus:outline-none focus:ring-green-500"
+                />
+              </div>
+              <button
+                onClick={handleSetForwarder}
+                disabled={!draftCheck || draftCheck.status === 'invalid' || admin.isSettingForwarder}
+                className="rounded-md bg-green-600 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-green-500 disabled:opacity-50"
+              >
+                {admin.isSettingForwarder ? 'Setting...' : 'Set Forwarder'}
+              </button>
+            </div>
+            {draftCheck && (
+              <p className={`mt-2 text-sm ${FORWARDER_NOTES[draftCheck.status].className}`}>
+                {FORWARDER_NOTES[draftCheck.status].text}
+              </p>
+            )}
+            {verified && (
+              <p className="mt-2 rounded-md bg-green-50 p-3 text-sm text-green-700">
+                Confirmed on-chain: automationForwarder() now returns {verified}.
+              </p>
+            )}
+            {admin.forwarderError && (
+              <p className="mt-2 rounded-md bg-red-50 p-3 text-sm text-red-700">{admin.forwarderError}</p>
+            )}
+          </>
+        ) : (
+          <p className="mt-4 text-sm text-gray-500">Only the provider owner can change the forwarder.</p>
+        )}
+      </div>
+
+      {/* Manual batch updates */}
+      <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+        <div className="flex items-start justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Manual Weather Updates</h2>
+            <p className="mt-1 text-sm text-gray-500">
+              Push selected policies through manualWeatherUpdate, {admin.maxBatch ?? '…'} per transaction. Each batch is
+              simulated first; contracts that would revert it are reported and left out.
+            </p>
+          </div>
+          <label className="flex shrink-0 items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={needsOnly} onChange={(e) => setNeedsOnly(e.target.checked)} />
+            Needs update only
+          </label>
+        </div>
+
+        {admin.isLoading ? (
+          <p className="mt-4 text-sm text-gray-500">Loading active policies...</p>
+        ) : rows.length === 0 ? (
+          <p className="mt-4 rounded-md bg-green-50 p-3 text-sm text-green-700">
+            {needsOnly ? 'No active policy is due for a weather check.' : 'No active policies.'}
+          </p>
+        ) : (
+          <>
+            <table className="mt-4 min-w-full divide-y divide-gray-200">
+              <thead>
+                <tr>
+                  <th className="py-2 text-left">
+                    <input type="checkbox" aria-label="Select all" checked={allSelected} onChange={toggleAll} disabled={admin.isRunning} />
+                  </th>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Contract</th>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Location</th>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Activated</th>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Due</th>
+                  <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Outcome</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map((c) => {
+                  const address = c.policy.address
+                  const result = admin.results.get(address.toLowerCase())
+                  return (
+                    <tr key={address}>
+                      <td className="py-2">
+                        <input
+                          type="checkbox"
+                          aria-label={`Select ${address}`}
+                          checked={isSelected(c)}
+                          onChange={(e) => toggle(address, e.target.checked)}
+                          disabled={admin.isRunning}
+                        />
+                      </td>
+                      <td className="py-2 text-sm">
+                        <Link href={`/insurer/contract/${address}`} className="font-mono text-green-600 hover:text-green-500">
+                          {address}
+                        </Link>
+                      </td>
+                      <td className="py-2 text-sm text-gray-900">{c.policy.cropLocation}</td>
+                      <td className="py-2 text-sm text-gray-900">
+                        {c.policy.activatedAt > 0n ? formatTimestamp(c.policy.activatedAt) : '—'}
+                      </td>
+                      <td className="py-2 text-sm text-gray-900">{c.needsUpdate ? 'Yes' : 'No'}</td>
+                      <td className="py-2 text-sm">
+                        {result ? (
+                          <>
+                            <span className={`inline-flex rounded-full px-2.5 py-0.5 text-xs font-medium ${STATUS_STYLES[result.status]}`}>
+                              {result.status}
+                            </span>
+                            {result.error && <p className="mt-1 max-w-xs text-xs text-red-600">{result.error}</p>}
+                          </>
+                        ) : (
+                          '—'
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <button
+                onClick={() => admin.run(selected)}
+                disabled={!admin.isOwner || admin.isRunning || selected.length === 0 || !admin.maxBatch}
+                className="rounded-md bg-green-600 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-green-500 disabled:opacity-50"
+              >
+                {admin.isRunning
+                  ? `Updating batch ${(admin.progress?.done ?? 0) + 1} of ${admin.progress?.total ?? batchCount}...`
+                  : `Update ${selected.length} in ${batchCount} ${batchCount === 1 ? 'transaction' : 'transactions'}`}
+              </button>
+              {admin.isRunning && (
+                <button
+                  onClick={admin.stop}
+                  className="rounded-md bg-white px-4 py-2 text-sm font-medium text-gray-700 ring-1 ring-gray-300 hover:bg-gray-50"
+                >
+                  Stop after current batch
+                </button>
+              )}
+              {!admin.isRunning && admin.results.size > 0 && (
+                <button onClick={admin.reset} className="text-sm text-gray-600 hover:text-gray-900">
+                  Clear outcomes
+                </button>
+              )}
+              <p className="text-sm text-gray-600">{needingCount} due for a weather check</p>
+            </div>
+            {!admin.isOwner && (
+              <p className="mt-2 text-sm text-gray-500">manualWeatherUpdate can only be sent by the provider owner.</p>
+            )}
+          </>
+        )}
+      </div>
+    </>
+  )
+}
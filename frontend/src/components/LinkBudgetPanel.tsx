@@ -0,0 +1,152 @@
+'use client'
+
+import { useState } from 'react'
+import Link from 'next/link'
+import { formatUnits } from 'viem'
+import { useLinkBudget } from '@/hooks/useLinkBudget'
+import { formatAddress, formatTimestamp } from '@/lib/format'
+import { planTopUps, type LinkBudgetStatus } from '@/lib/linkBudget'
+
+const STATUS_BADGES: Record<Exclude<LinkBudgetStatus, 'ok' | 'closed'>, { label: string; className: string }> = {
+  short: { label: 'Will run dry', className: 'bg-yellow-100 text-yellow-800' },
+  dry: { label: 'Out of LINK', className: 'bg-red-100 text-red-800' },
+}
+
+function formatLink(amount: bigint): string {
+  return `${Number(formatUnits(amount, 18)).toLocaleString(undefined, { maximumFractionDigits: 2 })} LINK`
+}
+
+export function LinkBudgetPanel() {
+  const { budgets, providerBalance, isLoading, topUp, progress, error } = useLinkBudget()
+  const [bufferChecks, setBufferChecks] = useState('1')
+  const [deselected, setDeselected] = useState<Set<string>>(new Set())
+
+  const open = budgets.filter((b) => b.status !== 'closed')
+  const atRisk = open
+    .filter((b) => b.status === 'short' || b.status === 'dry')
+    .sort((a, b) => Number((a.runsDryAt ?? 0n) - (b.runsDryAt ?? 0n)))
+  const selected = atRisk.filter((b) => !deselected.has(b.address))
+  const plan = planTopUps(selected, providerBalance, Math.max(0, Number(bufferChecks) || 0))
+
+  const held = open.reduce((sum, b) => sum + b.balance, 0n)
+  const required = open.reduce((sum, b) => sum + b.required, 0n)
+  const shortfall = open.reduce((sum, b) => sum + b.shortfall, 0n)
+
+  function toggle(address: string) {
+    setDeselected((prev) => {
+      const next = new Set(prev)
+      if (next.has(address)) next.delete(address)
+      else next.add(address)
+      return next
+    })
+  }
+
+  return (
+    <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+      <h2 className="text-lg font-semibold text-gray-900">LINK Budget</h2>
+      <p className="mt-1 text-sm text-gray-500">
+        Each daily weather check spends 0.1 LINK from the policy. Policies that run out stop being checked.
+      </p>
+
+      <dl className="mt-4 grid grid-cols-2 gap-4 sm:grid-cols-4">
+        <div>
+          <dt className="text-sm text-gray-500">Provider</dt>
+          <dd className="font-bold text-gray-900">{providerBalance === undefined ? '—' : formatLink(providerBalance)}</dd>
+        </div>
+        <div>
+          <dt className="text-sm text-gray-500">Held by Policies</dt>
+          <dd className="font-bold text-gray-900">{formatLink(held)}</dd>
+        </div>
+        <div>
+          <dt className="text-sm text-gray-500">Needed</dt>
+          <dd className="font-bold text-gray-900">{formatLink(required)}</dd>
+        </div>
+        <div>
+          <dt className="text-sm text-gray-500">Shortfall</dt>
+          <dd className={`font-bold ${shortfall > 0n ? 'text-red-600' : 'text-gray-900'}`}>{formatLink(shortfall)}</dd>
+        </div>
+      </dl>
+
+      {isLoading ? (
+        <p className="mt-4 text-sm text-gray-500">Loading balances...</p>
+      ) : atRisk.length === 0 ? (
+        <p className="mt-4 rounded-md bg-green-50 p-3 text-sm text-green-700">
+          All {open.length} open {open.length === 1 ? 'policy has' : 'policies have'} enough LINK for their remaining checks.
+        </p>
+      ) : (
+        <>
+          <table className="mt-4 min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr>
+                <th className="py-2"></th>
+                <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Contract</th>
+                <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Balance</th>
+                <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Checks Left</th>
+                <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Shortfall</th>
+                <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Runs Dry</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {atRisk.map((b) => {
+                const badge = STATUS_BADGES[b.status as keyof typeof STATUS_BADGES]
+                return (
+                  <tr key={b.address}>
+                    <td className="py-2 pr-2">
+                      <input
+                        type="checkbox"
+                        checked={!deselected.has(b.address)}
+                        onChange={() => toggle(b.address)}
+                        disabled={!!progress}
+                        aria-label={`Top up ${b.address}`}
+                      />
+                    </td>
+                    <td className="py-2 text-sm">
+                      <Link href={`/insurer/contract/${b.address}`} className="font-mono text-green-600 hover:text-green-500">
+                        {formatAddress(b.address)}
+                      </Link>
+                      <span className={`ml-2 inline-flex rounded-full px-2 py-0.5 text-xs font-medium ${badge.className}`}>
+                        {badge.label}
+                      </span>
+                    </td>
+                    <td className="py-2 text-sm text-gray-900">{formatLink(b.balance)}</td>
+                    <td className="py-2 text-sm text-gray-900">{b.remainingChecks}</td>
+                    <td className="py-2 text-sm text-gray-900">{formatLink(b.shortfall)}</td>
+                    <td className="py-2 text-sm text-gray-900">{b.runsDryAt ? formatTimestamp(b.runsDryAt) : 'After activation'}</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+
+          <div className="mt-4 flex flex-wrap items-end gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Buffer (extra checks)</label>
+              <input
+                type="number"
+                value={bufferChecks}
+                onChange={(e) => setBufferChecks(e.target.value)}
+                min="0"
+                className="mt-1 block w-28 rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+              />
+            </div>
+            <button
+              onClick={() => topUp(plan)}
+              disabled={!!progress || plan.batches.length === 0 || !plan.affordable}
+              className="rounded-md bg-gray-800 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-gray-700 disabled:opacity-50"
+            >
+              {progress
+                ? `Sending batch ${progress.done + 1} of ${progress.total}...`
+                : `Top up ${selected.length} (${formatLink(plan.total)}, ${plan.batches.length} tx)`}
+            </button>
+          </div>
+          {!plan.affordable && (
+            <p className="mt-3 rounded-md bg-red-50 p-2 text-xs text-red-700">
+              The provider holds less LINK than this top-up needs. Transfer LINK to the provider first.
+            </p>
+          )}
+          {error && <p className="mt-3 text-xs text-red-600">{error}</p>}
+        </>
+      )}
+    </div>
+  )
+}
@@ -3,20 +3,22 @@
 import Link from 'next/link'
 import { usePathname } from 'next/navigation'
 import { ConnectKitButton } from 'connectkit'
-import { useAccount, useChainId } from 'wagmi'
-import { sepolia } from 'wagmi/chains'
+import { useAccount, useChainId, useSwitchChain } from 'wagmi'
+import { DEFAULT_CHAIN_ID, NETWORKS, SUPPORTED_CHAIN_IDS, getNetwork } from '@/config/networks'
 
 const navLinks = [
   { href: '/farmer', label: 'Farmer' },
   { href: '/insurer', label: 'Insurer' },
   { href: '/attestations', label: 'Attestations' },
+  { href: '/compliance', label: 'Compliance' },
 ]
 
 export function Navbar() {
   const pathname = usePathname()
   const { isConnected } = useAccount()
   const chainId = useChainId()
-  const wrongNetwork = isConnected && chainId !== sepolia.id
+  const { switchChain, isPending: isSwitching } = useSwitchChain()
+  const wrongNetwork = isConnected && !SUPPORTED_CHAIN_IDS.includes(chainId)
 
   return (
     <nav className="border-b border-gray-200 bg-white">
@@ -48,9 +50,25 @@ export function Navbar() {
           <div className="flex items-center gap-3">
             {wrongNetwork && (
               <span className="rounded-md bg-red-50 px-2 py-1 text-xs font-medium text-red-700">
-                Wrong network — switch to Sepolia
+                Wrong network — switch to {getNetwork(DEFAULT_CHAIN_ID)?.label ?? 'a supported chain'}
               </span>
             )}
+            {SUPPORTED_CHAIN_IDS.length > 1 && (
+              <select
+                aria-label="Network"
+                value={SUPPORTED_CHAIN_IDS.includes(chainId) ? chainId : ''}
+                onChange={(e) => switchChain({ chainId: Number(e.target.value) })}
+                disabled={isSwitching}
+                className="rounded-md border border-gray-300 px-2 py-1.5 text-sm text-gray-700 disabled:opacity-50"
+              >
+                {wrongNetwork && <option value="" disabled>Unsupported network</option>}
+                {SUPPORTED_CHAIN_IDS.map((id) => (
+                  <option key={id} value={id}>
+                    {NETWORKS[id].label}
+                  </option>
+                ))}
+              </select>
+            )}
             <ConnectKitButton />
           </div>
         </div>
@@ -0,0 +1,15 @@
+import { STATE_BADGES, type PolicyState } from '@/lib/lifecycle'
+
+const SIZES = {
+  sm: 'px-2.5 py-0.5 text-xs',
+  md: 'px-3 py-1 text-sm',
+}
+
+export function PolicyStatusBadge({ state, size = 'sm' }: { state: PolicyState; size?: keyof typeof SIZES }) {
+  const badge = STATE_BADGES[state]
+  return (
+    <span className={`inline-flex items-center rounded-full font-medium ${SIZES[size]} ${badge.className}`}>
+      {badge.label}
+    </span>
+  )
+}
@@ -0,0 +1,45 @@
+'use client'
+
+import type { usePriceQuote } from '@/hooks/usePriceQuote'
+import { formatDuration, formatUSD } from '@/lib/format'
+
+// Feed price, its age, and when the quote is re-read; warns as the feed nears MAX_STALENESS
+export function QuoteStatus({ priceQuote, symbol }: { priceQuote: ReturnType<typeof usePriceQuote>; symbol: string }) {
+  const { quote, status, feedAge, expiresIn, maxStaleness, isRefreshing, error, refresh } = priceQuote
+
+  if (error) {
+    return <p className="rounded-md bg-red-50 p-3 text-sm text-red-700">Could not read the {symbol}/USD price feed.</p>
+  }
+  if (!quote) return <p className="text-sm text-gray-500">Loading {symbol}/USD price...</p>
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-sm text-gray-500">
+        <span>
+          {symbol}/USD {formatUSD(quote.price)} · updated {feedAge !== null ? formatDuration(Math.max(0, feedAge)) : '—'} ago
+          {expiresIn !== null && expiresIn > 0 && ` · quote valid for ${expiresIn}s`}
+        </span>
+        <button
+          type="button"
+          onClick={() => refresh()}
+          disabled={isRefreshing}
+          className="text-green-600 hover:text-green-500 disabled:opacity-50"
+        >
+          {isRefreshing ? 'Refreshing...' : 'Refresh'}
+        </button>
+      </div>
+      {status === 'stale' && (
+        <p className="rounded-md bg-red-50 p-3 text-sm text-red-700">
+          The feed hasn&apos;t updated in over {maxStaleness !== undefined ? formatDuration(maxStaleness) : 'an hour'}.
+          The provider rejects stale prices, so this transaction would revert.
+        </p>
+      )}
+      {status === 'expiring' && (
+        <p className="rounded-md bg-yellow-50 p-3 text-sm text-yellow-700">
+          The feed is close to the provider&apos;s staleness limit. If it doesn&apos;t update before the transaction is
+          mined, the transaction will revert.
+        </p>
+      )}
+    </div>
+  )
+}
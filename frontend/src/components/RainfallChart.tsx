@@ -0,0 +1,98 @@
+import type { RainfallTimeline } from '@/lib/rainfall'
+
+const WIDTH = 720
+const HEIGHT = 200
+const PAD = { top: 16, right: 12, bottom: 24, left: 40 }
+
+function formatDay(timestamp: bigint): string {
+  return new Date(Number(timestamp) * 1000).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+}
+
+export function RainfallChart({ timeline, threshold }: { timeline: RainfallTimeline; threshold: number }) {
+  const { points, streaks, payoutIndex } = timeline
+  const plotWidth = WIDTH - PAD.left - PAD.right
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom
+  const slot = plotWidth / Math.max(points.length, 1)
+  const barWidth = Math.max(2, slot * 0.6)
+  const maxRainfall = points.reduce((max, p) => (p.rainfall !== null && p.rainfall > max ? p.rainfall : max), 1n)
+
+  const slotX = (i: number) => PAD.left + i * slot
+  const barHeight = (rainfall: bigint) => (Number(rainfall) / Number(maxRainfall)) * plotHeight
+  const baseline = PAD.top + plotHeight
+  const labelIndexes = points.length > 0 ? [...new Set([0, Math.floor((points.length - 1) / 2), points.length - 1])] : []
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full" role="img" aria-label="Rainfall history">
+      {/* Dry-day streaks, darker the closer they came to the threshold */}
+      {streaks.map((s) => (
+        <rect
+          key={s.start}
+          x={slotX(s.start)}
+          y={PAD.top}
+          width={slot * s.length}
+          height={plotHeight}
+          className={s.reachedThreshold ? 'fill-red-200' : 'fill-amber-100'}
+          fillOpacity={s.reachedThreshold ? 1 : 0.4 + 0.6 * Math.min(s.length / threshold, 1)}
+        >
+          <title>{threshold > 0 ? `${s.length} of ${threshold} dry days` : `${s.length} dry days`}</title>
+        </rect>
+      ))}
+
+      <line x1={PAD.left} x2={WIDTH - PAD.right} y1={baseline} y2={baseline} className="stroke-gray-300" />
+      <text x={PAD.left - 6} y={PAD.top + 4} textAnchor="end" className="fill-gray-500 text-[10px]">
+        {maxRainfall.toString()}
+      </text>
+      <text x={PAD.left - 6} y={baseline} textAnchor="end" className="fill-gray-500 text-[10px]">0 mm</text>
+
+      {points.map((p, i) => {
+        const cx = slotX(i) + slot / 2
+        const label = `${formatDay(p.checkedAt)}: ${
+          p.rainfall === null ? 'awaiting oracle' : `${p.rainfall.toString()} mm${p.isDry ? ` (dry day ${p.dryStreak})` : ''}`
+        }`
+        if (p.rainfall === null) {
+          return (
+            <rect key={i} x={cx - barWidth / 2} y={baseline - 8} width={barWidth} height={8}
+              className="fill-none stroke-gray-400" strokeDasharray="2 2">
+              <title>{label}</title>
+            </rect>
+          )
+        }
+        if (p.isDry) {
+          return (
+            <circle key={i} cx={cx} cy={baseline - 4} r={3} className="fill-red-500">
+              <title>{label}</title>
+            </circle>
+          )
+        }
+        const h = barHeight(p.rainfall)
+        return (
+          <rect key={i} x={cx - barWidth / 2} y={baseline - h} width={barWidth} height={h} className="fill-blue-400">
+            <title>{label}</title>
+          </rect>
+        )
+      })}
+
+      {payoutIndex !== null && (
+        <g>
+          <line
+            x1={slotX(payoutIndex) + slot / 2}
+            x2={slotX(payoutIndex) + slot / 2}
+            y1={PAD.top}
+            y2={baseline}
+            className="stroke-green-600"
+            strokeWidth={2}
+          />
+          <text x={slotX(payoutIndex) + slot / 2} y={PAD.top - 4} textAnchor="middle" className="fill-green-700 text-[10px] font-semibold">
+            Payout
+          </text>
+        </g>
+      )}
+
+      {labelIndexes.map((i) => (
+        <text key={i} x={slotX(i) + slot / 2} y={HEIGHT - 6} textAnchor="middle" className="fill-gray-500 text-[10px]">
+          {formatDay(points[i].checkedAt)}
+        </text>
+      ))}
+    </svg>
+  )
+}
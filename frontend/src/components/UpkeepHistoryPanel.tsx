@@ -0,0 +1,186 @@
+'use client'
+
+import Link from 'next/link'
+import { useNetwork } from '@/hooks/useNetwork'
+import { useUpkeepHistory } from '@/hooks/useUpkeepHistory'
+import { formatDuration, formatTimestamp } from '@/lib/format'
+
+const HISTORY_LIMIT = 50
+
+function formatGas(gas: bigint): string {
+  return Number(gas).toLocaleString()
+}
+
+export function UpkeepHistoryPanel() {
+  const { network } = useNetwork()
+  const { history, interval, isLoading, error, simulation, isChecking, recheck } = useUpkeepHistory()
+
+  const nextDueAt = history?.lastRunAt != null && interval !== undefined ? history.lastRunAt + interval : null
+  const runs = history?.runs.slice(0, HISTORY_LIMIT) ?? []
+
+  return (
+    <>
+      {/* Live checkUpkeep */}
+      <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+        <div className="flex items-start justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">checkUpkeep Simulation</h2>
+            <p className="mt-1 text-sm text-gray-500">
+              What the Automation network sees right now. Refreshes every 30 seconds.
+            </p>
+          </div>
+          <button
+            onClick={() => recheck()}
+            disabled={isChecking}
+            className="rounded-md border border-gray-300 px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Re-run
+          </button>
+        </div>
+
+        {!simulation ? (
+          <p className="mt-4 text-sm text-gray-500">{isChecking ? 'Calling checkUpkeep...' : 'No result yet.'}</p>
+        ) : (
+          <>
+            <dl className="mt-4 grid grid-cols-2 gap-4 sm:grid-cols-3">
+              <div>
+                <dt className="text-sm text-gray-500">Upkeep Needed</dt>
+                <dd className={`text-lg font-bold ${simulation.upkeepNeeded ? 'text-green-600' : 'text-gray-900'}`}>
+                  {simulation.upkeepNeeded ? 'Yes' : 'No'}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-sm text-gray-500">performData</dt>
+                <dd className="font-medium text-gray-900">{(simulation.performData.length - 2) / 2} bytes</dd>
+              </div>
+              <div>
+                <dt className="text-sm text-gray-500">{simulation.upkeepNeeded ? 'Checked' : 'Next Due'}</dt>
+                <dd className="font-medium text-gray-900">
+                  {simulation.upkeepNeeded
+                    ? formatTimestamp(Math.floor(simulation.checkedAt / 1000))
+                    : nextDueAt !== null ? formatTimestamp(nextDueAt) : '—'}
+                </dd>
+              </div>
+            </dl>
+
+            {simulation.decodeError ? (
+              <p className="mt-4 rounded-md bg-red-50 p-3 text-sm text-red-700">{simulation.decodeError}</p>
+            ) : simulation.batch.length > 0 ? (
+              <div className="mt-4">
+                <p className="text-sm font-medium text-gray-700">Contracts to process ({simulation.batch.length})</p>
+                <ol className="mt-2 list-decimal space-y-1 pl-6 text-sm">
+                  {simulation.batch.map((address) => (
+                    <li key={address}>
+                      <Link href={`/insurer/contract/${address}`} className="font-mono text-green-600 hover:text-green-500">
+                        {address}
+                      </Link>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            ) : null}
+          </>
+        )}
+      </div>
+
+      {/* History */}
+      <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+        <h2 className="text-lg font-semibold text-gray-900">Upkeep History</h2>
+
+        {history && (
+          <dl className="mt-4 grid grid-cols-2 gap-4 sm:grid-cols-4">
+            <div>
+              <dt className="text-sm text-gray-500">Upkeeps</dt>
+              <dd className="text-lg font-bold text-gray-900">{history.runs.length}</dd>
+            </div>
+            <div>
+              <dt className="text-sm text-gray-500">Missed Intervals</dt>
+              <dd className={`text-lg font-bold ${history.totalMissed > 0 ? 'text-yellow-600' : 'text-gray-900'}`}>
+                {history.totalMissed}
+              </dd>
+            </div>
+            <div>
+              <dt className="text-sm text-gray-500">Avg Gas</dt>
+              <dd className="text-lg font-bold text-gray-900">
+                {history.averageGasUsed !== null ? formatGas(history.averageGasUsed) : '—'}
+              </dd>
+            </div>
+            <div>
+              <dt className="text-sm text-gray-500">Health</dt>
+              <dd className={`text-lg font-bold ${history.overdueIntervals > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                {history.lastRunAt === null
+                  ? 'No upkeeps yet'
+                  : history.overdueIntervals > 0
+                    ? `Overdue by ${history.overdueIntervals} interval${history.overdueIntervals === 1 ? '' : 's'}`
+                    : 'On schedule'}
+              </dd>
+            </div>
+          </dl>
+        )}
+
+        {isLoading ? (
+          <p className="mt-4 text-sm text-gray-500">Loading upkeep events...</p>
+        ) : error ? (
+          <p className="mt-4 rounded-md bg-red-50 p-3 text-sm text-red-700">Failed to load upkeep events.</p>
+        ) : runs.length === 0 ? (
+          <p className="mt-4 text-sm text-gray-500">No AutomationUpkeepPerformed events yet.</p>
+        ) : (
+          <>
+            <div className="mt-4 overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead>
+                  <tr>
+                    <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Batch</th>
+                    <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Time</th>
+                    <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Batch Size</th>
+                    <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Processed</th>
+                    <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Skipped</th>
+                    <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Gas Used</th>
+                    <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Since Previous</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {runs.map((run) => (
+                    <tr key={`${run.transactionHash}-${run.logIndex}`}>
+                      <td className="py-2 text-sm">
+                        {network?.explorer ? (
+                          <a
+                            href={`${network.explorer}/tx/${run.transactionHash}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-green-600 hover:text-green-500"
+                          >
+                            #{run.batchId.toString()}
+                          </a>
+                        ) : (
+                          <span title={run.transactionHash}>#{run.batchId.toString()}</span>
+                        )}
+                      </td>
+                      <td className="py-2 text-sm text-gray-900">{formatTimestamp(run.timestamp)}</td>
+                      <td className="py-2 text-sm text-gray-900">{run.batchSize ?? '—'}</td>
+                      <td className="py-2 text-sm text-gray-900">{run.contractsProcessed}</td>
+                      <td className="py-2 text-sm text-gray-900">{run.skipped ?? '—'}</td>
+                      <td className="py-2 text-sm text-gray-900">{formatGas(run.gasUsed)}</td>
+                      <td className="py-2 text-sm text-gray-900">
+                        {run.gap === null ? '—' : formatDuration(run.gap)}
+                        {run.missedIntervals > 0 && (
+                          <span className="ml-2 inline-flex rounded-full bg-yellow-100 px-2 py-0.5 text-xs font-medium text-yellow-800">
+                            {run.missedIntervals} missed
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="mt-3 text-xs text-gray-500">
+              Gas is recorded in thousands by the contract. Batch size and skipped contracts are only known for upkeeps
+              sent straight to the provider; upkeeps relayed by the Automation registry show —.
+            </p>
+          </>
+        )}
+      </div>
+    </>
+  )
+}
@@ -0,0 +1,165 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { type Address } from 'viem'
+import { useWaitForTransactionReceipt, useWriteContract } from 'wagmi'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { usePolicySources } from '@/hooks/usePolicySources'
+import { useNetwork } from '@/hooks/useNetwork'
+import { formatRainfall } from '@/lib/format'
+import {
+  WEATHER_SOURCES, describeTolerance, validateOracleAggregation, type OracleAggregation, type SourceStatus,
+} from '@/lib/weatherSources'
+import { errorMessage } from '@/lib/errors'
+
+const SOURCE_STYLES: Record<SourceStatus, string> = {
+  accepted: 'bg-green-100 text-green-800',
+  outlier: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+}
+
+// Insurer-only: sources are fixed once the premium is paid
+function AggregationForm({ contractAddress, initial, onSaved }: {
+  contractAddress: Address
+  initial: OracleAggregation
+  onSaved: () => void
+}) {
+  const { contracts } = useNetwork()
+  const [sources, setSources] = useState<number[]>(initial.sources)
+  const [minQuorum, setMinQuorum] = useState(String(initial.minQuorum))
+  const [tolerancePct, setTolerancePct] = useState(String(initial.toleranceBps / 100))
+  const [toleranceMm, setToleranceMm] = useState(String(initial.toleranceMm))
+
+  const { writeContract, data: txHash, isPending, error } = useWriteContract()
+  const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash: txHash })
+
+  useEffect(() => {
+    if (isSuccess) onSaved()
+  }, [isSuccess, onSaved])
+
+  const config = {
+    sources,
+    minQuorum: Number(minQuorum),
+    toleranceBps: Math.round(Number(tolerancePct) * 100),
+    toleranceMm: Number(toleranceMm),
+  }
+  const validationError = validateOracleAggregation(config)
+
+  function toggle(source: number) {
+    setSources((prev) => (prev.includes(source) ? prev.filter((s) => s !== source) : [...prev, source].sort((a, b) => a - b)))
+  }
+
+  return (
+    <div className="mt-6 border-t border-gray-100 pt-4">
+      <h3 className="text-sm font-semibold text-gray-900">Change Sources</h3>
+      <div className="mt-3 flex flex-wrap gap-4">
+        {WEATHER_SOURCES.map((name, source) => (
+          <label key={name} className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={sources.includes(source)}
+              onChange={() => toggle(source)}
+              className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+            />
+            {name}
+          </label>
+        ))}
+      </div>
+      <div className="mt-3 grid grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Quorum</label>
+          <input
+            type="number"
+            min="1"
+            value={minQuorum}
+            onChange={(e) => setMinQuorum(e.target.value)}
+            className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Tolerance (%)</label>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={tolerancePct}
+            onChange={(e) => setTolerancePct(e.target.value)}
+            className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Tolerance (mm)</label>
+          <input
+            type="number"
+            min="0"
+            value={toleranceMm}
+            onChange={(e) => setToleranceMm(e.target.value)}
+            className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-green-500 focus:ring-green-500"
+          />
+        </div>
+      </div>
+      {validationError && <p className="mt-3 text-xs text-red-600">{validationError}</p>}
+      {error && <p className="mt-3 text-xs text-red-600">{errorMessage(error)}</p>}
+      <button
+        type="button"
+        onClick={() => writeContract({
+          address: contracts.provider,
+          abi: automatedInsuranceProviderAbi,
+          functionName: 'setOracleAggregation',
+          args: [contractAddress, config.sources, config.minQuorum, config.toleranceBps, config.toleranceMm],
+        })}
+        disabled={!!validationError || isPending || isConfirming}
+        className="mt-3 rounded-md bg-green-600 px-4 py-2 text-sm font-semibold text-white shadow hover:bg-green-500 disabled:opacity-50"
+      >
+        {isPending ? 'Confirm in wallet...' : isConfirming ? 'Saving...' : isSuccess ? 'Saved!' : 'Save Sources'}
+      </button>
+    </div>
+  )
+}
+
+// Which weather APIs the policy reads, how their readings are combined, and
+// what each one reported at the latest check
+export function WeatherSourcesCard({ contractAddress, canEdit = false }: { contractAddress: Address; canEdit?: boolean }) {
+  const { aggregation, rows, isLoading, refetch } = usePolicySources(contractAddress)
+
+  if (isLoading || !aggregation) return null
+
+  return (
+    <div className="mt-6 rounded-lg border border-gray-200 bg-white p-6">
+      <h2 className="text-lg font-semibold text-gray-900">Weather Sources</h2>
+      <p className="mt-1 text-sm text-gray-500">
+        Daily rainfall is the median of the sources that agree, {describeTolerance(aggregation.toleranceBps, aggregation.toleranceMm)}.
+        A day is only recorded when at least {aggregation.minQuorum} of {aggregation.sources.length} agree.
+      </p>
+      {rows.length === 0 ? (
+        <p className="mt-4 text-sm text-gray-500">
+          Reads {aggregation.sources.map((s) => WEATHER_SOURCES[s] ?? `Source ${s}`).join(', ')}. No readings yet.
+        </p>
+      ) : (
+        <table className="mt-3 min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr>
+              <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Source</th>
+              <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Latest Reading</th>
+              <th className="py-2 text-left text-xs font-medium uppercase text-gray-500">Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {rows.map((row) => (
+              <tr key={row.source}>
+                <td className="py-2 text-sm text-gray-900">{row.name}</td>
+                <td className="py-2 text-sm text-gray-900">{row.reading === null ? '—' : formatRainfall(row.reading)}</td>
+                <td className="py-2">
+                  <span className={`inline-flex rounded-full px-2.5 py-0.5 text-xs font-medium capitalize ${SOURCE_STYLES[row.status]}`}>
+                    {row.status}
+                  </span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {canEdit && <AggregationForm contractAddress={contractAddress} initial={aggregation} onSaved={refetch} />}
+    </div>
+  )
+}
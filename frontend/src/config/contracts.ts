@@ -1,18 +1,50 @@
 import { type Address } from 'viem'
+import { DEFAULT_CHAIN_ID, getNetwork } from '@/config/networks'
+import { mergeTokens } from '@/lib/tokens'
 
-export const CONTRACTS = {
-  provider: (process.env.NEXT_PUBLIC_PROVIDER_ADDRESS || '0x0000000000000000000000000000000000000000') as Address,
-  easManager: (process.env.NEXT_PUBLIC_EAS_MANAGER_ADDRESS || '0x0000000000000000000000000000000000000000') as Address,
-  eas: '0xC2679fBD37d54388Ce493F1DB75320D236e1815e' as const, // Sepolia EAS
-} as const
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000' as Address
 
-export const TOKENS: Record<string, { address: Address; symbol: string; decimals: number }> = {
-  ETH: { address: '0x0000000000000000000000000000000000000000' as Address, symbol: 'ETH', decimals: 18 },
-  USDC: { address: (process.env.NEXT_PUBLIC_USDC_ADDRESS || '0x94a9D9AC8a22534E3FaCa9F4e7F2E2cf85d5E4C8') as Address, symbol: 'USDC', decimals: 6 },
-  DAI: { address: (process.env.NEXT_PUBLIC_DAI_ADDRESS || '0xFF34B3d4Aee8ddCd6F9AFFFB6Fe49bD371b8a357') as Address, symbol: 'DAI', decimals: 18 },
+export interface ContractAddresses {
+  provider: Address
+  easManager: Address
+  eas: Address
 }
 
-export function getTokenByAddress(address: Address): { symbol: string; decimals: number } {
-  const token = Object.values(TOKENS).find(t => t.address.toLowerCase() === address.toLowerCase())
+export interface TokenInfo {
+  address: Address
+  symbol: string
+  decimals: number
+}
+
+// Unconfigured contracts resolve to the zero address, which hooks treat as "not deployed"
+export function getContracts(chainId: number = DEFAULT_CHAIN_ID): ContractAddresses {
+  const network = getNetwork(chainId)
+  return {
+    provider: network?.provider ?? ZERO_ADDRESS,
+    easManager: network?.easManager ?? ZERO_ADDRESS,
+    eas: network?.eas ?? ZERO_ADDRESS,
+  }
+}
+
+// Block the provider was deployed in; the policy indexer starts its backfill here
+export function getProviderDeployBlock(chainId: number = DEFAULT_CHAIN_ID): bigint {
+  return BigInt(getNetwork(chainId)?.providerDeployBlock ?? 0)
+}
+
+// Registry tokens plus any `discovered` from the provider's TokenOperation events
+export function getTokens(chainId: number = DEFAULT_CHAIN_ID, discovered: TokenInfo[] = []): Record<string, TokenInfo> {
+  const tokens: Record<string, TokenInfo> = { ETH: { address: ZERO_ADDRESS, symbol: 'ETH', decimals: 18 } }
+  for (const [symbol, token] of Object.entries(getNetwork(chainId)?.tokens ?? {})) {
+    tokens[symbol] = { address: token.address, symbol, decimals: token.decimals }
+  }
+  return mergeTokens(tokens, discovered)
+}
+
+export function getTokenByAddress(
+  address: Address,
+  chainId: number = DEFAULT_CHAIN_ID,
+  discovered: TokenInfo[] = [],
+): { symbol: string; decimals: number } {
+  const token = Object.values(getTokens(chainId, discovered)).find(t => t.address.toLowerCase() === address.toLowerCase())
   return token || { symbol: 'Unknown', decimals: 18 }
 }
@@ -0,0 +1,33 @@
+import { type Address } from 'viem'
+// Written by the truffle migrations (config/deployments.js), keyed by chain id
+import manifests from '../../../deployments/index.json'
+
+export interface ContractDeployment {
+  address: Address
+  transactionHash: string | null
+  blockNumber: number | null
+  deployer: Address | null
+  migration: string | null
+  abiHash: string
+  constructorArgs: unknown[]
+  deployedAt: string
+}
+
+export interface DeploymentManifest {
+  schemaVersion: number
+  revision: number
+  chainId: number
+  network: string
+  updatedAt: string
+  contracts: Record<string, ContractDeployment>
+}
+
+export const MANIFEST_SCHEMA_VERSION = 1
+
+const MANIFESTS = manifests as Record<string, DeploymentManifest>
+
+// Manifests from another schema version are ignored rather than misread
+export function getDeployment(chainId: number): DeploymentManifest | undefined {
+  const manifest = MANIFESTS[String(chainId)]
+  return manifest?.schemaVersion === MANIFEST_SCHEMA_VERSION ? manifest : undefined
+}
@@ -0,0 +1,117 @@
+import { type Address, type Chain } from 'viem'
+import { anvil, localhost, mainnet, sepolia } from 'viem/chains'
+// Shared with truffle migrations and scripts (config/networks.js)
+import registry from '../../../config/networks.json'
+import { getDeployment } from '@/config/deployments'
+
+export interface NetworkToken {
+  address: Address
+  decimals: number
+  priceFeed: Address
+}
+
+export interface NetworkConfig {
+  chainId: number
+  name: string
+  label: string
+  local: boolean
+  rpcUrl: string
+  explorer: string | null
+  easScan: string | null
+  provider: Address | null
+  providerDeployBlock: number
+  easManager: Address | null
+  eas: Address | null
+  linkToken: Address
+  ethUsdFeed: Address
+  tokens: Record<string, NetworkToken>
+}
+
+const VIEM_CHAINS: Record<number, Chain> = {
+  [mainnet.id]: mainnet,
+  [sepolia.id]: sepolia,
+  [localhost.id]: { ...localhost, name: 'Ganache' },
+  [anvil.id]: anvil,
+}
+
+// Deployment-specific values from the environment, applied to the default chain
+const ENV_OVERRIDES = {
+  provider: process.env.NEXT_PUBLIC_PROVIDER_ADDRESS as Address | undefined,
+  providerDeployBlock: process.env.NEXT_PUBLIC_PROVIDER_DEPLOY_BLOCK,
+  easManager: process.env.NEXT_PUBLIC_EAS_MANAGER_ADDRESS as Address | undefined,
+  tokens: {
+    USDC: process.env.NEXT_PUBLIC_USDC_ADDRESS as Address | undefined,
+    DAI: process.env.NEXT_PUBLIC_DAI_ADDRESS as Address | undefined,
+  } as Record<string, Address | undefined>,
+}
+
+const RPC_OVERRIDES: Record<number, string | undefined> = {
+  [mainnet.id]: process.env.NEXT_PUBLIC_MAINNET_RPC_URL,
+  [sepolia.id]: process.env.NEXT_PUBLIC_SEPOLIA_RPC_URL,
+  [localhost.id]: process.env.NEXT_PUBLIC_GANACHE_RPC_URL,
+  [anvil.id]: process.env.NEXT_PUBLIC_ANVIL_RPC_URL,
+}
+
+export const DEFAULT_CHAIN_ID = Number(process.env.NEXT_PUBLIC_DEFAULT_CHAIN_ID || sepolia.id)
+
+// Ganache and Anvil only show up in the chain switcher for local development
+const LOCAL_CHAINS_ENABLED =
+  process.env.NEXT_PUBLIC_ENABLE_LOCAL_CHAINS === 'true' || process.env.NODE_ENV === 'development'
+
+// Addresses the migrations recorded take precedence over the registry
+function withDeployment(network: NetworkConfig): NetworkConfig {
+  const contracts = getDeployment(network.chainId)?.contracts
+  const provider = contracts?.AutomatedInsuranceProvider
+  return {
+    ...network,
+    provider: provider?.address ?? network.provider,
+    providerDeployBlock: provider?.blockNumber ?? network.providerDeployBlock,
+    easManager: contracts?.EASInsuranceManager?.address ?? network.easManager,
+  }
+}
+
+function withOverrides(registered: NetworkConfig): NetworkConfig {
+  const network = withDeployment(registered)
+  const rpcUrl = RPC_OVERRIDES[network.chainId] || network.rpcUrl
+  if (network.chainId !== DEFAULT_CHAIN_ID) return { ...network, rpcUrl }
+
+  const tokens = Object.fromEntries(
+    Object.entries(network.tokens).map(([symbol, token]) => [
+      symbol,
+      { ...token, address: ENV_OVERRIDES.tokens[symbol] || token.address },
+    ]),
+  )
+  return {
+    ...network,
+    rpcUrl,
+    provider: ENV_OVERRIDES.provider || network.provider,
+    // A provider set in the environment isn't the one the manifest's deploy block belongs to
+    providerDeployBlock: Number(
+      ENV_OVERRIDES.providerDeployBlock ||
+        (ENV_OVERRIDES.provider ? registered.providerDeployBlock : network.providerDeployBlock),
+    ),
+    easManager: ENV_OVERRIDES.easManager || network.easManager,
+    tokens,
+  }
+}
+
+export const NETWORKS: Record<number, NetworkConfig> = Object.fromEntries(
+  Object.entries(registry).map(([chainId, entry]) => [
+    Number(chainId),
+    withOverrides({ chainId: Number(chainId), ...(entry as Omit<NetworkConfig, 'chainId'>) }),
+  ]),
+)
+
+export const SUPPORTED_CHAIN_IDS = Object.values(NETWORKS)
+  .filter((n) => VIEM_CHAINS[n.chainId] && (!n.local || LOCAL_CHAINS_ENABLED || n.chainId === DEFAULT_CHAIN_ID))
+  // Default chain first; wagmi falls back to the first chain when no wallet is connected
+  .sort((a, b) => Number(b.chainId === DEFAULT_CHAIN_ID) - Number(a.chainId === DEFAULT_CHAIN_ID))
+  .map((n) => n.chainId)
+
+export function getNetwork(chainId: number): NetworkConfig | undefined {
+  return NETWORKS[chainId]
+}
+
+export function getChain(chainId: number): Chain {
+  return VIEM_CHAINS[chainId]
+}
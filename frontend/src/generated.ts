@@ -1,8 +1,8 @@
 import {
   createUseReadContract,
-  createUseWatchContractEvent,
   createUseWriteContract,
   createUseSimulateContract,
+  createUseWatchContractEvent,
 } from 'wagmi/codegen'
 
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -10,496 +10,795 @@ import {
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
 export const automatedInsuranceContractAbi = [
+  {
+    type: 'constructor',
+    inputs: [
+      { name: '_client', type: 'address' },
+      { name: '_duration', type: 'uint256' },
+      { name: '_premium', type: 'uint256' },
+      { name: '_payoutValue', type: 'uint256' },
+      { name: '_cropLocation', type: 'string' },
+      { name: '_paymentToken', type: 'address' },
+      { name: '_link', type: 'address' },
+      { name: '_oraclePaymentAmount', type: 'uint256' },
+      { name: '_worldWeatherKey', type: 'string' },
+      { name: '_openWeatherKey', type: 'string' },
+      { name: '_weatherbitKey', type: 'string' },
+      { name: '_priceFeed', type: 'address' },
+      { name: '_oracle1', type: 'address' },
+      { name: '_oracle2', type: 'address' },
+      { name: '_jobId1', type: 'bytes32' },
+      { name: '_jobId2', type: 'bytes32' },
+    ],
+    stateMutability: 'payable',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'timestamp', type: 'uint256', indexed: false },
+      { name: 'rainfall', type: 'uint256', indexed: false },
+    ],
+    name: 'AutomatedWeatherCheckPerformed',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [{ name: 'id', type: 'bytes32', indexed: true }],
+    name: 'ChainlinkCancelled',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [{ name: 'id', type: 'bytes32', indexed: true }],
+    name: 'ChainlinkFulfilled',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [{ name: 'id', type: 'bytes32', indexed: true }],
+    name: 'ChainlinkRequested',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'uid', type: 'bytes32', indexed: true },
+      { name: 'claimAmount', type: 'uint256', indexed: false },
+    ],
+    name: 'ClaimAttestationCreated',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'sources', type: 'uint8[]', indexed: false },
+      { name: 'minQuorum', type: 'uint8', indexed: false },
+      { name: 'toleranceBps', type: 'uint16', indexed: false },
+      { name: 'toleranceMm', type: 'uint32', indexed: false },
+    ],
+    name: 'OracleAggregationSet',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'previousOwner', type: 'address', indexed: true },
+      { name: 'newOwner', type: 'address', indexed: true },
+    ],
+    name: 'OwnershipTransferred',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'payoutBps', type: 'uint256', indexed: false },
+      { name: 'amount', type: 'uint256', indexed: false },
+      { name: 'totalPaid', type: 'uint256', indexed: false },
+    ],
+    name: 'PayoutMade',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'tierCount', type: 'uint256', indexed: false },
+      { name: 'linearDeficit', type: 'bool', indexed: false },
+    ],
+    name: 'PayoutStructureSet',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [{ name: 'rainfall', type: 'uint256', indexed: false }],
+    name: 'RainfallThresholdReset',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'source', type: 'uint8', indexed: true },
+      { name: 'reading', type: 'uint256', indexed: false },
+      { name: 'median', type: 'uint256', indexed: false },
+    ],
+    name: 'SourceReadingRejected',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'droughtDays', type: 'uint32', indexed: false },
+      { name: 'dryDayThreshold', type: 'uint32', indexed: false },
+      { name: 'deficitWindowDays', type: 'uint32', indexed: false },
+      { name: 'deficitThreshold', type: 'uint64', indexed: false },
+      { name: 'product', type: 'uint8', indexed: false },
+      { name: 'floodWindowDays', type: 'uint32', indexed: false },
+      { name: 'floodThreshold', type: 'uint64', indexed: false },
+    ],
+    name: 'TriggerTermsSet',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'uid', type: 'bytes32', indexed: true },
+      { name: 'rainfall', type: 'uint256', indexed: false },
+    ],
+    name: 'WeatherAttestationCreated',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'acceptedSources', type: 'uint256', indexed: false },
+      { name: 'minQuorum', type: 'uint256', indexed: false },
+    ],
+    name: 'WeatherReadingRejected',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [{ name: '_activatedAt', type: 'uint256', indexed: false }],
+    name: 'contractActivated',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: '_insurer', type: 'address', indexed: false },
+      { name: '_client', type: 'address', indexed: false },
+      { name: '_duration', type: 'uint256', indexed: false },
+      { name: '_premium', type: 'uint256', indexed: false },
+      { name: '_totalCover', type: 'uint256', indexed: false },
+    ],
+    name: 'contractCreated',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: '_endTime', type: 'uint256', indexed: false },
+      { name: '_totalReturned', type: 'uint256', indexed: false },
+    ],
+    name: 'contractEnded',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: '_paidTime', type: 'uint256', indexed: false },
+      { name: '_totalPaid', type: 'uint256', indexed: false },
+      { name: '_finalRainfall', type: 'uint256', indexed: false },
+    ],
+    name: 'contractPaidOut',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [{ name: '_rainfall', type: 'uint256', indexed: false }],
+    name: 'dataReceived',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [{ name: 'requestId', type: 'bytes32', indexed: false }],
+    name: 'dataRequestSent',
+  },
   {
     type: 'function',
     inputs: [],
-    name: 'client',
-    outputs: [{ type: 'address' }],
+    name: 'BPS',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'insurer',
-    outputs: [{ type: 'address' }],
+    name: 'DAY_IN_SECONDS',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'cropLocation',
-    outputs: [{ type: 'string' }],
+    name: 'DROUGHT_DAYS_THRESHOLD',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'premium',
-    outputs: [{ type: 'uint256' }],
+    name: 'MAX_DEFICIT_WINDOW_DAYS',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'payoutValue',
-    outputs: [{ type: 'uint256' }],
+    name: 'MAX_PAYOUT_TIERS',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'duration',
-    outputs: [{ type: 'uint256' }],
+    name: 'MAX_STALENESS',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'startDate',
-    outputs: [{ type: 'uint256' }],
+    name: 'NO_READING',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'activatedAt',
-    outputs: [{ type: 'uint256' }],
+    name: 'PRODUCT_DROUGHT',
+    outputs: [{ name: '', type: 'uint8' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'lastWeatherCheck',
-    outputs: [{ type: 'uint256' }],
+    name: 'PRODUCT_FLOOD',
+    outputs: [{ name: '', type: 'uint8' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'paymentToken',
-    outputs: [{ type: 'address' }],
+    name: 'SOURCE_COUNT',
+    outputs: [{ name: '', type: 'uint8' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'currentRainfall',
-    outputs: [{ type: 'uint256' }],
+    name: 'SOURCE_OPEN_WEATHER',
+    outputs: [{ name: '', type: 'uint8' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'daysWithoutRain',
-    outputs: [{ type: 'uint256' }],
+    name: 'SOURCE_WEATHERBIT',
+    outputs: [{ name: '', type: 'uint8' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'contractActive',
-    outputs: [{ type: 'bool' }],
+    name: 'SOURCE_WORLD_WEATHER_ONLINE',
+    outputs: [{ name: '', type: 'uint8' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'contractPaid',
-    outputs: [{ type: 'bool' }],
+    name: 'TRIGGER_DRY_DAYS',
+    outputs: [{ name: '', type: 'uint8' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'premiumPaid',
-    outputs: [{ type: 'bool' }],
+    name: 'TRIGGER_EXCESS_RAINFALL',
+    outputs: [{ name: '', type: 'uint8' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'requestCount',
-    outputs: [{ type: 'uint256' }],
+    name: 'TRIGGER_RAINFALL_DEFICIT',
+    outputs: [{ name: '', type: 'uint8' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'isActive',
-    outputs: [{ type: 'bool' }],
+    name: 'activateContract',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'activatedAt',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
+  {
+    type: 'function',
+    inputs: [
+      { name: '_requestId', type: 'bytes32' },
+      { name: '_rainfallData', type: 'uint256[]' },
+    ],
+    name: 'checkAggregatedRainfallCallback',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: '_requestId', type: 'bytes32' },
+      { name: '_rainfall', type: 'uint256' },
+    ],
+    name: 'checkRainfallCallBack',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
   {
     type: 'function',
     inputs: [],
-    name: 'needsWeatherUpdate',
-    outputs: [{ type: 'bool' }],
+    name: 'client',
+    outputs: [{ name: '', type: 'address' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'getContractBalance',
-    outputs: [{ type: 'uint256' }],
+    name: 'contractActive',
+    outputs: [{ name: '', type: 'bool' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'getLocation',
-    outputs: [{ type: 'string' }],
+    name: 'contractPaid',
+    outputs: [{ name: '', type: 'bool' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'getPayoutValue',
-    outputs: [{ type: 'uint256' }],
+    name: 'cropLocation',
+    outputs: [{ name: '', type: 'string' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'getPremium',
-    outputs: [{ type: 'uint256' }],
+    name: 'currentRainfall',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'getContractStatus',
-    outputs: [{ type: 'bool' }],
+    name: 'currentRainfallDateChecked',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'getCurrentRainfall',
-    outputs: [{ type: 'uint256' }],
+    name: 'dataRequestsSent',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'getRequestCount',
-    outputs: [{ type: 'uint256' }],
+    name: 'daysWithoutRain',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'getDaysWithoutRain',
-    outputs: [{ type: 'uint256' }],
+    name: 'duration',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
     name: 'getChainlinkToken',
-    outputs: [{ type: 'address' }],
+    outputs: [{ name: '', type: 'address' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'getLatestPrice',
-    outputs: [{ type: 'int256' }],
+    name: 'getContractBalance',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
-    type: 'event',
-    inputs: [
-      { name: '_paidTime', type: 'uint256', indexed: false },
-      { name: '_totalPaid', type: 'uint256', indexed: false },
-      { name: '_finalRainfall', type: 'uint256', indexed: false },
-    ],
-    name: 'contractPaidOut',
+    type: 'function',
+    inputs: [],
+    name: 'getContractStatus',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
   },
   {
-    type: 'event',
-    inputs: [
-      { name: '_endTime', type: 'uint256', indexed: false },
-      { name: '_totalReturned', type: 'uint256', indexed: false },
-    ],
-    name: 'contractEnded',
+    type: 'function',
+    inputs: [],
+    name: 'getCurrentRainfall',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
   },
   {
-    type: 'event',
-    inputs: [{ name: '_activatedAt', type: 'uint256', indexed: false }],
-    name: 'contractActivated',
+    type: 'function',
+    inputs: [],
+    name: 'getDaysWithoutRain',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
   },
   {
-    type: 'event',
-    inputs: [{ name: '_rainfall', type: 'uint256', indexed: false }],
-    name: 'dataReceived',
+    type: 'function',
+    inputs: [],
+    name: 'getLatestPrice',
+    outputs: [{ name: '', type: 'int256' }],
+    stateMutability: 'view',
   },
   {
-    type: 'event',
-    inputs: [{ name: 'rainfall', type: 'uint256', indexed: false }],
-    name: 'RainfallThresholdReset',
+    type: 'function',
+    inputs: [],
+    name: 'getLocation',
+    outputs: [{ name: '', type: 'string' }],
+    stateMutability: 'view',
   },
   {
-    type: 'event',
-    inputs: [
-      { name: 'timestamp', type: 'uint256', indexed: false },
-      { name: 'rainfall', type: 'uint256', indexed: false },
+    type: 'function',
+    inputs: [],
+    name: 'getPayoutTiers',
+    outputs: [
+      {
+        name: '',
+        type: 'tuple[]',
+        components: [
+          { name: 'dryDays', type: 'uint32' },
+          { name: 'bps', type: 'uint16' },
+        ],
+      },
     ],
-    name: 'AutomatedWeatherCheckPerformed',
+    stateMutability: 'view',
   },
-] as const
-
-//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// AutomatedInsuranceProvider
-//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-
-export const automatedInsuranceProviderAbi = [
   {
     type: 'function',
     inputs: [],
-    name: 'insurer',
-    outputs: [{ type: 'address' }],
+    name: 'getPayoutValue',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'easManager',
-    outputs: [{ type: 'address' }],
+    name: 'getPremium',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'easEnabled',
-    outputs: [{ type: 'bool' }],
+    name: 'getRequestCount',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'automationEnabled',
-    outputs: [{ type: 'bool' }],
+    name: 'getSourceReadings',
+    outputs: [
+      { name: 'sources', type: 'uint8[]' },
+      { name: 'readings', type: 'uint256[]' },
+      { name: 'accepted', type: 'bool[]' },
+    ],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'upkeepInterval',
-    outputs: [{ type: 'uint256' }],
+    name: 'insurer',
+    outputs: [{ name: '', type: 'address' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'lastUpkeepTimestamp',
-    outputs: [{ type: 'uint256' }],
+    name: 'isActive',
+    outputs: [{ name: '', type: 'bool' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
-    inputs: [],
-    name: 'upkeepBatchCounter',
-    outputs: [{ type: 'uint64' }],
+    inputs: [{ name: '', type: 'uint256' }],
+    name: 'jobIds',
+    outputs: [{ name: '', type: 'bytes32' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
-    inputs: [{ type: 'address' }],
-    name: 'supportedTokens',
-    outputs: [{ type: 'bool' }],
+    inputs: [],
+    name: 'lastWeatherCheck',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'USDC',
-    outputs: [{ type: 'address' }],
+    name: 'linearDeficitPayout',
+    outputs: [{ name: '', type: 'bool' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'DAI',
-    outputs: [{ type: 'address' }],
+    name: 'minQuorum',
+    outputs: [{ name: '', type: 'uint8' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'USDT',
-    outputs: [{ type: 'address' }],
+    name: 'needsWeatherUpdate',
+    outputs: [{ name: '', type: 'bool' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
-    inputs: [{ type: 'address' }],
-    name: 'premiumInfo',
-    outputs: [
-      { name: 'amount', type: 'uint128' },
-      { name: 'amountPaid', type: 'uint128' },
-      { name: 'paidAt', type: 'uint64' },
-      { name: 'createdAt', type: 'uint64' },
-      { name: 'token', type: 'address' },
-      { name: 'paid', type: 'bool' },
-    ],
+    inputs: [{ name: '', type: 'uint256' }],
+    name: 'oracles',
+    outputs: [{ name: '', type: 'address' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'getActiveContractsCount',
-    outputs: [{ type: 'uint256' }],
+    name: 'owner',
+    outputs: [{ name: '', type: 'address' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
-    inputs: [
-      { name: 'start', type: 'uint256' },
-      { name: 'limit', type: 'uint256' },
-    ],
-    name: 'getActiveContracts',
-    outputs: [{ type: 'address[]' }],
+    inputs: [],
+    name: 'paymentToken',
+    outputs: [{ name: '', type: 'address' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
-    inputs: [{ name: '_client', type: 'address' }],
-    name: 'getContractsByClient',
-    outputs: [{ type: 'address[]' }],
+    inputs: [],
+    name: 'payoutBpsPaid',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'getLatestPrice',
-    outputs: [{ type: 'int256' }],
+    name: 'payoutTrigger',
+    outputs: [{ name: '', type: 'uint8' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
-    inputs: [
-      { name: 'token', type: 'address' },
-      { name: 'usdAmount', type: 'uint256' },
-    ],
-    name: 'getTokenAmountForUSD',
-    outputs: [{ type: 'uint256' }],
+    inputs: [],
+    name: 'payoutValue',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'getEASManager',
-    outputs: [{ type: 'address' }],
+    name: 'payoutsMade',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'isEASEnabled',
-    outputs: [{ type: 'bool' }],
-    stateMutability: 'view',
+    name: 'performAutomatedWeatherCheck',
+    outputs: [],
+    stateMutability: 'nonpayable',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'PREMIUM_GRACE_PERIOD',
-    outputs: [{ type: 'uint256' }],
+    name: 'premium',
+    outputs: [{ name: '', type: 'uint256' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
     inputs: [],
-    name: 'MAX_CONTRACTS_PER_BATCH',
-    outputs: [{ type: 'uint256' }],
+    name: 'premiumPaid',
+    outputs: [{ name: '', type: 'bool' }],
     stateMutability: 'view',
   },
   {
     type: 'function',
-    inputs: [
-      { name: '_client', type: 'address' },
-      { name: '_duration', type: 'uint256' },
-      { name: '_premium', type: 'uint256' },
-      { name: '_payoutValue', type: 'uint256' },
-      { name: '_cropLocation', type: 'string' },
-      { name: '_paymentToken', type: 'address' },
-    ],
-    name: 'newContract',
-    outputs: [{ type: 'address' }],
-    stateMutability: 'payable',
+    inputs: [],
+    name: 'renounceOwnership',
+    outputs: [],
+    stateMutability: 'nonpayable',
   },
   {
     type: 'function',
-    inputs: [{ name: '_contract', type: 'address' }],
-    name: 'payPremium',
-    outputs: [],
-    stateMutability: 'payable',
+    inputs: [],
+    name: 'requestCount',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
   },
   {
     type: 'function',
-    inputs: [{ name: '_contract', type: 'address' }],
-    name: 'refundPremium',
+    inputs: [
+      { name: '_sources', type: 'uint8[]' },
+      { name: '_minQuorum', type: 'uint8' },
+      { name: '_toleranceBps', type: 'uint16' },
+      { name: '_toleranceMm', type: 'uint32' },
+    ],
+    name: 'setOracleAggregation',
     outputs: [],
     stateMutability: 'nonpayable',
   },
   {
     type: 'function',
-    inputs: [{ name: '_contract', type: 'address' }],
-    name: 'claimPremium',
+    inputs: [
+      {
+        name: '_tiers',
+        type: 'tuple[]',
+        components: [
+          { name: 'dryDays', type: 'uint32' },
+          { name: 'bps', type: 'uint16' },
+        ],
+      },
+      { name: '_linearDeficit', type: 'bool' },
+    ],
+    name: 'setPayoutStructure',
     outputs: [],
     stateMutability: 'nonpayable',
   },
   {
     type: 'function',
-    inputs: [{ name: '_enabled', type: 'bool' }],
-    name: 'setAutomationEnabled',
+    inputs: [
+      {
+        name: '_terms',
+        type: 'tuple',
+        components: [
+          { name: 'droughtDays', type: 'uint32' },
+          { name: 'dryDayThreshold', type: 'uint32' },
+          { name: 'deficitWindowDays', type: 'uint32' },
+          { name: 'deficitThreshold', type: 'uint64' },
+          { name: 'product', type: 'uint8' },
+          { name: 'floodWindowDays', type: 'uint32' },
+          { name: 'floodThreshold', type: 'uint64' },
+        ],
+      },
+    ],
+    name: 'setTriggerTerms',
     outputs: [],
     stateMutability: 'nonpayable',
   },
   {
     type: 'function',
-    inputs: [{ name: '_interval', type: 'uint256' }],
-    name: 'setUpkeepInterval',
-    outputs: [],
-    stateMutability: 'nonpayable',
+    inputs: [],
+    name: 'startDate',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
   },
   {
     type: 'function',
-    inputs: [{ name: '_contracts', type: 'address[]' }],
-    name: 'manualWeatherUpdate',
+    inputs: [],
+    name: 'toleranceBps',
+    outputs: [{ name: '', type: 'uint16' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'toleranceMm',
+    outputs: [{ name: '', type: 'uint32' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'newOwner', type: 'address' }],
+    name: 'transferOwnership',
     outputs: [],
     stateMutability: 'nonpayable',
   },
   {
     type: 'function',
+    inputs: [],
+    name: 'triggerTerms',
+    outputs: [
+      { name: 'droughtDays', type: 'uint32' },
+      { name: 'dryDayThreshold', type: 'uint32' },
+      { name: 'deficitWindowDays', type: 'uint32' },
+      { name: 'deficitThreshold', type: 'uint64' },
+      { name: 'product', type: 'uint8' },
+      { name: 'floodWindowDays', type: 'uint32' },
+      { name: 'floodThreshold', type: 'uint64' },
+    ],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'windowRainfall',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  { type: 'receive', stateMutability: 'payable' },
+] as const
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// AutomatedInsuranceProvider
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+export const automatedInsuranceProviderAbi = [
+  {
+    type: 'constructor',
     inputs: [
-      { name: 'token', type: 'address' },
-      { name: 'priceFeed', type: 'address' },
+      { name: '_worldWeatherKey', type: 'string' },
+      { name: '_openWeatherKey', type: 'string' },
+      { name: '_weatherbitKey', type: 'string' },
+      { name: '_linkToken', type: 'address' },
+      { name: '_priceFeed', type: 'address' },
+      { name: '_oracle1', type: 'address' },
+      { name: '_oracle2', type: 'address' },
+      { name: '_jobId1', type: 'bytes32' },
+      { name: '_jobId2', type: 'bytes32' },
     ],
-    name: 'addSupportedToken',
-    outputs: [],
     stateMutability: 'nonpayable',
   },
   {
     type: 'event',
+    anonymous: false,
     inputs: [
-      { name: 'insuranceContract', type: 'address', indexed: true },
-      { name: 'client', type: 'address', indexed: true },
-      { name: 'configHash', type: 'bytes32', indexed: true },
+      { name: 'contract_', type: 'address', indexed: true },
+      { name: 'attestationType', type: 'uint8', indexed: true },
+      { name: 'uid', type: 'bytes32', indexed: false },
     ],
-    name: 'ContractCreated',
+    name: 'AttestationCreated',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'batchId', type: 'uint64', indexed: true },
+      { name: 'contractsProcessed', type: 'uint32', indexed: false },
+      { name: 'gasUsed', type: 'uint32', indexed: false },
+    ],
+    name: 'AutomationUpkeepPerformed',
   },
   {
     type: 'event',
+    anonymous: false,
     inputs: [
       { name: 'insuranceContract', type: 'address', indexed: true },
       { name: 'client', type: 'address', indexed: true },
-      { name: 'amount', type: 'uint128', indexed: false },
-      { name: 'token', type: 'address', indexed: false },
+      { name: 'configHash', type: 'bytes32', indexed: true },
     ],
-    name: 'PremiumPaid',
+    name: 'ContractCreated',
   },
   {
     type: 'event',
+    anonymous: false,
     inputs: [
       { name: 'contractAddress', type: 'address', indexed: true },
       { name: 'isActive', type: 'bool', indexed: true },
@@ -508,16 +807,40 @@ export const automatedInsuranceProviderAbi = [
   },
   {
     type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'manager', type: 'address', indexed: true },
+      { name: 'enabled', type: 'bool', indexed: true },
+    ],
+    name: 'EASConfigChanged',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [{ name: 'required', type: 'bool', indexed: false }],
+    name: 'KYCRequirementChanged',
+  },
+  {
+    type: 'event',
+    anonymous: false,
     inputs: [
       { name: 'insuranceContract', type: 'address', indexed: true },
-      { name: 'client', type: 'address', indexed: true },
-      { name: 'amount', type: 'uint128', indexed: false },
-      { name: 'token', type: 'address', indexed: false },
+      { name: 'amount', type: 'uint256', indexed: false },
     ],
-    name: 'PremiumRefunded',
+    name: 'LinkToppedUp',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'previousOwner', type: 'address', indexed: true },
+      { name: 'newOwner', type: 'address', indexed: true },
+    ],
+    name: 'OwnershipTransferred',
   },
   {
     type: 'event',
+    anonymous: false,
     inputs: [
       { name: 'insuranceContract', type: 'address', indexed: true },
       { name: 'insurer_', type: 'address', indexed: true },
@@ -528,768 +851,3604 @@ export const automatedInsuranceProviderAbi = [
   },
   {
     type: 'event',
+    anonymous: false,
     inputs: [
-      { name: 'batchId', type: 'uint64', indexed: true },
-      { name: 'contractsProcessed', type: 'uint32', indexed: false },
-      { name: 'gasUsed', type: 'uint32', indexed: false },
+      { name: 'insuranceContract', type: 'address', indexed: true },
+      { name: 'client', type: 'address', indexed: true },
+      { name: 'amount', type: 'uint128', indexed: false },
+      { name: 'token', type: 'address', indexed: false },
     ],
-    name: 'AutomationUpkeepPerformed',
+    name: 'PremiumPaid',
   },
   {
     type: 'event',
+    anonymous: false,
     inputs: [
-      { name: 'contract_', type: 'address', indexed: true },
-      { name: 'attestationType', type: 'uint8', indexed: true },
-      { name: 'uid', type: 'bytes32', indexed: false },
+      { name: 'insuranceContract', type: 'address', indexed: true },
+      { name: 'client', type: 'address', indexed: true },
+      { name: 'amount', type: 'uint128', indexed: false },
+      { name: 'token', type: 'address', indexed: false },
     ],
-    name: 'AttestationCreated',
+    name: 'PremiumRefunded',
   },
-] as const
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'token', type: 'address', indexed: true },
+      { name: 'priceFeed', type: 'address', indexed: false },
+      { name: 'isAddition', type: 'bool', indexed: true },
+    ],
+    name: 'TokenOperation',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'DAI',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'DAY_IN_SECONDS',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'MAX_CONTRACTS_PER_BATCH',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'MAX_STALENESS',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'PREMIUM_GRACE_PERIOD',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'USDC',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'USDT',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '', type: 'uint256' }],
+    name: 'activeContracts',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'token', type: 'address' },
+      { name: 'priceFeed', type: 'address' },
+    ],
+    name: 'addSupportedToken',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'automationEnabled',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'automationForwarder',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '', type: 'bytes' }],
+    name: 'checkUpkeep',
+    outputs: [
+      { name: 'upkeepNeeded', type: 'bool' },
+      { name: 'performData', type: 'bytes' },
+    ],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '_contract', type: 'address' }],
+    name: 'claimPremium',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '', type: 'address' }],
+    name: 'contractIndex',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '', type: 'address' }],
+    name: 'contracts',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '_contract', type: 'address' }],
+    name: 'deactivateContract',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'defaultTriggerTerms',
+    outputs: [
+      {
+        name: '',
+        type: 'tuple',
+        components: [
+          { name: 'droughtDays', type: 'uint32' },
+          { name: 'dryDayThreshold', type: 'uint32' },
+          { name: 'deficitWindowDays', type: 'uint32' },
+          { name: 'deficitThreshold', type: 'uint64' },
+          { name: 'product', type: 'uint8' },
+          { name: 'floodWindowDays', type: 'uint32' },
+          { name: 'floodThreshold', type: 'uint64' },
+        ],
+      },
+    ],
+    stateMutability: 'pure',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'easEnabled',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'easManager',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'endContractProvider',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'start', type: 'uint256' },
+      { name: 'limit', type: 'uint256' },
+    ],
+    name: 'getActiveContracts',
+    outputs: [{ name: '', type: 'address[]' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'getActiveContractsCount',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '_client', type: 'address' }],
+    name: 'getContractsByClient',
+    outputs: [{ name: '', type: 'address[]' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'getEASManager',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'getLatestPrice',
+    outputs: [{ name: '', type: 'int256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'token', type: 'address' },
+      { name: 'usdAmount', type: 'uint256' },
+    ],
+    name: 'getTokenAmountForUSD',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'insurer',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'isEASEnabled',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'jobId1',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'jobId2',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'kycRequired',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'lastUpkeepTimestamp',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'linkToken',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '_contracts', type: 'address[]' }],
+    name: 'manualWeatherUpdate',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: '_client', type: 'address' },
+      { name: '_duration', type: 'uint256' },
+      { name: '_premium', type: 'uint256' },
+      { name: '_payoutValue', type: 'uint256' },
+      { name: '_cropLocation', type: 'string' },
+      { name: '_paymentToken', type: 'address' },
+    ],
+    name: 'newContract',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'payable',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: '_client', type: 'address' },
+      { name: '_duration', type: 'uint256' },
+      { name: '_premium', type: 'uint256' },
+      { name: '_payoutValue', type: 'uint256' },
+      { name: '_cropLocation', type: 'string' },
+      { name: '_paymentToken', type: 'address' },
+      {
+        name: '_terms',
+        type: 'tuple',
+        components: [
+          { name: 'droughtDays', type: 'uint32' },
+          { name: 'dryDayThreshold', type: 'uint32' },
+          { name: 'deficitWindowDays', type: 'uint32' },
+          { name: 'deficitThreshold', type: 'uint64' },
+          { name: 'product', type: 'uint8' },
+          { name: 'floodWindowDays', type: 'uint32' },
+          { name: 'floodThreshold', type: 'uint64' },
+        ],
+      },
+      {
+        name: '_tiers',
+        type: 'tuple[]',
+        components: [
+          { name: 'dryDays', type: 'uint32' },
+          { name: 'bps', type: 'uint16' },
+        ],
+      },
+      { name: '_linearDeficit', type: 'bool' },
+    ],
+    name: 'newContractWithPayouts',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'payable',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: '_client', type: 'address' },
+      { name: '_duration', type: 'uint256' },
+      { name: '_premium', type: 'uint256' },
+      { name: '_payoutValue', type: 'uint256' },
+      { name: '_cropLocation', type: 'string' },
+      { name: '_paymentToken', type: 'address' },
+      {
+        name: '_terms',
+        type: 'tuple',
+        components: [
+          { name: 'droughtDays', type: 'uint32' },
+          { name: 'dryDayThreshold', type: 'uint32' },
+          { name: 'deficitWindowDays', type: 'uint32' },
+          { name: 'deficitThreshold', type: 'uint64' },
+          { name: 'product', type: 'uint8' },
+          { name: 'floodWindowDays', type: 'uint32' },
+          { name: 'floodThreshold', type: 'uint64' },
+        ],
+      },
+    ],
+    name: 'newContractWithTerms',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'payable',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'oracle1',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'oracle2',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'owner',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '_contract', type: 'address' }],
+    name: 'payPremium',
+    outputs: [],
+    stateMutability: 'payable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'performData', type: 'bytes' }],
+    name: 'performUpkeep',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '', type: 'address' }],
+    name: 'premiumInfo',
+    outputs: [
+      { name: 'amount', type: 'uint128' },
+      { name: 'amountPaid', type: 'uint128' },
+      { name: 'paidAt', type: 'uint64' },
+      { name: 'createdAt', type: 'uint64' },
+      { name: 'token', type: 'address' },
+      { name: 'paid', type: 'bool' },
+    ],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'token', type: 'address' }],
+    name: 'recoverERC20',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '_contract', type: 'address' }],
+    name: 'refundPremium',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'renounceOwnership',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '_enabled', type: 'bool' }],
+    name: 'setAutomationEnabled',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '_forwarder', type: 'address' }],
+    name: 'setAutomationForwarder',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '_easManager', type: 'address' }],
+    name: 'setEASManager',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '_required', type: 'bool' }],
+    name: 'setKYCRequired',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: '_contract', type: 'address' },
+      { name: '_sources', type: 'uint8[]' },
+      { name: '_minQuorum', type: 'uint8' },
+      { name: '_toleranceBps', type: 'uint16' },
+      { name: '_toleranceMm', type: 'uint32' },
+    ],
+    name: 'setOracleAggregation',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '_interval', type: 'uint256' }],
+    name: 'setUpkeepInterval',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '', type: 'address' }],
+    name: 'supportedTokens',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'terminated',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '_enabled', type: 'bool' }],
+    name: 'toggleEAS',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '', type: 'address' }],
+    name: 'tokenPriceFeeds',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: '_contracts', type: 'address[]' },
+      { name: '_amounts', type: 'uint256[]' },
+    ],
+    name: 'topUpLink',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'newOwner', type: 'address' }],
+    name: 'transferOwnership',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'upkeepBatchCounter',
+    outputs: [{ name: '', type: 'uint64' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'upkeepInterval',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  { type: 'receive', stateMutability: 'payable' },
+] as const
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// EASInsuranceManager
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+export const easInsuranceManagerAbi = [
+  {
+    type: 'constructor',
+    inputs: [
+      { name: '_eas', type: 'address' },
+      { name: '_schemaRegistry', type: 'address' },
+      { name: '_schemas', type: 'address' },
+    ],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'uid', type: 'bytes32', indexed: true },
+      { name: 'revoker', type: 'address', indexed: true },
+      { name: 'reason', type: 'string', indexed: false },
+    ],
+    name: 'AttestationRevoked',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'attestor', type: 'address', indexed: true },
+      { name: 'authorized', type: 'bool', indexed: false },
+    ],
+    name: 'AttestorAuthorized',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'uid', type: 'bytes32', indexed: true },
+      { name: 'policyContract', type: 'address', indexed: true },
+      { name: 'claimAmount', type: 'uint256', indexed: false },
+      { name: 'claimStatus', type: 'uint8', indexed: false },
+      { name: 'schemaUID', type: 'bytes32', indexed: false },
+    ],
+    name: 'ClaimAttestationCreated',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'uid', type: 'bytes32', indexed: true },
+      { name: 'entity', type: 'address', indexed: true },
+      { name: 'regulationType', type: 'string', indexed: false },
+      { name: 'compliant', type: 'bool', indexed: false },
+      { name: 'schemaUID', type: 'bytes32', indexed: false },
+    ],
+    name: 'ComplianceAttestationCreated',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'provider', type: 'address', indexed: true },
+      { name: 'registered', type: 'bool', indexed: false },
+    ],
+    name: 'ComplianceProviderRegistered',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'uid', type: 'bytes32', indexed: true },
+      { name: 'client', type: 'address', indexed: true },
+      { name: 'verified', type: 'bool', indexed: false },
+      { name: 'expirationTime', type: 'uint64', indexed: false },
+      { name: 'schemaUID', type: 'bytes32', indexed: false },
+    ],
+    name: 'KYCAttestationCreated',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'node', type: 'address', indexed: true },
+      { name: 'registered', type: 'bool', indexed: false },
+    ],
+    name: 'OracleNodeRegistered',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'previousOwner', type: 'address', indexed: true },
+      { name: 'newOwner', type: 'address', indexed: true },
+    ],
+    name: 'OwnershipTransferred',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'uid', type: 'bytes32', indexed: true },
+      { name: 'policyContract', type: 'address', indexed: true },
+      { name: 'client', type: 'address', indexed: true },
+      { name: 'schemaUID', type: 'bytes32', indexed: false },
+    ],
+    name: 'PolicyAttestationCreated',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'uid', type: 'bytes32', indexed: true },
+      { name: 'policyContract', type: 'address', indexed: true },
+      { name: 'client', type: 'address', indexed: true },
+      { name: 'amount', type: 'uint256', indexed: false },
+      { name: 'schemaUID', type: 'bytes32', indexed: false },
+    ],
+    name: 'PremiumAttestationCreated',
+  },
+  {
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { name: 'uid', type: 'bytes32', indexed: true },
+      { name: 'location', type: 'string', indexed: false },
+      { name: 'rainfall', type: 'uint256', indexed: false },
+      { name: 'timestamp', type: 'uint256', indexed: false },
+      { name: 'schemaUID', type: 'bytes32', indexed: false },
+    ],
+    name: 'WeatherAttestationCreated',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '', type: 'bytes32' }],
+    name: 'attestationRequester',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'attestor', type: 'address' },
+      { name: 'authorized', type: 'bool' },
+    ],
+    name: 'authorizeAttestor',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '', type: 'address' }],
+    name: 'authorizedAttestors',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '', type: 'address' }],
+    name: 'complianceProviders',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'policyContract', type: 'address' },
+      { name: 'claimAmount', type: 'uint256' },
+      { name: 'claimStatus', type: 'uint8' },
+      { name: 'evidence', type: 'string' },
+      { name: 'droughtConfirmed', type: 'bool' },
+    ],
+    name: 'createClaimAttestation',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'entity', type: 'address' },
+      { name: 'regulationType', type: 'string' },
+      { name: 'compliant', type: 'bool' },
+      { name: 'certifyingAuthority', type: 'string' },
+    ],
+    name: 'createComplianceAttestation',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'client', type: 'address' },
+      { name: 'verificationType', type: 'string' },
+      { name: 'verified', type: 'bool' },
+      { name: 'complianceLevel', type: 'string' },
+      { name: 'documentHash', type: 'bytes32' },
+      { name: 'validFor', type: 'uint64' },
+    ],
+    name: 'createKYCAttestation',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'policyContract', type: 'address' },
+      { name: 'client', type: 'address' },
+      { name: 'premiumPaid', type: 'uint256' },
+      { name: 'payoutValue', type: 'uint256' },
+      { name: 'cropLocation', type: 'string' },
+      { name: 'startDate', type: 'uint256' },
+      { name: 'duration', type: 'uint256' },
+      { name: 'isActive', type: 'bool' },
+    ],
+    name: 'createPolicyAttestation',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'policyContract', type: 'address' },
+      { name: 'client', type: 'address' },
+      { name: 'amount', type: 'uint256' },
+      { name: 'token', type: 'address' },
+      { name: 'paid', type: 'bool' },
+    ],
+    name: 'createPremiumAttestation',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'location', type: 'string' },
+      { name: 'rainfall', type: 'uint256' },
+      { name: 'dataSource', type: 'string' },
+      { name: 'oracleRequestId', type: 'bytes32' },
+      { name: 'verified', type: 'bool' },
+    ],
+    name: 'createWeatherAttestation',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'eas',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'getAttestationStats',
+    outputs: [
+      { name: 'totalPolicies', type: 'uint256' },
+      { name: 'totalWeather', type: 'uint256' },
+      { name: 'totalClaims', type: 'uint256' },
+      { name: 'totalCompliance', type: 'uint256' },
+      { name: 'totalPremiums', type: 'uint256' },
+    ],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'policyContract', type: 'address' }],
+    name: 'getClaimAttestations',
+    outputs: [{ name: '', type: 'bytes32[]' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'getClaimSchemaUID',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'client', type: 'address' }],
+    name: 'getClientAttestations',
+    outputs: [{ name: '', type: 'bytes32[]' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'entity', type: 'address' }],
+    name: 'getComplianceAttestations',
+    outputs: [{ name: '', type: 'bytes32[]' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'getComplianceSchemaUID',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'getEASAddress',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'client', type: 'address' }],
+    name: 'getKYCAttestations',
+    outputs: [{ name: '', type: 'bytes32[]' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'policyContract', type: 'address' }],
+    name: 'getLatestPolicyAttestation',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'location', type: 'string' }],
+    name: 'getLatestWeatherAttestation',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'policyContract', type: 'address' }],
+    name: 'getPolicyAttestations',
+    outputs: [{ name: '', type: 'bytes32[]' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'getPolicySchemaUID',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'policyContract', type: 'address' }],
+    name: 'getPremiumAttestations',
+    outputs: [{ name: '', type: 'bytes32[]' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'getPremiumSchemaUID',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'getSchemaRegistryAddress',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'getSchemasAddress',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'location', type: 'string' }],
+    name: 'getWeatherAttestations',
+    outputs: [{ name: '', type: 'bytes32[]' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'getWeatherSchemaUID',
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'client', type: 'address' }],
+    name: 'hasValidKYC',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'uid', type: 'bytes32' }],
+    name: 'isValidAttestation',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '', type: 'address' }],
+    name: 'oracleNodes',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'owner',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'provider', type: 'address' },
+      { name: 'registered', type: 'bool' },
+    ],
+    name: 'registerComplianceProvider',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'node', type: 'address' },
+      { name: 'registered', type: 'bool' },
+    ],
+    name: 'registerOracleNode',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'renounceOwnership',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: '', type: 'bytes32' }],
+    name: 'revocationReasons',
+    outputs: [{ name: '', type: 'string' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'uid', type: 'bytes32' },
+      { name: 'reason', type: 'string' },
+    ],
+    name: 'revokeKYCAttestation',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'uid', type: 'bytes32' },
+      { name: 'reason', type: 'string' },
+    ],
+    name: 'revokePolicyAttestation',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [
+      { name: 'uid', type: 'bytes32' },
+      { name: 'reason', type: 'string' },
+    ],
+    name: 'revokeWeatherAttestation',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'schemaRegistry',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'schemas',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'totalClaimAttestations',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'totalComplianceAttestations',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'totalPolicyAttestations',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'totalPremiumAttestations',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [],
+    name: 'totalWeatherAttestations',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'newOwner', type: 'address' }],
+    name: 'transferOwnership',
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'uid', type: 'bytes32' }],
+    name: 'verifyClaimAttestation',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'uid', type: 'bytes32' }],
+    name: 'verifyPolicyAttestation',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    inputs: [{ name: 'uid', type: 'bytes32' }],
+    name: 'verifyWeatherAttestation',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+  },
+] as const
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// React
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__
+ */
+export const useReadAutomatedInsuranceContract =
+  /*#__PURE__*/ createUseReadContract({ abi: automatedInsuranceContractAbi })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"BPS"`
+ */
+export const useReadAutomatedInsuranceContractBps =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'BPS',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"DAY_IN_SECONDS"`
+ */
+export const useReadAutomatedInsuranceContractDayInSeconds =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'DAY_IN_SECONDS',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"DROUGHT_DAYS_THRESHOLD"`
+ */
+export const useReadAutomatedInsuranceContractDroughtDaysThreshold =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'DROUGHT_DAYS_THRESHOLD',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"MAX_DEFICIT_WINDOW_DAYS"`
+ */
+export const useReadAutomatedInsuranceContractMaxDeficitWindowDays =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'MAX_DEFICIT_WINDOW_DAYS',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"MAX_PAYOUT_TIERS"`
+ */
+export const useReadAutomatedInsuranceContractMaxPayoutTiers =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'MAX_PAYOUT_TIERS',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"MAX_STALENESS"`
+ */
+export const useReadAutomatedInsuranceContractMaxStaleness =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'MAX_STALENESS',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"NO_READING"`
+ */
+export const useReadAutomatedInsuranceContractNoReading =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'NO_READING',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"PRODUCT_DROUGHT"`
+ */
+export const useReadAutomatedInsuranceContractProductDrought =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'PRODUCT_DROUGHT',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"PRODUCT_FLOOD"`
+ */
+export const useReadAutomatedInsuranceContractProductFlood =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'PRODUCT_FLOOD',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"SOURCE_COUNT"`
+ */
+export const useReadAutomatedInsuranceContractSourceCount =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'SOURCE_COUNT',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"SOURCE_OPEN_WEATHER"`
+ */
+export const useReadAutomatedInsuranceContractSourceOpenWeather =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'SOURCE_OPEN_WEATHER',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"SOURCE_WEATHERBIT"`
+ */
+export const useReadAutomatedInsuranceContractSourceWeatherbit =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'SOURCE_WEATHERBIT',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"SOURCE_WORLD_WEATHER_ONLINE"`
+ */
+export const useReadAutomatedInsuranceContractSourceWorldWeatherOnline =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'SOURCE_WORLD_WEATHER_ONLINE',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"TRIGGER_DRY_DAYS"`
+ */
+export const useReadAutomatedInsuranceContractTriggerDryDays =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'TRIGGER_DRY_DAYS',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"TRIGGER_EXCESS_RAINFALL"`
+ */
+export const useReadAutomatedInsuranceContractTriggerExcessRainfall =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'TRIGGER_EXCESS_RAINFALL',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"TRIGGER_RAINFALL_DEFICIT"`
+ */
+export const useReadAutomatedInsuranceContractTriggerRainfallDeficit =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'TRIGGER_RAINFALL_DEFICIT',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"activatedAt"`
+ */
+export const useReadAutomatedInsuranceContractActivatedAt =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'activatedAt',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"client"`
+ */
+export const useReadAutomatedInsuranceContractClient =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'client',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"contractActive"`
+ */
+export const useReadAutomatedInsuranceContractContractActive =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'contractActive',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"contractPaid"`
+ */
+export const useReadAutomatedInsuranceContractContractPaid =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'contractPaid',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"cropLocation"`
+ */
+export const useReadAutomatedInsuranceContractCropLocation =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'cropLocation',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"currentRainfall"`
+ */
+export const useReadAutomatedInsuranceContractCurrentRainfall =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'currentRainfall',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"currentRainfallDateChecked"`
+ */
+export const useReadAutomatedInsuranceContractCurrentRainfallDateChecked =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'currentRainfallDateChecked',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"dataRequestsSent"`
+ */
+export const useReadAutomatedInsuranceContractDataRequestsSent =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'dataRequestsSent',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"daysWithoutRain"`
+ */
+export const useReadAutomatedInsuranceContractDaysWithoutRain =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'daysWithoutRain',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"duration"`
+ */
+export const useReadAutomatedInsuranceContractDuration =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'duration',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getChainlinkToken"`
+ */
+export const useReadAutomatedInsuranceContractGetChainlinkToken =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'getChainlinkToken',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getContractBalance"`
+ */
+export const useReadAutomatedInsuranceContractGetContractBalance =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'getContractBalance',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getContractStatus"`
+ */
+export const useReadAutomatedInsuranceContractGetContractStatus =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'getContractStatus',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getCurrentRainfall"`
+ */
+export const useReadAutomatedInsuranceContractGetCurrentRainfall =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'getCurrentRainfall',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getDaysWithoutRain"`
+ */
+export const useReadAutomatedInsuranceContractGetDaysWithoutRain =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'getDaysWithoutRain',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getLatestPrice"`
+ */
+export const useReadAutomatedInsuranceContractGetLatestPrice =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'getLatestPrice',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getLocation"`
+ */
+export const useReadAutomatedInsuranceContractGetLocation =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'getLocation',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getPayoutTiers"`
+ */
+export const useReadAutomatedInsuranceContractGetPayoutTiers =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'getPayoutTiers',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getPayoutValue"`
+ */
+export const useReadAutomatedInsuranceContractGetPayoutValue =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'getPayoutValue',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getPremium"`
+ */
+export const useReadAutomatedInsuranceContractGetPremium =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'getPremium',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getRequestCount"`
+ */
+export const useReadAutomatedInsuranceContractGetRequestCount =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'getRequestCount',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getSourceReadings"`
+ */
+export const useReadAutomatedInsuranceContractGetSourceReadings =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'getSourceReadings',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"insurer"`
+ */
+export const useReadAutomatedInsuranceContractInsurer =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'insurer',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"isActive"`
+ */
+export const useReadAutomatedInsuranceContractIsActive =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'isActive',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"jobIds"`
+ */
+export const useReadAutomatedInsuranceContractJobIds =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'jobIds',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"lastWeatherCheck"`
+ */
+export const useReadAutomatedInsuranceContractLastWeatherCheck =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'lastWeatherCheck',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"linearDeficitPayout"`
+ */
+export const useReadAutomatedInsuranceContractLinearDeficitPayout =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'linearDeficitPayout',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"minQuorum"`
+ */
+export const useReadAutomatedInsuranceContractMinQuorum =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'minQuorum',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"needsWeatherUpdate"`
+ */
+export const useReadAutomatedInsuranceContractNeedsWeatherUpdate =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'needsWeatherUpdate',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"oracles"`
+ */
+export const useReadAutomatedInsuranceContractOracles =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'oracles',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"owner"`
+ */
+export const useReadAutomatedInsuranceContractOwner =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'owner',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"paymentToken"`
+ */
+export const useReadAutomatedInsuranceContractPaymentToken =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'paymentToken',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"payoutBpsPaid"`
+ */
+export const useReadAutomatedInsuranceContractPayoutBpsPaid =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'payoutBpsPaid',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"payoutTrigger"`
+ */
+export const useReadAutomatedInsuranceContractPayoutTrigger =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'payoutTrigger',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"payoutValue"`
+ */
+export const useReadAutomatedInsuranceContractPayoutValue =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'payoutValue',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"payoutsMade"`
+ */
+export const useReadAutomatedInsuranceContractPayoutsMade =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'payoutsMade',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"premium"`
+ */
+export const useReadAutomatedInsuranceContractPremium =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'premium',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"premiumPaid"`
+ */
+export const useReadAutomatedInsuranceContractPremiumPaid =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'premiumPaid',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"requestCount"`
+ */
+export const useReadAutomatedInsuranceContractRequestCount =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'requestCount',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"startDate"`
+ */
+export const useReadAutomatedInsuranceContractStartDate =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'startDate',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"toleranceBps"`
+ */
+export const useReadAutomatedInsuranceContractToleranceBps =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'toleranceBps',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"toleranceMm"`
+ */
+export const useReadAutomatedInsuranceContractToleranceMm =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'toleranceMm',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"triggerTerms"`
+ */
+export const useReadAutomatedInsuranceContractTriggerTerms =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'triggerTerms',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"windowRainfall"`
+ */
+export const useReadAutomatedInsuranceContractWindowRainfall =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'windowRainfall',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__
+ */
+export const useWriteAutomatedInsuranceContract =
+  /*#__PURE__*/ createUseWriteContract({ abi: automatedInsuranceContractAbi })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"activateContract"`
+ */
+export const useWriteAutomatedInsuranceContractActivateContract =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'activateContract',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"checkAggregatedRainfallCallback"`
+ */
+export const useWriteAutomatedInsuranceContractCheckAggregatedRainfallCallback =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'checkAggregatedRainfallCallback',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"checkRainfallCallBack"`
+ */
+export const useWriteAutomatedInsuranceContractCheckRainfallCallBack =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'checkRainfallCallBack',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"performAutomatedWeatherCheck"`
+ */
+export const useWriteAutomatedInsuranceContractPerformAutomatedWeatherCheck =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'performAutomatedWeatherCheck',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"renounceOwnership"`
+ */
+export const useWriteAutomatedInsuranceContractRenounceOwnership =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'renounceOwnership',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"setOracleAggregation"`
+ */
+export const useWriteAutomatedInsuranceContractSetOracleAggregation =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'setOracleAggregation',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"setPayoutStructure"`
+ */
+export const useWriteAutomatedInsuranceContractSetPayoutStructure =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'setPayoutStructure',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"setTriggerTerms"`
+ */
+export const useWriteAutomatedInsuranceContractSetTriggerTerms =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'setTriggerTerms',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"transferOwnership"`
+ */
+export const useWriteAutomatedInsuranceContractTransferOwnership =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'transferOwnership',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__
+ */
+export const useSimulateAutomatedInsuranceContract =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceContractAbi,
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"activateContract"`
+ */
+export const useSimulateAutomatedInsuranceContractActivateContract =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'activateContract',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"checkAggregatedRainfallCallback"`
+ */
+export const useSimulateAutomatedInsuranceContractCheckAggregatedRainfallCallback =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'checkAggregatedRainfallCallback',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"checkRainfallCallBack"`
+ */
+export const useSimulateAutomatedInsuranceContractCheckRainfallCallBack =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'checkRainfallCallBack',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"performAutomatedWeatherCheck"`
+ */
+export const useSimulateAutomatedInsuranceContractPerformAutomatedWeatherCheck =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'performAutomatedWeatherCheck',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"renounceOwnership"`
+ */
+export const useSimulateAutomatedInsuranceContractRenounceOwnership =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'renounceOwnership',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"setOracleAggregation"`
+ */
+export const useSimulateAutomatedInsuranceContractSetOracleAggregation =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'setOracleAggregation',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"setPayoutStructure"`
+ */
+export const useSimulateAutomatedInsuranceContractSetPayoutStructure =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'setPayoutStructure',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"setTriggerTerms"`
+ */
+export const useSimulateAutomatedInsuranceContractSetTriggerTerms =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'setTriggerTerms',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"transferOwnership"`
+ */
+export const useSimulateAutomatedInsuranceContractTransferOwnership =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceContractAbi,
+    functionName: 'transferOwnership',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__
+ */
+export const useWatchAutomatedInsuranceContractEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"AutomatedWeatherCheckPerformed"`
+ */
+export const useWatchAutomatedInsuranceContractAutomatedWeatherCheckPerformedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'AutomatedWeatherCheckPerformed',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"ChainlinkCancelled"`
+ */
+export const useWatchAutomatedInsuranceContractChainlinkCancelledEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'ChainlinkCancelled',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"ChainlinkFulfilled"`
+ */
+export const useWatchAutomatedInsuranceContractChainlinkFulfilledEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'ChainlinkFulfilled',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"ChainlinkRequested"`
+ */
+export const useWatchAutomatedInsuranceContractChainlinkRequestedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'ChainlinkRequested',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"ClaimAttestationCreated"`
+ */
+export const useWatchAutomatedInsuranceContractClaimAttestationCreatedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'ClaimAttestationCreated',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"OracleAggregationSet"`
+ */
+export const useWatchAutomatedInsuranceContractOracleAggregationSetEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'OracleAggregationSet',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"OwnershipTransferred"`
+ */
+export const useWatchAutomatedInsuranceContractOwnershipTransferredEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'OwnershipTransferred',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"PayoutMade"`
+ */
+export const useWatchAutomatedInsuranceContractPayoutMadeEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'PayoutMade',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"PayoutStructureSet"`
+ */
+export const useWatchAutomatedInsuranceContractPayoutStructureSetEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'PayoutStructureSet',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"RainfallThresholdReset"`
+ */
+export const useWatchAutomatedInsuranceContractRainfallThresholdResetEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'RainfallThresholdReset',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"SourceReadingRejected"`
+ */
+export const useWatchAutomatedInsuranceContractSourceReadingRejectedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'SourceReadingRejected',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"TriggerTermsSet"`
+ */
+export const useWatchAutomatedInsuranceContractTriggerTermsSetEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'TriggerTermsSet',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"WeatherAttestationCreated"`
+ */
+export const useWatchAutomatedInsuranceContractWeatherAttestationCreatedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'WeatherAttestationCreated',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"WeatherReadingRejected"`
+ */
+export const useWatchAutomatedInsuranceContractWeatherReadingRejectedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'WeatherReadingRejected',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"contractActivated"`
+ */
+export const useWatchAutomatedInsuranceContractContractActivatedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'contractActivated',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"contractCreated"`
+ */
+export const useWatchAutomatedInsuranceContractContractCreatedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'contractCreated',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"contractEnded"`
+ */
+export const useWatchAutomatedInsuranceContractContractEndedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'contractEnded',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"contractPaidOut"`
+ */
+export const useWatchAutomatedInsuranceContractContractPaidOutEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'contractPaidOut',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"dataReceived"`
+ */
+export const useWatchAutomatedInsuranceContractDataReceivedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'dataReceived',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"dataRequestSent"`
+ */
+export const useWatchAutomatedInsuranceContractDataRequestSentEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceContractAbi,
+    eventName: 'dataRequestSent',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__
+ */
+export const useReadAutomatedInsuranceProvider =
+  /*#__PURE__*/ createUseReadContract({ abi: automatedInsuranceProviderAbi })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"DAI"`
+ */
+export const useReadAutomatedInsuranceProviderDai =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'DAI',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"DAY_IN_SECONDS"`
+ */
+export const useReadAutomatedInsuranceProviderDayInSeconds =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'DAY_IN_SECONDS',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"MAX_CONTRACTS_PER_BATCH"`
+ */
+export const useReadAutomatedInsuranceProviderMaxContractsPerBatch =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'MAX_CONTRACTS_PER_BATCH',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"MAX_STALENESS"`
+ */
+export const useReadAutomatedInsuranceProviderMaxStaleness =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'MAX_STALENESS',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"PREMIUM_GRACE_PERIOD"`
+ */
+export const useReadAutomatedInsuranceProviderPremiumGracePeriod =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'PREMIUM_GRACE_PERIOD',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"USDC"`
+ */
+export const useReadAutomatedInsuranceProviderUsdc =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'USDC',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"USDT"`
+ */
+export const useReadAutomatedInsuranceProviderUsdt =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'USDT',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"activeContracts"`
+ */
+export const useReadAutomatedInsuranceProviderActiveContracts =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'activeContracts',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"automationEnabled"`
+ */
+export const useReadAutomatedInsuranceProviderAutomationEnabled =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'automationEnabled',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"automationForwarder"`
+ */
+export const useReadAutomatedInsuranceProviderAutomationForwarder =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'automationForwarder',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"checkUpkeep"`
+ */
+export const useReadAutomatedInsuranceProviderCheckUpkeep =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'checkUpkeep',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"contractIndex"`
+ */
+export const useReadAutomatedInsuranceProviderContractIndex =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'contractIndex',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"contracts"`
+ */
+export const useReadAutomatedInsuranceProviderContracts =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'contracts',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"defaultTriggerTerms"`
+ */
+export const useReadAutomatedInsuranceProviderDefaultTriggerTerms =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'defaultTriggerTerms',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"easEnabled"`
+ */
+export const useReadAutomatedInsuranceProviderEasEnabled =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'easEnabled',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"easManager"`
+ */
+export const useReadAutomatedInsuranceProviderEasManager =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'easManager',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"getActiveContracts"`
+ */
+export const useReadAutomatedInsuranceProviderGetActiveContracts =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'getActiveContracts',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"getActiveContractsCount"`
+ */
+export const useReadAutomatedInsuranceProviderGetActiveContractsCount =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'getActiveContractsCount',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"getContractsByClient"`
+ */
+export const useReadAutomatedInsuranceProviderGetContractsByClient =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'getContractsByClient',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"getEASManager"`
+ */
+export const useReadAutomatedInsuranceProviderGetEasManager =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'getEASManager',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"getLatestPrice"`
+ */
+export const useReadAutomatedInsuranceProviderGetLatestPrice =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'getLatestPrice',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"getTokenAmountForUSD"`
+ */
+export const useReadAutomatedInsuranceProviderGetTokenAmountForUsd =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'getTokenAmountForUSD',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"insurer"`
+ */
+export const useReadAutomatedInsuranceProviderInsurer =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'insurer',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"isEASEnabled"`
+ */
+export const useReadAutomatedInsuranceProviderIsEasEnabled =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'isEASEnabled',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"jobId1"`
+ */
+export const useReadAutomatedInsuranceProviderJobId1 =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'jobId1',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"jobId2"`
+ */
+export const useReadAutomatedInsuranceProviderJobId2 =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'jobId2',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"kycRequired"`
+ */
+export const useReadAutomatedInsuranceProviderKycRequired =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'kycRequired',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"lastUpkeepTimestamp"`
+ */
+export const useReadAutomatedInsuranceProviderLastUpkeepTimestamp =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'lastUpkeepTimestamp',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"linkToken"`
+ */
+export const useReadAutomatedInsuranceProviderLinkToken =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'linkToken',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"oracle1"`
+ */
+export const useReadAutomatedInsuranceProviderOracle1 =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'oracle1',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"oracle2"`
+ */
+export const useReadAutomatedInsuranceProviderOracle2 =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'oracle2',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"owner"`
+ */
+export const useReadAutomatedInsuranceProviderOwner =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'owner',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"premiumInfo"`
+ */
+export const useReadAutomatedInsuranceProviderPremiumInfo =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'premiumInfo',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"supportedTokens"`
+ */
+export const useReadAutomatedInsuranceProviderSupportedTokens =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'supportedTokens',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"terminated"`
+ */
+export const useReadAutomatedInsuranceProviderTerminated =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'terminated',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"tokenPriceFeeds"`
+ */
+export const useReadAutomatedInsuranceProviderTokenPriceFeeds =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'tokenPriceFeeds',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"upkeepBatchCounter"`
+ */
+export const useReadAutomatedInsuranceProviderUpkeepBatchCounter =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'upkeepBatchCounter',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"upkeepInterval"`
+ */
+export const useReadAutomatedInsuranceProviderUpkeepInterval =
+  /*#__PURE__*/ createUseReadContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'upkeepInterval',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__
+ */
+export const useWriteAutomatedInsuranceProvider =
+  /*#__PURE__*/ createUseWriteContract({ abi: automatedInsuranceProviderAbi })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"addSupportedToken"`
+ */
+export const useWriteAutomatedInsuranceProviderAddSupportedToken =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'addSupportedToken',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"claimPremium"`
+ */
+export const useWriteAutomatedInsuranceProviderClaimPremium =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'claimPremium',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"deactivateContract"`
+ */
+export const useWriteAutomatedInsuranceProviderDeactivateContract =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'deactivateContract',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"endContractProvider"`
+ */
+export const useWriteAutomatedInsuranceProviderEndContractProvider =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'endContractProvider',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"manualWeatherUpdate"`
+ */
+export const useWriteAutomatedInsuranceProviderManualWeatherUpdate =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'manualWeatherUpdate',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"newContract"`
+ */
+export const useWriteAutomatedInsuranceProviderNewContract =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'newContract',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"newContractWithPayouts"`
+ */
+export const useWriteAutomatedInsuranceProviderNewContractWithPayouts =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'newContractWithPayouts',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"newContractWithTerms"`
+ */
+export const useWriteAutomatedInsuranceProviderNewContractWithTerms =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'newContractWithTerms',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"payPremium"`
+ */
+export const useWriteAutomatedInsuranceProviderPayPremium =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'payPremium',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"performUpkeep"`
+ */
+export const useWriteAutomatedInsuranceProviderPerformUpkeep =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'performUpkeep',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"recoverERC20"`
+ */
+export const useWriteAutomatedInsuranceProviderRecoverErc20 =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'recoverERC20',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"refundPremium"`
+ */
+export const useWriteAutomatedInsuranceProviderRefundPremium =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'refundPremium',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"renounceOwnership"`
+ */
+export const useWriteAutomatedInsuranceProviderRenounceOwnership =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'renounceOwnership',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setAutomationEnabled"`
+ */
+export const useWriteAutomatedInsuranceProviderSetAutomationEnabled =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'setAutomationEnabled',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setAutomationForwarder"`
+ */
+export const useWriteAutomatedInsuranceProviderSetAutomationForwarder =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'setAutomationForwarder',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setEASManager"`
+ */
+export const useWriteAutomatedInsuranceProviderSetEasManager =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'setEASManager',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setKYCRequired"`
+ */
+export const useWriteAutomatedInsuranceProviderSetKycRequired =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'setKYCRequired',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setOracleAggregation"`
+ */
+export const useWriteAutomatedInsuranceProviderSetOracleAggregation =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'setOracleAggregation',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setUpkeepInterval"`
+ */
+export const useWriteAutomatedInsuranceProviderSetUpkeepInterval =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'setUpkeepInterval',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"toggleEAS"`
+ */
+export const useWriteAutomatedInsuranceProviderToggleEas =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'toggleEAS',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"topUpLink"`
+ */
+export const useWriteAutomatedInsuranceProviderTopUpLink =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'topUpLink',
+  })
+
+/**
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"transferOwnership"`
+ */
+export const useWriteAutomatedInsuranceProviderTransferOwnership =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'transferOwnership',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__
+ */
+export const useSimulateAutomatedInsuranceProvider =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"addSupportedToken"`
+ */
+export const useSimulateAutomatedInsuranceProviderAddSupportedToken =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'addSupportedToken',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"claimPremium"`
+ */
+export const useSimulateAutomatedInsuranceProviderClaimPremium =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'claimPremium',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"deactivateContract"`
+ */
+export const useSimulateAutomatedInsuranceProviderDeactivateContract =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'deactivateContract',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"endContractProvider"`
+ */
+export const useSimulateAutomatedInsuranceProviderEndContractProvider =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'endContractProvider',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"manualWeatherUpdate"`
+ */
+export const useSimulateAutomatedInsuranceProviderManualWeatherUpdate =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'manualWeatherUpdate',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"newContract"`
+ */
+export const useSimulateAutomatedInsuranceProviderNewContract =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'newContract',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"newContractWithPayouts"`
+ */
+export const useSimulateAutomatedInsuranceProviderNewContractWithPayouts =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'newContractWithPayouts',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"newContractWithTerms"`
+ */
+export const useSimulateAutomatedInsuranceProviderNewContractWithTerms =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'newContractWithTerms',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"payPremium"`
+ */
+export const useSimulateAutomatedInsuranceProviderPayPremium =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'payPremium',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"performUpkeep"`
+ */
+export const useSimulateAutomatedInsuranceProviderPerformUpkeep =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'performUpkeep',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"recoverERC20"`
+ */
+export const useSimulateAutomatedInsuranceProviderRecoverErc20 =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'recoverERC20',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"refundPremium"`
+ */
+export const useSimulateAutomatedInsuranceProviderRefundPremium =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'refundPremium',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"renounceOwnership"`
+ */
+export const useSimulateAutomatedInsuranceProviderRenounceOwnership =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'renounceOwnership',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setAutomationEnabled"`
+ */
+export const useSimulateAutomatedInsuranceProviderSetAutomationEnabled =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'setAutomationEnabled',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setAutomationForwarder"`
+ */
+export const useSimulateAutomatedInsuranceProviderSetAutomationForwarder =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'setAutomationForwarder',
+  })
 
-//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// React
-//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setEASManager"`
+ */
+export const useSimulateAutomatedInsuranceProviderSetEasManager =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'setEASManager',
+  })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setKYCRequired"`
  */
-export const useReadAutomatedInsuranceContract =
-  /*#__PURE__*/ createUseReadContract({ abi: automatedInsuranceContractAbi })
+export const useSimulateAutomatedInsuranceProviderSetKycRequired =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'setKYCRequired',
+  })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"client"`
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setOracleAggregation"`
  */
-export const useReadAutomatedInsuranceContractClient =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'client',
+export const useSimulateAutomatedInsuranceProviderSetOracleAggregation =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'setOracleAggregation',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"insurer"`
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setUpkeepInterval"`
  */
-export const useReadAutomatedInsuranceContractInsurer =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'insurer',
+export const useSimulateAutomatedInsuranceProviderSetUpkeepInterval =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'setUpkeepInterval',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"cropLocation"`
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"toggleEAS"`
  */
-export const useReadAutomatedInsuranceContractCropLocation =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'cropLocation',
+export const useSimulateAutomatedInsuranceProviderToggleEas =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'toggleEAS',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"premium"`
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"topUpLink"`
  */
-export const useReadAutomatedInsuranceContractPremium =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'premium',
+export const useSimulateAutomatedInsuranceProviderTopUpLink =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'topUpLink',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"payoutValue"`
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"transferOwnership"`
  */
-export const useReadAutomatedInsuranceContractPayoutValue =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'payoutValue',
+export const useSimulateAutomatedInsuranceProviderTransferOwnership =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'transferOwnership',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"duration"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__
  */
-export const useReadAutomatedInsuranceContractDuration =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'duration',
+export const useWatchAutomatedInsuranceProviderEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceProviderAbi,
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"startDate"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"AttestationCreated"`
  */
-export const useReadAutomatedInsuranceContractStartDate =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'startDate',
+export const useWatchAutomatedInsuranceProviderAttestationCreatedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceProviderAbi,
+    eventName: 'AttestationCreated',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"activatedAt"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"AutomationUpkeepPerformed"`
  */
-export const useReadAutomatedInsuranceContractActivatedAt =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'activatedAt',
+export const useWatchAutomatedInsuranceProviderAutomationUpkeepPerformedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceProviderAbi,
+    eventName: 'AutomationUpkeepPerformed',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"lastWeatherCheck"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"ContractCreated"`
  */
-export const useReadAutomatedInsuranceContractLastWeatherCheck =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'lastWeatherCheck',
+export const useWatchAutomatedInsuranceProviderContractCreatedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceProviderAbi,
+    eventName: 'ContractCreated',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"paymentToken"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"ContractStateChanged"`
  */
-export const useReadAutomatedInsuranceContractPaymentToken =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'paymentToken',
+export const useWatchAutomatedInsuranceProviderContractStateChangedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceProviderAbi,
+    eventName: 'ContractStateChanged',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"currentRainfall"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"EASConfigChanged"`
  */
-export const useReadAutomatedInsuranceContractCurrentRainfall =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'currentRainfall',
+export const useWatchAutomatedInsuranceProviderEasConfigChangedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceProviderAbi,
+    eventName: 'EASConfigChanged',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"daysWithoutRain"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"KYCRequirementChanged"`
  */
-export const useReadAutomatedInsuranceContractDaysWithoutRain =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'daysWithoutRain',
+export const useWatchAutomatedInsuranceProviderKycRequirementChangedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceProviderAbi,
+    eventName: 'KYCRequirementChanged',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"contractActive"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"LinkToppedUp"`
  */
-export const useReadAutomatedInsuranceContractContractActive =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'contractActive',
+export const useWatchAutomatedInsuranceProviderLinkToppedUpEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceProviderAbi,
+    eventName: 'LinkToppedUp',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"contractPaid"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"OwnershipTransferred"`
  */
-export const useReadAutomatedInsuranceContractContractPaid =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'contractPaid',
+export const useWatchAutomatedInsuranceProviderOwnershipTransferredEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceProviderAbi,
+    eventName: 'OwnershipTransferred',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"premiumPaid"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"PremiumClaimed"`
  */
-export const useReadAutomatedInsuranceContractPremiumPaid =
+export const useWatchAutomatedInsuranceProviderPremiumClaimedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceProviderAbi,
+    eventName: 'PremiumClaimed',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"PremiumPaid"`
+ */
+export const useWatchAutomatedInsuranceProviderPremiumPaidEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceProviderAbi,
+    eventName: 'PremiumPaid',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"PremiumRefunded"`
+ */
+export const useWatchAutomatedInsuranceProviderPremiumRefundedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceProviderAbi,
+    eventName: 'PremiumRefunded',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"TokenOperation"`
+ */
+export const useWatchAutomatedInsuranceProviderTokenOperationEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: automatedInsuranceProviderAbi,
+    eventName: 'TokenOperation',
+  })
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__
+ */
+export const useReadEasInsuranceManager = /*#__PURE__*/ createUseReadContract({
+  abi: easInsuranceManagerAbi,
+})
+
+/**
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"attestationRequester"`
+ */
+export const useReadEasInsuranceManagerAttestationRequester =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'premiumPaid',
+    abi: easInsuranceManagerAbi,
+    functionName: 'attestationRequester',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"requestCount"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"authorizedAttestors"`
  */
-export const useReadAutomatedInsuranceContractRequestCount =
+export const useReadEasInsuranceManagerAuthorizedAttestors =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'requestCount',
+    abi: easInsuranceManagerAbi,
+    functionName: 'authorizedAttestors',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"isActive"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"complianceProviders"`
  */
-export const useReadAutomatedInsuranceContractIsActive =
+export const useReadEasInsuranceManagerComplianceProviders =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'isActive',
+    abi: easInsuranceManagerAbi,
+    functionName: 'complianceProviders',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"needsWeatherUpdate"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"eas"`
  */
-export const useReadAutomatedInsuranceContractNeedsWeatherUpdate =
+export const useReadEasInsuranceManagerEas =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'needsWeatherUpdate',
+    abi: easInsuranceManagerAbi,
+    functionName: 'eas',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getContractBalance"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getAttestationStats"`
  */
-export const useReadAutomatedInsuranceContractGetContractBalance =
+export const useReadEasInsuranceManagerGetAttestationStats =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'getContractBalance',
+    abi: easInsuranceManagerAbi,
+    functionName: 'getAttestationStats',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getLocation"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getClaimAttestations"`
  */
-export const useReadAutomatedInsuranceContractGetLocation =
+export const useReadEasInsuranceManagerGetClaimAttestations =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'getLocation',
+    abi: easInsuranceManagerAbi,
+    functionName: 'getClaimAttestations',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getPayoutValue"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getClaimSchemaUID"`
  */
-export const useReadAutomatedInsuranceContractGetPayoutValue =
+export const useReadEasInsuranceManagerGetClaimSchemaUid =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'getPayoutValue',
+    abi: easInsuranceManagerAbi,
+    functionName: 'getClaimSchemaUID',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getPremium"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getClientAttestations"`
  */
-export const useReadAutomatedInsuranceContractGetPremium =
+export const useReadEasInsuranceManagerGetClientAttestations =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'getPremium',
+    abi: easInsuranceManagerAbi,
+    functionName: 'getClientAttestations',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getContractStatus"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getComplianceAttestations"`
  */
-export const useReadAutomatedInsuranceContractGetContractStatus =
+export const useReadEasInsuranceManagerGetComplianceAttestations =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'getContractStatus',
+    abi: easInsuranceManagerAbi,
+    functionName: 'getComplianceAttestations',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getCurrentRainfall"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getComplianceSchemaUID"`
  */
-export const useReadAutomatedInsuranceContractGetCurrentRainfall =
+export const useReadEasInsuranceManagerGetComplianceSchemaUid =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'getCurrentRainfall',
+    abi: easInsuranceManagerAbi,
+    functionName: 'getComplianceSchemaUID',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getRequestCount"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getEASAddress"`
  */
-export const useReadAutomatedInsuranceContractGetRequestCount =
+export const useReadEasInsuranceManagerGetEasAddress =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'getRequestCount',
+    abi: easInsuranceManagerAbi,
+    functionName: 'getEASAddress',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getDaysWithoutRain"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getKYCAttestations"`
  */
-export const useReadAutomatedInsuranceContractGetDaysWithoutRain =
+export const useReadEasInsuranceManagerGetKycAttestations =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'getDaysWithoutRain',
+    abi: easInsuranceManagerAbi,
+    functionName: 'getKYCAttestations',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getChainlinkToken"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getLatestPolicyAttestation"`
  */
-export const useReadAutomatedInsuranceContractGetChainlinkToken =
+export const useReadEasInsuranceManagerGetLatestPolicyAttestation =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'getChainlinkToken',
+    abi: easInsuranceManagerAbi,
+    functionName: 'getLatestPolicyAttestation',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `functionName` set to `"getLatestPrice"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getLatestWeatherAttestation"`
  */
-export const useReadAutomatedInsuranceContractGetLatestPrice =
+export const useReadEasInsuranceManagerGetLatestWeatherAttestation =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceContractAbi,
-    functionName: 'getLatestPrice',
+    abi: easInsuranceManagerAbi,
+    functionName: 'getLatestWeatherAttestation',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getPolicyAttestations"`
  */
-export const useWatchAutomatedInsuranceContractEvent =
-  /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceContractAbi,
+export const useReadEasInsuranceManagerGetPolicyAttestations =
+  /*#__PURE__*/ createUseReadContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'getPolicyAttestations',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"contractPaidOut"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getPolicySchemaUID"`
  */
-export const useWatchAutomatedInsuranceContractContractPaidOutEvent =
-  /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceContractAbi,
-    eventName: 'contractPaidOut',
+export const useReadEasInsuranceManagerGetPolicySchemaUid =
+  /*#__PURE__*/ createUseReadContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'getPolicySchemaUID',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"contractEnded"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getPremiumAttestations"`
  */
-export const useWatchAutomatedInsuranceContractContractEndedEvent =
-  /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceContractAbi,
-    eventName: 'contractEnded',
+export const useReadEasInsuranceManagerGetPremiumAttestations =
+  /*#__PURE__*/ createUseReadContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'getPremiumAttestations',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"contractActivated"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getPremiumSchemaUID"`
  */
-export const useWatchAutomatedInsuranceContractContractActivatedEvent =
-  /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceContractAbi,
-    eventName: 'contractActivated',
+export const useReadEasInsuranceManagerGetPremiumSchemaUid =
+  /*#__PURE__*/ createUseReadContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'getPremiumSchemaUID',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"dataReceived"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getSchemaRegistryAddress"`
  */
-export const useWatchAutomatedInsuranceContractDataReceivedEvent =
-  /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceContractAbi,
-    eventName: 'dataReceived',
+export const useReadEasInsuranceManagerGetSchemaRegistryAddress =
+  /*#__PURE__*/ createUseReadContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'getSchemaRegistryAddress',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"RainfallThresholdReset"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getSchemasAddress"`
  */
-export const useWatchAutomatedInsuranceContractRainfallThresholdResetEvent =
-  /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceContractAbi,
-    eventName: 'RainfallThresholdReset',
+export const useReadEasInsuranceManagerGetSchemasAddress =
+  /*#__PURE__*/ createUseReadContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'getSchemasAddress',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceContractAbi}__ and `eventName` set to `"AutomatedWeatherCheckPerformed"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getWeatherAttestations"`
  */
-export const useWatchAutomatedInsuranceContractAutomatedWeatherCheckPerformedEvent =
-  /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceContractAbi,
-    eventName: 'AutomatedWeatherCheckPerformed',
+export const useReadEasInsuranceManagerGetWeatherAttestations =
+  /*#__PURE__*/ createUseReadContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'getWeatherAttestations',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"getWeatherSchemaUID"`
  */
-export const useReadAutomatedInsuranceProvider =
-  /*#__PURE__*/ createUseReadContract({ abi: automatedInsuranceProviderAbi })
+export const useReadEasInsuranceManagerGetWeatherSchemaUid =
+  /*#__PURE__*/ createUseReadContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'getWeatherSchemaUID',
+  })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"insurer"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"hasValidKYC"`
  */
-export const useReadAutomatedInsuranceProviderInsurer =
+export const useReadEasInsuranceManagerHasValidKyc =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'insurer',
+    abi: easInsuranceManagerAbi,
+    functionName: 'hasValidKYC',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"easManager"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"isValidAttestation"`
  */
-export const useReadAutomatedInsuranceProviderEasManager =
+export const useReadEasInsuranceManagerIsValidAttestation =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'easManager',
+    abi: easInsuranceManagerAbi,
+    functionName: 'isValidAttestation',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"easEnabled"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"oracleNodes"`
  */
-export const useReadAutomatedInsuranceProviderEasEnabled =
+export const useReadEasInsuranceManagerOracleNodes =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'easEnabled',
+    abi: easInsuranceManagerAbi,
+    functionName: 'oracleNodes',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"automationEnabled"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"owner"`
  */
-export const useReadAutomatedInsuranceProviderAutomationEnabled =
+export const useReadEasInsuranceManagerOwner =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'automationEnabled',
+    abi: easInsuranceManagerAbi,
+    functionName: 'owner',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"upkeepInterval"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"revocationReasons"`
  */
-export const useReadAutomatedInsuranceProviderUpkeepInterval =
+export const useReadEasInsuranceManagerRevocationReasons =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'upkeepInterval',
+    abi: easInsuranceManagerAbi,
+    functionName: 'revocationReasons',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"lastUpkeepTimestamp"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"schemaRegistry"`
  */
-export const useReadAutomatedInsuranceProviderLastUpkeepTimestamp =
+export const useReadEasInsuranceManagerSchemaRegistry =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'lastUpkeepTimestamp',
+    abi: easInsuranceManagerAbi,
+    functionName: 'schemaRegistry',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"upkeepBatchCounter"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"schemas"`
  */
-export const useReadAutomatedInsuranceProviderUpkeepBatchCounter =
+export const useReadEasInsuranceManagerSchemas =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'upkeepBatchCounter',
+    abi: easInsuranceManagerAbi,
+    functionName: 'schemas',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"supportedTokens"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"totalClaimAttestations"`
  */
-export const useReadAutomatedInsuranceProviderSupportedTokens =
+export const useReadEasInsuranceManagerTotalClaimAttestations =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'supportedTokens',
+    abi: easInsuranceManagerAbi,
+    functionName: 'totalClaimAttestations',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"USDC"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"totalComplianceAttestations"`
  */
-export const useReadAutomatedInsuranceProviderUsdc =
+export const useReadEasInsuranceManagerTotalComplianceAttestations =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'USDC',
+    abi: easInsuranceManagerAbi,
+    functionName: 'totalComplianceAttestations',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"DAI"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"totalPolicyAttestations"`
  */
-export const useReadAutomatedInsuranceProviderDai =
+export const useReadEasInsuranceManagerTotalPolicyAttestations =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'DAI',
+    abi: easInsuranceManagerAbi,
+    functionName: 'totalPolicyAttestations',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"USDT"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"totalPremiumAttestations"`
  */
-export const useReadAutomatedInsuranceProviderUsdt =
+export const useReadEasInsuranceManagerTotalPremiumAttestations =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'USDT',
+    abi: easInsuranceManagerAbi,
+    functionName: 'totalPremiumAttestations',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"premiumInfo"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"totalWeatherAttestations"`
  */
-export const useReadAutomatedInsuranceProviderPremiumInfo =
+export const useReadEasInsuranceManagerTotalWeatherAttestations =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'premiumInfo',
+    abi: easInsuranceManagerAbi,
+    functionName: 'totalWeatherAttestations',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"getActiveContractsCount"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"verifyClaimAttestation"`
  */
-export const useReadAutomatedInsuranceProviderGetActiveContractsCount =
+export const useReadEasInsuranceManagerVerifyClaimAttestation =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'getActiveContractsCount',
+    abi: easInsuranceManagerAbi,
+    functionName: 'verifyClaimAttestation',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"getActiveContracts"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"verifyPolicyAttestation"`
  */
-export const useReadAutomatedInsuranceProviderGetActiveContracts =
+export const useReadEasInsuranceManagerVerifyPolicyAttestation =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'getActiveContracts',
+    abi: easInsuranceManagerAbi,
+    functionName: 'verifyPolicyAttestation',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"getContractsByClient"`
+ * Wraps __{@link useReadContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"verifyWeatherAttestation"`
  */
-export const useReadAutomatedInsuranceProviderGetContractsByClient =
+export const useReadEasInsuranceManagerVerifyWeatherAttestation =
   /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'getContractsByClient',
+    abi: easInsuranceManagerAbi,
+    functionName: 'verifyWeatherAttestation',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"getLatestPrice"`
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__
  */
-export const useReadAutomatedInsuranceProviderGetLatestPrice =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'getLatestPrice',
-  })
+export const useWriteEasInsuranceManager = /*#__PURE__*/ createUseWriteContract(
+  { abi: easInsuranceManagerAbi },
+)
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"getTokenAmountForUSD"`
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"authorizeAttestor"`
  */
-export const useReadAutomatedInsuranceProviderGetTokenAmountForUsd =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'getTokenAmountForUSD',
+export const useWriteEasInsuranceManagerAuthorizeAttestor =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'authorizeAttestor',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"getEASManager"`
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"createClaimAttestation"`
  */
-export const useReadAutomatedInsuranceProviderGetEasManager =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'getEASManager',
+export const useWriteEasInsuranceManagerCreateClaimAttestation =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'createClaimAttestation',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"isEASEnabled"`
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"createComplianceAttestation"`
  */
-export const useReadAutomatedInsuranceProviderIsEasEnabled =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'isEASEnabled',
+export const useWriteEasInsuranceManagerCreateComplianceAttestation =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'createComplianceAttestation',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"PREMIUM_GRACE_PERIOD"`
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"createKYCAttestation"`
  */
-export const useReadAutomatedInsuranceProviderPremiumGracePeriod =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'PREMIUM_GRACE_PERIOD',
+export const useWriteEasInsuranceManagerCreateKycAttestation =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'createKYCAttestation',
   })
 
 /**
- * Wraps __{@link useReadContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"MAX_CONTRACTS_PER_BATCH"`
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"createPolicyAttestation"`
  */
-export const useReadAutomatedInsuranceProviderMaxContractsPerBatch =
-  /*#__PURE__*/ createUseReadContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'MAX_CONTRACTS_PER_BATCH',
+export const useWriteEasInsuranceManagerCreatePolicyAttestation =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'createPolicyAttestation',
   })
 
 /**
- * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"createPremiumAttestation"`
  */
-export const useWriteAutomatedInsuranceProvider =
-  /*#__PURE__*/ createUseWriteContract({ abi: automatedInsuranceProviderAbi })
+export const useWriteEasInsuranceManagerCreatePremiumAttestation =
+  /*#__PURE__*/ createUseWriteContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'createPremiumAttestation',
+  })
 
 /**
- * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"newContract"`
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"createWeatherAttestation"`
  */
-export const useWriteAutomatedInsuranceProviderNewContract =
+export const useWriteEasInsuranceManagerCreateWeatherAttestation =
   /*#__PURE__*/ createUseWriteContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'newContract',
+    abi: easInsuranceManagerAbi,
+    functionName: 'createWeatherAttestation',
   })
 
 /**
- * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"payPremium"`
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"registerComplianceProvider"`
  */
-export const useWriteAutomatedInsuranceProviderPayPremium =
+export const useWriteEasInsuranceManagerRegisterComplianceProvider =
   /*#__PURE__*/ createUseWriteContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'payPremium',
+    abi: easInsuranceManagerAbi,
+    functionName: 'registerComplianceProvider',
   })
 
 /**
- * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"refundPremium"`
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"registerOracleNode"`
  */
-export const useWriteAutomatedInsuranceProviderRefundPremium =
+export const useWriteEasInsuranceManagerRegisterOracleNode =
   /*#__PURE__*/ createUseWriteContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'refundPremium',
+    abi: easInsuranceManagerAbi,
+    functionName: 'registerOracleNode',
   })
 
 /**
- * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"claimPremium"`
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"renounceOwnership"`
  */
-export const useWriteAutomatedInsuranceProviderClaimPremium =
+export const useWriteEasInsuranceManagerRenounceOwnership =
   /*#__PURE__*/ createUseWriteContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'claimPremium',
+    abi: easInsuranceManagerAbi,
+    functionName: 'renounceOwnership',
   })
 
 /**
- * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setAutomationEnabled"`
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"revokeKYCAttestation"`
  */
-export const useWriteAutomatedInsuranceProviderSetAutomationEnabled =
+export const useWriteEasInsuranceManagerRevokeKycAttestation =
   /*#__PURE__*/ createUseWriteContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'setAutomationEnabled',
+    abi: easInsuranceManagerAbi,
+    functionName: 'revokeKYCAttestation',
   })
 
 /**
- * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setUpkeepInterval"`
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"revokePolicyAttestation"`
  */
-export const useWriteAutomatedInsuranceProviderSetUpkeepInterval =
+export const useWriteEasInsuranceManagerRevokePolicyAttestation =
   /*#__PURE__*/ createUseWriteContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'setUpkeepInterval',
+    abi: easInsuranceManagerAbi,
+    functionName: 'revokePolicyAttestation',
   })
 
 /**
- * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"manualWeatherUpdate"`
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"revokeWeatherAttestation"`
  */
-export const useWriteAutomatedInsuranceProviderManualWeatherUpdate =
+export const useWriteEasInsuranceManagerRevokeWeatherAttestation =
   /*#__PURE__*/ createUseWriteContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'manualWeatherUpdate',
+    abi: easInsuranceManagerAbi,
+    functionName: 'revokeWeatherAttestation',
   })
 
 /**
- * Wraps __{@link useWriteContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"addSupportedToken"`
+ * Wraps __{@link useWriteContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"transferOwnership"`
  */
-export const useWriteAutomatedInsuranceProviderAddSupportedToken =
+export const useWriteEasInsuranceManagerTransferOwnership =
   /*#__PURE__*/ createUseWriteContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'addSupportedToken',
+    abi: easInsuranceManagerAbi,
+    functionName: 'transferOwnership',
   })
 
 /**
- * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__
  */
-export const useSimulateAutomatedInsuranceProvider =
+export const useSimulateEasInsuranceManager =
+  /*#__PURE__*/ createUseSimulateContract({ abi: easInsuranceManagerAbi })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"authorizeAttestor"`
+ */
+export const useSimulateEasInsuranceManagerAuthorizeAttestor =
   /*#__PURE__*/ createUseSimulateContract({
-    abi: automatedInsuranceProviderAbi,
+    abi: easInsuranceManagerAbi,
+    functionName: 'authorizeAttestor',
   })
 
 /**
- * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"newContract"`
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"createClaimAttestation"`
  */
-export const useSimulateAutomatedInsuranceProviderNewContract =
+export const useSimulateEasInsuranceManagerCreateClaimAttestation =
   /*#__PURE__*/ createUseSimulateContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'newContract',
+    abi: easInsuranceManagerAbi,
+    functionName: 'createClaimAttestation',
   })
 
 /**
- * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"payPremium"`
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"createComplianceAttestation"`
  */
-export const useSimulateAutomatedInsuranceProviderPayPremium =
+export const useSimulateEasInsuranceManagerCreateComplianceAttestation =
   /*#__PURE__*/ createUseSimulateContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'payPremium',
+    abi: easInsuranceManagerAbi,
+    functionName: 'createComplianceAttestation',
   })
 
 /**
- * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"refundPremium"`
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"createKYCAttestation"`
  */
-export const useSimulateAutomatedInsuranceProviderRefundPremium =
+export const useSimulateEasInsuranceManagerCreateKycAttestation =
   /*#__PURE__*/ createUseSimulateContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'refundPremium',
+    abi: easInsuranceManagerAbi,
+    functionName: 'createKYCAttestation',
   })
 
 /**
- * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"claimPremium"`
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"createPolicyAttestation"`
  */
-export const useSimulateAutomatedInsuranceProviderClaimPremium =
+export const useSimulateEasInsuranceManagerCreatePolicyAttestation =
   /*#__PURE__*/ createUseSimulateContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'claimPremium',
+    abi: easInsuranceManagerAbi,
+    functionName: 'createPolicyAttestation',
   })
 
 /**
- * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setAutomationEnabled"`
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"createPremiumAttestation"`
  */
-export const useSimulateAutomatedInsuranceProviderSetAutomationEnabled =
+export const useSimulateEasInsuranceManagerCreatePremiumAttestation =
   /*#__PURE__*/ createUseSimulateContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'setAutomationEnabled',
+    abi: easInsuranceManagerAbi,
+    functionName: 'createPremiumAttestation',
   })
 
 /**
- * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"setUpkeepInterval"`
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"createWeatherAttestation"`
  */
-export const useSimulateAutomatedInsuranceProviderSetUpkeepInterval =
+export const useSimulateEasInsuranceManagerCreateWeatherAttestation =
   /*#__PURE__*/ createUseSimulateContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'setUpkeepInterval',
+    abi: easInsuranceManagerAbi,
+    functionName: 'createWeatherAttestation',
   })
 
 /**
- * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"manualWeatherUpdate"`
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"registerComplianceProvider"`
  */
-export const useSimulateAutomatedInsuranceProviderManualWeatherUpdate =
+export const useSimulateEasInsuranceManagerRegisterComplianceProvider =
   /*#__PURE__*/ createUseSimulateContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'manualWeatherUpdate',
+    abi: easInsuranceManagerAbi,
+    functionName: 'registerComplianceProvider',
   })
 
 /**
- * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `functionName` set to `"addSupportedToken"`
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"registerOracleNode"`
  */
-export const useSimulateAutomatedInsuranceProviderAddSupportedToken =
+export const useSimulateEasInsuranceManagerRegisterOracleNode =
   /*#__PURE__*/ createUseSimulateContract({
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'addSupportedToken',
+    abi: easInsuranceManagerAbi,
+    functionName: 'registerOracleNode',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"renounceOwnership"`
  */
-export const useWatchAutomatedInsuranceProviderEvent =
+export const useSimulateEasInsuranceManagerRenounceOwnership =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'renounceOwnership',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"revokeKYCAttestation"`
+ */
+export const useSimulateEasInsuranceManagerRevokeKycAttestation =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'revokeKYCAttestation',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"revokePolicyAttestation"`
+ */
+export const useSimulateEasInsuranceManagerRevokePolicyAttestation =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'revokePolicyAttestation',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"revokeWeatherAttestation"`
+ */
+export const useSimulateEasInsuranceManagerRevokeWeatherAttestation =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'revokeWeatherAttestation',
+  })
+
+/**
+ * Wraps __{@link useSimulateContract}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `functionName` set to `"transferOwnership"`
+ */
+export const useSimulateEasInsuranceManagerTransferOwnership =
+  /*#__PURE__*/ createUseSimulateContract({
+    abi: easInsuranceManagerAbi,
+    functionName: 'transferOwnership',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link easInsuranceManagerAbi}__
+ */
+export const useWatchEasInsuranceManagerEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({ abi: easInsuranceManagerAbi })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `eventName` set to `"AttestationRevoked"`
+ */
+export const useWatchEasInsuranceManagerAttestationRevokedEvent =
   /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceProviderAbi,
+    abi: easInsuranceManagerAbi,
+    eventName: 'AttestationRevoked',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"ContractCreated"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `eventName` set to `"AttestorAuthorized"`
  */
-export const useWatchAutomatedInsuranceProviderContractCreatedEvent =
+export const useWatchEasInsuranceManagerAttestorAuthorizedEvent =
   /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceProviderAbi,
-    eventName: 'ContractCreated',
+    abi: easInsuranceManagerAbi,
+    eventName: 'AttestorAuthorized',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"PremiumPaid"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `eventName` set to `"ClaimAttestationCreated"`
  */
-export const useWatchAutomatedInsuranceProviderPremiumPaidEvent =
+export const useWatchEasInsuranceManagerClaimAttestationCreatedEvent =
   /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceProviderAbi,
-    eventName: 'PremiumPaid',
+    abi: easInsuranceManagerAbi,
+    eventName: 'ClaimAttestationCreated',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"ContractStateChanged"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `eventName` set to `"ComplianceAttestationCreated"`
  */
-export const useWatchAutomatedInsuranceProviderContractStateChangedEvent =
+export const useWatchEasInsuranceManagerComplianceAttestationCreatedEvent =
   /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceProviderAbi,
-    eventName: 'ContractStateChanged',
+    abi: easInsuranceManagerAbi,
+    eventName: 'ComplianceAttestationCreated',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"PremiumRefunded"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `eventName` set to `"ComplianceProviderRegistered"`
  */
-export const useWatchAutomatedInsuranceProviderPremiumRefundedEvent =
+export const useWatchEasInsuranceManagerComplianceProviderRegisteredEvent =
   /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceProviderAbi,
-    eventName: 'PremiumRefunded',
+    abi: easInsuranceManagerAbi,
+    eventName: 'ComplianceProviderRegistered',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"PremiumClaimed"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `eventName` set to `"KYCAttestationCreated"`
  */
-export const useWatchAutomatedInsuranceProviderPremiumClaimedEvent =
+export const useWatchEasInsuranceManagerKycAttestationCreatedEvent =
   /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceProviderAbi,
-    eventName: 'PremiumClaimed',
+    abi: easInsuranceManagerAbi,
+    eventName: 'KYCAttestationCreated',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"AutomationUpkeepPerformed"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `eventName` set to `"OracleNodeRegistered"`
  */
-export const useWatchAutomatedInsuranceProviderAutomationUpkeepPerformedEvent =
+export const useWatchEasInsuranceManagerOracleNodeRegisteredEvent =
   /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceProviderAbi,
-    eventName: 'AutomationUpkeepPerformed',
+    abi: easInsuranceManagerAbi,
+    eventName: 'OracleNodeRegistered',
   })
 
 /**
- * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link automatedInsuranceProviderAbi}__ and `eventName` set to `"AttestationCreated"`
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `eventName` set to `"OwnershipTransferred"`
  */
-export const useWatchAutomatedInsuranceProviderAttestationCreatedEvent =
+export const useWatchEasInsuranceManagerOwnershipTransferredEvent =
   /*#__PURE__*/ createUseWatchContractEvent({
-    abi: automatedInsuranceProviderAbi,
-    eventName: 'AttestationCreated',
+    abi: easInsuranceManagerAbi,
+    eventName: 'OwnershipTransferred',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `eventName` set to `"PolicyAttestationCreated"`
+ */
+export const useWatchEasInsuranceManagerPolicyAttestationCreatedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: easInsuranceManagerAbi,
+    eventName: 'PolicyAttestationCreated',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `eventName` set to `"PremiumAttestationCreated"`
+ */
+export const useWatchEasInsuranceManagerPremiumAttestationCreatedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: easInsuranceManagerAbi,
+    eventName: 'PremiumAttestationCreated',
+  })
+
+/**
+ * Wraps __{@link useWatchContractEvent}__ with `abi` set to __{@link easInsuranceManagerAbi}__ and `eventName` set to `"WeatherAttestationCreated"`
+ */
+export const useWatchEasInsuranceManagerWeatherAttestationCreatedEvent =
+  /*#__PURE__*/ createUseWatchContractEvent({
+    abi: easInsuranceManagerAbi,
+    eventName: 'WeatherAttestationCreated',
   })
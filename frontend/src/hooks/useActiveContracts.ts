@@ -1,10 +1,9 @@
 'use client'
 
-import { useReadContract, useReadContracts } from 'wagmi'
 import { type Address } from 'viem'
-import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
-import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
-import { CONTRACTS } from '@/config/contracts'
+import { usePolicyIndex, usePolicyWeather } from '@/hooks/usePolicyIndex'
+import { usePremiumGracePeriod } from '@/hooks/usePremiumGracePeriod'
+import { getLifecycle, type PolicyAction, type PolicyState } from '@/lib/lifecycle'
 
 export interface ActiveContract {
   address: Address
@@ -16,75 +15,58 @@ export interface ActiveContract {
   contractActive: boolean
   premiumPaid: boolean
   contractPaid: boolean
+  contractEnded: boolean
   currentRainfall: bigint
   daysWithoutRain: bigint
   lastWeatherCheck: bigint
   requestCount: bigint
+  createdAt: bigint
+  state: PolicyState
+  actions: PolicyAction[]
 }
 
-export function useActiveContracts() {
-  const isConfigured = CONTRACTS.provider !== '0x0000000000000000000000000000000000000000'
+export function useActiveContracts(includeHistorical = false) {
+  const { policies, isLoading: isIndexing, status } = usePolicyIndex({ activeOnly: !includeHistorical })
+  const gracePeriod = usePremiumGracePeriod()
+  const { weather, isLoading: isLoadingWeather } = usePolicyWeather(policies)
 
-  const { data: count } = useReadContract({
-    address: CONTRACTS.provider,
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'getActiveContractsCount',
-    query: { enabled: isConfigured },
-  })
-
-  const activeCount = Number(count || 0n)
-
-  const { data: addresses } = useReadContract({
-    address: CONTRACTS.provider,
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'getActiveContracts',
-    args: [0n, BigInt(activeCount)],
-    query: { enabled: isConfigured && activeCount > 0 },
-  })
-
-  const contractAddresses = (addresses || []) as Address[]
-
-  const { data: details, isLoading } = useReadContracts({
-    contracts: contractAddresses.flatMap((addr) => [
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'client' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'cropLocation' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'premium' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'payoutValue' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'paymentToken' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'contractActive' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'premiumPaid' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'contractPaid' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'currentRainfall' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'daysWithoutRain' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'lastWeatherCheck' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'requestCount' },
-    ]),
-    query: { enabled: contractAddresses.length > 0 },
-  })
-
-  const FIELDS = 12
-  const contracts: ActiveContract[] = contractAddresses.map((addr, i) => {
-    const get = (idx: number) => details?.[i * FIELDS + idx]?.result
+  const contracts: ActiveContract[] = policies.map((p) => {
+    const w = weather.get(p.address.toLowerCase())
+    const { state, actions } = getLifecycle({
+      premiumPaid: p.premiumPaid,
+      contractActive: p.contractActive,
+      contractPaid: p.contractPaid,
+      createdAt: p.createdAt,
+      gracePeriod,
+      premiumRefunded: p.premiumRefunded,
+      premiumClaimed: p.premiumClaimed,
+      requestCount: w?.requestCount,
+    })
     return {
-      address: addr,
-      client: (get(0) as Address) || '0x0000000000000000000000000000000000000000',
-      cropLocation: (get(1) as string) || '',
-      premium: (get(2) as bigint) || 0n,
-      payoutValue: (get(3) as bigint) || 0n,
-      paymentToken: (get(4) as Address) || '0x0000000000000000000000000000000000000000',
-      contractActive: (get(5) as boolean) || false,
-      premiumPaid: (get(6) as boolean) || false,
-      contractPaid: (get(7) as boolean) || false,
-      currentRainfall: (get(8) as bigint) || 0n,
-      daysWithoutRain: (get(9) as bigint) || 0n,
-      lastWeatherCheck: (get(10) as bigint) || 0n,
-      requestCount: (get(11) as bigint) || 0n,
+      address: p.address,
+      client: p.client,
+      cropLocation: p.cropLocation,
+      premium: p.premium,
+      payoutValue: p.payoutValue,
+      paymentToken: p.paymentToken,
+      contractActive: p.contractActive,
+      premiumPaid: p.premiumPaid,
+      contractPaid: p.contractPaid,
+      contractEnded: p.contractEnded,
+      currentRainfall: w?.currentRainfall ?? 0n,
+      daysWithoutRain: w?.daysWithoutRain ?? 0n,
+      lastWeatherCheck: w?.lastWeatherCheck ?? 0n,
+      requestCount: w?.requestCount ?? 0n,
+      createdAt: p.createdAt,
+      state,
+      actions,
     }
   })
 
   return {
-    contracts: details ? contracts : [],
-    activeCount,
-    isLoading,
+    contracts,
+    activeCount: policies.filter((p) => p.contractActive).length,
+    isLoading: isIndexing || isLoadingWeather,
+    indexStatus: status,
   }
 }
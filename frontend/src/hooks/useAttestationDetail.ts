@@ -0,0 +1,71 @@
+'use client'
+
+import { useReadContract, useReadContracts } from 'wagmi'
+import { type Address, type Hex } from 'viem'
+import { easAbi } from '@/abi/EAS'
+import { easInsuranceManagerAbi } from '@/abi/EASInsuranceManager'
+import { useNetwork } from '@/hooks/useNetwork'
+import { attesterRoles, decodeAttestation } from '@/lib/attestations'
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+// An EAS attestation decoded against the insurance schemas, with who asked for it, the
+// roles they hold in EASInsuranceManager and, once revoked, the recorded reason
+export function useAttestationDetail(uid: Hex) {
+  const { contracts } = useNetwork()
+  const hasManager = contracts.easManager !== ZERO_ADDRESS
+
+  const { data: attestation, isLoading } = useReadContract({
+    address: contracts.eas,
+    abi: easAbi,
+    functionName: 'getAttestation',
+    args: [uid],
+  })
+
+  const { data: managerData } = useReadContracts({
+    contracts: [
+      { address: contracts.easManager, abi: easInsuranceManagerAbi, functionName: 'isValidAttestation', args: [uid] },
+      { address: contracts.easManager, abi: easInsuranceManagerAbi, functionName: 'attestationRequester', args: [uid] },
+      { address: contracts.easManager, abi: easInsuranceManagerAbi, functionName: 'revocationReasons', args: [uid] },
+      { address: contracts.easManager, abi: easInsuranceManagerAbi, functionName: 'owner' },
+    ],
+    query: { enabled: hasManager },
+  })
+  const [isValid, requester, revocationReason, owner] = managerData ?? []
+
+  // Attestations made through the manager name it as the EAS attester; the requester is who
+  // called it. Managers deployed before requesters were recorded fail that read.
+  const viaManager = !!attestation && attestation.attester.toLowerCase() === contracts.easManager.toLowerCase()
+  const requestedBy = viaManager
+    ? (requester?.result && requester.result !== ZERO_ADDRESS ? requester.result : null)
+    : (attestation?.attester ?? null)
+
+  const { data: roleData } = useReadContracts({
+    contracts: requestedBy ? [
+      { address: contracts.easManager, abi: easInsuranceManagerAbi, functionName: 'authorizedAttestors', args: [requestedBy] },
+      { address: contracts.easManager, abi: easInsuranceManagerAbi, functionName: 'oracleNodes', args: [requestedBy] },
+      { address: contracts.easManager, abi: easInsuranceManagerAbi, functionName: 'complianceProviders', args: [requestedBy] },
+    ] : [],
+    query: { enabled: hasManager && !!requestedBy },
+  })
+  const [attestor, oracleNode, complianceProvider] = roleData ?? []
+
+  const roles = requestedBy ? attesterRoles({
+    owner: owner?.result?.toLowerCase() === requestedBy.toLowerCase(),
+    attestor: attestor?.result === true,
+    oracleNode: oracleNode?.result === true,
+    complianceProvider: complianceProvider?.result === true,
+  }) : []
+
+  return {
+    attestation,
+    decoded: attestation ? decodeAttestation(attestation.schema, attestation.data) : null,
+    isValid: isValid?.result === true,
+    viaManager,
+    requestedBy: requestedBy as Address | null,
+    roles,
+    // Empty when revoked directly on EAS, which records no reason
+    revocationReason: revocationReason?.result || null,
+    isLoading,
+  }
+}
@@ -0,0 +1,26 @@
+'use client'
+
+import { useReadContracts } from 'wagmi'
+import { type Hex } from 'viem'
+import { easAbi } from '@/abi/EAS'
+import { useNetwork } from '@/hooks/useNetwork'
+import { toAttestationRecord, type AttestationRecord } from '@/lib/attestationExplorer'
+
+// Fetches and decodes each UID's attestation from EAS, skipping any that fail to load
+export function useAttestationRecords(uids: readonly Hex[]) {
+  const { contracts } = useNetwork()
+
+  const { data, isLoading } = useReadContracts({
+    contracts: uids.map((uid) => ({
+      address: contracts.eas,
+      abi: easAbi,
+      functionName: 'getAttestation' as const,
+      args: [uid] as const,
+    })),
+    query: { enabled: uids.length > 0 },
+  })
+
+  const records: AttestationRecord[] = (data ?? []).flatMap((r) => (r.result ? [toAttestationRecord(r.result)] : []))
+
+  return { records, isLoading: uids.length > 0 && isLoading }
+}
@@ -0,0 +1,192 @@
+'use client'
+
+import { useRef, useState } from 'react'
+import { useAccount, usePublicClient, useReadContract, useReadContracts, useWriteContract } from 'wagmi'
+import { type Address } from 'viem'
+import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { useNetwork } from '@/hooks/useNetwork'
+import { usePolicyIndex } from '@/hooks/usePolicyIndex'
+import { isClosed } from '@/lib/indexer/reducer'
+import { chunk, outcomesFromReceipt, type UpdateResult } from '@/lib/manualUpdates'
+import { errorMessage } from '@/lib/errors'
+
+// Owner controls for Chainlink Automation: the performUpkeep forwarder and
+// manualWeatherUpdate batches for policies the upkeep hasn't reached
+export function useAutomationAdmin() {
+  const { contracts } = useNetwork()
+  const { address: account } = useAccount()
+  const publicClient = usePublicClient()
+  const { writeContractAsync } = useWriteContract()
+
+  const { data: owner } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'owner',
+  })
+  const { data: forwarder, refetch: refetchForwarder } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'automationForwarder',
+  })
+  const { data: maxBatch } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'MAX_CONTRACTS_PER_BATCH',
+  })
+
+  const { policies, isLoading: isIndexing } = usePolicyIndex({ activeOnly: true })
+  const open = policies.filter((p) => !isClosed(p))
+  const { data: needsData, isLoading: isLoadingNeeds, refetch: refetchNeeds } = useReadContracts({
+    contracts: open.map((p) => ({
+      address: p.address,
+      abi: automatedInsuranceContractAbi,
+      functionName: 'needsWeatherUpdate' as const,
+    })),
+    query: { enabled: open.length > 0 },
+  })
+  const candidates = open.map((p, i) => ({ policy: p, needsUpdate: needsData?.[i]?.result === true }))
+
+  const isOwner = !!account && !!owner && account.toLowerCase() === owner.toLowerCase()
+
+  // Forwarder
+  const [isSettingForwarder, setIsSettingForwarder] = useState(false)
+  const [forwarderError, setForwarderError] = useState<string | null>(null)
+
+  async function setForwarder(address: Address): Promise<boolean> {
+    if (!publicClient) return false
+    setIsSettingForwarder(true)
+    setForwarderError(null)
+    try {
+      const hash = await writeContractAsync({
+        address: contracts.provider,
+        abi: automatedInsuranceProviderAbi,
+        functionName: 'setAutomationForwarder',
+        args: [address],
+      })
+      const receipt = await publicClient.waitForTransactionReceipt({ hash })
+      if (receipt.status !== 'success') throw new Error('Transaction reverted')
+      // Read back from the confirmed block rather than trusting the cached value
+      const { data: stored } = await refetchForwarder()
+      if (stored?.toLowerCase() !== address.toLowerCase()) {
+        throw new Error(`Forwarder reads back as ${stored ?? 'unknown'}, expected ${address}`)
+      }
+      return true
+    } catch (error) {
+      setForwarderError(errorMessage(error))
+      return false
+    } finally {
+      setIsSettingForwarder(false)
+    }
+  }
+
+  // Manual updates
+  const [results, setResults] = useState<Map<string, UpdateResult>>(new Map())
+  const [isRunning, setIsRunning] = useState(false)
+  const [progress, setProgress] = useState<{ done: number; total: number } | null>(null)
+  const stopRequested = useRef(false)
+
+  const setMany = (addresses: Address[], result: UpdateResult) =>
+    setResults((prev) => {
+      const next = new Map(prev)
+      for (const address of addresses) next.set(address.toLowerCase(), result)
+      return next
+    })
+
+  async function simulate(batch: Address[]) {
+    await publicClient!.simulateContract({
+      account,
+      address: contracts.provider,
+      abi: automatedInsuranceProviderAbi,
+      functionName: 'manualWeatherUpdate',
+      args: [batch],
+    })
+  }
+
+  // One revert (e.g. "Too soon for weather check" or a policy out of LINK) reverts the
+  // whole batch, so a failing simulation is retried per contract to drop the offenders
+  async function sendable(batch: Address[]): Promise<Address[]> {
+    try {
+      await simulate(batch)
+      return batch
+    } catch {
+      const ok: Address[] = []
+      for (const address of batch) {
+        try {
+          await simulate([address])
+          ok.push(address)
+        } catch (error) {
+          setMany([address], { status: 'failed', error: errorMessage(error) })
+        }
+      }
+      return ok
+    }
+  }
+
+  async function updateBatch(batch: Address[]) {
+    const ok = await sendable(batch)
+    if (ok.length === 0) return
+    setMany(ok, { status: 'submitting' })
+    let hash: `0x${string}` | undefined
+    try {
+      hash = await writeContractAsync({
+        address: contracts.provider,
+        abi: automatedInsuranceProviderAbi,
+        functionName: 'manualWeatherUpdate',
+        args: [ok],
+      })
+      setMany(ok, { status: 'confirming', txHash: hash })
+      const receipt = await publicClient!.waitForTransactionReceipt({ hash })
+      if (receipt.status !== 'success') throw new Error('Transaction reverted')
+      const outcomes = outcomesFromReceipt(ok, receipt.logs)
+      setResults((prev) => {
+        const next = new Map(prev)
+        for (const [address, status] of outcomes) next.set(address, { status, txHash: hash })
+        return next
+      })
+    } catch (error) {
+      setMany(ok, { status: 'failed', txHash: hash, error: errorMessage(error) })
+    }
+  }
+
+  async function run(addresses: Address[]) {
+    if (!publicClient || maxBatch === undefined) return
+    const batches = chunk(addresses, Number(maxBatch))
+    stopRequested.current = false
+    setIsRunning(true)
+    setMany(addresses, { status: 'queued' })
+    setProgress({ done: 0, total: batches.length })
+    for (const [i, batch] of batches.entries()) {
+      if (stopRequested.current) {
+        setMany(batch, { status: 'skipped' })
+        continue
+      }
+      await updateBatch(batch)
+      setProgress({ done: i + 1, total: batches.length })
+    }
+    setProgress(null)
+    setIsRunning(false)
+    refetchNeeds()
+  }
+
+  function stop() {
+    stopRequested.current = true
+  }
+
+  return {
+    isOwner,
+    forwarder,
+    setForwarder,
+    isSettingForwarder,
+    forwarderError,
+    maxBatch: maxBatch === undefined ? undefined : Number(maxBatch),
+    candidates,
+    isLoading: isIndexing || isLoadingNeeds,
+    results,
+    isRunning,
+    progress,
+    run,
+    stop,
+    reset: () => setResults(new Map()),
+  }
+}
@@ -0,0 +1,171 @@
+'use client'
+
+import { useMemo, useRef, useState } from 'react'
+import { useAccount, usePublicClient, useReadContract, useReadContracts, useWriteContract } from 'wagmi'
+import { erc20Abi, parseEventLogs, type Address } from 'viem'
+import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { useNetwork } from '@/hooks/useNetwork'
+import { useTokenPrices } from '@/hooks/useTokenPrices'
+import { ethForPayout, withBuffer, type BulkPolicyRow, type BulkToken, type RowResult } from '@/lib/bulkPolicies'
+import { errorMessage } from '@/lib/errors'
+
+const ETH = '0x0000000000000000000000000000000000000000'
+
+export function useBulkCreate() {
+  const { contracts, tokens } = useNetwork()
+  const bulkTokens: BulkToken[] = useMemo(() => Object.values(tokens), [tokens])
+  const { address: account } = useAccount()
+  const publicClient = usePublicClient()
+  const { writeContractAsync } = useWriteContract()
+
+  const { data: supportedData } = useReadContracts({
+    contracts: bulkTokens.map((t) => ({
+      address: contracts.provider,
+      abi: automatedInsuranceProviderAbi,
+      functionName: 'supportedTokens' as const,
+      args: [t.address] as const,
+    })),
+  })
+  // Stable between renders so the page can memoize CSV validation on it
+  const supported = useMemo(
+    () => supportedData
+      ? new Set(bulkTokens.filter((_, i) => supportedData[i]?.result === true).map((t) => t.address.toLowerCase()))
+      : undefined,
+    [supportedData, bulkTokens],
+  )
+
+  const { prices: tokenPrices } = useTokenPrices(bulkTokens.map((t) => t.address))
+  const prices = new Map([...tokenPrices].map(([token, p]) => [token, p.price]))
+
+  const { data: linkToken } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'linkToken',
+  })
+  const { data: providerLink, refetch: refetchLink } = useReadContract({
+    address: linkToken,
+    abi: erc20Abi,
+    functionName: 'balanceOf',
+    args: [contracts.provider],
+    query: { enabled: !!linkToken },
+  })
+
+  const [results, setResults] = useState<Map<number, RowResult>>(new Map())
+  const [isRunning, setIsRunning] = useState(false)
+  const stopRequested = useRef(false)
+
+  const setResult = (line: number, result: RowResult) =>
+    setResults((prev) => new Map(prev).set(line, result))
+
+  // newContract pulls an ERC-20 policy's payout from the caller, so approve this row's amount, with
+  // the price buffer in case the feed moves before it lands, unless the allowance already covers it
+  async function approveFunding(token: Address, payout: bigint, bufferBps: number) {
+    if (!publicClient || !account) return
+    const amount = await publicClient.readContract({
+      address: contracts.provider,
+      abi: automatedInsuranceProviderAbi,
+      functionName: 'getTokenAmountForUSD',
+      args: [token, payout],
+    })
+    const allowance = await publicClient.readContract({
+      address: token,
+      abi: erc20Abi,
+      functionName: 'allowance',
+      args: [account, contracts.provider],
+    })
+    if (allowance >= amount) return
+
+    const hash = await writeContractAsync({
+      address: token,
+      abi: erc20Abi,
+      functionName: 'approve',
+      args: [contracts.provider, withBuffer(amount, bufferBps)],
+    })
+    const receipt = await publicClient.waitForTransactionReceipt({ hash })
+    if (receipt.status !== 'success') throw new Error('Approval reverted')
+  }
+
+  async function createOne(row: BulkPolicyRow, bufferBps: number) {
+    if (!publicClient || !row.token) return
+    try {
+      let value = 0n
+      if (row.token.address !== ETH) {
+        setResult(row.line, { status: 'approving' })
+        await approveFunding(row.token.address, row.payout, bufferBps)
+      }
+      setResult(row.line, { status: 'submitting' })
+      if (row.token.address === ETH) {
+        // Re-read the price per row; a 200-row run can outlive several feed updates
+        const ethPrice = await publicClient.readContract({
+          address: contracts.provider,
+          abi: automatedInsuranceProviderAbi,
+          functionName: 'getLatestPrice',
+        })
+        value = withBuffer(ethForPayout(row.payout, ethPrice), bufferBps)
+      }
+
+      const hash = await writeContractAsync({
+        address: contracts.provider,
+        abi: automatedInsuranceProviderAbi,
+        functionName: 'newContract',
+        args: [row.client as Address, BigInt(row.durationDays) * 86400n, row.premium, row.payout, row.location, row.token.address],
+        value,
+      })
+      setResult(row.line, { status: 'confirming', txHash: hash })
+
+      const receipt = await publicClient.waitForTransactionReceipt({ hash })
+      if (receipt.status !== 'success') throw new Error('Transaction reverted')
+      const [created] = parseEventLogs({ abi: automatedInsuranceProviderAbi, eventName: 'ContractCreated', logs: receipt.logs })
+      const contract = created?.args.insuranceContract
+      // The payout escrow the policy actually holds, in its payment token's units
+      const funded = contract
+        ? await publicClient.readContract({
+            address: contract, abi: automatedInsuranceContractAbi, functionName: 'getContractBalance',
+          })
+        : undefined
+      setResult(row.line, { status: 'created', txHash: hash, contract, funded })
+    } catch (error) {
+      setResults((prev) => {
+        const txHash = prev.get(row.line)?.txHash
+        return new Map(prev).set(row.line, { status: 'failed', txHash, error: errorMessage(error) })
+      })
+    }
+  }
+
+  // Submit rows one at a time so each newContract sees the previous one's LINK and nonce
+  async function run(rows: BulkPolicyRow[], bufferBps: number) {
+    stopRequested.current = false
+    setIsRunning(true)
+    setResults((prev) => {
+      const next = new Map(prev)
+      for (const row of rows) next.set(row.line, { status: 'queued' })
+      return next
+    })
+    for (const row of rows) {
+      if (stopRequested.current) {
+        setResult(row.line, { status: 'skipped' })
+        continue
+      }
+      await createOne(row, bufferBps)
+    }
+    setIsRunning(false)
+    refetchLink()
+  }
+
+  function stop() {
+    stopRequested.current = true
+  }
+
+  return {
+    tokens: bulkTokens,
+    supported,
+    prices,
+    providerLink: providerLink as bigint | undefined,
+    results,
+    isRunning,
+    run,
+    stop,
+    reset: () => setResults(new Map()),
+  }
+}
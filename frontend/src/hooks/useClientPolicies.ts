@@ -1,10 +1,9 @@
 'use client'
 
-import { useReadContract, useReadContracts } from 'wagmi'
 import { type Address } from 'viem'
-import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
-import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
-import { CONTRACTS } from '@/config/contracts'
+import { usePolicyIndex, usePolicyWeather } from '@/hooks/usePolicyIndex'
+import { usePremiumGracePeriod } from '@/hooks/usePremiumGracePeriod'
+import { getLifecycle, type PolicyAction, type PolicyState } from '@/lib/lifecycle'
 
 export interface PolicySummary {
   address: Address
@@ -20,64 +19,53 @@ export interface PolicySummary {
   daysWithoutRain: bigint
   duration: bigint
   activatedAt: bigint
+  createdAt: bigint
+  state: PolicyState
+  actions: PolicyAction[]
 }
 
 export function useClientPolicies(clientAddress: Address | undefined) {
-  const { data: contractAddresses, isLoading: isLoadingAddresses, error: addressError } = useReadContract({
-    address: CONTRACTS.provider,
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'getContractsByClient',
-    args: clientAddress ? [clientAddress] : undefined,
-    query: { enabled: !!clientAddress && CONTRACTS.provider !== '0x0000000000000000000000000000000000000000' },
-  })
-
-  const contracts = (contractAddresses || []) as Address[]
-
-  const { data: policyData, isLoading: isLoadingPolicies } = useReadContracts({
-    contracts: contracts.flatMap((addr) => [
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'client' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'cropLocation' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'premium' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'payoutValue' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'paymentToken' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'contractActive' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'premiumPaid' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'contractPaid' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'currentRainfall' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'daysWithoutRain' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'duration' },
-      { address: addr, abi: automatedInsuranceContractAbi, functionName: 'activatedAt' },
-    ]),
-    query: { enabled: contracts.length > 0 },
-  })
-
-  const FIELDS_PER_CONTRACT = 12
-
-  const policies: PolicySummary[] = contracts.map((addr, i) => {
-    const offset = i * FIELDS_PER_CONTRACT
-    const get = (idx: number) => policyData?.[offset + idx]?.result
+  const { policies: indexed, isLoading: isIndexing, status } = usePolicyIndex({ client: clientAddress })
+  const clientPolicies = clientAddress ? indexed : []
+  const gracePeriod = usePremiumGracePeriod()
+  const { weather, isLoading: isLoadingWeather } = usePolicyWeather(clientPolicies)
 
+  const policies: PolicySummary[] = clientPolicies.map((p) => {
+    const w = weather.get(p.address.toLowerCase())
+    const { state, actions } = getLifecycle({
+      premiumPaid: p.premiumPaid,
+      contractActive: p.contractActive,
+      contractPaid: p.contractPaid,
+      createdAt: p.createdAt,
+      gracePeriod,
+      premiumRefunded: p.premiumRefunded,
+      premiumClaimed: p.premiumClaimed,
+      requestCount: w?.requestCount,
+    })
     return {
-      address: addr,
-      client: (get(0) as Address) || '0x0000000000000000000000000000000000000000',
-      cropLocation: (get(1) as string) || '',
-      premium: (get(2) as bigint) || 0n,
-      payoutValue: (get(3) as bigint) || 0n,
-      paymentToken: (get(4) as Address) || '0x0000000000000000000000000000000000000000',
-      contractActive: (get(5) as boolean) || false,
-      premiumPaid: (get(6) as boolean) || false,
-      contractPaid: (get(7) as boolean) || false,
-      currentRainfall: (get(8) as bigint) || 0n,
-      daysWithoutRain: (get(9) as bigint) || 0n,
-      duration: (get(10) as bigint) || 0n,
-      activatedAt: (get(11) as bigint) || 0n,
+      address: p.address,
+      client: p.client,
+      cropLocation: p.cropLocation,
+      premium: p.premium,
+      payoutValue: p.payoutValue,
+      paymentToken: p.paymentToken,
+      contractActive: p.contractActive,
+      premiumPaid: p.premiumPaid,
+      contractPaid: p.contractPaid,
+      currentRainfall: w?.currentRainfall ?? 0n,
+      daysWithoutRain: w?.daysWithoutRain ?? 0n,
+      duration: p.duration,
+      activatedAt: p.activatedAt,
+      createdAt: p.createdAt,
+      state,
+      actions,
     }
   })
 
   return {
-    policies: policyData ? policies : [],
-    contractAddresses: contracts,
-    isLoading: isLoadingAddresses || isLoadingPolicies,
-    error: addressError,
+    policies,
+    contractAddresses: clientPolicies.map((p) => p.address),
+    isLoading: !!clientAddress && (isIndexing || isLoadingWeather),
+    error: status.error,
   }
 }
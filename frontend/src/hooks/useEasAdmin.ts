@@ -0,0 +1,162 @@
+'use client'
+
+import { useState } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import { useAccount, usePublicClient, useReadContract, useWriteContract } from 'wagmi'
+import { type Address, type Hex, type PublicClient } from 'viem'
+import { easAbi } from '@/abi/EAS'
+import { easInsuranceManagerAbi } from '@/abi/EASInsuranceManager'
+import { useNetwork } from '@/hooks/useNetwork'
+import { attestationTypeForSchema, type AttestationType } from '@/lib/attestations'
+import {
+  MANAGER_ROLES, applyRoleEvents, fetchRoleEvents, revocationPlan, validateRevocationReason, type ManagerRole,
+  type RevokeFunction,
+} from '@/lib/easRoles'
+import { errorMessage } from '@/lib/errors'
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+export interface RevocationTarget {
+  uid: Hex
+  type: AttestationType | null
+  recipient: Address
+  time: bigint
+  plan: { fn: RevokeFunction } | { error: string }
+}
+
+// Owner controls for EASInsuranceManager: role holders from the grant events, role
+// toggles and revocation of policy and weather attestations with a recorded reason
+export function useEasAdmin() {
+  const { chainId, contracts, deployBlock } = useNetwork()
+  const { address: account } = useAccount()
+  const publicClient = usePublicClient()
+  const queryClient = useQueryClient()
+  const { writeContractAsync } = useWriteContract()
+  const isConfigured = contracts.easManager !== ZERO_ADDRESS
+  const rolesQueryKey = ['easRoles', chainId, contracts.easManager]
+
+  const { data: owner } = useReadContract({
+    address: contracts.easManager,
+    abi: easInsuranceManagerAbi,
+    functionName: 'owner',
+    query: { enabled: isConfigured },
+  })
+
+  const { data: holders, isLoading, error } = useQuery({
+    queryKey: rolesQueryKey,
+    queryFn: async () =>
+      applyRoleEvents(await fetchRoleEvents(publicClient as PublicClient, contracts.easManager, deployBlock)),
+    enabled: !!publicClient && isConfigured,
+  })
+
+  const isOwner = !!account && !!owner && account.toLowerCase() === owner.toLowerCase()
+
+  async function send(request: Parameters<typeof writeContractAsync>[0]) {
+    if (!publicClient) throw new Error('No RPC client')
+    const hash = await writeContractAsync(request)
+    const receipt = await publicClient.waitForTransactionReceipt({ hash })
+    if (receipt.status !== 'success') throw new Error('Transaction reverted')
+  }
+
+  // Roles
+  const [pendingRole, setPendingRole] = useState<string | null>(null)
+  const [roleError, setRoleError] = useState<string | null>(null)
+
+  async function setRole(role: ManagerRole, holder: Address, enabled: boolean): Promise<boolean> {
+    setPendingRole(`${role}:${holder.toLowerCase()}`)
+    setRoleError(null)
+    try {
+      await send({
+        address: contracts.easManager,
+        abi: easInsuranceManagerAbi,
+        functionName: MANAGER_ROLES[role].setter,
+        args: [holder, enabled],
+      })
+      await queryClient.invalidateQueries({ queryKey: rolesQueryKey })
+      return true
+    } catch (e) {
+      setRoleError(errorMessage(e))
+      return false
+    } finally {
+      setPendingRole(null)
+    }
+  }
+
+  // Revocation
+  const [target, setTarget] = useState<RevocationTarget | null>(null)
+  const [isLooking, setIsLooking] = useState(false)
+  const [isRevoking, setIsRevoking] = useState(false)
+  const [revokeError, setRevokeError] = useState<string | null>(null)
+
+  async function lookUp(uid: Hex) {
+    if (!publicClient) return
+    setIsLooking(true)
+    setRevokeError(null)
+    setTarget(null)
+    try {
+      const [attestation, isValid] = await Promise.all([
+        publicClient.readContract({ address: contracts.eas, abi: easAbi, functionName: 'getAttestation', args: [uid] }),
+        publicClient.readContract({ address: contracts.easManager, abi: easInsuranceManagerAbi, functionName: 'isValidAttestation', args: [uid] }),
+      ])
+      if (/^0x0+$/.test(attestation.uid)) throw new Error('No attestation with that UID')
+      const type = attestationTypeForSchema(attestation.schema)
+      setTarget({
+        uid,
+        type,
+        recipient: attestation.recipient,
+        time: attestation.time,
+        plan: revocationPlan({ type, revocable: attestation.revocable, revocationTime: attestation.revocationTime, isValid }),
+      })
+    } catch (e) {
+      setRevokeError(errorMessage(e))
+    } finally {
+      setIsLooking(false)
+    }
+  }
+
+  async function revoke(reason: string): Promise<boolean> {
+    if (!target || !('fn' in target.plan)) return false
+    const invalid = validateRevocationReason(reason)
+    if (invalid) {
+      setRevokeError(invalid)
+      return false
+    }
+    setIsRevoking(true)
+    setRevokeError(null)
+    try {
+      await send({
+        address: contracts.easManager,
+        abi: easInsuranceManagerAbi,
+        functionName: target.plan.fn,
+        args: [target.uid, reason.trim()],
+      })
+      // Cached EAS reads (explorer, detail page) now show the revocation
+      await queryClient.invalidateQueries({ queryKey: ['readContracts'] })
+      setTarget(null)
+      return true
+    } catch (e) {
+      setRevokeError(errorMessage(e))
+      return false
+    } finally {
+      setIsRevoking(false)
+    }
+  }
+
+  return {
+    isConfigured,
+    owner,
+    isOwner,
+    holders: holders ?? [],
+    isLoading,
+    error,
+    setRole,
+    pendingRole,
+    roleError,
+    target,
+    lookUp,
+    isLooking,
+    revoke,
+    isRevoking,
+    revokeError,
+  }
+}
@@ -0,0 +1,165 @@
+'use client'
+
+import { useState } from 'react'
+import { useAccount, usePublicClient, useSignMessage } from 'wagmi'
+import {
+  erc20Abi, formatLog, numberToHex, pad, parseEventLogs, type Address, type Hex, type PublicClient,
+} from 'viem'
+import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { easAbi } from '@/abi/EAS'
+import { easInsuranceManagerAbi } from '@/abi/EASInsuranceManager'
+import { useNetwork } from '@/hooks/useNetwork'
+import { downloadFile } from '@/lib/csv'
+import { compareLogs, getLogsInChunks } from '@/lib/logs'
+import { policyLocation, policyTimeline, toAttestationRecord, type EasAttestation } from '@/lib/attestationExplorer'
+import {
+  EVIDENCE_FORMAT, EVIDENCE_VERSION, POLICY_PARAMETERS, bundleDigest, evidenceFilename,
+  payoutsFromEvents, serializeSignedBundle, toEvidenceAttestation, toEvidenceEvents, type EvidenceBundle,
+  type TokenTransfer,
+} from '@/lib/evidenceBundle'
+import { errorMessage } from '@/lib/errors'
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+interface EvidenceSource {
+  policy: Address
+  chainId: number
+  fromBlock: bigint
+  contracts: { provider: Address; eas: Address; easManager: Address }
+}
+
+async function readAttestations(client: PublicClient, eas: Address, uids: readonly Hex[], blockNumber: bigint) {
+  return Promise.all(uids.map((uid) =>
+    client.readContract({ address: eas, abi: easAbi, functionName: 'getAttestation', args: [uid], blockNumber }),
+  )) as Promise<EasAttestation[]>
+}
+
+// Policy, claim and premium attestations from the manager, plus the weather ones
+// inside the cover period (the same set as the explorer's policy timeline)
+async function collectAttestations(client: PublicClient, { policy, contracts }: EvidenceSource, blockNumber: bigint) {
+  if (contracts.easManager === ZERO_ADDRESS) return []
+  const lists = await Promise.all((['getPolicyAttestations', 'getClaimAttestations', 'getPremiumAttestations'] as const).map(
+    (functionName) => client.readContract({
+      address: contracts.easManager, abi: easInsuranceManagerAbi, functionName, args: [policy], blockNumber,
+    }),
+  ))
+  const attestations = await readAttestations(client, contracts.eas, lists.flat(), blockNumber)
+  const records = attestations.map(toAttestationRecord)
+
+  const location = policyLocation(records)
+  const weatherUids = location
+    ? await client.readContract({
+        address: contracts.easManager, abi: easInsuranceManagerAbi, functionName: 'getWeatherAttestations', args: [location], blockNumber,
+      })
+    : []
+  const weather = await readAttestations(client, contracts.eas, weatherUids, blockNumber)
+
+  const byUid = new Map([...attestations, ...weather].map((a) => [a.uid, a]))
+  return policyTimeline(records, weather.map(toAttestationRecord))
+    .reverse()
+    .map((record) => toEvidenceAttestation(byUid.get(record.uid)!))
+}
+
+async function collectEvidence(client: PublicClient, source: EvidenceSource): Promise<EvidenceBundle> {
+  const { policy, contracts, fromBlock } = source
+  const block = await client.getBlock()
+  const blockNumber = block.number
+
+  const values = await Promise.all(POLICY_PARAMETERS.map((functionName) =>
+    client.readContract({ address: policy, abi: automatedInsuranceContractAbi, functionName, blockNumber }),
+  ))
+  const parameters: Record<string, unknown> = Object.fromEntries(POLICY_PARAMETERS.map((name, i) => [name, values[i]]))
+
+  const policyLogs = await getLogsInChunks(
+    (from, to) => client.getLogs({ address: policy, fromBlock: from, toBlock: to }),
+    fromBlock,
+    blockNumber,
+  )
+  // Provider events about this policy all index its address first
+  const providerLogs = await getLogsInChunks(
+    async (from, to) => {
+      const logs = await client.request({
+        method: 'eth_getLogs',
+        params: [{ address: contracts.provider, topics: [null, pad(policy)], fromBlock: numberToHex(from), toBlock: numberToHex(to) }],
+      })
+      return logs.map((log) => formatLog(log))
+    },
+    fromBlock,
+    blockNumber,
+  )
+  const events = [
+    ...toEvidenceEvents(policyLogs, automatedInsuranceContractAbi),
+    ...toEvidenceEvents(providerLogs, automatedInsuranceProviderAbi),
+  ].sort(compareLogs)
+
+  const paymentToken = parameters.paymentToken as Address
+  const policyClient = parameters.client as Address
+  let transfers: TokenTransfer[] = []
+  if (paymentToken !== ZERO_ADDRESS) {
+    const hashes = [...new Set(events.filter((e) => e.event === 'PayoutMade').map((e) => e.transactionHash))]
+    const receipts = await Promise.all(hashes.map((hash) => client.getTransactionReceipt({ hash })))
+    transfers = receipts.flatMap((receipt) =>
+      parseEventLogs({ abi: erc20Abi, eventName: 'Transfer', logs: receipt.logs }).map((log) => ({
+        address: log.address,
+        from: log.args.from,
+        to: log.args.to,
+        value: log.args.value,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+      })),
+    )
+  }
+
+  return {
+    format: EVIDENCE_FORMAT,
+    version: EVIDENCE_VERSION,
+    chainId: source.chainId,
+    generatedAt: new Date().toISOString(),
+    fromBlock,
+    block: { number: blockNumber, hash: block.hash, timestamp: block.timestamp },
+    contracts,
+    policy: { address: policy, parameters },
+    attestations: await collectAttestations(client, source, blockNumber),
+    events,
+    payouts: payoutsFromEvents(events, transfers, { policy, client: policyClient, paymentToken }),
+  }
+}
+
+// Snapshots everything on-chain about a policy at the current block, has the connected
+// wallet sign its digest and downloads the signed bundle
+export function useEvidenceBundle(contractAddress: Address) {
+  const { chainId, contracts, deployBlock } = useNetwork()
+  const publicClient = usePublicClient()
+  const { address: account } = useAccount()
+  const { signMessageAsync } = useSignMessage()
+
+  const [isExporting, setIsExporting] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [exported, setExported] = useState<{ filename: string; digest: Hex } | null>(null)
+
+  async function exportBundle() {
+    if (!publicClient || !account) return
+    setIsExporting(true)
+    setError(null)
+    try {
+      const bundle = await collectEvidence(publicClient as PublicClient, {
+        policy: contractAddress,
+        chainId,
+        fromBlock: deployBlock,
+        contracts: { provider: contracts.provider, eas: contracts.eas, easManager: contracts.easManager },
+      })
+      const digest = bundleDigest(bundle)
+      const signature = await signMessageAsync({ message: { raw: digest } })
+      const filename = evidenceFilename(contractAddress, bundle.block.number)
+      downloadFile(filename, serializeSignedBundle({ bundle, digest, signer: account, signature }), 'application/json')
+      setExported({ filename, digest })
+    } catch (e) {
+      setError(errorMessage(e, 'Export failed'))
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  return { exportBundle, isExporting, error, exported, canExport: !!publicClient && !!account }
+}
@@ -0,0 +1,201 @@
+'use client'
+
+import { useState } from 'react'
+import { useAccount, usePublicClient, useReadContract, useReadContracts, useWriteContract } from 'wagmi'
+import { type Address, type Hex } from 'viem'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { easAbi } from '@/abi/EAS'
+import { easInsuranceManagerAbi } from '@/abi/EASInsuranceManager'
+import { useNetwork } from '@/hooks/useNetwork'
+import { validateRevocationReason } from '@/lib/easRoles'
+import { currentKyc, toKycRecord, type KycRecord } from '@/lib/kyc'
+import { errorMessage } from '@/lib/errors'
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+// A client's KYC attestations, oldest first, and whether the manager counts them as verified
+export function useClientKyc(client: Address | undefined) {
+  const { contracts } = useNetwork()
+  const enabled = !!client && contracts.easManager !== ZERO_ADDRESS
+
+  const { data: uids, isLoading: isLoadingUids, refetch: refetchUids } = useReadContract({
+    address: contracts.easManager,
+    abi: easInsuranceManagerAbi,
+    functionName: 'getKYCAttestations',
+    args: client ? [client] : undefined,
+    query: { enabled },
+  })
+  const { data: hasValidKYC, refetch: refetchValid } = useReadContract({
+    address: contracts.easManager,
+    abi: easInsuranceManagerAbi,
+    functionName: 'hasValidKYC',
+    args: client ? [client] : undefined,
+    query: { enabled },
+  })
+  const { data: attestations, isLoading: isLoadingAttestations } = useReadContracts({
+    contracts: (uids ?? []).map((uid) => ({
+      address: contracts.eas,
+      abi: easAbi,
+      functionName: 'getAttestation' as const,
+      args: [uid] as const,
+    })),
+    query: { enabled: (uids?.length ?? 0) > 0 },
+  })
+
+  const now = BigInt(Math.floor(Date.now() / 1000))
+  const records: KycRecord[] = (attestations ?? []).flatMap((r) => {
+    const record = r.result ? toKycRecord(r.result, now) : null
+    return record ? [record] : []
+  })
+
+  async function refetch() {
+    await Promise.all([refetchUids(), refetchValid()])
+  }
+
+  return {
+    records,
+    current: currentKyc(records),
+    hasValidKYC: hasValidKYC === true,
+    isLoading: enabled && (isLoadingUids || isLoadingAttestations),
+    refetch,
+  }
+}
+
+// Compliance-provider actions: issue and revoke KYC attestations through the manager
+export function useKycIssuer() {
+  const { contracts } = useNetwork()
+  const { address: account } = useAccount()
+  const publicClient = usePublicClient()
+  const { writeContractAsync } = useWriteContract()
+  const isConfigured = contracts.easManager !== ZERO_ADDRESS
+
+  const { data: roleData } = useReadContracts({
+    contracts: [
+      { address: contracts.easManager, abi: easInsuranceManagerAbi, functionName: 'owner' },
+      { address: contracts.easManager, abi: easInsuranceManagerAbi, functionName: 'complianceProviders', args: [account ?? ZERO_ADDRESS] },
+    ],
+    query: { enabled: isConfigured && !!account },
+  })
+  const [owner, isProvider] = roleData ?? []
+  // The manager lets its owner act as every role
+  const canIssue = !!account && (isProvider?.result === true || owner?.result?.toLowerCase() === account.toLowerCase())
+
+  const [isIssuing, setIsIssuing] = useState(false)
+  const [issueError, setIssueError] = useState<string | null>(null)
+  const [revoking, setRevoking] = useState<Hex | null>(null)
+  const [revokeError, setRevokeError] = useState<string | null>(null)
+
+  async function send(request: Parameters<typeof writeContractAsync>[0]) {
+    if (!publicClient) throw new Error('No RPC client')
+    const hash = await writeContractAsync(request)
+    const receipt = await publicClient.waitForTransactionReceipt({ hash })
+    if (receipt.status !== 'success') throw new Error('Transaction reverted')
+  }
+
+  async function issue(params: {
+    client: Address
+    verificationType: string
+    verified: boolean
+    complianceLevel: string
+    documentHash: Hex
+    validFor: bigint
+  }): Promise<boolean> {
+    setIsIssuing(true)
+    setIssueError(null)
+    try {
+      await send({
+        address: contracts.easManager,
+        abi: easInsuranceManagerAbi,
+        functionName: 'createKYCAttestation',
+        args: [params.client, params.verificationType, params.verified, params.complianceLevel, params.documentHash, params.validFor],
+      })
+      return true
+    } catch (e) {
+      setIssueError(errorMessage(e))
+      return false
+    } finally {
+      setIsIssuing(false)
+    }
+  }
+
+  async function revoke(uid: Hex, reason: string): Promise<boolean> {
+    const invalid = validateRevocationReason(reason)
+    if (invalid) {
+      setRevokeError(invalid)
+      return false
+    }
+    setRevoking(uid)
+    setRevokeError(null)
+    try {
+      await send({
+        address: contracts.easManager,
+        abi: easInsuranceManagerAbi,
+        functionName: 'revokeKYCAttestation',
+        args: [uid, reason.trim()],
+      })
+      return true
+    } catch (e) {
+      setRevokeError(errorMessage(e))
+      return false
+    } finally {
+      setRevoking(null)
+    }
+  }
+
+  return { isConfigured, canIssue, issue, isIssuing, issueError, revoke, revoking, revokeError }
+}
+
+// The provider's optional KYC gate on newContract
+export function useKycRequirement() {
+  const { contracts } = useNetwork()
+  const { address: account } = useAccount()
+  const publicClient = usePublicClient()
+  const { writeContractAsync } = useWriteContract()
+
+  const { data, refetch } = useReadContracts({
+    contracts: [
+      { address: contracts.provider, abi: automatedInsuranceProviderAbi, functionName: 'kycRequired' },
+      { address: contracts.provider, abi: automatedInsuranceProviderAbi, functionName: 'owner' },
+      { address: contracts.provider, abi: automatedInsuranceProviderAbi, functionName: 'easManager' },
+    ],
+  })
+  const [kycRequired, owner, easManager] = data ?? []
+
+  const isOwner = !!account && owner?.result?.toLowerCase() === account.toLowerCase()
+  const hasManager = !!easManager?.result && easManager.result !== ZERO_ADDRESS
+
+  const [isSaving, setIsSaving] = useState(false)
+  const [saveError, setSaveError] = useState<string | null>(null)
+
+  async function setRequired(required: boolean): Promise<boolean> {
+    if (!publicClient) return false
+    setIsSaving(true)
+    setSaveError(null)
+    try {
+      const hash = await writeContractAsync({
+        address: contracts.provider,
+        abi: automatedInsuranceProviderAbi,
+        functionName: 'setKYCRequired',
+        args: [required],
+      })
+      const receipt = await publicClient.waitForTransactionReceipt({ hash })
+      if (receipt.status !== 'success') throw new Error('Transaction reverted')
+      await refetch()
+      return true
+    } catch (e) {
+      setSaveError(errorMessage(e))
+      return false
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return {
+    kycRequired: kycRequired?.result === true,
+    isOwner,
+    hasManager,
+    setRequired,
+    isSaving,
+    saveError,
+  }
+}
@@ -0,0 +1,102 @@
+'use client'
+
+import { useState } from 'react'
+import { usePublicClient, useReadContract, useReadContracts, useWriteContract } from 'wagmi'
+import { erc20Abi } from 'viem'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { useNetwork } from '@/hooks/useNetwork'
+import { usePolicyIndex, usePolicyWeather } from '@/hooks/usePolicyIndex'
+import { isClosed } from '@/lib/indexer/reducer'
+import { projectLinkBudget, type LinkBudget, type TopUpPlan } from '@/lib/linkBudget'
+import { errorMessage } from '@/lib/errors'
+
+export function useLinkBudget() {
+  const { contracts } = useNetwork()
+  const publicClient = usePublicClient()
+  const { policies, isLoading: isIndexing } = usePolicyIndex()
+  const open = policies.filter((p) => !isClosed(p))
+  const { weather, isLoading: isLoadingWeather } = usePolicyWeather(open)
+
+  const { data: linkToken } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'linkToken',
+  })
+  const { data: providerBalance, refetch: refetchProvider } = useReadContract({
+    address: linkToken,
+    abi: erc20Abi,
+    functionName: 'balanceOf',
+    args: [contracts.provider],
+    query: { enabled: !!linkToken },
+  })
+  const { data: balances, isLoading: isLoadingBalances, refetch: refetchBalances } = useReadContracts({
+    contracts: open.map((p) => ({
+      address: linkToken,
+      abi: erc20Abi,
+      functionName: 'balanceOf' as const,
+      args: [p.address] as const,
+    })),
+    query: { enabled: !!linkToken && open.length > 0 },
+  })
+
+  const now = BigInt(Math.floor(Date.now() / 1000))
+  // Policies whose balance has not loaded yet are left out rather than shown as dry
+  const budgets: LinkBudget[] = open.flatMap((p, i) => {
+    const balance = balances?.[i]?.result as bigint | undefined
+    if (balance === undefined) return []
+    return [
+      projectLinkBudget(
+        {
+          address: p.address,
+          balance,
+          contractActive: p.contractActive,
+          contractPaid: p.contractPaid,
+          premiumPaid: p.premiumPaid,
+          activatedAt: p.activatedAt,
+          duration: p.duration,
+          lastWeatherCheck: weather.get(p.address.toLowerCase())?.lastWeatherCheck || p.activatedAt,
+        },
+        now,
+      ),
+    ]
+  })
+
+  const { writeContractAsync } = useWriteContract()
+  const [progress, setProgress] = useState<{ done: number; total: number } | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  // One topUpLink transaction per batch, sent in order
+  async function topUp(plan: TopUpPlan) {
+    if (!publicClient || plan.batches.length === 0) return
+    setError(null)
+    setProgress({ done: 0, total: plan.batches.length })
+    try {
+      for (const [i, batch] of plan.batches.entries()) {
+        const hash = await writeContractAsync({
+          address: contracts.provider,
+          abi: automatedInsuranceProviderAbi,
+          functionName: 'topUpLink',
+          args: [batch.contracts, batch.amounts],
+        })
+        const receipt = await publicClient.waitForTransactionReceipt({ hash })
+        if (receipt.status !== 'success') throw new Error(`Batch ${i + 1} reverted`)
+        setProgress({ done: i + 1, total: plan.batches.length })
+      }
+    } catch (e) {
+      setError(errorMessage(e, 'Top-up failed'))
+    } finally {
+      setProgress(null)
+      refetchBalances()
+      refetchProvider()
+    }
+  }
+
+  return {
+    budgets,
+    providerBalance: providerBalance as bigint | undefined,
+    isLoading: isIndexing || isLoadingWeather || isLoadingBalances,
+    topUp,
+    progress,
+    error,
+  }
+}
@@ -0,0 +1,44 @@
+'use client'
+
+import { useMemo } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { useChainId, usePublicClient } from 'wagmi'
+import { type Address, type PublicClient } from 'viem'
+import { getContracts, getProviderDeployBlock, getTokenByAddress, getTokens } from '@/config/contracts'
+import { getNetwork } from '@/config/networks'
+import { fetchDiscoveredTokens } from '@/lib/tokens'
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+// Tokens added on-chain with addSupportedToken. One query per chain, shared by every
+// useNetwork caller; the token console invalidates it after adding a token.
+export function tokenListQueryKey(chainId: number, provider: Address) {
+  return ['tokenList', chainId, provider] as const
+}
+
+// Addresses for whichever chain wagmi is on: the wallet's chain, or the default chain when disconnected.
+// Memoized per chain so the returned objects are safe to use as hook dependencies.
+export function useNetwork() {
+  const chainId = useChainId()
+  const publicClient = usePublicClient()
+  const provider = getContracts(chainId).provider
+
+  const { data: discovered } = useQuery({
+    queryKey: tokenListQueryKey(chainId, provider),
+    queryFn: () => fetchDiscoveredTokens(publicClient as PublicClient, provider, getProviderDeployBlock(chainId)),
+    enabled: !!publicClient && provider !== ZERO_ADDRESS,
+    staleTime: 5 * 60_000,
+  })
+
+  return useMemo(
+    () => ({
+      chainId,
+      network: getNetwork(chainId),
+      contracts: getContracts(chainId),
+      tokens: getTokens(chainId, discovered),
+      deployBlock: getProviderDeployBlock(chainId),
+      tokenByAddress: (address: Address) => getTokenByAddress(address, chainId, discovered),
+    }),
+    [chainId, discovered],
+  )
+}
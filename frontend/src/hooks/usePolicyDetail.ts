@@ -1,8 +1,13 @@
 'use client'
 
-import { useReadContracts } from 'wagmi'
+import { useReadContract, useReadContracts } from 'wagmi'
 import { type Address } from 'viem'
 import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { useNetwork } from '@/hooks/useNetwork'
+import { usePolicyIndex } from '@/hooks/usePolicyIndex'
+import { usePremiumGracePeriod } from '@/hooks/usePremiumGracePeriod'
+import { getLifecycle, type PolicyAction, type PolicyState } from '@/lib/lifecycle'
 
 export interface PolicyDetail {
   client: Address
@@ -22,6 +27,10 @@ export interface PolicyDetail {
   requestCount: bigint
   isActive: boolean
   balance: bigint
+  createdAt: bigint
+  premiumHeld: boolean
+  state: PolicyState
+  actions: PolicyAction[]
 }
 
 const fields = [
@@ -32,6 +41,7 @@ const fields = [
 ] as const
 
 export function usePolicyDetail(contractAddress: Address) {
+  const { contracts } = useNetwork()
   const { data, isLoading, error } = useReadContracts({
     contracts: fields.map((name) => ({
       address: contractAddress,
@@ -41,8 +51,34 @@ export function usePolicyDetail(contractAddress: Address) {
     query: { enabled: !!contractAddress },
   })
 
+  const { data: premiumInfo } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'premiumInfo',
+    args: [contractAddress],
+    query: { enabled: !!contractAddress },
+  })
+
+  const gracePeriod = usePremiumGracePeriod()
+  const { policies: indexed } = usePolicyIndex()
+  const indexEntry = indexed.find((p) => p.address.toLowerCase() === contractAddress?.toLowerCase())
+
   const get = (idx: number) => data?.[idx]?.result
 
+  const createdAt = premiumInfo?.[3] ?? 0n
+  const premiumHeld = premiumInfo?.[5] ?? false
+  const lifecycle = getLifecycle({
+    premiumPaid: (get(12) as boolean) || false,
+    contractActive: (get(11) as boolean) || false,
+    contractPaid: (get(13) as boolean) || false,
+    createdAt,
+    gracePeriod,
+    premiumHeld: premiumInfo ? premiumHeld : undefined,
+    premiumRefunded: indexEntry?.premiumRefunded,
+    premiumClaimed: indexEntry?.premiumClaimed,
+    requestCount: (get(14) as bigint) || 0n,
+  })
+
   const policy: PolicyDetail | null = data ? {
     client: (get(0) as Address) || '0x0000000000000000000000000000000000000000',
     cropLocation: (get(1) as string) || '',
@@ -61,6 +97,10 @@ export function usePolicyDetail(contractAddress: Address) {
     requestCount: (get(14) as bigint) || 0n,
     isActive: (get(15) as boolean) || false,
     balance: (get(16) as bigint) || 0n,
+    createdAt,
+    premiumHeld,
+    state: lifecycle.state,
+    actions: lifecycle.actions,
   } : null
 
   return { policy, isLoading, error }
@@ -0,0 +1,84 @@
+'use client'
+
+import { useMemo, useSyncExternalStore } from 'react'
+import { usePublicClient, useReadContracts } from 'wagmi'
+import { type PublicClient } from 'viem'
+import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
+import { useNetwork } from '@/hooks/useNetwork'
+import { getPolicyIndexer, type IndexSnapshot } from '@/lib/indexer/indexer'
+import { queryPolicies, isClosed } from '@/lib/indexer/reducer'
+import type { IndexedPolicy, PolicyQuery, WeatherSnapshot } from '@/lib/indexer/types'
+
+const EMPTY_SNAPSHOT: IndexSnapshot = {
+  policies: new Map(),
+  status: { isSyncing: false, lastBlock: 0n, error: null },
+}
+
+const noopSubscribe = () => () => {}
+
+// Every policy the provider has ever created, rebuilt from its event logs and
+// persisted in IndexedDB, so paid-out and ended policies stay queryable.
+export function usePolicyIndex(query: PolicyQuery = {}) {
+  const { contracts, deployBlock } = useNetwork()
+  const publicClient = usePublicClient()
+  const isConfigured = contracts.provider !== '0x0000000000000000000000000000000000000000'
+
+  const indexer = useMemo(
+    () =>
+      publicClient && isConfigured
+        ? getPolicyIndexer(publicClient as PublicClient, contracts.provider, deployBlock)
+        : null,
+    [publicClient, isConfigured, contracts.provider, deployBlock],
+  )
+
+  const snapshot = useSyncExternalStore(
+    indexer ? indexer.subscribe : noopSubscribe,
+    indexer ? indexer.getSnapshot : () => EMPTY_SNAPSHOT,
+    () => EMPTY_SNAPSHOT,
+  )
+
+  const { client, activeOnly } = query
+  const policies: IndexedPolicy[] = useMemo(
+    () => queryPolicies(snapshot.policies, { client, activeOnly }),
+    [snapshot.policies, client, activeOnly],
+  )
+
+  return {
+    policies,
+    status: snapshot.status,
+    // First backfill has not reached the chain head yet
+    isLoading: !!indexer && snapshot.status.lastBlock === 0n && !snapshot.status.error,
+    resync: indexer?.resync,
+  }
+}
+
+const WEATHER_FIELDS = ['currentRainfall', 'daysWithoutRain', 'lastWeatherCheck', 'requestCount'] as const
+
+// Weather state changes on every oracle callback, so it is the one thing still
+// read live - and only for policies that have not been paid out or ended.
+export function usePolicyWeather(policies: IndexedPolicy[]) {
+  const open = policies.filter((p) => !isClosed(p))
+
+  const { data, isLoading } = useReadContracts({
+    contracts: open.flatMap((p) =>
+      WEATHER_FIELDS.map((functionName) => ({ address: p.address, abi: automatedInsuranceContractAbi, functionName })),
+    ),
+    query: { enabled: open.length > 0 },
+  })
+
+  const weather = new Map<string, WeatherSnapshot>()
+  for (const p of policies) {
+    if (p.finalState) weather.set(p.address.toLowerCase(), p.finalState)
+  }
+  open.forEach((p, i) => {
+    const get = (idx: number) => (data?.[i * WEATHER_FIELDS.length + idx]?.result as bigint) || 0n
+    weather.set(p.address.toLowerCase(), {
+      currentRainfall: get(0),
+      daysWithoutRain: get(1),
+      lastWeatherCheck: get(2),
+      requestCount: get(3),
+    })
+  })
+
+  return { weather, isLoading }
+}
@@ -0,0 +1,64 @@
+'use client'
+
+import { useQuery } from '@tanstack/react-query'
+import { useChainId, usePublicClient } from 'wagmi'
+import { getAbiItem, type Address, type PublicClient } from 'viem'
+import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
+import { useNetwork } from '@/hooks/useNetwork'
+import { usePolicyIndex } from '@/hooks/usePolicyIndex'
+import { usePolicyTriggerTerms } from '@/hooks/usePolicyTriggerTerms'
+import { getBlockTimestamps, getLogsInChunks } from '@/lib/logs'
+import { buildRainfallTimeline, type RainfallEventName, type RainfallLog } from '@/lib/rainfall'
+
+const RAINFALL_EVENTS = [
+  getAbiItem({ abi: automatedInsuranceContractAbi, name: 'AutomatedWeatherCheckPerformed' }),
+  getAbiItem({ abi: automatedInsuranceContractAbi, name: 'dataReceived' }),
+  getAbiItem({ abi: automatedInsuranceContractAbi, name: 'RainfallThresholdReset' }),
+  getAbiItem({ abi: automatedInsuranceContractAbi, name: 'contractPaidOut' }),
+]
+
+async function fetchRainfallLogs(client: PublicClient, address: Address, fromBlock: bigint): Promise<RainfallLog[]> {
+  const head = await client.getBlockNumber()
+  const logs = await getLogsInChunks(
+    (from, to) => client.getLogs({ address, events: RAINFALL_EVENTS, fromBlock: from, toBlock: to }),
+    fromBlock,
+    head,
+  )
+  const timestamps = await getBlockTimestamps(client, logs.map((log) => log.blockNumber))
+  return logs.map((log) => ({
+    eventName: log.eventName as RainfallEventName,
+    args: log.args as Record<string, unknown>,
+    blockNumber: log.blockNumber,
+    logIndex: log.logIndex,
+    timestamp: timestamps.get(log.blockNumber) ?? 0n,
+  }))
+}
+
+export function usePolicyRainfall(contractAddress: Address) {
+  const { deployBlock } = useNetwork()
+  const chainId = useChainId()
+  const publicClient = usePublicClient()
+
+  // Start from the policy's creation block when the indexer already knows it
+  const { policies } = usePolicyIndex()
+  const createdBlock = policies.find((p) => p.address.toLowerCase() === contractAddress.toLowerCase())?.createdBlock
+  const fromBlock = createdBlock || deployBlock
+
+  const { terms } = usePolicyTriggerTerms(contractAddress)
+  const droughtThreshold = terms.droughtDays
+
+  const { data: logs, isLoading, error } = useQuery({
+    queryKey: ['policyRainfall', chainId, contractAddress, fromBlock.toString()],
+    queryFn: () => fetchRainfallLogs(publicClient as PublicClient, contractAddress, fromBlock),
+    enabled: !!publicClient && !!contractAddress,
+    // Checks run at most daily, so a slow poll is enough
+    refetchInterval: 300_000,
+  })
+
+  return {
+    timeline: logs ? buildRainfallTimeline(logs, droughtThreshold, BigInt(terms.dryDayThreshold)) : null,
+    droughtThreshold,
+    isLoading,
+    error,
+  }
+}
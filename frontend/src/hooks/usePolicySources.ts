@@ -0,0 +1,40 @@
+'use client'
+
+import { useReadContracts } from 'wagmi'
+import { type Address } from 'viem'
+import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
+import { sourceRows, type OracleAggregation } from '@/lib/weatherSources'
+
+// The weather sources a policy reads, how they are combined, and each source's
+// raw reading from the latest check
+export function usePolicySources(contractAddress: Address) {
+  const { data, isLoading, refetch } = useReadContracts({
+    contracts: [
+      { address: contractAddress, abi: automatedInsuranceContractAbi, functionName: 'getSourceReadings' },
+      { address: contractAddress, abi: automatedInsuranceContractAbi, functionName: 'minQuorum' },
+      { address: contractAddress, abi: automatedInsuranceContractAbi, functionName: 'toleranceBps' },
+      { address: contractAddress, abi: automatedInsuranceContractAbi, functionName: 'toleranceMm' },
+    ],
+    query: { enabled: !!contractAddress },
+  })
+
+  const [latest, minQuorum, toleranceBps, toleranceMm] = data ?? []
+  const [sources, readings, accepted] = latest?.result ?? [[], [], []]
+
+  // Policies deployed before median aggregation fail the read; they averaged two fixed sources
+  const aggregation: OracleAggregation | null = latest?.result
+    ? {
+        sources: sources.map(Number),
+        minQuorum: minQuorum?.result ?? 0,
+        toleranceBps: toleranceBps?.result ?? 0,
+        toleranceMm: toleranceMm?.result ?? 0,
+      }
+    : null
+
+  return {
+    aggregation,
+    rows: sourceRows(sources, readings, accepted),
+    isLoading,
+    refetch,
+  }
+}
@@ -0,0 +1,39 @@
+'use client'
+
+import { useReadContracts } from 'wagmi'
+import { type Address } from 'viem'
+import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
+import { type PayoutTier } from '@/lib/payoutTiers'
+import { DEFAULT_TRIGGER_TERMS, toTriggerTerms } from '@/lib/triggerTerms'
+
+// The drought trigger and payout structure a policy was written with, its
+// rolling-window progress, and how much of the cover has been paid
+export function usePolicyTriggerTerms(contractAddress: Address) {
+  const { data, isLoading } = useReadContracts({
+    contracts: [
+      { address: contractAddress, abi: automatedInsuranceContractAbi, functionName: 'triggerTerms' },
+      { address: contractAddress, abi: automatedInsuranceContractAbi, functionName: 'windowRainfall' },
+      { address: contractAddress, abi: automatedInsuranceContractAbi, functionName: 'payoutTrigger' },
+      { address: contractAddress, abi: automatedInsuranceContractAbi, functionName: 'getPayoutTiers' },
+      { address: contractAddress, abi: automatedInsuranceContractAbi, functionName: 'linearDeficitPayout' },
+      { address: contractAddress, abi: automatedInsuranceContractAbi, functionName: 'payoutBpsPaid' },
+      { address: contractAddress, abi: automatedInsuranceContractAbi, functionName: 'payoutsMade' },
+    ],
+    query: { enabled: !!contractAddress },
+  })
+
+  const [terms, windowRainfall, payoutTrigger, tiers, linearDeficit, paidBps, paid] = data ?? []
+
+  return {
+    // Policies deployed before per-policy terms fail the read and use the fixed 3-day rule
+    terms: terms?.result ? toTriggerTerms(terms.result) : DEFAULT_TRIGGER_TERMS,
+    windowRainfall: windowRainfall?.result ?? 0n,
+    payoutTrigger: payoutTrigger?.result ?? 0,
+    // Older policies have no tiers and pay everything at once, which these defaults describe
+    tiers: (tiers?.result ?? []) as readonly PayoutTier[],
+    linearDeficit: linearDeficit?.result ?? false,
+    paidBps: Number(paidBps?.result ?? 0n),
+    payoutsMade: paid?.result ?? 0n,
+    isLoading,
+  }
+}
@@ -0,0 +1,95 @@
+'use client'
+
+import { useReadContracts } from 'wagmi'
+import { type Address } from 'viem'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
+import { useNetwork } from '@/hooks/useNetwork'
+import { usePolicyIndex, usePolicyWeather } from '@/hooks/usePolicyIndex'
+import { useTokenPrices } from '@/hooks/useTokenPrices'
+import { isClosed } from '@/lib/indexer/reducer'
+import { buildPortfolio, type HeldPremium, type PortfolioPolicy } from '@/lib/portfolio'
+import { DEFAULT_TRIGGER_TERMS, toTriggerTerms } from '@/lib/triggerTerms'
+
+export function usePortfolio() {
+  const { contracts } = useNetwork()
+  const { policies, isLoading: isIndexing, status } = usePolicyIndex()
+  const open = policies.filter((p) => !isClosed(p))
+  const { weather, isLoading: isLoadingWeather } = usePolicyWeather(open)
+
+  // Each policy's own trigger terms, as usePolicyTriggerTerms reads them
+  const { data: termsResults, isLoading: isLoadingTerms } = useReadContracts({
+    contracts: open.map((p) => ({
+      address: p.address,
+      abi: automatedInsuranceContractAbi,
+      functionName: 'triggerTerms' as const,
+    })),
+    query: { enabled: open.length > 0, staleTime: Infinity },
+  })
+
+  // Share of each policy's cover already paid; 0 for policies from before partial payouts
+  const { data: paidBps, isLoading: isLoadingPaidBps } = useReadContracts({
+    contracts: open.map((p) => ({
+      address: p.address,
+      abi: automatedInsuranceContractAbi,
+      functionName: 'payoutBpsPaid' as const,
+    })),
+    query: { enabled: open.length > 0 },
+  })
+
+  // Escrow still sitting in each open policy
+  const { data: balances, isLoading: isLoadingBalances } = useReadContracts({
+    contracts: open.map((p) => ({
+      address: p.address,
+      abi: automatedInsuranceContractAbi,
+      functionName: 'getContractBalance' as const,
+    })),
+    query: { enabled: open.length > 0 },
+  })
+
+  // Premiums are held by the provider until claimed or refunded, including for closed policies
+  const paid = policies.filter((p) => p.premiumPaid && !p.premiumRefunded && !p.premiumClaimed)
+  const { data: premiumInfos, isLoading: isLoadingPremiums } = useReadContracts({
+    contracts: paid.map((p) => ({
+      address: contracts.provider,
+      abi: automatedInsuranceProviderAbi,
+      functionName: 'premiumInfo' as const,
+      args: [p.address] as const,
+    })),
+    query: { enabled: paid.length > 0 },
+  })
+
+  const { prices } = useTokenPrices(policies.map((p) => p.paymentToken))
+
+  const portfolioPolicies: PortfolioPolicy[] = open
+    .filter((p) => p.contractActive || !p.premiumPaid)
+    .map((p) => {
+      const i = open.indexOf(p)
+      // Policies deployed before per-policy terms fail the read and use the fixed 3-day rule
+      const termsResult = termsResults?.[i]?.result
+      const terms = termsResult ? toTriggerTerms(termsResult) : DEFAULT_TRIGGER_TERMS
+      return {
+        address: p.address,
+        cropLocation: p.cropLocation,
+        paymentToken: p.paymentToken,
+        payoutValue: p.payoutValue,
+        payoutBpsPaid: Number((paidBps?.[i]?.result as bigint) ?? 0n),
+        status: p.contractActive ? 'active' : 'pending',
+        escrowBalance: (balances?.[i]?.result as bigint) ?? 0n,
+        daysWithoutRain: weather.get(p.address.toLowerCase())?.daysWithoutRain ?? 0n,
+        droughtDays: terms.droughtDays,
+        product: terms.product,
+      }
+    })
+
+  const heldPremiums: HeldPremium[] = paid.flatMap((p, i) => {
+    const info = premiumInfos?.[i]?.result as readonly [bigint, bigint, bigint, bigint, Address, boolean] | undefined
+    return info && info[5] ? [{ token: info[4], amountPaid: info[1] }] : []
+  })
+
+  return {
+    portfolio: buildPortfolio(portfolioPolicies, heldPremiums, prices),
+    isLoading: isIndexing || isLoadingWeather || isLoadingTerms || isLoadingPaidBps || isLoadingBalances || isLoadingPremiums,
+    indexStatus: status,
+  }
+}
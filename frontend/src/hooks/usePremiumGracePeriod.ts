@@ -0,0 +1,19 @@
+'use client'
+
+import { useReadContract } from 'wagmi'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { useNetwork } from '@/hooks/useNetwork'
+
+// Same value as the contract constant, used until the read resolves
+const DEFAULT_GRACE_PERIOD = 86400n
+
+export function usePremiumGracePeriod(): bigint {
+  const { contracts } = useNetwork()
+  const { data } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'PREMIUM_GRACE_PERIOD',
+    query: { enabled: contracts.provider !== '0x0000000000000000000000000000000000000000', staleTime: Infinity },
+  })
+  return data ?? DEFAULT_GRACE_PERIOD
+}
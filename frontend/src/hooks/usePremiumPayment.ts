@@ -1,14 +1,18 @@
 'use client'
 
+import { useState } from 'react'
 import { useReadContract, useWriteContract, useWaitForTransactionReceipt } from 'wagmi'
 import { type Address, erc20Abi } from 'viem'
 import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
 import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
-import { CONTRACTS } from '@/config/contracts'
+import { useNetwork } from '@/hooks/useNetwork'
+import { usePriceQuote } from '@/hooks/usePriceQuote'
+import { PREMIUM_BUFFER_BPS, quoteEth } from '@/lib/quotes'
 
 export function usePremiumPayment(contractAddress: Address) {
+  const { contracts } = useNetwork()
   const { data: premiumInfo } = useReadContract({
-    address: CONTRACTS.provider,
+    address: contracts.provider,
     abi: automatedInsuranceProviderAbi,
     functionName: 'premiumInfo',
     args: [contractAddress],
@@ -20,16 +24,10 @@ export function usePremiumPayment(contractAddress: Address) {
     functionName: 'paymentToken',
   })
 
-  const { data: ethPrice } = useReadContract({
-    address: CONTRACTS.provider,
-    abi: automatedInsuranceProviderAbi,
-    functionName: 'getLatestPrice',
-  })
-
   const isEthPayment = paymentToken === '0x0000000000000000000000000000000000000000'
 
   const { data: tokenAmount } = useReadContract({
-    address: CONTRACTS.provider,
+    address: contracts.provider,
     abi: automatedInsuranceProviderAbi,
     functionName: 'getTokenAmountForUSD',
     args: paymentToken && !isEthPayment ? [paymentToken as Address, premiumInfo?.[0] || 0n] : undefined,
@@ -40,14 +38,17 @@ export function usePremiumPayment(contractAddress: Address) {
     address: paymentToken as Address,
     abi: erc20Abi,
     functionName: 'allowance',
-    args: [contractAddress, CONTRACTS.provider],
+    args: [contractAddress, contracts.provider],
     query: { enabled: !!paymentToken && !isEthPayment },
   })
 
-  // Calculate ETH amount with 3% buffer
-  const ethAmount = (ethPrice && premiumInfo?.[0])
-    ? (premiumInfo[0] * BigInt(1e18) * 103n) / (BigInt(ethPrice.toString()) * 100n)
-    : 0n
+  const priceQuote = usePriceQuote(paymentToken as Address | undefined)
+  // payPremium charges premium * 1e18 / price and refunds the rest of msg.value
+  const ethQuote = isEthPayment && priceQuote.quote && premiumInfo?.[0]
+    ? quoteEth(premiumInfo[0], priceQuote.quote, PREMIUM_BUFFER_BPS)
+    : null
+  const ethAmount = ethQuote?.value ?? 0n
+  const [quoteError, setQuoteError] = useState<string | null>(null)
 
   const needsApproval = !isEthPayment && tokenAmount && allowance !== undefined && allowance < tokenAmount
 
@@ -65,17 +66,29 @@ export function usePremiumPayment(contractAddress: Address) {
       address: paymentToken as Address,
       abi: erc20Abi,
       functionName: 'approve',
-      args: [CONTRACTS.provider, tokenAmount],
+      args: [contracts.provider, tokenAmount],
     })
   }
 
-  function handlePay() {
+  // Re-quote right before sending so msg.value reflects the latest round, and refuse
+  // to send when the provider would reject the feed as stale
+  async function handlePay() {
+    setQuoteError(null)
+    const fresh = await priceQuote.refresh()
+    if (!fresh) {
+      setQuoteError('Could not read the price feed. Try again.')
+      return
+    }
+    if (priceQuote.isStale(fresh)) {
+      setQuoteError('The price feed is older than the provider accepts; payment would revert. Try again once it updates.')
+      return
+    }
     pay({
-      address: CONTRACTS.provider,
+      address: contracts.provider,
       abi: automatedInsuranceProviderAbi,
       functionName: 'payPremium',
       args: [contractAddress],
-      value: isEthPayment ? ethAmount : 0n,
+      value: isEthPayment && premiumInfo ? quoteEth(premiumInfo[0], fresh, PREMIUM_BUFFER_BPS).value : 0n,
     })
   }
 
@@ -84,8 +97,10 @@ export function usePremiumPayment(contractAddress: Address) {
     paymentToken: paymentToken as Address | undefined,
     isEthPayment,
     ethAmount,
+    ethQuote,
     tokenAmount,
-    ethPrice,
+    priceQuote,
+    quoteError,
     needsApproval,
     handleApprove,
     handlePay,
@@ -0,0 +1,76 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { useReadContract } from 'wagmi'
+import { type Address } from 'viem'
+import { aggregatorV3Abi } from '@/abi/AggregatorV3'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { useNetwork } from '@/hooks/useNetwork'
+import { QUOTE_TTL_SECONDS, quoteExpiresAt, quoteStatus, type PriceQuote } from '@/lib/quotes'
+
+const ETH = '0x0000000000000000000000000000000000000000'
+
+type Round = readonly [bigint, bigint, bigint, bigint, bigint]
+
+function toQuote(round: Round | undefined, takenAtMs: number): PriceQuote | null {
+  if (!round || round[1] <= 0n) return null
+  return { price: round[1], updatedAt: round[3], takenAt: Math.floor(takenAtMs / 1000) }
+}
+
+// USD price of a payment token straight from its Chainlink feed, with the round's
+// updatedAt so callers can tell whether the provider will still accept it
+export function usePriceQuote(token: Address | undefined) {
+  const { contracts, network } = useNetwork()
+  const isEth = token?.toLowerCase() === ETH
+
+  const { data: maxStaleness } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'MAX_STALENESS',
+  })
+
+  // ETH uses the provider's constructor feed, which has no getter; the registry records it
+  const { data: tokenFeed } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'tokenPriceFeeds',
+    args: token && !isEth ? [token] : undefined,
+    query: { enabled: !!token && !isEth },
+  })
+  const feed = isEth ? network?.ethUsdFeed : tokenFeed && tokenFeed !== ETH ? tokenFeed : undefined
+
+  const { data: round, dataUpdatedAt, error, isFetching, refetch } = useReadContract({
+    address: feed,
+    abi: aggregatorV3Abi,
+    functionName: 'latestRoundData',
+    query: { enabled: !!feed, refetchInterval: QUOTE_TTL_SECONDS * 1000 },
+  })
+
+  // Tick once a second so age and expiry countdowns stay current between reads
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000))
+  useEffect(() => {
+    const id = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000)
+    return () => clearInterval(id)
+  }, [])
+
+  const quote = toQuote(round as Round | undefined, dataUpdatedAt)
+  const status = quote && maxStaleness !== undefined ? quoteStatus(quote, now, maxStaleness) : null
+
+  // Re-read the feed and return the new quote, for use right before a submit
+  async function refresh(): Promise<PriceQuote | null> {
+    const { data } = await refetch()
+    return toQuote(data as Round | undefined, Date.now())
+  }
+
+  return {
+    quote,
+    status,
+    feedAge: quote ? now - Number(quote.updatedAt) : null,
+    expiresIn: quote && maxStaleness !== undefined ? quoteExpiresAt(quote, maxStaleness) - now : null,
+    maxStaleness,
+    isRefreshing: isFetching,
+    error,
+    refresh,
+    isStale: (q: PriceQuote) => maxStaleness !== undefined && quoteStatus(q, Math.floor(Date.now() / 1000), maxStaleness) === 'stale',
+  }
+}
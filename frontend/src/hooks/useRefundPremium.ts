@@ -0,0 +1,112 @@
+'use client'
+
+import { useAccount, useReadContract, useReadContracts, useWriteContract, useWaitForTransactionReceipt } from 'wagmi'
+import { type Address, parseEventLogs } from 'viem'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
+import { useNetwork } from '@/hooks/useNetwork'
+import { usePolicyIndex } from '@/hooks/usePolicyIndex'
+import { usePremiumGracePeriod } from '@/hooks/usePremiumGracePeriod'
+import { getRefundEligibility } from '@/lib/lifecycle'
+
+export interface PremiumRefund {
+  amount: bigint
+  token: Address
+  transactionHash: `0x${string}`
+}
+
+export function useRefundPremium(contractAddress: Address) {
+  const { contracts } = useNetwork()
+  const { address: account } = useAccount()
+  const gracePeriod = usePremiumGracePeriod()
+
+  const { data: premiumInfo } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'premiumInfo',
+    args: [contractAddress],
+  })
+
+  const { data: owner } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'owner',
+  })
+
+  const { data: state } = useReadContracts({
+    contracts: (['client', 'premiumPaid', 'contractActive', 'contractPaid', 'getRequestCount'] as const).map((functionName) => ({
+      address: contractAddress,
+      abi: automatedInsuranceContractAbi,
+      functionName,
+    })),
+    query: { enabled: !!contractAddress },
+  })
+
+  const { policies } = usePolicyIndex()
+  const indexed = policies.find((p) => p.address.toLowerCase() === contractAddress.toLowerCase())
+
+  const { writeContract: refund, data: refundTxHash, isPending: isRefunding, error: refundError } = useWriteContract()
+  const { data: receipt, isLoading: isRefundConfirming, isSuccess: isRefundConfirmed } = useWaitForTransactionReceipt({
+    hash: refundTxHash,
+  })
+
+  // Prefer the event from our own transaction, then one already picked up by the indexer
+  const [refundedEvent] = receipt
+    ? parseEventLogs({ abi: automatedInsuranceProviderAbi, eventName: 'PremiumRefunded', logs: receipt.logs })
+    : []
+  const indexedLog = indexed?.history.find((log) => log.eventName === 'PremiumRefunded')
+  const refunded: PremiumRefund | null = refundedEvent
+    ? {
+        amount: refundedEvent.args.amount,
+        token: refundedEvent.args.token,
+        transactionHash: refundedEvent.transactionHash,
+      }
+    : indexedLog
+      ? {
+          amount: indexedLog.args.amount as bigint,
+          token: indexedLog.args.token as Address,
+          transactionHash: indexedLog.transactionHash,
+        }
+      : null
+
+  const client = state?.[0]?.result as Address | undefined
+  const isClientOrOwner =
+    !!account &&
+    [client, owner].some((a) => a && a.toLowerCase() === account.toLowerCase())
+
+  const eligibility = getRefundEligibility({
+    premiumPaid: (state?.[1]?.result as boolean) || false,
+    contractActive: (state?.[2]?.result as boolean) || false,
+    contractPaid: (state?.[3]?.result as boolean) || false,
+    requestCount: (state?.[4]?.result as bigint) || 0n,
+    createdAt: premiumInfo?.[3] ?? 0n,
+    gracePeriod,
+    now: BigInt(Math.floor(Date.now() / 1000)),
+    premiumHeld: premiumInfo ? premiumInfo[5] : undefined,
+    premiumRefunded: !!refunded,
+    isClientOrOwner,
+  })
+
+  function handleRefund() {
+    refund({
+      address: contracts.provider,
+      abi: automatedInsuranceProviderAbi,
+      functionName: 'refundPremium',
+      args: [contractAddress],
+    })
+  }
+
+  return {
+    eligibility,
+    isLoading: !premiumInfo || !state,
+    // premiumInfo.amountPaid: what a refund would return, in payment token units
+    refundableAmount: premiumInfo?.[1] ?? 0n,
+    paymentToken: premiumInfo?.[4],
+    refunded,
+    handleRefund,
+    isRefunding: isRefunding || isRefundConfirming,
+    isRefundConfirmed,
+    refundError,
+    refundTxHash,
+  }
+}
@@ -0,0 +1,149 @@
+'use client'
+
+import { useState } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import { useAccount, usePublicClient, useReadContract, useReadContracts, useWriteContract } from 'wagmi'
+import { erc20Abi, type Address, type PublicClient } from 'viem'
+import { aggregatorV3Abi } from '@/abi/AggregatorV3'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { tokenListQueryKey, useNetwork } from '@/hooks/useNetwork'
+import { applyTokenOperations, feedStaleness, fetchTokenOperations } from '@/lib/tokens'
+import { errorMessage } from '@/lib/errors'
+
+const ETH = '0x0000000000000000000000000000000000000000' as Address
+
+export interface TokenFeedRow {
+  address: Address
+  symbol: string
+  priceFeed: Address
+  supported: boolean
+  // Null for ETH, whose feed is set in the provider's constructor
+  addedBlock: bigint | null
+  description?: string
+  answer?: bigint
+  feedDecimals?: number
+  updatedAt?: bigint
+  age?: bigint
+  isStale?: boolean
+  feedError: boolean
+}
+
+// Payment tokens registered on the provider, with the health of each Chainlink feed
+export function useTokenConsole() {
+  const { chainId, network, contracts, deployBlock, tokenByAddress } = useNetwork()
+  const { address: account } = useAccount()
+  const publicClient = usePublicClient()
+  const queryClient = useQueryClient()
+  const { writeContractAsync } = useWriteContract()
+  const isConfigured = contracts.provider !== ETH
+
+  const { data: owner } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'owner',
+  })
+  const { data: maxStaleness } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'MAX_STALENESS',
+  })
+
+  const { data: registered, isLoading: isLoadingEvents, error } = useQuery({
+    queryKey: ['tokenOperations', chainId, contracts.provider],
+    queryFn: async () =>
+      applyTokenOperations(await fetchTokenOperations(publicClient as PublicClient, contracts.provider, deployBlock)),
+    enabled: !!publicClient && isConfigured,
+  })
+
+  const tokens: Omit<TokenFeedRow, 'feedError'>[] = [
+    ...(network ? [{ address: ETH, symbol: 'ETH', priceFeed: network.ethUsdFeed, supported: true, addedBlock: null }] : []),
+    ...(registered ?? [])
+      .filter((t) => t.address !== ETH)
+      .map((t) => ({ ...t, symbol: tokenByAddress(t.address).symbol })),
+  ]
+
+  const { data: feedData, isLoading: isLoadingFeeds, refetch: refetchFeeds } = useReadContracts({
+    contracts: tokens.flatMap((t) => [
+      { address: t.priceFeed, abi: aggregatorV3Abi, functionName: 'latestRoundData' as const },
+      { address: t.priceFeed, abi: aggregatorV3Abi, functionName: 'decimals' as const },
+      { address: t.priceFeed, abi: aggregatorV3Abi, functionName: 'description' as const },
+    ]),
+    query: { enabled: tokens.length > 0, refetchInterval: 60_000 },
+  })
+
+  const now = BigInt(Math.floor(Date.now() / 1000))
+  const rows: TokenFeedRow[] = tokens.map((t, i) => {
+    const round = feedData?.[i * 3]?.result as readonly [bigint, bigint, bigint, bigint, bigint] | undefined
+    const feedDecimals = feedData?.[i * 3 + 1]?.result as number | undefined
+    const description = feedData?.[i * 3 + 2]?.result as string | undefined
+    const staleness = round && maxStaleness !== undefined ? feedStaleness(round[3], now, maxStaleness) : undefined
+    return {
+      ...t,
+      description,
+      answer: round?.[1],
+      feedDecimals,
+      updatedAt: round?.[3],
+      age: staleness?.age,
+      isStale: staleness?.isStale,
+      feedError: feedData?.[i * 3]?.status === 'failure',
+    }
+  })
+
+  const isOwner = !!account && !!owner && account.toLowerCase() === owner.toLowerCase()
+
+  const [isAdding, setIsAdding] = useState(false)
+  const [addError, setAddError] = useState<string | null>(null)
+
+  // Checks the feed answers and the token has an ERC-20 symbol (addSupportedToken reads it)
+  // before sending, so a typo surfaces here rather than as a reverted transaction
+  async function addToken(token: Address, priceFeed: Address): Promise<boolean> {
+    if (!publicClient) return false
+    setIsAdding(true)
+    setAddError(null)
+    try {
+      try {
+        await publicClient.readContract({ address: priceFeed, abi: aggregatorV3Abi, functionName: 'latestRoundData' })
+      } catch {
+        throw new Error(`${priceFeed} is not a Chainlink price feed on ${network?.label ?? `chain ${chainId}`}`)
+      }
+      if (token !== ETH) {
+        try {
+          await publicClient.readContract({ address: token, abi: erc20Abi, functionName: 'symbol' })
+        } catch {
+          throw new Error(`${token} does not implement ERC-20 symbol()`)
+        }
+      }
+
+      const hash = await writeContractAsync({
+        address: contracts.provider,
+        abi: automatedInsuranceProviderAbi,
+        functionName: 'addSupportedToken',
+        args: [token, priceFeed],
+      })
+      const receipt = await publicClient.waitForTransactionReceipt({ hash })
+      if (receipt.status !== 'success') throw new Error('Transaction reverted')
+      await Promise.all([
+        queryClient.invalidateQueries({ queryKey: ['tokenOperations', chainId, contracts.provider] }),
+        queryClient.invalidateQueries({ queryKey: tokenListQueryKey(chainId, contracts.provider) }),
+      ])
+      return true
+    } catch (e) {
+      setAddError(errorMessage(e))
+      return false
+    } finally {
+      setIsAdding(false)
+    }
+  }
+
+  return {
+    rows,
+    maxStaleness,
+    isOwner,
+    isLoading: isLoadingEvents || isLoadingFeeds,
+    error,
+    refetchFeeds,
+    addToken,
+    isAdding,
+    addError,
+  }
+}
@@ -0,0 +1,67 @@
+'use client'
+
+import { useReadContract, useReadContracts } from 'wagmi'
+import { type Address } from 'viem'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { aggregatorV3Abi } from '@/abi/AggregatorV3'
+import { useNetwork } from '@/hooks/useNetwork'
+import type { TokenPrice } from '@/lib/portfolio'
+
+const ETH = '0x0000000000000000000000000000000000000000'
+const USD_DECIMALS = 8
+
+// Rescale a feed answer to the 8-decimal USD convention used everywhere else
+function toUsdPrice(answer: bigint, decimals: number): bigint {
+  if (decimals === USD_DECIMALS) return answer
+  return decimals > USD_DECIMALS
+    ? answer / 10n ** BigInt(decimals - USD_DECIMALS)
+    : answer * 10n ** BigInt(USD_DECIMALS - decimals)
+}
+
+// USD prices for payment tokens, keyed by lowercased address. ETH comes from the
+// provider's getLatestPrice; ERC-20s from the feeds registered in tokenPriceFeeds.
+export function useTokenPrices(tokens: Address[]) {
+  const { contracts, tokenByAddress } = useNetwork()
+  const erc20s = [...new Set(tokens.map((t) => t.toLowerCase()))].filter((t) => t !== ETH) as Address[]
+
+  const { data: ethPrice, isLoading: isLoadingEth } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'getLatestPrice',
+  })
+
+  const { data: feeds, isLoading: isLoadingFeeds } = useReadContracts({
+    contracts: erc20s.map((token) => ({
+      address: contracts.provider,
+      abi: automatedInsuranceProviderAbi,
+      functionName: 'tokenPriceFeeds' as const,
+      args: [token] as const,
+    })),
+    query: { enabled: erc20s.length > 0 },
+  })
+  const priced = erc20s.flatMap((token, i) => {
+    const feed = feeds?.[i]?.result as Address | undefined
+    return feed && feed !== ETH ? [{ token, feed }] : []
+  })
+
+  const { data: rounds, isLoading: isLoadingRounds } = useReadContracts({
+    contracts: priced.flatMap(({ feed }) => [
+      { address: feed, abi: aggregatorV3Abi, functionName: 'latestRoundData' as const },
+      { address: feed, abi: aggregatorV3Abi, functionName: 'decimals' as const },
+    ]),
+    query: { enabled: priced.length > 0 },
+  })
+
+  const prices = new Map<string, TokenPrice>()
+  prices.set(ETH, { symbol: 'ETH', decimals: 18, price: ethPrice !== undefined ? (ethPrice as bigint) : undefined })
+  for (const token of erc20s) {
+    const { symbol, decimals } = tokenByAddress(token)
+    const i = priced.findIndex((p) => p.token === token)
+    const round = i >= 0 ? (rounds?.[i * 2]?.result as readonly [bigint, bigint, bigint, bigint, bigint] | undefined) : undefined
+    const feedDecimals = i >= 0 ? (rounds?.[i * 2 + 1]?.result as number | undefined) : undefined
+    const price = round && feedDecimals !== undefined && round[1] > 0n ? toUsdPrice(round[1], feedDecimals) : undefined
+    prices.set(token, { symbol, decimals, price })
+  }
+
+  return { prices, isLoading: isLoadingEth || isLoadingFeeds || isLoadingRounds }
+}
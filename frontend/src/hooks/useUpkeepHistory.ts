@@ -0,0 +1,87 @@
+'use client'
+
+import { useQuery } from '@tanstack/react-query'
+import { usePublicClient, useReadContract } from 'wagmi'
+import { getAbiItem, type Address, type PublicClient } from 'viem'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { useNetwork } from '@/hooks/useNetwork'
+import { getBlockTimestamps, getLogsInChunks } from '@/lib/logs'
+import { batchFromTransaction, buildUpkeepHistory, decodePerformData, type UpkeepLog } from '@/lib/upkeepHistory'
+
+const UPKEEP_EVENT = getAbiItem({ abi: automatedInsuranceProviderAbi, name: 'AutomationUpkeepPerformed' })
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+async function fetchUpkeepLogs(client: PublicClient, provider: Address, fromBlock: bigint): Promise<UpkeepLog[]> {
+  const head = await client.getBlockNumber()
+  const logs = await getLogsInChunks(
+    (from, to) => client.getLogs({ address: provider, event: UPKEEP_EVENT, fromBlock: from, toBlock: to }),
+    fromBlock,
+    head,
+  )
+  const timestamps = await getBlockTimestamps(client, logs.map((log) => log.blockNumber))
+  const hashes = [...new Set(logs.map((log) => log.transactionHash))]
+  const txs = await Promise.all(hashes.map((hash) => client.getTransaction({ hash })))
+  const batches = new Map(txs.map((tx, i) => [hashes[i], batchFromTransaction(tx, provider)]))
+
+  return logs.map((log) => ({
+    batchId: log.args.batchId ?? 0n,
+    contractsProcessed: log.args.contractsProcessed ?? 0,
+    gasUsedK: log.args.gasUsed ?? 0,
+    blockNumber: log.blockNumber,
+    logIndex: log.logIndex,
+    transactionHash: log.transactionHash,
+    timestamp: timestamps.get(log.blockNumber) ?? 0n,
+    batch: batches.get(log.transactionHash) ?? null,
+  }))
+}
+
+// Past upkeeps from AutomationUpkeepPerformed logs, plus a live checkUpkeep
+// call showing whether the next one is due and which contracts it would process
+export function useUpkeepHistory() {
+  const { chainId, contracts, deployBlock } = useNetwork()
+  const publicClient = usePublicClient()
+  const isConfigured = contracts.provider !== ZERO_ADDRESS
+
+  const { data: interval } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'upkeepInterval',
+  })
+
+  const { data: check, isLoading: isChecking, dataUpdatedAt: checkedAt, refetch: recheck } = useReadContract({
+    address: contracts.provider,
+    abi: automatedInsuranceProviderAbi,
+    functionName: 'checkUpkeep',
+    args: ['0x'],
+    query: { enabled: isConfigured, refetchInterval: 30_000 },
+  })
+
+  const { data: logs, isLoading, error } = useQuery({
+    queryKey: ['upkeepHistory', chainId, contracts.provider, deployBlock.toString()],
+    queryFn: () => fetchUpkeepLogs(publicClient as PublicClient, contracts.provider, deployBlock),
+    enabled: !!publicClient && isConfigured,
+    refetchInterval: 60_000,
+  })
+
+  const now = BigInt(Math.floor(Date.now() / 1000))
+  const history = logs && interval !== undefined ? buildUpkeepHistory(logs, interval, now) : null
+
+  const [upkeepNeeded, performData] = check ?? [false, '0x' as const]
+  let batch: Address[] = []
+  let decodeError: string | null = null
+  try {
+    batch = decodePerformData(performData)
+  } catch {
+    decodeError = `Could not decode performData (${performData.length / 2 - 1} bytes)`
+  }
+
+  return {
+    history,
+    interval,
+    isLoading,
+    error,
+    simulation: check ? { upkeepNeeded, performData, batch, decodeError, checkedAt } : null,
+    isChecking,
+    recheck,
+  }
+}
@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest'
+import { encodeAbiParameters, parseAbiParameters, zeroAddress, type Hex } from 'viem'
+import { parseCsv } from './csv'
+import { SCHEMAS, schemaUID, type AttestationType } from './attestations'
+import {
+  NO_FILTERS, attestationsToCsv, attestationsToJson, filterAttestations, paginate, policyLocation, policyTimeline,
+  statusOptions, timeline, toAttestationRecord, type AttestationRecord,
+} from './attestationExplorer'
+
+const POLICY = '0x1111111111111111111111111111111111111111'
+const CLIENT = '0x2222222222222222222222222222222222222222'
+const START = 1700000000 // 2023-11-14T22:13:20Z
+const DAY = 86400
+
+function uid(n: number): Hex {
+  return `0x${n.toString(16).padStart(64, '0')}`
+}
+
+function record(n: number, type: AttestationType, values: readonly unknown[], time: number, revocationTime = 0): AttestationRecord {
+  return toAttestationRecord({
+    uid: uid(n),
+    schema: schemaUID(type),
+    time: BigInt(time),
+    expirationTime: 0n,
+    revocationTime: BigInt(revocationTime),
+    refUID: uid(0),
+    recipient: CLIENT,
+    attester: zeroAddress,
+    revocable: SCHEMAS[type].revocable,
+    data: encodeAbiParameters(parseAbiParameters(SCHEMAS[type].definition), values as never),
+  })
+}
+
+const policy = record(1, 'Policy', [
+  `${POLICY}_${START}`, POLICY, CLIENT, 100000000n, 500000000000n, 'Nairobi', BigInt(START), BigInt(30 * DAY), true,
+  3, 10, 0, 0n, 0, 0, 0n, [], [], false,
+], START)
+const premium = record(2, 'Premium', [`${POLICY}_${START}`, CLIENT, 5n, zeroAddress, true, BigInt(START + 60)], START + 60)
+const claim = record(3, 'Claim', [`${POLICY}_claim_${START + 10 * DAY}`, 500000000000n, BigInt(START + 10 * DAY), 3, 'Drought', true], START + 10 * DAY)
+const deniedClaim = record(4, 'Claim', [`${POLICY}_claim_${START + 20 * DAY}`, 0n, BigInt(START + 20 * DAY), 2, 'No drought', false], START + 20 * DAY, START + 21 * DAY)
+
+function weather(n: number, time: number) {
+  return record(n, 'Weather', ['Nairobi', BigInt(time), 2n, 'Median of 3 weather sources', uid(n), true], time)
+}
+
+describe('toAttestationRecord', () => {
+  it('decodes the data and derives a status', () => {
+    expect(policy).toMatchObject({ type: 'Policy', status: 'Active', revoked: false, time: START })
+    expect(claim.status).toBe('Paid')
+    expect(deniedClaim).toMatchObject({ status: 'Denied', revoked: true, revocationTime: START + 21 * DAY })
+    expect(premium.status).toBe('Paid')
+  })
+
+  it('keeps attestations under unknown schemas', () => {
+    const unknown = toAttestationRecord({
+      uid: uid(9), schema: uid(0), time: 1n, expirationTime: 0n, revocationTime: 0n, refUID: uid(0),
+      recipient: CLIENT, attester: zeroAddress, revocable: true, data: '0x1234',
+    })
+
+    expect(unknown).toMatchObject({ type: null, status: null, fields: null })
+  })
+})
+
+describe('filterAttestations', () => {
+  const records = [policy, premium, claim, deniedClaim]
+
+  it('filters by inclusive UTC date range', () => {
+    expect(filterAttestations(records, { ...NO_FILTERS, from: '2023-11-24' }).map((r) => r.uid)).toEqual([claim.uid, deniedClaim.uid])
+    expect(filterAttestations(records, { ...NO_FILTERS, to: '2023-11-14' }).map((r) => r.uid)).toEqual([policy.uid, premium.uid])
+  })
+
+  it('filters by status and revocation', () => {
+    expect(filterAttestations(records, { ...NO_FILTERS, status: 'Denied' })).toEqual([deniedClaim])
+    expect(filterAttestations(records, { ...NO_FILTERS, revoked: 'revoked' })).toEqual([deniedClaim])
+    expect(filterAttestations(records, { ...NO_FILTERS, revoked: 'active' })).toHaveLength(3)
+  })
+
+  it('lists the statuses present', () => {
+    expect(statusOptions(records)).toEqual(['Active', 'Denied', 'Paid'])
+  })
+})
+
+describe('paginate', () => {
+  const items = Array.from({ length: 45 }, (_, i) => i)
+
+  it('splits into pages', () => {
+    expect(paginate(items, 1)).toMatchObject({ page: 1, pageCount: 3 })
+    expect(paginate(items, 3).items).toEqual([40, 41, 42, 43, 44])
+  })
+
+  it('clamps out-of-range pages', () => {
+    expect(paginate(items, 9).page).toBe(3)
+    expect(paginate([], 2)).toEqual({ items: [], page: 1, pageCount: 1 })
+  })
+})
+
+describe('policyTimeline', () => {
+  it('orders policy, premium and claims newest first without duplicates', () => {
+    expect(timeline([policy, claim, premium, claim]).map((r) => r.uid)).toEqual([claim.uid, premium.uid, policy.uid])
+  })
+
+  it('adds weather from the cover period only', () => {
+    const during = weather(10, START + 5 * DAY)
+    const lastCheck = weather(11, START + 30 * DAY + 3600)
+    const before = weather(12, START - DAY)
+    const after = weather(13, START + 40 * DAY)
+
+    const result = policyTimeline([policy, claim], [during, lastCheck, before, after])
+
+    expect(result.map((r) => r.uid)).toEqual([lastCheck.uid, claim.uid, during.uid, policy.uid])
+    expect(policyLocation([claim, policy])).toBe('Nairobi')
+  })
+
+  it('leaves weather out until the policy attestation is known', () => {
+    expect(policyTimeline([claim], [weather(10, START + DAY)])).toEqual([claim])
+    expect(policyLocation([claim])).toBeNull()
+  })
+})
+
+describe('export', () => {
+  it('writes CSV with decoded data', () => {
+    const rows = parseCsv(attestationsToCsv([claim]))
+
+    expect(rows[0]).toEqual(['uid', 'type', 'created', 'status', 'revoked', 'revokedAt', 'attester', 'recipient', 'data'])
+    expect(rows[1].slice(1, 6)).toEqual(['Claim', '2023-11-24T22:13:20.000Z', 'Paid', 'false', ''])
+    expect(JSON.parse(rows[1][8])).toMatchObject({ claimAmount: '500000000000', claimStatus: 3, evidence: 'Drought' })
+  })
+
+  it('writes JSON with bigints as strings', () => {
+    const [exported] = JSON.parse(attestationsToJson([deniedClaim]))
+
+    expect(exported).toMatchObject({
+      uid: deniedClaim.uid, type: 'Claim', status: 'Denied', revoked: true, revokedAt: '2023-12-05T22:13:20.000Z',
+    })
+    expect(exported.fields.claimAmount).toBe('0')
+  })
+})
@@ -0,0 +1,174 @@
+import { type Address, type Hex } from 'viem'
+import { toCsv } from '@/lib/csv'
+import { CLAIM_STATUS_LABELS, decodeAttestation, type AttestationData, type AttestationType } from '@/lib/attestations'
+
+// EAS getAttestation result
+export interface EasAttestation {
+  uid: Hex
+  schema: Hex
+  time: bigint
+  expirationTime: bigint
+  revocationTime: bigint
+  refUID: Hex
+  recipient: Address
+  attester: Address
+  revocable: boolean
+  data: Hex
+}
+
+// One explorer row: the envelope plus the decoded schema data
+export interface AttestationRecord {
+  uid: Hex
+  type: AttestationType | null
+  time: number
+  attester: Address
+  recipient: Address
+  revoked: boolean
+  revocationTime: number
+  status: string | null
+  fields: AttestationData | null
+}
+
+export type RevokedFilter = 'all' | 'active' | 'revoked'
+
+export interface AttestationFilters {
+  // yyyy-mm-dd, as date inputs give them; empty for no bound
+  from: string
+  to: string
+  status: string
+  revoked: RevokedFilter
+}
+
+export const NO_FILTERS: AttestationFilters = { from: '', to: '', status: '', revoked: 'all' }
+
+export const PAGE_SIZE = 20
+
+const DAY = 86400
+
+// The schema's own yes/no or status field, where it has one
+export function attestationStatus(type: AttestationType | null, fields: AttestationData | null): string | null {
+  if (!type || !fields) return null
+  switch (type) {
+    case 'Policy': return fields.isActive ? 'Active' : 'Inactive'
+    case 'Weather': return fields.verified ? 'Verified' : 'Unverified'
+    case 'Claim': return CLAIM_STATUS_LABELS[Number(fields.claimStatus)] ?? String(fields.claimStatus)
+    case 'Compliance': return fields.compliant ? 'Compliant' : 'Non-compliant'
+    case 'Premium': return fields.paid ? 'Paid' : 'Unpaid'
+    case 'OracleReliability': return fields.successful ? 'Successful' : 'Failed'
+    case 'KYC': return fields.verified ? 'Verified' : 'Unverified'
+    case 'RiskAssessment': return fields.approved ? 'Approved' : 'Not approved'
+    default: return null
+  }
+}
+
+export function toAttestationRecord(attestation: EasAttestation): AttestationRecord {
+  const decoded = decodeAttestation(attestation.schema, attestation.data)
+  const type = decoded?.type ?? null
+  const fields = decoded?.fields ?? null
+  return {
+    uid: attestation.uid,
+    type,
+    time: Number(attestation.time),
+    attester: attestation.attester,
+    recipient: attestation.recipient,
+    revoked: attestation.revocationTime > 0n,
+    revocationTime: Number(attestation.revocationTime),
+    status: attestationStatus(type, fields),
+    fields,
+  }
+}
+
+function dayStart(date: string): number {
+  return Date.parse(`${date}T00:00:00Z`) / 1000
+}
+
+// Date bounds are whole UTC days, both inclusive
+export function filterAttestations(records: AttestationRecord[], filters: AttestationFilters): AttestationRecord[] {
+  const from = filters.from ? dayStart(filters.from) : null
+  const to = filters.to ? dayStart(filters.to) + DAY : null
+  return records.filter((r) => {
+    if (from !== null && r.time < from) return false
+    if (to !== null && r.time >= to) return false
+    if (filters.status && r.status !== filters.status) return false
+    if (filters.revoked === 'active' && r.revoked) return false
+    if (filters.revoked === 'revoked' && !r.revoked) return false
+    return true
+  })
+}
+
+// Distinct statuses, for the status filter's options
+export function statusOptions(records: AttestationRecord[]): string[] {
+  return [...new Set(records.map((r) => r.status).filter((s): s is string => s !== null))].sort()
+}
+
+// Page numbers are 1-based; out-of-range pages are clamped
+export function paginate<T>(items: T[], page: number, pageSize = PAGE_SIZE) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize))
+  const current = Math.min(Math.max(1, page), pageCount)
+  return { items: items.slice((current - 1) * pageSize, current * pageSize), page: current, pageCount }
+}
+
+// Newest first, each attestation once however many lists it came from
+export function timeline(records: AttestationRecord[]): AttestationRecord[] {
+  const byUid = new Map(records.map((r) => [r.uid, r]))
+  return [...byUid.values()].sort((a, b) => b.time - a.time)
+}
+
+function policyTerms(records: AttestationRecord[]): AttestationData | null {
+  return records.find((r) => r.type === 'Policy' && r.fields)?.fields ?? null
+}
+
+// Everything attested about one policy contract: its policy, claim and premium attestations,
+// plus weather readings for its location. Weather is indexed by location alone, so only
+// readings inside the cover period (and a day after, for the last check) belong to it.
+export function policyTimeline(records: AttestationRecord[], weather: AttestationRecord[]): AttestationRecord[] {
+  const terms = policyTerms(records)
+  if (!terms) return timeline(records)
+  const start = Number(terms.startDate)
+  const end = start + Number(terms.duration) + DAY
+  return timeline([...records, ...weather.filter((r) => r.time >= start && r.time <= end)])
+}
+
+// Location the policy's weather attestations are filed under
+export function policyLocation(records: AttestationRecord[]): string | null {
+  const location = policyTerms(records)?.cropLocation
+  return typeof location === 'string' && location ? location : null
+}
+
+function serialize(value: unknown): unknown {
+  return typeof value === 'bigint' ? value.toString() : value
+}
+
+function isoTime(seconds: number): string {
+  return seconds ? new Date(seconds * 1000).toISOString() : ''
+}
+
+export function attestationsToCsv(records: AttestationRecord[]): string {
+  return toCsv([
+    ['uid', 'type', 'created', 'status', 'revoked', 'revokedAt', 'attester', 'recipient', 'data'],
+    ...records.map((r) => [
+      r.uid,
+      r.type ?? 'Unknown',
+      isoTime(r.time),
+      r.status ?? '',
+      r.revoked,
+      isoTime(r.revocationTime),
+      r.attester,
+      r.recipient,
+      r.fields ? JSON.stringify(r.fields, (_, v) => serialize(v)) : '',
+    ]),
+  ])
+}
+
+export function attestationsToJson(records: AttestationRecord[]): string {
+  return JSON.stringify(
+    records.map((r) => ({
+      ...r,
+      type: r.type ?? 'Unknown',
+      created: isoTime(r.time),
+      revokedAt: isoTime(r.revocationTime) || null,
+    })),
+    (_, v) => serialize(v),
+    2,
+  ) + '\n'
+}
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest'
+import { encodeAbiParameters, encodePacked, keccak256, parseAbiParameters, zeroAddress } from 'viem'
+import {
+  ATTESTATION_TYPES, LEGACY_SCHEMAS, SCHEMAS, attestationTypeForSchema, attesterRoles, decodeAttestation, decodeAttestationData,
+  describeAttestation, policyAddressFromId, schemaUID,
+} from './attestations'
+
+const POLICY = '0x1111111111111111111111111111111111111111'
+const CLIENT = '0x2222222222222222222222222222222222222222'
+
+function encode(type: keyof typeof SCHEMAS, values: readonly unknown[]) {
+  return encodeAbiParameters(parseAbiParameters(SCHEMAS[type].definition), values as never)
+}
+
+const weatherData = encode('Weather', ['Nairobi', 1700000000n, 12n, 'Median of 3 weather sources', `0x${'ab'.repeat(32)}`, true])
+const claimData = encode('Claim', [`${POLICY}_1700000000`, 250000000000n, 1700000000n, 3, 'Drought for 3 days', true])
+
+describe('schemaUID', () => {
+  it('gives every schema a distinct UID that maps back to its type', () => {
+    const uids = ATTESTATION_TYPES.map(schemaUID)
+
+    expect(new Set(uids).size).toBe(ATTESTATION_TYPES.length)
+    for (const type of ATTESTATION_TYPES) {
+      expect(attestationTypeForSchema(schemaUID(type))).toBe(type)
+      expect(attestationTypeForSchema(schemaUID(type).toUpperCase().replace('0X', '0x') as `0x${string}`)).toBe(type)
+    }
+  })
+
+  it('maps the original policy schema to Policy', () => {
+    const [original] = LEGACY_SCHEMAS.Policy!
+    const uid = keccak256(encodePacked(['string', 'address', 'bool'], [original.definition, zeroAddress, original.revocable]))
+
+    expect(uid).not.toBe(schemaUID('Policy'))
+    expect(attestationTypeForSchema(uid)).toBe('Policy')
+  })
+
+  it('does not recognise other schemas', () => {
+    expect(attestationTypeForSchema(`0x${'00'.repeat(32)}`)).toBeNull()
+  })
+})
+
+describe('decodeAttestationData', () => {
+  it('decodes data into named fields', () => {
+    const fields = decodeAttestationData('Weather', weatherData)
+
+    expect(fields).toMatchObject({ location: 'Nairobi', rainfall: 12n, verified: true })
+  })
+
+  it('decodes policies attested under the original policy schema', () => {
+    const data = encodeAbiParameters(parseAbiParameters(LEGACY_SCHEMAS.Policy![0].definition), [
+      `${POLICY}_1700000000`, POLICY, CLIENT, 100000000n, 500000000000n, 'Nairobi', 1700000000n, 2592000n, true,
+    ])
+    const fields = decodeAttestationData('Policy', data)
+
+    expect(fields).toMatchObject({ insuranceContract: POLICY, cropLocation: 'Nairobi', isActive: true })
+    expect(fields).not.toHaveProperty('droughtDays')
+  })
+
+  it('rejects data encoded for a different schema', () => {
+    expect(decodeAttestationData('Claim', weatherData)).toBeNull()
+    expect(decodeAttestationData('Weather', '0x1234')).toBeNull()
+  })
+})
+
+describe('decodeAttestation', () => {
+  it('uses the schema UID to pick the type', () => {
+    expect(decodeAttestation(schemaUID('Claim'), claimData)?.type).toBe('Claim')
+  })
+
+  it('falls back to trying each schema when the UID is unknown', () => {
+    expect(decodeAttestation(`0x${'00'.repeat(32)}`, weatherData)?.type).toBe('Weather')
+    expect(decodeAttestation(`0x${'00'.repeat(32)}`, '0x')).toBeNull()
+  })
+})
+
+describe('policyAddressFromId', () => {
+  it('pulls the policy contract out of a policy id', () => {
+    expect(policyAddressFromId(`${POLICY}_1700000000`)).toBe(POLICY)
+    expect(policyAddressFromId(`${POLICY}_claim_1700000000`)).toBe(POLICY)
+    expect(policyAddressFromId('policy-1')).toBeNull()
+  })
+})
+
+describe('describeAttestation', () => {
+  it('formats claim fields and links the policy', () => {
+    const fields = describeAttestation(decodeAttestationData('Claim', claimData)!)
+    const byKey = Object.fromEntries(fields.map((f) => [f.key, f]))
+
+    expect(byKey.policyId).toMatchObject({ kind: 'policy', address: POLICY, label: 'Policy Id' })
+    expect(byKey.claimAmount.display).toBe('$2,500.00')
+    expect(byKey.claimStatus.display).toBe('Paid')
+    expect(byKey.droughtConfirmed.display).toBe('Yes')
+    expect(byKey.evidence).toMatchObject({ kind: 'text', display: 'Drought for 3 days' })
+  })
+
+  it('formats policy terms and links the contract and client', () => {
+    const data = encode('Policy', [
+      `${POLICY}_1700000000`, POLICY, CLIENT, 100000000n, 500000000000n, 'Nairobi', 1700000000n, 2592000n, true,
+      3, 10, 0, 0n, 1, 5, 120n, [], [], false,
+    ])
+    const byKey = Object.fromEntries(describeAttestation(decodeAttestationData('Policy', data)!).map((f) => [f.key, f]))
+
+    expect(byKey.insuranceContract).toMatchObject({ kind: 'policy', address: POLICY })
+    expect(byKey.client).toMatchObject({ kind: 'address', address: CLIENT })
+    expect(byKey.duration.display).toBe('30d')
+    expect(byKey.dryDayThreshold.display).toBe('10 mm')
+    expect(byKey.deficitWindowDays.display).toBe('Off')
+    expect(byKey.floodWindowDays.display).toBe('5 days')
+    expect(byKey.product.display).toBe('Flood')
+  })
+
+  it('formats payout tiers', () => {
+    const data = encode('Policy', [
+      `${POLICY}_1700000000`, POLICY, CLIENT, 100000000n, 500000000000n, 'Nairobi', 1700000000n, 2592000n, true,
+      3, 0, 7, 100n, 0, 0, 0n, [3, 5, 7], [2500, 5000, 10000], true,
+    ])
+    const byKey = Object.fromEntries(describeAttestation(decodeAttestationData('Policy', data)!).map((f) => [f.key, f]))
+
+    expect(byKey.tierDryDays.display).toBe('3 days, 5 days, 7 days')
+    expect(byKey.tierBps.display).toBe('25%, 50%, 100%')
+    expect(byKey.linearDeficitPayout.display).toBe('Yes')
+  })
+})
+
+describe('attesterRoles', () => {
+  it('lists every role held', () => {
+    expect(attesterRoles({ owner: true, attestor: true, oracleNode: false, complianceProvider: true }))
+      .toEqual(['Owner', 'Authorized attestor', 'Compliance provider'])
+    expect(attesterRoles({ owner: false, attestor: false, oracleNode: true, complianceProvider: false }))
+      .toEqual(['Oracle node'])
+  })
+})
@@ -0,0 +1,214 @@
+import {
+  decodeAbiParameters, encodeAbiParameters, encodePacked, keccak256, parseAbiParameters, zeroAddress, type Address, type Hex,
+} from 'viem'
+import { formatDuration, formatRainfall, formatTimestamp, formatUSD } from '@/lib/format'
+import { formatBps } from '@/lib/payoutTiers'
+import { PRODUCT_FLOOD } from '@/lib/triggerTerms'
+
+// Names as InsuranceSchemas emits them in SchemaRegistered, in getAllSchemaUIDs order; 'Policy'
+// also covers PolicyV2, the schema new policies are attested with (see LEGACY_SCHEMAS)
+export const ATTESTATION_TYPES = [
+  'Policy', 'Weather', 'Claim', 'Compliance', 'Premium', 'OracleReliability', 'KYC', 'Audit', 'RiskAssessment',
+] as const
+
+export type AttestationType = (typeof ATTESTATION_TYPES)[number]
+
+export interface SchemaDefinition {
+  definition: string
+  revocable: boolean
+}
+
+// Schema strings and revocability exactly as InsuranceSchemas registers them; Policy is POLICY_SCHEMA_V2
+export const SCHEMAS: Record<AttestationType, SchemaDefinition> = {
+  Policy: {
+    definition:
+      'string policyId,address insuranceContract,address client,uint256 premiumPaid,uint256 payoutValue,string cropLocation,uint256 startDate,uint256 duration,bool isActive,uint32 droughtDays,uint32 dryDayThreshold,uint32 deficitWindowDays,uint64 deficitThreshold,uint8 product,uint32 floodWindowDays,uint64 floodThreshold,uint32[] tierDryDays,uint16[] tierBps,bool linearDeficitPayout',
+    revocable: true,
+  },
+  Weather: {
+    definition: 'string location,uint256 timestamp,uint256 rainfall,string dataSource,bytes32 oracleRequestId,bool verified',
+    revocable: true,
+  },
+  Claim: {
+    definition: 'string policyId,uint256 claimAmount,uint256 timestamp,uint8 claimStatus,string evidence,bool droughtConfirmed',
+    revocable: false,
+  },
+  Compliance: {
+    definition: 'address entity,string regulationType,bool compliant,uint256 verificationDate,string certifyingAuthority',
+    revocable: true,
+  },
+  Premium: {
+    definition: 'string policyId,address client,uint256 amount,address token,bool paid,uint256 paidAt',
+    revocable: false,
+  },
+  OracleReliability: {
+    definition: 'address oracle,string dataSource,uint256 timestamp,uint256 responseTime,bool successful,uint256 accuracy,string metrics',
+    revocable: true,
+  },
+  KYC: {
+    definition: 'address client,string verificationType,bool verified,uint256 verificationDate,address verifier,string complianceLevel,bytes32 documentHash',
+    revocable: true,
+  },
+  Audit: {
+    definition: 'address actor,string action,uint256 timestamp,string details,bytes32 transactionHash,string category',
+    revocable: false,
+  },
+  RiskAssessment: {
+    definition: 'string location,uint256 timestamp,uint8 riskLevel,string riskFactors,uint256 historicalLosses,address assessor,bool approved',
+    revocable: true,
+  },
+}
+
+// Earlier schemas InsuranceSchemas still registers so existing attestations decode; they read as
+// the same type. The original POLICY_SCHEMA has no trigger terms or payout tiers.
+export const LEGACY_SCHEMAS: Partial<Record<AttestationType, SchemaDefinition[]>> = {
+  Policy: [
+    {
+      definition:
+        'string policyId,address insuranceContract,address client,uint256 premiumPaid,uint256 payoutValue,string cropLocation,uint256 startDate,uint256 duration,bool isActive',
+      revocable: true,
+    },
+  ],
+}
+
+// Current schema first
+function schemaVersions(type: AttestationType): SchemaDefinition[] {
+  return [SCHEMAS[type], ...(LEGACY_SCHEMAS[type] ?? [])]
+}
+
+// ClaimAttestationData.claimStatus
+export const CLAIM_STATUS_LABELS: Record<number, string> = {
+  0: 'Pending',
+  1: 'Approved',
+  2: 'Denied',
+  3: 'Paid',
+}
+
+export type AttestationData = Record<string, unknown>
+
+// SchemaRegistry UID: keccak256(abi.encodePacked(schema, resolver, revocable)); InsuranceSchemas registers without a resolver
+function definitionUID({ definition, revocable }: SchemaDefinition): Hex {
+  return keccak256(encodePacked(['string', 'address', 'bool'], [definition, zeroAddress, revocable]))
+}
+
+// UID of the schema the type is attested with now
+export function schemaUID(type: AttestationType): Hex {
+  return definitionUID(SCHEMAS[type])
+}
+
+export function attestationTypeForSchema(schema: Hex): AttestationType | null {
+  const uid = schema.toLowerCase()
+  return ATTESTATION_TYPES.find((type) => schemaVersions(type).some((version) => definitionUID(version).toLowerCase() === uid)) ?? null
+}
+
+// Decodes data as the given schema; null unless it decodes and re-encodes to the same bytes,
+// so a trial decode against the wrong schema doesn't pass for a match
+function decodeWithDefinition(definition: string, data: Hex): AttestationData | null {
+  const params = parseAbiParameters(definition)
+  try {
+    const values = decodeAbiParameters(params, data)
+    if (encodeAbiParameters(params, values).toLowerCase() !== data.toLowerCase()) return null
+    return Object.fromEntries(params.map((param, i) => [param.name as string, values[i]]))
+  } catch {
+    return null
+  }
+}
+
+// Decodes data as the type's current schema, or failing that one of its earlier ones
+export function decodeAttestationData(type: AttestationType, data: Hex): AttestationData | null {
+  for (const { definition } of schemaVersions(type)) {
+    const fields = decodeWithDefinition(definition, data)
+    if (fields) return fields
+  }
+  return null
+}
+
+// The schema UID identifies the type, including under its earlier schemas; attestations made
+// under a schema string this build doesn't know fall back to a trial decode
+export function decodeAttestation(schema: Hex, data: Hex): { type: AttestationType; fields: AttestationData } | null {
+  const known = attestationTypeForSchema(schema)
+  const candidates = known ? [known] : ATTESTATION_TYPES
+  for (const type of candidates) {
+    const fields = decodeAttestationData(type, data)
+    if (fields) return { type, fields }
+  }
+  return null
+}
+
+// policyId is "<policy contract>_<timestamp>", or "<policy contract>_claim_<timestamp>" on claims
+export function policyAddressFromId(policyId: string): Address | null {
+  const match = /^(0x[0-9a-fA-F]{40})_(?:claim_)?\d+$/.exec(policyId)
+  return match ? (match[1] as Address) : null
+}
+
+export type FieldKind = 'policy' | 'address' | 'text'
+
+export interface AttestationField {
+  key: string
+  label: string
+  kind: FieldKind
+  display: string
+  // Policy contract for policy ids and insuranceContract; the account for other addresses
+  address?: Address
+}
+
+const TIMESTAMP_FIELDS = new Set(['startDate', 'timestamp', 'paidAt', 'verificationDate'])
+const USD_FIELDS = new Set(['premiumPaid', 'payoutValue', 'claimAmount', 'historicalLosses'])
+const RAINFALL_FIELDS = new Set(['rainfall', 'dryDayThreshold', 'deficitThreshold', 'floodThreshold'])
+const DAY_FIELDS = new Set(['droughtDays', 'deficitWindowDays', 'floodWindowDays', 'tierDryDays'])
+
+// camelCase field name as a label: "deficitWindowDays" -> "Deficit Window Days"
+function toLabel(key: string): string {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/^./, (c) => c.toUpperCase())
+}
+
+function formatField(key: string, value: unknown): string {
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No'
+  // Payout tiers, one entry per tier; none means the whole payout at once
+  if (Array.isArray(value)) return value.length === 0 ? 'None' : value.map((item) => formatField(key, item)).join(', ')
+  if (typeof value === 'bigint' || typeof value === 'number') {
+    const n = BigInt(value)
+    if (key === 'claimStatus') return CLAIM_STATUS_LABELS[Number(n)] ?? n.toString()
+    if (key === 'product') return Number(n) === PRODUCT_FLOOD ? 'Flood' : 'Drought'
+    if (TIMESTAMP_FIELDS.has(key)) return formatTimestamp(n)
+    if (key === 'duration') return formatDuration(n)
+    if (key === 'responseTime') return `${n.toString()}s`
+    if (key === 'tierBps') return formatBps(Number(n))
+    if (USD_FIELDS.has(key)) return formatUSD(n)
+    if (RAINFALL_FIELDS.has(key)) return formatRainfall(n)
+    if (DAY_FIELDS.has(key)) return Number(n) === 0 ? 'Off' : `${n.toString()} days`
+    return n.toString()
+  }
+  return String(value)
+}
+
+// Typed, labelled fields in schema order, with the policy contract and other addresses
+// (client, oracle, verifier...) pulled out so the page can link them
+export function describeAttestation(fields: AttestationData): AttestationField[] {
+  return Object.entries(fields).map(([key, value]) => {
+    const field: AttestationField = { key, label: toLabel(key), kind: 'text', display: formatField(key, value) }
+    if (key === 'insuranceContract') {
+      return { ...field, kind: 'policy', address: value as Address }
+    }
+    if (key === 'policyId') {
+      const policy = policyAddressFromId(String(value))
+      return policy ? { ...field, kind: 'policy', address: policy } : field
+    }
+    if (typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value)) {
+      return { ...field, kind: 'address', address: value as Address }
+    }
+    return field
+  })
+}
+
+export type AttesterRole = 'Owner' | 'Authorized attestor' | 'Oracle node' | 'Compliance provider'
+
+// Roles the attesting address holds in EASInsuranceManager
+export function attesterRoles(flags: { owner: boolean; attestor: boolean; oracleNode: boolean; complianceProvider: boolean }): AttesterRole[] {
+  const roles: AttesterRole[] = []
+  if (flags.owner) roles.push('Owner')
+  if (flags.attestor) roles.push('Authorized attestor')
+  if (flags.oracleNode) roles.push('Oracle node')
+  if (flags.complianceProvider) roles.push('Compliance provider')
+  return roles
+}
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest'
+import { type Address } from 'viem'
+import {
+  linkForDuration,
+  parsePolicyCsv,
+  parseUSD,
+  resultsToCsv,
+  summarizeFunding,
+  tokenAmountForUSD,
+  withBuffer,
+  type BulkToken,
+} from './bulkPolicies'
+import { parseCsv } from './csv'
+
+const ETH: BulkToken = { symbol: 'ETH', address: '0x0000000000000000000000000000000000000000' as Address, decimals: 18 }
+const USDC: BulkToken = { symbol: 'USDC', address: '0x94a9D9AC8a22534E3FaCa9F4e7F2E2cf85d5E4C8' as Address, decimals: 6 }
+const TOKENS = [ETH, USDC]
+const CLIENT = '0x1111111111111111111111111111111111111111'
+const USD = 10n ** 8n
+
+describe('parseCsv', () => {
+  it('handles quoted commas, escaped quotes, CRLF and blank lines', () => {
+    expect(parseCsv('a,b\r\n"London,UK","say ""hi"""\r\n\r\n x , y \n')).toEqual([
+      ['a', 'b'],
+      ['London,UK', 'say "hi"'],
+      ['x', 'y'],
+    ])
+  })
+})
+
+describe('parseUSD', () => {
+  it('parses to 8-decimal fixed point', () => {
+    expect(parseUSD('100')).toBe(100n * USD)
+    expect(parseUSD('$1,5')).toBeNull()
+    expect(parseUSD('0.5')).toBe(USD / 2n)
+    expect(parseUSD('1.123456789')).toBeNull()
+    expect(parseUSD('-1')).toBeNull()
+  })
+})
+
+describe('parsePolicyCsv', () => {
+  it('accepts header aliases in any order and resolves tokens by symbol or address', () => {
+    const csv = `Payment Token,Crop Location,Client Address,Days,Payout USD,Premium USD
+usdc,"Lahore,PK",${CLIENT},30,1000,100
+${USDC.address.toLowerCase()},"London,UK",${CLIENT},10,500.5,50`
+    const { rows, headerError } = parsePolicyCsv(csv, TOKENS)
+    expect(headerError).toBeNull()
+    expect(rows).toHaveLength(2)
+    expect(rows[0]).toMatchObject({ line: 2, location: 'Lahore,PK', durationDays: 30, premium: 100n * USD, payout: 1000n * USD, token: USDC, errors: [] })
+    expect(rows[1].token).toBe(USDC)
+    expect(rows[1].payout).toBe(50050000000n)
+  })
+
+  it('reports missing columns', () => {
+    expect(parsePolicyCsv('client,location,premium\n', TOKENS).headerError).toBe('Missing columns: duration, payout, token')
+    expect(parsePolicyCsv('', TOKENS).headerError).toBe('The file is empty')
+  })
+
+  it('collects per-row validation errors', () => {
+    const csv = `client,location,duration,premium,payout,token
+0x123,,0,100,50,BTC
+${CLIENT},"Nairobi,KE",7,100,1000,USDC`
+    const { rows } = parsePolicyCsv(csv, TOKENS, new Set([ETH.address]))
+    expect(rows[0].errors).toEqual([
+      'Invalid client address',
+      'Location is required',
+      'Duration must be a whole number of days',
+      'Payout must exceed premium',
+      'Unknown token BTC',
+    ])
+    expect(rows[1].errors).toEqual(['Payment token not supported'])
+  })
+
+  it('defaults an empty token to ETH', () => {
+    const { rows } = parsePolicyCsv(`client,location,duration,premium,payout,token\n${CLIENT},X,5,1,2,`, TOKENS)
+    expect(rows[0].token).toBe(ETH)
+  })
+})
+
+describe('funding', () => {
+  it('matches the provider LINK and token formulas', () => {
+    expect(linkForDuration(30)).toBe(64n * 10n ** 17n)
+    // $1000 at $1 per USDC, 6 decimals
+    expect(tokenAmountForUSD(1000n * USD, USD, 6)).toBe(1000n * 10n ** 6n)
+    expect(withBuffer(10_000n, 100)).toBe(10_100n)
+  })
+
+  it('sums LINK and per-token payout funding over valid rows only', () => {
+    const csv = `client,location,duration,premium,payout,token
+${CLIENT},A,10,100,1000,ETH
+${CLIENT},B,20,100,3000,ETH
+${CLIENT},C,5,100,500,USDC
+bad,D,5,100,500,ETH`
+    const { rows } = parsePolicyCsv(csv, TOKENS)
+    const prices = new Map<string, bigint | undefined>([[ETH.address, 2000n * USD]])
+    const { link, byToken } = summarizeFunding(rows, prices)
+
+    expect(link).toBe(linkForDuration(10) + linkForDuration(20) + linkForDuration(5))
+    expect(byToken.get(ETH.address)).toMatchObject({ policies: 2, payout: 4000n * USD, amount: 2n * 10n ** 18n })
+    // No price for USDC yet
+    expect(byToken.get(USDC.address.toLowerCase())).toMatchObject({ policies: 1, amount: null })
+  })
+})
+
+describe('resultsToCsv', () => {
+  it('writes one line per row with status, contract and errors', () => {
+    const { rows } = parsePolicyCsv(`client,location,duration,premium,payout,token
+${CLIENT},"London,UK",30,100,1000,ETH
+${CLIENT},"Nairobi,KE",30,100,1000,ETH
+0x0,X,30,100,1000,ETH`, TOKENS)
+    const contract = '0x2222222222222222222222222222222222222222' as Address
+    const csv = resultsToCsv(rows, new Map([
+      [2, { status: 'created', contract, txHash: '0xabc' }],
+      [3, { status: 'failed', error: 'User rejected' }],
+    ]))
+    const lines = parseCsv(csv)
+    expect(lines[0]).toContain('status')
+    expect(lines[1]).toEqual(['2', CLIENT, 'London,UK', '30', '100', '1000', 'ETH', 'created', contract, '0xabc', ''])
+    expect(lines[2].slice(7)).toEqual(['failed', '', '', 'User rejected'])
+    expect(lines[3].slice(7)).toEqual(['invalid', '', '', 'Invalid client address'])
+  })
+})
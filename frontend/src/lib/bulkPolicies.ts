@@ -0,0 +1,194 @@
+import { isAddress, type Address } from 'viem'
+import { parseCsv, toCsv } from '@/lib/csv'
+
+export const DAY_IN_SECONDS = 86400n
+// AutomatedInsuranceProvider.ORACLE_PAYMENT (0.1 LINK)
+export const ORACLE_PAYMENT = 10n ** 17n
+const USD_DECIMALS = 8
+
+export interface BulkToken {
+  symbol: string
+  address: Address
+  decimals: number
+}
+
+export interface BulkPolicyRow {
+  line: number // 1-based line in the file, header included
+  client: string
+  location: string
+  durationDays: number
+  premium: bigint // USD, 8 decimals
+  payout: bigint // USD, 8 decimals
+  token: BulkToken | null
+  errors: string[]
+}
+
+export interface ParsedPolicyCsv {
+  rows: BulkPolicyRow[]
+  headerError: string | null
+}
+
+// Accepted header names for each column, compared case-insensitively without spaces/underscores
+const COLUMNS = {
+  client: ['client', 'clientaddress', 'farmer', 'address'],
+  location: ['location', 'croplocation'],
+  duration: ['duration', 'durationdays', 'days'],
+  premium: ['premium', 'premiumusd'],
+  payout: ['payout', 'payoutusd', 'payoutvalue'],
+  token: ['token', 'paymenttoken'],
+} as const
+
+type Column = keyof typeof COLUMNS
+
+export const CSV_TEMPLATE = 'client,location,duration,premium,payout,token\n0x0000000000000000000000000000000000000001,"London,UK",30,100,1000,ETH\n'
+
+// Decimal string -> fixed-point bigint, or null if it is not a plain non-negative number
+export function parseUSD(value: string): bigint | null {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(value.replace(/[$\s]/g, ''))
+  if (!match || (match[2] && match[2].length > USD_DECIMALS)) return null
+  return BigInt(match[1] + (match[2] ?? '').padEnd(USD_DECIMALS, '0'))
+}
+
+function normalize(header: string): string {
+  return header.toLowerCase().replace(/[\s_-]/g, '')
+}
+
+/**
+ * Parse and validate an underwriting CSV. Tokens may be given by symbol or address;
+ * `supported` holds lowercased addresses the provider reports in supportedTokens
+ * (undefined while that is still loading).
+ */
+export function parsePolicyCsv(text: string, tokens: BulkToken[], supported?: Set<string>): ParsedPolicyCsv {
+  const [header, ...records] = parseCsv(text)
+  if (!header) return { rows: [], headerError: 'The file is empty' }
+
+  const index = {} as Record<Column, number>
+  for (const column of Object.keys(COLUMNS) as Column[]) {
+    index[column] = header.findIndex((h) => (COLUMNS[column] as readonly string[]).includes(normalize(h)))
+  }
+  const missing = (Object.keys(index) as Column[]).filter((c) => index[c] === -1)
+  if (missing.length > 0) {
+    return { rows: [], headerError: `Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}` }
+  }
+
+  const rows = records.map((record, i): BulkPolicyRow => {
+    const get = (column: Column) => record[index[column]] ?? ''
+    const errors: string[] = []
+
+    const client = get('client')
+    if (!isAddress(client)) errors.push('Invalid client address')
+    else if (client === '0x0000000000000000000000000000000000000000') errors.push('Invalid client address')
+
+    const location = get('location')
+    if (!location) errors.push('Location is required')
+
+    const durationDays = Number(get('duration'))
+    if (!Number.isInteger(durationDays) || durationDays <= 0) errors.push('Duration must be a whole number of days')
+
+    const premium = parseUSD(get('premium'))
+    const payout = parseUSD(get('payout'))
+    if (premium === null || premium === 0n) errors.push('Premium must be greater than 0')
+    if (payout === null) errors.push('Invalid payout')
+    else if (premium !== null && payout <= premium) errors.push('Payout must exceed premium')
+
+    const tokenValue = get('token') || 'ETH'
+    const token =
+      tokens.find((t) => t.symbol.toLowerCase() === tokenValue.toLowerCase()) ??
+      tokens.find((t) => t.address.toLowerCase() === tokenValue.toLowerCase()) ??
+      null
+    if (!token) errors.push(`Unknown token ${tokenValue}`)
+    else if (supported && !supported.has(token.address.toLowerCase())) errors.push('Payment token not supported')
+
+    return {
+      line: i + 2,
+      client,
+      location,
+      durationDays,
+      premium: premium ?? 0n,
+      payout: payout ?? 0n,
+      token,
+      errors,
+    }
+  })
+
+  return { rows, headerError: null }
+}
+
+// LINK the provider transfers into each new policy for its oracle requests
+export function linkForDuration(durationDays: number): bigint {
+  return (BigInt(durationDays) + 2n) * ORACLE_PAYMENT * 2n
+}
+
+// newContract's ETH funding: payoutValue * 1e18 / getLatestPrice()
+export function ethForPayout(payout: bigint, ethPrice: bigint): bigint {
+  return (payout * 10n ** 18n) / ethPrice
+}
+
+// Mirrors the provider's getTokenAmountForUSD
+export function tokenAmountForUSD(usd: bigint, price: bigint, decimals: number): bigint {
+  const amount = (usd * 10n ** 18n) / price
+  if (decimals < 18) return amount / 10n ** BigInt(18 - decimals)
+  if (decimals > 18) return amount * 10n ** BigInt(decimals - 18)
+  return amount
+}
+
+export function withBuffer(amount: bigint, bufferBps: number): bigint {
+  return (amount * BigInt(10_000 + bufferBps)) / 10_000n
+}
+
+export interface FundingSummary {
+  link: bigint
+  // Payout funding per token address (lowercased), in token units; null when unpriced
+  byToken: Map<string, { token: BulkToken; policies: number; payout: bigint; amount: bigint | null }>
+}
+
+export function summarizeFunding(rows: BulkPolicyRow[], prices: Map<string, bigint | undefined>): FundingSummary {
+  const byToken: FundingSummary['byToken'] = new Map()
+  let link = 0n
+  for (const row of rows) {
+    if (row.errors.length > 0 || !row.token) continue
+    link += linkForDuration(row.durationDays)
+
+    const key = row.token.address.toLowerCase()
+    const entry = byToken.get(key) ?? { token: row.token, policies: 0, payout: 0n, amount: 0n as bigint | null }
+    const price = prices.get(key)
+    entry.policies += 1
+    entry.payout += row.payout
+    // For ETH (18 decimals) this is exactly ethForPayout
+    entry.amount = entry.amount === null || !price ? null : entry.amount + tokenAmountForUSD(row.payout, price, row.token.decimals)
+    byToken.set(key, entry)
+  }
+  return { link, byToken }
+}
+
+export type RowStatus = 'queued' | 'approving' | 'submitting' | 'confirming' | 'created' | 'failed' | 'skipped'
+
+export interface RowResult {
+  status: RowStatus
+  contract?: Address
+  funded?: bigint // the created policy's payout escrow, in its token's units
+  txHash?: `0x${string}`
+  error?: string
+}
+
+export function resultsToCsv(rows: BulkPolicyRow[], results: Map<number, RowResult>): string {
+  return toCsv([
+    ['line', 'client', 'location', 'duration', 'premium', 'payout', 'token', 'status', 'contract', 'txHash', 'error'],
+    ...rows.map((row) => {
+      const result = results.get(row.line)
+      return [
+        row.line,
+        row.client,
+        row.location,
+        row.durationDays,
+        Number(row.premium) / 10 ** USD_DECIMALS,
+        Number(row.payout) / 10 ** USD_DECIMALS,
+        row.token?.symbol ?? '',
+        result?.status ?? (row.errors.length > 0 ? 'invalid' : 'queued'),
+        result?.contract ?? '',
+        result?.txHash ?? '',
+        result?.error ?? row.errors.join('; '),
+      ]
+    }),
+  ])
+}
@@ -0,0 +1,61 @@
+type CsvValue = string | number | bigint | boolean | null | undefined
+
+// RFC 4180-style parsing: quoted fields may contain commas, quotes ("") and newlines.
+// Blank lines are dropped.
+export function parseCsv(text: string): string[][] {
+  const rows: string[][] = []
+  let row: string[] = []
+  let field = ''
+  let quoted = false
+
+  const endRow = () => {
+    row.push(field)
+    if (row.some((f) => f.trim() !== '')) rows.push(row.map((f) => f.trim()))
+    row = []
+    field = ''
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      endRow()
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length > 0) endRow()
+  return rows
+}
+
+function escape(value: CsvValue): string {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function toCsv(rows: CsvValue[][]): string {
+  return rows.map((row) => row.map(escape).join(',')).join('\n') + '\n'
+}
+
+export function downloadFile(filename: string, content: string, type = 'text/csv') {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest'
+import { type Address } from 'viem'
+import { applyRoleEvents, isBytes32, revocationPlan, validateRevocationReason, type ManagerRole, type RoleLog } from './easRoles'
+
+const ALICE = '0x00000000000000000000000000000000000000a1' as Address
+const BOB = '0x00000000000000000000000000000000000000b0' as Address
+
+function role(role: ManagerRole, account: Address, granted: boolean, blockNumber: bigint, logIndex = 0): RoleLog {
+  return { role, account, granted, blockNumber, logIndex }
+}
+
+describe('applyRoleEvents', () => {
+  it('keeps the latest grant per account and role, applying removals in chain order', () => {
+    const holders = applyRoleEvents([
+      role('attestor', ALICE, false, 20n, 1),
+      role('oracleNode', BOB, true, 5n),
+      role('attestor', ALICE, true, 20n, 0),
+      role('attestor', BOB, true, 30n),
+      role('attestor', ALICE, true, 10n),
+    ])
+
+    expect(holders).toEqual([
+      { role: 'attestor', account: BOB, since: 30n },
+      { role: 'oracleNode', account: BOB, since: 5n },
+    ])
+  })
+
+  it('matches accounts case-insensitively', () => {
+    const holders = applyRoleEvents([
+      role('complianceProvider', ALICE, true, 1n),
+      role('complianceProvider', ALICE.toUpperCase().replace('0X', '0x') as Address, false, 2n),
+    ])
+    expect(holders).toEqual([])
+  })
+})
+
+describe('revocationPlan', () => {
+  const active = { revocable: true, revocationTime: 0n, isValid: true }
+
+  it('picks the manager function for policy, weather and KYC attestations', () => {
+    expect(revocationPlan({ ...active, type: 'Policy' })).toEqual({ fn: 'revokePolicyAttestation' })
+    expect(revocationPlan({ ...active, type: 'Weather' })).toEqual({ fn: 'revokeWeatherAttestation' })
+    expect(revocationPlan({ ...active, type: 'KYC' })).toEqual({ fn: 'revokeKYCAttestation' })
+  })
+
+  it('explains why an attestation cannot be revoked', () => {
+    expect(revocationPlan({ ...active, type: 'Claim', revocable: false })).toEqual({ error: 'Claim attestation is not revocable' })
+    expect(revocationPlan({ ...active, type: 'Policy', revocationTime: 100n })).toEqual({ error: 'Already revoked' })
+    expect(revocationPlan({ ...active, type: 'Weather', isValid: false })).toHaveProperty('error')
+    expect(revocationPlan({ ...active, type: 'Compliance' })).toHaveProperty('error')
+  })
+})
+
+describe('validateRevocationReason', () => {
+  it('requires a non-blank reason', () => {
+    expect(validateRevocationReason('  ')).toBe('A revocation reason is required')
+    expect(validateRevocationReason('Duplicate oracle reading')).toBeNull()
+  })
+})
+
+describe('isBytes32', () => {
+  it('accepts 32-byte hex only', () => {
+    expect(isBytes32(`0x${'ab'.repeat(32)}`)).toBe(true)
+    expect(isBytes32(`0x${'ab'.repeat(20)}`)).toBe(false)
+  })
+})
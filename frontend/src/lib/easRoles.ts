@@ -0,0 +1,101 @@
+import { getAbiItem, type Address, type Hex, type PublicClient } from 'viem'
+import { easInsuranceManagerAbi } from '@/abi/EASInsuranceManager'
+import { type AttestationType, type AttesterRole } from '@/lib/attestations'
+import { compareLogs, getLogsInChunks } from '@/lib/logs'
+
+export type ManagerRole = 'attestor' | 'oracleNode' | 'complianceProvider'
+
+// Event, setter and label for each role EASInsuranceManager's owner grants
+export const MANAGER_ROLES: Record<ManagerRole, {
+  event: 'AttestorAuthorized' | 'OracleNodeRegistered' | 'ComplianceProviderRegistered'
+  setter: 'authorizeAttestor' | 'registerOracleNode' | 'registerComplianceProvider'
+  label: AttesterRole
+}> = {
+  attestor: { event: 'AttestorAuthorized', setter: 'authorizeAttestor', label: 'Authorized attestor' },
+  oracleNode: { event: 'OracleNodeRegistered', setter: 'registerOracleNode', label: 'Oracle node' },
+  complianceProvider: { event: 'ComplianceProviderRegistered', setter: 'registerComplianceProvider', label: 'Compliance provider' },
+}
+
+export const ROLE_ORDER: ManagerRole[] = ['attestor', 'oracleNode', 'complianceProvider']
+
+export interface RoleLog {
+  role: ManagerRole
+  account: Address
+  granted: boolean
+  blockNumber: bigint
+  logIndex: number
+}
+
+export interface RoleHolder {
+  role: ManagerRole
+  account: Address
+  // Block of the most recent grant
+  since: bigint
+}
+
+// Current holders: an account holds a role if its latest event for that role was a grant.
+// The constructor authorizes the deployer as an attestor without an event, and the
+// owner passes every role check anyway, so the owner is not listed here.
+export function applyRoleEvents(logs: RoleLog[]): RoleHolder[] {
+  const ordered = [...logs].sort(compareLogs)
+  const holders = new Map<string, RoleHolder>()
+  for (const log of ordered) {
+    const key = `${log.role}:${log.account.toLowerCase()}`
+    if (log.granted) holders.set(key, { role: log.role, account: log.account, since: log.blockNumber })
+    else holders.delete(key)
+  }
+  return [...holders.values()].sort((a, b) =>
+    a.role === b.role ? (a.since < b.since ? -1 : a.since > b.since ? 1 : 0) : ROLE_ORDER.indexOf(a.role) - ROLE_ORDER.indexOf(b.role),
+  )
+}
+
+export async function fetchRoleEvents(client: PublicClient, manager: Address, fromBlock: bigint): Promise<RoleLog[]> {
+  const head = await client.getBlockNumber()
+  const perRole = await Promise.all(ROLE_ORDER.map(async (role) => {
+    const event = getAbiItem({ abi: easInsuranceManagerAbi, name: MANAGER_ROLES[role].event })
+    const logs = await getLogsInChunks(
+      (from, to) => client.getLogs({ address: manager, event, fromBlock: from, toBlock: to }),
+      fromBlock,
+      head,
+    )
+    return logs.map((log) => {
+      const args = log.args as Record<string, unknown>
+      return {
+        role,
+        account: (args.attestor ?? args.node ?? args.provider) as Address,
+        granted: (args.authorized ?? args.registered) === true,
+        blockNumber: log.blockNumber,
+        logIndex: log.logIndex,
+      }
+    })
+  }))
+  return perRole.flat()
+}
+
+export type RevokeFunction = 'revokePolicyAttestation' | 'revokeWeatherAttestation' | 'revokeKYCAttestation'
+
+// Which manager function can revoke an attestation, or why none can. The manager only
+// revokes attestations it made that are still valid, and EAS rejects non-revocable schemas.
+export function revocationPlan(attestation: {
+  type: AttestationType | null
+  revocable: boolean
+  revocationTime: bigint
+  isValid: boolean
+}): { fn: RevokeFunction } | { error: string } {
+  if (attestation.revocationTime > 0n) return { error: 'Already revoked' }
+  if (!attestation.revocable) return { error: `${attestation.type ?? 'This'} attestation is not revocable` }
+  if (!attestation.isValid) return { error: 'Not an active attestation of the insurance manager' }
+  if (attestation.type === 'Policy') return { fn: 'revokePolicyAttestation' }
+  if (attestation.type === 'Weather') return { fn: 'revokeWeatherAttestation' }
+  if (attestation.type === 'KYC') return { fn: 'revokeKYCAttestation' }
+  return { error: `The manager has no revoke function for ${attestation.type ?? 'unknown'} attestations` }
+}
+
+// Reasons are stored on-chain and shown on the attestation page, so one is required
+export function validateRevocationReason(reason: string): string | null {
+  return reason.trim() ? null : 'A revocation reason is required'
+}
+
+export function isBytes32(value: string): value is Hex {
+  return /^0x[0-9a-fA-F]{64}$/.test(value)
+}
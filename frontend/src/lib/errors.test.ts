@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest'
+import { errorMessage } from './errors'
+
+describe('errorMessage', () => {
+  it('prefers viem short messages over full ones', () => {
+    expect(errorMessage({ shortMessage: 'User rejected the request.', message: 'User rejected the request.\n\nDetails: ...' }))
+      .toBe('User rejected the request.')
+    expect(errorMessage(new Error('Transaction reverted'))).toBe('Transaction reverted')
+  })
+
+  it('falls back to a label when there is no message', () => {
+    expect(errorMessage(undefined)).toBe('Transaction failed')
+    expect(errorMessage({}, 'Export failed')).toBe('Export failed')
+  })
+})
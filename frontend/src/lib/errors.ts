@@ -0,0 +1,5 @@
+// viem errors carry a one-line shortMessage; fall back to the full message, then to a generic label
+export function errorMessage(error: unknown, fallback = 'Transaction failed'): string {
+  const e = error as { shortMessage?: string; message?: string } | undefined
+  return e?.shortMessage || e?.message || fallback
+}
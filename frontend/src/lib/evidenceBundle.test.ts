@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import { encodeAbiParameters, encodeEventTopics, parseAbiParameters, zeroAddress, type Hex, type Log } from 'viem'
+import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
+import { compareLogs } from './logs'
+import {
+  bundleDigest, canonicalJson, payoutsFromEvents, serializeSignedBundle, toEvidenceEvents,
+  type EvidenceBundle,
+} from './evidenceBundle'
+
+const POLICY = '0x1111111111111111111111111111111111111111'
+const CLIENT = '0x2222222222222222222222222222222222222222'
+const TOKEN = '0x3333333333333333333333333333333333333333'
+const TX = `0x${'aa'.repeat(32)}` as Hex
+
+function log(overrides: Partial<Log>): Log {
+  return {
+    address: POLICY,
+    topics: [],
+    data: '0x',
+    blockNumber: 10n,
+    blockHash: `0x${'bb'.repeat(32)}`,
+    transactionHash: TX,
+    transactionIndex: 0,
+    logIndex: 0,
+    removed: false,
+    ...overrides,
+  } as Log
+}
+
+const payoutLog = log({
+  topics: encodeEventTopics({ abi: automatedInsuranceContractAbi, eventName: 'PayoutMade' }) as Log['topics'],
+  data: encodeAbiParameters(parseAbiParameters('uint256, uint256, uint256'), [5000n, 250n, 250n]),
+  logIndex: 3,
+})
+
+describe('canonicalJson', () => {
+  it('sorts keys at every level and writes bigints as strings', () => {
+    expect(canonicalJson({ b: 1n, a: { d: [2n, true], c: null } })).toBe('{"a":{"c":null,"d":["2",true]},"b":"1"}')
+  })
+
+  it('drops undefined properties like JSON.stringify', () => {
+    expect(canonicalJson({ a: undefined, b: [undefined] })).toBe('{"b":[null]}')
+  })
+
+  // scripts/lib/evidence-bundle.js must agree; test/EvidenceBundle_test.js pins the same digest
+  it('gives the digest the verifier expects', () => {
+    const bundle = { format: 'crop-insurance-evidence', version: 1, chainId: 1337, block: { number: 42n } } as unknown as EvidenceBundle
+
+    expect(bundleDigest(bundle)).toBe('0xd8cf5334c3fcb33599789724642c7d3cda476489fca58635238bb014682aadaa')
+  })
+
+  it('serializes a signed bundle so its bundle re-hashes to the digest', () => {
+    const bundle = { chainId: 1, block: { number: 7n, hash: TX, timestamp: 9n } } as unknown as EvidenceBundle
+    const digest = bundleDigest(bundle)
+    const file = JSON.parse(serializeSignedBundle({ bundle, digest, signer: CLIENT, signature: '0x' }))
+
+    expect(file.bundle.block.number).toBe('7')
+    expect(bundleDigest(file.bundle)).toBe(digest)
+  })
+})
+
+describe('toEvidenceEvents', () => {
+  it('decodes known events and keeps unknown ones raw', () => {
+    const unknown = log({ topics: [`0x${'cc'.repeat(32)}`], data: '0x1234', logIndex: 1 })
+    const [payout, raw] = toEvidenceEvents([payoutLog, unknown], automatedInsuranceContractAbi)
+
+    expect(payout).toMatchObject({ event: 'PayoutMade', args: { payoutBps: 5000n, amount: 250n }, logIndex: 3, blockNumber: 10n })
+    expect(raw).toMatchObject({ event: null, args: null, topics: [`0x${'cc'.repeat(32)}`], data: '0x1234' })
+  })
+
+  it('skips pending logs and orders by block then log index', () => {
+    const pending = log({ blockNumber: null, logIndex: null } as Partial<Log>)
+    const events = toEvidenceEvents([payoutLog, log({ blockNumber: 9n, logIndex: 7 }), pending], automatedInsuranceContractAbi)
+
+    expect(events).toHaveLength(2)
+    expect(events.sort(compareLogs).map((e) => e.blockNumber)).toEqual([9n, 10n])
+  })
+})
+
+describe('payoutsFromEvents', () => {
+  const events = toEvidenceEvents([payoutLog], automatedInsuranceContractAbi)
+
+  it('records ETH payouts from PayoutMade alone', () => {
+    const [payout] = payoutsFromEvents(events, [], { policy: POLICY, client: CLIENT, paymentToken: zeroAddress })
+
+    expect(payout).toMatchObject({ token: zeroAddress, to: CLIENT, amount: 250n, payoutBps: 5000n, eventLogIndex: 3, transferLogIndex: null })
+  })
+
+  it('matches token payouts to the Transfer from the policy to the client', () => {
+    const transfers = [
+      { address: TOKEN, from: POLICY, to: CLIENT, value: 100n, transactionHash: TX, logIndex: 1 },
+      { address: TOKEN, from: POLICY, to: CLIENT, value: 250n, transactionHash: TX, logIndex: 2 },
+    ] as const
+    const [payout] = payoutsFromEvents(events, [...transfers], { policy: POLICY, client: CLIENT, paymentToken: TOKEN })
+
+    expect(payout).toMatchObject({ token: TOKEN, transferLogIndex: 2 })
+  })
+})
@@ -0,0 +1,184 @@
+import { decodeEventLog, keccak256, stringToHex, type Abi, type Address, type Hex, type Log } from 'viem'
+import { decodeAttestation, type AttestationData, type AttestationType } from '@/lib/attestations'
+import { type EasAttestation } from '@/lib/attestationExplorer'
+
+export const EVIDENCE_FORMAT = 'crop-insurance-evidence'
+export const EVIDENCE_VERSION = 1
+
+const ETH = '0x0000000000000000000000000000000000000000'
+
+// Parameterless getters snapshotted at the bundle's block; scripts/verify-evidence.js
+// re-reads each one by name at the same block
+export const POLICY_PARAMETERS = [
+  'client', 'insurer', 'cropLocation', 'premium', 'payoutValue', 'duration', 'startDate', 'activatedAt',
+  'paymentToken', 'contractActive', 'premiumPaid', 'contractPaid', 'requestCount', 'currentRainfall',
+  'daysWithoutRain', 'windowRainfall', 'triggerTerms', 'payoutBpsPaid', 'payoutsMade', 'payoutTrigger',
+  'linearDeficitPayout', 'minQuorum', 'toleranceBps', 'toleranceMm', 'getContractBalance',
+] as const
+
+export interface EvidenceEvent {
+  address: Address
+  // null for logs the ABI doesn't know; topics and data are kept either way
+  event: string | null
+  args: Record<string, unknown> | null
+  topics: Hex[]
+  data: Hex
+  blockNumber: bigint
+  transactionHash: Hex
+  logIndex: number
+}
+
+export interface EvidenceAttestation {
+  uid: Hex
+  type: AttestationType | null
+  schema: Hex
+  attester: Address
+  recipient: Address
+  time: bigint
+  revocationTime: bigint
+  refUID: Hex
+  data: Hex
+  decoded: AttestationData | null
+}
+
+export interface EvidencePayout {
+  token: Address
+  to: Address
+  amount: bigint
+  payoutBps: bigint
+  blockNumber: bigint
+  transactionHash: Hex
+  // The PayoutMade log, and the token Transfer log for ERC20 payouts (ETH moves without one)
+  eventLogIndex: number
+  transferLogIndex: number | null
+}
+
+export interface EvidenceBundle {
+  format: typeof EVIDENCE_FORMAT
+  version: typeof EVIDENCE_VERSION
+  chainId: number
+  generatedAt: string
+  // Logs are complete for fromBlock..block.number
+  fromBlock: bigint
+  block: { number: bigint; hash: Hex; timestamp: bigint }
+  contracts: { provider: Address; eas: Address; easManager: Address }
+  policy: { address: Address; parameters: Record<string, unknown> }
+  attestations: EvidenceAttestation[]
+  events: EvidenceEvent[]
+  payouts: EvidencePayout[]
+}
+
+export interface SignedEvidenceBundle {
+  bundle: EvidenceBundle
+  digest: Hex
+  signer: Address
+  signature: Hex
+}
+
+// JSON with object keys sorted and bigints as decimal strings, so the same bundle always
+// hashes the same; scripts/lib/evidence-bundle.js mirrors this
+export function canonicalJson(value: unknown): string {
+  if (typeof value === 'bigint') return JSON.stringify(value.toString())
+  if (Array.isArray(value)) return `[${value.map((v) => (v === undefined ? 'null' : canonicalJson(v))).join(',')}]`
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value as Record<string, unknown>)
+      .filter(([, v]) => v !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    return `{${entries.map(([k, v]) => `${JSON.stringify(k)}:${canonicalJson(v)}`).join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+// What the wallet signs (as raw bytes, EIP-191)
+export function bundleDigest(bundle: EvidenceBundle): Hex {
+  return keccak256(stringToHex(canonicalJson(bundle)))
+}
+
+// The file contents: canonical values, indented for reading
+export function serializeSignedBundle(signed: SignedEvidenceBundle): string {
+  return JSON.stringify(JSON.parse(canonicalJson(signed)), null, 2) + '\n'
+}
+
+export function evidenceFilename(policy: Address, blockNumber: bigint): string {
+  return `evidence-${policy.toLowerCase()}-${blockNumber.toString()}.json`
+}
+
+// Decodes what the ABI knows; pending logs are left out
+export function toEvidenceEvents(logs: Log[], abi: Abi): EvidenceEvent[] {
+  return logs
+    .filter((log) => log.blockNumber !== null && log.transactionHash !== null && log.logIndex !== null)
+    .map((log) => {
+      let event: string | null = null
+      let args: Record<string, unknown> | null = null
+      try {
+        const decoded = decodeEventLog({ abi, topics: log.topics, data: log.data })
+        event = decoded.eventName ?? null
+        args = (decoded.args as Record<string, unknown> | undefined) ?? {}
+      } catch {
+        // Unknown event; the raw log still goes in
+      }
+      return {
+        address: log.address,
+        event,
+        args,
+        topics: [...log.topics],
+        data: log.data,
+        blockNumber: log.blockNumber as bigint,
+        transactionHash: log.transactionHash as Hex,
+        logIndex: log.logIndex as number,
+      }
+    })
+}
+
+export function toEvidenceAttestation(attestation: EasAttestation): EvidenceAttestation {
+  const decoded = decodeAttestation(attestation.schema, attestation.data)
+  return {
+    uid: attestation.uid,
+    type: decoded?.type ?? null,
+    schema: attestation.schema,
+    attester: attestation.attester,
+    recipient: attestation.recipient,
+    time: attestation.time,
+    revocationTime: attestation.revocationTime,
+    refUID: attestation.refUID,
+    data: attestation.data,
+    decoded: decoded?.fields ?? null,
+  }
+}
+
+export interface TokenTransfer {
+  address: Address
+  from: Address
+  to: Address
+  value: bigint
+  transactionHash: Hex
+  logIndex: number
+}
+
+// One payout per PayoutMade, matched to the token Transfer from the policy to the client
+// in the same transaction
+export function payoutsFromEvents(
+  events: EvidenceEvent[],
+  transfers: TokenTransfer[],
+  { policy, client, paymentToken }: { policy: Address; client: Address; paymentToken: Address },
+): EvidencePayout[] {
+  const same = (a: string, b: string) => a.toLowerCase() === b.toLowerCase()
+  return events
+    .filter((e) => e.event === 'PayoutMade' && same(e.address, policy) && e.args)
+    .map((e) => {
+      const amount = e.args!.amount as bigint
+      const transfer = paymentToken === ETH ? undefined : transfers.find((t) =>
+        t.transactionHash === e.transactionHash && same(t.address, paymentToken) && same(t.from, policy)
+        && same(t.to, client) && t.value === amount)
+      return {
+        token: paymentToken,
+        to: client,
+        amount,
+        payoutBps: e.args!.payoutBps as bigint,
+        blockNumber: e.blockNumber,
+        transactionHash: e.transactionHash,
+        eventLogIndex: e.logIndex,
+        transferLogIndex: transfer?.logIndex ?? null,
+      }
+    })
+}
@@ -0,0 +1,38 @@
+import { type Address } from 'viem'
+
+// Policy USD amounts (premium, payoutValue) use 8 decimals, matching Chainlink USD feeds
+const USD_DECIMALS = 8
+
+export function formatUSD(amount: bigint): string {
+  const value = Number(amount) / 10 ** USD_DECIMALS
+  return value.toLocaleString('en-US', { style: 'currency', currency: 'USD' })
+}
+
+export function formatRainfall(mm: bigint): string {
+  return `${mm.toString()} mm`
+}
+
+export function formatDuration(seconds: bigint | number): string {
+  const total = Number(seconds)
+  const days = Math.floor(total / 86400)
+  const hours = Math.floor((total % 86400) / 3600)
+  if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`
+  const minutes = Math.floor((total % 3600) / 60)
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`
+}
+
+export function formatTimestamp(timestamp: bigint | number): string {
+  if (!timestamp) return '—'
+  return new Date(Number(timestamp) * 1000).toLocaleString()
+}
+
+export function formatAddress(address: Address | string): string {
+  if (!address) return ''
+  return `${address.slice(0, 6)}...${address.slice(-4)}`
+}
+
+// Seconds left to pay the premium; zero or negative once the window has closed
+export function gracePeriodRemaining(createdAt: bigint, gracePeriod: bigint): number {
+  const now = Math.floor(Date.now() / 1000)
+  return Number(createdAt + gracePeriod) - now
+}
@@ -0,0 +1,104 @@
+import { type Address } from 'viem'
+import type { IndexedLog, PolicyTerms, WeatherSnapshot } from './types'
+
+const DB_NAME = 'cropshield-indexer'
+const DB_VERSION = 1
+
+export interface StoredPolicy {
+  id: string // `${scope}:${address}`
+  scope: string
+  address: Address
+  terms: PolicyTerms | null
+  finalState: WeatherSnapshot | null
+}
+
+export interface PersistedIndex {
+  lastBlock: bigint | null
+  logs: IndexedLog[]
+  policies: StoredPolicy[]
+}
+
+let dbPromise: Promise<IDBDatabase | null> | null = null
+
+function request<T>(req: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+function transactionDone(tx: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+// Resolves to null where IndexedDB is unavailable (SSR, private browsing);
+// the indexer then runs purely in memory and backfills on every load.
+function openDb(): Promise<IDBDatabase | null> {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = () => {
+        const db = req.result
+        db.createObjectStore('cursors', { keyPath: 'scope' })
+        db.createObjectStore('logs', { keyPath: 'id' }).createIndex('scope', 'scope')
+        db.createObjectStore('policies', { keyPath: 'id' }).createIndex('scope', 'scope')
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => resolve(null)
+    })
+  }
+  return dbPromise
+}
+
+export async function loadIndex(scope: string): Promise<PersistedIndex> {
+  const db = await openDb()
+  if (!db) return { lastBlock: null, logs: [], policies: [] }
+
+  const tx = db.transaction(['cursors', 'logs', 'policies'], 'readonly')
+  const [cursor, logs, policies] = await Promise.all([
+    request(tx.objectStore('cursors').get(scope)) as Promise<{ scope: string; lastBlock: bigint } | undefined>,
+    request(tx.objectStore('logs').index('scope').getAll(scope)) as Promise<IndexedLog[]>,
+    request(tx.objectStore('policies').index('scope').getAll(scope)) as Promise<StoredPolicy[]>,
+  ])
+
+  return { lastBlock: cursor?.lastBlock ?? null, logs, policies }
+}
+
+export async function saveBatch(
+  scope: string,
+  lastBlock: bigint,
+  logs: IndexedLog[],
+  policies: StoredPolicy[],
+  staleLogIds: string[] = [],
+): Promise<void> {
+  const db = await openDb()
+  if (!db) return
+
+  const tx = db.transaction(['cursors', 'logs', 'policies'], 'readwrite')
+  const logStore = tx.objectStore('logs')
+  const policyStore = tx.objectStore('policies')
+  for (const id of staleLogIds) logStore.delete(id)
+  for (const log of logs) logStore.put(log)
+  for (const policy of policies) policyStore.put(policy)
+  tx.objectStore('cursors').put({ scope, lastBlock })
+  await transactionDone(tx)
+}
+
+export async function clearIndex(scope: string): Promise<void> {
+  const db = await openDb()
+  if (!db) return
+
+  const tx = db.transaction(['cursors', 'logs', 'policies'], 'readwrite')
+  tx.objectStore('cursors').delete(scope)
+  for (const name of ['logs', 'policies']) {
+    const store = tx.objectStore(name)
+    const keys = await request(store.index('scope').getAllKeys(scope))
+    for (const key of keys) store.delete(key)
+  }
+  await transactionDone(tx)
+}
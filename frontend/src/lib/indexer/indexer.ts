@@ -0,0 +1,268 @@
+import { getAbiItem, type Address, type PublicClient } from 'viem'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
+import { loadIndex, saveBatch, clearIndex, type StoredPolicy } from './db'
+import { reducePolicies } from './reducer'
+import { LOG_CHUNK_SIZE } from '@/lib/logs'
+import type { IndexedEventName, IndexedLog, IndexedPolicy, IndexerStatus, PolicyTerms, WeatherSnapshot } from './types'
+
+// Blocks re-scanned on every incremental sync so shallow reorgs are corrected
+const REORG_DEPTH = 5n
+const ADDRESS_CHUNK_SIZE = 100
+
+const PROVIDER_EVENTS = [
+  getAbiItem({ abi: automatedInsuranceProviderAbi, name: 'ContractCreated' }),
+  getAbiItem({ abi: automatedInsuranceProviderAbi, name: 'PremiumPaid' }),
+  getAbiItem({ abi: automatedInsuranceProviderAbi, name: 'ContractStateChanged' }),
+  getAbiItem({ abi: automatedInsuranceProviderAbi, name: 'PremiumRefunded' }),
+  getAbiItem({ abi: automatedInsuranceProviderAbi, name: 'PremiumClaimed' }),
+]
+
+const POLICY_EVENTS = [
+  getAbiItem({ abi: automatedInsuranceContractAbi, name: 'contractPaidOut' }),
+  getAbiItem({ abi: automatedInsuranceContractAbi, name: 'contractEnded' }),
+]
+
+const TERM_FIELDS = ['client', 'cropLocation', 'premium', 'payoutValue', 'paymentToken', 'duration'] as const
+const WEATHER_FIELDS = ['currentRainfall', 'daysWithoutRain', 'lastWeatherCheck', 'requestCount'] as const
+
+export interface IndexSnapshot {
+  policies: Map<string, IndexedPolicy>
+  status: IndexerStatus
+}
+
+export interface PolicyIndexer {
+  subscribe: (listener: () => void) => () => void
+  getSnapshot: () => IndexSnapshot
+  resync: () => Promise<void>
+}
+
+interface RawLog {
+  eventName: string
+  args: unknown
+  address: Address
+  blockNumber: bigint | null
+  logIndex: number | null
+  transactionHash: `0x${string}` | null
+}
+
+async function readFields<const F extends readonly string[]>(
+  client: PublicClient,
+  address: Address,
+  fields: F,
+): Promise<Record<F[number], unknown>> {
+  const values: unknown[] = await Promise.all(
+    fields.map((functionName) =>
+      client.readContract({ address, abi: automatedInsuranceContractAbi, functionName: functionName as never }),
+    ),
+  )
+  return Object.fromEntries(fields.map((field, i) => [field, values[i]])) as Record<F[number], unknown>
+}
+
+function createPolicyIndexer(client: PublicClient, provider: Address, deployBlock: bigint): PolicyIndexer {
+  const scope = `${client.chain?.id ?? 0}:${provider.toLowerCase()}`
+  const listeners = new Set<() => void>()
+  const blockTimes = new Map<bigint, bigint>()
+
+  let logs = new Map<string, IndexedLog>()
+  let stored = new Map<string, StoredPolicy>()
+  let lastBlock: bigint | null = null
+  let snapshot: IndexSnapshot = {
+    policies: new Map(),
+    status: { isSyncing: false, lastBlock: 0n, error: null },
+  }
+
+  let loaded: Promise<void> | null = null
+  let running: Promise<void> | null = null
+  let rerun = false
+  let unwatch: (() => void) | null = null
+
+  const emit = (status: Partial<IndexerStatus> = {}) => {
+    snapshot = {
+      policies: reducePolicies([...logs.values()], [...stored.values()]),
+      status: { ...snapshot.status, ...status },
+    }
+    listeners.forEach((listener) => listener())
+  }
+
+  const load = () => {
+    if (!loaded) {
+      loaded = loadIndex(scope).then((persisted) => {
+        logs = new Map(persisted.logs.map((log) => [log.id, log]))
+        stored = new Map(persisted.policies.map((p) => [p.address.toLowerCase(), p]))
+        lastBlock = persisted.lastBlock
+        emit({ lastBlock: lastBlock ?? 0n })
+      })
+    }
+    return loaded
+  }
+
+  const timestampOf = async (blockNumber: bigint) => {
+    let timestamp = blockTimes.get(blockNumber)
+    if (timestamp === undefined) {
+      timestamp = (await client.getBlock({ blockNumber })).timestamp
+      blockTimes.set(blockNumber, timestamp)
+    }
+    return timestamp
+  }
+
+  const toIndexed = async (raw: RawLog, policy: Address): Promise<IndexedLog> => ({
+    id: `${raw.transactionHash}:${raw.logIndex}`,
+    scope,
+    eventName: raw.eventName as IndexedEventName,
+    policy,
+    args: (raw.args ?? {}) as Record<string, unknown>,
+    blockNumber: raw.blockNumber ?? 0n,
+    logIndex: raw.logIndex ?? 0,
+    transactionHash: raw.transactionHash ?? '0x',
+    timestamp: await timestampOf(raw.blockNumber ?? 0n),
+  })
+
+  const fetchRange = async (fromBlock: bigint, toBlock: bigint) => {
+    const providerLogs = (await client.getLogs({
+      address: provider,
+      events: PROVIDER_EVENTS,
+      fromBlock,
+      toBlock,
+    })) as unknown as RawLog[]
+
+    const found: IndexedLog[] = []
+    for (const raw of providerLogs) {
+      const args = raw.args as { insuranceContract?: Address; contractAddress?: Address }
+      const policy = args.insuranceContract ?? args.contractAddress
+      if (policy) found.push(await toIndexed(raw, policy))
+    }
+
+    // Payouts and expiries are only emitted by the policy contracts themselves
+    const known = new Set([...stored.keys(), ...found.filter((l) => l.eventName === 'ContractCreated').map((l) => l.policy.toLowerCase())])
+    const addresses = [...known] as Address[]
+    for (let i = 0; i < addresses.length; i += ADDRESS_CHUNK_SIZE) {
+      const policyLogs = (await client.getLogs({
+        address: addresses.slice(i, i + ADDRESS_CHUNK_SIZE),
+        events: POLICY_EVENTS,
+        fromBlock,
+        toBlock,
+      })) as unknown as RawLog[]
+      for (const raw of policyLogs) found.push(await toIndexed(raw, raw.address))
+    }
+
+    return found
+  }
+
+  // Terms never change after deployment and terminal weather state never
+  // changes after payout, so each is read exactly once per policy.
+  const fillPolicies = async (found: IndexedLog[]) => {
+    const changed: StoredPolicy[] = []
+    for (const log of found) {
+      const key = log.policy.toLowerCase()
+      let entry = stored.get(key)
+      if (!entry) {
+        const terms = (await readFields(client, log.policy, TERM_FIELDS)) as unknown as PolicyTerms
+        entry = { id: `${scope}:${key}`, scope, address: log.policy, terms, finalState: null }
+        stored.set(key, entry)
+        changed.push(entry)
+      }
+      if ((log.eventName === 'contractPaidOut' || log.eventName === 'contractEnded') && !entry.finalState) {
+        const finalState = (await readFields(client, log.policy, WEATHER_FIELDS)) as unknown as WeatherSnapshot
+        entry = { ...entry, finalState }
+        stored.set(key, entry)
+        changed.push(entry)
+      }
+    }
+    return changed
+  }
+
+  const syncOnce = async () => {
+    await load()
+    const head = await client.getBlockNumber()
+    let fromBlock = lastBlock === null ? deployBlock : lastBlock + 1n - REORG_DEPTH
+    if (fromBlock < deployBlock) fromBlock = deployBlock
+    if (fromBlock > head) return
+
+    emit({ isSyncing: true, error: null })
+
+    while (fromBlock <= head) {
+      const toBlock = fromBlock + LOG_CHUNK_SIZE - 1n < head ? fromBlock + LOG_CHUNK_SIZE - 1n : head
+      const found = await fetchRange(fromBlock, toBlock)
+      const changed = await fillPolicies(found)
+
+      // Anything previously seen in the re-scanned window but missing now was reorged out
+      const foundIds = new Set(found.map((l) => l.id))
+      const stale = [...logs.values()].filter(
+        (l) => l.blockNumber >= fromBlock && l.blockNumber <= toBlock && !foundIds.has(l.id),
+      )
+      for (const log of stale) logs.delete(log.id)
+      for (const log of found) logs.set(log.id, log)
+
+      await saveBatch(scope, toBlock, found, changed, stale.map((l) => l.id))
+      lastBlock = toBlock
+      emit({ lastBlock: toBlock })
+      fromBlock = toBlock + 1n
+    }
+
+    emit({ isSyncing: false })
+  }
+
+  const sync = (): Promise<void> => {
+    if (running) {
+      rerun = true
+      return running
+    }
+    running = syncOnce()
+      .catch((error: unknown) => {
+        emit({ isSyncing: false, error: error instanceof Error ? error : new Error(String(error)) })
+      })
+      .finally(() => {
+        running = null
+        if (rerun) {
+          rerun = false
+          void sync()
+        }
+      })
+    return running
+  }
+
+  const start = () => {
+    void sync()
+    unwatch = client.watchBlockNumber({ onBlockNumber: () => void sync(), emitMissed: false })
+  }
+
+  const stop = () => {
+    unwatch?.()
+    unwatch = null
+  }
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener)
+      if (listeners.size === 1) start()
+      return () => {
+        listeners.delete(listener)
+        if (listeners.size === 0) stop()
+      }
+    },
+    getSnapshot: () => snapshot,
+    async resync() {
+      await running
+      await clearIndex(scope)
+      logs = new Map()
+      stored = new Map()
+      lastBlock = null
+      emit({ lastBlock: 0n })
+      await sync()
+    },
+  }
+}
+
+const indexers = new Map<string, PolicyIndexer>()
+
+// One indexer per chain and provider, shared by every hook on the page
+export function getPolicyIndexer(client: PublicClient, provider: Address, deployBlock: bigint): PolicyIndexer {
+  const key = `${client.chain?.id ?? 0}:${provider.toLowerCase()}`
+  let indexer = indexers.get(key)
+  if (!indexer) {
+    indexer = createPolicyIndexer(client, provider, deployBlock)
+    indexers.set(key, indexer)
+  }
+  return indexer
+}
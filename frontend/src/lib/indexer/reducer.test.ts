@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest'
+import { type Address, type Hex } from 'viem'
+import { isClosed, queryPolicies, reducePolicies } from './reducer'
+import type { StoredPolicy } from './db'
+import type { IndexedEventName, IndexedLog } from './types'
+
+const POLICY_A = '0x00000000000000000000000000000000000000aA' as Address
+const POLICY_B = '0x00000000000000000000000000000000000000bB' as Address
+const ALICE = '0x000000000000000000000000000000000000a11c' as Address
+const BOB = '0x0000000000000000000000000000000000000b0b' as Address
+const SCOPE = '31337:0xprovider'
+
+function log(
+  policy: Address,
+  eventName: IndexedEventName,
+  blockNumber: bigint,
+  args: Record<string, unknown> = {},
+  logIndex = 0,
+): IndexedLog {
+  const transactionHash = `0x${blockNumber.toString(16).padStart(64, '0')}` as Hex
+  return {
+    id: `${transactionHash}:${logIndex}`,
+    scope: SCOPE,
+    eventName,
+    policy,
+    args,
+    blockNumber,
+    logIndex,
+    transactionHash,
+    timestamp: blockNumber * 12n,
+  }
+}
+
+function created(policy: Address, client: Address, blockNumber: bigint): IndexedLog {
+  return log(policy, 'ContractCreated', blockNumber, { client, configHash: `0x${'11'.repeat(32)}` })
+}
+
+describe('reducePolicies', () => {
+  it('replays logs in chain order whatever order they arrive in', () => {
+    const logs = [
+      log(POLICY_A, 'ContractStateChanged', 20n, { isActive: false }, 1),
+      log(POLICY_A, 'ContractStateChanged', 20n, { isActive: true }, 0),
+      log(POLICY_A, 'PremiumPaid', 15n, { amount: 100n }),
+      created(POLICY_A, ALICE, 10n),
+    ]
+    const policy = reducePolicies(logs, []).get(POLICY_A.toLowerCase())!
+
+    expect(policy.history.map((l) => l.eventName)).toEqual([
+      'ContractCreated', 'PremiumPaid', 'ContractStateChanged', 'ContractStateChanged',
+    ])
+    expect(policy.contractActive).toBe(false)
+    expect(reducePolicies([...logs].reverse(), [])).toEqual(reducePolicies(logs, []))
+  })
+
+  it('moves a policy from created through active to paid out', () => {
+    const reduce = (logs: IndexedLog[]) => reducePolicies(logs, []).get(POLICY_A.toLowerCase())!
+    const createdOnly = [created(POLICY_A, ALICE, 10n)]
+    const active = [
+      ...createdOnly,
+      log(POLICY_A, 'PremiumPaid', 11n, { amount: 100n }),
+      log(POLICY_A, 'ContractStateChanged', 11n, { isActive: true }, 1),
+    ]
+    const paidOut = [...active, log(POLICY_A, 'contractPaidOut', 30n), log(POLICY_A, 'PremiumClaimed', 31n)]
+
+    expect(reduce(createdOnly)).toMatchObject({ client: ALICE, createdBlock: 10n, createdAt: 120n, premiumPaid: false, contractActive: false })
+    expect(reduce(active)).toMatchObject({ premiumPaid: true, premiumAmount: 100n, activatedAt: 132n, contractActive: true })
+    expect(isClosed(reduce(active))).toBe(false)
+    expect(reduce(paidOut)).toMatchObject({ contractPaid: true, contractActive: false, closedAt: 360n, premiumClaimed: true })
+    expect(isClosed(reduce(paidOut))).toBe(true)
+  })
+
+  it('closes ended policies and records refunds', () => {
+    const policy = reducePolicies(
+      [created(POLICY_A, ALICE, 10n), log(POLICY_A, 'PremiumRefunded', 12n), log(POLICY_A, 'contractEnded', 40n)],
+      [],
+    ).get(POLICY_A.toLowerCase())!
+
+    expect(policy).toMatchObject({ premiumRefunded: true, contractEnded: true, contractPaid: false, closedAt: 480n })
+    expect(isClosed(policy)).toBe(true)
+  })
+
+  it('merges stored terms and final weather, ignoring policies without events', () => {
+    const stored: StoredPolicy[] = [
+      {
+        id: `${SCOPE}:${POLICY_A}`,
+        scope: SCOPE,
+        address: POLICY_A,
+        terms: { client: ALICE, cropLocation: 'Lahore,PK', premium: 100n, payoutValue: 1000n, paymentToken: ALICE, duration: 86400n },
+        finalState: { currentRainfall: 0n, daysWithoutRain: 3n, lastWeatherCheck: 500n, requestCount: 9n },
+      },
+      { id: `${SCOPE}:${POLICY_B}`, scope: SCOPE, address: POLICY_B, terms: null, finalState: null },
+    ]
+    const policies = reducePolicies([created(POLICY_A, ALICE, 10n)], stored)
+
+    expect(policies.size).toBe(1)
+    expect(policies.get(POLICY_A.toLowerCase())).toMatchObject({
+      cropLocation: 'Lahore,PK',
+      payoutValue: 1000n,
+      finalState: { daysWithoutRain: 3n },
+    })
+  })
+})
+
+describe('queryPolicies', () => {
+  const policies = reducePolicies(
+    [
+      created(POLICY_A, ALICE, 10n),
+      created(POLICY_B, BOB, 20n),
+      log(POLICY_B, 'ContractStateChanged', 21n, { isActive: true }),
+    ],
+    [],
+  )
+
+  it('lists newest policies first', () => {
+    expect(queryPolicies(policies).map((p) => p.address)).toEqual([POLICY_B, POLICY_A])
+  })
+
+  it('filters by client, ignoring address case, and by active status', () => {
+    expect(queryPolicies(policies, { client: ALICE.toUpperCase().replace('0X', '0x') as Address }).map((p) => p.address))
+      .toEqual([POLICY_A])
+    expect(queryPolicies(policies, { activeOnly: true }).map((p) => p.address)).toEqual([POLICY_B])
+    expect(queryPolicies(policies, { client: ALICE, activeOnly: true })).toEqual([])
+  })
+})
@@ -0,0 +1,106 @@
+import { type Address, type Hex } from 'viem'
+import type { IndexedLog, IndexedPolicy, PolicyQuery } from './types'
+import type { StoredPolicy } from './db'
+import { compareLogs } from '@/lib/logs'
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000' as Address
+
+function emptyPolicy(address: Address): IndexedPolicy {
+  return {
+    address,
+    configHash: '0x' as Hex,
+    createdBlock: 0n,
+    createdAt: 0n,
+    client: ZERO_ADDRESS,
+    cropLocation: '',
+    premium: 0n,
+    payoutValue: 0n,
+    paymentToken: ZERO_ADDRESS,
+    duration: 0n,
+    premiumPaid: false,
+    premiumAmount: 0n,
+    activatedAt: 0n,
+    contractActive: false,
+    contractPaid: false,
+    contractEnded: false,
+    premiumRefunded: false,
+    premiumClaimed: false,
+    closedAt: 0n,
+    finalState: null,
+    history: [],
+  }
+}
+
+// Folds the raw event stream into one record per policy. Logs are replayed in
+// chain order, so the result is the same however the backfill was chunked.
+export function reducePolicies(logs: IndexedLog[], stored: StoredPolicy[]): Map<string, IndexedPolicy> {
+  const policies = new Map<string, IndexedPolicy>()
+  const get = (address: Address) => {
+    const key = address.toLowerCase()
+    let policy = policies.get(key)
+    if (!policy) {
+      policy = emptyPolicy(address)
+      policies.set(key, policy)
+    }
+    return policy
+  }
+
+  for (const log of [...logs].sort(compareLogs)) {
+    const policy = get(log.policy)
+    policy.history.push(log)
+
+    switch (log.eventName) {
+      case 'ContractCreated':
+        policy.client = log.args.client as Address
+        policy.configHash = log.args.configHash as Hex
+        policy.createdBlock = log.blockNumber
+        policy.createdAt = log.timestamp
+        break
+      case 'PremiumPaid':
+        policy.premiumPaid = true
+        policy.premiumAmount = log.args.amount as bigint
+        policy.activatedAt = log.timestamp
+        break
+      case 'ContractStateChanged':
+        policy.contractActive = log.args.isActive as boolean
+        break
+      case 'PremiumRefunded':
+        policy.premiumRefunded = true
+        break
+      case 'PremiumClaimed':
+        policy.premiumClaimed = true
+        break
+      case 'contractPaidOut':
+        policy.contractPaid = true
+        policy.contractActive = false
+        policy.closedAt = log.timestamp
+        break
+      case 'contractEnded':
+        policy.contractEnded = true
+        policy.contractActive = false
+        policy.closedAt = log.timestamp
+        break
+    }
+  }
+
+  for (const entry of stored) {
+    const policy = policies.get(entry.address.toLowerCase())
+    if (!policy) continue
+    if (entry.terms) Object.assign(policy, entry.terms)
+    policy.finalState = entry.finalState
+  }
+
+  return policies
+}
+
+export function isClosed(policy: IndexedPolicy): boolean {
+  return policy.contractPaid || policy.contractEnded
+}
+
+export function queryPolicies(policies: Map<string, IndexedPolicy>, query: PolicyQuery = {}): IndexedPolicy[] {
+  const client = query.client?.toLowerCase()
+  return [...policies.values()]
+    .filter((p) => !client || p.client.toLowerCase() === client)
+    .filter((p) => !query.activeOnly || p.contractActive)
+    .sort((a, b) => (a.createdBlock === b.createdBlock ? 0 : a.createdBlock > b.createdBlock ? -1 : 1))
+}
@@ -0,0 +1,69 @@
+import { type Address, type Hex } from 'viem'
+
+export type IndexedEventName =
+  | 'ContractCreated'
+  | 'PremiumPaid'
+  | 'ContractStateChanged'
+  | 'PremiumRefunded'
+  | 'PremiumClaimed'
+  | 'contractPaidOut'
+  | 'contractEnded'
+
+export interface IndexedLog {
+  id: string // `${transactionHash}:${logIndex}`
+  scope: string
+  eventName: IndexedEventName
+  policy: Address
+  args: Record<string, unknown>
+  blockNumber: bigint
+  logIndex: number
+  transactionHash: Hex
+  timestamp: bigint
+}
+
+// Immutable policy terms, read once when a policy is first discovered
+export interface PolicyTerms {
+  client: Address
+  cropLocation: string
+  premium: bigint
+  payoutValue: bigint
+  paymentToken: Address
+  duration: bigint
+}
+
+// Weather state frozen at the moment a policy was paid out or ended
+export interface WeatherSnapshot {
+  currentRainfall: bigint
+  daysWithoutRain: bigint
+  lastWeatherCheck: bigint
+  requestCount: bigint
+}
+
+export interface IndexedPolicy extends PolicyTerms {
+  address: Address
+  configHash: Hex
+  createdBlock: bigint
+  createdAt: bigint
+  premiumPaid: boolean
+  premiumAmount: bigint
+  activatedAt: bigint
+  contractActive: boolean
+  contractPaid: boolean
+  contractEnded: boolean
+  premiumRefunded: boolean
+  premiumClaimed: boolean
+  closedAt: bigint
+  finalState: WeatherSnapshot | null
+  history: IndexedLog[]
+}
+
+export interface PolicyQuery {
+  client?: Address
+  activeOnly?: boolean
+}
+
+export interface IndexerStatus {
+  isSyncing: boolean
+  lastBlock: bigint
+  error: Error | null
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest'
+import { encodeAbiParameters, parseAbiParameters, type Hex } from 'viem'
+import { SCHEMAS, schemaUID } from './attestations'
+import { type EasAttestation } from './attestationExplorer'
+import { currentKyc, kycStatus, kycValidFor, toKycRecord } from './kyc'
+
+const CLIENT = '0x2222222222222222222222222222222222222222'
+const VERIFIER = '0x3333333333333333333333333333333333333333'
+const DOCUMENT = `0x${'cd'.repeat(32)}` as Hex
+const NOW = 1700000000n
+
+function kycAttestation(overrides: Partial<EasAttestation> = {}, verified = true): EasAttestation {
+  return {
+    uid: `0x${'01'.repeat(32)}`,
+    schema: schemaUID('KYC'),
+    time: NOW - 100n,
+    expirationTime: 0n,
+    revocationTime: 0n,
+    refUID: `0x${'00'.repeat(32)}`,
+    recipient: CLIENT,
+    attester: VERIFIER,
+    revocable: true,
+    data: encodeAbiParameters(parseAbiParameters(SCHEMAS.KYC.definition), [
+      CLIENT, 'government-id', verified, NOW - 100n, VERIFIER, 'standard', DOCUMENT,
+    ]),
+    ...overrides,
+  }
+}
+
+describe('kycStatus', () => {
+  const live = { verified: true, expirationTime: 0n, revocationTime: 0n }
+
+  it('treats verified attestations without expiry as valid', () => {
+    expect(kycStatus(live, NOW)).toBe('valid')
+  })
+
+  it('expires after the expiration second, not on it', () => {
+    expect(kycStatus({ ...live, expirationTime: NOW }, NOW)).toBe('valid')
+    expect(kycStatus({ ...live, expirationTime: NOW - 1n }, NOW)).toBe('expired')
+  })
+
+  it('reports revocation before expiry or a failed verification', () => {
+    expect(kycStatus({ verified: false, expirationTime: NOW - 1n, revocationTime: NOW - 10n }, NOW)).toBe('revoked')
+    expect(kycStatus({ ...live, verified: false }, NOW)).toBe('unverified')
+  })
+})
+
+describe('toKycRecord', () => {
+  it('decodes the KYC schema data with the envelope times', () => {
+    const record = toKycRecord(kycAttestation({ expirationTime: NOW + 86400n }), NOW)
+
+    expect(record).toMatchObject({
+      client: CLIENT,
+      verificationType: 'government-id',
+      verified: true,
+      verifier: VERIFIER,
+      complianceLevel: 'standard',
+      documentHash: DOCUMENT,
+      expirationTime: NOW + 86400n,
+      status: 'valid',
+    })
+    expect(toKycRecord(kycAttestation({ revocationTime: NOW - 1n }), NOW)?.status).toBe('revoked')
+    expect(toKycRecord(kycAttestation({}, false), NOW)?.status).toBe('unverified')
+  })
+
+  it('returns null for data that is not a KYC attestation', () => {
+    expect(toKycRecord(kycAttestation({ data: '0x1234' }), NOW)).toBeNull()
+  })
+})
+
+describe('currentKyc', () => {
+  it('picks the most recent attestation, even when an older one is still valid', () => {
+    const older = toKycRecord(kycAttestation(), NOW)!
+    const latest = toKycRecord(kycAttestation({ uid: `0x${'02'.repeat(32)}`, revocationTime: NOW - 1n }), NOW)!
+
+    expect(currentKyc([older, latest])).toBe(latest)
+    expect(currentKyc([])).toBeNull()
+  })
+})
+
+describe('kycValidFor', () => {
+  it('converts days to seconds, with blank or 0 meaning no expiry', () => {
+    expect(kycValidFor('365')).toBe(365n * 86400n)
+    expect(kycValidFor(' ')).toBe(0n)
+    expect(kycValidFor('0')).toBe(0n)
+  })
+
+  it('rejects anything but whole days', () => {
+    expect(kycValidFor('1.5')).toBeNull()
+    expect(kycValidFor('-3')).toBeNull()
+    expect(kycValidFor('abc')).toBeNull()
+  })
+})
@@ -0,0 +1,77 @@
+import { type Address, type Hex } from 'viem'
+import { decodeAttestationData } from '@/lib/attestations'
+import { type EasAttestation } from '@/lib/attestationExplorer'
+
+const DAY = 86400n
+
+export const KYC_VERIFICATION_TYPES = ['government-id', 'farm-registry', 'cooperative-membership', 'aml-screening'] as const
+export const KYC_COMPLIANCE_LEVELS = ['basic', 'standard', 'enhanced'] as const
+export const DEFAULT_KYC_VALIDITY_DAYS = 365
+
+export type KycStatus = 'valid' | 'expired' | 'revoked' | 'unverified'
+
+export const KYC_STATUS_LABELS: Record<KycStatus, string> = {
+  valid: 'Valid',
+  expired: 'Expired',
+  revoked: 'Revoked',
+  unverified: 'Not verified',
+}
+
+export interface KycRecord {
+  uid: Hex
+  client: Address
+  verificationType: string
+  verified: boolean
+  verifier: Address
+  complianceLevel: string
+  documentHash: Hex
+  time: bigint
+  // 0 for no expiry
+  expirationTime: bigint
+  revocationTime: bigint
+  status: KycStatus
+}
+
+// Same order of checks as EASInsuranceManager.hasValidKYC; EAS treats an attestation as
+// live through its expirationTime second
+export function kycStatus(
+  { verified, expirationTime, revocationTime }: { verified: boolean; expirationTime: bigint; revocationTime: bigint },
+  now: bigint,
+): KycStatus {
+  if (revocationTime > 0n) return 'revoked'
+  if (expirationTime > 0n && now > expirationTime) return 'expired'
+  return verified ? 'valid' : 'unverified'
+}
+
+// Null for attestations that don't decode as the KYC schema
+export function toKycRecord(attestation: EasAttestation, now: bigint): KycRecord | null {
+  const fields = decodeAttestationData('KYC', attestation.data)
+  if (!fields) return null
+  const verified = fields.verified as boolean
+  return {
+    uid: attestation.uid,
+    client: fields.client as Address,
+    verificationType: fields.verificationType as string,
+    verified,
+    verifier: fields.verifier as Address,
+    complianceLevel: fields.complianceLevel as string,
+    documentHash: fields.documentHash as Hex,
+    time: attestation.time,
+    expirationTime: attestation.expirationTime,
+    revocationTime: attestation.revocationTime,
+    status: kycStatus({ verified, expirationTime: attestation.expirationTime, revocationTime: attestation.revocationTime }, now),
+  }
+}
+
+// The manager judges a client by their most recent KYC attestation only
+export function currentKyc(records: KycRecord[]): KycRecord | null {
+  return records.length > 0 ? records[records.length - 1] : null
+}
+
+// Days as entered (blank or 0 for no expiry) to the manager's validFor seconds
+export function kycValidFor(days: string): bigint | null {
+  const trimmed = days.trim()
+  if (trimmed === '') return 0n
+  if (!/^\d+$/.test(trimmed)) return null
+  return BigInt(trimmed) * DAY
+}
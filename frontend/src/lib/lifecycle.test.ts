@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest'
+import {
+  derivePolicyState,
+  getAllowedActions,
+  getRefundEligibility,
+  canTransition,
+  isTerminalState,
+  LIFECYCLE_TRANSITIONS,
+  STATE_BADGES,
+  type LifecycleInput,
+  type PolicyState,
+} from './lifecycle'
+
+const GRACE = 86400n
+const CREATED_AT = 1_700_000_000n
+
+function input(overrides: Partial<LifecycleInput> = {}): LifecycleInput {
+  return {
+    premiumPaid: false,
+    contractActive: false,
+    contractPaid: false,
+    createdAt: CREATED_AT,
+    gracePeriod: GRACE,
+    now: CREATED_AT + 60n,
+    premiumHeld: false,
+    requestCount: 0n,
+    ...overrides,
+  }
+}
+
+// One fixture per state, shaped like the chain would report it
+const fixtures: Record<PolicyState, LifecycleInput> = {
+  Created: input({ createdAt: 0n }),
+  AwaitingPremium: input(),
+  GraceExpired: input({ now: CREATED_AT + GRACE + 1n }),
+  Active: input({ premiumPaid: true, contractActive: true, premiumHeld: true, requestCount: 2n }),
+  PaidOut: input({ premiumPaid: true, contractPaid: true, premiumHeld: true, requestCount: 5n }),
+  Ended: input({ premiumPaid: true, premiumHeld: true, requestCount: 29n, now: CREATED_AT + 31n * GRACE }),
+  Refunded: input({ premiumPaid: true, premiumRefunded: true, now: CREATED_AT + 2n * GRACE }),
+  PremiumClaimed: input({ premiumPaid: true, premiumClaimed: true, now: CREATED_AT + 31n * GRACE }),
+}
+
+describe('derivePolicyState', () => {
+  for (const [state, fixture] of Object.entries(fixtures)) {
+    it(`derives ${state}`, () => {
+      expect(derivePolicyState(fixture)).toBe(state)
+    })
+  }
+
+  it('stays AwaitingPremium up to and including the last second of the grace period', () => {
+    expect(derivePolicyState(input({ now: CREATED_AT + GRACE }))).toBe('AwaitingPremium')
+    expect(derivePolicyState(input({ now: CREATED_AT + GRACE + 1n }))).toBe('GraceExpired')
+  })
+
+  it('keeps PaidOut after the insurer claims the premium', () => {
+    expect(derivePolicyState({ ...fixtures.PaidOut, premiumHeld: false, premiumClaimed: true })).toBe('PaidOut')
+  })
+
+  it('falls back to premiumInfo.paid when refund and claim logs are not indexed', () => {
+    const released = { premiumPaid: true, premiumHeld: false }
+    expect(derivePolicyState(input({ ...released, contractActive: true }))).toBe('Refunded')
+    expect(derivePolicyState(input({ ...released, contractActive: false }))).toBe('PremiumClaimed')
+  })
+
+  it('treats an unknown premiumInfo as still held', () => {
+    expect(derivePolicyState(input({ premiumPaid: true, contractActive: true, premiumHeld: undefined }))).toBe('Active')
+  })
+})
+
+describe('transitions', () => {
+  // Each edge of the state machine, driven by the on-chain change that causes it
+  const edges: [PolicyState, PolicyState, Partial<LifecycleInput>][] = [
+    ['Created', 'AwaitingPremium', { createdAt: CREATED_AT }],
+    ['AwaitingPremium', 'Active', { premiumPaid: true, contractActive: true, premiumHeld: true }],
+    ['AwaitingPremium', 'GraceExpired', { now: CREATED_AT + GRACE + 1n }],
+    ['Active', 'PaidOut', { contractActive: false, contractPaid: true }],
+    ['Active', 'Ended', { contractActive: false }],
+    ['Active', 'Refunded', { premiumHeld: false, premiumRefunded: true }],
+    ['Ended', 'Refunded', { premiumHeld: false, premiumRefunded: true }],
+    ['Ended', 'PremiumClaimed', { premiumHeld: false, premiumClaimed: true }],
+  ]
+
+  for (const [from, to, change] of edges) {
+    it(`${from} -> ${to}`, () => {
+      expect(canTransition(from, to)).toBe(true)
+      expect(derivePolicyState({ ...fixtures[from], ...change })).toBe(to)
+    })
+  }
+
+  it('covers every declared transition', () => {
+    const declared = Object.entries(LIFECYCLE_TRANSITIONS).flatMap(([from, tos]) => tos.map((to) => `${from}->${to}`))
+    expect(edges.map(([from, to]) => `${from}->${to}`).sort()).toEqual(declared.sort())
+  })
+
+  it('rejects transitions that are not in the table', () => {
+    expect(canTransition('GraceExpired', 'Active')).toBe(false)
+    expect(canTransition('PaidOut', 'Ended')).toBe(false)
+    expect(canTransition('Active', 'AwaitingPremium')).toBe(false)
+    expect(canTransition('Refunded', 'PremiumClaimed')).toBe(false)
+  })
+
+  it('marks only dead-end states as terminal', () => {
+    const terminal = (Object.keys(LIFECYCLE_TRANSITIONS) as PolicyState[]).filter(isTerminalState)
+    expect(terminal.sort()).toEqual(['GraceExpired', 'PaidOut', 'PremiumClaimed', 'Refunded'])
+  })
+})
+
+describe('getAllowedActions', () => {
+  const actions = (state: PolicyState, overrides: Partial<LifecycleInput> = {}) =>
+    getAllowedActions(state, { ...fixtures[state], ...overrides })
+
+  it('only allows paying the premium while awaiting it', () => {
+    expect(actions('AwaitingPremium')).toEqual(['payPremium'])
+    expect(actions('Created')).toEqual([])
+    expect(actions('GraceExpired')).toEqual([])
+  })
+
+  it('allows weather updates on active policies and a refund only before any oracle request', () => {
+    expect(actions('Active')).toEqual(['manualWeatherUpdate'])
+    expect(actions('Active', { requestCount: 0n, now: CREATED_AT + GRACE + 1n })).toEqual([
+      'manualWeatherUpdate',
+      'refundPremium',
+    ])
+    expect(actions('Active', { requestCount: 0n })).toEqual(['manualWeatherUpdate'])
+  })
+
+  it('lets a held premium be claimed or refunded once a policy has ended', () => {
+    expect(actions('Ended')).toEqual(['claimPremium', 'refundPremium'])
+    expect(actions('Ended', { now: CREATED_AT })).toEqual(['claimPremium'])
+    expect(actions('PaidOut')).toEqual(['claimPremium'])
+    expect(actions('PaidOut', { premiumHeld: false })).toEqual([])
+  })
+
+  it('allows nothing once the premium has been released', () => {
+    expect(actions('Refunded')).toEqual([])
+    expect(actions('PremiumClaimed')).toEqual([])
+  })
+})
+
+describe('STATE_BADGES', () => {
+  it('has a badge for every state', () => {
+    expect(Object.keys(STATE_BADGES).sort()).toEqual(Object.keys(LIFECYCLE_TRANSITIONS).sort())
+  })
+})
+
+describe('getRefundEligibility', () => {
+  const afterGrace = CREATED_AT + GRACE + 1n
+  const refund = (overrides: Partial<LifecycleInput> = {}, isClientOrOwner = true) =>
+    getRefundEligibility({ ...fixtures.Active, now: afterGrace, requestCount: 0n, ...overrides, isClientOrOwner })
+
+  it('allows a refund after the grace period when no oracle request was made', () => {
+    expect(refund().eligible).toBe(true)
+  })
+
+  it('allows a refund once the contract is inactive even if it was monitored', () => {
+    expect(refund({ contractActive: false, requestCount: 12n }).eligible).toBe(true)
+  })
+
+  it('blocks the refund inside the grace period and says when it opens', () => {
+    const result = refund({ now: CREATED_AT + GRACE })
+    expect(result.eligible).toBe(false)
+    expect(result.availableAt).toBe(CREATED_AT + GRACE + 1n)
+  })
+
+  it('blocks the refund while an active contract is being monitored', () => {
+    const result = refund({ requestCount: 3n })
+    expect(result.eligible).toBe(false)
+    expect(result.reason).toMatch(/3 oracle requests/)
+  })
+
+  it('blocks the refund once the premium is gone or the policy has paid out', () => {
+    expect(refund({ premiumRefunded: true }).reason).toMatch(/already been refunded/)
+    expect(refund({ premiumClaimed: true }).reason).toMatch(/already claimed/)
+    expect(refund({ premiumHeld: false }).eligible).toBe(false)
+    expect(refund({ premiumPaid: false }).eligible).toBe(false)
+    expect(refund({ contractActive: false, contractPaid: true }).eligible).toBe(false)
+  })
+
+  it('only lets the policy holder or the insurer refund', () => {
+    expect(refund({}, false).reason).toMatch(/policy holder or the insurer/)
+  })
+})
@@ -0,0 +1,151 @@
+export type PolicyState =
+  | 'Created'
+  | 'AwaitingPremium'
+  | 'GraceExpired'
+  | 'Active'
+  | 'PaidOut'
+  | 'Ended'
+  | 'Refunded'
+  | 'PremiumClaimed'
+
+export type PolicyAction = 'payPremium' | 'refundPremium' | 'claimPremium' | 'manualWeatherUpdate'
+
+// On-chain fields the lifecycle is derived from. Child contract flags come from
+// AutomatedInsuranceContract, premium fields from the provider's premiumInfo.
+export interface LifecycleInput {
+  premiumPaid: boolean
+  contractActive: boolean
+  contractPaid: boolean
+  // premiumInfo.createdAt; 0 while the provider has not registered the policy yet
+  createdAt: bigint
+  gracePeriod: bigint
+  now: bigint
+  // premiumInfo.paid: the premium is still held by the provider
+  premiumHeld?: boolean
+  // Set from PremiumRefunded / PremiumClaimed logs when they have been indexed
+  premiumRefunded?: boolean
+  premiumClaimed?: boolean
+  requestCount?: bigint
+}
+
+export const LIFECYCLE_TRANSITIONS: Record<PolicyState, readonly PolicyState[]> = {
+  Created: ['AwaitingPremium'],
+  AwaitingPremium: ['Active', 'GraceExpired'],
+  GraceExpired: [],
+  Active: ['PaidOut', 'Ended', 'Refunded'],
+  PaidOut: [],
+  Ended: ['Refunded', 'PremiumClaimed'],
+  Refunded: [],
+  PremiumClaimed: [],
+}
+
+export const STATE_BADGES: Record<PolicyState, { label: string; className: string }> = {
+  Created: { label: 'Created', className: 'bg-gray-100 text-gray-700' },
+  AwaitingPremium: { label: 'Awaiting Premium', className: 'bg-yellow-100 text-yellow-800' },
+  GraceExpired: { label: 'Grace Expired', className: 'bg-orange-100 text-orange-800' },
+  Active: { label: 'Active', className: 'bg-green-100 text-green-800' },
+  PaidOut: { label: 'Paid Out', className: 'bg-blue-100 text-blue-800' },
+  Ended: { label: 'Ended', className: 'bg-gray-100 text-gray-800' },
+  Refunded: { label: 'Refunded', className: 'bg-purple-100 text-purple-800' },
+  PremiumClaimed: { label: 'Premium Claimed', className: 'bg-indigo-100 text-indigo-800' },
+}
+
+function isGraceElapsed(input: LifecycleInput): boolean {
+  return input.now > input.createdAt + input.gracePeriod
+}
+
+export function derivePolicyState(input: LifecycleInput): PolicyState {
+  // A payout is the outcome that matters to both sides, whatever happens to the premium after
+  if (input.contractPaid) return 'PaidOut'
+  if (input.premiumRefunded) return 'Refunded'
+  if (input.premiumClaimed) return 'PremiumClaimed'
+
+  if (input.premiumPaid) {
+    // The provider released the premium but the logs are not indexed yet: only a
+    // refund can release it while the contract is still active.
+    if (input.premiumHeld === false) return input.contractActive ? 'Refunded' : 'PremiumClaimed'
+    return input.contractActive ? 'Active' : 'Ended'
+  }
+
+  if (input.createdAt === 0n) return 'Created'
+  return isGraceElapsed(input) ? 'GraceExpired' : 'AwaitingPremium'
+}
+
+export function canTransition(from: PolicyState, to: PolicyState): boolean {
+  return LIFECYCLE_TRANSITIONS[from].includes(to)
+}
+
+export function isTerminalState(state: PolicyState): boolean {
+  return LIFECYCLE_TRANSITIONS[state].length === 0
+}
+
+// Mirrors the require() checks in payPremium, refundPremium, claimPremium and
+// manualWeatherUpdate. Who may call each one is left to the page.
+export function getAllowedActions(state: PolicyState, input: LifecycleInput): PolicyAction[] {
+  const held = input.premiumHeld !== false
+  switch (state) {
+    case 'AwaitingPremium':
+      return ['payPremium']
+    case 'Active': {
+      const actions: PolicyAction[] = ['manualWeatherUpdate']
+      if (held && isGraceElapsed(input) && input.requestCount === 0n) actions.push('refundPremium')
+      return actions
+    }
+    case 'Ended':
+      return held ? (isGraceElapsed(input) ? ['claimPremium', 'refundPremium'] : ['claimPremium']) : []
+    case 'PaidOut':
+      return held ? ['claimPremium'] : []
+    default:
+      return []
+  }
+}
+
+// Convenience for pages: state and actions evaluated against the wall clock
+export function getLifecycle(input: Omit<LifecycleInput, 'now'> & { now?: bigint }) {
+  const full = { ...input, now: input.now ?? BigInt(Math.floor(Date.now() / 1000)) }
+  const state = derivePolicyState(full)
+  return { state, actions: getAllowedActions(state, full) }
+}
+
+export interface RefundEligibility {
+  eligible: boolean
+  reason: string
+  // When the grace period is what blocks the refund, the first second it opens
+  availableAt?: bigint
+}
+
+// Explains refundPremium's require() chain in the order the contract checks it
+export function getRefundEligibility(
+  input: LifecycleInput & { isClientOrOwner: boolean },
+): RefundEligibility {
+  if (input.premiumRefunded) return { eligible: false, reason: 'The premium has already been refunded.' }
+  if (input.premiumClaimed) return { eligible: false, reason: 'The insurer has already claimed this premium.' }
+  if (!input.premiumPaid || input.premiumHeld === false) {
+    return { eligible: false, reason: 'No premium is held for this policy.' }
+  }
+  // The contract would allow it, but a premium that bought a payout is not offered back
+  if (input.contractPaid) return { eligible: false, reason: 'This policy has paid out, so its premium is not refundable.' }
+  if (!isGraceElapsed(input)) {
+    return {
+      eligible: false,
+      reason: 'Refunds open once the premium grace period has passed.',
+      availableAt: input.createdAt + input.gracePeriod + 1n,
+    }
+  }
+  const monitored = input.contractActive && (input.requestCount ?? 0n) > 0n
+  if (monitored) {
+    return {
+      eligible: false,
+      reason: `Weather monitoring has started (${input.requestCount} oracle requests), so the premium now backs live coverage.`,
+    }
+  }
+  if (!input.isClientOrOwner) {
+    return { eligible: false, reason: 'Only the policy holder or the insurer can request a refund.' }
+  }
+  return {
+    eligible: true,
+    reason: input.contractActive
+      ? 'No weather data has been requested for this policy yet, so the premium can be returned.'
+      : 'The policy is no longer active, so the premium can be returned.',
+  }
+}
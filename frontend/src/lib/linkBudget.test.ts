@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import { type Address } from 'viem'
+import { planTopUps, projectLinkBudget, type LinkBudgetInput } from './linkBudget'
+
+const DAY = 86400n
+const LINK = 10n ** 18n
+const PAYMENT = LINK / 10n
+
+function policy(overrides: Partial<LinkBudgetInput> = {}): LinkBudgetInput {
+  return {
+    address: '0x0000000000000000000000000000000000000001' as Address,
+    balance: 10n * PAYMENT,
+    contractActive: true,
+    contractPaid: false,
+    premiumPaid: true,
+    activatedAt: 1000n,
+    duration: 7n * DAY,
+    lastWeatherCheck: 1000n,
+    ...overrides,
+  }
+}
+
+describe('projectLinkBudget', () => {
+  it('counts daily checks left until activatedAt + duration', () => {
+    const budget = projectLinkBudget(policy(), 1000n)
+    expect(budget).toMatchObject({ status: 'ok', remainingChecks: 7, required: 7n * PAYMENT, shortfall: 0n, runsDryAt: null })
+    expect(budget.endsAt).toBe(1000n + 7n * DAY)
+
+    const later = projectLinkBudget(policy({ lastWeatherCheck: 1000n + 5n * DAY }), 1000n + 5n * DAY)
+    expect(later.remainingChecks).toBe(2)
+  })
+
+  it('predicts when an underfunded policy runs dry', () => {
+    const budget = projectLinkBudget(policy({ balance: 3n * PAYMENT }), 1000n)
+    expect(budget.status).toBe('short')
+    expect(budget.shortfall).toBe(4n * PAYMENT)
+    expect(budget.runsDryAt).toBe(1000n + 4n * DAY)
+
+    expect(projectLinkBudget(policy({ balance: PAYMENT - 1n }), 1000n).status).toBe('dry')
+  })
+
+  it('needs nothing once the term has passed or the policy closed', () => {
+    expect(projectLinkBudget(policy({ balance: 0n }), 1000n + 8n * DAY)).toMatchObject({ status: 'ok', remainingChecks: 0 })
+    expect(projectLinkBudget(policy({ contractPaid: true }), 1000n).status).toBe('closed')
+    expect(projectLinkBudget(policy({ contractActive: false }), 1000n).status).toBe('closed')
+  })
+
+  it('budgets the full term for policies awaiting their premium', () => {
+    const budget = projectLinkBudget(policy({ premiumPaid: false, contractActive: false, activatedAt: 0n, lastWeatherCheck: 0n }), 1000n)
+    expect(budget.remainingChecks).toBe(7)
+    expect(budget.status).toBe('ok')
+  })
+})
+
+describe('planTopUps', () => {
+  const budgets = Array.from({ length: 11 }, (_, i) =>
+    projectLinkBudget(policy({ address: `0x${(i + 1).toString(16).padStart(40, '0')}` as Address, balance: 6n * PAYMENT }), 1000n),
+  )
+
+  it('adds buffer checks and splits into batches', () => {
+    const plan = planTopUps(budgets, 100n * LINK, 2, 10)
+    expect(plan.batches.map((b) => b.contracts.length)).toEqual([10, 1])
+    expect(plan.batches[0].amounts[0]).toBe(3n * PAYMENT)
+    expect(plan.total).toBe(33n * PAYMENT)
+    expect(plan.affordable).toBe(true)
+  })
+
+  it('flags plans the provider cannot cover and skips funded policies', () => {
+    expect(planTopUps(budgets, PAYMENT).affordable).toBe(false)
+    expect(planTopUps([projectLinkBudget(policy(), 1000n)], 0n).batches).toEqual([])
+  })
+})
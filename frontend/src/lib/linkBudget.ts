@@ -0,0 +1,94 @@
+import { type Address } from 'viem'
+import { DAY_IN_SECONDS, ORACLE_PAYMENT } from '@/lib/bulkPolicies'
+
+// AutomatedInsuranceProvider.MAX_CONTRACTS_PER_BATCH, reused as the topUpLink batch size
+export const TOP_UP_BATCH_SIZE = 10
+
+export type LinkBudgetStatus = 'ok' | 'short' | 'dry' | 'closed'
+
+export interface LinkBudgetInput {
+  address: Address
+  balance: bigint
+  contractActive: boolean
+  contractPaid: boolean
+  premiumPaid: boolean
+  activatedAt: bigint
+  duration: bigint
+  lastWeatherCheck: bigint
+}
+
+export interface LinkBudget {
+  address: Address
+  balance: bigint
+  status: LinkBudgetStatus
+  remainingChecks: number
+  required: bigint
+  shortfall: bigint
+  // When the first unfunded check falls due; null if funded or not yet activated
+  runsDryAt: bigint | null
+  endsAt: bigint | null
+}
+
+// Mirrors scripts/lib/link-budget.js: each daily check until activatedAt + duration
+// spends one ORACLE_PAYMENT on the aggregated oracle request.
+export function projectLinkBudget(policy: LinkBudgetInput, now: bigint, payment = ORACLE_PAYMENT): LinkBudget {
+  const { address, balance } = policy
+  if (policy.contractPaid || (policy.premiumPaid && !policy.contractActive)) {
+    return { address, balance, status: 'closed', remainingChecks: 0, required: 0n, shortfall: 0n, runsDryAt: null, endsAt: null }
+  }
+
+  let remaining: bigint
+  let endsAt: bigint | null = null
+  let lastCheck: bigint | null = null
+  if (!policy.premiumPaid) {
+    remaining = policy.duration / DAY_IN_SECONDS
+  } else {
+    endsAt = policy.activatedAt + policy.duration
+    lastCheck = policy.lastWeatherCheck
+    remaining = endsAt > lastCheck && now <= endsAt ? (endsAt - lastCheck) / DAY_IN_SECONDS : 0n
+  }
+
+  const required = remaining * payment
+  const affordable = balance / payment
+  const shortfall = required > balance ? required - balance : 0n
+  const runsDryAt = lastCheck !== null && affordable < remaining ? lastCheck + (affordable + 1n) * DAY_IN_SECONDS : null
+
+  let status: LinkBudgetStatus = 'ok'
+  if (remaining > 0n && affordable === 0n) status = 'dry'
+  else if (shortfall > 0n) status = 'short'
+
+  return { address, balance, status, remainingChecks: Number(remaining), required, shortfall, runsDryAt, endsAt }
+}
+
+export interface TopUpBatch {
+  contracts: Address[]
+  amounts: bigint[]
+}
+
+export interface TopUpPlan {
+  batches: TopUpBatch[]
+  total: bigint
+  affordable: boolean
+}
+
+// Covers each selected shortfall plus `bufferChecks` extra oracle payments
+export function planTopUps(
+  budgets: LinkBudget[],
+  providerBalance: bigint | undefined,
+  bufferChecks = 1,
+  batchSize = TOP_UP_BATCH_SIZE,
+  payment = ORACLE_PAYMENT,
+): TopUpPlan {
+  const items = budgets
+    .filter((b) => b.shortfall > 0n)
+    .map((b) => ({ address: b.address, amount: b.shortfall + BigInt(bufferChecks) * payment }))
+
+  const batches: TopUpBatch[] = []
+  for (let i = 0; i < items.length; i += batchSize) {
+    const batch = items.slice(i, i + batchSize)
+    batches.push({ contracts: batch.map((item) => item.address), amounts: batch.map((item) => item.amount) })
+  }
+
+  const total = items.reduce((sum, item) => sum + item.amount, 0n)
+  return { batches, total, affordable: providerBalance === undefined || providerBalance >= total }
+}
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest'
+import { compareLogs, getLogsInChunks } from './logs'
+
+describe('compareLogs', () => {
+  it('orders by block, then by log index within a block', () => {
+    const logs = [
+      { blockNumber: 12n, logIndex: 0 },
+      { blockNumber: 10n, logIndex: 3 },
+      { blockNumber: 10n, logIndex: 1 },
+    ]
+    expect(logs.sort(compareLogs)).toEqual([
+      { blockNumber: 10n, logIndex: 1 },
+      { blockNumber: 10n, logIndex: 3 },
+      { blockNumber: 12n, logIndex: 0 },
+    ])
+  })
+})
+
+describe('getLogsInChunks', () => {
+  it('covers the range in windows of at most chunkSize blocks', async () => {
+    const ranges: [bigint, bigint][] = []
+    const logs = await getLogsInChunks(async (from, to) => {
+      ranges.push([from, to])
+      return [from]
+    }, 0n, 24n, 10n)
+
+    expect(ranges).toEqual([[0n, 9n], [10n, 19n], [20n, 24n]])
+    expect(logs).toEqual([0n, 10n, 20n])
+  })
+})
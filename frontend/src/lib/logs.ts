@@ -0,0 +1,30 @@
+import { type PublicClient } from 'viem'
+
+// Public RPCs cap eth_getLogs ranges, so long scans are split into windows
+export const LOG_CHUNK_SIZE = 10_000n
+
+export async function getLogsInChunks<T>(
+  fetchRange: (fromBlock: bigint, toBlock: bigint) => Promise<T[]>,
+  fromBlock: bigint,
+  toBlock: bigint,
+  chunkSize = LOG_CHUNK_SIZE,
+): Promise<T[]> {
+  const results: T[] = []
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    const end = start + chunkSize - 1n < toBlock ? start + chunkSize - 1n : toBlock
+    results.push(...(await fetchRange(start, end)))
+  }
+  return results
+}
+
+// Chain order: by block, then by position within the block
+export function compareLogs(a: { blockNumber: bigint; logIndex: number }, b: { blockNumber: bigint; logIndex: number }): number {
+  if (a.blockNumber !== b.blockNumber) return a.blockNumber < b.blockNumber ? -1 : 1
+  return a.logIndex - b.logIndex
+}
+
+export async function getBlockTimestamps(client: PublicClient, blockNumbers: bigint[]): Promise<Map<bigint, bigint>> {
+  const unique = [...new Set(blockNumbers)]
+  const blocks = await Promise.all(unique.map((blockNumber) => client.getBlock({ blockNumber })))
+  return new Map(blocks.map((block, i) => [unique[i], block.timestamp]))
+}
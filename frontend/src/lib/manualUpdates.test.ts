@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest'
+import { encodeAbiParameters, encodeEventTopics, type Address, type Log } from 'viem'
+import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
+import { checkForwarder, chunk, outcomesFromReceipt } from './manualUpdates'
+
+const A = '0x00000000000000000000000000000000000000Aa' as Address
+const B = '0x00000000000000000000000000000000000000bB' as Address
+const C = '0x00000000000000000000000000000000000000cc' as Address
+
+function log(address: Address, eventName: 'AutomatedWeatherCheckPerformed' | 'contractEnded', logIndex: number): Log {
+  return {
+    address,
+    topics: encodeEventTopics({ abi: automatedInsuranceContractAbi, eventName }) as Log['topics'],
+    data: encodeAbiParameters([{ type: 'uint256' }, { type: 'uint256' }], [1n, 2n]),
+    blockHash: null,
+    blockNumber: null,
+    logIndex,
+    transactionHash: null,
+    transactionIndex: null,
+    removed: false,
+  }
+}
+
+describe('chunk', () => {
+  it('splits into batches of at most size', () => {
+    expect(chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]])
+    expect(chunk([], 10)).toEqual([])
+    expect(() => chunk([1], 0)).toThrow()
+  })
+})
+
+describe('outcomesFromReceipt', () => {
+  it('maps each contract in the batch to the event it emitted', () => {
+    const outcomes = outcomesFromReceipt([A, B, C], [log(A, 'AutomatedWeatherCheckPerformed', 0), log(B, 'contractEnded', 1)])
+    expect(outcomes.get(A.toLowerCase())).toBe('checked')
+    expect(outcomes.get(B.toLowerCase())).toBe('ended')
+    expect(outcomes.get(C.toLowerCase())).toBe('inactive')
+  })
+})
+
+describe('checkForwarder', () => {
+  it('distinguishes invalid, unrestricted, code-less and contract forwarders', () => {
+    expect(checkForwarder('0x123', undefined).status).toBe('invalid')
+    expect(checkForwarder('0x0000000000000000000000000000000000000000', undefined).status).toBe('unrestricted')
+    expect(checkForwarder(C, '0x').status).toBe('no-code')
+    expect(checkForwarder(C, '0x6080').status).toBe('ok')
+  })
+})
@@ -0,0 +1,60 @@
+import { isAddress, parseEventLogs, type Address, type Log } from 'viem'
+import { automatedInsuranceContractAbi } from '@/abi/AutomatedInsuranceContract'
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+// checked: performAutomatedWeatherCheck sent a new oracle request
+// ended: the term was over, so the check closed the policy instead
+// inactive: manualWeatherUpdate skipped it because isActive() was false
+export type UpdateStatus = 'queued' | 'submitting' | 'confirming' | 'checked' | 'ended' | 'inactive' | 'failed' | 'skipped'
+
+export interface UpdateResult {
+  status: UpdateStatus
+  txHash?: `0x${string}`
+  error?: string
+}
+
+export function chunk<T>(items: T[], size: number): T[][] {
+  if (size <= 0) throw new Error('Chunk size must be positive')
+  const chunks: T[][] = []
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size))
+  return chunks
+}
+
+// manualWeatherUpdate emits nothing itself, so each contract's outcome comes from the
+// events the policy contracts emit inside the same transaction
+export function outcomesFromReceipt(batch: Address[], logs: Log[]): Map<string, UpdateStatus> {
+  const events = parseEventLogs({
+    abi: automatedInsuranceContractAbi,
+    eventName: ['AutomatedWeatherCheckPerformed', 'contractEnded'],
+    logs,
+  })
+  const checked = new Set<string>()
+  const ended = new Set<string>()
+  for (const event of events) {
+    const address = event.address.toLowerCase()
+    if (event.eventName === 'contractEnded') ended.add(address)
+    else checked.add(address)
+  }
+
+  return new Map(
+    batch.map((address) => {
+      const key = address.toLowerCase()
+      return [key, ended.has(key) ? 'ended' : checked.has(key) ? 'checked' : 'inactive']
+    }),
+  )
+}
+
+export type ForwarderCheck =
+  | { status: 'invalid' }
+  | { status: 'unrestricted' } // zero address: performUpkeep accepts any caller
+  | { status: 'no-code' } // an EOA or a wrong-chain address; the registry forwarder is a contract
+  | { status: 'ok' }
+
+// performUpkeep requires automationForwarder == 0 || msg.sender == automationForwarder || msg.sender == owner
+export function checkForwarder(value: string, code: `0x${string}` | undefined): ForwarderCheck {
+  if (!isAddress(value)) return { status: 'invalid' }
+  if (value.toLowerCase() === ZERO_ADDRESS) return { status: 'unrestricted' }
+  if (!code || code === '0x') return { status: 'no-code' }
+  return { status: 'ok' }
+}
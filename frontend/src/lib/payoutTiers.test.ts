@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { formatBps, tierSchedule, validatePayoutStructure } from './payoutTiers'
+import { DEFAULT_TRIGGER_TERMS } from './triggerTerms'
+
+const TIERS = [
+  { dryDays: 3, bps: 2500 },
+  { dryDays: 5, bps: 5000 },
+  { dryDays: 7, bps: 10_000 },
+]
+
+describe('validatePayoutStructure', () => {
+  it('accepts ascending tiers that start at the trigger', () => {
+    expect(validatePayoutStructure(TIERS, false, DEFAULT_TRIGGER_TERMS)).toBeNull()
+    expect(validatePayoutStructure([], false, DEFAULT_TRIGGER_TERMS)).toBeNull()
+  })
+
+  it('matches the contract requires', () => {
+    expect(validatePayoutStructure([{ dryDays: 4, bps: 5000 }], false, DEFAULT_TRIGGER_TERMS)).toMatch(/start at 3/)
+    expect(validatePayoutStructure([TIERS[0], { dryDays: 3, bps: 5000 }], false, DEFAULT_TRIGGER_TERMS)).toMatch(/days must increase/)
+    expect(validatePayoutStructure([TIERS[1], { dryDays: 7, bps: 5000 }], false, { ...DEFAULT_TRIGGER_TERMS, droughtDays: 5 }))
+      .toMatch(/shares must increase/)
+    expect(validatePayoutStructure([{ dryDays: 3, bps: 10_001 }], false, DEFAULT_TRIGGER_TERMS)).toMatch(/between/)
+    expect(validatePayoutStructure([], true, DEFAULT_TRIGGER_TERMS)).toMatch(/deficit window/)
+  })
+})
+
+describe('tierSchedule', () => {
+  const payoutValue = 1000n * 10n ** 8n
+
+  it('splits the cover into per-tier increments', () => {
+    expect(tierSchedule(TIERS, 0, payoutValue).map((t) => t.amount)).toEqual([
+      250n * 10n ** 8n,
+      250n * 10n ** 8n,
+      500n * 10n ** 8n,
+    ])
+  })
+
+  it('marks tiers covered by the share paid so far', () => {
+    expect(tierSchedule(TIERS, 2500, payoutValue).map((t) => t.status)).toEqual(['paid', 'pending', 'pending'])
+    // A linear deficit payout of 60% covers the second tier and part of the third
+    expect(tierSchedule(TIERS, 6000, payoutValue).map((t) => t.status)).toEqual(['paid', 'paid', 'partial'])
+  })
+})
+
+describe('formatBps', () => {
+  it('drops decimals for whole percentages', () => {
+    expect(formatBps(2500)).toBe('25%')
+    expect(formatBps(3333)).toBe('33.33%')
+  })
+})
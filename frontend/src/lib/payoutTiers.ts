@@ -0,0 +1,55 @@
+import type { TriggerTerms } from '@/lib/triggerTerms'
+
+export const BPS = 10_000
+export const MAX_PAYOUT_TIERS = 5
+
+// Mirrors AttestationStructs.PayoutTier; bps is the cumulative share of the escrow
+export interface PayoutTier {
+  dryDays: number
+  bps: number
+}
+
+export type TierStatus = 'paid' | 'partial' | 'pending'
+
+export interface TierRow extends PayoutTier {
+  status: TierStatus
+  // USD value this tier adds on top of the previous one, same units as payoutValue
+  amount: bigint
+}
+
+// Same checks as setPayoutStructure
+export function validatePayoutStructure(tiers: readonly PayoutTier[], linearDeficit: boolean, terms: TriggerTerms): string | null {
+  if (tiers.length > MAX_PAYOUT_TIERS) return `At most ${MAX_PAYOUT_TIERS} payout tiers`
+  if (tiers.length > 0 && tiers[0].dryDays !== terms.droughtDays) {
+    return `The first tier must start at ${terms.droughtDays} dry days, the policy's trigger`
+  }
+  for (let i = 0; i < tiers.length; i++) {
+    const { dryDays, bps } = tiers[i]
+    if (!Number.isInteger(dryDays) || !Number.isInteger(bps)) return 'Tier days and shares must be whole numbers'
+    if (bps <= 0 || bps > BPS) return 'Each tier pays between 0.01% and 100%'
+    if (i > 0 && dryDays <= tiers[i - 1].dryDays) return 'Tier days must increase'
+    if (i > 0 && bps <= tiers[i - 1].bps) return 'Tier shares must increase'
+  }
+  if (linearDeficit && terms.deficitWindowDays === 0) return 'A linear deficit payout needs a deficit window'
+  return null
+}
+
+// Which tiers the policy has paid, given the cumulative share paid so far. A deficit
+// payout can move payoutBpsPaid past a tier without the streak reaching it; that tier
+// counts as paid too since its share is already out.
+export function tierSchedule(tiers: readonly PayoutTier[], paidBps: number, payoutValue: bigint): TierRow[] {
+  let previous = 0
+  return tiers.map((tier) => {
+    const row: TierRow = {
+      ...tier,
+      status: paidBps >= tier.bps ? 'paid' : paidBps > previous ? 'partial' : 'pending',
+      amount: (payoutValue * BigInt(tier.bps - previous)) / BigInt(BPS),
+    }
+    previous = tier.bps
+    return row
+  })
+}
+
+export function formatBps(bps: number): string {
+  return `${(bps / 100).toFixed(bps % 100 === 0 ? 0 : 2)}%`
+}
@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest'
+import { type Address } from 'viem'
+import { PRODUCT_DROUGHT, PRODUCT_FLOOD } from './triggerTerms'
+import { buildPortfolio, tokenValueInUSD, type PortfolioPolicy, type TokenPrice } from './portfolio'
+
+const ETH = '0x0000000000000000000000000000000000000000' as Address
+const USDC = '0x94a9D9AC8a22534E3FaCa9F4e7F2E2cf85d5E4C8' as Address
+const USD = 10n ** 8n
+
+const prices = new Map<string, TokenPrice>([
+  [ETH, { symbol: 'ETH', decimals: 18, price: 2000n * USD }],
+  [USDC.toLowerCase(), { symbol: 'USDC', decimals: 6, price: USD }],
+])
+
+let n = 0
+function policy(overrides: Partial<PortfolioPolicy> = {}): PortfolioPolicy {
+  n += 1
+  return {
+    address: `0x${n.toString(16).padStart(40, '0')}` as Address,
+    cropLocation: 'London,UK',
+    paymentToken: ETH,
+    payoutValue: 1000n * USD,
+    payoutBpsPaid: 0,
+    status: 'active',
+    escrowBalance: 5n * 10n ** 17n, // 0.5 ETH = $1000 at $2000
+    daysWithoutRain: 0n,
+    droughtDays: 3,
+    product: PRODUCT_DROUGHT,
+    ...overrides,
+  }
+}
+
+describe('tokenValueInUSD', () => {
+  it('converts token units to 8-decimal USD', () => {
+    expect(tokenValueInUSD(10n ** 18n, prices.get(ETH)!)).toBe(2000n * USD)
+    expect(tokenValueInUSD(250_000_000n, prices.get(USDC.toLowerCase())!)).toBe(250n * USD)
+  })
+
+  it('returns null without a price', () => {
+    expect(tokenValueInUSD(1n, { symbol: 'X', decimals: 18, price: undefined })).toBeNull()
+  })
+})
+
+describe('buildPortfolio', () => {
+  it('sums liability and escrow by token', () => {
+    const portfolio = buildPortfolio(
+      [
+        policy(),
+        policy({ payoutValue: 500n * USD, escrowBalance: 25n * 10n ** 16n }),
+        policy({ paymentToken: USDC, payoutValue: 800n * USD, escrowBalance: 800_000_000n }),
+      ],
+      [],
+      prices,
+    )
+
+    expect(portfolio.liabilityUSD).toBe(2300n * USD)
+    expect(portfolio.escrowUSD).toBe(2300n * USD)
+    expect(portfolio.coverageRatio).toBe(1)
+    expect(portfolio.byToken.map((t) => [t.symbol, t.policies, t.liabilityUSD])).toEqual([
+      ['ETH', 2, 1500n * USD],
+      ['USDC', 1, 800n * USD],
+    ])
+  })
+
+  it('reports a shortfall when escrow is worth less than the cover', () => {
+    const cheapEth = new Map(prices).set(ETH, { symbol: 'ETH', decimals: 18, price: 1500n * USD })
+    const portfolio = buildPortfolio([policy()], [], cheapEth)
+
+    expect(portfolio.escrowUSD).toBe(750n * USD)
+    expect(portfolio.shortfallUSD).toBe(250n * USD)
+    expect(portfolio.coverageRatio).toBe(0.75)
+  })
+
+  it('counts only the unpaid part of partially paid policies as liability', () => {
+    // A 25% tier paid $250 out of the 0.5 ETH escrow
+    const portfolio = buildPortfolio([policy({ payoutBpsPaid: 2500, escrowBalance: 375n * 10n ** 15n })], [], prices)
+
+    expect(portfolio.liabilityUSD).toBe(750n * USD)
+    expect(portfolio.escrowUSD).toBe(750n * USD)
+    expect(portfolio.shortfallUSD).toBe(0n)
+    expect(portfolio.coverageRatio).toBe(1)
+    expect(portfolio.byLocation[0].liabilityUSD).toBe(750n * USD)
+  })
+
+  it('values held premiums and keeps unpriced tokens out of USD totals', () => {
+    const DAI = '0x00000000000000000000000000000000000000da' as Address
+    const portfolio = buildPortfolio(
+      [policy({ paymentToken: DAI })],
+      [
+        { token: ETH, amountPaid: 5n * 10n ** 16n },
+        { token: USDC, amountPaid: 80_000_000n },
+      ],
+      prices,
+    )
+
+    expect(portfolio.premiumsUSD).toBe(180n * USD)
+    expect(portfolio.unpricedTokens).toEqual([DAI])
+    expect(portfolio.escrowUSD).toBe(0n)
+    expect(portfolio.byToken.find((t) => t.token === DAI)?.shortfallUSD).toBeNull()
+  })
+
+  it('counts pending policies separately from liability', () => {
+    const portfolio = buildPortfolio([policy(), policy({ status: 'pending' })], [], prices)
+
+    expect(portfolio.liabilityUSD).toBe(1000n * USD)
+    expect(portfolio.pending).toEqual({ policies: 1, liabilityUSD: 1000n * USD })
+    expect(portfolio.byLocation[0].policies).toBe(1)
+  })
+
+  it('groups locations case-insensitively and computes their share', () => {
+    const portfolio = buildPortfolio(
+      [policy({ cropLocation: 'London,UK' }), policy({ cropLocation: ' london,uk ' }), policy({ cropLocation: 'Paris,FR' })],
+      [],
+      prices,
+    )
+
+    expect(portfolio.byLocation.map((l) => [l.location, l.policies, l.share])).toEqual([
+      ['London,UK', 2, 0.6666],
+      ['Paris,FR', 1, 0.3333],
+    ])
+  })
+
+  it('flags concentration risk where many policies are approaching the threshold', () => {
+    const portfolio = buildPortfolio(
+      [
+        ...[2n, 2n, 1n].map((d) => policy({ cropLocation: 'Lahore,PK', daysWithoutRain: d })),
+        policy({ cropLocation: 'Paris,FR', daysWithoutRain: 2n, payoutValue: 100n * USD }),
+        ...Array.from({ length: 6 }, () => policy({ cropLocation: 'London,UK', daysWithoutRain: 1n })),
+      ],
+      [],
+      prices,
+    )
+    const byName = Object.fromEntries(portfolio.byLocation.map((l) => [l.location, l]))
+
+    expect(byName['Lahore,PK']).toMatchObject({ risk: 'high', approaching: 2, maxDryDays: 2 })
+    // One small policy near the threshold is worth watching but not concentrated
+    expect(byName['Paris,FR']).toMatchObject({ risk: 'watch', approaching: 1 })
+    // Many policies, but none close to paying out
+    expect(byName['London,UK']).toMatchObject({ risk: null, approaching: 0 })
+    expect(portfolio.byLocation[0].location).toBe('Lahore,PK')
+  })
+
+  it('measures each policy against its own drought trigger', () => {
+    const portfolio = buildPortfolio(
+      [
+        policy({ cropLocation: 'Lahore,PK', daysWithoutRain: 2n, droughtDays: 7 }),
+        policy({ cropLocation: 'Paris,FR', daysWithoutRain: 1n, droughtDays: 2 }),
+        policy({ cropLocation: 'Paris,FR', daysWithoutRain: 5n, droughtDays: 10 }),
+      ],
+      [],
+      prices,
+    )
+    const byName = Object.fromEntries(portfolio.byLocation.map((l) => [l.location, l]))
+
+    // Two dry days is far from a 7-day trigger, but one is close to a 2-day one
+    expect(byName['Lahore,PK']).toMatchObject({ approaching: 0, risk: null, nearest: { dryDays: 2, droughtDays: 7 } })
+    expect(byName['Paris,FR']).toMatchObject({ approaching: 1, risk: 'high', maxDryDays: 5, nearest: { dryDays: 1, droughtDays: 2 } })
+  })
+
+  it('leaves flood cover and policies without a dry-day trigger out of drought proximity', () => {
+    const portfolio = buildPortfolio(
+      [
+        policy({ cropLocation: 'Dhaka,BD', daysWithoutRain: 9n, droughtDays: 0, product: PRODUCT_FLOOD }),
+        policy({ cropLocation: 'Dhaka,BD', daysWithoutRain: 9n, droughtDays: 0 }),
+      ],
+      [],
+      prices,
+    )
+
+    expect(portfolio.byLocation[0]).toMatchObject({
+      policies: 2, liabilityUSD: 2000n * USD, maxDryDays: 0, nearest: null, approaching: 0, risk: null,
+    })
+  })
+})
@@ -0,0 +1,203 @@
+import { type Address } from 'viem'
+import { BPS } from '@/lib/payoutTiers'
+import { PRODUCT_FLOOD } from '@/lib/triggerTerms'
+
+const ETH = '0x0000000000000000000000000000000000000000'
+
+// A location is concentrated when it holds at least this many active policies
+// or this share of the outstanding liability
+export const CONCENTRATION_MIN_POLICIES = 3
+export const CONCENTRATION_MAX_SHARE = 0.25
+
+export interface PortfolioPolicy {
+  address: Address
+  cropLocation: string
+  paymentToken: Address
+  payoutValue: bigint // USD, 8 decimals
+  payoutBpsPaid: number // share of the cover already paid out by partial payouts
+  // Active policies carry liability; pending ones are funded but still awaiting the premium
+  status: 'active' | 'pending'
+  escrowBalance: bigint // getContractBalance(), in payment token units
+  daysWithoutRain: bigint
+  droughtDays: number // the policy's own dry-day trigger (triggerTerms.droughtDays)
+  product: number // triggerTerms.product
+}
+
+// Premium still held by the provider (premiumInfo.paid), in payment token units
+export interface HeldPremium {
+  token: Address
+  amountPaid: bigint
+}
+
+export interface TokenPrice {
+  symbol: string
+  decimals: number
+  price: bigint | undefined // USD per whole token, 8 decimals; undefined if the feed could not be read
+}
+
+export interface TokenExposure {
+  token: Address
+  symbol: string
+  policies: number
+  liabilityUSD: bigint
+  escrow: bigint
+  escrowUSD: bigint | null
+  premiums: bigint
+  premiumsUSD: bigint | null
+  shortfallUSD: bigint | null // liability not covered by escrow at today's price
+}
+
+export type ConcentrationRisk = 'high' | 'watch' | null
+
+export interface LocationExposure {
+  location: string
+  policies: number
+  liabilityUSD: bigint
+  share: number // of total outstanding liability
+  maxDryDays: number
+  // The policy with the fewest dry days left before its trigger
+  nearest: { dryDays: number; droughtDays: number } | null
+  approaching: number // policies one dry day or less from their threshold
+  risk: ConcentrationRisk
+}
+
+export interface Portfolio {
+  liabilityUSD: bigint
+  escrowUSD: bigint
+  premiumsUSD: bigint
+  coverageRatio: number | null // escrow / liability
+  shortfallUSD: bigint
+  unpricedTokens: Address[]
+  byToken: TokenExposure[]
+  byLocation: LocationExposure[]
+  pending: { policies: number; liabilityUSD: bigint }
+}
+
+// Same conversion as the provider's getTokenValueInUSD: amount * price / 10^decimals
+export function tokenValueInUSD(amount: bigint, price: TokenPrice): bigint | null {
+  if (price.price === undefined) return null
+  return (amount * price.price) / 10n ** BigInt(price.decimals)
+}
+
+// Cover still owed: partial payouts leave escrow while the policy stays active
+export function outstandingPayout(policy: Pick<PortfolioPolicy, 'payoutValue' | 'payoutBpsPaid'>): bigint {
+  return (policy.payoutValue * BigInt(BPS - policy.payoutBpsPaid)) / BigInt(BPS)
+}
+
+// Days without rain at which a policy is one dry day away from paying out
+export function approachingThreshold(threshold: number): number {
+  return Math.max(1, threshold - 1)
+}
+
+export function buildPortfolio(
+  policies: PortfolioPolicy[],
+  premiums: HeldPremium[],
+  prices: Map<string, TokenPrice>,
+): Portfolio {
+  const active = policies.filter((p) => p.status === 'active')
+  const pending = policies.filter((p) => p.status === 'pending')
+  const priceOf = (token: Address): TokenPrice =>
+    prices.get(token.toLowerCase()) ?? { symbol: 'Unknown', decimals: 18, price: undefined }
+
+  const tokens = new Map<string, TokenExposure>()
+  const tokenFor = (token: Address) => {
+    const key = token.toLowerCase()
+    let entry = tokens.get(key)
+    if (!entry) {
+      entry = {
+        token,
+        symbol: priceOf(token).symbol,
+        policies: 0,
+        liabilityUSD: 0n,
+        escrow: 0n,
+        escrowUSD: null,
+        premiums: 0n,
+        premiumsUSD: null,
+        shortfallUSD: null,
+      }
+      tokens.set(key, entry)
+    }
+    return entry
+  }
+
+  for (const p of active) {
+    const entry = tokenFor(p.paymentToken)
+    entry.policies += 1
+    entry.liabilityUSD += outstandingPayout(p)
+    entry.escrow += p.escrowBalance
+  }
+  for (const premium of premiums) {
+    tokenFor(premium.token).premiums += premium.amountPaid
+  }
+
+  const unpricedTokens: Address[] = []
+  for (const entry of tokens.values()) {
+    const price = priceOf(entry.token)
+    entry.escrowUSD = tokenValueInUSD(entry.escrow, price)
+    entry.premiumsUSD = tokenValueInUSD(entry.premiums, price)
+    if (entry.escrowUSD !== null) {
+      entry.shortfallUSD = entry.liabilityUSD > entry.escrowUSD ? entry.liabilityUSD - entry.escrowUSD : 0n
+    } else {
+      unpricedTokens.push(entry.token)
+    }
+  }
+
+  const byToken = [...tokens.values()].sort((a, b) =>
+    a.token.toLowerCase() === ETH ? -1 : b.token.toLowerCase() === ETH ? 1 : a.symbol.localeCompare(b.symbol),
+  )
+  const liabilityUSD = byToken.reduce((sum, t) => sum + t.liabilityUSD, 0n)
+  const escrowUSD = byToken.reduce((sum, t) => sum + (t.escrowUSD ?? 0n), 0n)
+
+  // Group by location, ignoring case and surrounding whitespace
+  const locations = new Map<string, LocationExposure>()
+  for (const p of active) {
+    const key = p.cropLocation.trim().toLowerCase()
+    let entry = locations.get(key)
+    if (!entry) {
+      entry = {
+        location: p.cropLocation.trim(), policies: 0, liabilityUSD: 0n, share: 0, maxDryDays: 0, nearest: null, approaching: 0,
+        risk: null,
+      }
+      locations.set(key, entry)
+    }
+    entry.policies += 1
+    entry.liabilityUSD += outstandingPayout(p)
+    // Dry weather only moves policies with a dry-day trigger; flood cover pays on excess rain
+    if (p.product === PRODUCT_FLOOD || p.droughtDays === 0) continue
+    const dryDays = Number(p.daysWithoutRain)
+    entry.maxDryDays = Math.max(entry.maxDryDays, dryDays)
+    if (!entry.nearest || p.droughtDays - dryDays < entry.nearest.droughtDays - entry.nearest.dryDays) {
+      entry.nearest = { dryDays, droughtDays: p.droughtDays }
+    }
+    if (dryDays >= approachingThreshold(p.droughtDays)) entry.approaching += 1
+  }
+  for (const entry of locations.values()) {
+    entry.share = liabilityUSD > 0n ? Number((entry.liabilityUSD * 10_000n) / liabilityUSD) / 10_000 : 0
+    if (entry.approaching > 0) {
+      const concentrated = entry.policies >= CONCENTRATION_MIN_POLICIES || entry.share >= CONCENTRATION_MAX_SHARE
+      entry.risk = concentrated ? 'high' : 'watch'
+    }
+  }
+  const riskOrder = { high: 0, watch: 1 }
+  const byLocation = [...locations.values()].sort((a, b) => {
+    const ra = a.risk ? riskOrder[a.risk] : 2
+    const rb = b.risk ? riskOrder[b.risk] : 2
+    if (ra !== rb) return ra - rb
+    return a.liabilityUSD === b.liabilityUSD ? 0 : a.liabilityUSD > b.liabilityUSD ? -1 : 1
+  })
+
+  return {
+    liabilityUSD,
+    escrowUSD,
+    premiumsUSD: byToken.reduce((sum, t) => sum + (t.premiumsUSD ?? 0n), 0n),
+    coverageRatio: liabilityUSD > 0n ? Number((escrowUSD * 10_000n) / liabilityUSD) / 10_000 : null,
+    shortfallUSD: byToken.reduce((sum, t) => sum + (t.shortfallUSD ?? 0n), 0n),
+    unpricedTokens,
+    byToken,
+    byLocation,
+    pending: {
+      policies: pending.length,
+      liabilityUSD: pending.reduce((sum, p) => sum + outstandingPayout(p), 0n),
+    },
+  }
+}
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest'
+import { quoteEth, quoteExpiresAt, quoteStatus, type PriceQuote } from './quotes'
+
+const HOUR = 3600n
+// $2,000.00000000 read at t=10,000 from a round updated at t=9,000
+const QUOTE: PriceQuote = { price: 2000n * 10n ** 8n, updatedAt: 9000n, takenAt: 10_000 }
+
+describe('quoteStatus', () => {
+  it('is stale once the round is MAX_STALENESS old, matching the provider require', () => {
+    expect(quoteStatus(QUOTE, 9000 + 3599, HOUR)).toBe('expiring')
+    expect(quoteStatus(QUOTE, 9000 + 3600, HOUR)).toBe('stale')
+  })
+
+  it('warns within the margin before the limit', () => {
+    expect(quoteStatus(QUOTE, 9000 + 3299, HOUR)).toBe('fresh')
+    expect(quoteStatus(QUOTE, 9000 + 3300, HOUR)).toBe('expiring')
+  })
+})
+
+describe('quoteExpiresAt', () => {
+  it('expires at the TTL or when the feed goes stale, whichever is first', () => {
+    expect(quoteExpiresAt(QUOTE, HOUR, 60)).toBe(10_060)
+    expect(quoteExpiresAt({ ...QUOTE, updatedAt: 6430n }, HOUR, 60)).toBe(10_030)
+  })
+})
+
+describe('quoteEth', () => {
+  it('charges usd * 1e18 / price and reports the buffered excess', () => {
+    // $100 premium at $2,000/ETH = 0.05 ETH; 3% buffer sends 0.0515 ETH
+    const quote = quoteEth(100n * 10n ** 8n, QUOTE, 300)
+    expect(quote.required).toBe(5n * 10n ** 16n)
+    expect(quote.value).toBe(515n * 10n ** 14n)
+    expect(quote.excess).toBe(15n * 10n ** 14n)
+  })
+})
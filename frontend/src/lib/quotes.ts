@@ -0,0 +1,44 @@
+import { ethForPayout, withBuffer } from '@/lib/bulkPolicies'
+
+// How long a quote is used before it is re-read; submits always re-read first
+export const QUOTE_TTL_SECONDS = 60
+// Warn when the feed will cross MAX_STALENESS within this window: a transaction
+// mined after that point reverts with "Price feed too stale"
+export const STALENESS_MARGIN_SECONDS = 300n
+
+// Buffers on top of the amount the contract computes at the quoted price
+export const PREMIUM_BUFFER_BPS = 300 // payPremium refunds the excess
+export const FUNDING_BUFFER_BPS = 500 // newContract keeps the excess in the provider
+
+export interface PriceQuote {
+  price: bigint // feed answer, 8 decimals
+  updatedAt: bigint // feed round timestamp, seconds
+  takenAt: number // when the round was read, seconds
+}
+
+export type QuoteStatus = 'fresh' | 'expiring' | 'stale'
+
+export function quoteStatus(quote: PriceQuote, now: number, maxStaleness: bigint): QuoteStatus {
+  const age = BigInt(now) - quote.updatedAt
+  if (age >= maxStaleness) return 'stale'
+  if (age >= maxStaleness - STALENESS_MARGIN_SECONDS) return 'expiring'
+  return 'fresh'
+}
+
+// A quote stops being usable at its TTL or when the feed goes stale, whichever is first
+export function quoteExpiresAt(quote: PriceQuote, maxStaleness: bigint, ttl = QUOTE_TTL_SECONDS): number {
+  return Math.min(quote.takenAt + ttl, Number(quote.updatedAt + maxStaleness))
+}
+
+export interface EthQuote {
+  required: bigint // what the contract charges at the quoted price
+  value: bigint // msg.value to send
+  excess: bigint // value - required
+}
+
+// payPremium and newContract both charge usd * 1e18 / price
+export function quoteEth(usd: bigint, quote: PriceQuote, bufferBps: number): EthQuote {
+  const required = ethForPayout(usd, quote.price)
+  const value = withBuffer(required, bufferBps)
+  return { required, value, excess: value - required }
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest'
+import { buildRainfallTimeline, type RainfallLog } from './rainfall'
+
+const DAY = 86400n
+let block = 100n
+
+function day(n: number, rainfall: bigint | null, extra: Partial<RainfallLog>[] = []): RainfallLog[] {
+  const timestamp = 1_700_000_000n + BigInt(n) * DAY
+  const check: RainfallLog = {
+    eventName: 'AutomatedWeatherCheckPerformed', args: {}, blockNumber: block++, logIndex: 0, timestamp,
+  }
+  if (rainfall === null) return [check]
+  const callbackBlock = block++
+  const logs: RainfallLog[] = [
+    check,
+    { eventName: 'dataReceived', args: { _rainfall: rainfall }, blockNumber: callbackBlock, logIndex: 0, timestamp },
+  ]
+  if (rainfall > 0n) {
+    logs.push({ eventName: 'RainfallThresholdReset', args: { rainfall }, blockNumber: callbackBlock, logIndex: 1, timestamp })
+  }
+  return logs.concat(extra.map((e, i) => ({ ...logs[1], logIndex: 2 + i, ...e }) as RainfallLog))
+}
+
+describe('buildRainfallTimeline', () => {
+  it('turns each weather check into one point with its oracle reading', () => {
+    const timeline = buildRainfallTimeline([...day(0, 12n), ...day(1, 0n), ...day(2, 4n)], 3)
+    expect(timeline.points.map((p) => p.rainfall)).toEqual([12n, 0n, 4n])
+    expect(timeline.points.map((p) => p.isDry)).toEqual([false, true, false])
+    expect(timeline.payoutIndex).toBeNull()
+  })
+
+  it('tracks dry streaks and resets them on rain', () => {
+    const timeline = buildRainfallTimeline(
+      [...day(0, 0n), ...day(1, 0n), ...day(2, 5n), ...day(3, 0n)],
+      3,
+    )
+    expect(timeline.points.map((p) => p.dryStreak)).toEqual([1, 2, 0, 1])
+    expect(timeline.streaks).toEqual([
+      { start: 0, end: 1, length: 2, reachedThreshold: false },
+      { start: 3, end: 3, length: 1, reachedThreshold: false },
+    ])
+    expect(timeline.longestStreak).toBe(2)
+  })
+
+  it('marks the streak that reached the threshold and the payout', () => {
+    const payout: Partial<RainfallLog> = { eventName: 'contractPaidOut', args: {} }
+    const timeline = buildRainfallTimeline([...day(0, 0n), ...day(1, 0n), ...day(2, 0n, [payout])], 3)
+    expect(timeline.streaks[0].reachedThreshold).toBe(true)
+    expect(timeline.payoutIndex).toBe(2)
+    expect(timeline.payoutAt).toBe(timeline.points[2].checkedAt)
+  })
+
+  it('leaves a check without an oracle answer pending', () => {
+    const timeline = buildRainfallTimeline([...day(0, 0n), ...day(1, null)], 3)
+    expect(timeline.points[1].rainfall).toBeNull()
+    expect(timeline.points[1].dryStreak).toBe(1)
+  })
+
+  it('averages per-source readings from the legacy callback', () => {
+    const logs = day(0, 3n, [{ eventName: 'dataReceived', args: { _rainfall: 7n } }])
+    const timeline = buildRainfallTimeline(logs, 3)
+    expect(timeline.points[0].readings).toEqual([3n, 7n])
+    expect(timeline.points[0].rainfall).toBe(5n)
+  })
+
+  it('counts rain at or below the dry-day threshold as dry', () => {
+    // The contract emits no reset for rain under the policy's threshold
+    const light = day(1, 2n).filter((log) => log.eventName !== 'RainfallThresholdReset')
+    const timeline = buildRainfallTimeline([...day(0, 0n), ...light, ...day(2, 5n)], 2, 2n)
+    expect(timeline.points.map((p) => p.isDry)).toEqual([true, true, false])
+    expect(timeline.streaks[0].reachedThreshold).toBe(true)
+  })
+
+  it('never marks a streak as reaching a disabled day trigger', () => {
+    const timeline = buildRainfallTimeline([...day(0, 0n), ...day(1, 0n)], 0)
+    expect(timeline.longestStreak).toBe(2)
+    expect(timeline.streaks[0].reachedThreshold).toBe(false)
+  })
+
+  it('orders logs by block and log index regardless of input order', () => {
+    const logs = [...day(0, 0n), ...day(1, 9n)].reverse()
+    expect(buildRainfallTimeline(logs, 3).points.map((p) => p.rainfall)).toEqual([0n, 9n])
+  })
+})
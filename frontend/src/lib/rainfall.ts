@@ -0,0 +1,107 @@
+export type RainfallEventName = 'AutomatedWeatherCheckPerformed' | 'dataReceived' | 'RainfallThresholdReset' | 'contractPaidOut'
+
+export interface RainfallLog {
+  eventName: RainfallEventName
+  args: Record<string, unknown>
+  blockNumber: bigint
+  logIndex: number
+  timestamp: bigint
+}
+
+// One daily weather check and the oracle data that answered it
+export interface RainfallPoint {
+  checkedAt: bigint
+  readings: bigint[]
+  // Value the contract evaluated; null while the oracle has not answered yet
+  rainfall: bigint | null
+  isDry: boolean
+  // Consecutive dry days up to and including this one
+  dryStreak: number
+}
+
+export interface DroughtStreak {
+  start: number // indexes into points
+  end: number
+  length: number
+  reachedThreshold: boolean
+}
+
+export interface RainfallTimeline {
+  points: RainfallPoint[]
+  streaks: DroughtStreak[]
+  longestStreak: number
+  // Index of the check whose oracle callback paid the policy out
+  payoutIndex: number | null
+  payoutAt: bigint | null
+}
+
+function compare(a: RainfallLog, b: RainfallLog): number {
+  if (a.blockNumber !== b.blockNumber) return a.blockNumber < b.blockNumber ? -1 : 1
+  return a.logIndex - b.logIndex
+}
+
+// Replays a policy's logs the way the contract evaluates them: every
+// AutomatedWeatherCheckPerformed opens a day, the dataReceived logs that follow
+// carry its rainfall, and RainfallThresholdReset marks it as a wet day. A day is
+// dry at or below the policy's dryDayThreshold; a threshold of 0 disables the streak trigger.
+export function buildRainfallTimeline(logs: RainfallLog[], threshold: number, dryDayThreshold = 0n): RainfallTimeline {
+  const points: RainfallPoint[] = []
+  const resets = new Set<number>()
+  let payoutIndex: number | null = null
+  let payoutAt: bigint | null = null
+
+  for (const log of [...logs].sort(compare)) {
+    switch (log.eventName) {
+      case 'AutomatedWeatherCheckPerformed':
+        points.push({ checkedAt: log.timestamp, readings: [], rainfall: null, isDry: false, dryStreak: 0 })
+        break
+      case 'dataReceived':
+        if (points.length === 0) {
+          points.push({ checkedAt: log.timestamp, readings: [], rainfall: null, isDry: false, dryStreak: 0 })
+        }
+        points[points.length - 1].readings.push(log.args._rainfall as bigint)
+        break
+      case 'RainfallThresholdReset':
+        if (points.length > 0) resets.add(points.length - 1)
+        break
+      case 'contractPaidOut':
+        payoutAt = log.timestamp
+        payoutIndex = points.length > 0 ? points.length - 1 : null
+        break
+    }
+  }
+
+  let streak = 0
+  points.forEach((point, i) => {
+    if (point.readings.length === 0) {
+      point.dryStreak = streak
+      return
+    }
+    // Older policies emitted one reading per source and averaged them; newer ones emit the median once
+    point.rainfall = point.readings.reduce((a, b) => a + b, 0n) / BigInt(point.readings.length)
+    point.isDry = point.rainfall <= dryDayThreshold && !resets.has(i)
+    streak = point.isDry ? streak + 1 : 0
+    point.dryStreak = streak
+  })
+
+  const streaks: DroughtStreak[] = []
+  points.forEach((point, i) => {
+    if (!point.isDry) return
+    const last = streaks[streaks.length - 1]
+    if (last && last.end === i - 1) {
+      last.end = i
+      last.length += 1
+    } else {
+      streaks.push({ start: i, end: i, length: 1, reachedThreshold: false })
+    }
+  })
+  for (const s of streaks) s.reachedThreshold = threshold > 0 && s.length >= threshold
+
+  return {
+    points,
+    streaks,
+    longestStreak: streaks.reduce((max, s) => Math.max(max, s.length), 0),
+    payoutIndex,
+    payoutAt,
+  }
+}
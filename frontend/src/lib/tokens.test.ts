@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest'
+import { type Address, type PublicClient } from 'viem'
+import type { TokenInfo } from '@/config/contracts'
+import { applyTokenOperations, feedStaleness, fetchDiscoveredTokens, mergeTokens, type TokenOperationLog } from './tokens'
+
+const USDC = '0x0000000000000000000000000000000000000001' as Address
+const WBTC = '0x0000000000000000000000000000000000000002' as Address
+const FEED_A = '0x00000000000000000000000000000000000000fa' as Address
+const FEED_B = '0x00000000000000000000000000000000000000fb' as Address
+
+function op(token: Address, priceFeed: Address, isAddition: boolean, blockNumber: bigint, logIndex = 0): TokenOperationLog {
+  return { token, priceFeed, isAddition, blockNumber, logIndex }
+}
+
+describe('applyTokenOperations', () => {
+  it('keeps the latest feed and applies removals in chain order', () => {
+    const tokens = applyTokenOperations([
+      op(WBTC, '0x0000000000000000000000000000000000000000', false, 30n),
+      op(USDC, FEED_B, true, 20n, 1),
+      op(USDC, FEED_A, true, 20n, 0),
+      op(WBTC, FEED_A, true, 10n),
+    ])
+    expect(tokens.find((t) => t.address === USDC)).toEqual({ address: USDC, priceFeed: FEED_B, supported: true, addedBlock: 20n })
+    expect(tokens.find((t) => t.address === WBTC)).toEqual({ address: WBTC, priceFeed: FEED_A, supported: false, addedBlock: 10n })
+  })
+})
+
+describe('mergeTokens', () => {
+  const base: Record<string, TokenInfo> = { USDC: { address: USDC, symbol: 'USDC', decimals: 6 } }
+
+  it('adds unknown tokens and skips ones already configured', () => {
+    const merged = mergeTokens(base, [
+      { address: USDC, symbol: 'USDC', decimals: 6 },
+      { address: WBTC, symbol: 'WBTC', decimals: 8 },
+    ])
+    expect(Object.keys(merged)).toEqual(['USDC', 'WBTC'])
+    expect(merged.WBTC.decimals).toBe(8)
+  })
+
+  it('disambiguates a symbol already used by another address', () => {
+    const merged = mergeTokens(base, [{ address: WBTC, symbol: 'USDC', decimals: 6 }])
+    expect(merged['USDC-0000'].address).toBe(WBTC)
+    expect(merged.USDC.address).toBe(USDC)
+  })
+})
+
+describe('feedStaleness', () => {
+  it('matches the provider check: stale once age reaches MAX_STALENESS', () => {
+    expect(feedStaleness(1000n, 4599n, 3600n)).toEqual({ age: 3599n, isStale: false })
+    expect(feedStaleness(1000n, 4600n, 3600n)).toEqual({ age: 3600n, isStale: true })
+    expect(feedStaleness(5000n, 4600n, 3600n)).toEqual({ age: 0n, isStale: false })
+  })
+})
+
+describe('fetchDiscoveredTokens', () => {
+  it('leaves out tokens whose decimals cannot be read instead of assuming 18', async () => {
+    const client = {
+      getBlockNumber: async () => 100n,
+      getLogs: async () => [
+        { args: { token: USDC, priceFeed: FEED_A, isAddition: true }, blockNumber: 10n, logIndex: 0 },
+        { args: { token: WBTC, priceFeed: FEED_B, isAddition: true }, blockNumber: 11n, logIndex: 0 },
+      ],
+      readContract: async ({ address, functionName }: { address: Address; functionName: string }) => {
+        if (functionName === 'symbol') return address === USDC ? 'USDC' : 'WBTC'
+        if (address === WBTC) throw new Error('RPC timeout')
+        return 6
+      },
+    } as unknown as PublicClient
+
+    expect(await fetchDiscoveredTokens(client, '0x00000000000000000000000000000000000000aa', 0n)).toEqual([
+      { address: USDC, symbol: 'USDC', decimals: 6, priceFeed: FEED_A },
+    ])
+  })
+})
@@ -0,0 +1,97 @@
+import { erc20Abi, getAbiItem, type Address, type PublicClient } from 'viem'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import type { TokenInfo } from '@/config/contracts'
+import { compareLogs, getLogsInChunks } from '@/lib/logs'
+
+const TOKEN_OPERATION_EVENT = getAbiItem({ abi: automatedInsuranceProviderAbi, name: 'TokenOperation' })
+const ETH = '0x0000000000000000000000000000000000000000'
+
+export interface TokenOperationLog {
+  token: Address
+  priceFeed: Address
+  isAddition: boolean
+  blockNumber: bigint
+  logIndex: number
+}
+
+export interface RegisteredToken {
+  address: Address
+  priceFeed: Address
+  supported: boolean
+  // Block of the most recent addition
+  addedBlock: bigint
+}
+
+export interface DiscoveredToken extends TokenInfo {
+  priceFeed: Address
+}
+
+// A token's most recent TokenOperation decides whether it is registered
+export function applyTokenOperations(logs: TokenOperationLog[]): RegisteredToken[] {
+  const ordered = [...logs].sort(compareLogs)
+  const tokens = new Map<string, RegisteredToken>()
+  for (const log of ordered) {
+    const key = log.token.toLowerCase()
+    const previous = tokens.get(key)
+    tokens.set(
+      key,
+      log.isAddition
+        ? { address: log.token, priceFeed: log.priceFeed, supported: true, addedBlock: log.blockNumber }
+        : { address: log.token, priceFeed: previous?.priceFeed ?? log.priceFeed, supported: false, addedBlock: previous?.addedBlock ?? 0n },
+    )
+  }
+  return [...tokens.values()]
+}
+
+// Adds on-chain tokens the static config doesn't know about, keyed by symbol.
+// A symbol already taken by a different address gets the address prefix appended.
+export function mergeTokens(base: Record<string, TokenInfo>, discovered: TokenInfo[]): Record<string, TokenInfo> {
+  const merged = { ...base }
+  const known = new Set(Object.values(base).map((t) => t.address.toLowerCase()))
+  for (const token of discovered) {
+    if (known.has(token.address.toLowerCase())) continue
+    const key = merged[token.symbol] ? `${token.symbol}-${token.address.slice(2, 6)}` : token.symbol
+    merged[key] = { address: token.address, symbol: token.symbol, decimals: token.decimals }
+    known.add(token.address.toLowerCase())
+  }
+  return merged
+}
+
+// The provider rejects answers with block.timestamp - updatedAt >= MAX_STALENESS
+export function feedStaleness(updatedAt: bigint, now: bigint, maxStaleness: bigint): { age: bigint; isStale: boolean } {
+  const age = now > updatedAt ? now - updatedAt : 0n
+  return { age, isStale: age >= maxStaleness }
+}
+
+export async function fetchTokenOperations(client: PublicClient, provider: Address, fromBlock: bigint): Promise<TokenOperationLog[]> {
+  const head = await client.getBlockNumber()
+  const logs = await getLogsInChunks(
+    (from, to) => client.getLogs({ address: provider, event: TOKEN_OPERATION_EVENT, fromBlock: from, toBlock: to }),
+    fromBlock,
+    head,
+  )
+  return logs.map((log) => ({
+    token: log.args.token as Address,
+    priceFeed: log.args.priceFeed as Address,
+    isAddition: log.args.isAddition ?? false,
+    blockNumber: log.blockNumber,
+    logIndex: log.logIndex,
+  }))
+}
+
+// Supported ERC-20s registered through addSupportedToken, with their symbol and decimals. A token
+// whose decimals can't be read is left out until the next refetch: guessing them would misprice it.
+export async function fetchDiscoveredTokens(client: PublicClient, provider: Address, fromBlock: bigint): Promise<DiscoveredToken[]> {
+  const registered = applyTokenOperations(await fetchTokenOperations(client, provider, fromBlock))
+  const erc20s = registered.filter((t) => t.supported && t.address !== ETH)
+  const tokens = await Promise.all(
+    erc20s.map(async (t) => {
+      const [symbol, decimals] = await Promise.all([
+        client.readContract({ address: t.address, abi: erc20Abi, functionName: 'symbol' }).catch(() => `${t.address.slice(0, 6)}…`),
+        client.readContract({ address: t.address, abi: erc20Abi, functionName: 'decimals' }).catch(() => null),
+      ])
+      return decimals === null ? [] : [{ address: t.address, symbol, decimals, priceFeed: t.priceFeed }]
+    }),
+  )
+  return tokens.flat()
+}
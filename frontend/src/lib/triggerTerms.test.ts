@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest'
+import { DEFAULT_TRIGGER_TERMS, describeTriggerTerms, floodTerms, toTriggerTerms, validateTriggerTerms } from './triggerTerms'
+
+describe('validateTriggerTerms', () => {
+  it('accepts the defaults', () => {
+    expect(validateTriggerTerms(DEFAULT_TRIGGER_TERMS)).toBeNull()
+  })
+
+  it('requires at least one trigger', () => {
+    expect(validateTriggerTerms({ ...DEFAULT_TRIGGER_TERMS, droughtDays: 0 })).toMatch(/dry days or a deficit window/)
+    expect(validateTriggerTerms({ ...DEFAULT_TRIGGER_TERMS, droughtDays: 0, deficitWindowDays: 7, deficitThreshold: 20n })).toBeNull()
+  })
+
+  it('caps the deficit window and needs a threshold with it', () => {
+    expect(validateTriggerTerms({ ...DEFAULT_TRIGGER_TERMS, deficitWindowDays: 31, deficitThreshold: 20n })).toMatch(/at most 30/)
+    expect(validateTriggerTerms({ ...DEFAULT_TRIGGER_TERMS, deficitWindowDays: 7 })).toMatch(/threshold above 0/)
+  })
+
+  it('rejects fractional and negative values', () => {
+    expect(validateTriggerTerms({ ...DEFAULT_TRIGGER_TERMS, droughtDays: 2.5 })).toMatch(/whole/)
+    expect(validateTriggerTerms({ ...DEFAULT_TRIGGER_TERMS, dryDayThreshold: -1 })).toMatch(/whole/)
+  })
+
+  it('keeps flood and drought fields apart', () => {
+    expect(validateTriggerTerms(floodTerms(3, 100n))).toBeNull()
+    expect(validateTriggerTerms({ ...floodTerms(3, 100n), droughtDays: 3 })).toMatch(/no drought trigger/)
+    expect(validateTriggerTerms({ ...DEFAULT_TRIGGER_TERMS, floodWindowDays: 3 })).toMatch(/no flood trigger/)
+  })
+
+  it('requires a flood window within the cap and a threshold', () => {
+    expect(validateTriggerTerms(floodTerms(0, 100n))).toMatch(/at least 1 day/)
+    expect(validateTriggerTerms(floodTerms(31, 100n))).toMatch(/at most 30/)
+    expect(validateTriggerTerms(floodTerms(3, 0n))).toMatch(/threshold above 0/)
+  })
+})
+
+describe('describeTriggerTerms', () => {
+  it('describes each enabled trigger', () => {
+    expect(describeTriggerTerms(DEFAULT_TRIGGER_TERMS)).toEqual(['3 consecutive days with no rain'])
+    expect(describeTriggerTerms(toTriggerTerms([1, 2, 14, 40n, 0, 0, 0n]))).toEqual([
+      '1 consecutive day with 2 mm of rain or less',
+      'Less than 40 mm of rain over the last 14 days',
+    ])
+    expect(describeTriggerTerms(floodTerms(3, 150n))).toEqual(['More than 150 mm of rain within 3 days'])
+  })
+})
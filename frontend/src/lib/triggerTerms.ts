@@ -0,0 +1,81 @@
+// Mirrors AttestationStructs.TriggerTerms; rainfall values are whole mm like the oracle reports
+export interface TriggerTerms {
+  droughtDays: number // consecutive dry days that pay out, 0 = off
+  dryDayThreshold: number // a day with at most this much rain counts as dry
+  deficitWindowDays: number // rolling window for the cumulative trigger, 0 = off
+  deficitThreshold: bigint // pays out when the window's total falls below this
+  product: number // PRODUCT_DROUGHT or PRODUCT_FLOOD
+  floodWindowDays: number // flood cover: rolling window for excess rainfall
+  floodThreshold: bigint // flood cover: pays out when the window's total exceeds this
+}
+
+export const PRODUCT_DROUGHT = 0
+export const PRODUCT_FLOOD = 1
+
+// What newContract uses when no terms are passed, and what pre-terms policies enforce
+export const DEFAULT_TRIGGER_TERMS: TriggerTerms = {
+  droughtDays: 3,
+  dryDayThreshold: 0,
+  deficitWindowDays: 0,
+  deficitThreshold: 0n,
+  product: PRODUCT_DROUGHT,
+  floodWindowDays: 0,
+  floodThreshold: 0n,
+}
+
+// Caps the flood window too
+export const MAX_DEFICIT_WINDOW_DAYS = 30
+
+// payoutTrigger values
+export const TRIGGER_DRY_DAYS = 1
+export const TRIGGER_RAINFALL_DEFICIT = 2
+export const TRIGGER_EXCESS_RAINFALL = 3
+
+type TermsTuple = readonly [number, number, number, bigint, number, number, bigint]
+
+export function toTriggerTerms(tuple: TermsTuple): TriggerTerms {
+  const [droughtDays, dryDayThreshold, deficitWindowDays, deficitThreshold, product, floodWindowDays, floodThreshold] = tuple
+  return { droughtDays, dryDayThreshold, deficitWindowDays, deficitThreshold, product, floodWindowDays, floodThreshold }
+}
+
+// Flood cover only: drought fields zeroed, as setTriggerTerms requires
+export function floodTerms(floodWindowDays: number, floodThreshold: bigint): TriggerTerms {
+  return { ...DEFAULT_TRIGGER_TERMS, droughtDays: 0, product: PRODUCT_FLOOD, floodWindowDays, floodThreshold }
+}
+
+// Same checks as setTriggerTerms, so the form fails before the transaction does
+export function validateTriggerTerms(terms: TriggerTerms): string | null {
+  const { droughtDays, dryDayThreshold, deficitWindowDays, deficitThreshold, product, floodWindowDays, floodThreshold } = terms
+  if (![droughtDays, dryDayThreshold, deficitWindowDays, floodWindowDays].every((n) => Number.isInteger(n) && n >= 0)) {
+    return 'Trigger terms must be whole, non-negative numbers'
+  }
+  if (product !== PRODUCT_DROUGHT && product !== PRODUCT_FLOOD) return 'Unknown product'
+  if (product === PRODUCT_FLOOD) {
+    if (droughtDays > 0 || deficitWindowDays > 0) return 'Flood cover has no drought trigger'
+    if (floodWindowDays === 0) return 'Set a flood window of at least 1 day'
+    if (floodWindowDays > MAX_DEFICIT_WINDOW_DAYS) return `Flood window can be at most ${MAX_DEFICIT_WINDOW_DAYS} days`
+    if (floodThreshold <= 0n) return 'Flood cover needs a rainfall threshold above 0 mm'
+    return null
+  }
+  if (floodWindowDays > 0 || floodThreshold > 0n) return 'Drought cover has no flood trigger'
+  if (droughtDays === 0 && deficitWindowDays === 0) return 'Set consecutive dry days or a deficit window'
+  if (deficitWindowDays > MAX_DEFICIT_WINDOW_DAYS) return `Deficit window can be at most ${MAX_DEFICIT_WINDOW_DAYS} days`
+  if (deficitWindowDays > 0 && deficitThreshold <= 0n) return 'A deficit window needs a rainfall threshold above 0 mm'
+  return null
+}
+
+// One plain-language line per enabled trigger
+export function describeTriggerTerms(terms: TriggerTerms): string[] {
+  if (terms.product === PRODUCT_FLOOD) {
+    return [`More than ${terms.floodThreshold.toString()} mm of rain within ${terms.floodWindowDays} ${terms.floodWindowDays === 1 ? 'day' : 'days'}`]
+  }
+  const lines: string[] = []
+  if (terms.droughtDays > 0) {
+    const dry = terms.dryDayThreshold === 0 ? 'no rain' : `${terms.dryDayThreshold} mm of rain or less`
+    lines.push(`${terms.droughtDays} consecutive ${terms.droughtDays === 1 ? 'day' : 'days'} with ${dry}`)
+  }
+  if (terms.deficitWindowDays > 0) {
+    lines.push(`Less than ${terms.deficitThreshold.toString()} mm of rain over the last ${terms.deficitWindowDays} days`)
+  }
+  return lines
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import { encodeAbiParameters, encodeFunctionData, type Address, type Hex } from 'viem'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { batchFromTransaction, buildUpkeepHistory, decodePerformData, type UpkeepLog } from './upkeepHistory'
+
+const DAY = 86400n
+const PROVIDER = '0x00000000000000000000000000000000000000aa' as Address
+const REGISTRY = '0x00000000000000000000000000000000000000bb' as Address
+const A = '0x0000000000000000000000000000000000000001' as Address
+const B = '0x0000000000000000000000000000000000000002' as Address
+
+function upkeep(n: number, timestamp: bigint, overrides: Partial<UpkeepLog> = {}): UpkeepLog {
+  return {
+    batchId: BigInt(n),
+    contractsProcessed: 2,
+    gasUsedK: 300,
+    blockNumber: BigInt(100 + n),
+    logIndex: 0,
+    transactionHash: `0x${n.toString(16).padStart(64, '0')}` as Hex,
+    timestamp,
+    batch: [A, B],
+    ...overrides,
+  }
+}
+
+describe('decodePerformData', () => {
+  it('decodes the address batch checkUpkeep encodes', () => {
+    expect(decodePerformData(encodeAbiParameters([{ type: 'address[]' }], [[A, B]]))).toEqual([A, B])
+    expect(decodePerformData('0x')).toEqual([])
+  })
+})
+
+describe('batchFromTransaction', () => {
+  const performData = encodeAbiParameters([{ type: 'address[]' }], [[A]])
+  const input = encodeFunctionData({ abi: automatedInsuranceProviderAbi, functionName: 'performUpkeep', args: [performData] })
+
+  it('recovers the batch from a performUpkeep call to the provider', () => {
+    expect(batchFromTransaction({ to: PROVIDER, input }, PROVIDER)).toEqual([A])
+  })
+
+  it('gives up on registry-relayed or unrelated transactions', () => {
+    expect(batchFromTransaction({ to: REGISTRY, input }, PROVIDER)).toBeNull()
+    const manual = encodeFunctionData({ abi: automatedInsuranceProviderAbi, functionName: 'manualWeatherUpdate', args: [[A]] })
+    expect(batchFromTransaction({ to: PROVIDER, input: manual }, PROVIDER)).toBeNull()
+  })
+})
+
+describe('buildUpkeepHistory', () => {
+  it('reports batch size, skipped contracts and gas per upkeep, newest first', () => {
+    const history = buildUpkeepHistory(
+      [upkeep(2, 1000n + DAY, { contractsProcessed: 1, gasUsedK: 500 }), upkeep(1, 1000n)],
+      DAY,
+      1000n + DAY + 60n,
+    )
+    expect(history.runs.map((r) => r.batchId)).toEqual([2n, 1n])
+    expect(history.runs[0]).toMatchObject({ batchSize: 2, skipped: 1, gasUsed: 500_000n, gap: DAY, missedIntervals: 0 })
+    expect(history.runs[1].gap).toBeNull()
+    expect(history.averageGasUsed).toBe(400_000n)
+    expect(history.overdueIntervals).toBe(0)
+  })
+
+  it('counts gaps longer than the interval as missed upkeeps', () => {
+    const history = buildUpkeepHistory([upkeep(1, 0n), upkeep(2, 3n * DAY + 100n)], DAY, 3n * DAY + 200n)
+    expect(history.runs[0].missedIntervals).toBe(2)
+    expect(history.totalMissed).toBe(2)
+  })
+
+  it('flags an overdue upkeep and leaves unknown batches blank', () => {
+    const history = buildUpkeepHistory([upkeep(1, 0n, { batch: null })], DAY, 2n * DAY + 1n)
+    expect(history.overdueIntervals).toBe(1)
+    expect(history.runs[0]).toMatchObject({ batchSize: null, skipped: null })
+
+    expect(buildUpkeepHistory([], DAY, 1000n)).toMatchObject({ runs: [], lastRunAt: null, averageGasUsed: null, overdueIntervals: 0 })
+  })
+})
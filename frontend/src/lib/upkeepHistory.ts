@@ -0,0 +1,90 @@
+import { decodeAbiParameters, decodeFunctionData, type Address, type Hex } from 'viem'
+import { automatedInsuranceProviderAbi } from '@/abi/AutomatedInsuranceProvider'
+import { compareLogs } from '@/lib/logs'
+
+// One AutomationUpkeepPerformed log with its block time and, when the upkeep
+// was sent straight to the provider, the batch from its performData
+export interface UpkeepLog {
+  batchId: bigint
+  contractsProcessed: number
+  // The event stores gasUsed / 1000
+  gasUsedK: number
+  blockNumber: bigint
+  logIndex: number
+  transactionHash: Hex
+  timestamp: bigint
+  batch: Address[] | null
+}
+
+export interface UpkeepRun extends UpkeepLog {
+  gasUsed: bigint
+  // Null when the batch couldn't be recovered from the transaction
+  batchSize: number | null
+  skipped: number | null
+  // Seconds since the previous upkeep; null for the first one
+  gap: bigint | null
+  missedIntervals: number
+}
+
+export interface UpkeepHistory {
+  runs: UpkeepRun[] // newest first
+  totalMissed: number
+  averageGasUsed: bigint | null
+  lastRunAt: bigint | null
+  // Intervals that have elapsed since the last upkeep without one running
+  overdueIntervals: number
+}
+
+// checkUpkeep encodes the batch as abi.encode(address[])
+export function decodePerformData(performData: Hex): Address[] {
+  if (performData === '0x') return []
+  const [batch] = decodeAbiParameters([{ type: 'address[]' }], performData)
+  return [...batch]
+}
+
+// Recovers the batch from a performUpkeep transaction sent to the provider. Upkeeps relayed
+// by the Automation registry call the registry instead, so their batch isn't in the input.
+export function batchFromTransaction(tx: { to: Address | null; input: Hex }, provider: Address): Address[] | null {
+  if (!tx.to || tx.to.toLowerCase() !== provider.toLowerCase()) return null
+  try {
+    const { functionName, args } = decodeFunctionData({ abi: automatedInsuranceProviderAbi, data: tx.input })
+    return functionName === 'performUpkeep' ? decodePerformData(args[0]) : null
+  } catch {
+    return null
+  }
+}
+
+// performUpkeep only runs once upkeepInterval has elapsed, so a gap of n intervals means n - 1 were missed
+function missedIn(gap: bigint, interval: bigint): number {
+  if (interval <= 0n) return 0
+  const intervals = gap / interval
+  return intervals > 1n ? Number(intervals - 1n) : 0
+}
+
+export function buildUpkeepHistory(logs: UpkeepLog[], interval: bigint, now: bigint): UpkeepHistory {
+  const ordered = [...logs].sort(compareLogs)
+
+  const runs: UpkeepRun[] = ordered.map((log, i) => {
+    const gap = i > 0 ? log.timestamp - ordered[i - 1].timestamp : null
+    const batchSize = log.batch ? log.batch.length : null
+    return {
+      ...log,
+      gasUsed: BigInt(log.gasUsedK) * 1000n,
+      batchSize,
+      skipped: batchSize === null ? null : Math.max(0, batchSize - log.contractsProcessed),
+      gap,
+      missedIntervals: gap === null ? 0 : missedIn(gap, interval),
+    }
+  })
+
+  const lastRunAt = runs.length > 0 ? runs[runs.length - 1].timestamp : null
+  const totalGas = runs.reduce((sum, run) => sum + run.gasUsed, 0n)
+
+  return {
+    runs: runs.reverse(),
+    totalMissed: runs.reduce((sum, run) => sum + run.missedIntervals, 0),
+    averageGasUsed: runs.length > 0 ? totalGas / BigInt(runs.length) : null,
+    lastRunAt,
+    overdueIntervals: lastRunAt === null || now <= lastRunAt ? 0 : missedIn(now - lastRunAt, interval),
+  }
+}
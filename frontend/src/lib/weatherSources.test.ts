@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_ORACLE_AGGREGATION, NO_READING, describeTolerance, sourceRows, validateOracleAggregation,
+} from './weatherSources'
+
+describe('validateOracleAggregation', () => {
+  it('accepts the default three sources with a quorum of two', () => {
+    expect(validateOracleAggregation(DEFAULT_ORACLE_AGGREGATION)).toBeNull()
+    expect(validateOracleAggregation({ sources: [1], minQuorum: 1, toleranceBps: 0, toleranceMm: 0 })).toBeNull()
+  })
+
+  it('matches the contract requires', () => {
+    const config = DEFAULT_ORACLE_AGGREGATION
+    expect(validateOracleAggregation({ ...config, sources: [] })).toMatch(/at least one/)
+    expect(validateOracleAggregation({ ...config, sources: [0, 3] })).toMatch(/Unknown/)
+    expect(validateOracleAggregation({ ...config, sources: [1, 1] })).toMatch(/only be used once/)
+    expect(validateOracleAggregation({ ...config, minQuorum: 0 })).toMatch(/between 1 and 3/)
+    expect(validateOracleAggregation({ ...config, sources: [0, 2], minQuorum: 3 })).toMatch(/between 1 and 2/)
+    expect(validateOracleAggregation({ ...config, toleranceMm: 1.5 })).toMatch(/whole/)
+  })
+})
+
+describe('sourceRows', () => {
+  it('marks failed, outlier and accepted sources', () => {
+    const rows = sourceRows([0, 1, 2], [NO_READING, 4n, 60n], [false, true, false])
+
+    expect(rows.map((r) => r.status)).toEqual(['failed', 'accepted', 'outlier'])
+    expect(rows.map((r) => r.reading)).toEqual([null, 4n, 60n])
+    expect(rows[1].name).toBe('OpenWeather')
+  })
+
+  it('treats readings missing from the end as failed', () => {
+    const rows = sourceRows([0, 2], [3n], [true])
+
+    expect(rows.map((r) => r.status)).toEqual(['accepted', 'failed'])
+  })
+
+  it('is empty before the first check', () => {
+    expect(sourceRows([0, 1, 2], [], [])).toEqual([])
+  })
+})
+
+describe('describeTolerance', () => {
+  it('names whichever limits apply', () => {
+    expect(describeTolerance(2500, 5)).toBe('within 25% or 5 mm of the median, whichever is larger')
+    expect(describeTolerance(1000, 0)).toBe('within 10% of the median')
+    expect(describeTolerance(0, 3)).toBe('within 3 mm of the median')
+  })
+})
@@ -0,0 +1,66 @@
+import { formatBps } from '@/lib/payoutTiers'
+
+// AutomatedInsuranceContract.SOURCE_*, indexed by id
+export const WEATHER_SOURCES = ['World Weather Online', 'OpenWeather', 'Weatherbit'] as const
+
+// What the node reports for a source it could not read
+export const NO_READING = 2n ** 256n - 1n
+
+// Mirrors the policy's oracle aggregation settings
+export interface OracleAggregation {
+  sources: number[] // SOURCE_* ids, in the order the node reports them
+  minQuorum: number // readings that must agree for a day to be recorded
+  toleranceBps: number // a reading counts within this share of the median...
+  toleranceMm: number // ...or within this many mm, whichever is larger
+}
+
+// What a new policy starts with
+export const DEFAULT_ORACLE_AGGREGATION: OracleAggregation = {
+  sources: [0, 1, 2],
+  minQuorum: 2,
+  toleranceBps: 2500,
+  toleranceMm: 5,
+}
+
+export type SourceStatus = 'accepted' | 'outlier' | 'failed'
+
+export interface SourceRow {
+  source: number
+  name: string
+  reading: bigint | null // null when the source failed
+  status: SourceStatus
+}
+
+// Same checks as setOracleAggregation
+export function validateOracleAggregation({ sources, minQuorum, toleranceBps, toleranceMm }: OracleAggregation): string | null {
+  if (sources.length === 0) return 'Pick at least one weather source'
+  if (sources.some((s) => !Number.isInteger(s) || s < 0 || s >= WEATHER_SOURCES.length)) return 'Unknown weather source'
+  if (new Set(sources).size !== sources.length) return 'Each weather source can only be used once'
+  if (!Number.isInteger(minQuorum) || minQuorum < 1 || minQuorum > sources.length) {
+    return `Quorum must be between 1 and ${sources.length}`
+  }
+  if (!Number.isInteger(toleranceBps) || toleranceBps < 0 || toleranceBps > 65_535) return 'Invalid percentage tolerance'
+  if (!Number.isInteger(toleranceMm) || toleranceMm < 0) return 'Tolerance in mm must be a whole, non-negative number'
+  return null
+}
+
+// One row per configured source for the latest check; empty before the first reading
+export function sourceRows(sources: readonly number[], readings: readonly bigint[], accepted: readonly boolean[]): SourceRow[] {
+  if (readings.length === 0) return []
+  return sources.map((source, i) => {
+    const reading = readings[i] === undefined || readings[i] === NO_READING ? null : readings[i]
+    return {
+      source,
+      name: WEATHER_SOURCES[source] ?? `Source ${source}`,
+      reading,
+      status: reading === null ? 'failed' : accepted[i] ? 'accepted' : 'outlier',
+    }
+  })
+}
+
+// e.g. "within 25% or 5 mm of the median"
+export function describeTolerance(toleranceBps: number, toleranceMm: number): string {
+  if (toleranceBps === 0) return `within ${toleranceMm} mm of the median`
+  if (toleranceMm === 0) return `within ${formatBps(toleranceBps)} of the median`
+  return `within ${formatBps(toleranceBps)} or ${toleranceMm} mm of the median, whichever is larger`
+}
@@ -2,6 +2,9 @@ import { defineConfig } from '@wagmi/cli'
 import { react } from '@wagmi/cli/plugins'
 import { automatedInsuranceProviderAbi } from './src/abi/AutomatedInsuranceProvider'
 import { automatedInsuranceContractAbi } from './src/abi/AutomatedInsuranceContract'
+import { easInsuranceManagerAbi } from './src/abi/EASInsuranceManager'
+
+// src/abi/*.ts are generated from the compiled contracts by scripts/abis.mjs (npm run abi:generate)
 
 export default defineConfig({
   out: 'src/generated.ts',
@@ -14,6 +17,10 @@ export default defineConfig({
       name: 'AutomatedInsuranceContract',
       abi: automatedInsuranceContractAbi,
     },
+    {
+      name: 'EASInsuranceManager',
+      abi: easInsuranceManagerAbi,
+    },
   ],
   plugins: [react()],
 })
@@ -1,5 +1,7 @@
 const InsuranceProvider = artifacts.require("InsuranceProvider");
 require('dotenv').config();
+const { networkFor, assertDeployable } = require('../config/networks');
+const { recordDeployment, redactApiKeys } = require('../config/deployments');
 
 module.exports = async function(deployer, network) {
   // Get API keys from environment variables
@@ -12,35 +14,9 @@ module.exports = async function(deployer, network) {
     throw new Error('Missing required API keys in .env file. Please set WORLD_WEATHER_ONLINE_KEY, OPEN_WEATHER_KEY, and WEATHERBIT_KEY');
   }
 
-  // Network-specific addresses
-  const networkConfig = {
-    mainnet: {
-      linkToken: '0x514910771AF9Ca656af840dff83E8264EcF986CA',
-      ethUsdFeed: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419',
-      oracle1: process.env.ORACLE_ADDRESS_1,
-      oracle2: process.env.ORACLE_ADDRESS_2,
-      jobId1: process.env.JOB_ID_1,
-      jobId2: process.env.JOB_ID_2
-    },
-    sepolia: {
-      linkToken: '0x779877A7B0D9E8603169DdbD7836e478b4624789',
-      ethUsdFeed: '0x694AA1769357215DE4FAC081bf1f309aDC325306',
-      oracle1: process.env.ORACLE_ADDRESS_1 || '0x6090149792dAAeE9D1D568c9f9a6F6B46AA29eFD',
-      oracle2: process.env.ORACLE_ADDRESS_2 || '0x6090149792dAAeE9D1D568c9f9a6F6B46AA29eFD',
-      jobId1: process.env.JOB_ID_1 || '0x' + '0'.repeat(64),
-      jobId2: process.env.JOB_ID_2 || '0x' + '0'.repeat(64)
-    },
-    development: {
-      linkToken: '0xa36085F69e2889c224210F603D836748e7dC0088',
-      ethUsdFeed: '0x9326BFA02ADD2366b30bacB125260Af641031331',
-      oracle1: '0x05c8FaDf1798437c143683E665800D58a42b6E19',
-      oracle2: '0x240Bae5a27233fD3Ac5440b5A598467725f7d1cD',
-      jobId1: '0x' + '0'.repeat(64),
-      jobId2: '0x' + '0'.repeat(64)
-    }
-  };
-
-  const config = networkConfig[network] || networkConfig.development;
+  // Network-specific addresses from the shared registry (config/networks.json)
+  const config = await networkFor(web3);
+  assertDeployable(config);
 
   console.log('Deploying InsuranceProvider...');
   console.log('Network:', network);
@@ -48,71 +24,45 @@ module.exports = async function(deployer, network) {
   console.log('ETH/USD Feed:', config.ethUsdFeed);
 
   // Deploy the main contract
-  await deployer.deploy(
-    InsuranceProvider,
+  const constructorArgs = [
     worldWeatherOnlineKey,
     openWeatherKey,
     weatherbitKey,
     config.linkToken,
     config.ethUsdFeed,
-    config.oracle1,
-    config.oracle2,
-    config.jobId1,
-    config.jobId2
-  );
+    config.oracles[0],
+    config.oracles[1],
+    config.jobIds[0],
+    config.jobIds[1]
+  ];
+  await deployer.deploy(InsuranceProvider, ...constructorArgs);
 
   const provider = await InsuranceProvider.deployed();
   console.log('InsuranceProvider deployed at:', provider.address);
 
+  // Record the deployment so scripts and the frontend pick it up (deployments/<network>.json);
+  // truffle test's throwaway chain is skipped
+  if (network !== 'test') {
+    const manifest = await recordDeployment({
+      web3,
+      network: config,
+      artifact: InsuranceProvider,
+      instance: provider,
+      constructorArgs: redactApiKeys(constructorArgs),
+      migration: __filename
+    });
+    console.log('Deployment manifest:', `deployments/${manifest.network}.json (revision ${manifest.revision})`);
+  }
+
   // Configure supported tokens based on network
-  await configureTokens(provider, network);
+  await configureTokens(provider, config);
 };
 
 async function configureTokens(provider, network) {
   console.log('\n=== Configuring Supported Tokens ===');
-  
-  // Token configurations by network
-  const tokenConfigs = {
-    // Mainnet token addresses and price feeds
-    mainnet: {
-      USDC: {
-        address: '0xA0b86a33E6441d82b90Da6B3Ee1Ba39dFAAE8F2B',
-        priceFeed: '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6' // USDC/USD
-      },
-      DAI: {
-        address: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
-        priceFeed: '0xAed0c38402d0d6ded5d0a5A5ec72C5B3F6E1b0b1' // DAI/USD
-      },
-      USDT: {
-        address: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
-        priceFeed: '0x3E7d1eAB13ad0104d2750B8863b489D65364e32D' // USDT/USD
-      }
-    },
-    // Sepolia testnet token addresses and price feeds
-    sepolia: {
-      USDC: {
-        address: '0x94a9D9AC8a22534E3FaCa9F4e7F2E2cf85d5E4C8', // Sepolia USDC
-        priceFeed: '0xA2F78ab2355fe2f984D808B5CeE7FD0A93D5270E' // USDC/USD on Sepolia
-      },
-      DAI: {
-        address: '0xFF34B3d4Aee8ddCd6F9AFFFB6Fe49bD371b8a357', // Sepolia DAI
-        priceFeed: '0x14866185B1962B63C3EA9E03Fb1a9d0c40d90932' // DAI/USD on Sepolia
-      }
-    },
-    // Local development - use mock addresses
-    development: {
-      USDC: {
-        address: '0x1111111111111111111111111111111111111111',
-        priceFeed: '0x2222222222222222222222222222222222222222'
-      },
-      DAI: {
-        address: '0x3333333333333333333333333333333333333333',
-        priceFeed: '0x4444444444444444444444444444444444444444'
-      }
-    }
-  };
 
-  const networkTokens = tokenConfigs[network] || tokenConfigs.development;
+  // Token addresses and price feeds come from the network registry
+  const networkTokens = network.tokens;
 
   try {
     for (const [symbol, config] of Object.entries(networkTokens)) {
@@ -128,7 +78,7 @@ async function configureTokens(provider, network) {
     
     // Display summary
     console.log('\n=== Token Configuration Summary ===');
-    console.log(`Network: ${network}`);
+    console.log(`Network: ${network.label}`);
     console.log(`Tokens configured: ${Object.keys(networkTokens).join(', ')}`);
     console.log('ETH is always supported by default');
     
@@ -1,4 +1,8 @@
 const AutomatedInsuranceProvider = artifacts.require("AutomatedInsuranceProvider");
+const AutomatedInsuranceContract = artifacts.require("AutomatedInsuranceContract");
+const PolicyWeather = artifacts.require("PolicyWeather");
+const { networkFor, assertDeployable } = require("../config/networks");
+const { recordDeployment, redactApiKeys } = require("../config/deployments");
 
 module.exports = async function(deployer, network, accounts) {
   console.log("🚀 Deploying Automated Insurance System with Chainlink Automation...");
@@ -20,100 +24,66 @@ module.exports = async function(deployer, network, accounts) {
 
   console.log("API keys validated");
 
-  // Network-specific addresses
-  const networkConfig = {
-    mainnet: {
-      linkToken: '0x514910771AF9Ca656af840dff83E8264EcF986CA',
-      ethUsdFeed: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419',
-      oracle1: process.env.ORACLE_ADDRESS_1,
-      oracle2: process.env.ORACLE_ADDRESS_2,
-      jobId1: process.env.JOB_ID_1,
-      jobId2: process.env.JOB_ID_2
-    },
-    sepolia: {
-      linkToken: '0x779877A7B0D9E8603169DdbD7836e478b4624789',
-      ethUsdFeed: '0x694AA1769357215DE4FAC081bf1f309aDC325306',
-      oracle1: process.env.ORACLE_ADDRESS_1 || '0x6090149792dAAeE9D1D568c9f9a6F6B46AA29eFD',
-      oracle2: process.env.ORACLE_ADDRESS_2 || '0x6090149792dAAeE9D1D568c9f9a6F6B46AA29eFD',
-      jobId1: process.env.JOB_ID_1 || '0x' + '0'.repeat(64),
-      jobId2: process.env.JOB_ID_2 || '0x' + '0'.repeat(64)
-    },
-    development: {
-      linkToken: '0xa36085F69e2889c224210F603D836748e7dC0088',
-      ethUsdFeed: '0x9326BFA02ADD2366b30bacB125260Af641031331',
-      oracle1: '0x05c8FaDf1798437c143683E665800D58a42b6E19',
-      oracle2: '0x240Bae5a27233fD3Ac5440b5A598467725f7d1cD',
-      jobId1: '0x' + '0'.repeat(64),
-      jobId2: '0x' + '0'.repeat(64)
-    }
-  };
-
-  const config = networkConfig[network] || networkConfig.development;
+  // Network-specific addresses from the shared registry (config/networks.json)
+  const config = await networkFor(web3);
+  assertDeployable(config);
+  console.log("Chain:", `${config.label} (${config.chainId})`);
   console.log("LINK Token:", config.linkToken);
   console.log("ETH/USD Feed:", config.ethUsdFeed);
 
+  // Policies call into the PolicyWeather library; the provider embeds the policy bytecode, so both link it
+  await deployer.deploy(PolicyWeather);
+  await deployer.link(PolicyWeather, [AutomatedInsuranceContract, AutomatedInsuranceProvider]);
+  const policyWeather = await PolicyWeather.deployed();
+  console.log("✅ PolicyWeather library deployed at:", policyWeather.address);
+
   // Deploy AutomatedInsuranceProvider
-  await deployer.deploy(
-    AutomatedInsuranceProvider,
+  const constructorArgs = [
     worldWeatherKey,
     openWeatherKey,
     weatherbitKey,
     config.linkToken,
     config.ethUsdFeed,
-    config.oracle1,
-    config.oracle2,
-    config.jobId1,
-    config.jobId2
-  );
+    config.oracles[0],
+    config.oracles[1],
+    config.jobIds[0],
+    config.jobIds[1]
+  ];
+  await deployer.deploy(AutomatedInsuranceProvider, ...constructorArgs);
 
   const provider = await AutomatedInsuranceProvider.deployed();
   console.log("✅ AutomatedInsuranceProvider deployed at:", provider.address);
 
-  // Configure supported tokens based on network
-  if (network === 'mainnet') {
-    console.log("🔧 Configuring mainnet tokens...");
-    
-    const tokens = {
-      USDC: {
-        address: '0xA0b86a33E6441d82b90Da6B3Ee1Ba39dFAAE8F2B',
-        priceFeed: '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6'
-      },
-      DAI: {
-        address: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
-        priceFeed: '0xAed0c38402b1c3cC8b6b5De9DB4Cf3f96E9F39Ec'
-      },
-      USDT: {
-        address: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
-        priceFeed: '0x3E7d1eAB13ad0104d2750B8863b489D65364e32D'
-      }
-    };
-
-    for (const [symbol, config] of Object.entries(tokens)) {
-      try {
-        await provider.addSupportedToken(config.address, config.priceFeed);
-        console.log(`✅ Added ${symbol} token support`);
-      } catch (error) {
-        console.error(`❌ Failed to add ${symbol}:`, error.message);
-      }
-    }
+  // Record the deployment so scripts and the frontend pick it up (deployments/<network>.json);
+  // truffle test's throwaway chain is skipped
+  if (network !== "test") {
+    await recordDeployment({
+      web3,
+      network: config,
+      artifact: PolicyWeather,
+      instance: policyWeather,
+      constructorArgs: [],
+      migration: __filename
+    });
+    const manifest = await recordDeployment({
+      web3,
+      network: config,
+      artifact: AutomatedInsuranceProvider,
+      instance: provider,
+      constructorArgs: redactApiKeys(constructorArgs),
+      migration: __filename
+    });
+    console.log("📝 Deployment manifest:", `deployments/${manifest.network}.json (revision ${manifest.revision})`);
+  }
 
-  } else if (network === 'sepolia') {
-    console.log("🔧 Configuring Sepolia testnet tokens...");
-    
-    const tokens = {
-      USDC: {
-        address: '0x94a9D9AC8a22534E3FaCa9F4e7F2E2cf85d5E4C8',
-        priceFeed: '0xA2F78ab2355fe2f984D808B5CeE7FD0A93D5270E'
-      },
-      DAI: {
-        address: '0xFF34B3d4Aee8ddCd6F9AFFFB6Fe49bD371b8a357',
-        priceFeed: '0x14866185B1962B63C3Ea9E03Bc1da838bab34C19'
-      }
-    };
+  // Configure supported tokens listed for this chain
+  const tokens = Object.entries(config.tokens);
+  if (tokens.length > 0) {
+    console.log(`🔧 Configuring ${config.label} tokens...`);
 
-    for (const [symbol, config] of Object.entries(tokens)) {
+    for (const [symbol, token] of tokens) {
       try {
-        await provider.addSupportedToken(config.address, config.priceFeed);
+        await provider.addSupportedToken(token.address, token.priceFeed);
         console.log(`✅ Added ${symbol} token support`);
       } catch (error) {
         console.error(`❌ Failed to add ${symbol}:`, error.message);
@@ -166,7 +136,7 @@ module.exports = async function(deployer, network, accounts) {
   console.log("🔧 CHAINLINK AUTOMATION SETUP INSTRUCTIONS");
   console.log("=".repeat(60));
 
-  if (network === 'mainnet') {
+  if (config.name === 'mainnet') {
     console.log("\n📍 Mainnet Registration:");
     console.log("   1. Visit: https://automation.chain.link/");
     console.log("   2. Connect your wallet");
@@ -178,7 +148,7 @@ module.exports = async function(deployer, network, accounts) {
     console.log("   8. Set gas limit: 2,000,000");
     console.log("   9. Complete registration");
 
-  } else if (network === 'sepolia') {
+  } else if (config.name === 'sepolia') {
     console.log("\n🧪 Sepolia Testnet Registration:");
     console.log("   1. Visit: https://automation.chain.link/sepolia");
     console.log("   2. Connect your wallet");
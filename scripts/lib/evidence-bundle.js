@@ -0,0 +1,377 @@
+/**
+ * Evidence Bundle Verification
+ *
+ * Re-checks a signed evidence bundle exported from the frontend policy page
+ * (src/lib/evidenceBundle.ts) against a node: the signature over the bundle
+ * digest, the policy parameters at the bundle's block, every event log the
+ * policy and provider emitted for it, each attestation on EAS (decoded with
+ * the schema string from the SchemaRegistry) and every payout transfer.
+ *
+ * Parameters are read at the bundle's block, so bundles older than the
+ * node's state history need an archive node; reads that fail are reported
+ * as warnings rather than mismatches.
+ */
+
+const FORMAT = "crop-insurance-evidence";
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+// Public RPCs cap eth_getLogs ranges (frontend src/lib/logs.ts uses the same window)
+const LOG_CHUNK_SIZE = 10000;
+// keccak256("Transfer(address,address,uint256)")
+const TRANSFER_TOPIC = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+
+const EAS_ABI = [
+  {
+    inputs: [{ name: "uid", type: "bytes32" }],
+    name: "getAttestation",
+    outputs: [{
+      components: [
+        { name: "uid", type: "bytes32" },
+        { name: "schema", type: "bytes32" },
+        { name: "time", type: "uint64" },
+        { name: "expirationTime", type: "uint64" },
+        { name: "revocationTime", type: "uint64" },
+        { name: "refUID", type: "bytes32" },
+        { name: "recipient", type: "address" },
+        { name: "attester", type: "address" },
+        { name: "revocable", type: "bool" },
+        { name: "data", type: "bytes" }
+      ],
+      name: "",
+      type: "tuple"
+    }],
+    stateMutability: "view",
+    type: "function"
+  },
+  {
+    inputs: [],
+    name: "getSchemaRegistry",
+    outputs: [{ name: "", type: "address" }],
+    stateMutability: "view",
+    type: "function"
+  }
+];
+
+const SCHEMA_REGISTRY_ABI = [
+  {
+    inputs: [{ name: "uid", type: "bytes32" }],
+    name: "getSchema",
+    outputs: [{
+      components: [
+        { name: "uid", type: "bytes32" },
+        { name: "resolver", type: "address" },
+        { name: "revocable", type: "bool" },
+        { name: "schema", type: "string" }
+      ],
+      name: "",
+      type: "tuple"
+    }],
+    stateMutability: "view",
+    type: "function"
+  }
+];
+
+/**
+ * JSON with object keys sorted and BigInts as decimal strings. Must match
+ * canonicalJson in the frontend's src/lib/evidenceBundle.ts byte for byte.
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (typeof value === "bigint") return JSON.stringify(value.toString());
+  if (Array.isArray(value)) {
+    return `[${value.map((v) => (v === undefined ? "null" : canonicalJson(v))).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const entries = Object.entries(value)
+      .filter(([, v]) => v !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    return `{${entries.map(([k, v]) => `${JSON.stringify(k)}:${canonicalJson(v)}`).join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * @returns {string} keccak256 of the canonical JSON, the bytes the exporter signed (EIP-191)
+ */
+function bundleDigest(web3, bundle) {
+  return web3.utils.keccak256(web3.utils.utf8ToHex(canonicalJson(bundle)));
+}
+
+// Comparable form of values from the bundle (viem: numbers, BigInt strings, arrays) and
+// from web3 (decimal strings, BN, Result objects with both indexed and named keys)
+function normalize(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "boolean") return value;
+  if (typeof value === "number" || typeof value === "bigint") return value.toString();
+  if (typeof value === "string") return value.toLowerCase();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value.toTwos === "function") return value.toString(); // BN
+  if ("__length__" in value) return Array.from({ length: value.__length__ }, (_, i) => normalize(value[i]));
+  return Object.fromEntries(Object.keys(value).sort().map((key) => [key, normalize(value[key])]));
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+function show(value) {
+  return JSON.stringify(normalize(value));
+}
+
+function logKey(log) {
+  return `${log.transactionHash.toLowerCase()}:${Number(log.logIndex)}`;
+}
+
+async function getPastLogsInChunks(web3, filter, fromBlock, toBlock) {
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, toBlock);
+    logs.push(...(await web3.eth.getPastLogs({ ...filter, fromBlock: start, toBlock: end })));
+  }
+  return logs;
+}
+
+// "string policyId,address client,..." -> [{ type, name }]
+function parseSchema(schema) {
+  return schema.split(",").map((field) => {
+    const [type, name] = field.trim().split(/\s+/);
+    return { type, name };
+  });
+}
+
+function eventsByTopic(web3, abi) {
+  const events = new Map();
+  for (const item of abi) {
+    if (item.type !== "event" || item.anonymous) continue;
+    const signature = `${item.name}(${item.inputs.map((input) => input.type).join(",")})`;
+    events.set(web3.utils.keccak256(signature), item);
+  }
+  return events;
+}
+
+function decodeLog(web3, events, log) {
+  const item = events.get(log.topics[0] && log.topics[0].toLowerCase());
+  if (!item) return null;
+  return { event: item.name, args: web3.eth.abi.decodeLog(item.inputs, log.data, log.topics.slice(1)) };
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.web3
+ * @param {object} options.artifacts - truffle artifacts, for the policy and provider ABIs
+ * @param {object} options.envelope - parsed bundle file: { bundle, digest, signer, signature }
+ * @returns {Promise<{ ok: boolean, mismatches: object[], warnings: object[], checked: object }>}
+ *   mismatches and warnings are { section, item, detail }
+ */
+async function verifyEvidenceBundle({ web3, artifacts, envelope }) {
+  const { bundle, digest, signer, signature } = envelope || {};
+  if (!bundle || bundle.format !== FORMAT) {
+    throw new Error(`Not a ${FORMAT} bundle`);
+  }
+
+  const mismatches = [];
+  const warnings = [];
+  const checked = { parameters: 0, events: 0, attestations: 0, payouts: 0 };
+  const mismatch = (section, item, detail) => mismatches.push({ section, item, detail });
+  const warn = (section, item, detail) => warnings.push({ section, item, detail });
+  const done = () => ({ ok: mismatches.length === 0, mismatches, warnings, checked });
+
+  // Signature
+  if (bundleDigest(web3, bundle) !== String(digest).toLowerCase()) {
+    mismatch("signature", "digest", "bundle contents do not hash to the signed digest");
+  }
+  let recovered = null;
+  try {
+    recovered = web3.eth.accounts.recover(digest, signature);
+  } catch (error) {
+    mismatch("signature", "signature", `cannot recover signer: ${error.message}`);
+  }
+  if (recovered && recovered.toLowerCase() !== String(signer).toLowerCase()) {
+    mismatch("signature", "signer", `signed by ${recovered}, bundle names ${signer}`);
+  }
+
+  // Chain and snapshot block; nothing else is comparable on the wrong chain
+  const chainId = Number(await web3.eth.getChainId());
+  if (chainId !== Number(bundle.chainId)) {
+    mismatch("chain", "chainId", `node is on chain ${chainId}, bundle is from ${bundle.chainId}`);
+    return done();
+  }
+  const blockNumber = Number(bundle.block.number);
+  const block = await web3.eth.getBlock(blockNumber);
+  if (!block) {
+    mismatch("chain", "block", `block ${blockNumber} not found`);
+    return done();
+  }
+  if (block.hash.toLowerCase() !== bundle.block.hash.toLowerCase()) {
+    mismatch("chain", "block", `block ${blockNumber} is ${block.hash} on this node, bundle has ${bundle.block.hash}`);
+  }
+
+  const policyAddress = bundle.policy.address;
+  const AutomatedInsuranceContract = artifacts.require("AutomatedInsuranceContract");
+  const AutomatedInsuranceProvider = artifacts.require("AutomatedInsuranceProvider");
+  const policy = new web3.eth.Contract(AutomatedInsuranceContract.abi, policyAddress);
+
+  // Policy parameters at the snapshot block
+  for (const [name, expected] of Object.entries(bundle.policy.parameters)) {
+    checked.parameters++;
+    if (!policy.methods[name]) {
+      mismatch("parameters", name, "no such getter on the policy contract");
+      continue;
+    }
+    try {
+      const actual = await policy.methods[name]().call({}, blockNumber);
+      if (!sameValue(actual, expected)) {
+        mismatch("parameters", name, `bundle has ${show(expected)}, chain has ${show(actual)}`);
+      }
+    } catch (error) {
+      warn("parameters", name, `could not read at block ${blockNumber} (archive node needed?): ${error.message}`);
+    }
+  }
+
+  // Event logs: the bundle must hold exactly the policy's logs and the provider's logs
+  // indexed by the policy, each byte for byte, over fromBlock..block
+  const fromBlock = Number(bundle.fromBlock);
+  const onChain = [
+    ...(await getPastLogsInChunks(web3, { address: policyAddress }, fromBlock, blockNumber)),
+    ...(await getPastLogsInChunks(web3, {
+      address: bundle.contracts.provider,
+      topics: [null, web3.utils.padLeft(policyAddress.toLowerCase(), 64)]
+    }, fromBlock, blockNumber))
+  ];
+  const chainLogs = new Map(onChain.map((log) => [logKey(log), log]));
+  const bundled = new Set(bundle.events.map(logKey));
+  for (const log of onChain) {
+    if (!bundled.has(logKey(log))) {
+      mismatch("events", logKey(log), `log at block ${log.blockNumber} is missing from the bundle`);
+    }
+  }
+
+  const decoders = new Map([
+    [policyAddress.toLowerCase(), eventsByTopic(web3, AutomatedInsuranceContract.abi)],
+    [bundle.contracts.provider.toLowerCase(), eventsByTopic(web3, AutomatedInsuranceProvider.abi)]
+  ]);
+  for (const event of bundle.events) {
+    checked.events++;
+    const key = logKey(event);
+    const log = chainLogs.get(key);
+    if (!log) {
+      mismatch("events", key, `${event.event || "log"} not found on chain`);
+      continue;
+    }
+    if (!sameValue(log.address, event.address) || !sameValue(log.topics, event.topics)
+      || !sameValue(log.data, event.data) || Number(log.blockNumber) !== Number(event.blockNumber)) {
+      mismatch("events", key, `${event.event || "log"} differs from the chain's log`);
+      continue;
+    }
+    if (!event.event) continue;
+    const decoded = decodeLog(web3, decoders.get(log.address.toLowerCase()), log);
+    if (!decoded || decoded.event !== event.event) {
+      mismatch("events", key, `bundle calls it ${event.event}, chain log is ${decoded ? decoded.event : "unknown"}`);
+      continue;
+    }
+    for (const [name, value] of Object.entries(event.args || {})) {
+      if (!sameValue(decoded.args[name], value)) {
+        mismatch("events", key, `${event.event}.${name}: bundle has ${show(value)}, log has ${show(decoded.args[name])}`);
+      }
+    }
+  }
+
+  // Attestations, read at the latest block: only revocation can change after the snapshot
+  if (bundle.attestations.length > 0) {
+    const eas = new web3.eth.Contract(EAS_ABI, bundle.contracts.eas);
+    const registry = new web3.eth.Contract(SCHEMA_REGISTRY_ABI, await eas.methods.getSchemaRegistry().call());
+    const schemas = new Map();
+
+    for (const attestation of bundle.attestations) {
+      checked.attestations++;
+      const uid = attestation.uid;
+      const actual = await eas.methods.getAttestation(uid).call();
+      if (/^0x0+$/.test(actual.uid)) {
+        mismatch("attestations", uid, "not found on EAS");
+        continue;
+      }
+      for (const field of ["schema", "attester", "recipient", "time", "refUID", "data"]) {
+        if (!sameValue(actual[field], attestation[field])) {
+          mismatch("attestations", uid, `${field}: bundle has ${show(attestation[field])}, EAS has ${show(actual[field])}`);
+        }
+      }
+      if (!sameValue(actual.revocationTime, attestation.revocationTime)) {
+        const revokedLater = String(attestation.revocationTime) === "0"
+          && Number(actual.revocationTime) > Number(bundle.block.timestamp);
+        (revokedLater ? warn : mismatch)("attestations", uid, revokedLater
+          ? `revoked at ${actual.revocationTime}, after the bundle was made`
+          : `revocationTime: bundle has ${attestation.revocationTime}, EAS has ${actual.revocationTime}`);
+      }
+
+      if (!attestation.decoded) continue;
+      if (!schemas.has(actual.schema)) {
+        const record = await registry.methods.getSchema(actual.schema).call();
+        schemas.set(actual.schema, parseSchema(record.schema));
+      }
+      const fields = schemas.get(actual.schema);
+      let values;
+      try {
+        values = web3.eth.abi.decodeParameters(fields.map((f) => f.type), actual.data);
+      } catch (error) {
+        mismatch("attestations", uid, `data does not decode with its registered schema: ${error.message}`);
+        continue;
+      }
+      fields.forEach((field, i) => {
+        if (!(field.name in attestation.decoded)) return;
+        if (!sameValue(values[i], attestation.decoded[field.name])) {
+          mismatch("attestations", uid,
+            `${field.name}: bundle has ${show(attestation.decoded[field.name])}, data decodes to ${show(values[i])}`);
+        }
+      });
+    }
+  }
+
+  // Payouts: the policy's PayoutMade log and, for ERC20 cover, the token transfer to the client
+  const payoutEvent = [...decoders.get(policyAddress.toLowerCase()).entries()]
+    .find(([, item]) => item.name === "PayoutMade");
+  for (const payout of bundle.payouts) {
+    checked.payouts++;
+    const item = `${payout.transactionHash}:${payout.eventLogIndex}`;
+    const receipt = await web3.eth.getTransactionReceipt(payout.transactionHash);
+    if (!receipt || !receipt.status) {
+      mismatch("payouts", item, "transaction not found or reverted");
+      continue;
+    }
+    if (Number(receipt.blockNumber) !== Number(payout.blockNumber)) {
+      mismatch("payouts", item, `mined in block ${receipt.blockNumber}, bundle says ${payout.blockNumber}`);
+    }
+    if (!sameValue(payout.to, bundle.policy.parameters.client)) {
+      mismatch("payouts", item, `paid to ${payout.to}, the policy's client is ${bundle.policy.parameters.client}`);
+    }
+
+    const made = receipt.logs.find((log) => Number(log.logIndex) === Number(payout.eventLogIndex));
+    if (!made || !sameValue(made.address, policyAddress) || !payoutEvent || !sameValue(made.topics[0], payoutEvent[0])) {
+      mismatch("payouts", item, "no PayoutMade log from the policy at that index");
+      continue;
+    }
+    const args = web3.eth.abi.decodeLog(payoutEvent[1].inputs, made.data, made.topics.slice(1));
+    if (!sameValue(args.amount, payout.amount) || !sameValue(args.payoutBps, payout.payoutBps)) {
+      mismatch("payouts", item, `PayoutMade has ${args.amount} at ${args.payoutBps} bps, bundle has ${payout.amount} at ${payout.payoutBps}`);
+    }
+
+    if (sameValue(payout.token, ZERO_ADDRESS)) continue;
+    const transfer = payout.transferLogIndex === null
+      ? null
+      : receipt.logs.find((log) => Number(log.logIndex) === Number(payout.transferLogIndex));
+    const padded = (address) => web3.utils.padLeft(address.toLowerCase(), 64);
+    if (!transfer || !sameValue(transfer.address, payout.token) || !sameValue(transfer.topics[0], TRANSFER_TOPIC)
+      || !sameValue(transfer.topics[1], padded(policyAddress)) || !sameValue(transfer.topics[2], padded(payout.to))
+      || !sameValue(web3.utils.hexToNumberString(transfer.data), payout.amount)) {
+      mismatch("payouts", item, `no ${payout.amount} token transfer from the policy to ${payout.to} in the transaction`);
+    }
+  }
+
+  return done();
+}
+
+module.exports = {
+  canonicalJson,
+  bundleDigest,
+  verifyEvidenceBundle,
+  FORMAT
+};
@@ -0,0 +1,168 @@
+/**
+ * LINK Budget
+ *
+ * Projects how much LINK each policy still needs for its daily oracle
+ * requests and plans batched top-ups from the provider's LINK balance.
+ *
+ * newContract funds a policy with ((duration / DAY) + 2) * ORACLE_PAYMENT * 2,
+ * and every weather check spends one ORACLE_PAYMENT on the aggregated request.
+ * A policy that runs out makes performAutomatedWeatherCheck revert, which
+ * performUpkeep swallows, so the policy silently stops being monitored.
+ */
+
+const DAY_IN_SECONDS = 86400n;
+// AutomatedInsuranceProvider.ORACLE_PAYMENT (0.1 LINK)
+const ORACLE_PAYMENT = 10n ** 17n;
+const MAX_CONTRACTS_PER_BATCH = 10;
+const PAGE_SIZE = 50;
+
+const ERC20_BALANCE_ABI = [
+  {
+    inputs: [{ internalType: "address", name: "account", type: "address" }],
+    name: "balanceOf",
+    outputs: [{ internalType: "uint256", name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function"
+  }
+];
+
+const big = (value) => BigInt(value.toString());
+
+/**
+ * @param {object} policy - on-chain state, numbers as BigInt (or anything BigInt() accepts)
+ * @param {bigint} policy.balance - LINK held by the policy
+ * @param {boolean} policy.contractActive
+ * @param {boolean} policy.contractPaid
+ * @param {boolean} policy.premiumPaid
+ * @param {bigint} policy.activatedAt
+ * @param {bigint} policy.duration
+ * @param {bigint} policy.lastWeatherCheck
+ * @param {bigint} now - chain timestamp
+ * @returns {object} { status: "ok"|"short"|"dry"|"closed", remainingChecks, required, shortfall, runsDryAt, endsAt }
+ */
+function projectLinkBudget(policy, now, payment = ORACLE_PAYMENT) {
+  const balance = big(policy.balance);
+  const duration = big(policy.duration);
+
+  if (policy.contractPaid || (policy.premiumPaid && !policy.contractActive)) {
+    return { status: "closed", remainingChecks: 0, required: 0n, shortfall: 0n, runsDryAt: null, endsAt: null };
+  }
+
+  // Checks run once a day from activation until activatedAt + duration (startDate + duration)
+  let remaining;
+  let endsAt = null;
+  let lastCheck = null;
+  if (!policy.premiumPaid) {
+    remaining = duration / DAY_IN_SECONDS;
+  } else {
+    endsAt = big(policy.activatedAt) + duration;
+    lastCheck = big(policy.lastWeatherCheck);
+    remaining = endsAt > lastCheck && big(now) <= endsAt ? (endsAt - lastCheck) / DAY_IN_SECONDS : 0n;
+  }
+
+  const required = remaining * payment;
+  const affordable = balance / payment;
+  const shortfall = required > balance ? required - balance : 0n;
+  const runsDryAt = lastCheck !== null && affordable < remaining ? lastCheck + (affordable + 1n) * DAY_IN_SECONDS : null;
+
+  let status = "ok";
+  if (remaining > 0n && affordable === 0n) status = "dry";
+  else if (shortfall > 0n) status = "short";
+
+  return { status, remainingChecks: Number(remaining), required, shortfall, runsDryAt, endsAt };
+}
+
+/**
+ * Reads every policy in the provider's active list with its LINK projection.
+ *
+ * @param {object} options
+ * @param {object} options.web3
+ * @param {object} options.artifacts - truffle artifacts resolver
+ * @param {object} options.provider - truffle AutomatedInsuranceProvider instance
+ * @returns {Promise<object>} { now, link, providerBalance, policies, totals }
+ */
+async function readLinkBudget({ web3, artifacts, provider }) {
+  const AutomatedInsuranceContract = artifacts.require("AutomatedInsuranceContract");
+  const link = await provider.linkToken();
+  const token = new web3.eth.Contract(ERC20_BALANCE_ABI, link);
+  const balanceOf = async (address) => big(await token.methods.balanceOf(address).call());
+
+  const count = Number(await provider.getActiveContractsCount());
+  const addresses = [];
+  for (let start = 0; start < count; start += PAGE_SIZE) {
+    addresses.push(...(await provider.getActiveContracts(start, PAGE_SIZE)));
+  }
+
+  const now = big((await web3.eth.getBlock("latest")).timestamp);
+  const policies = [];
+  for (const address of addresses) {
+    const insurance = await AutomatedInsuranceContract.at(address);
+    const [balance, contractActive, contractPaid, premiumPaid, activatedAt, duration, lastWeatherCheck, location] =
+      await Promise.all([
+        balanceOf(address),
+        insurance.contractActive(),
+        insurance.contractPaid(),
+        insurance.premiumPaid(),
+        insurance.activatedAt(),
+        insurance.duration(),
+        insurance.lastWeatherCheck(),
+        insurance.cropLocation()
+      ]);
+    const state = { balance, contractActive, contractPaid, premiumPaid, activatedAt, duration, lastWeatherCheck };
+    policies.push({ address, location, balance, ...projectLinkBudget(state, now) });
+  }
+
+  const totals = { required: 0n, held: 0n, shortfall: 0n, short: 0, dry: 0 };
+  for (const policy of policies) {
+    totals.required += policy.required;
+    totals.held += policy.balance;
+    totals.shortfall += policy.shortfall;
+    if (policy.status === "short") totals.short += 1;
+    if (policy.status === "dry") totals.dry += 1;
+  }
+
+  return { now, link, providerBalance: await balanceOf(provider.address), policies, totals };
+}
+
+/**
+ * Plans topUpLink calls for every policy with a shortfall, adding
+ * `bufferChecks` extra oracle payments of headroom to each.
+ *
+ * @returns {object} { batches: [{ contracts, amounts }], total, affordable }
+ */
+function planTopUps(policies, { providerBalance, bufferChecks = 1, batchSize = MAX_CONTRACTS_PER_BATCH, payment = ORACLE_PAYMENT } = {}) {
+  const items = policies
+    .filter((policy) => policy.shortfall > 0n)
+    .map((policy) => ({ address: policy.address, amount: policy.shortfall + BigInt(bufferChecks) * payment }));
+
+  const batches = [];
+  for (let i = 0; i < items.length; i += batchSize) {
+    const batch = items.slice(i, i + batchSize);
+    batches.push({ contracts: batch.map((item) => item.address), amounts: batch.map((item) => item.amount) });
+  }
+
+  const total = items.reduce((sum, item) => sum + item.amount, 0n);
+  return { batches, total, affordable: providerBalance === undefined || big(providerBalance) >= total };
+}
+
+/**
+ * Sends the planned batches through provider.topUpLink.
+ * @returns {Promise<string[]>} transaction hashes
+ */
+async function executeTopUps(provider, plan, from) {
+  const hashes = [];
+  for (const batch of plan.batches) {
+    const tx = await provider.topUpLink(batch.contracts, batch.amounts.map(String), { from });
+    hashes.push(tx.tx);
+  }
+  return hashes;
+}
+
+module.exports = {
+  projectLinkBudget,
+  readLinkBudget,
+  planTopUps,
+  executeTopUps,
+  ORACLE_PAYMENT,
+  DAY_IN_SECONDS
+};
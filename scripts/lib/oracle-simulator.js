@@ -0,0 +1,170 @@
+/**
+ * Oracle Simulator
+ *
+ * Stands in for a Chainlink node on a local chain. Watches a MockOperator for
+ * OracleRequest events and answers each one with the next scripted rainfall
+ * day for the requesting policy's location.
+ *
+ * Tests call fulfillPending() after each weather check so results are
+ * deterministic; long-running scripts use start()/stop() to poll.
+ */
+
+const { loadRainfallSeries, normalizeLocation } = require("./rainfall-series");
+
+// checkAggregatedRainfallCallback(bytes32,uint256[])
+const AGGREGATED_CALLBACK = "0x75062b97";
+// checkRainfallCallBack(bytes32,uint256)
+const LEGACY_CALLBACK = "0xb1b91f7a";
+// AutomatedInsuranceContract.NO_READING (type(uint256).max)
+const NO_READING = "115792089237316195423570985008687907853269984665640564039457584007913129639935";
+
+const CROP_LOCATION_ABI = [
+  {
+    inputs: [],
+    name: "cropLocation",
+    outputs: [{ internalType: "string", name: "", type: "string" }],
+    stateMutability: "view",
+    type: "function"
+  }
+];
+
+/**
+ * @param {object} options
+ * @param {object} options.web3 - web3 instance connected to the local chain
+ * @param {object} options.operator - truffle MockOperator instance
+ * @param {Map|object|string} options.series - rainfall series or a path to one
+ * @param {string} options.from - authorized node account that sends fulfillments
+ * @param {number} [options.fromBlock] - first block to scan for requests
+ * @param {number} [options.sources] - readings per day when a day is a single number; a null
+ *   reading is answered as NO_READING, the contract's marker for a source that failed
+ * @param {function} [options.dayFor] - maps a requester to the 0-based series day to answer
+ *   with; by default each requester walks its location's series one day per request
+ */
+function createOracleSimulator({ web3, operator, series, from, fromBlock = 0, sources = 3, dayFor }) {
+  const rainfall = loadRainfallSeries(series);
+  const cursors = new Map(); // requester => days consumed
+  const locations = new Map(); // requester => normalized location
+  const handled = new Set();
+  const fulfillments = [];
+  let nextBlock = fromBlock;
+  let timer = null;
+  let busy = false;
+
+  async function locationOf(requester) {
+    if (!locations.has(requester)) {
+      const contract = new web3.eth.Contract(CROP_LOCATION_ABI, requester);
+      locations.set(requester, normalizeLocation(await contract.methods.cropLocation().call()));
+    }
+    return locations.get(requester);
+  }
+
+  function nextDay(requester, location) {
+    const days = rainfall.get(location) || rainfall.get("*");
+    const day = dayFor ? dayFor(requester) : cursors.get(requester) || 0;
+    if (!days || day >= days.length) {
+      throw new Error(`No rainfall scripted for "${location}" day ${day + 1} (requester ${requester})`);
+    }
+    return { day: day + 1, readings: days[day] };
+  }
+
+  function encodeResponse(requestId, callbackFunctionId, readings) {
+    switch (callbackFunctionId.toLowerCase()) {
+      case AGGREGATED_CALLBACK: {
+        const values = readings.length === 1 ? Array(sources).fill(readings[0]) : readings;
+        const encoded = values.map((value) => (value === null ? NO_READING : String(value)));
+        return web3.eth.abi.encodeParameters(["bytes32", "uint256[]"], [requestId, encoded]);
+      }
+      case LEGACY_CALLBACK:
+        // The legacy path sends one request per source, so each answer takes a single reading
+        return web3.eth.abi.encodeParameters(["bytes32", "uint256"], [requestId, String(readings[0] ?? NO_READING)]);
+      default:
+        throw new Error(`Unsupported callback ${callbackFunctionId}`);
+    }
+  }
+
+  async function fulfill(request) {
+    const { requestId, requester, payment, callbackAddr, callbackFunctionId, cancelExpiration } = request.args;
+    const location = await locationOf(requester);
+    const { day, readings } = nextDay(requester, location);
+    const data = encodeResponse(requestId, callbackFunctionId, readings);
+    const params = [requestId, payment, callbackAddr, callbackFunctionId, cancelExpiration, data, { from }];
+
+    // The operator swallows callback reverts, so surface them before sending
+    const success = await operator.fulfillOracleRequest2.call(...params);
+    if (!success) {
+      throw new Error(`Callback reverted for request ${requestId} (${location} day ${day})`);
+    }
+    const tx = await operator.fulfillOracleRequest2(...params);
+    cursors.set(requester, (cursors.get(requester) || 0) + 1);
+
+    const fulfillment = { requestId, requester, location, day, readings, transactionHash: tx.tx };
+    fulfillments.push(fulfillment);
+    return fulfillment;
+  }
+
+  /**
+   * Answer every OracleRequest emitted since the last call, in chain order
+   * @returns {Promise<object[]>} fulfillments made by this call
+   */
+  async function fulfillPending() {
+    const latest = await web3.eth.getBlockNumber();
+    if (latest < nextBlock) return [];
+
+    const events = await operator.getPastEvents("OracleRequest", { fromBlock: nextBlock, toBlock: latest });
+    const made = [];
+    for (const event of events) {
+      if (handled.has(event.args.requestId)) continue;
+      try {
+        made.push(await fulfill(event));
+      } catch (error) {
+        // Resume from this request next time
+        nextBlock = event.blockNumber;
+        throw error;
+      }
+      handled.add(event.args.requestId);
+    }
+    nextBlock = latest + 1;
+    return made;
+  }
+
+  /**
+   * Poll for requests until stop() is called
+   */
+  function start(intervalMs = 1000, onError = console.error) {
+    if (timer) return;
+    timer = setInterval(async () => {
+      if (busy) return;
+      busy = true;
+      try {
+        for (const f of await fulfillPending()) {
+          const readings = f.readings.map((reading) => (reading === null ? "failed" : reading));
+          console.log(`🌧️  ${f.location} day ${f.day}: [${readings.join(", ")}] mm -> ${f.requester}`);
+        }
+      } catch (error) {
+        onError(error);
+      } finally {
+        busy = false;
+      }
+    }, intervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    fulfillPending,
+    start,
+    stop,
+    fulfillments,
+    daysConsumed: (requester) => cursors.get(requester) || 0
+  };
+}
+
+module.exports = {
+  createOracleSimulator,
+  AGGREGATED_CALLBACK,
+  LEGACY_CALLBACK,
+  NO_READING
+};
@@ -0,0 +1,140 @@
+/**
+ * Rainfall Series Loader
+ *
+ * Loads scripted daily rainfall per location for the oracle simulator.
+ *
+ * JSON: { "London,UK": [12, 0, [3, 5]] }
+ *   - a number is reported by every weather source
+ *   - an array lists one reading per source; null marks a source that failed
+ *
+ * CSV: location,day,rainfall[,rainfall2...]
+ *   - quote locations that contain commas ("London,UK")
+ *   - rows are ordered by day within each location
+ *   - "-" marks a source that failed
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+function normalizeLocation(location) {
+  return String(location).trim().toLowerCase();
+}
+
+function toReading(value, where) {
+  if (value === null || value === "-") return null;
+  const reading = Number(value);
+  if (!Number.isInteger(reading) || reading < 0) {
+    throw new Error(`Invalid rainfall reading "${value}" at ${where}`);
+  }
+  return reading;
+}
+
+function toDay(entry, where) {
+  const readings = Array.isArray(entry) ? entry : [entry];
+  if (readings.length === 0) {
+    throw new Error(`Empty rainfall entry at ${where}`);
+  }
+  return readings.map((value) => toReading(value, where));
+}
+
+function parseJsonSeries(data) {
+  const series = new Map();
+  for (const [location, days] of Object.entries(data)) {
+    if (!Array.isArray(days)) {
+      throw new Error(`Rainfall series for "${location}" must be an array`);
+    }
+    series.set(
+      normalizeLocation(location),
+      days.map((entry, i) => toDay(entry, `${location} day ${i + 1}`))
+    );
+  }
+  return series;
+}
+
+// Splits one CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map((f) => f.trim());
+}
+
+function parseCsvSeries(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "" && !line.startsWith("#"));
+  const [header, ...rows] = lines.map(splitCsvLine);
+  if (!header || header[0] !== "location" || header[1] !== "day" || !header[2]) {
+    throw new Error("CSV header must be: location,day,rainfall[,rainfall2...]");
+  }
+
+  const byLocation = new Map();
+  rows.forEach((row, i) => {
+    const where = `line ${i + 2}`;
+    const [location, day, ...values] = row;
+    const dayNumber = Number(day);
+    if (!location || !Number.isInteger(dayNumber) || dayNumber < 1) {
+      throw new Error(`Invalid location/day at ${where}`);
+    }
+    const key = normalizeLocation(location);
+    if (!byLocation.has(key)) byLocation.set(key, []);
+    byLocation.get(key).push({ day: dayNumber, readings: toDay(values.filter((v) => v !== ""), where) });
+  });
+
+  const series = new Map();
+  for (const [location, rows] of byLocation) {
+    rows.sort((a, b) => a.day - b.day);
+    rows.forEach((row, i) => {
+      if (row.day !== i + 1) {
+        throw new Error(`Rainfall series for "${location}" is missing day ${i + 1}`);
+      }
+    });
+    series.set(location, rows.map((row) => row.readings));
+  }
+  return series;
+}
+
+/**
+ * Accepts a Map, a plain { location: days } object or a path to a .json/.csv file
+ * and returns Map<normalized location, number[][]>
+ */
+function loadRainfallSeries(source) {
+  if (source instanceof Map) return source;
+  if (typeof source === "object" && source !== null) return parseJsonSeries(source);
+
+  const text = fs.readFileSync(source, "utf8");
+  switch (path.extname(source).toLowerCase()) {
+    case ".json":
+      return parseJsonSeries(JSON.parse(text));
+    case ".csv":
+      return parseCsvSeries(text);
+    default:
+      throw new Error(`Unsupported rainfall series format: ${source}`);
+  }
+}
+
+module.exports = {
+  loadRainfallSeries,
+  parseJsonSeries,
+  parseCsvSeries,
+  normalizeLocation
+};
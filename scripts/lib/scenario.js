@@ -0,0 +1,143 @@
+/**
+ * Season Scenario Loader
+ *
+ * Reads and validates a YAML or JSON season scenario for replay-season.js.
+ *
+ * name: Sindh drought 2019
+ * days: 14                      # season length; one weather check per day
+ * ethUsdPrice: 2000             # mock ETH/USD feed, in USD
+ * automation: upkeep            # upkeep (performUpkeep) or manual (manualWeatherUpdate)
+ * tokens:
+ *   - { symbol: USDC, decimals: 6, usdPrice: 1 }
+ * clients:
+ *   farmerA: 1                  # alias -> index into the node's accounts
+ * policies:
+ *   - { id: p1, client: farmerA, location: "Lahore,PK", durationDays: 7,
+ *       premiumUSD: 100, payoutUSD: 1000, token: ETH, startDay: 0 }
+ * rainfall:                     # per location, one entry per season day ...
+ *   "Lahore,PK": [4, 0, [0, 1], 0]
+ * rainfallFile: ../rainfall.csv # ... or a series file, relative to the scenario
+ * timeJumps:
+ *   - { day: 5, days: 2 }       # skip 2 extra days before day 5 without checks
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { loadRainfallSeries } = require("./rainfall-series");
+
+const AUTOMATION_MODES = ["upkeep", "manual"];
+
+function fail(message) {
+  throw new Error(`Invalid scenario: ${message}`);
+}
+
+function positiveNumber(value, field) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) fail(`${field} must be a positive number`);
+  return number;
+}
+
+function dayIndex(value, field, days) {
+  const day = Number(value);
+  if (!Number.isInteger(day) || day < 0 || day >= days) fail(`${field} must be a day between 0 and ${days - 1}`);
+  return day;
+}
+
+function validateScenario(raw, baseDir = process.cwd()) {
+  if (!raw || typeof raw !== "object") fail("expected an object");
+
+  const days = Number(raw.days);
+  if (!Number.isInteger(days) || days < 1) fail("days must be a positive integer");
+
+  const automation = raw.automation || "upkeep";
+  if (!AUTOMATION_MODES.includes(automation)) fail(`automation must be one of ${AUTOMATION_MODES.join(", ")}`);
+
+  const tokens = (raw.tokens || []).map((token, i) => {
+    if (!token.symbol || token.symbol.toUpperCase() === "ETH") fail(`tokens[${i}].symbol must be set and not ETH`);
+    const decimals = Number(token.decimals ?? 18);
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) fail(`tokens[${i}].decimals is invalid`);
+    return { symbol: token.symbol, decimals, usdPrice: positiveNumber(token.usdPrice ?? 1, `tokens[${i}].usdPrice`) };
+  });
+  const symbols = new Set(["ETH", ...tokens.map((t) => t.symbol)]);
+
+  const clients = raw.clients || {};
+  for (const [alias, index] of Object.entries(clients)) {
+    if (!Number.isInteger(index) || index < 1) fail(`clients.${alias} must be an account index >= 1 (0 is the insurer)`);
+  }
+
+  if (!Array.isArray(raw.policies) || raw.policies.length === 0) fail("policies must be a non-empty list");
+  const ids = new Set();
+  const policies = raw.policies.map((policy, i) => {
+    const where = `policies[${i}]`;
+    const id = String(policy.id ?? `policy-${i + 1}`);
+    if (ids.has(id)) fail(`${where}.id "${id}" is duplicated`);
+    ids.add(id);
+    if (!(policy.client in clients)) fail(`${where}.client "${policy.client}" is not listed in clients`);
+    if (!policy.location) fail(`${where}.location is required`);
+    const token = policy.token || "ETH";
+    if (!symbols.has(token)) fail(`${where}.token "${token}" is not ETH or a scenario token`);
+    const premiumUSD = positiveNumber(policy.premiumUSD, `${where}.premiumUSD`);
+    const payoutUSD = positiveNumber(policy.payoutUSD, `${where}.payoutUSD`);
+    if (payoutUSD <= premiumUSD) fail(`${where}.payoutUSD must exceed premiumUSD`);
+    const durationDays = Number(policy.durationDays);
+    if (!Number.isInteger(durationDays) || durationDays < 1) fail(`${where}.durationDays must be a positive integer`);
+
+    return {
+      id,
+      client: policy.client,
+      location: policy.location,
+      token,
+      premiumUSD,
+      payoutUSD,
+      durationDays,
+      startDay: dayIndex(policy.startDay ?? 0, `${where}.startDay`, days),
+      payPremium: policy.payPremium !== false
+    };
+  });
+
+  if (!raw.rainfall === !raw.rainfallFile) fail("set exactly one of rainfall or rainfallFile");
+  const rainfall = raw.rainfall
+    ? loadRainfallSeries(raw.rainfall)
+    : loadRainfallSeries(path.resolve(baseDir, raw.rainfallFile));
+
+  const timeJumps = (raw.timeJumps || []).map((jump, i) => {
+    const extraDays = Number(jump.days);
+    if (!Number.isInteger(extraDays) || extraDays < 1) fail(`timeJumps[${i}].days must be a positive integer`);
+    return { day: dayIndex(jump.day, `timeJumps[${i}].day`, days), days: extraDays };
+  });
+
+  return {
+    name: raw.name || "Unnamed scenario",
+    days,
+    ethUsdPrice: positiveNumber(raw.ethUsdPrice ?? 2000, "ethUsdPrice"),
+    automation,
+    tokens,
+    clients,
+    policies,
+    rainfall,
+    timeJumps
+  };
+}
+
+/**
+ * Load a .yaml/.yml/.json scenario file
+ */
+function loadScenario(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const ext = path.extname(file).toLowerCase();
+  let raw;
+  if (ext === ".json") {
+    raw = JSON.parse(text);
+  } else if (ext === ".yaml" || ext === ".yml") {
+    raw = yaml.safeLoad(text);
+  } else {
+    throw new Error(`Unsupported scenario format: ${file}`);
+  }
+  return validateScenario(raw, path.dirname(file));
+}
+
+module.exports = {
+  loadScenario,
+  validateScenario
+};
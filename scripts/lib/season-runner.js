@@ -0,0 +1,288 @@
+/**
+ * Season Runner
+ *
+ * Replays a validated scenario (see scenario.js) against a fresh local
+ * deployment: mock LINK, operator and price feeds, the PolicyWeather library,
+ * an AutomatedInsuranceProvider, the scenario's tokens and policies. Each
+ * season day advances the chain clock, runs the weather checks and answers
+ * them through the oracle simulator.
+ */
+
+const { createOracleSimulator } = require("./oracle-simulator");
+
+const DAY_IN_SECONDS = 86400;
+const MAX_CONTRACTS_PER_BATCH = 10;
+const USD_DECIMALS = 8;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const SECOND_ORACLE = "0x240Bae5a27233fD3Ac5440b5A598467725f7d1cD";
+
+function usd(web3, amount) {
+  return new web3.utils.BN(Math.round(amount * 10 ** 6)).mul(new web3.utils.BN(10 ** (USD_DECIMALS - 6)));
+}
+
+function rpc(web3, method, params = []) {
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send({ jsonrpc: "2.0", id: Date.now(), method, params }, (error, response) => {
+      if (error) reject(error);
+      else if (response.error) reject(new Error(response.error.message));
+      else resolve(response.result);
+    });
+  });
+}
+
+async function increaseTime(web3, seconds) {
+  await rpc(web3, "evm_increaseTime", [seconds]);
+  await rpc(web3, "evm_mine");
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.web3 - web3 connected to a local chain that supports evm_increaseTime
+ * @param {object} options.artifacts - truffle artifacts resolver
+ * @param {object} options.scenario - result of loadScenario/validateScenario
+ * @param {function} [options.log] - progress logger
+ * @returns {Promise<object>} season report
+ */
+async function runSeason({ web3, artifacts, scenario, log = () => {} }) {
+  const AutomatedInsuranceProvider = artifacts.require("AutomatedInsuranceProvider");
+  const AutomatedInsuranceContract = artifacts.require("AutomatedInsuranceContract");
+  const PolicyWeather = artifacts.require("PolicyWeather");
+  const MockERC20 = artifacts.require("MockERC20");
+  const MockLinkToken = artifacts.require("MockLinkToken");
+  const MockOperator = artifacts.require("MockOperator");
+  const MockV3Aggregator = artifacts.require("MockV3Aggregator");
+  const BN = web3.utils.BN;
+
+  const accounts = await web3.eth.getAccounts();
+  const [owner] = accounts;
+  const clientAddress = (alias) => {
+    const address = accounts[scenario.clients[alias]];
+    if (!address) throw new Error(`Client "${alias}" maps to missing account ${scenario.clients[alias]}`);
+    return address;
+  };
+
+  // Local stack
+  log("🏗️  Deploying local stack...");
+  const link = await MockLinkToken.new({ from: owner });
+  const operator = await MockOperator.new(link.address, { from: owner });
+  const ethPrice = usd(web3, scenario.ethUsdPrice);
+  const ethFeed = await MockV3Aggregator.new(USD_DECIMALS, ethPrice, { from: owner });
+  const jobId = web3.utils.padRight(web3.utils.asciiToHex("rainfall"), 64);
+  // Policies call into a linked PolicyWeather library, which the provider's policy bytecode references
+  const policyWeather = await PolicyWeather.new({ from: owner });
+  await AutomatedInsuranceProvider.link(policyWeather);
+  const provider = await AutomatedInsuranceProvider.new(
+    "scenario_world_weather_key",
+    "scenario_open_weather_key",
+    "scenario_weatherbit_key",
+    link.address,
+    ethFeed.address,
+    operator.address,
+    SECOND_ORACLE,
+    jobId,
+    jobId,
+    { from: owner }
+  );
+  await link.transfer(provider.address, web3.utils.toWei("10000", "ether"), { from: owner });
+  const linkFunded = new BN(await link.balanceOf(provider.address));
+
+  const feeds = [{ feed: ethFeed, price: ethPrice }];
+  const tokens = { ETH: { address: ZERO_ADDRESS } };
+  for (const token of scenario.tokens) {
+    const erc20 = await MockERC20.new(`Scenario ${token.symbol}`, token.symbol, token.decimals, { from: owner });
+    const price = usd(web3, token.usdPrice);
+    const feed = await MockV3Aggregator.new(USD_DECIMALS, price, { from: owner });
+    await provider.addSupportedToken(erc20.address, feed.address, { from: owner });
+    feeds.push({ feed, price });
+    tokens[token.symbol] = { address: erc20.address, contract: erc20 };
+  }
+
+  // Feeds go stale after MAX_STALENESS, so re-post prices after every clock jump
+  const refreshFeeds = () => Promise.all(feeds.map(({ feed, price }) => feed.updateAnswer(price, { from: owner })));
+
+  let currentDay = 0;
+  const simulator = createOracleSimulator({
+    web3,
+    operator,
+    series: scenario.rainfall,
+    from: owner,
+    fromBlock: await web3.eth.getBlockNumber(),
+    dayFor: () => currentDay
+  });
+
+  const policies = scenario.policies.map((policy) => ({ ...policy, address: null, insurance: null, paidOutDay: null, endedDay: null }));
+
+  async function createPolicy(policy) {
+    const client = clientAddress(policy.client);
+    const premium = usd(web3, policy.premiumUSD);
+    const payout = usd(web3, policy.payoutUSD);
+    const token = tokens[policy.token];
+
+    let value = "0";
+    if (policy.token === "ETH") {
+      value = payout.mul(new BN(web3.utils.toWei("1", "ether"))).div(ethPrice).toString();
+    } else {
+      const amount = await provider.getTokenAmountForUSD(token.address, payout);
+      await token.contract.mint(owner, amount, { from: owner });
+      await token.contract.approve(provider.address, amount, { from: owner });
+    }
+
+    const tx = await provider.newContract(
+      client,
+      policy.durationDays * DAY_IN_SECONDS,
+      premium,
+      payout,
+      policy.location,
+      token.address,
+      { from: owner, value }
+    );
+    policy.address = tx.logs.find(log => log.event === "ContractCreated").args.insuranceContract;
+    policy.insurance = await AutomatedInsuranceContract.at(policy.address);
+    log(`✅ Day ${currentDay}: created ${policy.id} (${policy.location}, ${policy.token}) at ${policy.address}`);
+
+    if (!policy.payPremium) return;
+    if (policy.token === "ETH") {
+      const premiumWei = premium.mul(new BN(web3.utils.toWei("1", "ether"))).div(ethPrice);
+      await provider.payPremium(policy.address, { from: client, value: premiumWei });
+    } else {
+      const amount = await provider.getTokenAmountForUSD(token.address, premium);
+      await token.contract.mint(client, amount, { from: owner });
+      await token.contract.approve(provider.address, amount, { from: client });
+      await provider.payPremium(policy.address, { from: client });
+    }
+    log(`💰 Day ${currentDay}: premium paid for ${policy.id}`);
+  }
+
+  async function activePolicies() {
+    const active = [];
+    for (const policy of policies) {
+      if (policy.insurance && (await policy.insurance.isActive())) active.push(policy);
+    }
+    return active;
+  }
+
+  // Upkeep only picks up contracts that need a check, and expired contracts never
+  // do, so anything left active past its term is settled with manualWeatherUpdate
+  async function runChecks() {
+    const stats = { upkeeps: 0, manualUpdates: 0 };
+    if (scenario.automation === "upkeep") {
+      const { upkeepNeeded, performData } = await provider.checkUpkeep("0x");
+      if (upkeepNeeded) {
+        await provider.performUpkeep(performData, { from: owner });
+        stats.upkeeps += 1;
+      }
+    }
+
+    const pending = [];
+    for (const policy of await activePolicies()) {
+      const expired = (await policy.insurance.activatedAt()).add(await policy.insurance.duration());
+      const now = new BN((await web3.eth.getBlock("latest")).timestamp);
+      if ((await policy.insurance.needsWeatherUpdate()) || expired.lt(now)) pending.push(policy.address);
+    }
+    for (const batch of chunk(pending, MAX_CONTRACTS_PER_BATCH)) {
+      await provider.manualWeatherUpdate(batch, { from: owner });
+      stats.manualUpdates += batch.length;
+    }
+    return stats;
+  }
+
+  async function recordOutcomes() {
+    for (const policy of policies) {
+      if (!policy.insurance || policy.paidOutDay !== null || policy.endedDay !== null) continue;
+      if (await policy.insurance.contractPaid()) {
+        policy.paidOutDay = currentDay;
+        log(`🌵 Day ${currentDay}: ${policy.id} PAID OUT`);
+      } else if ((await policy.insurance.premiumPaid()) && !(await policy.insurance.contractActive())) {
+        policy.endedDay = currentDay;
+        log(`🏁 Day ${currentDay}: ${policy.id} ended`);
+      }
+    }
+  }
+
+  const daily = [];
+  for (currentDay = 0; currentDay < scenario.days; currentDay++) {
+    for (const jump of scenario.timeJumps.filter(j => j.day === currentDay)) {
+      log(`⏩ Day ${currentDay}: skipping ${jump.days} day(s) without checks`);
+      await increaseTime(web3, jump.days * DAY_IN_SECONDS);
+    }
+    await refreshFeeds();
+
+    for (const policy of policies.filter(p => p.startDay === currentDay)) {
+      await createPolicy(policy);
+    }
+
+    await increaseTime(web3, DAY_IN_SECONDS + 1);
+    await refreshFeeds();
+    const stats = await runChecks();
+    const fulfilled = await simulator.fulfillPending();
+    await recordOutcomes();
+    daily.push({ day: currentDay, ...stats, fulfillments: fulfilled.length });
+  }
+
+  // Final report
+  const report = {
+    name: scenario.name,
+    days: scenario.days,
+    automation: scenario.automation,
+    provider: provider.address,
+    policies: [],
+    totals: { paidOut: 0, ended: 0, active: 0, unpaid: 0, payoutUSD: 0, premiumUSD: 0 },
+    link: {},
+    daily
+  };
+
+  for (const policy of policies) {
+    const insurance = policy.insurance;
+    let state = "NotCreated";
+    if (insurance) {
+      if (await insurance.contractPaid()) state = "PaidOut";
+      else if (!(await insurance.premiumPaid())) state = "Unpaid";
+      else if (await insurance.contractActive()) state = "Active";
+      else state = "Ended";
+    }
+    report.policies.push({
+      id: policy.id,
+      address: policy.address,
+      client: policy.client,
+      location: policy.location,
+      token: policy.token,
+      state,
+      premiumUSD: policy.premiumUSD,
+      payoutUSD: state === "PaidOut" ? policy.payoutUSD : 0,
+      paidOutDay: policy.paidOutDay,
+      endedDay: policy.endedDay,
+      oracleRequests: insurance ? (await insurance.getRequestCount()).toNumber() : 0,
+      daysWithoutRain: insurance ? (await insurance.getDaysWithoutRain()).toNumber() : 0,
+      linkHeld: insurance ? (await link.balanceOf(policy.address)).toString() : "0"
+    });
+
+    if (state === "PaidOut") report.totals.paidOut += 1;
+    if (state === "Ended") report.totals.ended += 1;
+    if (state === "Active") report.totals.active += 1;
+    if (state === "Unpaid") report.totals.unpaid += 1;
+    if (state !== "Unpaid" && state !== "NotCreated") report.totals.premiumUSD += policy.premiumUSD;
+    if (state === "PaidOut") report.totals.payoutUSD += policy.payoutUSD;
+  }
+
+  // LINK leaves the provider when a policy is funded and only the oracle payments are spent
+  const linkSpent = new BN(await link.balanceOf(operator.address));
+  const providerLink = new BN(await link.balanceOf(provider.address));
+  report.link = {
+    spent: linkSpent.toString(),
+    lockedInPolicies: linkFunded.sub(providerLink).sub(linkSpent).toString(),
+    requests: simulator.fulfillments.length
+  };
+
+  return report;
+}
+
+module.exports = {
+  runSeason,
+  DAY_IN_SECONDS
+};
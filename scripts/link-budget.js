@@ -0,0 +1,113 @@
+/**
+ * LINK Budget Monitor
+ *
+ * Reads the LINK balance of every policy in the provider's active list,
+ * projects the oracle requests each one still has to make before
+ * startDate + duration, and flags policies that will run dry.
+ *
+ * Usage:
+ *   npx truffle exec scripts/link-budget.js --network development [--top-up] [--buffer-checks N] [--json]
+ *
+ * --top-up sends batched provider.topUpLink transactions covering every
+ * shortfall plus --buffer-checks extra oracle payments (default 1).
+ * The provider comes from the deployment manifest or network registry (or
+ * PROVIDER_ADDRESS=<address>), falling back to the truffle deployment.
+ */
+
+const AutomatedInsuranceProvider = artifacts.require("AutomatedInsuranceProvider");
+const { networkFor, deployedContract } = require("../config/networks");
+const { readLinkBudget, planTopUps, executeTopUps } = require("./lib/link-budget");
+
+const STATUS_ICONS = { ok: "✅", short: "⚠️ ", dry: "🛑", closed: "🏁" };
+
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+function formatLink(amount) {
+  return `${web3.utils.fromWei(amount.toString(), "ether")} LINK`;
+}
+
+function formatTime(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString().replace(".000Z", "Z");
+}
+
+module.exports = async function(callback) {
+  try {
+    const asJson = process.argv.includes("--json");
+    const topUp = process.argv.includes("--top-up");
+    const bufferChecks = parseInt(argValue("--buffer-checks") || "1");
+    if (!Number.isInteger(bufferChecks) || bufferChecks < 0) {
+      throw new Error("--buffer-checks must be a non-negative integer");
+    }
+
+    const network = await networkFor(web3);
+    const provider = await deployedContract(AutomatedInsuranceProvider, web3);
+    const [owner] = await web3.eth.getAccounts();
+
+    const budget = await readLinkBudget({ web3, artifacts, provider });
+    const plan = planTopUps(budget.policies, { providerBalance: budget.providerBalance, bufferChecks });
+
+    if (asJson) {
+      console.log(JSON.stringify({ ...budget, plan }, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+      callback();
+      return;
+    }
+
+    console.log("🔗 LINK Budget Monitor\n");
+    console.log("📋 System Information:");
+    console.log(`Network: ${network.label} (${network.chainId})`);
+    console.log(`Provider Contract: ${provider.address}`);
+    console.log(`LINK Token: ${budget.link}`);
+    console.log(`Provider LINK: ${formatLink(budget.providerBalance)}`);
+    console.log(`Policies: ${budget.policies.length}\n`);
+
+    if (budget.policies.length === 0) {
+      console.log("⚠️  No active contracts to monitor.");
+      callback();
+      return;
+    }
+
+    budget.policies.forEach((policy, i) => {
+      console.log(`${i + 1}. ${STATUS_ICONS[policy.status]} ${policy.address} (${policy.location})`);
+      console.log(`   Balance: ${formatLink(policy.balance)}`);
+      if (policy.status === "closed") return;
+      console.log(`   Remaining checks: ${policy.remainingChecks} (${formatLink(policy.required)})`);
+      if (policy.endsAt !== null) console.log(`   Term ends: ${formatTime(policy.endsAt)}`);
+      if (policy.shortfall > 0n) console.log(`   Shortfall: ${formatLink(policy.shortfall)}`);
+      if (policy.runsDryAt !== null) console.log(`   Runs dry at check due ${formatTime(policy.runsDryAt)}`);
+    });
+
+    const { totals } = budget;
+    console.log("\n📈 Totals:");
+    console.log(`Held by policies: ${formatLink(totals.held)}`);
+    console.log(`Needed for remaining checks: ${formatLink(totals.required)}`);
+    console.log(`Shortfall: ${formatLink(totals.shortfall)} across ${totals.short + totals.dry} policies (${totals.dry} already dry)`);
+
+    if (plan.batches.length === 0) {
+      console.log("\n✅ Every policy can fund its remaining checks.");
+      callback();
+      return;
+    }
+
+    console.log(`\n💸 Top-up plan: ${formatLink(plan.total)} in ${plan.batches.length} batch(es), ${bufferChecks} buffer check(s) each`);
+    if (!plan.affordable) {
+      console.log(`❌ Provider holds ${formatLink(budget.providerBalance)}; transfer more LINK to ${provider.address} first.`);
+      callback();
+      return;
+    }
+    if (!topUp) {
+      console.log("Run again with --top-up to send it.");
+      callback();
+      return;
+    }
+
+    const hashes = await executeTopUps(provider, plan, owner);
+    hashes.forEach((hash, i) => console.log(`✅ Batch ${i + 1}: ${hash}`));
+    callback();
+  } catch (error) {
+    console.error("❌ Error checking LINK budget:", error);
+    callback(error);
+  }
+};
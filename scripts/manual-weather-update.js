@@ -3,16 +3,19 @@
  * 
  * Emergency override script for manually triggering weather updates
  * when automation is disabled or for testing purposes.
+ *
+ * To replay a whole scripted season on a local chain, use replay-season.js.
  */
 
 const AutomatedInsuranceProvider = artifacts.require("AutomatedInsuranceProvider");
 const AutomatedInsuranceContract = artifacts.require("AutomatedInsuranceContract");
+const { deployedContract } = require("../config/networks");
 
 module.exports = async function(callback) {
   try {
     console.log("🌦️  Manual Weather Update Tool\n");
 
-    const provider = await AutomatedInsuranceProvider.deployed();
+    const provider = await deployedContract(AutomatedInsuranceProvider, web3);
     const accounts = await web3.eth.getAccounts();
     const [owner] = accounts;
 
@@ -7,6 +7,7 @@
 
 const InsuranceProvider = artifacts.require('InsuranceProvider');
 const MockERC20 = artifacts.require('MockERC20');
+const { deployedContract } = require('../config/networks');
 
 module.exports = async function(callback) {
   try {
@@ -20,7 +21,7 @@ module.exports = async function(callback) {
     console.log(`   Client: ${client}\n`);
     
     // Get deployed InsuranceProvider contract
-    const provider = await InsuranceProvider.deployed();
+    const provider = await deployedContract(InsuranceProvider, web3);
     console.log(`📋 InsuranceProvider: ${provider.address}\n`);
     
     // === 1. Check Supported Tokens ===
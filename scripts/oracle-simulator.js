@@ -0,0 +1,67 @@
+/**
+ * Oracle Simulator Script
+ *
+ * Answers OracleRequest events from a local MockOperator with a scripted
+ * rainfall series, acting as the Chainlink node for local test networks.
+ *
+ * Usage:
+ *   RAINFALL_SERIES=scripts/data/drought-season.json \
+ *   ORACLE_OPERATOR=0x... \
+ *   npx truffle exec scripts/oracle-simulator.js --network development [--once]
+ *
+ * --once fulfills the pending requests and exits instead of polling.
+ */
+
+const path = require("path");
+const MockOperator = artifacts.require("MockOperator");
+const { createOracleSimulator } = require("./lib/oracle-simulator");
+
+const DEFAULT_SERIES = path.join(__dirname, "data", "drought-season.json");
+
+module.exports = async function(callback) {
+  try {
+    console.log("🛰️  Local Oracle Simulator\n");
+
+    const [node] = await web3.eth.getAccounts();
+    const operator = process.env.ORACLE_OPERATOR
+      ? await MockOperator.at(process.env.ORACLE_OPERATOR)
+      : await MockOperator.deployed();
+    const seriesPath = process.env.RAINFALL_SERIES || DEFAULT_SERIES;
+    const fromBlock = parseInt(process.env.FROM_BLOCK || "0");
+
+    const authorized = await operator.authorizedSenders(node);
+    if (!authorized) {
+      throw new Error(`Account ${node} is not an authorized sender on the operator`);
+    }
+
+    console.log("📋 Configuration:");
+    console.log(`Operator: ${operator.address}`);
+    console.log(`Node Account: ${node}`);
+    console.log(`Rainfall Series: ${seriesPath}`);
+    console.log(`From Block: ${fromBlock}\n`);
+
+    const simulator = createOracleSimulator({ web3, operator, series: seriesPath, from: node, fromBlock });
+
+    if (process.argv.includes("--once")) {
+      const made = await simulator.fulfillPending();
+      made.forEach((f) => {
+        console.log(`🌧️  ${f.location} day ${f.day}: [${f.readings.join(", ")}] mm -> ${f.requester}`);
+      });
+      console.log(`\n✅ Fulfilled ${made.length} request(s)`);
+      callback();
+      return;
+    }
+
+    console.log("👂 Listening for oracle requests (Ctrl+C to stop)...\n");
+    simulator.start(parseInt(process.env.POLL_INTERVAL_MS || "1000"));
+
+    process.on("SIGINT", () => {
+      simulator.stop();
+      console.log(`\n🛑 Stopped after ${simulator.fulfillments.length} fulfillment(s)`);
+      callback();
+    });
+  } catch (error) {
+    console.error("❌ Error running oracle simulator:", error);
+    callback(error);
+  }
+};
@@ -11,13 +11,14 @@
 
 const InsuranceProvider = artifacts.require("InsuranceProvider");
 const InsuranceContract = artifacts.require("InsuranceContract");
+const { deployedContract } = require("../config/networks");
 
 module.exports = async function(callback) {
   try {
     console.log("🚀 Premium Collection System Demo\n");
 
     // Get contract instance
-    const provider = await InsuranceProvider.deployed();
+    const provider = await deployedContract(InsuranceProvider, web3);
     const accounts = await web3.eth.getAccounts();
     const [owner, client] = accounts;
 
@@ -0,0 +1,91 @@
+/**
+ * Season Replay CLI
+ *
+ * Replays a YAML/JSON scenario on a local chain: deploys a fresh provider with
+ * mock LINK, operator and price feeds, creates the scenario's policies, pays
+ * premiums, advances time day by day, runs performUpkeep (or manual updates)
+ * and answers every oracle request from the scenario's rainfall series.
+ *
+ * Builds on the flows in setup-automation.js and manual-weather-update.js,
+ * but needs a chain that supports evm_increaseTime (Ganache, Anvil).
+ *
+ * Usage:
+ *   npx truffle exec scripts/replay-season.js --network development \
+ *     --scenario scripts/data/scenarios/sindh-drought.yaml [--json]
+ *
+ * SCENARIO=<path> can be used instead of --scenario. --json prints the report as JSON.
+ */
+
+const { loadScenario } = require("./lib/scenario");
+const { runSeason } = require("./lib/season-runner");
+
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+function formatLink(web3, amount) {
+  return `${web3.utils.fromWei(amount, "ether")} LINK`;
+}
+
+module.exports = async function(callback) {
+  try {
+    const scenarioPath = argValue("--scenario") || process.env.SCENARIO;
+    if (!scenarioPath) {
+      throw new Error("Pass a scenario with --scenario <file> or SCENARIO=<file>");
+    }
+    const asJson = process.argv.includes("--json");
+    const scenario = loadScenario(scenarioPath);
+
+    const log = asJson ? () => {} : console.log;
+    log("🌾 Season Replay\n");
+    log("📋 Scenario:");
+    log(`Name: ${scenario.name}`);
+    log(`Days: ${scenario.days}`);
+    log(`Automation: ${scenario.automation}`);
+    log(`Policies: ${scenario.policies.length}`);
+    log(`Locations: ${[...scenario.rainfall.keys()].join(", ")}\n`);
+
+    const report = await runSeason({ web3, artifacts, scenario, log });
+
+    if (asJson) {
+      console.log(JSON.stringify(report, null, 2));
+      callback();
+      return;
+    }
+
+    console.log("\n" + "=".repeat(60));
+    console.log("📊 SEASON REPORT");
+    console.log("=".repeat(60));
+
+    report.policies.forEach((policy, i) => {
+      const outcome = policy.state === "PaidOut"
+        ? `🌵 paid out $${policy.payoutUSD} on day ${policy.paidOutDay}`
+        : policy.state === "Ended"
+          ? `🏁 ended on day ${policy.endedDay}`
+          : `⏳ ${policy.state}`;
+      console.log(`${i + 1}. ${policy.id} (${policy.location}, ${policy.token})`);
+      console.log(`   ${outcome}`);
+      console.log(`   Oracle requests: ${policy.oracleRequests}, dry streak at end: ${policy.daysWithoutRain}`);
+    });
+
+    const { totals } = report;
+    console.log("\n📈 Totals:");
+    console.log(`Payouts: ${totals.paidOut} ($${totals.payoutUSD})`);
+    console.log(`Ended without payout: ${totals.ended}`);
+    console.log(`Still active: ${totals.active}`);
+    console.log(`Premiums never paid: ${totals.unpaid}`);
+    console.log(`Premiums collected: $${totals.premiumUSD}`);
+    console.log(`Loss ratio: ${totals.premiumUSD > 0 ? (totals.payoutUSD / totals.premiumUSD * 100).toFixed(1) : "0.0"}%`);
+
+    console.log("\n🔗 LINK:");
+    console.log(`Spent on oracle requests: ${formatLink(web3, report.link.spent)} (${report.link.requests} requests)`);
+    console.log(`Still locked in active policies: ${formatLink(web3, report.link.lockedInPolicies)}`);
+
+    console.log("\n✅ Season replay complete!");
+    callback();
+  } catch (error) {
+    console.error("❌ Error replaying season:", error);
+    callback(error);
+  }
+};
@@ -7,23 +7,27 @@
  * - Creating test contracts for automation
  * - Monitoring automation performance
  * - Emergency manual overrides
+ *
+ * To replay a whole scripted season on a local chain, use replay-season.js.
  */
 
 const AutomatedInsuranceProvider = artifacts.require("AutomatedInsuranceProvider");
 const AutomatedInsuranceContract = artifacts.require("AutomatedInsuranceContract");
+const { networkFor, deployedContract } = require("../config/networks");
 
 module.exports = async function(callback) {
   try {
     console.log("🔧 Chainlink Automation Setup & Testing Tool\n");
 
-    const provider = await AutomatedInsuranceProvider.deployed();
+    const provider = await deployedContract(AutomatedInsuranceProvider, web3);
     const accounts = await web3.eth.getAccounts();
     const [owner, client1, client2] = accounts;
 
     console.log("📋 System Information:");
     console.log(`Provider Contract: ${provider.address}`);
     console.log(`Owner: ${owner}`);
-    console.log(`Network: ${await web3.eth.net.getNetworkType()}`);
+    const network = await networkFor(web3);
+    console.log(`Network: ${network.label} (${network.chainId})`);
 
     // Check current automation status
     const automationEnabled = await provider.automationEnabled();
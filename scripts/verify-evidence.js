@@ -0,0 +1,68 @@
+/**
+ * Policy Evidence Verifier
+ *
+ * Checks a signed evidence bundle exported from the policy page against the
+ * chain: the signature over its digest, the policy parameters at the
+ * bundle's block, that its event logs are complete and unaltered, each
+ * attestation on EAS and every payout transfer. Exits with an error when
+ * anything differs.
+ *
+ * Usage:
+ *   npx truffle exec scripts/verify-evidence.js --network <network> --bundle <file> [--json]
+ *
+ * Bundles older than the node's state history need an archive node for the
+ * parameter reads; without one they are reported as warnings.
+ */
+
+const fs = require("fs");
+const { networkFor } = require("../config/networks");
+const { verifyEvidenceBundle } = require("./lib/evidence-bundle");
+
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+function printFindings(icon, findings) {
+  findings.forEach(({ section, item, detail }) => console.log(`${icon} [${section}] ${item}: ${detail}`));
+}
+
+module.exports = async function(callback) {
+  try {
+    const file = argValue("--bundle");
+    if (!file) throw new Error("--bundle <file> is required");
+    const envelope = JSON.parse(fs.readFileSync(file, "utf8"));
+
+    const report = await verifyEvidenceBundle({ web3, artifacts, envelope });
+
+    if (process.argv.includes("--json")) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      const network = await networkFor(web3);
+      const { bundle } = envelope;
+      const { checked } = report;
+      console.log("🧾 Policy Evidence Verifier\n");
+      console.log(`Network: ${network.label} (${network.chainId})`);
+      console.log(`Policy: ${bundle.policy.address}`);
+      console.log(`Snapshot: block ${bundle.block.number} (${bundle.generatedAt})`);
+      console.log(`Signer: ${envelope.signer}\n`);
+      console.log(`Checked ${checked.parameters} parameters, ${checked.events} events, ${checked.attestations} attestations, ${checked.payouts} payouts`);
+
+      if (report.warnings.length > 0) {
+        console.log(`\n⚠️  ${report.warnings.length} warning(s):`);
+        printFindings("⚠️ ", report.warnings);
+      }
+      if (report.ok) {
+        console.log("\n✅ Bundle matches the chain.");
+      } else {
+        console.log(`\n❌ ${report.mismatches.length} mismatch(es):`);
+        printFindings("❌", report.mismatches);
+      }
+    }
+
+    callback(report.ok ? undefined : new Error(`Evidence bundle has ${report.mismatches.length} mismatch(es)`));
+  } catch (error) {
+    console.error("❌ Error verifying evidence bundle:", error);
+    callback(error);
+  }
+};
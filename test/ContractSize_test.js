@@ -0,0 +1,22 @@
+const { expect } = require("chai");
+
+const AutomatedInsuranceContract = artifacts.require("AutomatedInsuranceContract");
+const PolicyWeather = artifacts.require("PolicyWeather");
+
+contract("Contract Size Tests", () => {
+  // EIP-170: the largest runtime bytecode a contract can deploy
+  const MAX_CODE_SIZE = 24576;
+
+  // Bytes of runtime code; unlinked library placeholders are as long as the address they stand for
+  function deployedSize(artifact) {
+    return artifact.deployedBytecode.length / 2 - 1;
+  }
+
+  it("should keep the policy contract within the EIP-170 size limit", () => {
+    expect(deployedSize(AutomatedInsuranceContract)).to.be.at.most(MAX_CODE_SIZE);
+  });
+
+  it("should keep the PolicyWeather library within the EIP-170 size limit", () => {
+    expect(deployedSize(PolicyWeather)).to.be.at.most(MAX_CODE_SIZE);
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { recordDeployment, loadManifest, redactApiKeys, abiHash, MANIFEST_SCHEMA_VERSION } = require("../config/deployments");
+const { resolveNetwork } = require("../config/networks");
+
+const MockLinkToken = artifacts.require("MockLinkToken");
+
+contract("Deployment Manifest Tests", () => {
+  const CHAIN_ID = 31337;
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Stands in for the provider artifact so the test doesn't need oracle config
+  function record(instance, overrides = {}) {
+    return recordDeployment({
+      web3,
+      network: resolveNetwork(CHAIN_ID, {}, dir),
+      artifact: { contractName: "AutomatedInsuranceProvider", abi: MockLinkToken.abi },
+      instance,
+      constructorArgs: redactApiKeys(["wwo-secret", "ow-secret", "wb-secret", "0xlink"]),
+      migration: "/repo/migrations/4_automated_system_migration.js",
+      dir,
+      ...overrides
+    });
+  }
+
+  it("should record address, block, deployer and redacted constructor args", async () => {
+    const token = await MockLinkToken.new();
+    const receipt = await web3.eth.getTransactionReceipt(token.transactionHash);
+    const manifest = await record(token);
+
+    expect(manifest.schemaVersion).to.equal(MANIFEST_SCHEMA_VERSION);
+    expect(manifest.revision).to.equal(1);
+    expect(manifest.network).to.equal("anvil");
+    const entry = manifest.contracts.AutomatedInsuranceProvider;
+    expect(entry.address).to.equal(token.address);
+    expect(entry.blockNumber).to.equal(Number(receipt.blockNumber));
+    expect(entry.deployer.toLowerCase()).to.equal(receipt.from.toLowerCase());
+    expect(entry.migration).to.equal("4_automated_system_migration.js");
+    expect(entry.abiHash).to.equal(abiHash(MockLinkToken.abi));
+    expect(entry.constructorArgs).to.deep.equal([
+      "env:WORLD_WEATHER_ONLINE_KEY",
+      "env:OPEN_WEATHER_KEY",
+      "env:WEATHERBIT_KEY",
+      "0xlink"
+    ]);
+    expect(JSON.stringify(manifest)).to.not.include("secret");
+  });
+
+  it("should bump the revision and keep the index in sync", async () => {
+    await record(await MockLinkToken.new());
+    const second = await MockLinkToken.new();
+    const manifest = await record(second);
+
+    expect(manifest.revision).to.equal(2);
+    const index = JSON.parse(fs.readFileSync(path.join(dir, "index.json"), "utf8"));
+    expect(index[CHAIN_ID].contracts.AutomatedInsuranceProvider.address).to.equal(second.address);
+  });
+
+  it("should resolve the provider from the manifest unless overridden", async () => {
+    const token = await MockLinkToken.new();
+    const manifest = await record(token);
+    const entry = manifest.contracts.AutomatedInsuranceProvider;
+
+    const network = resolveNetwork(CHAIN_ID, {}, dir);
+    expect(network.provider).to.equal(token.address);
+    expect(network.providerDeployBlock).to.equal(entry.blockNumber);
+
+    const stranger = "0x000000000000000000000000000000000000dEaD";
+    const overridden = resolveNetwork(CHAIN_ID, { PROVIDER_ADDRESS: stranger }, dir);
+    expect(overridden.provider).to.equal(stranger);
+    expect(overridden.providerDeployBlock).to.equal(0);
+  });
+
+  it("should reject manifests for another chain or schema version", async () => {
+    await record(await MockLinkToken.new());
+    const file = path.join(dir, "anvil.json");
+    const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+
+    fs.writeFileSync(file, JSON.stringify({ ...manifest, chainId: 1 }));
+    expect(() => loadManifest({ name: "anvil", chainId: CHAIN_ID }, dir)).to.throw("is for chain 1");
+
+    fs.writeFileSync(file, JSON.stringify({ ...manifest, schemaVersion: 99 }));
+    expect(() => loadManifest({ name: "anvil", chainId: CHAIN_ID }, dir)).to.throw("schema version 99");
+  });
+});
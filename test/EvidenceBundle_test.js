@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const { bundleDigest, canonicalJson, verifyEvidenceBundle, FORMAT } = require("../scripts/lib/evidence-bundle");
+
+const AutomatedInsuranceProvider = artifacts.require("AutomatedInsuranceProvider");
+const AutomatedInsuranceContract = artifacts.require("AutomatedInsuranceContract");
+const MockLinkToken = artifacts.require("MockLinkToken");
+const MockOperator = artifacts.require("MockOperator");
+const MockV3Aggregator = artifacts.require("MockV3Aggregator");
+
+contract("Evidence Bundle Tests", (accounts) => {
+  const [owner, client, stranger] = accounts;
+  const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+  const ETH_PRICE = "200000000000"; // $2000, 8 decimals
+  const PARAMETERS = ["client", "insurer", "premium", "payoutValue", "duration", "paymentToken", "contractActive", "premiumPaid", "getContractBalance"];
+
+  describe("Digest", () => {
+    it("should hash canonical JSON the way the frontend exporter does", async () => {
+      expect(canonicalJson({ b: 1n, a: { d: [2n, true], c: null } })).to.equal('{"a":{"c":null,"d":["2",true]},"b":"1"}');
+      // Pinned in frontend src/lib/evidenceBundle.test.ts as well
+      const bundle = { format: FORMAT, version: 1, chainId: 1337, block: { number: 42n } };
+      expect(bundleDigest(web3, bundle)).to.equal("0xd8cf5334c3fcb33599789724642c7d3cda476489fca58635238bb014682aadaa");
+    });
+  });
+
+  describe("Verification", () => {
+    let provider;
+    let policy;
+    let fromBlock;
+
+    beforeEach(async () => {
+      const link = await MockLinkToken.new({ from: owner });
+      const operator = await MockOperator.new(link.address, { from: owner });
+      const feed = await MockV3Aggregator.new(8, ETH_PRICE, { from: owner });
+      const jobId = web3.utils.padRight(web3.utils.asciiToHex("rainfall"), 64);
+      provider = await AutomatedInsuranceProvider.new(
+        "test_world_weather_key",
+        "test_open_weather_key",
+        "test_weatherbit_key",
+        link.address,
+        feed.address,
+        operator.address,
+        stranger,
+        jobId,
+        jobId,
+        { from: owner }
+      );
+      await link.transfer(provider.address, web3.utils.toWei("100", "ether"), { from: owner });
+      fromBlock = await web3.eth.getBlockNumber();
+
+      // $1000 payout at $2000/ETH, $100 premium
+      const tx = await provider.newContract(client, 7 * 86400, "10000000000", "100000000000", "London,UK", ZERO_ADDRESS, {
+        from: owner,
+        value: web3.utils.toWei("0.5", "ether")
+      });
+      policy = tx.logs.find((log) => log.event === "ContractCreated").args.insuranceContract;
+      await provider.payPremium(policy, { from: client, value: web3.utils.toWei("0.05", "ether") });
+    });
+
+    // What the policy page exports, built from the same reads
+    async function buildBundle() {
+      const block = await web3.eth.getBlock("latest");
+      const instance = new web3.eth.Contract(AutomatedInsuranceContract.abi, policy);
+      const parameters = {};
+      for (const name of PARAMETERS) {
+        parameters[name] = await instance.methods[name]().call({}, block.number);
+      }
+      const logs = [
+        ...(await web3.eth.getPastLogs({ address: policy, fromBlock, toBlock: block.number })),
+        ...(await web3.eth.getPastLogs({
+          address: provider.address,
+          topics: [null, web3.utils.padLeft(policy.toLowerCase(), 64)],
+          fromBlock,
+          toBlock: block.number
+        }))
+      ];
+      return {
+        format: FORMAT,
+        version: 1,
+        chainId: await web3.eth.getChainId(),
+        generatedAt: new Date().toISOString(),
+        fromBlock: String(fromBlock),
+        block: { number: String(block.number), hash: block.hash, timestamp: String(block.timestamp) },
+        contracts: { provider: provider.address, eas: ZERO_ADDRESS, easManager: ZERO_ADDRESS },
+        policy: { address: policy, parameters },
+        attestations: [],
+        events: logs.map((log) => ({
+          address: log.address,
+          event: null,
+          args: null,
+          topics: log.topics,
+          data: log.data,
+          blockNumber: String(log.blockNumber),
+          transactionHash: log.transactionHash,
+          logIndex: log.logIndex
+        })),
+        payouts: []
+      };
+    }
+
+    async function sign(bundle, signer = client) {
+      const digest = bundleDigest(web3, bundle);
+      return { bundle, digest, signer, signature: await web3.eth.sign(digest, signer) };
+    }
+
+    function sections(report) {
+      return report.mismatches.map((m) => m.section);
+    }
+
+    it("should accept an untouched bundle", async () => {
+      const bundle = await buildBundle();
+      const report = await verifyEvidenceBundle({ web3, artifacts, envelope: await sign(bundle) });
+
+      expect(report.mismatches).to.deep.equal([]);
+      expect(report.ok).to.equal(true);
+      expect(report.checked.parameters).to.equal(PARAMETERS.length);
+      expect(report.checked.events).to.equal(bundle.events.length);
+      expect(bundle.events.length).to.be.greaterThan(0);
+    });
+
+    it("should report parameters that differ from the chain even when re-signed", async () => {
+      const bundle = await buildBundle();
+      bundle.policy.parameters.payoutValue = "1";
+      const report = await verifyEvidenceBundle({ web3, artifacts, envelope: await sign(bundle) });
+
+      expect(report.ok).to.equal(false);
+      expect(report.mismatches).to.have.lengthOf(1);
+      expect(report.mismatches[0]).to.include({ section: "parameters", item: "payoutValue" });
+    });
+
+    it("should report logs left out of the bundle", async () => {
+      const bundle = await buildBundle();
+      const [dropped] = bundle.events.splice(0, 1);
+      const report = await verifyEvidenceBundle({ web3, artifacts, envelope: await sign(bundle) });
+
+      expect(sections(report)).to.deep.equal(["events"]);
+      expect(report.mismatches[0].item).to.equal(`${dropped.transactionHash.toLowerCase()}:${dropped.logIndex}`);
+    });
+
+    it("should report bundles edited after signing or signed by someone else", async () => {
+      const bundle = await buildBundle();
+      const envelope = await sign(bundle);
+      envelope.bundle = { ...bundle, generatedAt: "2020-01-01T00:00:00.000Z" };
+      expect(sections(await verifyEvidenceBundle({ web3, artifacts, envelope }))).to.deep.equal(["signature"]);
+
+      const impostor = { ...(await sign(bundle, stranger)), signer: client };
+      const report = await verifyEvidenceBundle({ web3, artifacts, envelope: impostor });
+      expect(report.mismatches).to.have.lengthOf(1);
+      expect(report.mismatches[0]).to.include({ section: "signature", item: "signer" });
+    });
+
+    it("should stop at a bundle from another chain", async () => {
+      const bundle = await buildBundle();
+      bundle.chainId = 1;
+      const report = await verifyEvidenceBundle({ web3, artifacts, envelope: await sign(bundle) });
+
+      expect(sections(report)).to.deep.equal(["chain"]);
+      expect(report.checked.parameters).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const AutomatedInsuranceProvider = artifacts.require("AutomatedInsuranceProvider");
+const AutomatedInsuranceContract = artifacts.require("AutomatedInsuranceContract");
+const MockLinkToken = artifacts.require("MockLinkToken");
+const MockOperator = artifacts.require("MockOperator");
+const MockV3Aggregator = artifacts.require("MockV3Aggregator");
+const { expectRevert, expectEvent, time } = require("@openzeppelin/test-helpers");
+const { expect } = require("chai");
+const { createOracleSimulator } = require("../scripts/lib/oracle-simulator");
+const BN = web3.utils.BN;
+
+contract("Flood Coverage Tests", (accounts) => {
+  const [owner, client1, node] = accounts;
+
+  // Constants
+  const DAY_IN_SECONDS = 86400;
+  const ETH_USD_PRICE = 2000 * 10**8;
+  const PRODUCT_FLOOD = 1;
+  const TRIGGER_EXCESS_RAINFALL = new BN(3);
+
+  // Test parameters
+  const duration = 7 * DAY_IN_SECONDS;
+  const premiumUSD = 100 * 10**8;
+  const payoutUSD = 1000 * 10**8;
+  const location = "Dhaka,BD";
+  const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+  const JOB_ID = web3.utils.padRight(web3.utils.asciiToHex("rainfall"), 64);
+  const SECOND_ORACLE = "0x240Bae5a27233fD3Ac5440b5A598467725f7d1cD";
+
+  let operator, provider;
+
+  beforeEach(async () => {
+    const link = await MockLinkToken.new({ from: owner });
+    operator = await MockOperator.new(link.address, { from: owner });
+    await operator.setAuthorizedSender(node, true, { from: owner });
+    const priceFeed = await MockV3Aggregator.new(8, ETH_USD_PRICE, { from: owner });
+
+    provider = await AutomatedInsuranceProvider.new(
+      "test_world_weather_key",
+      "test_open_weather_key",
+      "test_weatherbit_key",
+      link.address,
+      priceFeed.address,
+      operator.address,
+      SECOND_ORACLE,
+      JOB_ID,
+      JOB_ID,
+      { from: owner }
+    );
+    await link.transfer(provider.address, web3.utils.toWei("100", "ether"), { from: owner });
+  });
+
+  // TriggerTerms tuple for flood cover: no drought trigger, rainfall over the window above the threshold
+  function floodTerms(floodWindowDays, floodThreshold) {
+    return [0, 0, 0, 0, PRODUCT_FLOOD, floodWindowDays, floodThreshold];
+  }
+
+  function createWithTerms(terms) {
+    return provider.newContractWithTerms(
+      client1,
+      duration,
+      premiumUSD,
+      payoutUSD,
+      location,
+      ZERO_ADDRESS,
+      terms,
+      { from: owner, value: web3.utils.toWei("1", "ether") }
+    );
+  }
+
+  async function createFloodPolicy(floodWindowDays, floodThreshold) {
+    const tx = await createWithTerms(floodTerms(floodWindowDays, floodThreshold));
+    const address = tx.logs.find(log => log.event === "ContractCreated").args.insuranceContract;
+    await provider.payPremium(address, { from: client1, value: web3.utils.toWei("0.06", "ether") });
+    return AutomatedInsuranceContract.at(address);
+  }
+
+  async function simulatorFor(series) {
+    const fromBlock = await web3.eth.getBlockNumber();
+    return createOracleSimulator({ web3, operator, series, from: node, fromBlock });
+  }
+
+  // One season day; the simulator answers through checkAggregatedRainfallCallback
+  async function runDay(simulator, insurance) {
+    await time.increase(DAY_IN_SECONDS + 1);
+    await provider.manualWeatherUpdate([insurance.address], { from: owner });
+    return simulator.fulfillPending();
+  }
+
+  describe("Flood Trigger", () => {
+    it("should pay out once rainfall over the window exceeds the threshold", async () => {
+      const insurance = await createFloodPolicy(3, 100);
+      const simulator = await simulatorFor({ [location]: [40, 30, 50] });
+      const balanceBefore = new BN(await web3.eth.getBalance(client1));
+
+      await runDay(simulator, insurance);
+      await runDay(simulator, insurance);
+      expect(await insurance.contractPaid()).to.be.false;
+      await runDay(simulator, insurance);
+
+      expect(await insurance.contractPaid()).to.be.true;
+      expect(await insurance.windowRainfall()).to.be.bignumber.equal(new BN(120));
+      expect(await insurance.payoutTrigger()).to.be.bignumber.equal(TRIGGER_EXCESS_RAINFALL);
+      // 1000 USD payout at 2000 USD/ETH
+      const balanceAfter = new BN(await web3.eth.getBalance(client1));
+      expect(balanceAfter.sub(balanceBefore)).to.be.bignumber.equal(web3.utils.toWei("0.5", "ether"));
+    });
+
+    it("should pay out before the window fills when a downpour alone exceeds the threshold", async () => {
+      const insurance = await createFloodPolicy(5, 100);
+      const simulator = await simulatorFor({ [location]: [[110, 130]] });
+
+      await runDay(simulator, insurance);
+
+      expect(await insurance.getCurrentRainfall()).to.be.bignumber.equal(new BN(120));
+      expect(await insurance.contractPaid()).to.be.true;
+    });
+
+    it("should drop readings that leave the rolling window", async () => {
+      const insurance = await createFloodPolicy(3, 100);
+      // Window totals: 60, 60, 60, 30, 80
+      const simulator = await simulatorFor({ [location]: [60, 0, 0, 30, 50] });
+
+      for (let day = 1; day <= 5; day++) {
+        await runDay(simulator, insurance);
+      }
+
+      expect(await insurance.contractPaid()).to.be.false;
+      expect(await insurance.windowRainfall()).to.be.bignumber.equal(new BN(80));
+    });
+
+    it("should not pay out at exactly the threshold", async () => {
+      const insurance = await createFloodPolicy(2, 100);
+      const simulator = await simulatorFor({ [location]: [50, 50] });
+
+      await runDay(simulator, insurance);
+      await runDay(simulator, insurance);
+
+      expect(await insurance.contractPaid()).to.be.false;
+      expect(await insurance.isActive()).to.be.true;
+    });
+
+    it("should not pay out on drought", async () => {
+      const insurance = await createFloodPolicy(3, 100);
+      const simulator = await simulatorFor({ [location]: [0, 0, 0, 0] });
+
+      for (let day = 1; day <= 4; day++) {
+        await runDay(simulator, insurance);
+      }
+
+      expect(await insurance.contractPaid()).to.be.false;
+      expect(await insurance.getDaysWithoutRain()).to.be.bignumber.equal(new BN(4));
+    });
+  });
+
+  describe("Flood Terms", () => {
+    it("should record the flood terms on the policy", async () => {
+      const tx = await createWithTerms(floodTerms(7, 250));
+      const address = tx.logs.find(log => log.event === "ContractCreated").args.insuranceContract;
+      const insurance = await AutomatedInsuranceContract.at(address);
+
+      const terms = await insurance.triggerTerms();
+      expect(terms.product).to.be.bignumber.equal(new BN(PRODUCT_FLOOD));
+      expect(terms.floodWindowDays).to.be.bignumber.equal(new BN(7));
+      expect(terms.floodThreshold).to.be.bignumber.equal(new BN(250));
+      expect(terms.droughtDays).to.be.bignumber.equal(new BN(0));
+      await expectEvent.inTransaction(tx.tx, insurance, "TriggerTermsSet", { product: new BN(PRODUCT_FLOOD) });
+    });
+
+    it("should reject flood cover with a drought trigger", async () => {
+      await expectRevert(createWithTerms([3, 0, 0, 0, PRODUCT_FLOOD, 3, 100]), "Flood cover has no drought trigger");
+    });
+
+    it("should require a flood window no longer than the maximum", async () => {
+      await expectRevert(createWithTerms(floodTerms(0, 100)), "Flood window required");
+      await expectRevert(createWithTerms(floodTerms(31, 100)), "Flood window too long");
+    });
+
+    it("should require a flood threshold", async () => {
+      await expectRevert(createWithTerms(floodTerms(3, 0)), "Flood threshold required");
+    });
+
+    it("should reject flood fields on drought cover and unknown products", async () => {
+      await expectRevert(createWithTerms([3, 0, 0, 0, 0, 3, 100]), "Drought cover has no flood trigger");
+      await expectRevert(createWithTerms([0, 0, 0, 0, 2, 3, 100]), "Unknown product");
+    });
+
+    it("should reject dry-day payout tiers on flood cover", async () => {
+      await expectRevert(
+        provider.newContractWithPayouts(
+          client1,
+          duration,
+          premiumUSD,
+          payoutUSD,
+          location,
+          ZERO_ADDRESS,
+          floodTerms(3, 100),
+          [[0, 10000]],
+          false,
+          { from: owner, value: web3.utils.toWei("1", "ether") }
+        ),
+        "Tiers need a dry-day trigger"
+      );
+    });
+  });
+});
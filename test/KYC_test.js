@@ -0,0 +1,192 @@
+const { expect } = require("chai");
+const { expectRevert, expectEvent, time } = require("@openzeppelin/test-helpers");
+
+const AutomatedInsuranceProvider = artifacts.require("AutomatedInsuranceProvider");
+const EASInsuranceManager = artifacts.require("EASInsuranceManager");
+const InsuranceSchemas = artifacts.require("InsuranceSchemas");
+const MockEAS = artifacts.require("MockEAS");
+const MockSchemaRegistry = artifacts.require("MockSchemaRegistry");
+const MockLinkToken = artifacts.require("MockLinkToken");
+const MockOperator = artifacts.require("MockOperator");
+const MockV3Aggregator = artifacts.require("MockV3Aggregator");
+
+contract("KYC Attestation Tests", (accounts) => {
+  const [owner, client, complianceProvider, stranger] = accounts;
+  const DAY = 86400;
+  const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+  const ETH_PRICE = "200000000000"; // $2000, 8 decimals
+  const DOCUMENT_HASH = web3.utils.keccak256("passport-scan");
+
+  let provider;
+  let manager;
+  let eas;
+  let schemas;
+
+  beforeEach(async () => {
+    const registry = await MockSchemaRegistry.new({ from: owner });
+    eas = await MockEAS.new(registry.address, { from: owner });
+    schemas = await InsuranceSchemas.new(registry.address, { from: owner });
+    await schemas.registerAllSchemas({ from: owner });
+    manager = await EASInsuranceManager.new(eas.address, registry.address, schemas.address, { from: owner });
+    await manager.registerComplianceProvider(complianceProvider, true, { from: owner });
+
+    const link = await MockLinkToken.new({ from: owner });
+    const operator = await MockOperator.new(link.address, { from: owner });
+    const feed = await MockV3Aggregator.new(8, ETH_PRICE, { from: owner });
+    const jobId = web3.utils.padRight(web3.utils.asciiToHex("rainfall"), 64);
+    provider = await AutomatedInsuranceProvider.new(
+      "test_world_weather_key",
+      "test_open_weather_key",
+      "test_weatherbit_key",
+      link.address,
+      feed.address,
+      operator.address,
+      stranger,
+      jobId,
+      jobId,
+      { from: owner }
+    );
+    await link.transfer(provider.address, web3.utils.toWei("100", "ether"), { from: owner });
+  });
+
+  function issueKYC(verified = true, validFor = 30 * DAY, from = complianceProvider) {
+    return manager.createKYCAttestation(client, "government-id", verified, "standard", DOCUMENT_HASH, validFor, { from });
+  }
+
+  function kycUid(tx) {
+    return tx.logs.find((log) => log.event === "KYCAttestationCreated").args.uid;
+  }
+
+  // $1000 payout at $2000/ETH, $100 premium
+  function newPolicy() {
+    return provider.newContract(client, 7 * DAY, "10000000000", "100000000000", "London,UK", ZERO_ADDRESS, {
+      from: owner,
+      value: web3.utils.toWei("0.5", "ether")
+    });
+  }
+
+  async function requireKYC() {
+    await provider.setEASManager(manager.address, { from: owner });
+    await provider.setKYCRequired(true, { from: owner });
+  }
+
+  describe("Issuing", () => {
+    it("should attest KYC for a client from a compliance provider", async () => {
+      const tx = await issueKYC();
+      const uid = kycUid(tx);
+      expectEvent(tx, "KYCAttestationCreated", { client, verified: true });
+
+      const attestation = await eas.getAttestation(uid);
+      expect(attestation.schema).to.equal(await schemas.kycSchemaUID());
+      expect(attestation.recipient).to.equal(client);
+      expect(attestation.attester).to.equal(manager.address);
+      const decoded = web3.eth.abi.decodeParameters(
+        ["address", "string", "bool", "uint256", "address", "string", "bytes32"],
+        attestation.data
+      );
+      expect(decoded[1]).to.equal("government-id");
+      expect(decoded[4]).to.equal(complianceProvider);
+      expect(decoded[6]).to.equal(DOCUMENT_HASH);
+
+      expect(await manager.getKYCAttestations(client)).to.deep.equal([uid]);
+      expect(await manager.attestationRequester(uid)).to.equal(complianceProvider);
+      expect(await manager.hasValidKYC(client)).to.equal(true);
+    });
+
+    it("should reject KYC attestations from accounts without the role", async () => {
+      await expectRevert(issueKYC(true, 30 * DAY, stranger), "Not authorized compliance provider");
+    });
+
+    it("should not treat a failed verification as valid KYC", async () => {
+      await issueKYC(false);
+      expect(await manager.hasValidKYC(client)).to.equal(false);
+    });
+  });
+
+  describe("Expiry and Revocation", () => {
+    it("should expire KYC after its validity period", async () => {
+      await issueKYC(true, 30 * DAY);
+      expect(await manager.hasValidKYC(client)).to.equal(true);
+
+      await time.increase(30 * DAY + 1);
+      expect(await manager.hasValidKYC(client)).to.equal(false);
+
+      // Renewal restores it
+      await issueKYC(true, 30 * DAY);
+      expect(await manager.hasValidKYC(client)).to.equal(true);
+    });
+
+    it("should keep KYC issued without expiry valid", async () => {
+      await issueKYC(true, 0);
+      await time.increase(3650 * DAY);
+      expect(await manager.hasValidKYC(client)).to.equal(true);
+    });
+
+    it("should invalidate revoked KYC and record the reason", async () => {
+      const uid = kycUid(await issueKYC());
+
+      const tx = await manager.revokeKYCAttestation(uid, "Document found to be forged", { from: complianceProvider });
+      expectEvent(tx, "AttestationRevoked", { uid, revoker: complianceProvider, reason: "Document found to be forged" });
+
+      expect(await manager.hasValidKYC(client)).to.equal(false);
+      expect(await manager.revocationReasons(uid)).to.equal("Document found to be forged");
+      expect((await eas.getAttestation(uid)).revocationTime).to.not.equal("0");
+      await expectRevert(
+        manager.revokeKYCAttestation(uid, "again", { from: complianceProvider }),
+        "Attestation not found or already revoked"
+      );
+    });
+
+    it("should only revoke KYC attestations through revokeKYCAttestation", async () => {
+      await expectRevert(manager.revokeKYCAttestation(web3.utils.padLeft("0x1", 64), "x", { from: complianceProvider }), "Not a KYC attestation");
+      const uid = kycUid(await issueKYC());
+      await expectRevert(manager.revokeKYCAttestation(uid, "x", { from: stranger }), "Not authorized compliance provider");
+    });
+
+    it("should judge KYC by the client's latest attestation", async () => {
+      await issueKYC(true);
+      const latest = kycUid(await issueKYC(true));
+      await manager.revokeKYCAttestation(latest, "Superseded by review", { from: complianceProvider });
+
+      expect(await manager.hasValidKYC(client)).to.equal(false);
+    });
+  });
+
+  describe("Provider Requirement", () => {
+    it("should only let the owner require KYC, and only with a manager set", async () => {
+      await expectRevert(provider.setKYCRequired(true, { from: owner }), "EAS manager not set");
+      await provider.setEASManager(manager.address, { from: owner });
+      await expectRevert(provider.setKYCRequired(true, { from: stranger }), "Ownable: caller is not the owner");
+
+      const tx = await provider.setKYCRequired(true, { from: owner });
+      expectEvent(tx, "KYCRequirementChanged", { required: true });
+      expect(await provider.kycRequired()).to.equal(true);
+    });
+
+    it("should create policies without KYC while the requirement is off", async () => {
+      const tx = await newPolicy();
+      expectEvent(tx, "ContractCreated", { client });
+    });
+
+    it("should reject newContract for clients without valid KYC", async () => {
+      await requireKYC();
+      await expectRevert(newPolicy(), "Client KYC not valid");
+
+      await issueKYC();
+      const tx = await newPolicy();
+      expectEvent(tx, "ContractCreated", { client });
+    });
+
+    it("should reject newContract once the client's KYC expires or is revoked", async () => {
+      await requireKYC();
+      await issueKYC(true, 30 * DAY);
+      await time.increase(30 * DAY + 1);
+      await expectRevert(newPolicy(), "Client KYC not valid");
+
+      const uid = kycUid(await issueKYC(true, 30 * DAY));
+      await newPolicy();
+      await manager.revokeKYCAttestation(uid, "Sanctions list match", { from: complianceProvider });
+      await expectRevert(newPolicy(), "Client KYC not valid");
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { expectRevert, expectEvent } = require("@openzeppelin/test-helpers");
+const { projectLinkBudget, planTopUps, readLinkBudget, executeTopUps, ORACLE_PAYMENT } = require("../scripts/lib/link-budget");
+
+const AutomatedInsuranceProvider = artifacts.require("AutomatedInsuranceProvider");
+const MockLinkToken = artifacts.require("MockLinkToken");
+const MockOperator = artifacts.require("MockOperator");
+const MockV3Aggregator = artifacts.require("MockV3Aggregator");
+
+contract("LINK Budget Tests", (accounts) => {
+  const [owner, client, stranger] = accounts;
+  const DAY = 86400n;
+  const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+  const ETH_PRICE = "200000000000"; // $2000, 8 decimals
+
+  function active(overrides = {}) {
+    return {
+      balance: 10n * ORACLE_PAYMENT,
+      contractActive: true,
+      contractPaid: false,
+      premiumPaid: true,
+      activatedAt: 1000n,
+      duration: 7n * DAY,
+      lastWeatherCheck: 1000n,
+      ...overrides
+    };
+  }
+
+  describe("Projection", () => {
+    it("should count the daily checks left before startDate + duration", async () => {
+      const budget = projectLinkBudget(active(), 1000n);
+      expect(budget.status).to.equal("ok");
+      expect(budget.remainingChecks).to.equal(7);
+      expect(budget.required).to.equal(7n * ORACLE_PAYMENT);
+      expect(budget.endsAt).to.equal(1000n + 7n * DAY);
+
+      // Two checks done: five left
+      const later = projectLinkBudget(active({ lastWeatherCheck: 1000n + 2n * DAY }), 1000n + 2n * DAY);
+      expect(later.remainingChecks).to.equal(5);
+    });
+
+    it("should flag policies that will run dry and when", async () => {
+      const short = projectLinkBudget(active({ balance: 3n * ORACLE_PAYMENT }), 1000n);
+      expect(short.status).to.equal("short");
+      expect(short.shortfall).to.equal(4n * ORACLE_PAYMENT);
+      // Three checks are funded, the fourth fails
+      expect(short.runsDryAt).to.equal(1000n + 4n * DAY);
+
+      const dry = projectLinkBudget(active({ balance: ORACLE_PAYMENT / 2n }), 1000n);
+      expect(dry.status).to.equal("dry");
+    });
+
+    it("should treat settled, expired and unpaid policies correctly", async () => {
+      expect(projectLinkBudget(active({ contractPaid: true }), 1000n).status).to.equal("closed");
+      expect(projectLinkBudget(active({ contractActive: false }), 1000n).status).to.equal("closed");
+
+      const expired = projectLinkBudget(active({ balance: 0n }), 1000n + 8n * DAY);
+      expect(expired.status).to.equal("ok");
+      expect(expired.remainingChecks).to.equal(0);
+
+      // Unpaid policies need their full term once activated
+      const pending = projectLinkBudget(active({ premiumPaid: false, contractActive: false, balance: ORACLE_PAYMENT }), 1000n);
+      expect(pending.remainingChecks).to.equal(7);
+      expect(pending.status).to.equal("short");
+      expect(pending.runsDryAt).to.equal(null);
+    });
+  });
+
+  describe("Top-up Planning", () => {
+    it("should cover each shortfall plus buffer in batches", async () => {
+      const policies = Array.from({ length: 12 }, (_, i) => ({
+        address: `0x${(i + 1).toString(16).padStart(40, "0")}`,
+        shortfall: i === 0 ? 0n : ORACLE_PAYMENT
+      }));
+      const plan = planTopUps(policies, { providerBalance: 100n * ORACLE_PAYMENT, bufferChecks: 2, batchSize: 10 });
+
+      expect(plan.batches).to.have.lengthOf(2);
+      expect(plan.batches[0].contracts).to.have.lengthOf(10);
+      expect(plan.batches[1].contracts).to.have.lengthOf(1);
+      expect(plan.batches[0].amounts[0]).to.equal(3n * ORACLE_PAYMENT);
+      expect(plan.total).to.equal(33n * ORACLE_PAYMENT);
+      expect(plan.affordable).to.equal(true);
+
+      expect(planTopUps(policies, { providerBalance: ORACLE_PAYMENT }).affordable).to.equal(false);
+    });
+  });
+
+  describe("Provider Top-ups", () => {
+    let link;
+    let provider;
+    let policy;
+
+    beforeEach(async () => {
+      link = await MockLinkToken.new({ from: owner });
+      const operator = await MockOperator.new(link.address, { from: owner });
+      const feed = await MockV3Aggregator.new(8, ETH_PRICE, { from: owner });
+      const jobId = web3.utils.padRight(web3.utils.asciiToHex("rainfall"), 64);
+      provider = await AutomatedInsuranceProvider.new(
+        "test_world_weather_key",
+        "test_open_weather_key",
+        "test_weatherbit_key",
+        link.address,
+        feed.address,
+        operator.address,
+        stranger,
+        jobId,
+        jobId,
+        { from: owner }
+      );
+      await link.transfer(provider.address, web3.utils.toWei("100", "ether"), { from: owner });
+
+      // $1000 payout at $2000/ETH, $100 premium
+      const payoutWei = web3.utils.toWei("0.5", "ether");
+      const tx = await provider.newContract(client, 7 * 86400, "10000000000", "100000000000", "London,UK", ZERO_ADDRESS, {
+        from: owner,
+        value: payoutWei
+      });
+      policy = tx.logs.find((log) => log.event === "ContractCreated").args.insuranceContract;
+      await provider.payPremium(policy, { from: client, value: web3.utils.toWei("0.05", "ether") });
+    });
+
+    it("should report the funded LINK budget for active policies", async () => {
+      const budget = await readLinkBudget({ web3, artifacts, provider });
+
+      expect(budget.policies).to.have.lengthOf(1);
+      const [entry] = budget.policies;
+      expect(entry.address).to.equal(policy);
+      expect(entry.location).to.equal("London,UK");
+      // (7 + 2) * 2 oracle payments at creation
+      expect(entry.balance).to.equal(18n * ORACLE_PAYMENT);
+      expect(entry.remainingChecks).to.equal(7);
+      expect(entry.status).to.equal("ok");
+      expect(budget.providerBalance).to.equal(BigInt(web3.utils.toWei("100", "ether")) - 18n * ORACLE_PAYMENT);
+    });
+
+    it("should transfer planned top-ups from the provider", async () => {
+      const plan = { batches: [{ contracts: [policy], amounts: [5n * ORACLE_PAYMENT] }] };
+      const [hash] = await executeTopUps(provider, plan, owner);
+
+      await expectEvent.inTransaction(hash, provider, "LinkToppedUp", {
+        insuranceContract: policy,
+        amount: (5n * ORACLE_PAYMENT).toString()
+      });
+      expect((await link.balanceOf(policy)).toString()).to.equal((23n * ORACLE_PAYMENT).toString());
+    });
+
+    it("should reject top-ups for unknown contracts, mismatched input or non-owners", async () => {
+      await expectRevert(provider.topUpLink([stranger], [ORACLE_PAYMENT.toString()], { from: owner }), "Unknown contract");
+      await expectRevert(provider.topUpLink([policy], [], { from: owner }), "Length mismatch");
+      await expectRevert(provider.topUpLink([policy], [ORACLE_PAYMENT.toString()], { from: stranger }), "Ownable: caller is not the owner");
+    });
+  });
+});
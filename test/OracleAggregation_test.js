@@ -0,0 +1,269 @@
+const AutomatedInsuranceProvider = artifacts.require("AutomatedInsuranceProvider");
+const AutomatedInsuranceContract = artifacts.require("AutomatedInsuranceContract");
+const MockLinkToken = artifacts.require("MockLinkToken");
+const MockOperator = artifacts.require("MockOperator");
+const MockV3Aggregator = artifacts.require("MockV3Aggregator");
+const { expectRevert, expectEvent, time } = require("@openzeppelin/test-helpers");
+const { expect } = require("chai");
+const { createOracleSimulator, NO_READING } = require("../scripts/lib/oracle-simulator");
+const BN = web3.utils.BN;
+
+contract("Oracle Aggregation Tests", (accounts) => {
+  const [owner, client1, node, stranger] = accounts;
+
+  // Constants
+  const DAY_IN_SECONDS = 86400;
+  const ETH_USD_PRICE = 2000 * 10**8;
+  const SOURCE_WORLD_WEATHER_ONLINE = 0;
+  const SOURCE_OPEN_WEATHER = 1;
+  const SOURCE_WEATHERBIT = 2;
+
+  // Test parameters
+  const duration = 7 * DAY_IN_SECONDS;
+  const premiumUSD = 100 * 10**8;
+  const payoutUSD = 1000 * 10**8;
+  const location = "Nairobi,KE";
+  const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+  const JOB_ID = web3.utils.padRight(web3.utils.asciiToHex("rainfall"), 64);
+  const SECOND_ORACLE = "0x240Bae5a27233fD3Ac5440b5A598467725f7d1cD";
+
+  let operator, provider;
+
+  beforeEach(async () => {
+    const link = await MockLinkToken.new({ from: owner });
+    operator = await MockOperator.new(link.address, { from: owner });
+    await operator.setAuthorizedSender(node, true, { from: owner });
+    const priceFeed = await MockV3Aggregator.new(8, ETH_USD_PRICE, { from: owner });
+
+    provider = await AutomatedInsuranceProvider.new(
+      "test_world_weather_key",
+      "test_open_weather_key",
+      "test_weatherbit_key",
+      link.address,
+      priceFeed.address,
+      operator.address,
+      SECOND_ORACLE,
+      JOB_ID,
+      JOB_ID,
+      { from: owner }
+    );
+    await link.transfer(provider.address, web3.utils.toWei("100", "ether"), { from: owner });
+  });
+
+  async function createUnpaidPolicy() {
+    const tx = await provider.newContract(
+      client1,
+      duration,
+      premiumUSD,
+      payoutUSD,
+      location,
+      ZERO_ADDRESS,
+      { from: owner, value: web3.utils.toWei("1", "ether") }
+    );
+    return tx.logs.find(log => log.event === "ContractCreated").args.insuranceContract;
+  }
+
+  // Default drought policy; aggregation is [sources, minQuorum, toleranceBps, toleranceMm]
+  async function createPolicy(aggregation) {
+    const address = await createUnpaidPolicy();
+    if (aggregation) {
+      await provider.setOracleAggregation(address, ...aggregation, { from: owner });
+    }
+    await provider.payPremium(address, { from: client1, value: web3.utils.toWei("0.06", "ether") });
+    return AutomatedInsuranceContract.at(address);
+  }
+
+  async function simulatorFor(series, sources = 3) {
+    const fromBlock = await web3.eth.getBlockNumber();
+    return createOracleSimulator({ web3, operator, series, from: node, fromBlock, sources });
+  }
+
+  // One season day; the simulator answers through checkAggregatedRainfallCallback
+  async function runDay(simulator, insurance) {
+    await time.increase(DAY_IN_SECONDS + 1);
+    await provider.manualWeatherUpdate([insurance.address], { from: owner });
+    const [fulfillment] = await simulator.fulfillPending();
+    return fulfillment;
+  }
+
+  describe("Median", () => {
+    it("should default to all three sources with a quorum of two", async () => {
+      const insurance = await createPolicy();
+      const { sources, readings } = await insurance.getSourceReadings();
+
+      expect(sources.map(Number)).to.deep.equal([SOURCE_WORLD_WEATHER_ONLINE, SOURCE_OPEN_WEATHER, SOURCE_WEATHERBIT]);
+      expect(readings).to.have.lengthOf(0);
+      expect(await insurance.minQuorum()).to.be.bignumber.equal(new BN(2));
+    });
+
+    it("should record the median of the sources and keep each raw reading", async () => {
+      const insurance = await createPolicy();
+      const simulator = await simulatorFor({ [location]: [[14, 10, 12]] });
+
+      await runDay(simulator, insurance);
+
+      expect(await insurance.getCurrentRainfall()).to.be.bignumber.equal(new BN(12));
+      const { readings, accepted } = await insurance.getSourceReadings();
+      expect(readings.map(Number)).to.deep.equal([14, 10, 12]);
+      expect(accepted).to.deep.equal([true, true, true]);
+      expect(await insurance.getRequestCount()).to.be.bignumber.equal(new BN(1));
+    });
+
+    it("should drop a source outside the percentage tolerance", async () => {
+      // 10% of the 108 mm median; 125 is out, the remaining pair averages to 104
+      const insurance = await createPolicy([[0, 1, 2], 2, 1000, 0]);
+      const simulator = await simulatorFor({ [location]: [[100, 108, 125]] });
+
+      const { transactionHash } = await runDay(simulator, insurance);
+
+      expect(await insurance.getCurrentRainfall()).to.be.bignumber.equal(new BN(104));
+      await expectEvent.inTransaction(transactionHash, insurance, "SourceReadingRejected", {
+        source: new BN(SOURCE_WEATHERBIT),
+        reading: new BN(125),
+        median: new BN(108)
+      });
+    });
+  });
+
+  describe("Outlier Rejection", () => {
+    it("should not let one source suppress a drought payout", async () => {
+      const insurance = await createPolicy();
+      const simulator = await simulatorFor({ [location]: [[0, 0, 80], [0, 0, 75], [0, 0, 90]] });
+
+      for (let day = 1; day <= 3; day++) {
+        await runDay(simulator, insurance);
+      }
+
+      expect(await insurance.contractPaid()).to.be.true;
+      const { readings, accepted } = await insurance.getSourceReadings();
+      expect(readings.map(Number)).to.deep.equal([0, 0, 90]);
+      expect(accepted).to.deep.equal([true, true, false]);
+    });
+
+    it("should not let one source fake a dry day", async () => {
+      const insurance = await createPolicy();
+      const simulator = await simulatorFor({ [location]: [[0, 30, 32], [0, 28, 30], [0, 31, 31]] });
+
+      for (let day = 1; day <= 3; day++) {
+        await runDay(simulator, insurance);
+      }
+
+      expect(await insurance.contractPaid()).to.be.false;
+      expect(await insurance.getDaysWithoutRain()).to.be.bignumber.equal(new BN(0));
+      expect(await insurance.getCurrentRainfall()).to.be.bignumber.equal(new BN(31));
+    });
+  });
+
+  describe("Quorum", () => {
+    it("should record a day when a source fails but the rest agree", async () => {
+      const insurance = await createPolicy();
+      const simulator = await simulatorFor({ [location]: [[null, 0, 0]] });
+
+      await runDay(simulator, insurance);
+
+      expect(await insurance.getDaysWithoutRain()).to.be.bignumber.equal(new BN(1));
+      const { readings, accepted } = await insurance.getSourceReadings();
+      expect(readings.map(String)).to.deep.equal([NO_READING, "0", "0"]);
+      expect(accepted).to.deep.equal([false, true, true]);
+    });
+
+    it("should skip a day when fewer sources than the quorum agree", async () => {
+      const insurance = await createPolicy();
+      const simulator = await simulatorFor({ [location]: [0, [null, 0, 40]] });
+
+      await runDay(simulator, insurance);
+      const { transactionHash } = await runDay(simulator, insurance);
+
+      await expectEvent.inTransaction(transactionHash, insurance, "WeatherReadingRejected", {
+        acceptedSources: new BN(0),
+        minQuorum: new BN(2)
+      });
+      // The day neither extends nor breaks the dry streak
+      expect(await insurance.getRequestCount()).to.be.bignumber.equal(new BN(1));
+      expect(await insurance.getDaysWithoutRain()).to.be.bignumber.equal(new BN(1));
+      expect(await insurance.getCurrentRainfall()).to.be.bignumber.equal(new BN(0));
+    });
+
+    it("should treat readings missing from the end as failed sources", async () => {
+      const insurance = await createPolicy([[0, 1, 2], 3, 2500, 5]);
+      const simulator = await simulatorFor({ [location]: [[0, 0]] });
+
+      const { transactionHash } = await runDay(simulator, insurance);
+
+      await expectEvent.inTransaction(transactionHash, insurance, "WeatherReadingRejected", {
+        acceptedSources: new BN(2),
+        minQuorum: new BN(3)
+      });
+      expect(await insurance.getRequestCount()).to.be.bignumber.equal(new BN(0));
+    });
+  });
+
+  describe("Source Configuration", () => {
+    it("should read only the configured sources", async () => {
+      const insurance = await createPolicy([[SOURCE_OPEN_WEATHER], 1, 0, 0]);
+      const simulator = await simulatorFor({ [location]: [7] }, 1);
+
+      await runDay(simulator, insurance);
+
+      const { sources, readings, accepted } = await insurance.getSourceReadings();
+      expect(sources.map(Number)).to.deep.equal([SOURCE_OPEN_WEATHER]);
+      expect(readings.map(Number)).to.deep.equal([7]);
+      expect(accepted).to.deep.equal([true]);
+      expect(await insurance.getCurrentRainfall()).to.be.bignumber.equal(new BN(7));
+    });
+
+    it("should reject more readings than sources", async () => {
+      const insurance = await createPolicy([[SOURCE_WORLD_WEATHER_ONLINE, SOURCE_WEATHERBIT], 2, 2500, 5]);
+      const simulator = await simulatorFor({ [location]: [[1, 2, 3]] });
+
+      try {
+        await runDay(simulator, insurance);
+        expect.fail("Expected the callback to revert");
+      } catch (error) {
+        expect(error.message).to.include("Callback reverted");
+      }
+    });
+
+    it("should emit the configuration", async () => {
+      const address = await createUnpaidPolicy();
+      const insurance = await AutomatedInsuranceContract.at(address);
+
+      const tx = await provider.setOracleAggregation(address, [2, 0], 1, 500, 3, { from: owner });
+
+      await expectEvent.inTransaction(tx.tx, insurance, "OracleAggregationSet", {
+        minQuorum: new BN(1),
+        toleranceBps: new BN(500),
+        toleranceMm: new BN(3)
+      });
+      expect(await insurance.toleranceBps()).to.be.bignumber.equal(new BN(500));
+    });
+
+    it("should validate sources and quorum", async () => {
+      const address = await createUnpaidPolicy();
+
+      await expectRevert(provider.setOracleAggregation(address, [], 1, 0, 0, { from: owner }), "No weather sources");
+      await expectRevert(provider.setOracleAggregation(address, [0, 3], 1, 0, 0, { from: owner }), "Unknown weather source");
+      await expectRevert(provider.setOracleAggregation(address, [1, 1], 1, 0, 0, { from: owner }), "Duplicate weather source");
+      await expectRevert(provider.setOracleAggregation(address, [0, 1], 0, 0, 0, { from: owner }), "Invalid quorum");
+      await expectRevert(provider.setOracleAggregation(address, [0, 1], 3, 0, 0, { from: owner }), "Invalid quorum");
+    });
+
+    it("should only be changed by the owner before the premium is paid", async () => {
+      const insurance = await createPolicy();
+
+      await expectRevert(
+        provider.setOracleAggregation(insurance.address, [0], 1, 0, 0, { from: stranger }),
+        "Ownable: caller is not the owner"
+      );
+      await expectRevert(
+        provider.setOracleAggregation(insurance.address, [0], 1, 0, 0, { from: owner }),
+        "Sources fixed once premium is paid"
+      );
+      await expectRevert(
+        provider.setOracleAggregation(stranger, [0], 1, 0, 0, { from: owner }),
+        "Unknown contract"
+      );
+      await expectRevert(insurance.setOracleAggregation([0], 1, 0, 0, { from: owner }), "Only insurer can do this");
+    });
+  });
+});
@@ -0,0 +1,383 @@
+const path = require("path");
+const AutomatedInsuranceProvider = artifacts.require("AutomatedInsuranceProvider");
+const AutomatedInsuranceContract = artifacts.require("AutomatedInsuranceContract");
+const MockLinkToken = artifacts.require("MockLinkToken");
+const MockOperator = artifacts.require("MockOperator");
+const MockV3Aggregator = artifacts.require("MockV3Aggregator");
+const { expectRevert, time } = require("@openzeppelin/test-helpers");
+const { expect } = require("chai");
+const { createOracleSimulator } = require("../scripts/lib/oracle-simulator");
+const BN = web3.utils.BN;
+
+contract("Oracle Simulator Tests", (accounts) => {
+  const [owner, client1, client2, node] = accounts;
+
+  const DAY_IN_SECONDS = 86400;
+  const ETH_USD_PRICE = 2000 * 10**8;
+  const duration = 7 * DAY_IN_SECONDS;
+  const premiumUSD = 100 * 10**8;
+  const payoutUSD = 1000 * 10**8;
+  const location = "London,UK";
+  const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+  const JOB_ID = web3.utils.padRight(web3.utils.asciiToHex("rainfall"), 64);
+  const SECOND_ORACLE = "0x240Bae5a27233fD3Ac5440b5A598467725f7d1cD";
+
+  let link, operator, priceFeed, provider;
+
+  beforeEach(async () => {
+    link = await MockLinkToken.new({ from: owner });
+    operator = await MockOperator.new(link.address, { from: owner });
+    await operator.setAuthorizedSender(node, true, { from: owner });
+    priceFeed = await MockV3Aggregator.new(8, ETH_USD_PRICE, { from: owner });
+
+    provider = await AutomatedInsuranceProvider.new(
+      "test_world_weather_key",
+      "test_open_weather_key",
+      "test_weatherbit_key",
+      link.address,
+      priceFeed.address,
+      operator.address,
+      SECOND_ORACLE,
+      JOB_ID,
+      JOB_ID,
+      { from: owner }
+    );
+    await link.transfer(provider.address, web3.utils.toWei("100", "ether"), { from: owner });
+  });
+
+  async function createPolicy(client, cropLocation = location) {
+    const tx = await provider.newContract(
+      client,
+      duration,
+      premiumUSD,
+      payoutUSD,
+      cropLocation,
+      ZERO_ADDRESS,
+      { from: owner, value: web3.utils.toWei("1", "ether") }
+    );
+    const address = tx.logs.find(log => log.event === "ContractCreated").args.insuranceContract;
+    await provider.payPremium(address, { from: client, value: web3.utils.toWei("0.06", "ether") });
+    return AutomatedInsuranceContract.at(address);
+  }
+
+  // TriggerTerms as the ABI tuple; drought cover unless terms say otherwise
+  function termsTuple(terms) {
+    return [
+      terms.droughtDays,
+      terms.dryDayThreshold,
+      terms.deficitWindowDays,
+      terms.deficitThreshold,
+      terms.product || 0,
+      terms.floodWindowDays || 0,
+      terms.floodThreshold || 0
+    ];
+  }
+
+  // Same as createPolicy but with trigger terms
+  async function createPolicyWithTerms(client, terms) {
+    const tx = await provider.newContractWithTerms(
+      client,
+      duration,
+      premiumUSD,
+      payoutUSD,
+      location,
+      ZERO_ADDRESS,
+      termsTuple(terms),
+      { from: owner, value: web3.utils.toWei("1", "ether") }
+    );
+    const address = tx.logs.find(log => log.event === "ContractCreated").args.insuranceContract;
+    await provider.payPremium(address, { from: client, value: web3.utils.toWei("0.06", "ether") });
+    return AutomatedInsuranceContract.at(address);
+  }
+
+  // Policy with trigger terms plus a payout structure
+  async function createTieredPolicy(client, terms, tiers, linearDeficit = false) {
+    const tx = await provider.newContractWithPayouts(
+      client,
+      duration,
+      premiumUSD,
+      payoutUSD,
+      location,
+      ZERO_ADDRESS,
+      termsTuple(terms),
+      tiers,
+      linearDeficit,
+      { from: owner, value: web3.utils.toWei("1", "ether") }
+    );
+    const address = tx.logs.find(log => log.event === "ContractCreated").args.insuranceContract;
+    await provider.payPremium(address, { from: client, value: web3.utils.toWei("0.06", "ether") });
+    return AutomatedInsuranceContract.at(address);
+  }
+
+  async function simulatorFor(series) {
+    const fromBlock = await web3.eth.getBlockNumber();
+    return createOracleSimulator({ web3, operator, series, from: node, fromBlock });
+  }
+
+  // One season day: wait out the check interval, trigger the check, answer it
+  async function runDay(simulator, policies) {
+    await time.increase(DAY_IN_SECONDS + 1);
+    await provider.manualWeatherUpdate(policies.map(p => p.address), { from: owner });
+    return simulator.fulfillPending();
+  }
+
+  describe("Drought Scenarios", () => {
+    it("should pay out after three consecutive dry days", async () => {
+      const insurance = await createPolicy(client1);
+      const simulator = await simulatorFor({ [location]: [4, 0, 0, 0] });
+      const balanceBefore = new BN(await web3.eth.getBalance(client1));
+
+      for (let day = 1; day <= 3; day++) {
+        await runDay(simulator, [insurance]);
+        expect(await insurance.contractPaid()).to.be.false;
+      }
+      await runDay(simulator, [insurance]);
+
+      expect(await insurance.contractPaid()).to.be.true;
+      expect(await insurance.getDaysWithoutRain()).to.be.bignumber.equal(new BN(3));
+      // 1000 USD payout at 2000 USD/ETH
+      const balanceAfter = new BN(await web3.eth.getBalance(client1));
+      expect(balanceAfter.sub(balanceBefore)).to.be.bignumber.equal(web3.utils.toWei("0.5", "ether"));
+      expect(simulator.fulfillments).to.have.lengthOf(4);
+    });
+
+    it("should reset the drought counter when it rains", async () => {
+      const insurance = await createPolicy(client1);
+      const simulator = await simulatorFor({ [location]: [0, 0, 3, 0, 0] });
+
+      for (let day = 1; day <= 5; day++) {
+        await runDay(simulator, [insurance]);
+      }
+
+      expect(await insurance.contractPaid()).to.be.false;
+      expect(await insurance.getDaysWithoutRain()).to.be.bignumber.equal(new BN(2));
+      expect(await insurance.getRequestCount()).to.be.bignumber.equal(new BN(5));
+    });
+
+    it("should average the per-source readings for a day", async () => {
+      const insurance = await createPolicy(client1);
+      const simulator = await simulatorFor({ [location]: [[0, 4]] });
+
+      await runDay(simulator, [insurance]);
+
+      expect(await insurance.getCurrentRainfall()).to.be.bignumber.equal(new BN(2));
+      expect(await insurance.getDaysWithoutRain()).to.be.bignumber.equal(new BN(0));
+    });
+
+    it("should follow each policy's own location", async () => {
+      const london = await createPolicy(client1, "London,UK");
+      const lahore = await createPolicy(client2, "Lahore,PK");
+      const simulator = await simulatorFor({ "London,UK": [0, 0, 0], "Lahore,PK": [5, 6, 7] });
+
+      for (let day = 1; day <= 3; day++) {
+        await runDay(simulator, [london, lahore]);
+      }
+
+      expect(await london.contractPaid()).to.be.true;
+      expect(await lahore.contractPaid()).to.be.false;
+      expect(await lahore.getCurrentRainfall()).to.be.bignumber.equal(new BN(7));
+    });
+  });
+
+  describe("Trigger Terms", () => {
+    const TRIGGER_DRY_DAYS = new BN(1);
+    const TRIGGER_RAINFALL_DEFICIT = new BN(2);
+
+    it("should default to three days without any rain", async () => {
+      const insurance = await createPolicy(client1);
+      const terms = await insurance.triggerTerms();
+
+      expect(terms.droughtDays).to.be.bignumber.equal(new BN(3));
+      expect(terms.dryDayThreshold).to.be.bignumber.equal(new BN(0));
+      expect(terms.deficitWindowDays).to.be.bignumber.equal(new BN(0));
+    });
+
+    it("should count light rain as dry under a minimum-mm threshold", async () => {
+      const insurance = await createPolicyWithTerms(client1, {
+        droughtDays: 2, dryDayThreshold: 3, deficitWindowDays: 0, deficitThreshold: 0
+      });
+      const simulator = await simulatorFor({ [location]: [2, 3] });
+
+      await runDay(simulator, [insurance]);
+      expect(await insurance.contractPaid()).to.be.false;
+      await runDay(simulator, [insurance]);
+
+      expect(await insurance.contractPaid()).to.be.true;
+      expect(await insurance.payoutTrigger()).to.be.bignumber.equal(TRIGGER_DRY_DAYS);
+    });
+
+    it("should pay out when rainfall over the window falls short", async () => {
+      const insurance = await createPolicyWithTerms(client1, {
+        droughtDays: 0, dryDayThreshold: 0, deficitWindowDays: 3, deficitThreshold: 10
+      });
+      // Window totals: 12 after day 3, then 3 + 5 + 1 = 9 after day 4
+      const simulator = await simulatorFor({ [location]: [4, 3, 5, 1] });
+
+      for (let day = 1; day <= 3; day++) {
+        await runDay(simulator, [insurance]);
+      }
+      expect(await insurance.contractPaid()).to.be.false;
+      expect(await insurance.windowRainfall()).to.be.bignumber.equal(new BN(12));
+      await runDay(simulator, [insurance]);
+
+      expect(await insurance.contractPaid()).to.be.true;
+      expect(await insurance.windowRainfall()).to.be.bignumber.equal(new BN(9));
+      expect(await insurance.payoutTrigger()).to.be.bignumber.equal(TRIGGER_RAINFALL_DEFICIT);
+    });
+
+    it("should reject terms without a trigger", async () => {
+      await expectRevert(
+        createPolicyWithTerms(client1, { droughtDays: 0, dryDayThreshold: 0, deficitWindowDays: 0, deficitThreshold: 0 }),
+        "No drought trigger"
+      );
+    });
+
+    it("should only take terms from the provider", async () => {
+      const insurance = await createPolicy(client1);
+
+      await expectRevert(
+        insurance.setTriggerTerms([5, 0, 0, 0, 0, 0, 0], { from: owner }),
+        "Only insurer can do this"
+      );
+      expect((await insurance.triggerTerms()).droughtDays).to.be.bignumber.equal(new BN(3));
+    });
+  });
+
+  describe("Payout Tiers", () => {
+    const DRY_DAYS_ONLY = { droughtDays: 2, dryDayThreshold: 0, deficitWindowDays: 0, deficitThreshold: 0 };
+
+    async function received(client, fn) {
+      const before = new BN(await web3.eth.getBalance(client));
+      await fn();
+      return new BN(await web3.eth.getBalance(client)).sub(before);
+    }
+
+    it("should pay each tier's share as the dry streak grows", async () => {
+      // 1000 USD at 2000 USD/ETH escrows 0.5 ETH
+      const insurance = await createTieredPolicy(client1, DRY_DAYS_ONLY, [[2, 2500], [3, 5000], [4, 10000]]);
+      const simulator = await simulatorFor({ [location]: [0, 0, 0, 0] });
+
+      await runDay(simulator, [insurance]);
+      expect(await received(client1, () => runDay(simulator, [insurance]))).to.be.bignumber.equal(web3.utils.toWei("0.125", "ether"));
+      expect(await insurance.payoutBpsPaid()).to.be.bignumber.equal(new BN(2500));
+      expect(await insurance.contractPaid()).to.be.false;
+      expect(await insurance.isActive()).to.be.true;
+
+      expect(await received(client1, () => runDay(simulator, [insurance]))).to.be.bignumber.equal(web3.utils.toWei("0.125", "ether"));
+      expect(await received(client1, () => runDay(simulator, [insurance]))).to.be.bignumber.equal(web3.utils.toWei("0.25", "ether"));
+
+      expect(await insurance.contractPaid()).to.be.true;
+      expect(await insurance.payoutsMade()).to.be.bignumber.equal(new BN(payoutUSD.toString()));
+      expect(await insurance.getContractBalance()).to.be.bignumber.equal(new BN(0));
+    });
+
+    it("should not pay a tier twice after rain resets the streak", async () => {
+      const insurance = await createTieredPolicy(client1, DRY_DAYS_ONLY, [[2, 5000], [4, 10000]]);
+      const simulator = await simulatorFor({ [location]: [0, 0, 5, 0, 0] });
+
+      for (let day = 1; day <= 5; day++) {
+        await runDay(simulator, [insurance]);
+      }
+
+      expect(await insurance.payoutBpsPaid()).to.be.bignumber.equal(new BN(5000));
+      expect(await insurance.getContractBalance()).to.be.bignumber.equal(web3.utils.toWei("0.25", "ether"));
+      expect(await insurance.isActive()).to.be.true;
+    });
+
+    it("should pay in proportion to the rainfall deficit", async () => {
+      const insurance = await createTieredPolicy(
+        client1,
+        { droughtDays: 0, dryDayThreshold: 0, deficitWindowDays: 2, deficitThreshold: 10 },
+        [],
+        true
+      );
+      // Window totals: 4 (60% short) after day 2, then 1 (90% short) after day 3
+      const simulator = await simulatorFor({ [location]: [3, 1, 0] });
+
+      await runDay(simulator, [insurance]);
+      expect(await received(client1, () => runDay(simulator, [insurance]))).to.be.bignumber.equal(web3.utils.toWei("0.3", "ether"));
+      expect(await received(client1, () => runDay(simulator, [insurance]))).to.be.bignumber.equal(web3.utils.toWei("0.15", "ether"));
+
+      expect(await insurance.payoutBpsPaid()).to.be.bignumber.equal(new BN(9000));
+      expect(await insurance.payoutsMade()).to.be.bignumber.equal(new BN((900 * 10**8).toString()));
+      expect(await insurance.contractPaid()).to.be.false;
+    });
+
+    it("should reject tiers that don't start at droughtDays or don't increase", async () => {
+      await expectRevert(
+        createTieredPolicy(client1, DRY_DAYS_ONLY, [[3, 5000]]),
+        "First tier must match droughtDays"
+      );
+      await expectRevert(
+        createTieredPolicy(client1, DRY_DAYS_ONLY, [[2, 5000], [4, 5000]]),
+        "Tier shares must increase"
+      );
+      await expectRevert(
+        createTieredPolicy(client1, DRY_DAYS_ONLY, [], true),
+        "Linear payout needs a deficit window"
+      );
+    });
+  });
+
+  describe("Season Replay", () => {
+    it("should replay the bundled drought season deterministically", async () => {
+      const insurance = await createPolicy(client1);
+      const simulator = await simulatorFor(path.join(__dirname, "..", "scripts", "data", "drought-season.json"));
+
+      // London: 4, 0, 0, 2, 0, 0, 0 -> the third dry day in a row is day 7
+      for (let day = 1; day <= 6; day++) {
+        await runDay(simulator, [insurance]);
+      }
+      expect(await insurance.contractPaid()).to.be.false;
+      await runDay(simulator, [insurance]);
+
+      expect(await insurance.contractPaid()).to.be.true;
+      expect(simulator.daysConsumed(insurance.address)).to.equal(7);
+    });
+
+    it("should end a wet season without payout", async () => {
+      const insurance = await createPolicy(client1);
+      const simulator = await simulatorFor(path.join(__dirname, "..", "scripts", "data", "wet-season.csv"));
+
+      while (await insurance.isActive()) {
+        await runDay(simulator, [insurance]);
+      }
+
+      expect(await insurance.contractPaid()).to.be.false;
+      expect(await insurance.getContractStatus()).to.be.false;
+      expect(simulator.fulfillments.length).to.be.at.least(6);
+    });
+  });
+
+  describe("Operator Checks", () => {
+    it("should reject fulfillments from unauthorized senders", async () => {
+      const insurance = await createPolicy(client1);
+      const fromBlock = await web3.eth.getBlockNumber();
+      await time.increase(DAY_IN_SECONDS + 1);
+      await provider.manualWeatherUpdate([insurance.address], { from: owner });
+
+      const [request] = await operator.getPastEvents("OracleRequest", { fromBlock });
+      const { requestId, payment, callbackAddr, callbackFunctionId, cancelExpiration } = request.args;
+      const data = web3.eth.abi.encodeParameters(["bytes32", "uint256[]"], [requestId, ["0", "0"]]);
+
+      await expectRevert(
+        operator.fulfillOracleRequest2(requestId, payment, callbackAddr, callbackFunctionId, cancelExpiration, data, { from: client1 }),
+        "Not authorized sender"
+      );
+    });
+
+    it("should fail loudly when the series runs out", async () => {
+      const insurance = await createPolicy(client1);
+      const simulator = await simulatorFor({ [location]: [5] });
+
+      await runDay(simulator, [insurance]);
+
+      try {
+        await runDay(simulator, [insurance]);
+        expect.fail("Expected the simulator to throw");
+      } catch (error) {
+        expect(error.message).to.match(/No rainfall scripted for "london,uk" day 2/);
+      }
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+
+const AutomatedInsuranceProvider = artifacts.require("AutomatedInsuranceProvider");
+const EASInsuranceManager = artifacts.require("EASInsuranceManager");
+const InsuranceSchemas = artifacts.require("InsuranceSchemas");
+const MockEAS = artifacts.require("MockEAS");
+const MockSchemaRegistry = artifacts.require("MockSchemaRegistry");
+const MockLinkToken = artifacts.require("MockLinkToken");
+const MockOperator = artifacts.require("MockOperator");
+const MockV3Aggregator = artifacts.require("MockV3Aggregator");
+
+contract("Policy Attestation Tests", (accounts) => {
+  const [owner, client, secondOracle] = accounts;
+  const DAY = 86400;
+  const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+  const ETH_PRICE = "200000000000"; // $2000, 8 decimals
+
+  let provider;
+  let manager;
+  let eas;
+  let schemas;
+
+  beforeEach(async () => {
+    const registry = await MockSchemaRegistry.new({ from: owner });
+    eas = await MockEAS.new(registry.address, { from: owner });
+    schemas = await InsuranceSchemas.new(registry.address, { from: owner });
+    await schemas.registerAllSchemas({ from: owner });
+    manager = await EASInsuranceManager.new(eas.address, registry.address, schemas.address, { from: owner });
+
+    const link = await MockLinkToken.new({ from: owner });
+    const operator = await MockOperator.new(link.address, { from: owner });
+    const feed = await MockV3Aggregator.new(8, ETH_PRICE, { from: owner });
+    const jobId = web3.utils.padRight(web3.utils.asciiToHex("rainfall"), 64);
+    provider = await AutomatedInsuranceProvider.new(
+      "test_world_weather_key",
+      "test_open_weather_key",
+      "test_weatherbit_key",
+      link.address,
+      feed.address,
+      operator.address,
+      secondOracle,
+      jobId,
+      jobId,
+      { from: owner }
+    );
+    await link.transfer(provider.address, web3.utils.toWei("100", "ether"), { from: owner });
+
+    await manager.authorizeAttestor(provider.address, true, { from: owner });
+    await provider.setEASManager(manager.address, { from: owner });
+    await provider.toggleEAS(true, { from: owner });
+  });
+
+  // The policy's attestation data, decoded with the registered PolicyV2 schema
+  async function attestedPolicy(policy) {
+    const [uid] = await manager.getPolicyAttestations(policy);
+    const attestation = await eas.getAttestation(uid);
+    expect(attestation.schema).to.equal(await schemas.policySchemaV2UID());
+    const { schema } = await schemas.getSchemaByName("PolicyV2");
+    const fields = schema.split(",").map((field) => field.trim().split(/\s+/));
+    const values = web3.eth.abi.decodeParameters(fields.map(([type]) => type), attestation.data);
+    return Object.fromEntries(fields.map(([, name], i) => [name, values[i]]));
+  }
+
+  function createdPolicy(tx) {
+    return tx.logs.find((log) => log.event === "ContractCreated").args.insuranceContract;
+  }
+
+  it("should attest the payout tiers and deficit-proportional flag of a tiered policy", async () => {
+    const tx = await provider.newContractWithPayouts(
+      client,
+      7 * DAY,
+      "10000000000",
+      "100000000000",
+      "London,UK",
+      ZERO_ADDRESS,
+      [3, 0, 7, 100, 0, 0, 0],
+      [[3, 2500], [5, 5000], [7, 10000]],
+      true,
+      { from: owner, value: web3.utils.toWei("0.5", "ether") }
+    );
+
+    const data = await attestedPolicy(createdPolicy(tx));
+    expect(data.droughtDays).to.equal("3");
+    expect(data.deficitWindowDays).to.equal("7");
+    expect(data.tierDryDays).to.deep.equal(["3", "5", "7"]);
+    expect(data.tierBps).to.deep.equal(["2500", "5000", "10000"]);
+    expect(data.linearDeficitPayout).to.equal(true);
+  });
+
+  it("should attest an all-at-once payout for policies without tiers", async () => {
+    const tx = await provider.newContract(client, 7 * DAY, "10000000000", "100000000000", "London,UK", ZERO_ADDRESS, {
+      from: owner,
+      value: web3.utils.toWei("0.5", "ether")
+    });
+
+    const data = await attestedPolicy(createdPolicy(tx));
+    expect(data.droughtDays).to.equal("3");
+    expect(data.tierDryDays).to.deep.equal([]);
+    expect(data.tierBps).to.deep.equal([]);
+    expect(data.linearDeficitPayout).to.equal(false);
+  });
+
+  it("should keep the original policy schema registered alongside PolicyV2", async () => {
+    const original = await schemas.getSchemaByName("Policy");
+    expect(original.schema).to.equal(
+      "string policyId,address insuranceContract,address client,uint256 premiumPaid,uint256 payoutValue,string cropLocation,uint256 startDate,uint256 duration,bool isActive"
+    );
+    expect(original.uid).to.not.equal(await schemas.policySchemaV2UID());
+    expect(await schemas.getAllSchemaUIDs()).to.include(original.uid);
+    expect(await manager.getPolicySchemaUID()).to.equal(await schemas.policySchemaV2UID());
+  });
+
+  it("should verify policy attestations made under PolicyV2", async () => {
+    const tx = await provider.newContract(client, 7 * DAY, "10000000000", "100000000000", "London,UK", ZERO_ADDRESS, {
+      from: owner,
+      value: web3.utils.toWei("0.5", "ether")
+    });
+
+    const [uid] = await manager.getPolicyAttestations(createdPolicy(tx));
+    expect(await manager.verifyPolicyAttestation(uid)).to.equal(true);
+  });
+});
@@ -0,0 +1,132 @@
+const path = require("path");
+const { expect } = require("chai");
+const { loadScenario, validateScenario } = require("../scripts/lib/scenario");
+const { runSeason } = require("../scripts/lib/season-runner");
+
+contract("Season Replay Tests", () => {
+  const SCENARIOS = path.join(__dirname, "..", "scripts", "data", "scenarios");
+
+  function scenario(overrides = {}) {
+    return validateScenario({
+      name: "Test season",
+      days: 6,
+      ethUsdPrice: 2000,
+      automation: "upkeep",
+      tokens: [{ symbol: "USDC", decimals: 6, usdPrice: 1 }],
+      clients: { farmerA: 1, farmerB: 2 },
+      policies: [
+        { id: "dry", client: "farmerA", location: "London,UK", durationDays: 7, premiumUSD: 100, payoutUSD: 1000, token: "ETH" },
+        { id: "wet", client: "farmerB", location: "Paris,FR", durationDays: 7, premiumUSD: 100, payoutUSD: 1000, token: "USDC" }
+      ],
+      rainfall: {
+        "London,UK": [2, 0, 0, 0, 0, 0],
+        "Paris,FR": [5, 3, 0, 4, 6, 1]
+      },
+      ...overrides
+    });
+  }
+
+  describe("Scenario Validation", () => {
+    it("should load the bundled YAML and JSON scenarios", async () => {
+      const yaml = loadScenario(path.join(SCENARIOS, "sindh-drought.yaml"));
+      const json = loadScenario(path.join(SCENARIOS, "wet-season.json"));
+
+      expect(yaml.policies).to.have.lengthOf(3);
+      expect(yaml.timeJumps).to.deep.equal([{ day: 11, days: 1 }]);
+      expect(json.automation).to.equal("manual");
+      expect(json.rainfall.get("london,uk")).to.have.lengthOf(10);
+    });
+
+    it("should reject policies that reference unknown clients or tokens", async () => {
+      const policy = { id: "p", client: "farmerA", location: "London,UK", durationDays: 7, premiumUSD: 100, payoutUSD: 1000 };
+      expect(() => scenario({ policies: [{ ...policy, client: "nobody" }] })).to.throw(/not listed in clients/);
+      expect(() => scenario({ policies: [{ ...policy, token: "DAI" }] })).to.throw(/not ETH or a scenario token/);
+      expect(() => scenario({ policies: [{ ...policy, payoutUSD: 50 }] })).to.throw(/must exceed premiumUSD/);
+    });
+
+    it("should require exactly one rainfall source", async () => {
+      expect(() => scenario({ rainfallFile: "rain.csv" })).to.throw(/exactly one of rainfall or rainfallFile/);
+    });
+  });
+
+  describe("Season Replay", () => {
+    it("should pay out the drought policy and keep the wet one running", async () => {
+      const report = await runSeason({ web3, artifacts, scenario: scenario() });
+      const [dry, wet] = report.policies;
+
+      // London: 2, 0, 0, 0 -> third dry day is day 3
+      expect(dry.state).to.equal("PaidOut");
+      expect(dry.paidOutDay).to.equal(3);
+      expect(wet.state).to.equal("Active");
+      expect(wet.oracleRequests).to.equal(6);
+
+      expect(report.totals.paidOut).to.equal(1);
+      expect(report.totals.payoutUSD).to.equal(1000);
+      expect(report.totals.premiumUSD).to.equal(200);
+      // 4 London + 6 Paris requests at 0.1 LINK each
+      expect(report.link.requests).to.equal(10);
+      expect(report.link.spent).to.equal(web3.utils.toWei("1", "ether"));
+    });
+
+    it("should end policies whose term passes during the season", async () => {
+      const report = await runSeason({
+        web3,
+        artifacts,
+        scenario: scenario({
+          days: 10,
+          automation: "manual",
+          policies: [
+            { id: "wet", client: "farmerB", location: "Paris,FR", durationDays: 7, premiumUSD: 100, payoutUSD: 1000, token: "USDC" }
+          ],
+          rainfall: { "Paris,FR": [5, 3, 0, 4, 6, 1, 2, 8, 3, 1] }
+        })
+      });
+
+      const [wet] = report.policies;
+      expect(wet.state).to.equal("Ended");
+      // Six daily checks fit in the 7-day term; the seventh ends it
+      expect(wet.oracleRequests).to.equal(6);
+      expect(wet.endedDay).to.equal(6);
+      expect(wet.linkHeld).to.equal("0");
+      expect(report.link.lockedInPolicies).to.equal("0");
+    });
+
+    it("should skip checks across time jumps", async () => {
+      const report = await runSeason({
+        web3,
+        artifacts,
+        scenario: scenario({
+          days: 4,
+          policies: [
+            { id: "dry", client: "farmerA", location: "London,UK", durationDays: 7, premiumUSD: 100, payoutUSD: 1000, token: "ETH" }
+          ],
+          rainfall: { "London,UK": [0, 0, 5, 0] },
+          timeJumps: [{ day: 2, days: 3 }]
+        })
+      });
+
+      // Days 0-2 are checked; the three skipped days push day 3 past the 7-day term
+      expect(report.policies[0].oracleRequests).to.equal(3);
+      expect(report.policies[0].state).to.equal("Ended");
+      expect(report.policies[0].endedDay).to.equal(3);
+    });
+
+    it("should leave unpaid policies out of monitoring", async () => {
+      const report = await runSeason({
+        web3,
+        artifacts,
+        scenario: scenario({
+          days: 3,
+          policies: [
+            { id: "unpaid", client: "farmerA", location: "London,UK", durationDays: 7, premiumUSD: 100, payoutUSD: 1000, payPremium: false }
+          ]
+        })
+      });
+
+      expect(report.policies[0].state).to.equal("Unpaid");
+      expect(report.policies[0].oracleRequests).to.equal(0);
+      expect(report.totals.unpaid).to.equal(1);
+      expect(report.link.requests).to.equal(0);
+    });
+  });
+});
@@ -13,6 +13,11 @@ module.exports = {
       port: 7545,
       network_id: '*',
     },
+    anvil: {
+      host: '127.0.0.1',
+      port: 8545,
+      network_id: 31337,
+    },
     sepolia: {
       provider: () => {
         return new HDWalletProvider(process.env.MNEMONIC, process.env.SEPOLIA_RPC_URL)